@@ -0,0 +1,133 @@
+/**
+ * chartExport.test.js - Tests for the chart image export in wwwroot/js/chartExport.js
+ * Version: 1.0.0
+ */
+
+const { setupBrowser, loadScripts, ChartStub } = require('./helpers/harness');
+
+/**
+ * Gives every canvas a drawing context that records background fills, and a toDataURL that encodes
+ * the requested content type so tests can tell the formats apart
+ */
+function stubCanvas() {
+    HTMLCanvasElement.prototype.getContext = function() {
+        return { canvas: this, fills: [], save: () => {}, restore: () => {}, fillRect: function() { this.fills.push(this.fillStyle); } };
+    };
+    HTMLCanvasElement.prototype.toDataURL = function(type) {
+        return `data:${type};base64,${btoa(type)}`;
+    };
+}
+
+/**
+ * Creates a chart on a 200 x 100 canvas
+ * @returns {string} The chart handle
+ */
+function createChart() {
+    document.body.innerHTML = '<canvas id="chart" width="200" height="100"></canvas>';
+    return window.initializeChart('chart', {
+        type: 'bar',
+        labels: ['GB', 'DE'],
+        datasets: [{ label: 'Fees', data: [1, 2] }, { label: 'Hidden', data: [3, 4], hidden: true }]
+    }, {});
+}
+
+describe('chartExport.js', () => {
+    beforeAll(() => {
+        setupBrowser();
+        stubCanvas();
+        window.Chart = ChartStub;
+        window.interopHooks = { instrument: () => {} };
+        window.errorReporter = { capture: jest.fn() };
+        window.chartPalettes = { applyToChartData: () => {} };
+        window.i18n = { applyToChartData: () => {} };
+        window.formatting = { applyToChartOptions: () => {} };
+        window.currency = { applyToChartData: () => {} };
+        window.themeManager = { getThemeDefinition: () => ({ metaColor: '#121212' }) };
+        // interop.js declares top-level constants, so it is loaded once for the whole file
+        loadScripts(['interop.js', 'chartExport.js']);
+    });
+
+    beforeEach(() => {
+        ChartStub.created.length = 0;
+    });
+
+    test('exportImage returns a PNG at three times the on-screen size by default', () => {
+        // Arrange
+        const handle = createChart();
+
+        // Act
+        const image = window.chartExport.exportImage(handle, { format: null, scale: null });
+
+        // Assert
+        expect(image).toEqual({ base64: btoa('image/png'), contentType: 'image/png', width: 600, height: 300 });
+    });
+
+    test('the export is drawn on its own chart, which is destroyed, and keeps hidden datasets hidden', () => {
+        // Arrange
+        const handle = createChart();
+
+        // Act
+        window.chartExport.exportImage(handle);
+
+        // Assert
+        const [live, exported] = ChartStub.created;
+        expect(exported).not.toBe(live);
+        expect(exported.destroy).toHaveBeenCalled();
+        expect(exported.options.animation).toBe(false);
+        expect(exported.options.devicePixelRatio).toBe(3);
+        expect(exported.data.datasets.map(dataset => dataset.hidden)).toEqual([false, true]);
+        expect(live.destroy).not.toHaveBeenCalled();
+    });
+
+    test('the background is filled with the theme colour unless a transparent PNG is requested', () => {
+        // Arrange
+        const handle = createChart();
+
+        // Act
+        window.chartExport.exportImage(handle);
+        window.chartExport.exportImage(handle, { background: 'transparent' });
+        window.chartExport.exportImage(handle, { background: 'transparent', format: 'jpeg' });
+        window.chartExport.exportImage(handle, { background: '#ff0000' });
+
+        // Assert
+        const fills = ChartStub.created.slice(1).map(chart => chart.ctx.fills);
+        expect(fills).toEqual([['#121212'], [], ['#121212'], ['#ff0000']]);
+    });
+
+    test('an SVG export embeds the high-resolution PNG at the chart size', () => {
+        // Arrange
+        const handle = createChart();
+
+        // Act
+        const image = window.chartExport.exportImage(handle, { format: 'svg' });
+
+        // Assert
+        const svg = new TextDecoder().decode(Uint8Array.from(atob(image.base64), c => c.charCodeAt(0)));
+        expect(image.contentType).toBe('image/svg+xml');
+        expect(svg).toContain('width="200" height="100"');
+        expect(svg).toContain(`href="data:image/png;base64,${btoa('image/png')}"`);
+    });
+
+    test('an unsupported format is rejected', () => {
+        // Arrange
+        const handle = createChart();
+
+        // Act & Assert
+        expect(() => window.chartExport.exportImage(handle, { format: 'gif' })).toThrow(/Unsupported chart export format/);
+    });
+
+    test('downloadImage names the file after the format and reports a missing chart', () => {
+        // Arrange
+        const handle = createChart();
+        window.downloadFile = jest.fn();
+
+        // Act
+        const started = window.chartExport.downloadImage(handle, 'breakdown', { format: 'jpeg' });
+        const missing = window.chartExport.downloadImage('chart-unknown', 'breakdown');
+
+        // Assert
+        expect(started).toBe(true);
+        expect(missing).toBe(false);
+        expect(window.downloadFile).toHaveBeenCalledWith('breakdown.jpg', btoa('image/jpeg'), 'image/jpeg');
+    });
+});
@@ -0,0 +1,183 @@
+/**
+ * chartInterop.test.js - Tests for the chart interop functions in wwwroot/js/interop.js
+ * Version: 1.0.0
+ */
+
+const { setupBrowser, loadScripts, ChartStub } = require('./helpers/harness');
+
+/**
+ * Adds a canvas element to the document
+ * @param {string} id - The element ID
+ */
+function addCanvas(id) {
+    const canvas = document.createElement('canvas');
+    canvas.id = id;
+    canvas.getContext = () => ({ canvas });
+    document.body.appendChild(canvas);
+}
+
+describe('interop.js charts', () => {
+    beforeAll(() => {
+        setupBrowser();
+        window.Chart = ChartStub;
+        window.interopHooks = { instrument: () => {} };
+        window.errorReporter = { capture: jest.fn() };
+        window.chartPalettes = { applyToChartData: () => {} };
+        window.i18n = { applyToChartData: () => {} };
+        window.formatting = { applyToChartOptions: () => {} };
+        window.currency = { applyToChartData: () => {} };
+        // debounce is declared by app.js; this stand-in keeps its trailing-edge behaviour
+        window.debounce = (func, wait) => {
+            let timeout;
+            return (...args) => {
+                clearTimeout(timeout);
+                timeout = setTimeout(() => func(...args), wait);
+            };
+        };
+        // interop.js declares top-level constants, so it is loaded once for the whole file
+        loadScripts(['interop.js']);
+    });
+
+    beforeEach(() => {
+        document.body.innerHTML = '';
+        addCanvas('chart');
+    });
+
+    test('initializeChart returns a handle that resolves the chart by handle or element ID', () => {
+        // Arrange & Act
+        const handle = window.initializeChart('chart', { type: 'bar', labels: ['GB'], datasets: [{ data: [1] }] }, {});
+
+        // Assert
+        expect(handle).toMatch(/^chart-\d+$/);
+        expect(window.getChartState(handle).elementId).toBe('chart');
+        expect(window.getChartState('chart').handle).toBe(handle);
+    });
+
+    test('getChartState reports labels as strings to match ChartStateModel', () => {
+        // Arrange
+        const handle = window.initializeChart('chart', {
+            type: 'line',
+            labels: [2023, ['Q1', '2024'], null, 'DE'],
+            datasets: [{ data: [1, 2, 3, 4] }]
+        }, {});
+
+        // Act
+        const state = window.getChartState(handle);
+
+        // Assert
+        expect(state.labels).toEqual(['2023', 'Q1 2024', null, 'DE']);
+    });
+
+    test('getChartState reports point values on the value axis and gaps as null', () => {
+        // Arrange
+        const handle = window.initializeChart('chart', {
+            type: 'bar',
+            labels: ['GB', 'DE', 'FR'],
+            datasets: [
+                { label: 'Vertical', data: [{ x: 'GB', y: 10 }, 12.5, NaN] },
+                { label: 'Hidden', data: [1, 2, 3], hidden: true }
+            ]
+        }, {});
+
+        // Act
+        const state = window.getChartState(handle);
+
+        // Assert
+        expect(state.datasets[0].data).toEqual([10, 12.5, null]);
+        expect(state.datasets[1].hidden).toBe(true);
+    });
+
+    test('getChartState reads horizontal bar points from the x axis', () => {
+        // Arrange
+        const handle = window.initializeChart('chart', {
+            type: 'bar',
+            labels: ['GB'],
+            datasets: [{ data: [{ x: 42, y: 'GB' }] }]
+        }, { indexAxis: 'y' });
+
+        // Act
+        const state = window.getChartState(handle);
+
+        // Assert
+        expect(state.datasets[0].data).toEqual([42]);
+    });
+
+    test('click events send the label and value in the same shape as the chart state', () => {
+        // Arrange
+        const dotNetRef = { invokeMethodAsync: jest.fn(() => Promise.resolve()) };
+        const handle = window.initializeChart('chart', {
+            type: 'bar',
+            labels: [2024],
+            datasets: [{ label: 'Fees', data: [{ x: 2024, y: 99 }] }]
+        }, {}, dotNetRef);
+        const chart = window.chartInstances[handle];
+
+        // Act
+        chart.options.onClick({}, [{ datasetIndex: 0, index: 0 }], chart);
+
+        // Assert
+        expect(dotNetRef.invokeMethodAsync).toHaveBeenCalledWith('OnChartClick', expect.objectContaining({
+            label: '2024', datasetLabel: 'Fees', value: 99
+        }));
+    });
+
+    test('hover is reported once per element after the debounce delay', () => {
+        // Arrange
+        jest.useFakeTimers();
+        const dotNetRef = { invokeMethodAsync: jest.fn(() => Promise.resolve()) };
+        const handle = window.initializeChart('chart', {
+            type: 'bar',
+            labels: ['GB', 'DE'],
+            datasets: [{ data: [1, 2] }]
+        }, {}, dotNetRef, { hoverDebounceMs: 100 });
+        const chart = window.chartInstances[handle];
+
+        // Act
+        chart.options.onHover({}, [{ datasetIndex: 0, index: 0 }], chart);
+        chart.options.onHover({}, [{ datasetIndex: 0, index: 0 }], chart);
+        chart.options.onHover({}, [{ datasetIndex: 0, index: 1 }], chart);
+        jest.advanceTimersByTime(99);
+        const callsBeforeDelay = dotNetRef.invokeMethodAsync.mock.calls.length;
+        jest.advanceTimersByTime(1);
+        jest.useRealTimers();
+
+        // Assert
+        expect(callsBeforeDelay).toBe(0);
+        expect(dotNetRef.invokeMethodAsync).toHaveBeenCalledTimes(1);
+        expect(dotNetRef.invokeMethodAsync).toHaveBeenCalledWith('OnChartHover', expect.objectContaining({ index: 1, label: 'DE' }));
+    });
+
+    test('legend toggles keep the default behaviour and report the dataset visibility', () => {
+        // Arrange
+        const defaultLegendClick = jest.fn();
+        const dotNetRef = { invokeMethodAsync: jest.fn(() => Promise.resolve()) };
+        const handle = window.initializeChart('chart', {
+            type: 'line',
+            labels: ['GB'],
+            datasets: [{ label: 'Fees', data: [1], hidden: true }]
+        }, { plugins: { legend: { onClick: defaultLegendClick } } }, dotNetRef, { legendToggleMethod: 'OnLegend' });
+        const chart = window.chartInstances[handle];
+
+        // Act
+        chart.options.plugins.legend.onClick({}, { datasetIndex: 0, text: 'Fees' }, { chart });
+
+        // Assert
+        expect(defaultLegendClick).toHaveBeenCalled();
+        expect(dotNetRef.invokeMethodAsync).toHaveBeenCalledWith('OnLegend', expect.objectContaining({
+            datasetIndex: 0, datasetLabel: 'Fees', hidden: true
+        }));
+    });
+
+    test('destroyChart removes the chart so its handle no longer resolves', () => {
+        // Arrange
+        const handle = window.initializeChart('chart', { type: 'bar', labels: [], datasets: [] }, {});
+
+        // Act
+        const destroyed = window.destroyChart(handle);
+
+        // Assert
+        expect(destroyed).toBe(true);
+        expect(window.getChartState(handle)).toBeNull();
+        expect(window.getChartState('chart')).toBeNull();
+    });
+});
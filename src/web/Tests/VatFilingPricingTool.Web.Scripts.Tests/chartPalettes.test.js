@@ -0,0 +1,95 @@
+/**
+ * chartPalettes.test.js - Tests for the chart palettes in wwwroot/js/chartPalettes.js and the
+ * palette preference kept by wwwroot/js/themeManager.js
+ * Version: 1.0.0
+ */
+
+const { setupBrowser, loadScripts } = require('./helpers/harness');
+
+/**
+ * Loads the theme manager and the palettes with the given stored values
+ * @param {object} [stored] - localStorage values keyed by storage key
+ */
+function loadPalettes(stored) {
+    localStorage.clear();
+    Object.keys(stored || {}).forEach(key => localStorage.setItem(key, stored[key]));
+    setupBrowser();
+    window.i18n = { has: () => false, t: key => key };
+    window.chartInstances = {};
+    loadScripts(['subscriptions.js', 'themeManager.js', 'chartPalettes.js']);
+}
+
+describe('chartPalettes.js', () => {
+    test('a single bar series is coloured per data point', () => {
+        // Arrange
+        loadPalettes();
+        const data = { labels: ['GB', 'DE', 'FR'], datasets: [{ data: [1, 2, 3] }] };
+
+        // Act
+        window.chartPalettes.applyToChartData(data, 'bar');
+
+        // Assert
+        expect(data.datasets[0].backgroundColor).toEqual(['#1976D2', '#388E3C', '#FBC02D']);
+    });
+
+    test('several series are coloured per dataset and explicit colours are kept', () => {
+        // Arrange
+        loadPalettes();
+        const data = {
+            datasets: [{ data: [1] }, { data: [2], backgroundColor: '#123456' }, { data: [3], type: 'line' }]
+        };
+
+        // Act
+        window.chartPalettes.applyToChartData(data, 'bar');
+
+        // Assert
+        expect(data.datasets[0].backgroundColor).toBe('#1976D2');
+        expect(data.datasets[1].backgroundColor).toBe('#123456');
+        expect(data.datasets[2].borderColor).toBe('#FBC02D');
+        expect(data.datasets[2].backgroundColor).toBe('#FBC02D33');
+    });
+
+    test('the high-contrast theme upgrades the standard palette', () => {
+        // Arrange
+        loadPalettes();
+
+        // Act
+        window.themeManager.setTheme('high-contrast');
+
+        // Assert
+        expect(window.chartPalettes.getColors()[0]).toBe('#FFFF00');
+    });
+
+    test('the palette choice is stored with the theme preference', () => {
+        // Arrange
+        loadPalettes();
+
+        // Act
+        window.chartPalettes.setPalette('okabe-ito', true);
+
+        // Assert
+        expect(JSON.parse(localStorage.getItem('vat-filing-theme'))).toEqual(expect.objectContaining({ palette: 'okabe-ito', patterns: true }));
+        expect(window.chartPalettes.getColors()[0]).toBe('#E69F00');
+    });
+
+    test('an unknown palette falls back to the standard one', () => {
+        // Arrange
+        loadPalettes();
+
+        // Act
+        window.chartPalettes.setPalette('neon', false);
+
+        // Assert
+        expect(window.themeManager.getChartPalette().palette).toBe('standard');
+    });
+
+    test('the legacy darkMode flag is migrated to the stored preference', () => {
+        // Arrange & Act
+        loadPalettes({ darkMode: 'true' });
+
+        // Assert
+        expect(window.themeManager.getTheme()).toBe('dark');
+        expect(localStorage.getItem('darkMode')).toBeNull();
+        expect(JSON.parse(localStorage.getItem('vat-filing-theme')).theme).toBe('dark');
+    });
+});
@@ -0,0 +1,217 @@
+/**
+ * currency.test.js - Tests for the exchange rates and currency conversion in wwwroot/js/currency.js
+ * Version: 1.0.0
+ */
+
+const { setupBrowser, loadScripts, createDotNetRef, readWwwroot, jsonResponse, flushPromises } = require('./helpers/harness');
+
+const RATES_ENDPOINT = 'data/exchange-rates.json';
+const HOUR_MS = 3600000;
+
+/**
+ * Opens a page with currency.js and the scripts it depends on; local storage is kept, as across reloads
+ * @param {object} [currencySettings] - Settings merged into the CurrencyConversion section
+ * @param {Function} [ratesRoute] - Answers requests for the rate table; defaults to the file in wwwroot/data
+ * @returns {Promise<jest.Mock>} Promise resolving to the fetch mock once messages have loaded
+ */
+async function openPage(currencySettings, ratesRoute) {
+    setupBrowser({
+        appSettings: {
+            UIConfiguration: { DefaultCurrency: 'EUR', DefaultLanguage: 'en', SupportedLanguages: ['en'], DateFormat: 'dd/MM/yyyy' },
+            CurrencyConversion: Object.assign({
+                Enabled: true,
+                RatesEndpoint: RATES_ENDPOINT,
+                CacheHours: 12,
+                DisplayCurrencies: ['EUR', 'GBP', 'USD', 'CHF']
+            }, currencySettings)
+        },
+        routes: { [RATES_ENDPOINT]: ratesRoute || (() => jsonResponse(readWwwroot(RATES_ENDPOINT))) }
+    });
+    window.errorReporter = { capture: jest.fn() };
+    window.chartInstances = {};
+    loadScripts(['storage.js', 'formatting.js', 'subscriptions.js', 'i18n.js', 'currency.js']);
+    await window.i18n.initialize();
+    return window.fetch;
+}
+
+/**
+ * Counts the requests made for the rate table
+ * @param {jest.Mock} fetch - The fetch mock
+ * @returns {number} The number of requests
+ */
+function rateRequests(fetch) {
+    return fetch.mock.calls.filter(call => String(call[0]) === RATES_ENDPOINT).length;
+}
+
+describe('currency.js', () => {
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('rates load with their as-of date and are cached across page loads until CacheHours have passed', async () => {
+        // Arrange
+        const now = Date.now();
+        const firstPage = await openPage();
+        const table = await window.currency.loadRates();
+
+        // Act
+        const secondPage = await openPage();
+        await window.currency.loadRates();
+        jest.spyOn(Date, 'now').mockReturnValue(now + 13 * HOUR_MS);
+        const thirdPage = await openPage();
+        await window.currency.loadRates();
+
+        // Assert
+        expect(table).toEqual(expect.objectContaining({ base: 'EUR', asOf: '2026-10-16' }));
+        expect(table.rates.GBP).toBe(0.8674);
+        expect(rateRequests(firstPage)).toBe(1);
+        expect(rateRequests(secondPage)).toBe(0);
+        expect(rateRequests(thirdPage)).toBe(1);
+    });
+
+    test('the cached table is used, however old, when the endpoint cannot be reached', async () => {
+        // Arrange
+        const now = Date.now();
+        await openPage();
+        await window.currency.loadRates();
+        jest.spyOn(Date, 'now').mockReturnValue(now + 48 * HOUR_MS);
+        await openPage({}, () => jsonResponse({}, 503));
+
+        // Act
+        const table = await window.currency.loadRates();
+
+        // Assert
+        expect(table.asOf).toBe('2026-10-16');
+        expect(window.errorReporter.capture).toHaveBeenCalledWith(expect.any(Error), 'loadRates');
+    });
+
+    test('amounts and calculation results are converted through the base currency and rounded to minor units', async () => {
+        // Arrange
+        await openPage();
+        await window.currency.loadRates();
+        const result = {
+            currencyCode: 'EUR',
+            totalCost: 1000,
+            totalDiscounts: 50,
+            formattedTotalCost: '€1,000.00',
+            discounts: { volume: 50 },
+            countryBreakdowns: [
+                { countryCode: 'DE', baseCost: 600, additionalCost: 100, totalCost: 700, formattedTotalCost: '€700.00', currencyCode: 'EUR' },
+                { countryCode: 'SE', baseCost: 1142.35, additionalCost: 0, totalCost: 1142.35, currencyCode: 'SEK' }
+            ]
+        };
+
+        // Act
+        const converted = window.currency.convertResult(result, 'gbp');
+
+        // Assert
+        expect(window.currency.convert(100, 'EUR', 'CHF')).toBe(94.18);
+        expect(window.currency.getRate('GBP', 'USD')).toBeCloseTo(1.0862 / 0.8674, 10);
+        expect(window.currency.convert(100, 'EUR', 'XYZ')).toBeNull();
+        expect(converted).toEqual(expect.objectContaining({ currencyCode: 'GBP', totalCost: 867.4, totalDiscounts: 43.37, formattedTotalCost: '£867.40' }));
+        expect(converted.discounts.volume).toBe(43.37);
+        expect(converted.countryBreakdowns[0]).toEqual(expect.objectContaining({ totalCost: 607.18, formattedTotalCost: '£607.18', currencyCode: 'GBP' }));
+        expect(converted.countryBreakdowns[1]).toEqual(expect.objectContaining({ totalCost: 86.74, currencyCode: 'GBP' }));
+        expect(result.totalCost).toBe(1000);
+    });
+
+    test('choosing a display currency converts currency charts, notes the rate and notifies subscribers by ID', async () => {
+        // Arrange
+        await openPage();
+        await window.currency.loadRates();
+        const options = { valueFormat: { style: 'currency', currency: 'EUR' } };
+        const chart = { data: { datasets: [{ data: [100, 200] }] }, config: { type: 'bar', options }, update: jest.fn() };
+        window.chartInstances = { pricingChart: chart };
+        const subscribed = createDotNetRef();
+        const unsubscribed = createDotNetRef();
+        const subscriptionId = window.currency.subscribe(subscribed);
+        window.currency.unsubscribe(window.currency.subscribe(unsubscribed));
+
+        // Act
+        const display = await window.currency.setDisplayCurrency('gbp');
+        const convertedData = chart.data.datasets[0].data;
+        const note = options.plugins.subtitle.text;
+        await window.currency.setDisplayCurrency(null);
+        await flushPromises();
+
+        // Assert
+        expect(display).toBe('GBP');
+        expect(convertedData[0]).toBeCloseTo(86.74, 6);
+        expect(convertedData[1]).toBeCloseTo(173.48, 6);
+        expect(note).toBe('1 EUR = 0.8674 GBP, sample rates for testing, not for quotes');
+        expect(chart.data.datasets[0].data).toEqual([100, 200]);
+        expect(options.valueFormat.currency).toBe('EUR');
+        expect(options.plugins.subtitle.display).toBe(false);
+        expect(subscribed.invokeMethodAsync.mock.calls).toEqual([
+            ['OnDisplayCurrencyChanged', 'GBP', '2026-10-16'],
+            ['OnDisplayCurrencyChanged', null, '2026-10-16']
+        ]);
+        expect(unsubscribed.invokeMethodAsync).not.toHaveBeenCalled();
+        window.currency.unsubscribe(subscriptionId);
+    });
+
+    test('only configured currencies the rate table covers can be chosen for display', async () => {
+        // Arrange
+        await openPage({ DisplayCurrencies: ['EUR', 'GBP', 'JPY'] });
+        await window.currency.loadRates();
+
+        // Act
+        const display = await window.currency.setDisplayCurrency('JPY');
+
+        // Assert
+        expect(window.currency.getDisplayCurrencies()).toEqual(['EUR', 'GBP']);
+        expect(display).toBeNull();
+        expect(console.warn).toHaveBeenCalledWith(expect.stringContaining("'JPY'"));
+    });
+
+    test('rates that are not marked as sample data are noted with their as-of date', async () => {
+        // Arrange
+        const sampleTable = JSON.parse(readWwwroot(RATES_ENDPOINT));
+        const realTable = Object.assign({}, sampleTable, { source: 'ECB reference rates', sample: undefined });
+        await openPage({}, () => jsonResponse(realTable));
+        await window.currency.loadRates();
+
+        // Act
+        const note = window.currency.getRateNote('EUR', 'GBP');
+
+        // Assert
+        expect(sampleTable.sample).toBe(true);
+        expect(window.currency.getRates().sample).toBe(false);
+        expect(note).toBe('1 EUR = 0.8674 GBP, rates as of 16/10/2026');
+    });
+
+    test('without a CurrencyConversion.RatesEndpoint conversion is off and no rates are loaded', async () => {
+        // Arrange
+        const fetch = await openPage({ RatesEndpoint: '' });
+
+        // Act
+        const table = await window.currency.loadRates();
+
+        // Assert
+        expect(window.currency.isEnabled()).toBe(false);
+        expect(table).toBeNull();
+        expect(fetch).not.toHaveBeenCalledWith(expect.stringContaining('exchange-rates'), expect.anything());
+    });
+
+    test('with CurrencyConversion.Enabled false no rates are loaded and charts keep their own currency', async () => {
+        // Arrange
+        const fetch = await openPage({ Enabled: false });
+        localStorage.setItem('vat-filing-display-currency', 'GBP');
+        const options = { valueFormat: { style: 'currency', currency: 'EUR' } };
+        const data = { datasets: [{ data: [100] }] };
+
+        // Act
+        const table = await window.currency.loadRates();
+        window.currency.applyToChartData(data, 'bar', options);
+
+        // Assert
+        expect(table).toBeNull();
+        expect(rateRequests(fetch)).toBe(0);
+        expect(data.datasets[0].data).toEqual([100]);
+        expect(options.valueFormat.currency).toBe('EUR');
+    });
+});
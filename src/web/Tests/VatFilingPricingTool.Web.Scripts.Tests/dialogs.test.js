@@ -0,0 +1,191 @@
+/**
+ * dialogs.test.js - Tests for the modal dialog service in wwwroot/js/dialogs.js
+ * Version: 1.0.0
+ */
+
+const { setupBrowser, loadScripts, flushPromises } = require('./helpers/harness');
+
+/**
+ * Presses a key on the focused element, as the browser would
+ * @param {string} key - The key
+ * @param {object} [modifiers] - Modifier flags such as shiftKey
+ * @returns {KeyboardEvent} The dispatched event
+ */
+function press(key, modifiers) {
+    const event = new KeyboardEvent('keydown', Object.assign({ key, bubbles: true, cancelable: true }, modifiers));
+    (document.activeElement || document.body).dispatchEvent(event);
+    return event;
+}
+
+/**
+ * Clicks a footer button of the top dialog
+ * @param {string} buttonId - The button ID
+ */
+function clickButton(buttonId) {
+    const layers = document.querySelectorAll('.vat-dialog-layer');
+    layers[layers.length - 1].querySelector(`[data-dialog-button="${buttonId}"]`).click();
+}
+
+describe('dialogs.js', () => {
+    let trigger;
+
+    beforeAll(() => {
+        setupBrowser();
+        window.i18n = { t: key => key };
+        loadScripts(['dialogs.js']);
+    });
+
+    beforeEach(() => {
+        document.body.innerHTML = '<button id="archive" type="button">Archive</button><input id="search" type="text">';
+        trigger = document.getElementById('archive');
+        trigger.focus();
+    });
+
+    afterEach(() => {
+        window.dialogs.closeAll();
+    });
+
+    test('an alert starts on OK, resolves when closed and returns focus to where it was', async () => {
+        // Arrange
+        const closed = window.dialogs.alert('Popups are blocked, so the report cannot be printed.');
+        const dialog = document.querySelector('.vat-dialog');
+        const label = document.getElementById(dialog.getAttribute('aria-labelledby')).textContent;
+        const focusedInDialog = document.activeElement.dataset.dialogButton;
+
+        // Act
+        clickButton('ok');
+        const result = await closed;
+
+        // Assert
+        expect(dialog.getAttribute('role')).toBe('alertdialog');
+        expect(dialog.getAttribute('aria-modal')).toBe('true');
+        expect(label).toBe('Popups are blocked, so the report cannot be printed.');
+        expect(focusedInDialog).toBe('ok');
+        expect(result).toBeUndefined();
+        expect(document.activeElement).toBe(trigger);
+        expect(document.body.classList.contains('vat-dialog-open')).toBe(false);
+    });
+
+    test('a confirm resolves true when confirmed and false on Escape or a backdrop click; danger starts on Cancel', async () => {
+        // Arrange
+        const confirmed = window.dialogs.confirm({ message: 'Archive this calculation?', confirmLabel: 'Archive' });
+        clickButton('confirm');
+        const escaped = window.dialogs.confirm({ message: 'Delete this calculation?', danger: true });
+        const dangerFocus = document.activeElement.dataset.dialogButton;
+        const dangerVariant = document.querySelector('[data-dialog-button="confirm"]').className;
+
+        // Act
+        const escape = press('Escape');
+        const backdropped = window.dialogs.confirm('Discard changes?');
+        document.querySelector('.vat-dialog-layer').dispatchEvent(new MouseEvent('mousedown', { bubbles: true }));
+
+        // Assert
+        expect(await confirmed).toBe(true);
+        expect(await escaped).toBe(false);
+        expect(await backdropped).toBe(false);
+        expect(escape.defaultPrevented).toBe(true);
+        expect(dangerFocus).toBe('cancel');
+        expect(dangerVariant).toBe('btn btn-danger');
+        expect(window.dialogs.getOpenCount()).toBe(0);
+    });
+
+    test('Tab and Shift+Tab wrap within the dialog and focus moved to the page is pulled back, except to toasts', () => {
+        // Arrange
+        document.body.insertAdjacentHTML('beforeend', '<div class="notification-stack"><button id="undo" type="button">Undo</button></div>');
+        window.dialogs.confirm('Archive this calculation?');
+        const [close, cancel, confirm] = Array.from(document.querySelectorAll('.vat-dialog button'));
+
+        // Act
+        confirm.focus();
+        press('Tab');
+        const afterTab = document.activeElement;
+        press('Tab', { shiftKey: true });
+        const afterShiftTab = document.activeElement;
+        cancel.focus();
+        document.getElementById('search').focus();
+        const afterPageFocus = document.activeElement;
+        document.getElementById('undo').focus();
+
+        // Assert
+        expect(afterTab).toBe(close);
+        expect(afterShiftTab).toBe(confirm);
+        expect(afterPageFocus).toBe(cancel);
+        expect(document.activeElement.id).toBe('undo');
+    });
+
+    test('a prompt returns the text entered, insists on a value when required and returns null when cancelled', async () => {
+        // Arrange
+        const named = window.dialogs.prompt({ title: 'Rename calculation', inputLabel: 'Name', defaultValue: 'Q3 filing', required: true });
+        const input = document.querySelector('.vat-dialog input');
+        const startedOnInput = document.activeElement === input;
+        input.value = '  ';
+
+        // Act
+        clickButton('ok');
+        const error = document.querySelector('.vat-dialog-error');
+        const errorShown = !error.hidden && input.getAttribute('aria-invalid') === 'true';
+        input.value = 'Q4 filing';
+        input.dispatchEvent(new Event('input'));
+        press('Enter');
+        const cancelled = window.dialogs.prompt('Name this calculation');
+        clickButton('cancel');
+
+        // Assert
+        expect(startedOnInput).toBe(true);
+        expect(errorShown).toBe(true);
+        expect(error.textContent).toBe('dialogs.required');
+        expect(await named).toBe('Q4 filing');
+        expect(await cancelled).toBeNull();
+    });
+
+    test('a custom dialog resolves with the button pressed and the values of its fields, and can refuse dismissal', async () => {
+        // Arrange
+        const opened = window.dialogs.open({
+            title: 'Export settings',
+            html: '<label>Format <select name="format"><option>pdf</option><option selected>xlsx</option></select></label>' +
+                '<label><input type="checkbox" name="breakdown" checked> Include breakdown</label>',
+            buttons: [{ id: 'cancel', label: 'Cancel' }, { id: 'export', label: 'Export', variant: 'primary' }],
+            size: 'lg',
+            dismissible: false
+        });
+        const dialog = document.querySelector('.vat-dialog');
+
+        // Act
+        press('Escape');
+        const openAfterEscape = window.dialogs.getOpenCount();
+        clickButton('export');
+
+        // Assert
+        expect(openAfterEscape).toBe(1);
+        expect(dialog.classList.contains('vat-dialog-lg')).toBe(true);
+        expect(dialog.querySelector('.vat-dialog-close')).toBeNull();
+        expect(await opened).toEqual({ action: 'export', values: { format: 'xlsx', breakdown: 'true' } });
+    });
+
+    test('nested dialogs stack above the one they were opened from, which becomes inert until they close', async () => {
+        // Arrange
+        const outer = window.dialogs.open({ title: 'Calculation settings', buttons: [{ id: 'save', label: 'Save', variant: 'primary' }] });
+        const saveButton = document.querySelector('[data-dialog-button="save"]');
+        const inner = window.dialogs.confirm('Discard the changed rates?');
+        const [outerLayer, innerLayer] = Array.from(document.querySelectorAll('.vat-dialog-layer'));
+        const outerInert = outerLayer.hasAttribute('inert') && outerLayer.getAttribute('aria-hidden') === 'true';
+
+        // Act
+        clickButton('confirm');
+        await flushPromises();
+        const focusAfterInner = document.activeElement;
+        const reopenedInner = window.dialogs.confirm('Discard the changed rates?');
+        window.dispatchEvent(new CustomEvent('vatfilingsessiontimeout'));
+
+        // Assert
+        expect(Number(innerLayer.style.zIndex)).toBeGreaterThan(Number(outerLayer.style.zIndex));
+        expect(outerInert).toBe(true);
+        expect(await inner).toBe(true);
+        expect(outerLayer.hasAttribute('inert')).toBe(false);
+        expect(focusAfterInner).toBe(saveButton);
+        expect(await reopenedInner).toBe(false);
+        expect(await outer).toEqual({ action: null, values: {} });
+        expect(document.querySelectorAll('.vat-dialog-layer')).toHaveLength(0);
+        expect(document.activeElement).toBe(trigger);
+    });
+});
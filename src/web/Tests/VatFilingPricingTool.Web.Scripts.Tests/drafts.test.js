@@ -0,0 +1,213 @@
+/**
+ * drafts.test.js - Tests for the autosave of in-progress forms in wwwroot/js/drafts.js
+ * Version: 1.0.0
+ */
+
+const { setupBrowser, loadScripts } = require('./helpers/harness');
+
+const SAVE_DELAY_MS = 1000;
+const DAY_MS = 86400000;
+
+/**
+ * Reads a user's stored drafts without flushing unsaved changes, as drafts.list would
+ * @param {string} [userId] - The user; the anonymous user's drafts if omitted
+ * @returns {object[]} The stored drafts
+ */
+function storedDrafts(userId) {
+    return window.vatStorage.get(`vat-filing-drafts-${userId || 'anonymous'}`, []);
+}
+
+/**
+ * Lets pending promise callbacks run; the fake timers stop the harness's flushPromises from doing so
+ */
+async function settle() {
+    for (let i = 0; i < 10; i++) {
+        await Promise.resolve();
+    }
+}
+
+/**
+ * Clicks a footer button of the open dialog
+ * @param {string} buttonId - The button ID
+ */
+function clickDialogButton(buttonId) {
+    document.querySelector(`.vat-dialog [data-dialog-button="${buttonId}"]`).click();
+}
+
+describe('drafts.js', () => {
+    beforeAll(async () => {
+        setupBrowser({
+            appSettings: {
+                UIConfiguration: { DefaultLanguage: 'en', SupportedLanguages: ['en'], DateFormat: 'dd/MM/yyyy', TimeFormat: 'HH:mm' },
+                LocalStorage: { ExpirationDays: 7 }
+            }
+        });
+        localStorage.clear();
+        window.chartInstances = {};
+        window.errorReporter = { capture: jest.fn() };
+        window.notifications = { notify: jest.fn() };
+        // debounce is declared by app.js; this stand-in keeps its trailing-edge behaviour
+        window.debounce = (func, wait) => {
+            let timeout;
+            return (...args) => {
+                clearTimeout(timeout);
+                timeout = setTimeout(() => func(...args), wait);
+            };
+        };
+        loadScripts(['storage.js', 'formatting.js', 'subscriptions.js', 'i18n.js', 'dialogs.js', 'drafts.js']);
+        await window.i18n.initialize();
+        jest.useFakeTimers();
+    });
+
+    beforeEach(() => {
+        jest.setSystemTime(new Date(2026, 9, 19, 9, 30));
+        window.drafts.setUser('user-1');
+        localStorage.clear();
+        window.notifications.notify.mockClear();
+        document.body.innerHTML = '';
+    });
+
+    afterAll(() => {
+        jest.useRealTimers();
+    });
+
+    test('changes are saved to one draft per scope once typing pauses, and straight away when the tab is hidden', () => {
+        // Arrange
+        const firstId = window.drafts.update('calculator', { countryCodes: ['DE'] });
+        jest.advanceTimersByTime(SAVE_DELAY_MS / 2);
+        const secondId = window.drafts.update('calculator', { countryCodes: ['DE', 'FR'] });
+
+        // Act
+        jest.advanceTimersByTime(SAVE_DELAY_MS - 1);
+        const beforePause = storedDrafts('user-1');
+        jest.advanceTimersByTime(1);
+        const afterPause = storedDrafts('user-1');
+        window.drafts.update('calculator', { countryCodes: ['DE', 'FR', 'IT'] });
+        Object.defineProperty(document, 'visibilityState', { value: 'hidden', configurable: true });
+        document.dispatchEvent(new Event('visibilitychange'));
+        delete document.visibilityState;
+
+        // Assert
+        expect(secondId).toBe(firstId);
+        expect(beforePause).toEqual([]);
+        expect(afterPause).toHaveLength(1);
+        expect(afterPause[0]).toEqual(expect.objectContaining({ id: firstId, scope: 'calculator', name: 'Draft of 19/10/2026 09:30' }));
+        expect(afterPause[0].data.countryCodes).toEqual(['DE', 'FR']);
+        expect(storedDrafts('user-1')[0].data.countryCodes).toEqual(['DE', 'FR', 'IT']);
+    });
+
+    test('drafts belong to the signed-in user, and signing out saves unsaved changes under that user', () => {
+        // Arrange
+        window.drafts.update('calculator', { countryCodes: ['DE'] });
+
+        // Act
+        window.drafts.setUser(null);
+        const anonymous = window.drafts.list();
+        window.drafts.setUser('user-2');
+        const otherUser = window.drafts.list();
+        window.drafts.setUser('user-1');
+        const sameUser = window.drafts.list('calculator');
+
+        // Assert
+        expect(anonymous).toEqual([]);
+        expect(otherUser).toEqual([]);
+        expect(sameUser.map(draft => draft.data.countryCodes)).toEqual([['DE']]);
+    });
+
+    test('drafts left unchanged for LocalStorage.ExpirationDays are no longer offered', () => {
+        // Arrange
+        const id = window.drafts.update('calculator', { countryCodes: ['DE'] });
+        window.drafts.flush();
+
+        // Act
+        jest.setSystemTime(Date.now() + 6 * DAY_MS);
+        const afterSixDays = window.drafts.get(id);
+        jest.setSystemTime(Date.now() + 2 * DAY_MS);
+        const afterEightDays = window.drafts.get(id);
+
+        // Assert
+        expect(afterSixDays).not.toBeNull();
+        expect(afterEightDays).toBeNull();
+        expect(window.drafts.list()).toEqual([]);
+    });
+
+    test('the restore dialog lists the drafts and restores the chosen one into the tracked form, which then saves to it', async () => {
+        // Arrange
+        document.body.innerHTML = '<form id="calculator"><input name="reference"><input type="checkbox" name="countryCodes" value="DE">' +
+            '<input type="checkbox" name="countryCodes" value="FR"></form>';
+        const older = window.drafts.update('calculator', { reference: 'Q3 filing', countryCodes: ['DE'] });
+        window.drafts.setUser('user-1');
+        jest.advanceTimersByTime(60000);
+        window.drafts.update('calculator', { reference: 'Q4 filing', countryCodes: ['DE', 'FR'] });
+        window.drafts.setUser('user-1');
+        const form = document.getElementById('calculator');
+        const countries = Array.from(form.querySelectorAll('[name="countryCodes"]'));
+
+        // Act
+        const restoring = window.drafts.track(form);
+        const options = Array.from(document.querySelectorAll('.draft-option'));
+        const message = document.querySelector('.vat-dialog-message').textContent;
+        options[1].querySelector('input').checked = true;
+        clickDialogButton('restore');
+        const restored = await restoring;
+        form.elements.reference.value = 'Q3 filing, corrected';
+        form.elements.reference.dispatchEvent(new Event('input', { bubbles: true }));
+        jest.advanceTimersByTime(SAVE_DELAY_MS);
+
+        // Assert
+        expect(message).toBe('You have 2 unfinished calculations.');
+        expect(options.map(option => option.querySelector('.draft-option-details').textContent))
+            .toEqual(['Saved now · 2 countries', 'Saved 1 minute ago · 1 country']);
+        expect(options[0].querySelector('input').checked).toBe(false);
+        expect(restored.id).toBe(older);
+        expect(countries.map(country => country.checked)).toEqual([true, false]);
+        expect(storedDrafts('user-1').find(draft => draft.id === older).data)
+            .toEqual({ reference: 'Q3 filing, corrected', countryCodes: ['DE'] });
+        expect(storedDrafts('user-1')).toHaveLength(2);
+    });
+
+    test('fields whose names contain quotes or brackets are saved, with checkboxes sharing a name kept as a group', async () => {
+        // Arrange
+        document.body.innerHTML = '<form id="quote"><input type="checkbox" name=\'services["vat"]\' value="filing" checked>' +
+            '<input type="checkbox" name=\'services["vat"]\' value="audit"><input type="checkbox" name="terms]" checked></form>';
+        const form = document.getElementById('quote');
+
+        // Act
+        await window.drafts.track(form, { scope: 'quote', offerRestore: false });
+        form.elements[1].checked = true;
+        form.elements[1].dispatchEvent(new Event('change', { bubbles: true }));
+        jest.advanceTimersByTime(SAVE_DELAY_MS);
+
+        // Assert
+        expect(storedDrafts('user-1')[0].data).toEqual({ 'services["vat"]': ['filing', 'audit'], 'terms]': true });
+    });
+
+    test('a draft discarded from the restore dialog can be brought back, and submitting a tracked form deletes its draft', async () => {
+        // Arrange
+        document.body.innerHTML = '<form id="calculator"><input name="reference"></form>';
+        window.drafts.update('calculator', { reference: 'Q3 filing' });
+        window.drafts.setUser('user-1');
+        const form = document.getElementById('calculator');
+
+        // Act
+        const offered = window.drafts.track(form);
+        clickDialogButton('discard');
+        await settle();
+        const afterDiscard = await offered;
+        const discardedNotice = window.notifications.notify.mock.calls[0][0];
+        discardedNotice.actions[0].callback();
+        const afterUndo = window.drafts.list();
+        form.elements.reference.value = 'Q4 filing';
+        form.elements.reference.dispatchEvent(new Event('input', { bubbles: true }));
+        jest.advanceTimersByTime(SAVE_DELAY_MS);
+        const beforeSubmit = storedDrafts('user-1').map(draft => draft.data.reference);
+        form.dispatchEvent(new Event('submit', { cancelable: true }));
+
+        // Assert
+        expect(afterDiscard).toBeNull();
+        expect(discardedNotice.message).toBe('Draft “Draft of 19/10/2026 09:30” discarded.');
+        expect(afterUndo.map(draft => draft.data.reference)).toEqual(['Q3 filing']);
+        expect(beforeSubmit).toEqual(['Q4 filing', 'Q3 filing']);
+        expect(window.drafts.list().map(draft => draft.data.reference)).toEqual(['Q3 filing']);
+    });
+});
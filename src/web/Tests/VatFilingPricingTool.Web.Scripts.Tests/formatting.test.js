@@ -0,0 +1,188 @@
+/**
+ * formatting.test.js - Tests for the locale-aware formatting in wwwroot/js/formatting.js
+ * Version: 1.0.0
+ */
+
+const { setupBrowser, loadScripts } = require('./helpers/harness');
+
+const UI_CONFIGURATION = {
+    DefaultLanguage: 'en',
+    SupportedLanguages: ['en', 'de', 'fr', 'es', 'it'],
+    DefaultCurrency: 'EUR'
+};
+
+/**
+ * Replaces the non-breaking spaces Intl puts between amounts and symbols, so expectations stay readable
+ * @param {string} text - The formatted text
+ * @returns {string} The text with plain spaces
+ */
+function plain(text) {
+    return text.replace(/[\u00a0\u202f]/g, ' ');
+}
+
+describe('formatting.js', () => {
+    let languages;
+
+    beforeAll(() => {
+        setupBrowser({ appSettings: { UIConfiguration: Object.assign({}, UI_CONFIGURATION) } });
+        languages = jest.spyOn(navigator, 'languages', 'get').mockReturnValue(['en-US', 'en']);
+        localStorage.clear();
+        loadScripts(['formatting.js']);
+    });
+
+    beforeEach(() => {
+        window.appSettings.UIConfiguration = Object.assign({}, UI_CONFIGURATION);
+        window.chartInstances = {};
+        window.formatting.setLocale('en-GB');
+    });
+
+    afterAll(() => {
+        languages.mockRestore();
+    });
+
+    test('a chosen locale is persisted, sets the page language and redraws charts', () => {
+        // Arrange
+        const chart = { update: jest.fn() };
+        window.chartInstances = { pricingChart: chart };
+        const changes = [];
+        window.addEventListener('vatfilinglocalechanged', event => changes.push(event.detail.locale));
+
+        // Act
+        const locale = window.formatting.setLocale('de-DE');
+
+        // Assert
+        expect(locale).toBe('de-DE');
+        expect(localStorage.getItem('vat-filing-locale')).toBe('de-DE');
+        expect(document.documentElement.lang).toBe('de-DE');
+        expect(chart.update).toHaveBeenCalledWith('none');
+        expect(changes).toEqual(['de-DE']);
+    });
+
+    test('unsupported locales fall back to the first supported browser language, then DefaultLanguage', () => {
+        // Arrange
+        languages.mockReturnValue(['ja-JP', 'fr-CA']);
+
+        // Act
+        const browserLocale = window.formatting.setLocale('ja-JP');
+        languages.mockReturnValue(['ja-JP']);
+        const defaultLocale = window.formatting.setLocale(null);
+
+        // Assert
+        expect(browserLocale).toBe('fr-CA');
+        expect(defaultLocale).toBe('en');
+        expect(localStorage.getItem('vat-filing-locale')).toBeNull();
+        languages.mockReturnValue(['en-US', 'en']);
+    });
+
+    test('currency, numbers, percentages and compact numbers follow the locale', () => {
+        // Act
+        const english = [
+            window.formatting.formatCurrency(1234.5),
+            window.formatting.formatNumber(1234.5),
+            window.formatting.formatPercent(0.155, 1),
+            window.formatting.formatCompact(12500),
+            window.formatting.formatCompact(1200000, 'EUR')
+        ];
+        window.formatting.setLocale('de-DE');
+        const german = [window.formatting.formatCurrency(1234.5), window.formatting.formatNumber(1234.5, 0)];
+
+        // Assert
+        expect(english).toEqual(['€1,234.50', '1,234.50', '15.5%', '12.5K', '€1.2M']);
+        expect(german.map(plain)).toEqual(['1.234,50 €', '1.235']);
+    });
+
+    test('UIConfiguration.NumberFormat overrides the separators and default decimal places of the locale', () => {
+        // Arrange
+        window.appSettings.UIConfiguration.NumberFormat = { DecimalSeparator: ',', ThousandsSeparator: ' ', DecimalPlaces: 3 };
+
+        // Act
+        const number = window.formatting.formatNumber(1234567.5);
+        const currency = window.formatting.formatCurrency(1234.5, 'GBP');
+        const explicit = window.formatting.formatCurrency(1234.5, 'GBP', 0);
+
+        // Assert
+        expect(number).toBe('1 234 567,500');
+        expect(currency).toBe('£1 234,500');
+        expect(explicit).toBe('£1 235');
+    });
+
+    test('dates and times use UIConfiguration.DateFormat and TimeFormat, including literals and month names', () => {
+        // Arrange
+        const date = new Date(2024, 2, 5, 9, 7, 3);
+        window.appSettings.UIConfiguration.DateFormat = 'dd/MM/yyyy';
+        window.appSettings.UIConfiguration.TimeFormat = 'HH:mm';
+
+        // Act
+        const dateTime = window.formatting.formatDate(date, 'datetime');
+        window.appSettings.UIConfiguration.DateFormat = "d 'de' MMMM yyyy";
+        window.appSettings.UIConfiguration.TimeFormat = 'h:mm tt';
+        window.formatting.setLocale('es-ES');
+        const spanish = window.formatting.formatDate(date);
+        const time = window.formatting.formatDate(new Date(2024, 2, 5, 21, 30), 'time');
+
+        // Assert
+        expect(dateTime).toBe('05/03/2024 09:07');
+        expect(spanish).toBe('5 de marzo 2024');
+        expect(time).toBe('9:30 PM');
+        expect(window.formatting.formatDate('not a date')).toBe('');
+    });
+
+    test('relative times pick the largest whole unit and read naturally', () => {
+        // Arrange
+        const now = new Date(2024, 2, 5, 12, 0, 0);
+
+        // Act
+        const results = [
+            window.formatting.formatRelativeTime(new Date(2024, 2, 2, 12, 0, 0), now),
+            window.formatting.formatRelativeTime(new Date(2024, 2, 4, 12, 0, 0), now),
+            window.formatting.formatRelativeTime(new Date(2024, 2, 5, 14, 0, 0), now),
+            window.formatting.formatRelativeTime(now, now)
+        ];
+
+        // Assert
+        expect(results).toEqual(['3 days ago', 'yesterday', 'in 2 hours', 'now']);
+    });
+
+    test('formatters are created once per locale and options, and again after the locale changes', () => {
+        // Arrange
+        const constructor = jest.spyOn(Intl, 'NumberFormat');
+
+        // Act
+        window.formatting.formatNumber(1, 4);
+        window.formatting.formatNumber(2, 4);
+        window.formatting.formatNumber(3, 4);
+        const afterRepeatedCalls = constructor.mock.calls.length;
+        window.formatting.setLocale('it-IT');
+        window.formatting.formatNumber(4, 4);
+
+        // Assert
+        expect(afterRepeatedCalls).toBe(1);
+        expect(constructor).toHaveBeenCalledTimes(2);
+        expect(constructor.mock.calls[1][0]).toBe('it-IT');
+        constructor.mockRestore();
+    });
+
+    test('chart tooltips and value axes format values like the rest of the page', () => {
+        // Arrange
+        const bar = { valueFormat: { style: 'currency', currency: 'EUR', decimals: 0 } };
+        const horizontal = { indexAxis: 'y', valueFormat: { style: 'percent', decimals: 1 } };
+        const pie = { valueFormat: { style: 'number' } };
+        const custom = { scales: { y: { ticks: { callback: () => 'kept' } } } };
+
+        // Act
+        window.formatting.applyToChartOptions(bar, 'bar');
+        window.formatting.applyToChartOptions(horizontal, 'bar');
+        window.formatting.applyToChartOptions(pie, 'pie');
+        window.formatting.applyToChartOptions(custom, 'line');
+
+        // Assert
+        expect(bar.plugins.tooltip.callbacks.label({ parsed: { x: 0, y: 1500 }, dataset: { label: 'Fees' }, label: 'DE' })).toBe('Fees: €1,500');
+        expect(bar.scales.y.ticks.callback(1500000)).toBe('€1.5M');
+        expect(horizontal.plugins.tooltip.callbacks.label({ parsed: { x: 0.125, y: 0 }, dataset: { label: 'Share' } })).toBe('Share: 12.5%');
+        expect(horizontal.scales.x.ticks.callback(0.2)).toBe('20.0%');
+        expect(pie.plugins.tooltip.callbacks.label({ parsed: 42.5, dataset: { label: 'Fees' }, label: 'DE' })).toBe('DE: 42.50');
+        expect(pie.scales).toBeUndefined();
+        expect(custom.scales.y.ticks.callback(1)).toBe('kept');
+        expect(custom.valueFormat).toEqual({ style: 'number' });
+    });
+});
@@ -0,0 +1,246 @@
+/**
+ * harness.js - Loads VatFilingPricingTool browser scripts into the Jest jsdom environment
+ * The scripts in wwwroot/js are plain browser scripts that attach themselves to window, so they are
+ * evaluated in the test's global scope in the same order index.html loads them
+ * Version: 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { TextEncoder, TextDecoder } = require('util');
+const { webcrypto } = require('crypto');
+
+// fake-indexeddb clones values with realistic-structured-clone, which turns CryptoKey objects into empty
+// objects; browsers store them as they are, so keys are passed through (they are immutable) and the rest cloned
+jest.mock('fake-indexeddb/build/lib/structuredClone', () => {
+    const clone = jest.requireActual('fake-indexeddb/build/lib/structuredClone').default;
+    const isCryptoKey = value => Object.prototype.toString.call(value) === '[object CryptoKey]';
+    const isPlain = value => Array.isArray(value) || (!!value && Object.getPrototypeOf(value) === Object.prototype);
+    const map = (value, replace) => {
+        const replaced = replace(value);
+        if (replaced !== value || !isPlain(value)) {
+            return replaced;
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => map(item, replace));
+        }
+        return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, map(item, replace)]));
+    };
+
+    return {
+        __esModule: true,
+        default: value => {
+            const keys = [];
+            const stripped = map(value, item => isCryptoKey(item) ? { __cryptoKey: keys.push(item) - 1 } : item);
+            return map(clone(stripped), item => item && typeof item.__cryptoKey === 'number' ? keys[item.__cryptoKey] : item);
+        }
+    };
+});
+
+const FDBFactory = require('fake-indexeddb/lib/FDBFactory');
+const FDBKeyRange = require('fake-indexeddb/lib/FDBKeyRange');
+
+const WWWROOT = path.resolve(__dirname, '../../../VatFilingPricingTool.Web/wwwroot');
+
+/**
+ * Reads a file from wwwroot
+ * @param {string} relativePath - The path relative to wwwroot, e.g. 'i18n/en.json'
+ * @returns {string} The file contents
+ */
+function readWwwroot(relativePath) {
+    return fs.readFileSync(path.join(WWWROOT, relativePath), 'utf8');
+}
+
+/**
+ * Builds a minimal fetch Response for the stubbed network
+ * @param {*} body - A string, or a value serialised as JSON
+ * @param {number} [status] - The HTTP status (default 200)
+ * @returns {object} The response
+ */
+function jsonResponse(body, status) {
+    const code = status || 200;
+    const text = typeof body === 'string' ? body : JSON.stringify(body);
+    return {
+        ok: code >= 200 && code < 300,
+        status: code,
+        statusText: code === 200 ? 'OK' : String(code),
+        headers: { get: () => 'application/json' },
+        json: () => Promise.resolve(JSON.parse(text)),
+        text: () => Promise.resolve(text),
+        clone: function() { return jsonResponse(body, status); }
+    };
+}
+
+/**
+ * Creates a fetch stub serving the message catalogs from wwwroot/i18n, the given routes and 404 for anything else
+ * @param {object} [routes] - Responses keyed by URL substring; values are bodies or functions (url, init) returning a response
+ * @returns {jest.Mock} The fetch mock
+ */
+function createFetch(routes) {
+    return jest.fn((input, init) => {
+        const url = String(input && input.url ? input.url : input);
+        const match = Object.keys(routes || {}).find(key => url.includes(key));
+        if (match) {
+            const route = routes[match];
+            return Promise.resolve(typeof route === 'function' ? route(url, init) : jsonResponse(route));
+        }
+        const catalog = /i18n\/(\w+)\.json$/.exec(url);
+        if (catalog && fs.existsSync(path.join(WWWROOT, 'i18n', `${catalog[1]}.json`))) {
+            return Promise.resolve(jsonResponse(readWwwroot(`i18n/${catalog[1]}.json`)));
+        }
+        return Promise.resolve(jsonResponse({}, 404));
+    });
+}
+
+/**
+ * Prepares the browser globals the scripts expect and that jsdom lacks
+ * @param {object} [options] - Options ({ appSettings, routes, quiet: true })
+ */
+function setupBrowser(options) {
+    const settings = options || {};
+    if (typeof window.TextEncoder === 'undefined') {
+        window.TextEncoder = TextEncoder;
+        window.TextDecoder = TextDecoder;
+    }
+    if (!window.crypto || !window.crypto.subtle) {
+        Object.defineProperty(window, 'crypto', { value: webcrypto, configurable: true });
+    }
+    if (typeof window.matchMedia !== 'function') {
+        window.matchMedia = query => ({
+            matches: false,
+            media: query,
+            addEventListener: () => {},
+            removeEventListener: () => {},
+            addListener: () => {},
+            removeListener: () => {}
+        });
+    }
+    window.fetch = createFetch(settings.routes);
+    window.appSettings = settings.appSettings || {};
+
+    // The scripts report failures to the console by design; tests assert on behaviour instead
+    if (settings.quiet !== false) {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    }
+}
+
+/**
+ * Gives the window a fresh, empty in-memory IndexedDB
+ */
+function setupIndexedDb() {
+    window.indexedDB = new FDBFactory();
+    window.IDBKeyRange = FDBKeyRange;
+}
+
+/**
+ * Evaluates scripts from wwwroot/js in the global scope, in the given order
+ * @param {string[]} names - Script names without the folder, e.g. ['storage.js', 'drafts.js']
+ */
+function loadScripts(names) {
+    names.forEach(name => {
+        const source = readWwwroot(`js/${name}`);
+        // Indirect eval runs the script as a classic script in the jsdom global
+        (0, eval)(`${source}\n//# sourceURL=wwwroot/js/${name}`);
+    });
+}
+
+/**
+ * Creates a stand-in for a DotNetObjectReference as Blazor passes it to JavaScript
+ * @param {function} [handler] - Called with (methodName, ...args); its return value resolves the invocation
+ * @returns {{invokeMethodAsync: jest.Mock}} The reference
+ */
+function createDotNetRef(handler) {
+    return {
+        invokeMethodAsync: jest.fn((methodName, ...args) => Promise.resolve(handler ? handler(methodName, ...args) : undefined))
+    };
+}
+
+/**
+ * A stand-in for a Chart.js chart that keeps the configuration it was created with; plugins'
+ * beforeDraw hooks run once on creation, as an unanimated Chart.js chart draws synchronously
+ */
+class ChartStub {
+    constructor(ctx, config) {
+        this.ctx = ctx;
+        this.canvas = ctx.canvas;
+        this.width = ctx.canvas.width;
+        this.height = ctx.canvas.height;
+        this.config = { type: config.type, options: config.options };
+        this.options = config.options;
+        this.data = config.data;
+        this.update = jest.fn();
+        this.destroy = jest.fn();
+        ChartStub.created.push(this);
+        (config.plugins || []).forEach(plugin => plugin.beforeDraw && plugin.beforeDraw(this));
+    }
+
+    isDatasetVisible(index) {
+        return !this.data.datasets[index].hidden;
+    }
+}
+ChartStub.created = [];
+ChartStub.defaults = { plugins: { legend: { onClick: () => {} } } };
+ChartStub.overrides = {};
+
+/**
+ * A stand-in for BroadcastChannel that delivers each message to the other open channels of the same
+ * name, as the channels of other tabs would receive it; every message posted is kept in `posted`
+ */
+class ChannelStub {
+    constructor(name) {
+        this.name = name;
+        this.listeners = [];
+        ChannelStub.open.push(this);
+    }
+
+    addEventListener(type, listener) {
+        this.listeners.push(listener);
+    }
+
+    removeEventListener(type, listener) {
+        this.listeners = this.listeners.filter(other => other !== listener);
+    }
+
+    postMessage(data) {
+        ChannelStub.posted.push(data);
+        ChannelStub.open
+            .filter(other => other !== this && other.name === this.name)
+            .forEach(other => other.listeners.forEach(listener => listener({ data })));
+    }
+
+    /**
+     * Forgets every open channel and posted message
+     */
+    static reset() {
+        ChannelStub.open = [];
+        ChannelStub.posted = [];
+    }
+}
+ChannelStub.reset();
+
+/**
+ * Waits for pending promise callbacks and the given number of timer turns
+ * @param {number} [turns] - The number of macrotask turns to wait (default 1)
+ * @returns {Promise<void>} Promise resolving once they have run
+ */
+async function flushPromises(turns) {
+    for (let i = 0; i < (turns || 1); i++) {
+        await new Promise(resolve => setTimeout(resolve, 0));
+    }
+}
+
+module.exports = {
+    WWWROOT,
+    readWwwroot,
+    jsonResponse,
+    createFetch,
+    setupBrowser,
+    setupIndexedDb,
+    loadScripts,
+    createDotNetRef,
+    ChartStub,
+    ChannelStub,
+    flushPromises
+};
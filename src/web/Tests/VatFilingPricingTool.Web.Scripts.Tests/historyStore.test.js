@@ -0,0 +1,175 @@
+/**
+ * historyStore.test.js - Tests for the IndexedDB calculation history in wwwroot/js/historyStore.js
+ * Version: 1.0.0
+ */
+
+const { setupBrowser, setupIndexedDb, loadScripts } = require('./helpers/harness');
+
+/**
+ * Builds a calculation result
+ * @param {string} calculationId - The calculation ID
+ * @param {object} [overrides] - Fields replacing the defaults
+ * @returns {object} A CalculationResultModel-shaped object
+ */
+function buildResult(calculationId, overrides) {
+    return Object.assign({
+        calculationId,
+        calculationDate: '2024-03-01T10:00:00',
+        serviceType: 1,
+        transactionVolume: 100,
+        filingFrequency: 2,
+        totalCost: 100,
+        countryBreakdowns: [{ countryCode: 'gb' }],
+        isArchived: false
+    }, overrides);
+}
+
+/**
+ * Gets the IDs of a page of results
+ * @param {object} page - The page returned by query
+ * @returns {string[]} The calculation IDs, in order
+ */
+function ids(page) {
+    return page.items.map(item => item.calculationId);
+}
+
+describe('historyStore.js', () => {
+    beforeEach(() => {
+        setupBrowser();
+        setupIndexedDb();
+        localStorage.clear();
+        loadScripts(['storage.js', 'indexedDb.js', 'historyStore.js']);
+    });
+
+    test('results round-trip without the fields added for indexing', async () => {
+        // Arrange
+        await window.historyStore.setUser('user-1');
+
+        // Act
+        await window.historyStore.save(buildResult('calc-1'));
+        const result = await window.historyStore.get('calc-1');
+
+        // Assert
+        expect(result).toEqual(buildResult('calc-1'));
+    });
+
+    test('each user only sees their own results', async () => {
+        // Arrange
+        await window.historyStore.setUser('user-1');
+        await window.historyStore.saveMany([buildResult('calc-1'), buildResult('calc-2')]);
+        await window.historyStore.setUser('user-2');
+        await window.historyStore.save(buildResult('calc-3'));
+
+        // Act
+        const page = await window.historyStore.query({ countryCodes: ['GB'] });
+        const other = await window.historyStore.get('calc-1');
+
+        // Assert
+        expect(ids(page)).toEqual(['calc-3']);
+        expect(other).toBeNull();
+        expect(await window.historyStore.count()).toBe(1);
+    });
+
+    test('signing out removes only the signed-out user\'s results', async () => {
+        // Arrange
+        await window.historyStore.setUser('user-2');
+        await window.historyStore.save(buildResult('calc-2'));
+        await window.historyStore.setUser('user-1');
+        await window.historyStore.save(buildResult('calc-1'));
+
+        // Act
+        await window.historyStore.signOut();
+
+        // Assert
+        expect(await window.historyStore.count()).toBe(0);
+        await window.historyStore.setUser('user-1');
+        expect(await window.historyStore.count()).toBe(0);
+        await window.historyStore.setUser('user-2');
+        expect(ids(await window.historyStore.query())).toEqual(['calc-2']);
+    });
+
+    test('a date-only end date includes the whole of that day', async () => {
+        // Arrange
+        await window.historyStore.setUser('user-1');
+        await window.historyStore.saveMany([
+            buildResult('morning', { calculationDate: new Date(2024, 2, 31, 9, 0).toISOString() }),
+            buildResult('evening', { calculationDate: new Date(2024, 2, 31, 23, 30).toISOString() }),
+            buildResult('next-day', { calculationDate: new Date(2024, 3, 1, 0, 0).toISOString() }),
+            buildResult('before', { calculationDate: new Date(2024, 2, 29, 23, 59).toISOString() })
+        ]);
+
+        // Act
+        const dateOnly = await window.historyStore.query({ startDate: '2024-03-30', endDate: '2024-03-31' });
+        const midnight = await window.historyStore.query({ endDate: '2024-03-31T00:00:00', sortDescending: false });
+        const exact = await window.historyStore.query({ endDate: new Date(2024, 2, 31, 12, 0).toISOString() });
+
+        // Assert
+        expect(ids(dateOnly)).toEqual(['evening', 'morning']);
+        expect(ids(midnight)).toEqual(['before', 'morning', 'evening']);
+        expect(ids(exact)).toEqual(['morning', 'before']);
+    });
+
+    test('queries filter by country, service type and archived flag, then sort and page', async () => {
+        // Arrange
+        await window.historyStore.setUser('user-1');
+        await window.historyStore.saveMany([
+            buildResult('a', { totalCost: 300, countryBreakdowns: [{ countryCode: 'GB' }, { countryCode: 'DE' }] }),
+            buildResult('b', { totalCost: 100, countryBreakdowns: [{ countryCode: 'DE' }] }),
+            buildResult('c', { totalCost: 200, countryBreakdowns: [{ countryCode: 'FR' }], serviceType: 2 }),
+            buildResult('d', { totalCost: 400, countryBreakdowns: [{ countryCode: 'DE' }], isArchived: true })
+        ]);
+
+        // Act
+        const germany = await window.historyStore.query({ countryCodes: ['de'], sortBy: 'TotalCost', sortDescending: false });
+        const archived = await window.historyStore.query({ countryCodes: ['DE'], includeArchived: true, sortBy: 'TotalCost' });
+        const service = await window.historyStore.query({ serviceType: 2 });
+        const secondPage = await window.historyStore.query({ sortBy: 'TotalCost', pageSize: 2, pageNumber: 2 });
+
+        // Assert
+        expect(ids(germany)).toEqual(['b', 'a']);
+        expect(ids(archived)).toEqual(['d', 'a', 'b']);
+        expect(ids(service)).toEqual(['c']);
+        expect(secondPage).toEqual(expect.objectContaining({ totalCount: 3, totalPages: 2, pageNumber: 2, pageSize: 2 }));
+        expect(ids(secondPage)).toEqual(['b']);
+    });
+
+    test('setArchived hides a result from queries that leave out archived calculations', async () => {
+        // Arrange
+        await window.historyStore.setUser('user-1');
+        await window.historyStore.save(buildResult('calc-1'));
+
+        // Act
+        const found = await window.historyStore.setArchived('calc-1', true);
+        const missing = await window.historyStore.setArchived('calc-unknown', true);
+
+        // Assert
+        expect(found).toBe(true);
+        expect(missing).toBe(false);
+        expect((await window.historyStore.query()).totalCount).toBe(0);
+        expect((await window.historyStore.get('calc-1')).isArchived).toBe(true);
+    });
+
+    test('history kept in local storage is moved into its owner\'s results only, and results with no owner are discarded', async () => {
+        // Arrange
+        window.vatStorage.set('vat_filing_calculation_history', [
+            buildResult('mine', { userId: 'user-1' }),
+            buildResult('theirs', { UserId: 'user-2' }),
+            buildResult('unowned')
+        ]);
+
+        // Act
+        await window.historyStore.setUser('user-1');
+        const firstUser = ids(await window.historyStore.query());
+        const leftForOthers = window.vatStorage.get('vat_filing_calculation_history').map(item => item.calculationId);
+        await window.historyStore.setUser('user-2');
+        const secondUser = ids(await window.historyStore.query());
+        await window.historyStore.setUser('user-3');
+
+        // Assert
+        expect(firstUser).toEqual(['mine']);
+        expect(leftForOthers).toEqual(['theirs']);
+        expect(secondUser).toEqual(['theirs']);
+        expect(await window.historyStore.count()).toBe(0);
+        expect(localStorage.getItem('vat_filing_calculation_history')).toBeNull();
+    });
+});
@@ -0,0 +1,155 @@
+/**
+ * i18n.test.js - Tests for the message catalogs and translation in wwwroot/js/i18n.js
+ * Version: 1.0.0
+ */
+
+const { setupBrowser, loadScripts, createDotNetRef, readWwwroot, flushPromises } = require('./helpers/harness');
+
+const LANGUAGES = ['en', 'de', 'fr', 'es', 'it'];
+
+/**
+ * Lists the dotted keys of a message catalog
+ * @param {object} catalog - The catalog
+ * @param {string} [prefix] - The prefix of nested keys
+ * @returns {string[]} The keys
+ */
+function catalogKeys(catalog, prefix) {
+    return Object.keys(catalog).reduce((keys, name) => {
+        const key = prefix ? `${prefix}.${name}` : name;
+        return keys.concat(typeof catalog[name] === 'object' ? catalogKeys(catalog[name], key) : [key]);
+    }, []);
+}
+
+/**
+ * Prepares the browser and loads i18n.js with the scripts it depends on
+ * @param {object} [routes] - Catalog responses replacing those in wwwroot/i18n
+ */
+function openPage(routes) {
+    setupBrowser({
+        appSettings: { UIConfiguration: { DefaultLanguage: 'en', SupportedLanguages: LANGUAGES } },
+        routes
+    });
+    localStorage.clear();
+    window.chartInstances = {};
+    loadScripts(['formatting.js', 'subscriptions.js', 'i18n.js']);
+}
+
+describe('i18n.js', () => {
+    beforeAll(async () => {
+        openPage();
+        await window.i18n.initialize();
+    });
+
+    afterEach(async () => {
+        await window.i18n.setLanguage('en');
+    });
+
+    test('marked elements and attributes are translated, including content rendered later', () => {
+        // Arrange
+        document.body.innerHTML = '<section><h1 data-i18n="print.preview"></h1>' +
+            '<button data-i18n-attr="title:print.close; aria-label:app.dismiss">x</button></section>';
+
+        // Act
+        window.i18n.translate(document.body.firstChild);
+
+        // Assert
+        expect(document.querySelector('h1').textContent).toBe('Print preview');
+        expect(document.querySelector('button').getAttribute('title')).toBe('Close');
+        expect(document.querySelector('button').getAttribute('aria-label')).toBe('Dismiss');
+    });
+
+    test('messages interpolate arguments and choose plural forms, with exact matches first', () => {
+        // Act
+        const results = [
+            window.i18n.t('drafts.countries', { count: 0 }),
+            window.i18n.t('drafts.countries', { count: 1 }),
+            window.i18n.t('drafts.countries', { count: 1234 }),
+            window.i18n.t('offlineQueue.description', { count: 2 }),
+            window.i18n.t('drafts.unknownKey')
+        ];
+
+        // Assert
+        expect(results).toEqual(['No countries', '1 country', '1,234 countries', '2 countries, queued {date}', 'drafts.unknownKey']);
+        expect(window.i18n.has('drafts.countries')).toBe(true);
+        expect(window.i18n.has('drafts.unknownKey')).toBe(false);
+    });
+
+    test('switching language re-translates the page and charts and notifies subscribers by subscription ID', async () => {
+        // Arrange
+        document.body.innerHTML = '<h1 data-i18n="print.preview"></h1>';
+        const chart = { data: { labelKeys: ['print.portrait', 'print.landscape'], labels: [], datasets: [{ labelKey: 'print.paper' }] }, update: jest.fn() };
+        window.chartInstances = { pricingChart: chart };
+        const subscribed = createDotNetRef();
+        const unsubscribed = createDotNetRef();
+        const subscriptionId = window.i18n.subscribe(subscribed);
+        window.i18n.unsubscribe(window.i18n.subscribe(unsubscribed, 'OnOther'));
+        const events = [];
+        window.addEventListener('vatfilinglanguagechanged', event => events.push(event.detail.language));
+
+        // Act
+        const language = await window.i18n.setLanguage('de');
+        await flushPromises();
+
+        // Assert
+        expect(language).toBe('de');
+        expect(window.formatting.getLocale()).toBe('de');
+        expect(document.querySelector('h1').textContent).toBe('Druckvorschau');
+        expect(chart.data.labels).toEqual(['Hochformat', 'Querformat']);
+        expect(chart.data.datasets[0].label).toBe('Papier');
+        expect(chart.update).toHaveBeenCalledWith('none');
+        expect(subscribed.invokeMethodAsync).toHaveBeenCalledWith('OnLanguageChanged', 'de');
+        expect(unsubscribed.invokeMethodAsync).not.toHaveBeenCalled();
+        expect(events).toEqual(['de']);
+        expect(window.i18n.t('drafts.countries', { count: 2 })).toBe('2 Länder');
+        window.i18n.unsubscribe(subscriptionId);
+    });
+
+    test('an unsupported language falls back to DefaultLanguage', async () => {
+        // Arrange
+        await window.i18n.setLanguage('fr');
+
+        // Act
+        const language = await window.i18n.setLanguage('ja');
+
+        // Assert
+        expect(language).toBe('en');
+        expect(console.warn).toHaveBeenCalledWith(expect.stringContaining("'ja'"));
+    });
+
+    test('every catalog has the keys of the English catalog and every message parses', async () => {
+        // Arrange
+        const englishKeys = catalogKeys(JSON.parse(readWwwroot('i18n/en.json'))).sort();
+        console.error.mockClear();
+
+        // Act & Assert
+        for (const language of LANGUAGES) {
+            expect(catalogKeys(JSON.parse(readWwwroot(`i18n/${language}.json`))).sort()).toEqual(englishKeys);
+            await window.i18n.setLanguage(language);
+            englishKeys.forEach(key => window.i18n.t(key, { count: 2, min: 2, max: 5 }));
+        }
+        expect(console.error).not.toHaveBeenCalled();
+    });
+});
+
+describe('i18n.js with an incomplete catalog', () => {
+    beforeAll(async () => {
+        openPage({ 'i18n/it.json': { app: { title: 'Strumento prezzi IVA', reload: '{count, plural, one {# volta}}' } } });
+        await window.i18n.initialize();
+        await window.i18n.setLanguage('it');
+    });
+
+    test('messages missing from the language fall back to DefaultLanguage', () => {
+        // Act & Assert
+        expect(window.i18n.t('app.title')).toBe('Strumento prezzi IVA');
+        expect(window.i18n.t('app.dismiss')).toBe('Dismiss');
+    });
+
+    test('a malformed message is shown as written and the error is logged', () => {
+        // Act
+        const text = window.i18n.t('app.reload', { count: 1 });
+
+        // Assert
+        expect(text).toBe('{count, plural, one {# volta}}');
+        expect(console.error).toHaveBeenCalledWith(expect.stringContaining("'count' has no 'other' option"));
+    });
+});
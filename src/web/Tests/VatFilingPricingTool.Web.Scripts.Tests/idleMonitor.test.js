@@ -0,0 +1,133 @@
+/**
+ * idleMonitor.test.js - Tests for the idle-session warning and sign-out in wwwroot/js/idleMonitor.js
+ * Version: 1.0.0
+ */
+
+const { setupBrowser, loadScripts, createDotNetRef } = require('./helpers/harness');
+
+const MINUTE_MS = 60000;
+
+/**
+ * Presses a key on the document, as the browser would before moving focus
+ * @param {string} key - The key
+ * @param {boolean} [shiftKey] - Whether Shift is held
+ * @returns {KeyboardEvent} The dispatched event
+ */
+function press(key, shiftKey) {
+    const event = new KeyboardEvent('keydown', { key, shiftKey: !!shiftKey, bubbles: true, cancelable: true });
+    document.activeElement.dispatchEvent(event);
+    return event;
+}
+
+describe('idleMonitor.js', () => {
+    let trigger;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        setupBrowser({ appSettings: { UIConfiguration: { SessionTimeoutMinutes: 2, IdleWarningMinutes: 1 } } });
+        localStorage.clear();
+        document.body.innerHTML =
+            '<main id="app"><button id="trigger">Calculate</button></main>' +
+            '<aside id="help" aria-hidden="false"><a href="#help">Help</a></aside>' +
+            '<div class="notification-stack"><button id="undo">Undo</button></div>';
+        trigger = document.getElementById('trigger');
+        trigger.focus();
+
+        window.i18n = { t: key => key === 'idleWarning.message' ? 'Signing out in {countdown}.' : key };
+        window.throttle = func => func;
+        window.tabSync = undefined;
+        window.removeLocalStorageItem = jest.fn(key => localStorage.removeItem(key));
+        loadScripts(['subscriptions.js', 'idleMonitor.js']);
+        window.idleMonitor.start();
+    });
+
+    afterEach(() => {
+        window.idleMonitor.stop();
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    test('the warning appears at IdleWarningMinutes with a countdown and makes the rest of the page inert', () => {
+        // Arrange
+        const dotNetRef = createDotNetRef();
+        window.idleMonitor.subscribe(dotNetRef);
+
+        // Act
+        jest.advanceTimersByTime(MINUTE_MS);
+
+        // Assert
+        const dialog = document.querySelector('.idle-warning-dialog');
+        expect(dialog.getAttribute('role')).toBe('alertdialog');
+        expect(dialog.querySelector('.idle-warning-countdown').textContent).toBe('1:00');
+        expect(document.activeElement.dataset.action).toBe('stay');
+        expect(document.getElementById('app').hasAttribute('inert')).toBe(true);
+        expect(document.getElementById('help').getAttribute('aria-hidden')).toBe('true');
+        expect(document.querySelector('.notification-stack').hasAttribute('inert')).toBe(false);
+        expect(document.querySelector('.idle-warning').hasAttribute('inert')).toBe(false);
+        expect(dotNetRef.invokeMethodAsync).toHaveBeenCalledWith('OnIdleStateChanged', 'warning', MINUTE_MS);
+    });
+
+    test('Tab and Shift+Tab stay within the warning and focus moved to the page is pulled back', () => {
+        // Arrange
+        jest.advanceTimersByTime(MINUTE_MS);
+        const logout = document.querySelector('[data-action="logout"]');
+        const stay = document.querySelector('[data-action="stay"]');
+
+        // Act & Assert
+        expect(press('Tab').defaultPrevented).toBe(true);
+        expect(document.activeElement).toBe(logout);
+        press('Tab', true);
+        expect(document.activeElement).toBe(stay);
+        trigger.focus();
+        expect(document.activeElement).toBe(stay);
+        document.getElementById('undo').focus();
+        expect(document.activeElement.id).toBe('undo');
+    });
+
+    test('staying signed in removes the warning, restores the page and returns focus', () => {
+        // Arrange
+        const dotNetRef = createDotNetRef();
+        window.idleMonitor.subscribe(dotNetRef);
+        jest.advanceTimersByTime(MINUTE_MS);
+
+        // Act
+        document.querySelector('[data-action="stay"]').click();
+
+        // Assert
+        expect(document.querySelector('.idle-warning')).toBeNull();
+        expect(document.getElementById('app').hasAttribute('inert')).toBe(false);
+        expect(document.getElementById('app').hasAttribute('aria-hidden')).toBe(false);
+        expect(document.getElementById('help').getAttribute('aria-hidden')).toBe('false');
+        expect(document.activeElement).toBe(trigger);
+        expect(dotNetRef.invokeMethodAsync).toHaveBeenLastCalledWith('OnIdleStateChanged', 'active', 2 * MINUTE_MS);
+        expect(window.idleMonitor.getRemainingMs()).toBe(2 * MINUTE_MS);
+    });
+
+    test('at the timeout subscribers are told to sign out, and every session key is removed', async () => {
+        // Arrange
+        const sessionKeys = ['vat_filing_auth_token', 'vat_filing_refresh_token', 'vat_filing_token_expiration', 'vat_filing_user_data'];
+        sessionKeys.forEach(key => localStorage.setItem(key, 'value'));
+        localStorage.setItem('vat_filing_drafts', '[]');
+        const subscribed = createDotNetRef();
+        const unsubscribed = createDotNetRef();
+        window.idleMonitor.subscribe(subscribed);
+        window.idleMonitor.unsubscribe(window.idleMonitor.subscribe(unsubscribed));
+        const timeouts = [];
+        window.addEventListener('vatfilingsessiontimeout', event => timeouts.push(event.detail.reason));
+
+        // Act
+        jest.advanceTimersByTime(2 * MINUTE_MS);
+        for (let i = 0; i < 5; i++) {
+            await Promise.resolve();
+        }
+
+        // Assert
+        expect(timeouts).toEqual(['timeout']);
+        expect(subscribed.invokeMethodAsync).toHaveBeenLastCalledWith('OnIdleStateChanged', 'timeout', 0);
+        expect(unsubscribed.invokeMethodAsync).not.toHaveBeenCalled();
+        expect(window.removeLocalStorageItem.mock.calls.map(call => call[0]).sort()).toEqual(sessionKeys.slice().sort());
+        expect(localStorage.getItem('vat_filing_drafts')).toBe('[]');
+        expect(window.idleMonitor.isRunning()).toBe(false);
+        expect(document.getElementById('app').hasAttribute('inert')).toBe(false);
+    });
+});
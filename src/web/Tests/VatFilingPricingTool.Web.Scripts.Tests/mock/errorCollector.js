@@ -0,0 +1,167 @@
+/**
+ * errorCollector.js - A local stand-in for the ErrorHandling.ErrorReportingEndpoint (/api/errors/report)
+ * Records the batches errorReporter.js posts over real HTTP and answers with a chosen status, so
+ * delivery, retry and offline buffering can be tested end to end. Run it directly
+ * (node errorCollector.js [port]) to watch the reports of a development build.
+ * Version: 1.0.0
+ */
+
+const http = require('http');
+
+const REPORT_PATH = '/api/errors/report';
+const DEFAULT_PORT = 5080;
+
+/**
+ * Starts a collector
+ * @param {object} [options] - Options ({ port, onRequest(entry) }); by default any free port is used
+ * @returns {Promise<object>} Promise resolving to the collector
+ */
+function startErrorCollector(options) {
+    const settings = options || {};
+    const requests = [];
+    const failures = [];
+
+    const server = http.createServer((request, response) => {
+        if (request.url.split('?')[0] !== REPORT_PATH) {
+            response.writeHead(404).end();
+            return;
+        }
+
+        // A development build posts from its own origin, so cross-origin requests are allowed
+        response.setHeader('Access-Control-Allow-Origin', request.headers.origin || '*');
+        if (request.method === 'OPTIONS') {
+            response.writeHead(204, {
+                'Access-Control-Allow-Methods': 'POST',
+                'Access-Control-Allow-Headers': 'Content-Type'
+            }).end();
+            return;
+        }
+        if (request.method !== 'POST') {
+            response.writeHead(405, { Allow: 'POST' }).end();
+            return;
+        }
+
+        let body = '';
+        request.setEncoding('utf8');
+        request.on('data', chunk => {
+            body += chunk;
+        });
+        request.on('end', () => {
+            const status = failures.length > 0 ? failures.shift() : 204;
+            let reports = [];
+            try {
+                reports = JSON.parse(body).reports || [];
+            } catch (error) {
+                // Recorded as an empty batch; the status still tells the client what happened
+            }
+            const entry = { status, contentType: request.headers['content-type'], body, reports };
+            requests.push(entry);
+            response.writeHead(status).end();
+            if (settings.onRequest) {
+                settings.onRequest(entry);
+            }
+        });
+    });
+
+    const collector = {
+        /**
+         * Every request received, in order, with the status it was answered with
+         */
+        requests,
+
+        /**
+         * Gets the reports of every accepted request
+         * @returns {object[]} The reports
+         */
+        get reports() {
+            return requests.filter(entry => entry.status < 300).reduce((all, entry) => all.concat(entry.reports), []);
+        },
+
+        /**
+         * Answers the next requests with an error status instead of accepting them
+         * @param {number} status - The HTTP status, e.g. 503
+         * @param {number} [times] - The number of requests to fail (default 1)
+         */
+        failNext: function(status, times) {
+            for (let i = 0; i < (times || 1); i++) {
+                failures.push(status);
+            }
+        },
+
+        /**
+         * Forgets recorded requests and pending failures
+         */
+        reset: function() {
+            requests.length = 0;
+            failures.length = 0;
+        },
+
+        /**
+         * Waits until the given number of requests has been received
+         * @param {number} count - The number of requests
+         * @param {number} [timeoutMs] - How long to wait (default 2000)
+         * @returns {Promise<object[]>} Promise resolving to the requests
+         */
+        waitForRequests: function(count, timeoutMs) {
+            const deadline = Date.now() + (timeoutMs || 2000);
+            return new Promise((resolve, reject) => {
+                const check = () => {
+                    if (requests.length >= count) {
+                        resolve(requests);
+                    } else if (Date.now() > deadline) {
+                        reject(new Error(`Expected ${count} error report requests, received ${requests.length}`));
+                    } else {
+                        setTimeout(check, 10);
+                    }
+                };
+                check();
+            });
+        },
+
+        /**
+         * A fetch for the test window that sends requests to this collector; relative URLs resolve
+         * against the collector and connection failures reject, as they do in a browser
+         * @param {string} input - The URL
+         * @param {object} [init] - The fetch options
+         * @returns {Promise<object>} Promise resolving to a minimal Response
+         */
+        fetch: function(input, init) {
+            const request = init || {};
+            const url = new URL(String(input), collector.url);
+            return new Promise((resolve, reject) => {
+                const outgoing = http.request(url, { method: request.method || 'GET', headers: request.headers || {} }, response => {
+                    response.resume();
+                    response.on('end', () => resolve({ ok: response.statusCode >= 200 && response.statusCode < 300, status: response.statusCode }));
+                });
+                outgoing.on('error', () => reject(new TypeError('Failed to fetch')));
+                outgoing.end(request.body);
+            });
+        },
+
+        /**
+         * Stops the collector
+         * @returns {Promise<void>} Promise that resolves once the server has closed
+         */
+        close: function() {
+            return new Promise(resolve => server.close(() => resolve()));
+        }
+    };
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(settings.port || 0, '127.0.0.1', () => {
+            collector.url = `http://127.0.0.1:${server.address().port}`;
+            resolve(collector);
+        });
+    });
+}
+
+module.exports = { REPORT_PATH, startErrorCollector };
+
+if (require.main === module) {
+    startErrorCollector({
+        port: Number(process.argv[2]) || DEFAULT_PORT,
+        onRequest: entry => entry.reports.forEach(report =>
+            console.log(`[${report.type}] ${report.name}: ${report.message} (x${report.count}, ${report.route})`))
+    }).then(collector => console.log(`Collecting error reports at ${collector.url}${REPORT_PATH}`));
+}
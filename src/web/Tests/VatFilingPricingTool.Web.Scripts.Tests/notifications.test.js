@@ -0,0 +1,159 @@
+/**
+ * notifications.test.js - Tests for the notification centre in wwwroot/js/notifications.js
+ * Version: 1.0.0
+ */
+
+const { setupBrowser, loadScripts, createDotNetRef } = require('./helpers/harness');
+
+const EXIT_ANIMATION_MS = 300;
+
+/**
+ * Gets the toasts currently in the stack, including those leaving it
+ * @returns {HTMLElement[]} The toast elements
+ */
+function toasts() {
+    return Array.from(document.querySelectorAll('.notification-toast'));
+}
+
+/**
+ * Gets the messages of the toasts in the stack
+ * @returns {string[]} The messages
+ */
+function toastMessages() {
+    return toasts().map(toast => toast.querySelector('.notification-message').textContent);
+}
+
+describe('notifications.js', () => {
+    beforeAll(() => {
+        jest.useFakeTimers();
+        setupBrowser({ appSettings: { UIConfiguration: { MaxVisibleNotifications: 2 } } });
+        sessionStorage.clear();
+        window.i18n = { t: (key, params) => params ? `${key}:${params.count}` : key };
+        window.errorReporter = { capture: jest.fn() };
+        loadScripts(['formatting.js', 'subscriptions.js', 'notifications.js']);
+    });
+
+    beforeEach(() => {
+        document.body.insertAdjacentHTML('afterbegin', '<button id="notification-bell" type="button">Bell</button>');
+    });
+
+    afterEach(() => {
+        window.notifications.closePanel();
+        window.notifications.dismissAll();
+        window.notifications.clearHistory();
+        jest.advanceTimersByTime(EXIT_ANIMATION_MS);
+        document.getElementById('notification-bell').remove();
+    });
+
+    afterAll(() => {
+        jest.useRealTimers();
+    });
+
+    test('toasts stack up to MaxVisibleNotifications and the rest wait their turn', () => {
+        // Arrange
+        const first = window.notifications.show('Calculation saved', 'success');
+        window.notifications.show('Report ready');
+        window.notifications.show('Rates updated');
+        const skipped = window.notifications.show('Draft restored');
+
+        // Act
+        const shownAtOnce = toastMessages();
+        window.notifications.dismiss(skipped);
+        window.notifications.dismiss(first);
+        jest.advanceTimersByTime(EXIT_ANIMATION_MS);
+
+        // Assert
+        expect(shownAtOnce).toEqual(['Calculation saved', 'Report ready']);
+        expect(toastMessages()).toEqual(['Report ready', 'Rates updated']);
+        expect(document.querySelector('.notification-stack').getAttribute('role')).toBe('region');
+    });
+
+    test('toasts close after their duration, and hovering or focusing one pauses its timer', () => {
+        // Arrange
+        window.notifications.notify({ message: 'Quote exported', durationMs: 5000 });
+        window.notifications.notify({ message: 'Connection lost', type: 'error', durationMs: 0 });
+        const toast = toasts()[0];
+        jest.advanceTimersByTime(3000);
+
+        // Act
+        toast.dispatchEvent(new MouseEvent('mouseenter'));
+        jest.advanceTimersByTime(10000);
+        const visibleWhileHovered = toast.classList.contains('notification-visible');
+        toast.dispatchEvent(new MouseEvent('mouseleave'));
+        jest.advanceTimersByTime(1999);
+        const visibleBeforeRemainingTime = toast.classList.contains('notification-visible');
+        jest.advanceTimersByTime(1 + EXIT_ANIMATION_MS);
+
+        // Assert
+        expect(visibleWhileHovered).toBe(true);
+        expect(visibleBeforeRemainingTime).toBe(true);
+        expect(toastMessages()).toEqual(['Connection lost']);
+    });
+
+    test('actions run their JavaScript callback or the .NET method, and close the toast unless keepOpen is set', () => {
+        // Arrange
+        const callback = jest.fn();
+        const dotNetRef = createDotNetRef();
+        const undoId = window.notifications.notify({
+            message: 'Calculation archived',
+            actions: [{ id: 'undo', label: 'Undo archive', callback }]
+        });
+        const reportId = window.notifications.notify({
+            message: 'Report ready',
+            actions: [{ id: 'view', label: 'View report', keepOpen: true }],
+            dotNetRef
+        });
+
+        // Act
+        document.querySelector(`[data-notification-id="${undoId}"] .notification-action`).click();
+        document.querySelector(`[data-notification-id="${reportId}"] .notification-action`).click();
+        jest.advanceTimersByTime(EXIT_ANIMATION_MS);
+
+        // Assert
+        expect(callback).toHaveBeenCalledWith(undoId, 'undo');
+        expect(dotNetRef.invokeMethodAsync).toHaveBeenCalledWith('OnNotificationAction', reportId, 'view');
+        expect(toastMessages()).toEqual(['Report ready']);
+    });
+
+    test('notifications are announced through live regions, errors assertively', () => {
+        // Act
+        window.notifications.notify({ title: 'Saved', message: 'Calculation saved', type: 'success' });
+        window.notifications.notify({ message: 'Export failed', type: 'error' });
+        jest.advanceTimersByTime(50);
+
+        // Assert
+        expect(document.querySelector('[aria-live="polite"]').textContent).toBe('Saved. Calculation saved');
+        expect(document.querySelector('[aria-live="assertive"]').textContent).toBe('Export failed');
+    });
+
+    test('the session history drives the bell badge and panel, and subscribers hear unread counts by subscription ID', () => {
+        // Arrange
+        const subscribed = createDotNetRef();
+        const subscriptionId = window.notifications.subscribe(subscribed);
+        window.notifications.show('Calculation saved');
+        window.notifications.show('Report ready');
+        const bell = document.getElementById('notification-bell');
+        const badge = bell.querySelector('.notification-badge').textContent;
+        const label = bell.getAttribute('aria-label');
+
+        bell.click();
+        const items = Array.from(document.querySelectorAll('.notification-history-item'));
+        const panelFocused = document.activeElement === document.getElementById('notification-panel');
+        document.getElementById('notification-panel').dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+        window.notifications.unsubscribe(subscriptionId);
+        window.notifications.show('Rates updated');
+
+        // Assert
+        expect(badge).toBe('2');
+        expect(label).toBe('notifications.bell:2');
+        expect(items.every(item => item.classList.contains('notification-unread'))).toBe(true);
+        expect(panelFocused).toBe(true);
+        expect(document.getElementById('notification-panel')).toBeNull();
+        expect(document.activeElement).toBe(bell);
+        expect(bell.getAttribute('aria-expanded')).toBe('false');
+        expect(subscribed.invokeMethodAsync.mock.calls.map(call => call[1])).toEqual([1, 2, 0]);
+        expect(window.notifications.getUnreadCount()).toBe(1);
+        expect(JSON.parse(sessionStorage.getItem('vat-filing-notifications')).map(entry => entry.message))
+            .toEqual(['Rates updated', 'Report ready', 'Calculation saved']);
+    });
+});
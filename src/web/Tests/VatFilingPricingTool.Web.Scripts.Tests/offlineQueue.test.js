@@ -0,0 +1,166 @@
+/**
+ * offlineQueue.test.js - Tests for the offline calculation queue in wwwroot/js/offlineQueue.js
+ * Version: 1.0.0
+ */
+
+const { setupBrowser, setupIndexedDb, loadScripts, createDotNetRef, jsonResponse, flushPromises } = require('./helpers/harness');
+
+const INPUT = { countryCodes: ['GB'], serviceType: 1, transactionVolume: 100, filingFrequency: 2 };
+
+/**
+ * Loads the queue with the given API responses, which are used in turn for each submission
+ * @param {Array<number|Error>} outcomes - HTTP status codes, or errors thrown as network failures
+ * @returns {jest.Mock} The fetch mock
+ */
+function loadQueue(outcomes) {
+    const remaining = outcomes.slice();
+    setupBrowser({
+        routes: {
+            'api/v1/pricing/calculate': () => {
+                const outcome = remaining.length > 1 ? remaining.shift() : remaining[0];
+                if (outcome instanceof Error) {
+                    throw outcome;
+                }
+                return jsonResponse({ calculationId: 'calc-1' }, outcome);
+            }
+        }
+    });
+    setupIndexedDb();
+
+    window.errorReporter = { capture: jest.fn() };
+    window.i18n = { t: key => key };
+    window.formatting = { formatDate: () => 'date' };
+    window.showToast = jest.fn();
+    window.getLocalStorageItem = jest.fn(key => Promise.resolve(localStorage.getItem(key)));
+
+    loadScripts(['subscriptions.js', 'indexedDb.js', 'offlineQueue.js']);
+    return window.fetch;
+}
+
+describe('offlineQueue.js', () => {
+    afterEach(() => {
+        localStorage.clear();
+        delete navigator.locks;
+    });
+
+    test('replay sends the token stored by the .NET LocalStorageHelper', async () => {
+        // Arrange
+        const fetch = loadQueue([200]);
+        localStorage.setItem('vat_filing_auth_token', 'token-1');
+        await window.offlineQueue.enqueue(INPUT);
+
+        // Act
+        const summary = await window.offlineQueue.replay();
+
+        // Assert
+        expect(summary).toEqual({ submitted: 1, conflicts: 0, failed: 0, remaining: 0 });
+        expect(fetch.mock.calls[0][1].headers.Authorization).toBe('Bearer token-1');
+    });
+
+    test('a permanently rejected item is set aside and replay continues with the next item', async () => {
+        // Arrange
+        loadQueue([400, 200]);
+        await window.offlineQueue.enqueue(INPUT);
+        await window.offlineQueue.enqueue(INPUT);
+
+        // Act
+        const summary = await window.offlineQueue.replay();
+
+        // Assert
+        expect(summary).toEqual({ submitted: 1, conflicts: 0, failed: 1, remaining: 0 });
+        expect(await window.offlineQueue.getPendingCount()).toBe(0);
+        expect(await window.offlineQueue.getFailed()).toHaveLength(1);
+    });
+
+    test('a server error keeps the item for the next replay without blocking the others', async () => {
+        // Arrange
+        loadQueue([503, 200]);
+        await window.offlineQueue.enqueue(INPUT);
+        await window.offlineQueue.enqueue(INPUT);
+
+        // Act
+        const summary = await window.offlineQueue.replay();
+
+        // Assert
+        expect(summary).toEqual({ submitted: 1, conflicts: 0, failed: 0, remaining: 1 });
+        const pending = await window.offlineQueue.getPending();
+        expect(pending[0].attempts).toBe(1);
+    });
+
+    test('an item is set aside after the maximum number of attempts', async () => {
+        // Arrange
+        loadQueue([503]);
+        await window.offlineQueue.enqueue(INPUT);
+
+        // Act
+        for (let i = 0; i < 5; i++) {
+            await window.offlineQueue.replay();
+        }
+
+        // Assert
+        const failed = await window.offlineQueue.getFailed();
+        expect(failed).toHaveLength(1);
+        expect(failed[0].attempts).toBe(5);
+        expect(await window.offlineQueue.getPendingCount()).toBe(0);
+    });
+
+    test('a conflict is kept for review', async () => {
+        // Arrange
+        loadQueue([409]);
+        await window.offlineQueue.enqueue(INPUT);
+
+        // Act
+        const summary = await window.offlineQueue.replay();
+
+        // Assert
+        expect(summary.conflicts).toBe(1);
+        expect(await window.offlineQueue.getConflicts()).toHaveLength(1);
+    });
+
+    test('replay stops while the API is unreachable', async () => {
+        // Arrange
+        loadQueue([new TypeError('Failed to fetch')]);
+        await window.offlineQueue.enqueue(INPUT);
+        await window.offlineQueue.enqueue(INPUT);
+
+        // Act
+        const summary = await window.offlineQueue.replay();
+
+        // Assert
+        expect(summary).toEqual({ submitted: 0, conflicts: 0, failed: 0, remaining: 2 });
+        expect(window.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('replay does nothing while another tab holds the replay lock', async () => {
+        // Arrange
+        const fetch = loadQueue([200]);
+        await window.offlineQueue.enqueue(INPUT);
+        navigator.locks = {
+            request: jest.fn((name, options, callback) => Promise.resolve(callback(null)))
+        };
+
+        // Act
+        const summary = await window.offlineQueue.replay();
+
+        // Assert
+        expect(navigator.locks.request).toHaveBeenCalledWith('vat-filing-offline-replay', { ifAvailable: true }, expect.any(Function));
+        expect(summary.remaining).toBe(-1);
+        expect(fetch).not.toHaveBeenCalled();
+    });
+
+    test('subscribers are notified of the pending count until they unsubscribe by ID', async () => {
+        // Arrange
+        loadQueue([200]);
+        const dotNetRef = createDotNetRef();
+        const id = window.offlineQueue.subscribe(dotNetRef);
+        await flushPromises();
+
+        // Act
+        await window.offlineQueue.enqueue(INPUT);
+        window.offlineQueue.unsubscribe(id);
+        await window.offlineQueue.enqueue(INPUT);
+
+        // Assert
+        expect(dotNetRef.invokeMethodAsync.mock.calls.map(call => call[1])).toEqual([0, 1]);
+    });
+});
@@ -0,0 +1,148 @@
+/**
+ * pdfExport.test.js - Tests for the PDF writer and quote layout in wwwroot/js/pdfExport.js
+ * Version: 1.0.0
+ */
+
+const { setupBrowser, loadScripts } = require('./helpers/harness');
+
+// The frame header of a 128 x 64 pixel, three-component baseline JPEG; nothing after it is read
+const JPEG_128_BY_64 = '\xFF\xD8\xFF\xC0\x00\x11\x08\x00\x40\x00\x80\x03\x01\x22\x00\x02\x11\x01\x03\x11\x01\xFF\xD9';
+
+/**
+ * Decodes PDF bytes as the single-byte text the writer produced
+ * @param {Uint8Array} bytes - The PDF bytes
+ * @returns {string} The PDF source
+ */
+function pdfSource(bytes) {
+    return Buffer.from(bytes).toString('latin1');
+}
+
+/**
+ * Builds a calculation result with the given number of countries
+ * @param {number} countryCount - The number of country breakdown rows
+ * @returns {object} A CalculationResultModel-shaped object
+ */
+function buildResult(countryCount) {
+    return {
+        calculationId: 'calc-1',
+        calculationDate: '2024-03-01T10:00:00Z',
+        serviceTypeName: 'Complex Filing',
+        filingFrequencyName: 'Quarterly',
+        transactionVolume: 1200,
+        currencyCode: 'EUR',
+        totalCost: 900,
+        countryBreakdowns: Array.from({ length: countryCount }, (_, index) => ({
+            countryCode: `C${index}`, countryName: `Country ${index}`, baseCost: 10, additionalCost: 0, totalCost: 10
+        })),
+        discounts: { 'Volume discount': 50 },
+        additionalServices: ['Tax consultancy']
+    };
+}
+
+describe('pdfExport.js', () => {
+    beforeEach(() => {
+        setupBrowser();
+        window.i18n = { t: (key, params) => params ? `${key} ${Object.values(params).join('/')}` : key };
+        window.formatting = { formatDate: () => '01/03/2024' };
+        window.formatCurrency = (amount, currencyCode) => `${amount.toFixed(2)} ${currencyCode}`;
+        window.chartExport = { exportImage: jest.fn(() => ({ base64: btoa(JPEG_128_BY_64), width: 256, height: 128 })) };
+        window.downloadFile = jest.fn();
+        loadScripts(['qrCode.js', 'pdfExport.js']);
+    });
+
+    test('the cross-reference table points at every object and startxref at the table', () => {
+        // Arrange
+        const pdf = window.pdfExport.createDocument();
+        pdf.addPage();
+        pdf.text('Hello', 40, 40);
+
+        // Act
+        const source = pdfSource(pdf.toBytes({ title: 'Quote' }));
+
+        // Assert
+        expect(source.startsWith('%PDF-1.4\n')).toBe(true);
+        const xrefOffset = Number(/startxref\n(\d+)\n%%EOF$/.exec(source)[1]);
+        expect(source.substring(xrefOffset, xrefOffset + 4)).toBe('xref');
+        const offsets = source.substring(xrefOffset).match(/^\d{10} 00000 n $/gm).map(entry => Number(entry.substring(0, 10)));
+        offsets.forEach((offset, index) => {
+            expect(source.substring(offset).startsWith(`${index + 1} 0 obj\n`)).toBe(true);
+        });
+        expect(source).toContain('/Title (Quote)');
+    });
+
+    test('text is escaped and encoded in WinAnsiEncoding', () => {
+        // Arrange
+        const pdf = window.pdfExport.createDocument();
+        pdf.addPage();
+
+        // Act
+        pdf.text('Total (net): 5 € 😀', 40, 40);
+        const source = pdfSource(pdf.toBytes());
+
+        // Assert
+        expect(source).toContain('(Total \\(net\\): 5 \x80 ?) Tj');
+    });
+
+    test('a long cost table continues on further pages and every page is numbered', async () => {
+        // Act
+        const source = pdfSource(await window.pdfExport.generateQuote(buildResult(80)));
+
+        // Assert
+        const pageCount = Number(/\/Type \/Pages \/Kids \[[^\]]*\] \/Count (\d+)/.exec(source)[1]);
+        expect(pageCount).toBeGreaterThan(1);
+        for (let page = 1; page <= pageCount; page++) {
+            expect(source).toContain(`(quote.pageNumber ${page}/${pageCount}) Tj`);
+        }
+        expect(source).toContain('(Country 79) Tj');
+        expect(source).toContain('(-50.00 EUR) Tj');
+    });
+
+    test('charts are embedded as JPEG images at their rendered size and missing charts are skipped', async () => {
+        // Arrange
+        window.chartExport.exportImage.mockImplementationOnce(() => { throw new Error('not found'); });
+
+        // Act
+        const source = pdfSource(await window.pdfExport.generateQuote(buildResult(2), { charts: ['missing', { handle: 'chart-1', title: 'Costs' }] }));
+
+        // Assert
+        expect(window.chartExport.exportImage).toHaveBeenCalledWith('chart-1', { format: 'jpeg', background: '#ffffff', scale: 2 });
+        expect(source.match(/\/Subtype \/Image \/Width 128 \/Height 64 \/ColorSpace \/DeviceRGB/g)).toHaveLength(1);
+        expect(source).toContain('/Im1 Do');
+        expect(source).toContain('(Costs) Tj');
+    });
+
+    test('a share link is printed with its QR code', async () => {
+        // Act
+        const source = pdfSource(await window.pdfExport.generateQuote(buildResult(1), { shareUrl: 'https://app.test/#share=abc' }));
+
+        // Assert
+        expect(source).toContain('(quote.shareLink) Tj');
+        expect(source).toContain('(https://app.test/#share=abc) Tj');
+        expect(source).toMatch(/ re f/);
+    });
+
+    test('downloadQuote downloads a .pdf file named after the calculation', async () => {
+        // Act
+        const started = await window.pdfExport.downloadQuote(buildResult(1));
+
+        // Assert
+        expect(started).toBe(true);
+        const [fileName, base64, contentType] = window.downloadFile.mock.calls[0];
+        expect(fileName).toBe('vat-pricing-quote-calc-1.pdf');
+        expect(contentType).toBe('application/pdf');
+        expect(atob(base64).startsWith('%PDF-1.4')).toBe(true);
+    });
+
+    test('quotes are refused when FeatureManagement.ExportToPdf is off', async () => {
+        // Arrange
+        window.appSettings = { FeatureManagement: { ExportToPdf: false } };
+
+        // Act
+        const started = await window.pdfExport.downloadQuote(buildResult(1));
+
+        // Assert
+        expect(started).toBe(false);
+        await expect(window.pdfExport.generateQuote(buildResult(1))).rejects.toThrow('PDF export is disabled');
+        expect(window.downloadFile).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,149 @@
+/**
+ * print.test.js - Tests for the in-page print pipeline in wwwroot/js/print.js
+ * Version: 1.0.0
+ */
+
+const { setupBrowser, loadScripts, flushPromises } = require('./helpers/harness');
+
+/**
+ * jsdom does not render srcdoc, so print documents are written into the frame directly; linked
+ * stylesheets and images then report that they have loaded, as a browser would
+ * @returns {Array<{frame: HTMLIFrameElement, html: string, print: jest.Mock}>} The documents loaded, in order
+ */
+function stubFrames() {
+    const loaded = [];
+    Object.defineProperty(HTMLIFrameElement.prototype, 'srcdoc', {
+        configurable: true,
+        set: function(html) {
+            const doc = this.contentDocument;
+            doc.open();
+            doc.write(html);
+            doc.close();
+
+            const frameWindow = this.contentWindow;
+            const print = jest.fn(() => frameWindow.dispatchEvent(new frameWindow.Event('afterprint')));
+            frameWindow.print = print;
+            loaded.push({ frame: this, html, print });
+
+            this.onload();
+            doc.querySelectorAll('link, img').forEach(node => node.dispatchEvent(new frameWindow.Event('load')));
+        }
+    });
+    return loaded;
+}
+
+describe('print.js', () => {
+    let loaded;
+
+    beforeEach(() => {
+        setupBrowser();
+        loaded = stubFrames();
+        document.head.innerHTML = '<link rel="stylesheet" href="css/app.css"><style>.scoped { color: red; }</style>';
+        document.body.className = 'dark-theme';
+        document.body.innerHTML =
+            '<div id="results"><h2>Results</h2>' +
+            '<canvas id="chart" aria-label="Costs by country"></canvas><canvas id="sparkline"></canvas>' +
+            '<input id="volume"><select id="frequency"><option>Monthly</option><option>Quarterly</option></select>' +
+            '<button class="no-print">Edit</button></div>';
+        window.i18n = { t: key => key };
+        window.formatting = { formatDate: () => '01/03/2024 10:00' };
+        window.resolveChartHandle = id => id === 'chart' ? 'chart-1' : null;
+        window.chartExport = { toDataUrl: jest.fn(() => 'data:image/png;base64,Q0hBUlQ=') };
+        HTMLCanvasElement.prototype.toDataURL = () => 'data:image/png;base64,Q0FOVkFT';
+        loadScripts(['print.js']);
+    });
+
+    test('print writes the element with the page setup and app styles into a hidden frame', async () => {
+        // Act
+        const printed = await window.printService.print('results', {
+            orientation: 'landscape', paperSize: 'Letter', margins: { top: '10mm', right: '5mm', bottom: '10mm', left: '5mm' }, title: 'Q1 <draft>'
+        });
+
+        // Assert
+        expect(printed).toBe(true);
+        const { html, print } = loaded[0];
+        expect(print).toHaveBeenCalled();
+        expect(html).toContain('@page { size: Letter landscape; margin: 10mm 5mm 10mm 5mm; }');
+        expect(html).toContain('<link rel="stylesheet" href="http://localhost/css/app.css">');
+        expect(html).toContain('<style>.scoped { color: red; }</style>');
+        expect(html).toContain('<body class="dark-theme print-document">');
+        expect(html).toContain('<h1>Q1 &lt;draft&gt;</h1>');
+        expect(document.querySelector('iframe')).toBeNull();
+    });
+
+    test('canvases are printed as images and form values are kept', async () => {
+        // Arrange
+        document.getElementById('volume').value = '1200';
+        document.getElementById('frequency').selectedIndex = 1;
+
+        // Act
+        await window.printService.print('results');
+
+        // Assert
+        const doc = new DOMParser().parseFromString(loaded[0].html, 'text/html');
+        const images = doc.querySelectorAll('#results img');
+        expect(doc.querySelector('#results canvas')).toBeNull();
+        expect(images[0].getAttribute('src')).toBe('data:image/png;base64,Q0hBUlQ=');
+        expect(images[0].getAttribute('alt')).toBe('Costs by country');
+        expect(images[1].getAttribute('src')).toBe('data:image/png;base64,Q0FOVkFT');
+        expect(window.chartExport.toDataUrl).toHaveBeenCalledWith('chart-1', { format: 'png', scale: 2, background: 'transparent' });
+        expect(doc.querySelector('#volume').getAttribute('value')).toBe('1200');
+        expect(doc.querySelectorAll('#frequency option')[1].hasAttribute('selected')).toBe(true);
+        expect(doc.querySelector('.no-print')).toBeNull();
+    });
+
+    test('an unknown paper size falls back to A4 portrait', async () => {
+        // Act
+        await window.printService.print('results', { paperSize: 'B5', orientation: 'sideways', showHeader: false });
+
+        // Assert
+        expect(loaded[0].html).toContain('@page { size: A4 portrait; margin: 15mm; }');
+        expect(loaded[0].html).not.toContain('<header class="print-header">');
+    });
+
+    test('print reports a missing element without opening a frame', async () => {
+        // Act
+        const printed = await window.printService.print('missing');
+
+        // Assert
+        expect(printed).toBe(false);
+        expect(loaded).toHaveLength(0);
+    });
+
+    test('the preview re-renders when the page setup changes and prints on request', async () => {
+        // Arrange
+        const result = window.printService.preview('results');
+        await flushPromises();
+        const overlay = document.querySelector('.print-preview');
+        const orientation = overlay.querySelector('[data-print-option="orientation"]');
+
+        // Act
+        orientation.value = 'landscape';
+        orientation.dispatchEvent(new Event('change', { bubbles: true }));
+        overlay.querySelector('[data-print-action="print"]').click();
+
+        // Assert
+        expect(await result).toBe(true);
+        expect(overlay.getAttribute('role')).toBe('dialog');
+        expect(loaded[1].html).toContain('@page { size: A4 landscape;');
+        expect(loaded[1].print).toHaveBeenCalled();
+        expect(document.querySelector('.print-preview')).toBeNull();
+    });
+
+    test('Escape closes the preview without printing and restores focus', async () => {
+        // Arrange
+        const trigger = document.createElement('button');
+        document.body.appendChild(trigger);
+        trigger.focus();
+        const result = window.printService.preview('results');
+        await flushPromises();
+
+        // Act
+        document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+
+        // Assert
+        expect(await result).toBe(false);
+        expect(loaded[0].print).not.toHaveBeenCalled();
+        expect(document.activeElement).toBe(trigger);
+    });
+});
@@ -0,0 +1,172 @@
+/**
+ * qrCode.test.js - Tests for the QR code generation in wwwroot/js/qrCode.js
+ * Version: 1.0.0
+ */
+
+const { setupBrowser, loadScripts } = require('./helpers/harness');
+
+// Data codewords of a version 1 symbol at each error correction level; version 1 has a single block
+const VERSION_1_DATA_CODEWORDS = { L: 19, M: 16, Q: 13, H: 9 };
+
+// Two-bit error correction level indicators in the format information
+const FORMAT_LEVELS = { 1: 'L', 0: 'M', 3: 'Q', 2: 'H' };
+
+// Mask conditions from ISO/IEC 18004, for column x and row y
+const MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(y / 2) + Math.floor(x / 3)) % 2 === 0,
+    (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+    (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+/**
+ * Reads the format information beside the top left finder pattern
+ * @param {object} symbol - The symbol returned by qrCode.encode
+ * @returns {{level: string, mask: number, valid: boolean}} The decoded format
+ */
+function readFormat(symbol) {
+    const modules = symbol.modules;
+    const positions = [[8, 0], [8, 1], [8, 2], [8, 3], [8, 4], [8, 5], [8, 7], [8, 8], [7, 8], [5, 8], [4, 8], [3, 8], [2, 8], [1, 8], [0, 8]];
+    const bits = positions.reduce((value, [x, y], i) => value | (modules[y][x] ? 1 << i : 0), 0) ^ 0x5412;
+
+    // A valid codeword is divisible by the BCH generator polynomial
+    let remainder = bits;
+    for (let bit = 14; bit >= 10; bit--) {
+        if (remainder & (1 << bit)) {
+            remainder ^= 0x537 << (bit - 10);
+        }
+    }
+    return { level: FORMAT_LEVELS[bits >> 13], mask: (bits >> 10) & 7, valid: remainder === 0 };
+}
+
+/**
+ * Decodes the byte mode text of a version 1 symbol, as a scanner would
+ * @param {object} symbol - The symbol returned by qrCode.encode
+ * @returns {string} The text
+ */
+function decodeVersion1(symbol) {
+    const size = symbol.size;
+    const format = readFormat(symbol);
+    const isFunction = (x, y) => x === 6 || y === 6 || (x <= 8 && y <= 8) || (x >= size - 8 && y <= 8) || (x <= 8 && y >= size - 8);
+
+    // Codeword bits run in two-column strips from the right, alternately upwards and downwards
+    const bits = [];
+    let upward = true;
+    for (let right = size - 1; right > 0; right -= 2) {
+        if (right === 6) {
+            right--;
+        }
+        for (let i = 0; i < size; i++) {
+            const y = upward ? size - 1 - i : i;
+            [right, right - 1].forEach(x => {
+                if (!isFunction(x, y)) {
+                    bits.push(symbol.modules[y][x] !== MASKS[format.mask](x, y) ? 1 : 0);
+                }
+            });
+        }
+        upward = !upward;
+    }
+
+    const dataBits = bits.slice(0, VERSION_1_DATA_CODEWORDS[format.level] * 8);
+    const read = (start, length) => dataBits.slice(start, start + length).reduce((value, bit) => value << 1 | bit, 0);
+    expect(read(0, 4)).toBe(0x4);
+    const length = read(4, 8);
+    const bytes = [];
+    for (let i = 0; i < length; i++) {
+        bytes.push(read(12 + i * 8, 8));
+    }
+    return new TextDecoder().decode(Uint8Array.from(bytes));
+}
+
+/**
+ * Checks the 7x7 finder pattern with its top left corner at a position
+ * @param {object} symbol - The symbol returned by qrCode.encode
+ * @param {number} left - The first column
+ * @param {number} top - The first row
+ * @returns {boolean} True if the finder pattern is there
+ */
+function hasFinder(symbol, left, top) {
+    for (let dy = 0; dy < 7; dy++) {
+        for (let dx = 0; dx < 7; dx++) {
+            const ring = Math.max(Math.abs(dx - 3), Math.abs(dy - 3));
+            if (symbol.modules[top + dy][left + dx] !== (ring !== 2)) {
+                return false;
+            }
+        }
+    }
+    return true;
+}
+
+describe('qrCode.js', () => {
+    beforeAll(() => {
+        setupBrowser();
+        window.errorReporter = { capture: jest.fn() };
+        loadScripts(['qrCode.js']);
+    });
+
+    test('short text fits a version 1 symbol that decodes back to it, with valid format information', () => {
+        // Act
+        const symbol = window.qrCode.encode('VAT-42 €', { errorCorrection: 'L', boostErrorCorrection: false });
+        const format = readFormat(symbol);
+
+        // Assert
+        expect(symbol.version).toBe(1);
+        expect(symbol.size).toBe(21);
+        expect(symbol.errorCorrection).toBe('L');
+        expect(format).toEqual({ level: 'L', mask: symbol.mask, valid: true });
+        expect([hasFinder(symbol, 0, 0), hasFinder(symbol, 14, 0), hasFinder(symbol, 0, 14)]).toEqual([true, true, true]);
+        expect(symbol.modules[6].slice(8, 13)).toEqual([true, false, true, false, true]);
+        expect(symbol.modules[13][8]).toBe(true);
+        expect(decodeVersion1(symbol)).toBe('VAT-42 €');
+    });
+
+    test('error correction is boosted while the text still fits the same version', () => {
+        // Act
+        const boosted = window.qrCode.encode('VAT-42');
+        const medium = window.qrCode.encode('https://a.b/q', { boostErrorCorrection: false });
+
+        // Assert
+        expect([boosted.version, boosted.errorCorrection, readFormat(boosted).level]).toEqual([1, 'H', 'H']);
+        expect(decodeVersion1(boosted)).toBe('VAT-42');
+        expect([medium.version, medium.errorCorrection]).toEqual([1, 'M']);
+        expect(decodeVersion1(medium)).toBe('https://a.b/q');
+    });
+
+    test('longer text moves to larger versions, which carry their version information', () => {
+        // Act
+        const link = window.qrCode.encode(`https://vat.example.com/calculator#calc=1z.${'x'.repeat(150)}`);
+        const version7 = window.qrCode.encode('x'.repeat(120), { errorCorrection: 'M', boostErrorCorrection: false });
+
+        // Assert
+        expect(link.size).toBe(link.version * 4 + 17);
+        expect(link.version).toBeGreaterThan(1);
+        expect(version7.version).toBe(7);
+        // Version 7 is 000111 followed by its BCH code, 110010010100, least significant bit first
+        const bits = [];
+        for (let i = 0; i < 18; i++) {
+            bits.push(version7.modules[Math.floor(i / 3)][version7.size - 11 + i % 3] ? 1 : 0);
+        }
+        expect(bits.reverse().join('')).toBe('000111110010010100');
+    });
+
+    test('SVG output draws the modules inside a quiet zone, and text that does not fit fails softly', () => {
+        // Act
+        const svg = window.qrCode.toSvg('VAT-42', { border: 2, size: 100, dark: '#123456' });
+        const dataUrl = window.qrCode.toDataUrl('VAT-42', { format: 'svg' });
+        const tooLong = window.qrCode.toSvg('x'.repeat(3000));
+
+        // Assert
+        expect(svg).toContain('viewBox="0 0 25 25"');
+        expect(svg).toContain('width="100" height="100"');
+        expect(svg).toContain('M2,2h1v1h-1z');
+        expect(svg).toContain('fill="#123456"');
+        expect(decodeURIComponent(dataUrl.slice('data:image/svg+xml;charset=utf-8,'.length))).toBe(window.qrCode.toSvg('VAT-42'));
+        expect(tooLong).toBe('');
+        expect(window.errorReporter.capture).toHaveBeenCalledWith(expect.any(Error), 'qrCodeSvg');
+        expect(() => window.qrCode.encode('VAT-42', { errorCorrection: 'X' })).toThrow("Unknown QR error correction level 'X'");
+    });
+});
@@ -0,0 +1,167 @@
+/**
+ * secureStorage.test.js - Tests for the encrypted storage of sensitive values in wwwroot/js/secureStorage.js
+ * Version: 1.0.0
+ */
+
+const { setupBrowser, setupIndexedDb, loadScripts, ChannelStub } = require('./helpers/harness');
+
+const TOKEN_KEY = 'vat_filing_auth_token';
+
+/**
+ * Loads secureStorage.js as a newly opened tab would, sharing local storage and IndexedDB with the others
+ * @param {object} [uiConfiguration] - The UIConfiguration section of the application settings
+ * @returns {object} The tab's secureStorage
+ */
+function openTab(uiConfiguration) {
+    setupBrowser({ appSettings: { LocalStorage: { EncryptSensitiveData: true }, UIConfiguration: uiConfiguration || {} } });
+    loadScripts(['storage.js', 'indexedDb.js', 'secureStorage.js']);
+    return window.secureStorage;
+}
+
+/**
+ * Reads the session key record kept in IndexedDB
+ * @returns {Promise<object|undefined>} Promise resolving to the record
+ */
+async function readKeyRecord() {
+    const database = await window.indexedDbHelper.openDatabase('vat-filing-secure-storage', 1);
+    const transaction = database.transaction('keys', 'readonly');
+    const record = await window.indexedDbHelper.requestToPromise(transaction.objectStore('keys').get('session'));
+    database.close();
+    return record;
+}
+
+describe('secureStorage.js', () => {
+    beforeEach(() => {
+        localStorage.clear();
+        sessionStorage.clear();
+        setupIndexedDb();
+        ChannelStub.reset();
+        window.BroadcastChannel = ChannelStub;
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('sensitive values are encrypted with a non-extractable key that never reaches web storage', async () => {
+        // Arrange
+        const secureStorage = openTab();
+
+        // Act
+        await secureStorage.setItem(TOKEN_KEY, 'token-1');
+
+        // Assert
+        expect(localStorage.getItem(TOKEN_KEY)).not.toContain('token-1');
+        expect(await secureStorage.getItem(TOKEN_KEY)).toBe('token-1');
+        const record = await readKeyRecord();
+        expect(record.key.extractable).toBe(false);
+        expect(record.key.algorithm.name).toBe('AES-GCM');
+        expect(sessionStorage.length).toBe(0);
+    });
+
+    test('a newly opened tab reads the session key from IndexedDB without asking other tabs for it', async () => {
+        // Arrange
+        await openTab().setItem(TOKEN_KEY, 'token-1');
+
+        // Act
+        const value = await openTab().getItem(TOKEN_KEY);
+
+        // Assert
+        expect(value).toBe('token-1');
+        expect(ChannelStub.posted).toEqual([]);
+    });
+
+    test('the raw key kept in sessionStorage by earlier versions is removed', async () => {
+        // Arrange
+        sessionStorage.setItem('vat-filing-session-key', 'cmF3LWtleQ==');
+
+        // Act
+        await openTab().setItem(TOKEN_KEY, 'token-1');
+
+        // Assert
+        expect(sessionStorage.getItem('vat-filing-session-key')).toBeNull();
+    });
+
+    test('encrypted values are wiped once the session has gone unused for UIConfiguration.SessionTimeoutMinutes', async () => {
+        // Arrange
+        const now = Date.now();
+        await openTab({ SessionTimeoutMinutes: 5 }).setItem(TOKEN_KEY, 'token-1');
+        jest.spyOn(Date, 'now').mockReturnValue(now + 5 * 60000 + 1000);
+
+        // Act
+        const value = await openTab({ SessionTimeoutMinutes: 5 }).getItem(TOKEN_KEY);
+
+        // Assert
+        expect(value).toBeNull();
+        expect(localStorage.getItem(TOKEN_KEY)).toBeNull();
+        expect(await readKeyRecord()).toBeUndefined();
+    });
+
+    test('reading a value keeps the session alive', async () => {
+        // Arrange
+        const now = Date.now();
+        const secureStorage = openTab({ SessionTimeoutMinutes: 5 });
+        await secureStorage.setItem(TOKEN_KEY, 'token-1');
+        jest.spyOn(Date, 'now').mockReturnValue(now + 4 * 60000);
+        await secureStorage.getItem(TOKEN_KEY);
+        await secureStorage.setItem('vat_filing_user_data', '{}');
+        jest.spyOn(Date, 'now').mockReturnValue(now + 8 * 60000);
+
+        // Act
+        const value = await openTab({ SessionTimeoutMinutes: 5 }).getItem(TOKEN_KEY);
+
+        // Assert
+        expect(value).toBe('token-1');
+    });
+
+    test('removing the token signs out every tab: values and key are deleted and only a wiped notice is broadcast', async () => {
+        // Arrange
+        const first = openTab();
+        await first.setItem(TOKEN_KEY, 'token-1');
+        await first.setItem('vat_filing_user_data', '{"userId":"user-1"}');
+        const second = openTab();
+        await second.getItem(TOKEN_KEY);
+
+        // Act
+        first.removeItem(TOKEN_KEY);
+        await first.wipe();
+
+        // Assert
+        expect(localStorage.getItem('vat_filing_user_data')).toBeNull();
+        expect(await readKeyRecord()).toBeUndefined();
+        expect(await second.getItem('vat_filing_user_data')).toBeNull();
+        expect(ChannelStub.posted.every(message => Object.keys(message).join() === 'type' && message.type === 'wiped')).toBe(true);
+    });
+
+    test('a tab holding the key of an earlier session adopts the key of the session that replaced it', async () => {
+        // Arrange
+        const first = openTab();
+        await first.setItem(TOKEN_KEY, 'token-1');
+        const second = openTab();
+        await second.getItem(TOKEN_KEY);
+        window.BroadcastChannel = undefined;
+        const third = openTab();
+        await third.wipe();
+        await third.setItem(TOKEN_KEY, 'token-2');
+
+        // Act
+        const value = await first.getItem(TOKEN_KEY);
+
+        // Assert
+        expect(value).toBe('token-2');
+    });
+
+    test('plain values stored before encryption was enabled are returned and re-stored encrypted', async () => {
+        // Arrange
+        localStorage.setItem(TOKEN_KEY, 'token-1');
+        const secureStorage = openTab();
+
+        // Act
+        const value = await secureStorage.getItem(TOKEN_KEY);
+
+        // Assert
+        expect(value).toBe('token-1');
+        expect(localStorage.getItem(TOKEN_KEY)).not.toContain('token-1');
+        expect(secureStorage.handles(TOKEN_KEY)).toBe(true);
+    });
+});
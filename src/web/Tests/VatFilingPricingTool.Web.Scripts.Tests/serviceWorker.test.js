@@ -0,0 +1,263 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * serviceWorker.test.js - Tests for the caching strategies in wwwroot/service-worker.js
+ * The worker runs in a sandbox with an in-memory CacheStorage and a stubbed network
+ * Version: 1.0.0
+ */
+
+const vm = require('vm');
+const { readWwwroot } = require('./helpers/harness');
+
+const ORIGIN = 'https://app.test';
+const CHART_JS_URL = 'https://cdn.jsdelivr.net/npm/chart.js@3.7.0/dist/chart.min.js';
+
+/**
+ * Resolves a request or URL string to an absolute URL the way a worker scope does
+ * @param {Request|string} input - The request or URL
+ * @returns {string} The absolute URL
+ */
+function urlOf(input) {
+    return typeof input === 'string' ? new URL(input, `${ORIGIN}/`).href : input.url;
+}
+
+/**
+ * Creates an in-memory CacheStorage
+ * @returns {object} The cache storage, with a `store` map of cache name to (URL to Response)
+ */
+function createCacheStorage() {
+    const store = new Map();
+
+    function openCache(name) {
+        if (!store.has(name)) {
+            store.set(name, new Map());
+        }
+        const entries = store.get(name);
+        return {
+            match: async request => {
+                const response = entries.get(urlOf(request));
+                return response ? response.clone() : undefined;
+            },
+            put: async (request, response) => { entries.set(urlOf(request), response.clone()); },
+            delete: async request => entries.delete(urlOf(request)),
+            keys: async () => [...entries.keys()].map(url => new Request(url))
+        };
+    }
+
+    return {
+        store,
+        open: async name => openCache(name),
+        keys: async () => [...store.keys()],
+        delete: async name => store.delete(name),
+        match: async (request, options) => {
+            const names = options && options.cacheName ? [options.cacheName] : [...store.keys()];
+            for (const name of names) {
+                const response = store.has(name) ? await openCache(name).match(request) : undefined;
+                if (response) {
+                    return response;
+                }
+            }
+            return undefined;
+        }
+    };
+}
+
+/**
+ * Loads service-worker.js into a sandboxed worker scope
+ * @param {object} network - Response bodies keyed by absolute URL; a function value is called per request
+ * @returns {object} The scope, with `caches`, `fetch`, `dispatch(type, init)` and `request(url, init)`
+ */
+function loadWorker(network) {
+    const listeners = {};
+    const caches = createCacheStorage();
+    const fetch = jest.fn(async input => {
+        const url = urlOf(input);
+        const route = network[url];
+        if (route === undefined) {
+            return new Response('not found', { status: 404 });
+        }
+        const body = typeof route === 'function' ? route() : route;
+        if (body instanceof Error) {
+            throw body;
+        }
+        return new Response(body, { status: 200 });
+    });
+
+    // Worker scripts resolve relative request URLs against their own location
+    class WorkerRequest extends Request {
+        constructor(input, init) {
+            super(typeof input === 'string' ? new URL(input, `${ORIGIN}/`).href : input, init);
+        }
+    }
+
+    const self = {
+        location: new URL(`${ORIGIN}/service-worker.js`),
+        registration: { scope: `${ORIGIN}/` },
+        clients: { claim: jest.fn(), matchAll: jest.fn(async () => []) },
+        skipWaiting: jest.fn(),
+        addEventListener: (type, listener) => { listeners[type] = listener; }
+    };
+
+    const context = vm.createContext({
+        self, caches, fetch, URL, Response, Request: WorkerRequest, console: { warn: jest.fn(), error: jest.fn() }
+    });
+    vm.runInContext(readWwwroot('service-worker.js'), context);
+
+    /**
+     * Dispatches an event and waits for every promise it extended its lifetime with
+     * @param {string} type - The event type
+     * @param {object} [init] - Extra event properties
+     * @returns {Promise<Response|undefined>} Promise resolving to the response passed to respondWith
+     */
+    async function dispatch(type, init) {
+        const pending = [];
+        let response;
+        const event = Object.assign({
+            waitUntil: promise => pending.push(promise),
+            respondWith: promise => { response = promise; }
+        }, init);
+        listeners[type](event);
+        const result = await response;
+        // Background work may extend the event further while it runs
+        for (let i = 0; i < pending.length; i++) {
+            await pending[i];
+        }
+        return result;
+    }
+
+    return {
+        caches,
+        fetch,
+        console: context.console,
+        dispatch,
+        request: (url, init) => dispatch('fetch', { request: new WorkerRequest(url, Object.assign({ mode: 'no-cors' }, init)) })
+    };
+}
+
+/**
+ * Builds a network serving the application shell, a boot manifest and its framework files
+ * @param {object} files - Framework file contents keyed by file name; the content doubles as its hash
+ * @returns {object} Response bodies keyed by absolute URL
+ */
+function buildNetwork(files) {
+    const network = {};
+    const shell = vm.runInNewContext(`${readWwwroot('service-worker.js')}\nAPP_SHELL_ASSETS`, {
+        self: { addEventListener: () => {} }
+    });
+    shell.forEach(asset => { network[urlOf(asset)] = `shell:${asset}`; });
+
+    network[`${ORIGIN}/_framework/blazor.boot.json`] = JSON.stringify({
+        resources: { assembly: Object.assign({}, ...Object.keys(files).map(name => ({ [name]: `sha256-${files[name]}` }))), runtime: {} }
+    });
+    Object.keys(files).forEach(name => { network[`${ORIGIN}/_framework/${name}`] = files[name]; });
+    network[CHART_JS_URL] = 'chart.js';
+    return network;
+}
+
+describe('service-worker.js', () => {
+    test('install precaches the shell and framework files keyed by their content hash', async () => {
+        // Arrange
+        const worker = loadWorker(buildNetwork({ 'App.dll': 'build-1' }));
+
+        // Act
+        await worker.dispatch('install');
+
+        // Assert
+        const framework = worker.caches.store.get('vat-filing-framework-v2');
+        expect([...framework.keys()]).toEqual([`${ORIGIN}/_framework/App.dll?hash=sha256-build-1`]);
+        expect(worker.caches.store.get('vat-filing-static-v2').has(`${ORIGIN}/js/app.js`)).toBe(true);
+        expect(worker.caches.store.get('vat-filing-static-v2').has(CHART_JS_URL)).toBe(true);
+    });
+
+    test('install succeeds when the Chart.js CDN is unreachable', async () => {
+        // Arrange
+        const network = buildNetwork({ 'App.dll': 'build-1' });
+        network[CHART_JS_URL] = () => new Error('blocked');
+        const worker = loadWorker(network);
+
+        // Act
+        await worker.dispatch('install');
+
+        // Assert
+        expect(worker.caches.store.get('vat-filing-static-v2').has(CHART_JS_URL)).toBe(false);
+        expect(worker.console.warn).toHaveBeenCalled();
+    });
+
+    test('application assets are served from the cache and refreshed for the next load', async () => {
+        // Arrange
+        const network = buildNetwork({ 'App.dll': 'build-1' });
+        const worker = loadWorker(network);
+        await worker.dispatch('install');
+        network[`${ORIGIN}/js/app.js`] = 'release-2';
+
+        // Act
+        const first = await worker.request(`${ORIGIN}/js/app.js`);
+        const second = await worker.request(`${ORIGIN}/js/app.js`);
+
+        // Assert
+        expect(await first.text()).toBe('shell:js/app.js');
+        expect(await second.text()).toBe('release-2');
+    });
+
+    test('a cached asset does not answer a request with a different query string', async () => {
+        // Arrange
+        const network = buildNetwork({ 'App.dll': 'build-1' });
+        const worker = loadWorker(network);
+        await worker.dispatch('install');
+        network[`${ORIGIN}/js/app.js?v=2`] = 'release-2';
+
+        // Act
+        const response = await worker.request(`${ORIGIN}/js/app.js?v=2`);
+
+        // Assert
+        expect(await response.text()).toBe('release-2');
+    });
+
+    test('a new boot manifest switches framework files to the new build and prunes the old ones', async () => {
+        // Arrange
+        const network = buildNetwork({ 'App.dll': 'build-1' });
+        const worker = loadWorker(network);
+        await worker.dispatch('install');
+        Object.assign(network, buildNetwork({ 'App.dll': 'build-2' }));
+
+        // Act
+        await worker.request(`${ORIGIN}/_framework/blazor.boot.json`);
+        const response = await worker.request(`${ORIGIN}/_framework/App.dll`);
+
+        // Assert
+        expect(await response.text()).toBe('build-2');
+        expect([...worker.caches.store.get('vat-filing-framework-v2').keys()])
+            .toEqual([`${ORIGIN}/_framework/App.dll?hash=sha256-build-2`]);
+    });
+
+    test('framework files and the boot manifest are served from the cache while offline', async () => {
+        // Arrange
+        const network = buildNetwork({ 'App.dll': 'build-1' });
+        const worker = loadWorker(network);
+        await worker.dispatch('install');
+        Object.keys(network).forEach(url => { network[url] = () => new Error('offline'); });
+
+        // Act
+        const manifest = await worker.request(`${ORIGIN}/_framework/blazor.boot.json`);
+        const assembly = await worker.request(`${ORIGIN}/_framework/App.dll`);
+
+        // Assert
+        expect(JSON.parse(await manifest.text()).resources.assembly).toEqual({ 'App.dll': 'sha256-build-1' });
+        expect(await assembly.text()).toBe('build-1');
+    });
+
+    test('activate removes caches from the previous cache layout', async () => {
+        // Arrange
+        const worker = loadWorker(buildNetwork({}));
+        await worker.caches.open('vat-filing-static-v1.0.0');
+        await worker.caches.open('vat-filing-static-v2');
+
+        // Act
+        await worker.dispatch('activate');
+
+        // Assert
+        expect(await worker.caches.keys()).toEqual(['vat-filing-static-v2']);
+    });
+});
@@ -0,0 +1,252 @@
+/**
+ * shareLink.test.js - Tests for the shareable calculation links in wwwroot/js/shareLink.js
+ * Version: 1.0.0
+ */
+
+const { Blob } = require('buffer');
+const { CompressionStream, DecompressionStream } = require('stream/web');
+const consumers = require('stream/consumers');
+const { setupBrowser, loadScripts, createDotNetRef, flushPromises } = require('./helpers/harness');
+
+// A calculation input as CalculationInputModel serialises it from .NET
+const INPUT = {
+    CountryCodes: ['DE', 'FR', 'IT', 'ES', 'NL', 'BE', 'AT', 'PL'],
+    ServiceType: 2,
+    TransactionVolume: 1250,
+    FilingFrequency: 1,
+    AdditionalServices: ['fiscal-representation', 'fiscal-representation-plus', 'fiscal-representation-audit'],
+    CurrencyCode: 'gbp'
+};
+
+/**
+ * A stand-in for the Fetch API Response, which jsdom lacks, reading a stream to the end
+ */
+class ResponseStub {
+    constructor(body) {
+        this.body = body;
+    }
+
+    arrayBuffer() {
+        return consumers.arrayBuffer(this.body);
+    }
+}
+
+/**
+ * Builds a fragment parameter value from a packed input, as an older or hand-made link would carry it
+ * @param {*} packed - The packed input
+ * @param {string} [prefix] - The version and encoding (default '1j')
+ * @returns {string} The value
+ */
+function plainValue(packed, prefix) {
+    const payload = Buffer.from(JSON.stringify(packed)).toString('base64url');
+    return `${prefix || '1j'}.${payload}`;
+}
+
+describe('shareLink.js', () => {
+    beforeAll(async () => {
+        setupBrowser({ appSettings: { UIConfiguration: { DefaultLanguage: 'en', SupportedLanguages: ['en'] } } });
+        localStorage.clear();
+        window.chartInstances = {};
+        window.errorReporter = { capture: jest.fn() };
+        window.notifications = { show: jest.fn(), notify: jest.fn() };
+        // jsdom has neither compression streams nor Blob.stream; Node's take their place
+        window.Blob = Blob;
+        window.Response = ResponseStub;
+        loadScripts(['formatting.js', 'subscriptions.js', 'i18n.js', 'qrCode.js', 'shareLink.js']);
+        await window.i18n.initialize();
+    });
+
+    beforeEach(() => {
+        window.CompressionStream = CompressionStream;
+        window.DecompressionStream = DecompressionStream;
+        window.shareLink.setKnownCodes(null, null);
+        window.notifications.show.mockClear();
+        window.notifications.notify.mockClear();
+        history.replaceState(null, '', '/');
+    });
+
+    test('an input is compressed into a versioned link that parses back to the same input', async () => {
+        // Act
+        const link = await window.shareLink.createLink(INPUT);
+        const value = new URL(link).hash.slice('#calc='.length);
+        const result = await window.shareLink.parse(link);
+
+        // Assert
+        expect(link.startsWith('http://localhost/calculator#calc=1z.')).toBe(true);
+        expect(value.length).toBeLessThan(plainValue(INPUT).length);
+        expect(result).toEqual({
+            valid: true,
+            version: 1,
+            input: {
+                countryCodes: INPUT.CountryCodes,
+                serviceType: 2,
+                transactionVolume: 1250,
+                filingFrequency: 1,
+                additionalServices: INPUT.AdditionalServices,
+                currencyCode: 'GBP'
+            },
+            unknownCountryCodes: [],
+            unknownServices: [],
+            error: null
+        });
+        expect(await window.shareLink.parse(`#calc=${value}`)).toEqual(result);
+        expect(await window.shareLink.parse(value)).toEqual(result);
+    });
+
+    test('without compression support links are plain, and compressed links are reported as unsupported', async () => {
+        // Arrange
+        const compressed = await window.shareLink.encode(INPUT);
+        delete window.CompressionStream;
+        delete window.DecompressionStream;
+
+        // Act
+        const plain = await window.shareLink.encode({ countryCodes: ['de'], serviceType: 1, transactionVolume: 10, filingFrequency: 3 });
+        const parsedPlain = await window.shareLink.parse(plain);
+        const parsedCompressed = await window.shareLink.parse(compressed);
+
+        // Assert
+        expect(plain).toBe(plainValue(['DE', 1, 10, 3, []]));
+        expect(parsedPlain.input).toEqual({
+            countryCodes: ['DE'], serviceType: 1, transactionVolume: 10, filingFrequency: 3, additionalServices: [], currencyCode: null
+        });
+        expect(parsedCompressed.error).toBe('unsupported');
+    });
+
+    test('where compression streams lack the deflate-raw format links are plain and compressed links are reported as unsupported', async () => {
+        // Arrange
+        const compressed = await window.shareLink.encode(INPUT);
+        window.CompressionStream = class extends CompressionStream {
+            constructor(format) {
+                if (format === 'deflate-raw') {
+                    throw new TypeError(`Unsupported compression format: '${format}'`);
+                }
+                super(format);
+            }
+        };
+
+        // Act
+        const link = await window.shareLink.createLink(INPUT);
+        const parsedCompressed = await window.shareLink.parse(compressed);
+
+        // Assert
+        expect(link).toBe(`http://localhost/calculator#calc=${plainValue(['DEFRITESNLBEATPL', 2, 1250, 1, INPUT.AdditionalServices, 'GBP'])}`);
+        expect(parsedCompressed.error).toBe('unsupported');
+    });
+
+    test('links that are missing, from another format version or damaged fail with a reason', async () => {
+        // Act
+        const errors = await Promise.all([
+            'https://app.test/calculator',
+            'https://app.test/calculator#calc=2j.WyJERSJd',
+            '#calc=1j.not*base64',
+            '#calc=1z.AAAA',
+            plainValue({ countries: 'DE' }),
+            `1j.${'A'.repeat(4000)}`
+        ].map(link => window.shareLink.parse(link).then(result => result.error)));
+
+        // Assert
+        expect(errors).toEqual(['missing', 'version', 'corrupt', 'corrupt', 'corrupt', 'corrupt']);
+    });
+
+    test('unknown country and service codes are dropped and reported, and an input with none left is refused', async () => {
+        // Arrange
+        window.shareLink.setKnownCodes(['DE', 'FR'], ['fiscal-representation']);
+        const link = plainValue(['DEXXFRDE', 2, 500, 2, ['fiscal-representation', 'retired-service', 'fiscal-representation']]);
+
+        // Act
+        const partial = await window.shareLink.parse(link);
+        const noCountries = await window.shareLink.parse(plainValue(['IT', 2, 500, 2, []]));
+        const overridden = await window.shareLink.parse(plainValue(['IT', 2, 500, 2, []]), { countryCodes: ['IT'] });
+        const invalid = await Promise.all([
+            plainValue(['DE', 4, 500, 2, []]),
+            plainValue(['DE', 2, 100001, 2, []]),
+            plainValue(['DE', 2, 500, 0, []])
+        ].map(value => window.shareLink.parse(value).then(result => result.error)));
+
+        // Assert
+        expect(partial.valid).toBe(true);
+        expect(partial.input.countryCodes).toEqual(['DE', 'FR']);
+        expect(partial.input.additionalServices).toEqual(['fiscal-representation']);
+        expect(partial.unknownCountryCodes).toEqual(['XX']);
+        expect(partial.unknownServices).toEqual(['retired-service']);
+        expect(noCountries).toEqual(expect.objectContaining({ valid: false, input: null, error: 'countries' }));
+        expect(overridden.valid).toBe(true);
+        expect(invalid).toEqual(['serviceType', 'volume', 'frequency']);
+    });
+
+    test('reading the page location tells the user what was left out and removes the calculation from the address bar', async () => {
+        // Arrange
+        window.shareLink.setKnownCodes(['DE']);
+        history.replaceState(null, '', `/calculator?tab=2#calc=${plainValue(['DEXX', 1, 10, 1, []])}&section=summary`);
+
+        // Act
+        const result = await window.shareLink.readFromLocation();
+        const afterRead = window.location.pathname + window.location.search + window.location.hash;
+        const notRead = await window.shareLink.readFromLocation();
+        history.replaceState(null, '', `/#calc=${plainValue(['DE', 9, 10, 1, []])}`);
+        await window.shareLink.readFromLocation({ clear: false });
+
+        // Assert
+        expect(result.input.countryCodes).toEqual(['DE']);
+        expect(window.notifications.notify).toHaveBeenCalledWith({
+            type: 'warning',
+            title: 'Shared calculation opened with changes',
+            message: 'This code is no longer available and was left out: XX'
+        });
+        expect(afterRead).toBe('/calculator?tab=2#section=summary');
+        expect(notRead).toBeNull();
+        expect(window.notifications.show).toHaveBeenCalledWith('The link contains an unknown service type.', 'error');
+        expect(window.location.hash).toContain('calc=');
+    });
+
+    test('links opened in the running app reach subscribers by subscription ID until they unsubscribe', async () => {
+        // Arrange
+        const dotNetRef = createDotNetRef();
+        const events = [];
+        window.addEventListener('vatfilingsharedcalculation', event => events.push(event.detail));
+        const subscriptionId = window.shareLink.subscribe(dotNetRef);
+
+        // Act
+        history.replaceState(null, '', `/calculator#calc=${plainValue(['FR', 3, 42, 2, []])}`);
+        window.dispatchEvent(new HashChangeEvent('hashchange'));
+        await flushPromises();
+        window.shareLink.unsubscribe(subscriptionId);
+        history.replaceState(null, '', `/calculator#calc=${plainValue(['DE', 3, 42, 2, []])}`);
+        window.dispatchEvent(new HashChangeEvent('hashchange'));
+        await flushPromises();
+
+        // Assert
+        expect(typeof subscriptionId).toBe('number');
+        expect(dotNetRef.invokeMethodAsync).toHaveBeenCalledTimes(1);
+        expect(dotNetRef.invokeMethodAsync.mock.calls[0][0]).toBe('OnSharedCalculationOpened');
+        expect(dotNetRef.invokeMethodAsync.mock.calls[0][1].input.countryCodes).toEqual(['FR']);
+        expect(events).toHaveLength(1);
+        expect(window.location.hash).toContain('calc=');
+    });
+
+    test('a link is copied through the fallback where the Clipboard API is unavailable and can be shown as a QR code', async () => {
+        // Arrange
+        let copied = null;
+        document.execCommand = jest.fn(() => {
+            copied = document.querySelector('textarea').value;
+            return true;
+        });
+
+        // Act
+        const link = await window.shareLink.copyLink(INPUT, { path: 'quotes/new' });
+        const qrCode = await window.shareLink.createQrCode(INPUT, { format: 'svg' });
+        document.execCommand.mockReturnValue(false);
+        const failed = await window.shareLink.copyLink(INPUT);
+
+        // Assert
+        expect(link.startsWith('http://localhost/quotes/new#calc=1z.')).toBe(true);
+        expect(copied).toBe(link);
+        expect(document.querySelector('textarea')).toBeNull();
+        expect(window.notifications.show.mock.calls).toEqual([
+            ['Link copied. Paste it into Teams or an email to share this calculation.', 'success'],
+            ['The link could not be copied to the clipboard.', 'error']
+        ]);
+        expect(failed).toBe('');
+        expect(qrCode.startsWith('data:image/svg+xml;charset=utf-8,')).toBe(true);
+    });
+});
@@ -0,0 +1,244 @@
+/**
+ * storage.test.js - Tests for the structured local storage in wwwroot/js/storage.js and the
+ * setLocalStorageItem and getLocalStorageItem functions interop.js builds on it
+ * Version: 1.0.0
+ */
+
+const { setupBrowser, loadScripts } = require('./helpers/harness');
+
+const DAY_MS = 86400000;
+
+/**
+ * Loads storage.js with the given LocalStorage settings
+ * @param {object} [settings] - The LocalStorage section of the application settings
+ */
+function loadStorage(settings) {
+    setupBrowser({ appSettings: { LocalStorage: settings || {} } });
+    loadScripts(['storage.js']);
+}
+
+/**
+ * Makes localStorage throw the browser's quota error once its contents would exceed the given size
+ * @param {number} limit - The storage size in characters
+ */
+function limitQuota(limit) {
+    const setItem = Storage.prototype.setItem;
+    jest.spyOn(Storage.prototype, 'setItem').mockImplementation(function(key, value) {
+        const others = Object.keys(this).filter(other => other !== key)
+            .reduce((total, other) => total + other.length + this.getItem(other).length, 0);
+        if (others + key.length + String(value).length > limit) {
+            throw new DOMException('The quota has been exceeded.', 'QuotaExceededError');
+        }
+        setItem.call(this, key, value);
+    });
+}
+
+describe('storage.js', () => {
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('values round-trip through a timestamped envelope', () => {
+        // Arrange
+        loadStorage();
+
+        // Act
+        window.vatStorage.set('preferences', { currency: 'GBP' });
+
+        // Assert
+        expect(window.vatStorage.get('preferences')).toEqual({ currency: 'GBP' });
+        const envelope = JSON.parse(localStorage.getItem('preferences'));
+        expect(envelope.__vfs).toBe(1);
+        expect(envelope.e - envelope.t).toBe(30 * DAY_MS);
+    });
+
+    test('values expire after LocalStorage.ExpirationDays unless stored without expiry', () => {
+        // Arrange
+        loadStorage({ ExpirationDays: 2 });
+        const now = Date.now();
+        jest.spyOn(Date, 'now').mockReturnValue(now);
+        window.vatStorage.set('draft', 'a');
+        window.vatStorage.set('pinned', 'b', { expirationDays: 0 });
+        jest.spyOn(Date, 'now').mockReturnValue(now + 2 * DAY_MS + 1);
+
+        // Act
+        const draft = window.vatStorage.get('draft', 'expired');
+        const pinned = window.vatStorage.get('pinned');
+
+        // Assert
+        expect(draft).toBe('expired');
+        expect(localStorage.getItem('draft')).toBeNull();
+        expect(pinned).toBe('b');
+    });
+
+    test('values stored before envelopes were introduced are still read', () => {
+        // Arrange
+        localStorage.setItem('legacy', 'plain text');
+        loadStorage();
+
+        // Act
+        const value = window.vatStorage.getString('legacy');
+
+        // Assert
+        expect(value).toBe('plain text');
+        expect(window.vatStorage.getInfo('legacy').legacy).toBe(true);
+    });
+
+    test('calculation history keeps the most recently used items up to LocalStorage.MaxStorageItems', () => {
+        // Arrange
+        loadStorage({ MaxStorageItems: 3 });
+        const now = Date.now();
+        ['c1', 'c2', 'c3'].forEach((id, index) => {
+            jest.spyOn(Date, 'now').mockReturnValue(now + index);
+            window.vatStorage.putCollectionItem('vat_filing_calculation_history', { calculationId: id });
+        });
+        jest.spyOn(Date, 'now').mockReturnValue(now + 10);
+        window.vatStorage.getCollectionItem('vat_filing_calculation_history', 'c1');
+
+        // Act
+        jest.spyOn(Date, 'now').mockReturnValue(now + 20);
+        window.vatStorage.putCollectionItem('vat_filing_calculation_history', { calculationId: 'c4' });
+
+        // Assert
+        const ids = window.vatStorage.get('vat_filing_calculation_history').map(item => item.calculationId);
+        expect(ids).toEqual(['c4', 'c3', 'c1']);
+    });
+
+    test('history written as a JSON string is capped and stays a string', () => {
+        // Arrange
+        loadStorage({ MaxStorageItems: 2 });
+        const history = JSON.stringify([{ calculationId: 'a' }, { calculationId: 'b' }, { calculationId: 'c' }]);
+
+        // Act
+        window.vatStorage.setString('calculation_history', history);
+
+        // Assert
+        expect(JSON.parse(window.vatStorage.getString('calculation_history'))).toEqual([{ calculationId: 'a' }, { calculationId: 'b' }]);
+    });
+
+    test('quota recovery evicts the least recently used value but never the prefixed token or user keys', () => {
+        // Arrange
+        loadStorage({ TokenKey: 'auth_token_dev', UserKey: 'user_data_dev' });
+        const now = Date.now();
+        jest.spyOn(Date, 'now').mockReturnValue(now);
+        window.vatStorage.set('vat_filing_auth_token', 'token');
+        window.vatStorage.set('vat_filing_user_data', 'user');
+        jest.spyOn(Date, 'now').mockReturnValue(now + 1);
+        window.vatStorage.set('old', 'x'.repeat(200));
+        jest.spyOn(Date, 'now').mockReturnValue(now + 2);
+        window.vatStorage.set('recent', 'y'.repeat(200));
+        limitQuota(localStorage.getItem('recent').length * 3);
+
+        // Act
+        const stored = window.vatStorage.set('new', 'z'.repeat(200));
+
+        // Assert
+        expect(stored).toBe(true);
+        expect(localStorage.getItem('old')).toBeNull();
+        expect(window.vatStorage.get('recent')).not.toBeNull();
+        expect(window.vatStorage.get('vat_filing_auth_token')).toBe('token');
+        expect(window.vatStorage.get('vat_filing_user_data')).toBe('user');
+    });
+
+    test('quota recovery keeps every LocalStorage.SensitiveKeys entry, so the refresh token and its expiry survive', () => {
+        // Arrange
+        loadStorage({ SensitiveKeys: ['auth_token', 'refresh_token', 'token_expiration', 'user_data'] });
+        const now = Date.now();
+        jest.spyOn(Date, 'now').mockReturnValue(now);
+        window.vatStorage.set('vat_filing_refresh_token', 'refresh');
+        window.vatStorage.set('vat_filing_token_expiration', '2026-10-19T10:00:00Z');
+        jest.spyOn(Date, 'now').mockReturnValue(now + 1);
+        window.vatStorage.set('old', 'x'.repeat(200));
+        jest.spyOn(Date, 'now').mockReturnValue(now + 2);
+        window.vatStorage.set('recent', 'y'.repeat(200));
+        limitQuota(localStorage.getItem('recent').length * 3);
+
+        // Act
+        const stored = window.vatStorage.set('new', 'z'.repeat(200));
+
+        // Assert
+        expect(stored).toBe(true);
+        expect(localStorage.getItem('old')).toBeNull();
+        expect(window.vatStorage.get('vat_filing_refresh_token')).toBe('refresh');
+        expect(window.vatStorage.get('vat_filing_token_expiration')).toBe('2026-10-19T10:00:00Z');
+    });
+
+    test('without LocalStorage.SensitiveKeys the refresh token is still never evicted', () => {
+        // Arrange
+        loadStorage();
+        window.vatStorage.set('vat_filing_refresh_token', 'refresh');
+        window.vatStorage.set('filler', 'x'.repeat(200));
+        limitQuota(450);
+
+        // Act
+        const stored = window.vatStorage.set('new', 'z'.repeat(200));
+
+        // Assert
+        expect(stored).toBe(true);
+        expect(localStorage.getItem('filler')).toBeNull();
+        expect(window.vatStorage.get('vat_filing_refresh_token')).toBe('refresh');
+    });
+
+    test('a value that can never fit is refused without wiping storage', () => {
+        // Arrange
+        loadStorage();
+        window.vatStorage.set('vat_filing_auth_token', 'token');
+        limitQuota(500);
+
+        // Act
+        const stored = window.vatStorage.set('huge', 'x'.repeat(1000));
+
+        // Assert
+        expect(stored).toBe(false);
+        expect(window.vatStorage.get('vat_filing_auth_token')).toBe('token');
+    });
+});
+
+describe('interop.js local storage functions', () => {
+    beforeAll(() => {
+        loadStorage();
+        window.Chart = function() {};
+        window.interopHooks = { instrument: () => {} };
+        window.errorReporter = { capture: jest.fn() };
+        // interop.js declares top-level constants, so it is loaded once for the whole file
+        loadScripts(['app.js', 'interop.js']);
+    });
+
+    beforeEach(() => {
+        localStorage.clear();
+        window.tabSync = { recordStorageWrite: jest.fn() };
+        window.secureStorage = undefined;
+    });
+
+    test('setLocalStorageItem stores an envelope and tells other tabs about the write', () => {
+        // Act
+        window.setLocalStorageItem('preferences', 'GBP');
+
+        // Assert
+        expect(JSON.parse(localStorage.getItem('preferences')).v).toBe('GBP');
+        expect(window.getLocalStorageItem('preferences')).toBe('GBP');
+        expect(window.tabSync.recordStorageWrite).toHaveBeenCalledWith('preferences', true);
+    });
+
+    test('sensitive keys are delegated to encrypted storage', () => {
+        // Arrange
+        window.secureStorage = {
+            handles: key => key === 'vat_filing_auth_token',
+            setItem: jest.fn(() => Promise.resolve(true)),
+            getItem: jest.fn(() => Promise.resolve('token'))
+        };
+
+        // Act
+        window.setLocalStorageItem('vat_filing_auth_token', 'token');
+        const value = window.getLocalStorageItem('vat_filing_auth_token');
+
+        // Assert
+        expect(window.secureStorage.setItem).toHaveBeenCalledWith('vat_filing_auth_token', 'token');
+        expect(localStorage.getItem('vat_filing_auth_token')).toBeNull();
+        return expect(value).resolves.toBe('token');
+    });
+});
@@ -0,0 +1,76 @@
+/**
+ * subscriptions.test.js - Tests for the .NET subscriber registries in wwwroot/js/subscriptions.js
+ * Version: 1.0.0
+ */
+
+const { setupBrowser, loadScripts, createDotNetRef } = require('./helpers/harness');
+
+describe('subscriptions.js', () => {
+    beforeEach(() => {
+        setupBrowser();
+        loadScripts(['subscriptions.js']);
+    });
+
+    test('a subscriber is removed by its ID, not by the reference object', async () => {
+        // Arrange
+        const registry = window.subscriptions.create('OnChanged', 'test');
+        const dotNetRef = createDotNetRef();
+        const id = registry.add(dotNetRef);
+
+        // Act
+        // Blazor passes a new wrapper object on each call, so only the ID identifies the subscriber
+        const removed = registry.remove(id);
+        await registry.notify(1);
+
+        // Assert
+        expect(removed).toBe(true);
+        expect(dotNetRef.invokeMethodAsync).not.toHaveBeenCalled();
+        expect(registry.count()).toBe(0);
+    });
+
+    test('notify invokes the default or named method with the arguments', async () => {
+        // Arrange
+        const registry = window.subscriptions.create('OnChanged', 'test');
+        const first = createDotNetRef();
+        const second = createDotNetRef();
+        registry.add(first);
+        registry.add(second, 'OnOtherChange');
+
+        // Act
+        await registry.notify('a', 2);
+
+        // Assert
+        expect(first.invokeMethodAsync).toHaveBeenCalledWith('OnChanged', 'a', 2);
+        expect(second.invokeMethodAsync).toHaveBeenCalledWith('OnOtherChange', 'a', 2);
+    });
+
+    test('IDs are unique across registries', () => {
+        // Arrange
+        const first = window.subscriptions.create('OnA', 'a');
+        const second = window.subscriptions.create('OnB', 'b');
+
+        // Act
+        const firstId = first.add(createDotNetRef());
+        const secondId = second.add(createDotNetRef());
+
+        // Assert
+        expect(firstId).not.toBe(secondId);
+        expect(second.remove(firstId)).toBe(false);
+    });
+
+    test('subscribers whose .NET object was disposed are dropped', async () => {
+        // Arrange
+        const registry = window.subscriptions.create('OnChanged', 'test');
+        registry.add({
+            invokeMethodAsync: jest.fn(() => Promise.reject(new Error('There is no tracked object with id \'3\'. Perhaps the DotNetObjectReference instance was already disposed.')))
+        });
+        registry.add({ invokeMethodAsync: jest.fn(() => Promise.reject(new Error('Handler failed'))) });
+
+        // Act
+        await registry.notify();
+
+        // Assert
+        expect(registry.count()).toBe(1);
+        expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Error notifying test subscriber'));
+    });
+});
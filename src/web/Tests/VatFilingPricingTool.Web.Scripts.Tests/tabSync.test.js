@@ -0,0 +1,122 @@
+/**
+ * tabSync.test.js - Tests for the cross-tab synchronisation in wwwroot/js/tabSync.js
+ * Version: 1.0.0
+ */
+
+const { setupBrowser, loadScripts, createDotNetRef, ChannelStub, flushPromises } = require('./helpers/harness');
+
+describe('tabSync.js over BroadcastChannel', () => {
+    let otherTab;
+    let received;
+
+    beforeAll(() => {
+        setupBrowser();
+        localStorage.clear();
+        ChannelStub.reset();
+        window.BroadcastChannel = ChannelStub;
+        window.themeManager = { reloadPreference: jest.fn() };
+        loadScripts(['subscriptions.js', 'tabSync.js']);
+
+        // The channel of another open tab
+        otherTab = new ChannelStub('vat-filing-sync');
+        otherTab.addEventListener('message', event => received.push(event.data));
+    });
+
+    beforeEach(() => {
+        received = [];
+        window.themeManager.reloadPreference.mockClear();
+    });
+
+    test('a theme change in another tab reloads the preference and is passed to subscribers', async () => {
+        // Arrange
+        const dotNetRef = createDotNetRef();
+        const subscriptionId = window.tabSync.subscribe(dotNetRef);
+
+        // Act
+        otherTab.postMessage({ type: 'theme', theme: 'dark', source: 'other-tab' });
+        await flushPromises();
+
+        // Assert
+        expect(window.themeManager.reloadPreference).toHaveBeenCalled();
+        expect(dotNetRef.invokeMethodAsync).toHaveBeenCalledWith('OnTabSyncMessage', expect.objectContaining({ type: 'theme', theme: 'dark' }));
+        window.tabSync.unsubscribe(subscriptionId);
+    });
+
+    test('unsubscribing by ID stops only that subscription', async () => {
+        // Arrange
+        const dotNetRef = createDotNetRef();
+        const first = window.tabSync.subscribe(dotNetRef, 'OnFirst');
+        const second = window.tabSync.subscribe(dotNetRef, 'OnSecond');
+        const sessionEvents = [];
+        window.addEventListener('vatfilingsessionchanged', event => sessionEvents.push(event.detail));
+
+        // Act
+        window.tabSync.unsubscribe(first);
+        otherTab.postMessage({ type: 'session', authenticated: true, source: 'other-tab' });
+        await flushPromises();
+
+        // Assert
+        expect(dotNetRef.invokeMethodAsync.mock.calls.map(call => call[0])).toEqual(['OnSecond']);
+        expect(sessionEvents).toEqual([{ authenticated: true, remote: true }]);
+        expect(window.tabSync.isAuthenticated()).toBe(true);
+        window.tabSync.unsubscribe(second);
+    });
+
+    test('writes to the prefixed token key announce sign-in once and clearing storage announces sign-out', () => {
+        // Arrange
+        window.tabSync.recordStorageWrite(null, false);
+        received = [];
+
+        // Act
+        window.tabSync.recordStorageWrite('vat_filing_auth_token', true);
+        window.tabSync.recordStorageWrite('vat_filing_auth_token', true);
+        window.tabSync.recordStorageWrite('preferences', true);
+        window.tabSync.recordStorageWrite(null, false);
+
+        // Assert
+        expect(received.map(message => [message.type, message.authenticated])).toEqual([['session', true], ['session', false]]);
+    });
+
+    test('history changes made here are sent to other tabs and those received are not sent back', () => {
+        // Arrange
+        const historyEvents = [];
+        window.addEventListener('vatfilinghistorychanged', event => historyEvents.push(event.detail));
+
+        // Act
+        window.dispatchEvent(new CustomEvent('vatfilinghistorychanged', { detail: { action: 'saved', ids: ['calc-1'] } }));
+        otherTab.postMessage({ type: 'history', action: 'removed', ids: ['calc-2'], source: 'other-tab' });
+
+        // Assert
+        expect(received).toEqual([expect.objectContaining({ type: 'history', action: 'saved', ids: ['calc-1'] })]);
+        expect(historyEvents[1]).toEqual({ action: 'removed', ids: ['calc-2'], remote: true });
+    });
+});
+
+describe('tabSync.js without BroadcastChannel', () => {
+    beforeAll(() => {
+        setupBrowser();
+        window.BroadcastChannel = undefined;
+        window.themeManager = { reloadPreference: jest.fn() };
+        loadScripts(['subscriptions.js', 'tabSync.js']);
+    });
+
+    test('messages are carried by storage events', () => {
+        // Arrange
+        const setItem = jest.spyOn(Storage.prototype, 'setItem');
+        const tabMessages = [];
+        window.addEventListener('vatfilingtabmessage', event => tabMessages.push(event.detail));
+
+        // Act
+        window.tabSync.publish('calculator', { step: 2 });
+        window.dispatchEvent(new StorageEvent('storage', {
+            key: 'vat-filing-sync',
+            newValue: JSON.stringify({ type: 'calculator', step: 3, source: 'other-tab' })
+        }));
+
+        // Assert
+        expect(window.tabSync.usesBroadcastChannel()).toBe(false);
+        expect(JSON.parse(setItem.mock.calls[0][1])).toEqual(expect.objectContaining({ type: 'calculator', step: 2 }));
+        expect(localStorage.getItem('vat-filing-sync')).toBeNull();
+        expect(tabMessages).toEqual([expect.objectContaining({ type: 'calculator', step: 3 })]);
+    });
+});
@@ -0,0 +1,293 @@
+/**
+ * telemetry.test.js - Tests for the client performance telemetry in wwwroot/js/telemetry.js
+ * Version: 1.0.0
+ */
+
+const { setupBrowser, loadScripts, jsonResponse, flushPromises } = require('./helpers/harness');
+
+/**
+ * A stand-in for PerformanceObserver whose entries are emitted by the test
+ */
+class ObserverStub {
+    constructor(callback) {
+        this.callback = callback;
+        ObserverStub.observers.push(this);
+    }
+
+    observe(options) {
+        this.type = options.type;
+    }
+
+    /**
+     * Delivers entries to the observers of the given type
+     * @param {string} type - The entry type
+     * @param {object[]} entries - The entries
+     */
+    static emit(type, entries) {
+        ObserverStub.observers
+            .filter(observer => observer.type === type)
+            .forEach(observer => observer.callback({ getEntries: () => entries }));
+    }
+}
+ObserverStub.observers = [];
+ObserverStub.supportedEntryTypes = ['largest-contentful-paint', 'layout-shift', 'event'];
+
+// Statuses the telemetry endpoints answer the next requests with; requests beyond them get 200
+const statuses = [];
+
+/**
+ * Sets up the browser with a fetch recording what the telemetry sinks send
+ * @param {object} appSettings - The application settings
+ * @returns {object[]} The requests sent, as { url, init, body }
+ */
+function setupTelemetryBrowser(appSettings) {
+    const sent = [];
+    const capture = (url, init) => {
+        sent.push({ url, init, body: JSON.parse(init.body) });
+        return jsonResponse({}, statuses.shift() || 200);
+    };
+    setupBrowser({ appSettings, routes: { '/api/telemetry': capture, '/v2/track': capture } });
+    return sent;
+}
+
+describe('telemetry.js', () => {
+    let sent;
+
+    beforeAll(() => {
+        sessionStorage.clear();
+        sent = setupTelemetryBrowser({
+            ClientTelemetry: { Enabled: true, SampleRate: 1, Sink: 'http', Endpoint: '/api/telemetry', BatchSize: 20, FlushIntervalSeconds: 15 }
+        });
+        window.PerformanceObserver = ObserverStub;
+        document.body.innerHTML = '<div id="app"><div class="loading-container">Loading...</div></div>';
+        loadScripts(['interopHooks.js', 'telemetry.js']);
+    });
+
+    beforeEach(() => {
+        sent.length = 0;
+    });
+
+    test('instrumented interop calls are posted to the HTTP sink with their duration and outcome', async () => {
+        // Arrange
+        window.downloadFile = () => Promise.resolve();
+        window.initializeChart = () => {
+            throw new Error('Canvas not found');
+        };
+        window.interopHooks.instrument(['downloadFile', 'initializeChart']);
+
+        // Act
+        await window.downloadFile();
+        expect(() => window.initializeChart()).toThrow('Canvas not found');
+        await window.telemetry.flush();
+
+        // Assert
+        expect(sent).toHaveLength(1);
+        expect(sent[0].url).toBe('/api/telemetry');
+        expect(sent[0].body.items.map(item => [item.name, item.unit, item.properties.succeeded])).toEqual([
+            ['interop.downloadFile', 'ms', true],
+            ['interop.initializeChart', 'ms', false]
+        ]);
+        expect(sent[0].body.items.every(item => item.value >= 0)).toBe(true);
+    });
+
+    test('Blazor boot time and time to vatfilingappready are recorded', async () => {
+        // Act
+        document.getElementById('app').innerHTML = '<main>Calculator</main>';
+        await flushPromises();
+        window.dispatchEvent(new CustomEvent('vatfilingappready'));
+        await window.telemetry.flush();
+
+        // Assert
+        expect(sent[0].body.items.map(item => item.name)).toEqual(['blazor.boot', 'app.ready']);
+    });
+
+    test('a full batch is sent without waiting for the flush interval', async () => {
+        // Arrange
+        window.appSettings.ClientTelemetry.BatchSize = 3;
+
+        // Act
+        ['calculation.render', 'calculation.save', 'calculation.export'].forEach(name => window.telemetry.trackMetric(name, 10));
+        await flushPromises();
+
+        // Assert
+        expect(sent).toHaveLength(1);
+        expect(sent[0].body.items).toHaveLength(3);
+        expect(window.telemetry.getPendingCount()).toBe(0);
+        window.appSettings.ClientTelemetry.BatchSize = 20;
+    });
+
+    test('the appinsights sink sends metric envelopes to the ingestion endpoint of the connection string', async () => {
+        // Arrange
+        window.appSettings.ClientTelemetry.Sink = 'appinsights';
+        window.appSettings.ApplicationInsights = {
+            ConnectionString: 'InstrumentationKey=1234-abcd;IngestionEndpoint=https://westeurope.in.applicationinsights.azure.com/'
+        };
+
+        // Act
+        window.telemetry.trackMetric('calculation.duration', 12.34567, 'ms', { countries: 3 });
+        await window.telemetry.flush();
+
+        // Assert
+        expect(sent[0].url).toBe('https://westeurope.in.applicationinsights.azure.com/v2/track');
+        const [envelope] = sent[0].body;
+        expect(envelope.name).toBe('Microsoft.ApplicationInsights.1234abcd.Metric');
+        expect(envelope.iKey).toBe('1234-abcd');
+        expect(envelope.data.baseType).toBe('MetricData');
+        expect(envelope.data.baseData.metrics).toEqual([{ name: 'calculation.duration', value: 12.346, count: 1 }]);
+        expect(envelope.data.baseData.properties).toEqual({ unit: 'ms', countries: 3 });
+        window.appSettings.ClientTelemetry.Sink = 'http';
+    });
+
+    test('a batch the endpoint rejects is kept and sent with the next flush', async () => {
+        // Arrange
+        statuses.push(503);
+        window.telemetry.trackMetric('calculation.render', 10);
+        await window.telemetry.flush();
+        const pendingAfterRejection = window.telemetry.getPendingCount();
+
+        // Act
+        window.telemetry.trackMetric('calculation.save', 20);
+        await window.telemetry.flush();
+
+        // Assert
+        expect(pendingAfterRejection).toBe(1);
+        expect(sent).toHaveLength(2);
+        expect(sent[1].body.items.map(item => item.name)).toEqual(['calculation.render', 'calculation.save']);
+        expect(window.telemetry.getPendingCount()).toBe(0);
+    });
+
+    test('a registered sink can be selected with ClientTelemetry.Sink', async () => {
+        // Arrange
+        const received = [];
+        window.telemetry.registerSink('Memory', () => ({
+            send: items => {
+                received.push(...items);
+                return Promise.resolve();
+            }
+        }));
+        window.appSettings.ClientTelemetry.Sink = 'memory';
+
+        // Act
+        window.telemetry.trackMetric('pdf.generate', 250);
+        await window.telemetry.flush();
+
+        // Assert
+        expect(received.map(item => item.name)).toEqual(['pdf.generate']);
+        expect(sent).toHaveLength(0);
+        window.appSettings.ClientTelemetry.Sink = 'http';
+    });
+
+    test('LCP, CLS and INP are reported once when the page is hidden, with requests that outlive the page', async () => {
+        // Arrange
+        ObserverStub.emit('largest-contentful-paint', [{ startTime: 900, renderTime: 1200 }, { startTime: 1500, renderTime: 1800 }]);
+        ObserverStub.emit('layout-shift', [
+            { startTime: 100, value: 0.05 },
+            { startTime: 600, value: 0.05 },
+            { startTime: 3000, value: 0.02 },
+            { startTime: 3100, value: 0.5, hadRecentInput: true }
+        ]);
+        ObserverStub.emit('event', [
+            { interactionId: 1, duration: 80 },
+            { interactionId: 1, duration: 120 },
+            { interactionId: 2, duration: 200 },
+            { duration: 900 }
+        ]);
+        Object.defineProperty(document, 'visibilityState', { value: 'hidden', configurable: true });
+
+        // Act
+        document.dispatchEvent(new Event('visibilitychange'));
+        document.dispatchEvent(new Event('visibilitychange'));
+        await flushPromises();
+
+        // Assert
+        expect(sent).toHaveLength(1);
+        expect(sent[0].init.keepalive).toBe(true);
+        expect(sent[0].body.items.map(item => [item.name, item.value])).toEqual([
+            ['webvitals.lcp', 1800],
+            ['webvitals.cls', 0.1],
+            ['webvitals.inp', 200]
+        ]);
+        expect(sent[0].body.items[2].properties).toEqual({ interactions: 2 });
+        delete document.visibilityState;
+    });
+});
+
+describe('telemetry.js sampling', () => {
+    beforeEach(() => {
+        sessionStorage.clear();
+    });
+
+    test('sessions outside ClientTelemetry.SampleRate send nothing and the decision is kept for the session', async () => {
+        // Arrange
+        const sent = setupTelemetryBrowser({ ClientTelemetry: { SampleRate: 0, Sink: 'http' } });
+        loadScripts(['interopHooks.js', 'telemetry.js']);
+
+        // Act
+        window.telemetry.trackMetric('calculation.render', 10);
+        await window.telemetry.flush();
+
+        // Assert
+        expect(sent).toHaveLength(0);
+        expect(window.telemetry.getPendingCount()).toBe(0);
+        expect(sessionStorage.getItem('vat-filing-telemetry-sampled')).toBe('false');
+    });
+
+    test('metrics recorded before settings load are kept, and a session already sampled stays sampled', async () => {
+        // Arrange
+        sessionStorage.setItem('vat-filing-telemetry-sampled', 'true');
+        const sent = setupTelemetryBrowser({});
+        loadScripts(['interopHooks.js', 'telemetry.js']);
+        window.telemetry.trackMetric('calculation.render', 10);
+        const pendingBeforeSettings = window.telemetry.getPendingCount();
+
+        // Act
+        window.appSettings.ClientTelemetry = { SampleRate: 0, Sink: 'http' };
+        await window.telemetry.flush();
+
+        // Assert
+        expect(pendingBeforeSettings).toBe(1);
+        expect(sent.map(request => request.body.items[0].name)).toEqual(['calculation.render']);
+    });
+});
+
+
+describe('telemetry.js Application Insights configuration', () => {
+    beforeEach(() => {
+        sessionStorage.clear();
+    });
+
+    test('the appinsights sink sends nothing without a connection string', async () => {
+        // Arrange
+        const sent = setupTelemetryBrowser({
+            ClientTelemetry: { Enabled: true, SampleRate: 1, Sink: 'appinsights', Endpoint: '/api/telemetry' },
+            ApplicationInsights: { ConnectionString: '' }
+        });
+        loadScripts(['interopHooks.js', 'telemetry.js']);
+
+        // Act
+        window.telemetry.trackMetric('calculation.render', 10);
+        await window.telemetry.flush();
+
+        // Assert
+        expect(sent).toHaveLength(0);
+        expect(window.telemetry.getPendingCount()).toBe(0);
+    });
+
+    test('the appinsights sink sends nothing while Logging.EnableApplicationInsights is false', async () => {
+        // Arrange
+        const sent = setupTelemetryBrowser({
+            ClientTelemetry: { Enabled: true, SampleRate: 1, Sink: 'appinsights' },
+            Logging: { EnableApplicationInsights: false },
+            ApplicationInsights: { ConnectionString: 'InstrumentationKey=1234-abcd' }
+        });
+        loadScripts(['interopHooks.js', 'telemetry.js']);
+
+        // Act
+        window.telemetry.trackMetric('calculation.render', 10);
+        await window.telemetry.flush();
+
+        // Assert
+        expect(sent).toHaveLength(0);
+        expect(window.telemetry.getPendingCount()).toBe(0);
+    });
+});
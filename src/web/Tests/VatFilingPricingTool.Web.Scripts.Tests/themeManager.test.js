@@ -0,0 +1,113 @@
+/**
+ * themeManager.test.js - Tests for the theme manager in wwwroot/js/themeManager.js
+ * Version: 1.0.0
+ */
+
+const { setupBrowser, loadScripts, createDotNetRef, readWwwroot } = require('./helpers/harness');
+
+/**
+ * Loads the theme manager with the given stored values and operating system colour scheme
+ * @param {object} [stored] - localStorage values keyed by storage key
+ * @param {boolean} [prefersDark] - Whether the operating system prefers a dark scheme
+ */
+function loadThemeManager(stored, prefersDark) {
+    localStorage.clear();
+    Object.keys(stored || {}).forEach(key => localStorage.setItem(key, stored[key]));
+    document.body.className = '';
+    setupBrowser();
+    window.matchMedia = query => ({
+        matches: !!prefersDark,
+        media: query,
+        addEventListener: () => {}
+    });
+    loadScripts(['subscriptions.js', 'themeManager.js']);
+}
+
+describe('themeManager.js', () => {
+    test('the light theme applies until a default or a preference is set', () => {
+        // Arrange & Act
+        loadThemeManager({}, true);
+
+        // Assert
+        expect(window.themeManager.getTheme()).toBe('light');
+        expect(document.body.classList.contains('light-theme')).toBe(true);
+    });
+
+    test('the configured default theme applies while the user has not picked one', () => {
+        // Arrange
+        loadThemeManager({}, true);
+
+        // Act
+        const theme = window.themeManager.setDefaultTheme('system');
+
+        // Assert
+        expect(theme).toBe('dark');
+        expect(window.themeManager.getPreference()).toBe('system');
+    });
+
+    test('the configured default does not override the user\'s choice', () => {
+        // Arrange
+        loadThemeManager({ 'vat-filing-theme': JSON.stringify({ theme: 'high-contrast' }) });
+
+        // Act
+        window.themeManager.setDefaultTheme('light');
+
+        // Assert
+        expect(window.themeManager.getTheme()).toBe('high-contrast');
+        expect(document.body.classList.contains('high-contrast-theme')).toBe(true);
+    });
+
+    test('changing the chart palette does not store the default theme as the user\'s choice', () => {
+        // Arrange
+        loadThemeManager();
+        window.themeManager.setDefaultTheme('light');
+
+        // Act
+        window.themeManager.setChartPalette('okabe-ito', true);
+        window.themeManager.setDefaultTheme('dark');
+
+        // Assert
+        expect(window.themeManager.getTheme()).toBe('dark');
+        expect(JSON.parse(localStorage.getItem('vat-filing-theme')).theme).toBeNull();
+    });
+
+    test('an unknown theme falls back to light', () => {
+        // Arrange
+        loadThemeManager();
+
+        // Act
+        const theme = window.themeManager.setTheme('sepia');
+
+        // Assert
+        expect(theme).toBe('light');
+    });
+
+    test('subscribers are notified until they unsubscribe by ID', () => {
+        // Arrange
+        loadThemeManager();
+        const dotNetRef = createDotNetRef();
+        const id = window.themeManager.subscribe(dotNetRef);
+
+        // Act
+        window.themeManager.setTheme('dark');
+        window.themeManager.unsubscribe(id);
+        window.themeManager.setTheme('light');
+
+        // Assert
+        expect(dotNetRef.invokeMethodAsync).toHaveBeenCalledTimes(1);
+        expect(dotNetRef.invokeMethodAsync).toHaveBeenCalledWith('OnThemeChanged', 'dark', 'dark', true);
+    });
+
+    test('the stylesheet styles every registered theme', () => {
+        // Arrange
+        const css = readWwwroot('css/app.css');
+        loadThemeManager();
+
+        // Act
+        const unstyled = window.themeManager.getThemes()
+            .filter(name => name !== 'light' && !new RegExp(`^\\.${name}-theme \\{`, 'm').test(css));
+
+        // Assert
+        expect(unstyled).toEqual([]);
+    });
+});
@@ -0,0 +1,152 @@
+/**
+ * vatValidation.test.js - Tests for the VAT number checks and form validation in wwwroot/js/vatValidation.js
+ * Version: 1.0.0
+ */
+
+const { setupBrowser, loadScripts } = require('./helpers/harness');
+
+// A registered VAT number with correct check digits for each supported country
+const VALID_NUMBERS = {
+    AT: 'ATU13585627', BE: 'BE0403019261', BG: 'BG175074752', CY: 'CY10259033P', CZ: 'CZ25123891',
+    DE: 'DE136695976', DK: 'DK13585628', EE: 'EE100931558', ES: 'ESA13585625', FI: 'FI20774740',
+    FR: 'FR40303265045', GR: 'EL094259216', HR: 'HR33392005961', HU: 'HU12892312', IE: 'IE6433435F',
+    IT: 'IT00743110157', LT: 'LT119511515', LU: 'LU15027442', LV: 'LV40003521600', MT: 'MT11679112',
+    NL: 'NL004495445B01', PL: 'PL8567346215', PT: 'PT501964843', RO: 'RO18547290', SE: 'SE123456789701',
+    SI: 'SI50223054', SK: 'SK2022749619', GB: 'GB980780684', CH: 'CHE107787577', NO: 'NO995525828'
+};
+
+describe('vatValidation.js', () => {
+    beforeAll(async () => {
+        setupBrowser({ appSettings: { UIConfiguration: { DefaultLanguage: 'en', SupportedLanguages: ['en', 'de'] } } });
+        localStorage.clear();
+        window.chartInstances = {};
+        loadScripts(['formatting.js', 'subscriptions.js', 'i18n.js', 'vatValidation.js']);
+        await window.i18n.initialize();
+    });
+
+    afterEach(async () => {
+        await window.i18n.setLanguage('en');
+    });
+
+    test('every EU member state, GB, CH and NO is supported', () => {
+        // Act & Assert
+        expect(window.vatValidation.getSupportedCountries().sort()).toEqual(Object.keys(VALID_NUMBERS).sort());
+    });
+
+    test.each(Object.entries(VALID_NUMBERS))('a valid %s number passes its format and check-digit rules', (countryCode, number) => {
+        // Act
+        const result = window.vatValidation.validateVatNumber(number);
+
+        // Assert
+        expect(result).toEqual(expect.objectContaining({ valid: true, countryCode, number, reason: null }));
+    });
+
+    test.each([
+        ['DE136695977'], ['ATU13585626'], ['FR41303265045'], ['IT00743110158'], ['ESA13585626'],
+        ['IE6433435G'], ['PL8567346216'], ['GB980780685'], ['NO995525829']
+    ])('a typing error in %s fails the checksum', number => {
+        // Act
+        const result = window.vatValidation.validateVatNumber(number);
+
+        // Assert
+        expect(result.valid).toBe(false);
+        expect(result.reason).toBe('checksum');
+    });
+
+    test('numbers are compacted, and the EL, XI and CHE prefixes and MWST/MVA suffixes are understood', () => {
+        // Act
+        const greek = window.vatValidation.validateVatNumber('el 094 259 216');
+        const northernIrish = window.vatValidation.validateVatNumber('XI 980 7806 84');
+        const swiss = window.vatValidation.validateVatNumber('CHE-107.787.577 MWST');
+        const norwegian = window.vatValidation.validateVatNumber('995 525 828 MVA', 'NO');
+
+        // Assert
+        expect([greek.countryCode, greek.number, greek.valid]).toEqual(['GR', 'EL094259216', true]);
+        expect([northernIrish.countryCode, northernIrish.number, northernIrish.valid]).toEqual(['GB', 'XI980780684', true]);
+        expect([swiss.countryCode, swiss.number, swiss.valid]).toEqual(['CH', 'CHE107787577', true]);
+        expect([norwegian.countryCode, norwegian.number, norwegian.valid]).toEqual(['NO', 'NO995525828', true]);
+    });
+
+    test('invalid numbers say why: empty, unsupported, no country, another country or the wrong format', () => {
+        // Act
+        const reasons = [
+            window.vatValidation.validateVatNumber('  '),
+            window.vatValidation.validateVatNumber('123456789', 'US'),
+            window.vatValidation.validateVatNumber('136695976'),
+            window.vatValidation.validateVatNumber('DE136695976', 'FR'),
+            window.vatValidation.validateVatNumber('DE12345')
+        ].map(result => result.reason);
+
+        // Assert
+        expect(reasons).toEqual(['empty', 'unsupported', 'country', 'mismatch', 'format']);
+        expect(window.vatValidation.validateVatNumber('136695976', 'de').valid).toBe(true);
+    });
+
+    test('a VAT field takes its country from another field and shows a localised inline message', async () => {
+        // Arrange
+        document.body.innerHTML = '<form class="needs-validation" novalidate>' +
+            '<select name="country"><option value="DE">Germany</option><option value="FR">France</option></select>' +
+            '<input id="vatNumber" name="vatNumber" data-validate="required vat" data-validate-country-field="country"></form>';
+        const field = document.getElementById('vatNumber');
+        const country = document.querySelector('[name="country"]');
+        field.value = 'FR40303265045';
+
+        // Act
+        const valid = window.vatValidation.validateField(field);
+        field.classList.add('is-invalid');
+        const message = field.nextElementSibling.textContent;
+        country.value = 'FR';
+        window.vatValidation.revalidateDependents(country);
+        const validForFrance = field.classList.contains('is-valid');
+        field.value = 'FR41303265045';
+        window.vatValidation.validateField(field);
+        await window.i18n.setLanguage('de');
+        const germanMessage = field.nextElementSibling.textContent;
+
+        // Assert
+        expect(valid).toBe(false);
+        expect(message).toBe('This is a VAT number from France, not Germany.');
+        expect(validForFrance).toBe(true);
+        expect(field.getAttribute('aria-invalid')).toBe('true');
+        expect(field.getAttribute('aria-describedby')).toBe(field.nextElementSibling.id);
+        expect(germanMessage).toContain('Frankreich');
+        expect(field.validationMessage).toBe(germanMessage);
+    });
+
+    test('data-validate rules run after the built-in constraints, with message overrides and custom rules; unknown rules are skipped', () => {
+        // Arrange
+        document.body.innerHTML = '<form class="needs-validation" novalidate>' +
+            '<input id="reference" name="reference" data-validate="minLength:4 pattern:[A-Z]+" data-validate-message-pattern="Use capital letters only.">' +
+            '<input id="email" type="email" value="filing@">' +
+            '<input id="code" data-validate="typo evenLength">' +
+            '<input id="quarter" required data-validate="vat">' +
+            '</form>';
+        window.vatValidation.addRule('evenLength', value => value.length % 2 === 0 || 'Enter an even number of characters.');
+        const field = id => document.getElementById(id);
+        field('reference').value = 'ab';
+        field('code').value = 'abc';
+
+        // Act
+        const results = ['reference', 'email', 'code', 'quarter'].map(id => window.vatValidation.validateField(field(id)));
+        const messages = ['reference', 'email', 'code', 'quarter'].map(id => field(id).nextElementSibling.textContent);
+        field('reference').value = 'abcd';
+        window.vatValidation.validateField(field('reference'));
+        const patternMessage = field('reference').nextElementSibling.textContent;
+        field('reference').value = 'ABCD';
+        const formValid = window.vatValidation.validateForm(document.querySelector('form'));
+
+        // Assert
+        expect(results).toEqual([false, false, false, false]);
+        expect(messages).toEqual([
+            'Enter at least 4 characters.',
+            'Enter a valid email address.',
+            'Enter an even number of characters.',
+            'This field is required.'
+        ]);
+        expect(patternMessage).toBe('Use capital letters only.');
+        expect(formValid).toBe(false);
+        expect(field('reference').hasAttribute('aria-invalid')).toBe(false);
+        expect(field('reference').nextElementSibling.textContent).toBe('');
+        expect(console.warn).toHaveBeenCalledWith("Unknown validation rule 'typo'");
+    });
+});
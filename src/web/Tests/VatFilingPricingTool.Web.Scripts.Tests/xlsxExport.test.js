@@ -0,0 +1,204 @@
+/**
+ * xlsxExport.test.js - Tests for the XLSX workbook writer in wwwroot/js/xlsxExport.js
+ * Version: 1.0.0
+ */
+
+const zlib = require('zlib');
+const { setupBrowser, loadScripts } = require('./helpers/harness');
+
+/**
+ * Reads the files of an uncompressed ZIP archive, checking each local header against its CRC-32
+ * @param {Uint8Array} bytes - The archive
+ * @returns {object} File contents keyed by name, with `entryCount` from the end of central directory record
+ */
+function readZip(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const decoder = new TextDecoder();
+    const files = {};
+    let offset = 0;
+    while (view.getUint32(offset, true) === 0x04034B50) {
+        expect(view.getUint16(offset + 8, true)).toBe(0);
+        const size = view.getUint32(offset + 18, true);
+        const nameLength = view.getUint16(offset + 26, true);
+        const name = decoder.decode(bytes.subarray(offset + 30, offset + 30 + nameLength));
+        const data = bytes.subarray(offset + 30 + nameLength, offset + 30 + nameLength + size);
+        expect(view.getUint32(offset + 14, true)).toBe(zlib.crc32(data));
+        files[name] = decoder.decode(data);
+        offset += 30 + nameLength + size;
+    }
+    const end = bytes.length - 22;
+    expect(view.getUint32(end, true)).toBe(0x06054B50);
+    Object.defineProperty(files, 'entryCount', { value: view.getUint16(end + 10, true) });
+    return files;
+}
+
+/**
+ * Decodes a base64 workbook
+ * @param {string} base64 - The workbook as base64
+ * @returns {object} The workbook files, as returned by readZip
+ */
+function readBase64Workbook(base64) {
+    return readZip(new Uint8Array(Buffer.from(base64, 'base64')));
+}
+
+/**
+ * Gets the XML of a cell
+ * @param {string} sheetXml - The worksheet XML
+ * @param {string} reference - The cell reference, e.g. C4
+ * @returns {string|undefined} The cell XML
+ */
+function cell(sheetXml, reference) {
+    const match = new RegExp(`<c r="${reference}"[^>]*?(/>|>.*?</c>)`).exec(sheetXml);
+    return match ? match[0] : undefined;
+}
+
+const RESULT = {
+    calculationId: 'calc-1',
+    calculationDate: '2024-03-01T10:00:00',
+    serviceTypeName: 'Complex Filing',
+    filingFrequencyName: 'Quarterly',
+    transactionVolume: 1200,
+    currencyCode: 'GBP',
+    totalCost: 1450,
+    countryBreakdowns: [
+        { countryCode: 'GB', countryName: 'United Kingdom', baseCost: 800, additionalCost: 100, totalCost: 900, appliedRules: ['Base', 'Volume'] },
+        { countryCode: 'DE', countryName: 'Germany', baseCost: 600, additionalCost: 50, totalCost: 650, appliedRules: [] }
+    ],
+    discounts: { 'Volume discount': 100 },
+    additionalServices: ['Tax consultancy']
+};
+
+describe('xlsxExport.js', () => {
+    beforeEach(() => {
+        setupBrowser();
+        window.i18n = { t: (key, params) => params ? `${key}(${params.currency})` : key };
+        window.downloadFile = jest.fn();
+        loadScripts(['xlsxExport.js']);
+    });
+
+    test('buildWorkbook packages every part of the workbook in a valid ZIP archive', () => {
+        // Arrange
+        const sheets = [{ name: 'One', rows: [[1]] }, { name: 'Two', rows: [['a']] }];
+
+        // Act
+        const files = readZip(window.xlsxExport.buildWorkbook(sheets));
+
+        // Assert
+        expect(Object.keys(files)).toEqual([
+            '[Content_Types].xml', '_rels/.rels', 'docProps/core.xml', 'xl/workbook.xml',
+            'xl/_rels/workbook.xml.rels', 'xl/styles.xml', 'xl/worksheets/sheet1.xml', 'xl/worksheets/sheet2.xml'
+        ]);
+        expect(files.entryCount).toBe(8);
+        expect(files['xl/workbook.xml']).toContain('<sheet name="Two" sheetId="2" r:id="rId2"/>');
+        expect(files['[Content_Types].xml']).toContain('PartName="/xl/worksheets/sheet2.xml"');
+    });
+
+    test('cells are written with their type and text is escaped', () => {
+        // Arrange
+        const sheets = [{
+            name: 'Cells',
+            rows: [[12.5, 'R&D <EU>', true, new Date(2024, 0, 1), null, { value: 3, style: 'integer' }]]
+        }];
+
+        // Act
+        const sheet = readZip(window.xlsxExport.buildWorkbook(sheets))['xl/worksheets/sheet1.xml'];
+
+        // Assert
+        expect(cell(sheet, 'A1')).toBe('<c r="A1"><v>12.5</v></c>');
+        expect(cell(sheet, 'B1')).toBe('<c r="B1" t="inlineStr"><is><t xml:space="preserve">R&amp;D &lt;EU&gt;</t></is></c>');
+        expect(cell(sheet, 'C1')).toBe('<c r="C1" t="b"><v>1</v></c>');
+        expect(cell(sheet, 'D1')).toMatch(/^<c r="D1" s="\d+"><v>45292<\/v><\/c>$/);
+        expect(cell(sheet, 'E1')).toBeUndefined();
+        expect(cell(sheet, 'F1')).toMatch(/^<c r="F1" s="\d+"><v>3<\/v><\/c>$/);
+    });
+
+    test('each currency gets one number format that is shared by its cells', () => {
+        // Arrange
+        const sheets = [{
+            name: 'Money',
+            rows: [[{ value: 1, style: 'currency:GBP' }, { value: 2, style: 'currency:GBP' }, { value: 3, style: 'currency:EUR' }]]
+        }];
+
+        // Act
+        const files = readZip(window.xlsxExport.buildWorkbook(sheets));
+
+        // Assert
+        const styles = files['xl/styles.xml'];
+        expect(styles).toContain('<numFmt numFmtId="164" formatCode="#,##0.00 &quot;GBP&quot;"/>');
+        expect(styles).toContain('<numFmt numFmtId="165" formatCode="#,##0.00 &quot;EUR&quot;"/>');
+        const sheet = files['xl/worksheets/sheet1.xml'];
+        const styleOf = reference => /s="(\d+)"/.exec(cell(sheet, reference))[1];
+        expect(styleOf('A1')).toBe(styleOf('B1'));
+        expect(styleOf('C1')).not.toBe(styleOf('A1'));
+    });
+
+    test('sheet names are made valid for Excel', () => {
+        // Arrange
+        const sheets = [{ name: 'Q1/Q2 [draft]: a very long sheet name indeed', rows: [] }];
+
+        // Act
+        const workbook = readZip(window.xlsxExport.buildWorkbook(sheets))['xl/workbook.xml'];
+
+        // Assert
+        expect(workbook).toContain('<sheet name="Q1 Q2  draft   a very long shee" sheetId="1"');
+    });
+
+    test('a calculation workbook totals countries and discounts with formulas and cached values', () => {
+        // Act
+        const files = readBase64Workbook(window.xlsxExport.buildCalculationWorkbook(RESULT));
+
+        // Assert
+        const countries = files['xl/worksheets/sheet2.xml'];
+        expect(cell(countries, 'A2')).toContain('>GB<');
+        expect(cell(countries, 'F2')).toContain('>Base; Volume<');
+        expect(cell(countries, 'E4')).toMatch(/<f>SUM\(E2:E3\)<\/f><v>1550<\/v>/);
+        const discounts = files['xl/worksheets/sheet3.xml'];
+        expect(cell(discounts, 'B3')).toMatch(/<f>SUM\(B2:B2\)<\/f><v>100<\/v>/);
+        const summary = files['xl/worksheets/sheet1.xml'];
+        expect(summary).toContain('<f>\'sheets.countryBreakdown\'!E4</f>');
+        expect(summary).toContain('<f>\'sheets.discounts\'!B3</f>');
+    });
+
+    test('a history workbook totals costs per currency', () => {
+        // Arrange
+        const items = [
+            Object.assign({}, RESULT, { totalCost: 100, currencyCode: 'GBP' }),
+            Object.assign({}, RESULT, { totalCost: 200, currencyCode: 'EUR' }),
+            Object.assign({}, RESULT, { totalCost: 300, currencyCode: 'GBP' })
+        ];
+
+        // Act
+        window.xlsxExport.exportHistory(items);
+
+        // Assert
+        const [fileName, base64] = window.downloadFile.mock.calls[0];
+        const summary = readBase64Workbook(base64)['xl/worksheets/sheet1.xml'];
+        expect(fileName).toBe('vat-calculation-history.xlsx');
+        expect(summary).toContain('<f>SUMIF(\'sheets.history\'!I2:I4,&quot;GBP&quot;,\'sheets.history\'!H2:H4)</f><v>400</v>');
+        expect(summary).toContain('<f>SUMIF(\'sheets.history\'!I2:I4,&quot;EUR&quot;,\'sheets.history\'!H2:H4)</f><v>200</v>');
+    });
+
+    test('exportCalculation downloads an .xlsx file named after the calculation', () => {
+        // Act
+        const started = window.xlsxExport.exportCalculation(RESULT);
+
+        // Assert
+        expect(started).toBe(true);
+        expect(window.downloadFile).toHaveBeenCalledWith('vat-calculation-calc-1.xlsx', expect.any(String),
+            'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    });
+
+    test('exports are refused when FeatureManagement.ExportToExcel is off', () => {
+        // Arrange
+        window.appSettings = { FeatureManagement: { ExportToExcel: false } };
+
+        // Act
+        const calculation = window.xlsxExport.exportCalculation(RESULT);
+        const history = window.xlsxExport.exportHistory([RESULT]);
+
+        // Assert
+        expect(calculation).toBe(false);
+        expect(history).toBe(false);
+        expect(window.downloadFile).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,136 @@
+using System;
+using System.Linq;
+using System.Threading.Tasks;
+using Microsoft.Extensions.Logging;
+using Moq;
+using Xunit;
+using FluentAssertions;
+using VatFilingPricingTool.Web.Authentication;
+using VatFilingPricingTool.Web.Clients;
+using VatFilingPricingTool.Web.Helpers;
+using VatFilingPricingTool.Web.Models;
+using VatFilingPricingTool.Web.Services.Interfaces;
+using VatFilingPricingTool.Web.Tests.Mock;
+
+namespace VatFilingPricingTool.Web.Tests.Authentication
+{
+    /// <summary>
+    /// Contains unit tests for how the BrowserSessionMonitor keeps a tab's authentication state in step with the other tabs
+    /// and the idle timeout
+    /// </summary>
+    public class BrowserSessionMonitorTests
+    {
+        private readonly MockJSRuntime jsRuntime = new MockJSRuntime();
+        private readonly Mock<IAuthService> authService = new Mock<IAuthService>();
+        private readonly TokenAuthenticationStateProvider authStateProvider;
+        private readonly BrowserSessionMonitor sessionMonitor;
+
+        /// <summary>
+        /// Initializes a new instance of the BrowserSessionMonitorTests class with no one signed in
+        /// </summary>
+        public BrowserSessionMonitorTests()
+        {
+            authStateProvider = new TokenAuthenticationStateProvider(
+                new LocalStorageHelper(jsRuntime),
+                new Mock<IHttpClient>().Object,
+                new Mock<ILogger<TokenAuthenticationStateProvider>>().Object,
+                jsRuntime);
+            sessionMonitor = new BrowserSessionMonitor(
+                authStateProvider,
+                authService.Object,
+                jsRuntime,
+                new Mock<ILogger<BrowserSessionMonitor>>().Object);
+        }
+
+        /// <summary>
+        /// Tests that starting subscribes to the other tabs' messages and the idle monitor, and disposing unsubscribes
+        /// with the returned IDs
+        /// </summary>
+        [Fact]
+        public async Task StartAsync_SubscribesToTabSyncAndIdleMonitor_DisposeUnsubscribes()
+        {
+            // Arrange
+            jsRuntime.Setup("tabSync.subscribe", 3);
+            jsRuntime.Setup("idleMonitor.subscribe", 5);
+
+            // Act
+            await sessionMonitor.StartAsync();
+            await sessionMonitor.DisposeAsync();
+
+            // Assert
+            jsRuntime.Single("tabSync.subscribe").Arguments[1].Should().Be("OnTabSyncMessage");
+            jsRuntime.Single("tabSync.unsubscribe").Arguments.Should().Equal(3);
+            jsRuntime.Single("idleMonitor.subscribe").Arguments[1].Should().Be("OnIdleStateChanged");
+            jsRuntime.Single("idleMonitor.unsubscribe").Arguments.Should().Equal(5);
+        }
+
+        /// <summary>
+        /// Tests that signing out in another tab signs this tab out: its authentication state no longer has a user
+        /// and the browser's stores are signed out
+        /// </summary>
+        [Fact]
+        public async Task OnTabSyncMessage_SignedOutElsewhere_SignsThisTabOut()
+        {
+            // Arrange
+            await SignInAsync();
+            var before = await authStateProvider.GetAuthenticationStateAsync();
+
+            // Act
+            await sessionMonitor.OnTabSyncMessage(new TabSyncMessage { Type = "session", Authenticated = false });
+            var after = await authStateProvider.GetAuthenticationStateAsync();
+
+            // Assert
+            before.User.Identity.IsAuthenticated.Should().BeTrue();
+            after.User.Identity.IsAuthenticated.Should().BeFalse();
+            jsRuntime.Invocations.Select(invocation => invocation.Identifier).Should().Contain("historyStore.signOut");
+        }
+
+        /// <summary>
+        /// Tests that messages other than a sign-out leave a signed-in tab signed in
+        /// </summary>
+        [Fact]
+        public async Task OnTabSyncMessage_OtherMessages_LeaveThisTabSignedIn()
+        {
+            // Arrange
+            await SignInAsync();
+
+            // Act
+            await sessionMonitor.OnTabSyncMessage(new TabSyncMessage { Type = "theme", Theme = "dark" });
+            await sessionMonitor.OnTabSyncMessage(new TabSyncMessage { Type = "session", Authenticated = true });
+            var state = await authStateProvider.GetAuthenticationStateAsync();
+
+            // Assert
+            state.User.Identity.IsAuthenticated.Should().BeTrue();
+            jsRuntime.Invocations.Select(invocation => invocation.Identifier).Should().NotContain("historyStore.signOut");
+        }
+
+        /// <summary>
+        /// Tests that the idle timeout signs out through the auth service, while the warning and activity do not
+        /// </summary>
+        [Fact]
+        public async Task OnIdleStateChanged_Timeout_LogsOutThroughAuthService()
+        {
+            // Act
+            await sessionMonitor.OnIdleStateChanged("warning", 60000);
+            await sessionMonitor.OnIdleStateChanged("active", 1800000);
+            await sessionMonitor.OnIdleStateChanged("timeout", 0);
+
+            // Assert
+            authService.Verify(service => service.LogoutAsync(), Times.Once);
+        }
+
+        /// <summary>
+        /// Signs a user in to this tab
+        /// </summary>
+        /// <returns>A task that represents the asynchronous operation</returns>
+        private async Task SignInAsync()
+        {
+            await authStateProvider.MarkUserAsAuthenticated(new AuthSuccessResponse
+            {
+                Token = "token",
+                ExpiresAt = DateTime.UtcNow.AddHours(1),
+                User = new UserModel { UserId = "user-1", Email = "filer@example.com" }
+            });
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,85 @@
+using System;
+using System.Linq;
+using System.Threading.Tasks;
+using Microsoft.Extensions.Logging;
+using Moq;
+using Xunit;
+using FluentAssertions;
+using VatFilingPricingTool.Web.Authentication;
+using VatFilingPricingTool.Web.Clients;
+using VatFilingPricingTool.Web.Helpers;
+using VatFilingPricingTool.Web.Models;
+using VatFilingPricingTool.Web.Tests.Mock;
+
+namespace VatFilingPricingTool.Web.Tests.Authentication
+{
+    /// <summary>
+    /// Contains unit tests for how the TokenAuthenticationStateProvider scopes the browser's stores to the signed-in user
+    /// </summary>
+    public class TokenAuthenticationStateProviderTests
+    {
+        private readonly MockJSRuntime jsRuntime = new MockJSRuntime();
+        private readonly TokenAuthenticationStateProvider authStateProvider;
+
+        /// <summary>
+        /// Initializes a new instance of the TokenAuthenticationStateProviderTests class with no one signed in
+        /// </summary>
+        public TokenAuthenticationStateProviderTests()
+        {
+            authStateProvider = new TokenAuthenticationStateProvider(
+                new LocalStorageHelper(jsRuntime),
+                new Mock<IHttpClient>().Object,
+                new Mock<ILogger<TokenAuthenticationStateProvider>>().Object,
+                jsRuntime);
+        }
+
+        /// <summary>
+        /// Tests that signing in sets the user of the browser's history and draft stores
+        /// </summary>
+        [Fact]
+        public async Task MarkUserAsAuthenticated_SetsHistoryAndDraftUser()
+        {
+            // Arrange
+            var authResponse = new AuthSuccessResponse
+            {
+                Token = "token",
+                ExpiresAt = DateTime.UtcNow.AddHours(1),
+                User = new UserModel { UserId = "user-1", Email = "filer@example.com" }
+            };
+
+            // Act
+            await authStateProvider.MarkUserAsAuthenticated(authResponse);
+
+            // Assert
+            LastCall("historyStore.setUser").Arguments.Should().Equal("user-1");
+            LastCall("drafts.setUser").Arguments.Should().Equal("user-1");
+        }
+
+        /// <summary>
+        /// Tests that signing out clears the draft user after the history store has been signed out
+        /// </summary>
+        [Fact]
+        public async Task MarkUserAsLoggedOut_ClearsDraftUser()
+        {
+            // Act
+            await authStateProvider.MarkUserAsLoggedOut();
+
+            // Assert
+            var signOut = jsRuntime.Invocations.FindIndex(invocation => invocation.Identifier == "historyStore.signOut");
+            var clearDraftUser = jsRuntime.Invocations.FindLastIndex(invocation => invocation.Identifier == "drafts.setUser");
+            signOut.Should().BeGreaterThan(-1);
+            clearDraftUser.Should().BeGreaterThan(signOut);
+            jsRuntime.Invocations[clearDraftUser].Arguments.Should().Equal(new object[] { null });
+        }
+
+        /// <summary>
+        /// Gets the most recent call made to a JavaScript function
+        /// </summary>
+        /// <param name="identifier">The JavaScript function identifier</param>
+        /// <returns>The invocation</returns>
+        private JSInvocation LastCall(string identifier)
+        {
+            return jsRuntime.Invocations.Last(invocation => invocation.Identifier == identifier);
+        }
+    }
+}
\ No newline at end of file
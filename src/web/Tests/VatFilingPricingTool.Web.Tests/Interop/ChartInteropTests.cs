@@ -0,0 +1,137 @@
+using System.Collections.Generic; // version 6.0.0
+using System.Threading.Tasks; // version 6.0.0
+using FluentAssertions; // FluentAssertions version 6.7.0
+using Microsoft.JSInterop; // Microsoft.AspNetCore.Components version 6.0.0
+using Xunit; // xunit version 2.4.2
+using VatFilingPricingTool.Web.Helpers;
+using VatFilingPricingTool.Web.Models;
+using VatFilingPricingTool.Web.Tests.Mock;
+
+namespace VatFilingPricingTool.Web.Tests.Interop
+{
+    /// <summary>
+    /// Tests for the chart wrappers in JsInterop
+    /// </summary>
+    public class ChartInteropTests
+    {
+        private readonly MockJSRuntime jsRuntime = new MockJSRuntime();
+
+        /// <summary>
+        /// Tests that initializing a chart returns the handle created by initializeChart
+        /// </summary>
+        [Fact]
+        public async Task InitializeChartAsync_ReturnsHandle()
+        {
+            // Arrange
+            jsRuntime.Setup("initializeChart", "chart-1");
+
+            // Act
+            var handle = await JsInterop.InitializeChartAsync(jsRuntime, "pricingChart", new { type = "bar" }, new { });
+
+            // Assert
+            handle.Should().Be("chart-1");
+            jsRuntime.Single("initializeChart").Arguments.Should().HaveCount(3);
+        }
+
+        /// <summary>
+        /// Tests that a chart with a listener passes the reference and the hover debounce delay
+        /// </summary>
+        [Fact]
+        public async Task InitializeChartAsync_WithListener_PassesReferenceAndDebounce()
+        {
+            // Arrange
+            using var listener = DotNetObjectReference.Create(new ChartListener());
+
+            // Act
+            await JsInterop.InitializeChartAsync(jsRuntime, "pricingChart", new { type = "bar" }, new { }, listener, 300);
+
+            // Assert
+            var invocation = jsRuntime.Single("initializeChart");
+            invocation.Arguments[3].Should().BeSameAs(listener);
+            invocation.ArgumentJson(4).GetProperty("hoverDebounceMs").GetInt32().Should().Be(300);
+        }
+
+        /// <summary>
+        /// Tests that members left null in an update are not sent to updateChart
+        /// </summary>
+        [Fact]
+        public async Task UpdateChartAsync_OmitsNullMembers()
+        {
+            // Arrange
+            var update = new ChartUpdateModel
+            {
+                Labels = new List<string> { "GB", "DE" },
+                AnimationMode = "none"
+            };
+
+            // Act
+            await JsInterop.UpdateChartAsync(jsRuntime, "chart-1", update);
+
+            // Assert
+            var json = jsRuntime.Single("updateChart").ArgumentJson(1);
+            json.TryGetProperty("labels", out _).Should().BeTrue();
+            json.TryGetProperty("datasets", out _).Should().BeFalse();
+            json.TryGetProperty("options", out _).Should().BeFalse();
+        }
+
+        /// <summary>
+        /// Tests that the chart state is requested by handle
+        /// </summary>
+        [Fact]
+        public async Task GetChartStateAsync_ReturnsState()
+        {
+            // Arrange
+            var state = new ChartStateModel { Handle = "chart-1" };
+            jsRuntime.Setup("getChartState", state);
+
+            // Act
+            var result = await JsInterop.GetChartStateAsync(jsRuntime, "chart-1");
+
+            // Assert
+            result.Should().BeSameAs(state);
+            jsRuntime.Single("getChartState").Arguments.Should().Equal("chart-1");
+        }
+
+        /// <summary>
+        /// Tests that destroying a chart passes its handle to destroyChart
+        /// </summary>
+        [Fact]
+        public async Task DestroyChartAsync_PassesHandle()
+        {
+            // Arrange
+            jsRuntime.Setup("destroyChart", true);
+
+            // Act
+            var destroyed = await JsInterop.DestroyChartAsync(jsRuntime, "chart-1");
+
+            // Assert
+            destroyed.Should().BeTrue();
+            jsRuntime.Single("destroyChart").Arguments.Should().Equal("chart-1");
+        }
+
+        /// <summary>
+        /// Tests that export options left null are not sent, so chartExport keeps its defaults
+        /// </summary>
+        [Fact]
+        public async Task ExportChartImageAsync_OmitsNullOptions()
+        {
+            // Arrange
+            var options = new ChartImageExportOptions { Format = "svg" };
+
+            // Act
+            await JsInterop.ExportChartImageAsync(jsRuntime, "chart-1", options);
+
+            // Assert
+            var json = jsRuntime.Single("chartExport.exportImage").ArgumentJson(1);
+            json.GetProperty("format").GetString().Should().Be("svg");
+            json.TryGetProperty("scale", out _).Should().BeFalse();
+            json.TryGetProperty("background", out _).Should().BeFalse();
+        }
+
+        private class ChartListener
+        {
+            [JSInvokable]
+            public Task OnChartClick(ChartEventModel chartEvent) => Task.CompletedTask;
+        }
+    }
+}
\ No newline at end of file
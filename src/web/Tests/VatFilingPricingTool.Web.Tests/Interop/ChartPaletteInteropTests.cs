@@ -0,0 +1,29 @@
+using System.Threading.Tasks; // version 6.0.0
+using FluentAssertions; // FluentAssertions version 6.7.0
+using Xunit; // xunit version 2.4.2
+using VatFilingPricingTool.Web.Helpers;
+using VatFilingPricingTool.Web.Tests.Mock;
+
+namespace VatFilingPricingTool.Web.Tests.Interop
+{
+    /// <summary>
+    /// Tests for the chart palette wrapper in JsInterop
+    /// </summary>
+    public class ChartPaletteInteropTests
+    {
+        private readonly MockJSRuntime jsRuntime = new MockJSRuntime();
+
+        /// <summary>
+        /// Tests that the palette name and pattern setting are passed to chartPalettes.setPalette
+        /// </summary>
+        [Fact]
+        public async Task SetChartPaletteAsync_PassesPaletteAndPatterns()
+        {
+            // Act
+            await JsInterop.SetChartPaletteAsync(jsRuntime, "okabe-ito", true);
+
+            // Assert
+            jsRuntime.Single("chartPalettes.setPalette").Arguments.Should().Equal("okabe-ito", true);
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,85 @@
+using System.Threading.Tasks; // version 6.0.0
+using FluentAssertions; // FluentAssertions version 6.7.0
+using Microsoft.JSInterop; // Microsoft.AspNetCore.Components version 6.0.0
+using Xunit; // xunit version 2.4.2
+using VatFilingPricingTool.Web.Helpers;
+using VatFilingPricingTool.Web.Models;
+using VatFilingPricingTool.Web.Tests.Mock;
+
+namespace VatFilingPricingTool.Web.Tests.Interop
+{
+    /// <summary>
+    /// Tests for the currency conversion wrappers in JsInterop
+    /// </summary>
+    public class CurrencyInteropTests
+    {
+        private readonly MockJSRuntime jsRuntime = new MockJSRuntime();
+
+        /// <summary>
+        /// Tests that converting a result passes the result and the target currency and returns the converted copy
+        /// </summary>
+        [Fact]
+        public async Task ConvertCalculationResultAsync_PassesResultAndCurrency()
+        {
+            // Arrange
+            var result = new CalculationResultModel { TotalCost = 1000m };
+            var converted = new CalculationResultModel { TotalCost = 867.4m };
+            jsRuntime.Setup("currency.convertResult", converted);
+
+            // Act
+            var actual = await JsInterop.ConvertCalculationResultAsync(jsRuntime, result, "GBP");
+
+            // Assert
+            actual.Should().BeSameAs(converted);
+            jsRuntime.Single("currency.convertResult").Arguments.Should().Equal(result, "GBP");
+        }
+
+        /// <summary>
+        /// Tests that loading rates passes the force flag
+        /// </summary>
+        [Fact]
+        public async Task LoadExchangeRatesAsync_PassesForce()
+        {
+            // Arrange
+            jsRuntime.Setup("currency.loadRates", new ExchangeRateTable { Base = "EUR" });
+
+            // Act
+            var table = await JsInterop.LoadExchangeRatesAsync(jsRuntime, true);
+
+            // Assert
+            table.Base.Should().Be("EUR");
+            jsRuntime.Single("currency.loadRates").Arguments.Should().Equal(true);
+        }
+
+        /// <summary>
+        /// Tests that subscribing returns the subscription ID and unsubscribing passes that ID back
+        /// </summary>
+        [Fact]
+        public async Task SubscribeToCurrencyChangesAsync_ReturnsId_UsedToUnsubscribe()
+        {
+            // Arrange
+            using var dotNetRef = DotNetObjectReference.Create(new CurrencyListener());
+            jsRuntime.Setup("currency.subscribe", 3);
+
+            // Act
+            var subscriptionId = await JsInterop.SubscribeToCurrencyChangesAsync(jsRuntime, dotNetRef);
+            await JsInterop.UnsubscribeFromCurrencyChangesAsync(jsRuntime, subscriptionId);
+
+            // Assert
+            subscriptionId.Should().Be(3);
+            jsRuntime.Single("currency.subscribe").Arguments.Should().Equal(dotNetRef, "OnDisplayCurrencyChanged");
+            jsRuntime.Single("currency.unsubscribe").Arguments.Should().Equal(3);
+        }
+
+        /// <summary>
+        /// Component stand-in receiving display currency changes
+        /// </summary>
+        private class CurrencyListener
+        {
+            [JSInvokable]
+            public void OnDisplayCurrencyChanged(string currency, string asOf)
+            {
+            }
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,88 @@
+using System.Collections.Generic; // version 6.0.0
+using System.Threading.Tasks; // version 6.0.0
+using FluentAssertions; // FluentAssertions version 6.7.0
+using Xunit; // xunit version 2.4.2
+using VatFilingPricingTool.Web.Helpers;
+using VatFilingPricingTool.Web.Models;
+using VatFilingPricingTool.Web.Tests.Mock;
+
+namespace VatFilingPricingTool.Web.Tests.Interop
+{
+    /// <summary>
+    /// Tests for the modal dialog wrappers in JsInterop
+    /// </summary>
+    public class DialogsInteropTests
+    {
+        private readonly MockJSRuntime jsRuntime = new MockJSRuntime();
+
+        /// <summary>
+        /// Tests that an alert passes its message and title and leaves the other options out
+        /// </summary>
+        [Fact]
+        public async Task ShowAlertAsync_PassesMessageAndTitleOnly()
+        {
+            // Act
+            await JsInterop.ShowAlertAsync(jsRuntime, "Popups are blocked", "Print");
+
+            // Assert
+            var json = jsRuntime.Single("dialogs.alert").ArgumentJson(0);
+            json.GetProperty("message").GetString().Should().Be("Popups are blocked");
+            json.GetProperty("title").GetString().Should().Be("Print");
+            json.EnumerateObject().Should().HaveCount(2);
+        }
+
+        /// <summary>
+        /// Tests that a confirm passes the danger flag and returns the user's answer
+        /// </summary>
+        [Fact]
+        public async Task ShowConfirmAsync_PassesDanger_ReturnsAnswer()
+        {
+            // Arrange
+            jsRuntime.Setup("dialogs.confirm", true);
+
+            // Act
+            var confirmed = await JsInterop.ShowConfirmAsync(jsRuntime, "Archive this calculation?", danger: true);
+
+            // Assert
+            confirmed.Should().BeTrue();
+            var json = jsRuntime.Single("dialogs.confirm").ArgumentJson(0);
+            json.GetProperty("message").GetString().Should().Be("Archive this calculation?");
+            json.GetProperty("danger").GetBoolean().Should().BeTrue();
+            json.TryGetProperty("title", out _).Should().BeFalse();
+        }
+
+        /// <summary>
+        /// Tests that a custom dialog passes its buttons and size and returns the action and field values
+        /// </summary>
+        [Fact]
+        public async Task ShowDialogAsync_PassesButtons_ReturnsResult()
+        {
+            // Arrange
+            var options = new DialogOptions
+            {
+                Title = "Export settings",
+                Html = "<select name=\"format\"><option>pdf</option></select>",
+                Size = "lg",
+                Buttons = new List<DialogButton>
+                {
+                    new DialogButton { Id = "cancel", Label = "Cancel" },
+                    new DialogButton { Id = "export", Label = "Export", Variant = "primary" }
+                }
+            };
+            var result = new DialogResult { Action = "export" };
+            result.Values["format"] = "pdf";
+            jsRuntime.Setup("dialogs.open", result);
+
+            // Act
+            var actual = await JsInterop.ShowDialogAsync(jsRuntime, options);
+
+            // Assert
+            actual.Action.Should().Be("export");
+            actual.Values.Should().Contain("format", "pdf");
+            var json = jsRuntime.Single("dialogs.open").ArgumentJson(0);
+            json.GetProperty("size").GetString().Should().Be("lg");
+            json.GetProperty("buttons")[0].TryGetProperty("variant", out _).Should().BeFalse();
+            json.GetProperty("buttons")[1].GetProperty("variant").GetString().Should().Be("primary");
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,85 @@
+using System.Collections.Generic; // version 6.0.0
+using System.Threading.Tasks; // version 6.0.0
+using FluentAssertions; // FluentAssertions version 6.7.0
+using Xunit; // xunit version 2.4.2
+using VatFilingPricingTool.Web.Helpers;
+using VatFilingPricingTool.Web.Models;
+using VatFilingPricingTool.Web.Tests.Mock;
+
+namespace VatFilingPricingTool.Web.Tests.Interop
+{
+    /// <summary>
+    /// Tests for the calculator draft wrappers in JsInterop
+    /// </summary>
+    public class DraftsInteropTests
+    {
+        private readonly MockJSRuntime jsRuntime = new MockJSRuntime();
+
+        /// <summary>
+        /// Tests that saving a draft passes the scope, the calculator input and the name, and returns the draft ID
+        /// </summary>
+        [Fact]
+        public async Task SaveCalculationDraftAsync_PassesScopeModelAndName_ReturnsId()
+        {
+            // Arrange
+            var model = new CalculationInputModel { CountryCodes = new List<string> { "DE", "FR" }, TransactionVolume = 500 };
+            jsRuntime.Setup("drafts.update", "draft-1");
+
+            // Act
+            var draftId = await JsInterop.SaveCalculationDraftAsync(jsRuntime, model, "Q3 filing");
+
+            // Assert
+            draftId.Should().Be("draft-1");
+            jsRuntime.Single("drafts.update").Arguments.Should().Equal("calculator", model, "Q3 filing");
+        }
+
+        /// <summary>
+        /// Tests that offering to restore passes the scope and returns the restored draft
+        /// </summary>
+        [Fact]
+        public async Task OfferCalculationDraftRestoreAsync_PassesScope_ReturnsDraft()
+        {
+            // Arrange
+            var draft = new CalculationDraft { Id = "draft-1", Scope = "calculator", Data = new CalculationInputModel() };
+            jsRuntime.Setup("drafts.offerRestore", draft);
+
+            // Act
+            var restored = await JsInterop.OfferCalculationDraftRestoreAsync(jsRuntime);
+
+            // Assert
+            restored.Should().BeSameAs(draft);
+            jsRuntime.Single("drafts.offerRestore").Arguments.Should().Equal("calculator");
+        }
+
+        /// <summary>
+        /// Tests that setting and clearing the draft user passes the user ID, and null when signed out
+        /// </summary>
+        [Fact]
+        public async Task SetDraftUserAsync_PassesUserId()
+        {
+            // Act
+            await JsInterop.SetDraftUserAsync(jsRuntime, "user-1");
+            await JsInterop.SetDraftUserAsync(jsRuntime, null);
+
+            // Assert
+            jsRuntime.Invocations.Should().HaveCount(2);
+            jsRuntime.Invocations[0].Arguments.Should().Equal("user-1");
+            jsRuntime.Invocations[1].Arguments.Should().Equal(new object[] { null });
+        }
+
+        /// <summary>
+        /// Tests that completing and discarding drafts pass the scope and the draft ID
+        /// </summary>
+        [Fact]
+        public async Task CompleteDraftAsync_And_DiscardDraftAsync_PassScopeAndId()
+        {
+            // Act
+            await JsInterop.CompleteDraftAsync(jsRuntime, "profile");
+            await JsInterop.DiscardDraftAsync(jsRuntime, "draft-2");
+
+            // Assert
+            jsRuntime.Single("drafts.complete").Arguments.Should().Equal("profile");
+            jsRuntime.Single("drafts.discard").Arguments.Should().Equal("draft-2");
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,50 @@
+using System; // version 6.0.0
+using System.Threading.Tasks; // version 6.0.0
+using FluentAssertions; // FluentAssertions version 6.7.0
+using Xunit; // xunit version 2.4.2
+using VatFilingPricingTool.Web.Helpers;
+using VatFilingPricingTool.Web.Tests.Mock;
+
+namespace VatFilingPricingTool.Web.Tests.Interop
+{
+    /// <summary>
+    /// Tests for the client error reporting wrappers in JsInterop
+    /// </summary>
+    public class ErrorReporterInteropTests
+    {
+        private readonly MockJSRuntime jsRuntime = new MockJSRuntime();
+
+        /// <summary>
+        /// Tests that a handled .NET exception is passed to the reporter as an error-like object with its source
+        /// </summary>
+        [Fact]
+        public async Task CaptureClientErrorAsync_PassesExceptionAsErrorLikeObject()
+        {
+            // Arrange
+            var exception = new InvalidOperationException("Pricing rules are not loaded");
+
+            // Act
+            await JsInterop.CaptureClientErrorAsync(jsRuntime, exception, "PricingCalculator");
+
+            // Assert
+            var invocation = jsRuntime.Single("errorReporter.capture");
+            var json = invocation.ArgumentJson(0);
+            json.GetProperty("name").GetString().Should().Be("InvalidOperationException");
+            json.GetProperty("message").GetString().Should().Be("Pricing rules are not loaded");
+            invocation.Arguments[1].Should().Be("PricingCalculator");
+        }
+
+        /// <summary>
+        /// Tests that flushing calls the reporter's flush
+        /// </summary>
+        [Fact]
+        public async Task FlushClientErrorsAsync_CallsFlush()
+        {
+            // Act
+            await JsInterop.FlushClientErrorsAsync(jsRuntime);
+
+            // Assert
+            jsRuntime.Single("errorReporter.flush").Arguments.Should().BeEmpty();
+        }
+    }
+}
\ No newline at end of file
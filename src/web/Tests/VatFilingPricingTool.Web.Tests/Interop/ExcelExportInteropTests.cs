@@ -0,0 +1,85 @@
+using System.Collections.Generic; // version 6.0.0
+using System.Threading.Tasks; // version 6.0.0
+using FluentAssertions; // FluentAssertions version 6.7.0
+using Xunit; // xunit version 2.4.2
+using VatFilingPricingTool.Web.Helpers;
+using VatFilingPricingTool.Web.Models;
+using VatFilingPricingTool.Web.Tests.Mock;
+
+namespace VatFilingPricingTool.Web.Tests.Interop
+{
+    /// <summary>
+    /// Tests for the Excel export wrappers in JsInterop
+    /// </summary>
+    public class ExcelExportInteropTests
+    {
+        private readonly MockJSRuntime jsRuntime = new MockJSRuntime();
+
+        /// <summary>
+        /// Tests that the calculation is passed with the member names xlsxExport.js reads
+        /// </summary>
+        [Fact]
+        public async Task ExportCalculationToExcelAsync_PassesCalculationInScriptShape()
+        {
+            // Arrange
+            var result = new CalculationResultModel
+            {
+                CalculationId = "calc-1",
+                CurrencyCode = "GBP",
+                CountryBreakdowns = new List<CountryCalculationResultModel>
+                {
+                    new CountryCalculationResultModel { CountryCode = "GB", BaseCost = 800m, TotalCost = 900m, AppliedRules = new List<string> { "Base" } }
+                },
+                Discounts = new Dictionary<string, decimal> { ["Volume discount"] = 100m }
+            };
+            jsRuntime.Setup("xlsxExport.exportCalculation", true);
+
+            // Act
+            var started = await JsInterop.ExportCalculationToExcelAsync(jsRuntime, result, "quote");
+
+            // Assert
+            started.Should().BeTrue();
+            var json = jsRuntime.Single("xlsxExport.exportCalculation").ArgumentJson(0);
+            var country = json.GetProperty("countryBreakdowns")[0];
+            country.GetProperty("countryCode").GetString().Should().Be("GB");
+            country.GetProperty("totalCost").GetDecimal().Should().Be(900m);
+            country.GetProperty("appliedRules")[0].GetString().Should().Be("Base");
+            json.GetProperty("discounts").GetProperty("Volume discount").GetDecimal().Should().Be(100m);
+            jsRuntime.Single("xlsxExport.exportCalculation").Arguments[1].Should().Be("quote");
+        }
+
+        /// <summary>
+        /// Tests that history is exported under the default file name when none is given
+        /// </summary>
+        [Fact]
+        public async Task ExportCalculationHistoryToExcelAsync_PassesCalculations()
+        {
+            // Arrange
+            var calculations = new List<CalculationResultModel> { new CalculationResultModel(), new CalculationResultModel() };
+
+            // Act
+            await JsInterop.ExportCalculationHistoryToExcelAsync(jsRuntime, calculations);
+
+            // Assert
+            var invocation = jsRuntime.Single("xlsxExport.exportHistory");
+            invocation.ArgumentJson(0).GetArrayLength().Should().Be(2);
+            invocation.Arguments[1].Should().BeNull();
+        }
+
+        /// <summary>
+        /// Tests that the workbook built for embedding is returned as base64
+        /// </summary>
+        [Fact]
+        public async Task BuildCalculationWorkbookAsync_ReturnsBase64()
+        {
+            // Arrange
+            jsRuntime.Setup("xlsxExport.buildCalculationWorkbook", "UEsDBA==");
+
+            // Act
+            var workbook = await JsInterop.BuildCalculationWorkbookAsync(jsRuntime, new CalculationResultModel());
+
+            // Assert
+            workbook.Should().Be("UEsDBA==");
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,49 @@
+using System.Threading.Tasks; // version 6.0.0
+using FluentAssertions; // FluentAssertions version 6.7.0
+using Xunit; // xunit version 2.4.2
+using VatFilingPricingTool.Web.Helpers;
+using VatFilingPricingTool.Web.Tests.Mock;
+
+namespace VatFilingPricingTool.Web.Tests.Interop
+{
+    /// <summary>
+    /// Tests for the locale-aware formatting wrappers in JsInterop
+    /// </summary>
+    public class FormattingInteropTests
+    {
+        private readonly MockJSRuntime jsRuntime = new MockJSRuntime();
+
+        /// <summary>
+        /// Tests that setting the locale returns the locale the browser now uses, which may be a fallback
+        /// </summary>
+        [Fact]
+        public async Task SetFormattingLocaleAsync_ReturnsLocaleInUse()
+        {
+            // Arrange
+            jsRuntime.Setup("formatting.setLocale", "en");
+
+            // Act
+            var locale = await JsInterop.SetFormattingLocaleAsync(jsRuntime, "ja-JP");
+
+            // Assert
+            locale.Should().Be("en");
+            jsRuntime.Single("formatting.setLocale").Arguments.Should().Equal("ja-JP");
+        }
+
+        /// <summary>
+        /// Tests that getting the locale returns the locale resolved in the browser
+        /// </summary>
+        [Fact]
+        public async Task GetFormattingLocaleAsync_ReturnsLocale()
+        {
+            // Arrange
+            jsRuntime.Setup("formatting.getLocale", "de-DE");
+
+            // Act
+            var locale = await JsInterop.GetFormattingLocaleAsync(jsRuntime);
+
+            // Assert
+            locale.Should().Be("de-DE");
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,88 @@
+using System; // version 6.0.0
+using System.Collections.Generic; // version 6.0.0
+using System.Threading.Tasks; // version 6.0.0
+using FluentAssertions; // FluentAssertions version 6.7.0
+using Xunit; // xunit version 2.4.2
+using VatFilingPricingTool.Web.Helpers;
+using VatFilingPricingTool.Web.Models;
+using VatFilingPricingTool.Web.Tests.Mock;
+
+namespace VatFilingPricingTool.Web.Tests.Interop
+{
+    /// <summary>
+    /// Tests for the calculation history store wrappers in JsInterop
+    /// </summary>
+    public class HistoryStoreInteropTests
+    {
+        private readonly MockJSRuntime jsRuntime = new MockJSRuntime();
+
+        /// <summary>
+        /// Tests that a filter is sent with a date-only end date, which historyStore.query reads as the end of that day
+        /// </summary>
+        [Fact]
+        public async Task QueryHistoryStoreAsync_SendsFilter_ReturnsPage()
+        {
+            // Arrange
+            var page = new CalculationHistoryModel { TotalCount = 1, PageNumber = 1, PageSize = 10, TotalPages = 1 };
+            jsRuntime.Setup("historyStore.query", page);
+            var filter = new CalculationFilterModel
+            {
+                EndDate = new DateTime(2024, 3, 31),
+                CountryCodes = new List<string> { "GB" },
+                SortBy = "TotalCost"
+            };
+
+            // Act
+            var result = await JsInterop.QueryHistoryStoreAsync(jsRuntime, filter);
+
+            // Assert
+            result.Should().BeSameAs(page);
+            var sent = jsRuntime.Single("historyStore.query").ArgumentJson(0);
+            sent.GetProperty("endDate").GetString().Should().Be("2024-03-31T00:00:00");
+            sent.GetProperty("sortBy").GetString().Should().Be("TotalCost");
+        }
+
+        /// <summary>
+        /// Tests that saving a page of results returns the number stored
+        /// </summary>
+        [Fact]
+        public async Task SaveManyToHistoryStoreAsync_ReturnsStoredCount()
+        {
+            // Arrange
+            jsRuntime.Setup("historyStore.saveMany", 2);
+            var results = new[] { new CalculationResultModel { CalculationId = "a" }, new CalculationResultModel { CalculationId = "b" } };
+
+            // Act
+            var stored = await JsInterop.SaveManyToHistoryStoreAsync(jsRuntime, results);
+
+            // Assert
+            stored.Should().Be(2);
+        }
+
+        /// <summary>
+        /// Tests that the signed-in user's ID scopes the store
+        /// </summary>
+        [Fact]
+        public async Task SetHistoryStoreUserAsync_PassesUserId()
+        {
+            // Act
+            await JsInterop.SetHistoryStoreUserAsync(jsRuntime, "user-1");
+
+            // Assert
+            jsRuntime.Single("historyStore.setUser").Arguments.Should().Equal("user-1");
+        }
+
+        /// <summary>
+        /// Tests that signing out of the store calls historyStore.signOut
+        /// </summary>
+        [Fact]
+        public async Task SignOutOfHistoryStoreAsync_CallsSignOut()
+        {
+            // Act
+            await JsInterop.SignOutOfHistoryStoreAsync(jsRuntime);
+
+            // Assert
+            jsRuntime.Single("historyStore.signOut").Arguments.Should().BeEmpty();
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,65 @@
+using System.Threading.Tasks; // version 6.0.0
+using FluentAssertions; // FluentAssertions version 6.7.0
+using Microsoft.JSInterop; // Microsoft.AspNetCore.Components version 6.0.0
+using Xunit; // xunit version 2.4.2
+using VatFilingPricingTool.Web.Helpers;
+using VatFilingPricingTool.Web.Tests.Mock;
+
+namespace VatFilingPricingTool.Web.Tests.Interop
+{
+    /// <summary>
+    /// Tests for the browser-side message translation wrappers in JsInterop
+    /// </summary>
+    public class I18nInteropTests
+    {
+        private readonly MockJSRuntime jsRuntime = new MockJSRuntime();
+
+        /// <summary>
+        /// Tests that switching language returns the language now in use, which is the default for unsupported languages
+        /// </summary>
+        [Fact]
+        public async Task SetLanguageAsync_ReturnsLanguageInUse()
+        {
+            // Arrange
+            jsRuntime.Setup("i18n.setLanguage", "en");
+
+            // Act
+            var language = await JsInterop.SetLanguageAsync(jsRuntime, "ja");
+
+            // Assert
+            language.Should().Be("en");
+            jsRuntime.Single("i18n.setLanguage").Arguments.Should().Equal("ja");
+        }
+
+        /// <summary>
+        /// Tests that subscribing returns the subscription ID and unsubscribing passes that ID back
+        /// </summary>
+        [Fact]
+        public async Task SubscribeToLanguageChangesAsync_ReturnsId_UsedToUnsubscribe()
+        {
+            // Arrange
+            using var dotNetRef = DotNetObjectReference.Create(new LanguageListener());
+            jsRuntime.Setup("i18n.subscribe", 7);
+
+            // Act
+            var subscriptionId = await JsInterop.SubscribeToLanguageChangesAsync(jsRuntime, dotNetRef);
+            await JsInterop.UnsubscribeFromLanguageChangesAsync(jsRuntime, subscriptionId);
+
+            // Assert
+            subscriptionId.Should().Be(7);
+            jsRuntime.Single("i18n.subscribe").Arguments.Should().Equal(dotNetRef, "OnLanguageChanged");
+            jsRuntime.Single("i18n.unsubscribe").Arguments.Should().Equal(7);
+        }
+
+        /// <summary>
+        /// Component stand-in receiving language changes
+        /// </summary>
+        private class LanguageListener
+        {
+            [JSInvokable]
+            public void OnLanguageChanged(string language)
+            {
+            }
+        }
+    }
+}
\ No newline at end of file
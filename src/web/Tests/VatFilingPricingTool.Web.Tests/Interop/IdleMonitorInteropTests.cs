@@ -0,0 +1,63 @@
+using System.Threading.Tasks; // version 6.0.0
+using FluentAssertions; // FluentAssertions version 6.7.0
+using Microsoft.JSInterop; // Microsoft.AspNetCore.Components version 6.0.0
+using Xunit; // xunit version 2.4.2
+using VatFilingPricingTool.Web.Helpers;
+using VatFilingPricingTool.Web.Tests.Mock;
+
+namespace VatFilingPricingTool.Web.Tests.Interop
+{
+    /// <summary>
+    /// Tests for the idle-session monitor wrappers in JsInterop
+    /// </summary>
+    public class IdleMonitorInteropTests
+    {
+        private readonly MockJSRuntime jsRuntime = new MockJSRuntime();
+
+        /// <summary>
+        /// Tests that starting the monitor passes the configured minutes as a single options object
+        /// </summary>
+        [Fact]
+        public async Task StartIdleMonitorAsync_PassesTimeoutAndWarningMinutes()
+        {
+            // Act
+            await JsInterop.StartIdleMonitorAsync(jsRuntime, 20, 18);
+
+            // Assert
+            var json = jsRuntime.Single("idleMonitor.start").ArgumentJson(0);
+            json.GetProperty("timeoutMinutes").GetInt32().Should().Be(20);
+            json.GetProperty("warningMinutes").GetInt32().Should().Be(18);
+        }
+
+        /// <summary>
+        /// Tests that subscribing returns the subscription ID and unsubscribing passes that ID back
+        /// </summary>
+        [Fact]
+        public async Task SubscribeToIdleMonitorAsync_ReturnsId_UsedToUnsubscribe()
+        {
+            // Arrange
+            using var dotNetRef = DotNetObjectReference.Create(new IdleListener());
+            jsRuntime.Setup("idleMonitor.subscribe", 2);
+
+            // Act
+            var subscriptionId = await JsInterop.SubscribeToIdleMonitorAsync(jsRuntime, dotNetRef);
+            await JsInterop.UnsubscribeFromIdleMonitorAsync(jsRuntime, subscriptionId);
+
+            // Assert
+            subscriptionId.Should().Be(2);
+            jsRuntime.Single("idleMonitor.subscribe").Arguments.Should().Equal(dotNetRef, "OnIdleStateChanged");
+            jsRuntime.Single("idleMonitor.unsubscribe").Arguments.Should().Equal(2);
+        }
+
+        /// <summary>
+        /// Component stand-in receiving idle state changes
+        /// </summary>
+        private class IdleListener
+        {
+            [JSInvokable]
+            public void OnIdleStateChanged(string state, int remainingMs)
+            {
+            }
+        }
+    }
+}
\ No newline at end of file
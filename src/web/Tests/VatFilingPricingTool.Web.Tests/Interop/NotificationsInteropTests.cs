@@ -0,0 +1,104 @@
+using System.Threading.Tasks; // version 6.0.0
+using FluentAssertions; // FluentAssertions version 6.7.0
+using Microsoft.JSInterop; // Microsoft.AspNetCore.Components version 6.0.0
+using Xunit; // xunit version 2.4.2
+using VatFilingPricingTool.Web.Helpers;
+using VatFilingPricingTool.Web.Models;
+using VatFilingPricingTool.Web.Tests.Mock;
+
+namespace VatFilingPricingTool.Web.Tests.Interop
+{
+    /// <summary>
+    /// Tests for the notification centre wrappers in JsInterop
+    /// </summary>
+    public class NotificationsInteropTests
+    {
+        private readonly MockJSRuntime jsRuntime = new MockJSRuntime();
+
+        /// <summary>
+        /// Tests that showing a notification passes its options, leaving unset optional members out, and returns the notification ID
+        /// </summary>
+        [Fact]
+        public async Task ShowNotificationAsync_PassesOptions_ReturnsId()
+        {
+            // Arrange
+            var options = new NotificationOptions { Message = "Calculation archived", Type = "success" };
+            options.Actions.Add(new NotificationAction { Id = "undo", Label = "Undo archive" });
+            jsRuntime.Setup("notifications.notify", "n-1");
+
+            // Act
+            var notificationId = await JsInterop.ShowNotificationAsync(jsRuntime, options);
+
+            // Assert
+            notificationId.Should().Be("n-1");
+            var json = jsRuntime.Single("notifications.notify").ArgumentJson(0);
+            json.GetProperty("message").GetString().Should().Be("Calculation archived");
+            json.GetProperty("type").GetString().Should().Be("success");
+            json.TryGetProperty("title", out _).Should().BeFalse();
+            json.TryGetProperty("durationMs", out _).Should().BeFalse();
+            json.GetProperty("actions")[0].GetProperty("id").GetString().Should().Be("undo");
+            json.GetProperty("actions")[0].TryGetProperty("keepOpen", out _).Should().BeFalse();
+        }
+
+        /// <summary>
+        /// Tests that a notification with a component callback passes the reference and method name with the options
+        /// </summary>
+        [Fact]
+        public async Task ShowNotificationAsync_WithDotNetRef_PassesReferenceAndMethod()
+        {
+            // Arrange
+            using var dotNetRef = DotNetObjectReference.Create(new NotificationListener());
+            var options = new NotificationOptions { Message = "Report ready", DurationMs = 0 };
+            options.Actions.Add(new NotificationAction { Id = "view", Label = "View report", KeepOpen = true });
+            jsRuntime.Setup("notifications.notify", "n-2");
+
+            // Act
+            await JsInterop.ShowNotificationAsync(jsRuntime, options, dotNetRef, "OnReportAction");
+
+            // Assert
+            var argument = jsRuntime.Single("notifications.notify").Arguments[0];
+            var type = argument.GetType();
+            type.GetProperty("message").GetValue(argument).Should().Be("Report ready");
+            type.GetProperty("durationMs").GetValue(argument).Should().Be(0);
+            type.GetProperty("actions").GetValue(argument).Should().BeSameAs(options.Actions);
+            type.GetProperty("dotNetRef").GetValue(argument).Should().BeSameAs(dotNetRef);
+            type.GetProperty("methodName").GetValue(argument).Should().Be("OnReportAction");
+        }
+
+        /// <summary>
+        /// Tests that subscribing returns the subscription ID and unsubscribing passes that ID back
+        /// </summary>
+        [Fact]
+        public async Task SubscribeToNotificationsAsync_ReturnsId_UsedToUnsubscribe()
+        {
+            // Arrange
+            using var dotNetRef = DotNetObjectReference.Create(new NotificationListener());
+            jsRuntime.Setup("notifications.subscribe", 4);
+
+            // Act
+            var subscriptionId = await JsInterop.SubscribeToNotificationsAsync(jsRuntime, dotNetRef);
+            await JsInterop.UnsubscribeFromNotificationsAsync(jsRuntime, subscriptionId);
+
+            // Assert
+            subscriptionId.Should().Be(4);
+            jsRuntime.Single("notifications.subscribe").Arguments.Should().Equal(dotNetRef, "OnNotificationsChanged");
+            jsRuntime.Single("notifications.unsubscribe").Arguments.Should().Equal(4);
+        }
+
+        /// <summary>
+        /// Component stand-in receiving notification actions and unread counts
+        /// </summary>
+        private class NotificationListener
+        {
+            [JSInvokable]
+            public void OnReportAction(string notificationId, string actionId)
+            {
+            }
+
+            [JSInvokable]
+            public void OnNotificationsChanged(int unreadCount)
+            {
+            }
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,97 @@
+using System.Threading.Tasks; // version 6.0.0
+using FluentAssertions; // FluentAssertions version 6.7.0
+using Microsoft.JSInterop; // Microsoft.AspNetCore.Components version 6.0.0
+using Xunit; // xunit version 2.4.2
+using VatFilingPricingTool.Web.Helpers;
+using VatFilingPricingTool.Web.Models;
+using VatFilingPricingTool.Web.Tests.Mock;
+
+namespace VatFilingPricingTool.Web.Tests.Interop
+{
+    /// <summary>
+    /// Tests for the offline calculation queue wrappers in JsInterop
+    /// </summary>
+    public class OfflineQueueInteropTests
+    {
+        private readonly MockJSRuntime jsRuntime = new MockJSRuntime();
+
+        /// <summary>
+        /// Tests that a queued calculation is passed to offlineQueue.enqueue and its ID returned
+        /// </summary>
+        [Fact]
+        public async Task EnqueueOfflineCalculationAsync_PassesInput_ReturnsQueuedId()
+        {
+            // Arrange
+            var input = new CalculationInputModel { CountryCodes = new() { "GB", "DE" } };
+            jsRuntime.Setup("offlineQueue.enqueue", 42);
+
+            // Act
+            var id = await JsInterop.EnqueueOfflineCalculationAsync(jsRuntime, input);
+
+            // Assert
+            id.Should().Be(42);
+            jsRuntime.Single("offlineQueue.enqueue").Arguments.Should().Equal(input);
+        }
+
+        /// <summary>
+        /// Tests that the pending count is read from offlineQueue.getPendingCount
+        /// </summary>
+        [Fact]
+        public async Task GetPendingOfflineCalculationCountAsync_ReturnsPendingCount()
+        {
+            // Arrange
+            jsRuntime.Setup("offlineQueue.getPendingCount", 3);
+
+            // Act
+            var count = await JsInterop.GetPendingOfflineCalculationCountAsync(jsRuntime);
+
+            // Assert
+            count.Should().Be(3);
+        }
+
+        /// <summary>
+        /// Tests that replaying the queue calls offlineQueue.replay
+        /// </summary>
+        [Fact]
+        public async Task ReplayOfflineQueueAsync_CallsReplay()
+        {
+            // Act
+            await JsInterop.ReplayOfflineQueueAsync(jsRuntime);
+
+            // Assert
+            jsRuntime.Single("offlineQueue.replay").Arguments.Should().BeEmpty();
+        }
+
+        /// <summary>
+        /// Tests that subscribing returns the subscription ID and unsubscribing passes that ID back,
+        /// since Blazor does not pass the same reference object to JavaScript twice
+        /// </summary>
+        [Fact]
+        public async Task SubscribeToOfflineQueueAsync_ReturnsId_UsedToUnsubscribe()
+        {
+            // Arrange
+            using var dotNetRef = DotNetObjectReference.Create(new OfflineQueueListener());
+            jsRuntime.Setup("offlineQueue.subscribe", 7);
+
+            // Act
+            var subscriptionId = await JsInterop.SubscribeToOfflineQueueAsync(jsRuntime, dotNetRef);
+            await JsInterop.UnsubscribeFromOfflineQueueAsync(jsRuntime, subscriptionId);
+
+            // Assert
+            subscriptionId.Should().Be(7);
+            jsRuntime.Single("offlineQueue.subscribe").Arguments.Should().Equal(dotNetRef, "OnOfflineQueueChanged");
+            jsRuntime.Single("offlineQueue.unsubscribe").Arguments.Should().Equal(7);
+        }
+
+        /// <summary>
+        /// Component stand-in receiving offline queue notifications
+        /// </summary>
+        private class OfflineQueueListener
+        {
+            [JSInvokable]
+            public void OnOfflineQueueChanged(int pendingCount)
+            {
+            }
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,58 @@
+using System.Collections.Generic; // version 6.0.0
+using System.Threading.Tasks; // version 6.0.0
+using FluentAssertions; // FluentAssertions version 6.7.0
+using Xunit; // xunit version 2.4.2
+using VatFilingPricingTool.Web.Helpers;
+using VatFilingPricingTool.Web.Models;
+using VatFilingPricingTool.Web.Tests.Mock;
+
+namespace VatFilingPricingTool.Web.Tests.Interop
+{
+    /// <summary>
+    /// Tests for the PDF quote wrappers in JsInterop
+    /// </summary>
+    public class PdfExportInteropTests
+    {
+        private readonly MockJSRuntime jsRuntime = new MockJSRuntime();
+
+        /// <summary>
+        /// Tests that the generated quote bytes are returned to the caller
+        /// </summary>
+        [Fact]
+        public async Task GenerateQuotePdfAsync_ReturnsBytes()
+        {
+            // Arrange
+            var pdf = new byte[] { 0x25, 0x50, 0x44, 0x46 };
+            jsRuntime.Setup("pdfExport.generateQuote", pdf);
+
+            // Act
+            var result = await JsInterop.GenerateQuotePdfAsync(jsRuntime, new CalculationResultModel());
+
+            // Assert
+            result.Should().Equal(pdf);
+        }
+
+        /// <summary>
+        /// Tests that quote options left null are not sent, so pdfExport.js translates its defaults
+        /// </summary>
+        [Fact]
+        public async Task DownloadQuotePdfAsync_OmitsNullOptions()
+        {
+            // Arrange
+            var options = new QuotePdfOptions
+            {
+                Charts = new List<QuotePdfChart> { new QuotePdfChart { Handle = "chart-1" } }
+            };
+
+            // Act
+            await JsInterop.DownloadQuotePdfAsync(jsRuntime, new CalculationResultModel(), "quote", options);
+
+            // Assert
+            var json = jsRuntime.Single("pdfExport.downloadQuote").ArgumentJson(2);
+            json.TryGetProperty("title", out _).Should().BeFalse();
+            json.TryGetProperty("footerText", out _).Should().BeFalse();
+            json.GetProperty("charts")[0].GetProperty("handle").GetString().Should().Be("chart-1");
+            json.GetProperty("charts")[0].TryGetProperty("title", out _).Should().BeFalse();
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,52 @@
+using System.Threading.Tasks; // version 6.0.0
+using FluentAssertions; // FluentAssertions version 6.7.0
+using Xunit; // xunit version 2.4.2
+using VatFilingPricingTool.Web.Helpers;
+using VatFilingPricingTool.Web.Models;
+using VatFilingPricingTool.Web.Tests.Mock;
+
+namespace VatFilingPricingTool.Web.Tests.Interop
+{
+    /// <summary>
+    /// Tests for the print wrappers in JsInterop
+    /// </summary>
+    public class PrintInteropTests
+    {
+        private readonly MockJSRuntime jsRuntime = new MockJSRuntime();
+
+        /// <summary>
+        /// Tests that only the page setup members that were set are sent to printService.print
+        /// </summary>
+        [Fact]
+        public async Task PrintElementAsync_OmitsNullOptions()
+        {
+            // Arrange
+            var options = new PrintOptions { Orientation = "landscape", ShowHeader = false };
+            jsRuntime.Setup("printService.print", true);
+
+            // Act
+            var printed = await JsInterop.PrintElementAsync(jsRuntime, "results", options);
+
+            // Assert
+            printed.Should().BeTrue();
+            var json = jsRuntime.Single("printService.print").ArgumentJson(1);
+            json.GetProperty("orientation").GetString().Should().Be("landscape");
+            json.GetProperty("showHeader").GetBoolean().Should().BeFalse();
+            json.TryGetProperty("paperSize", out _).Should().BeFalse();
+            json.TryGetProperty("preview", out _).Should().BeFalse();
+        }
+
+        /// <summary>
+        /// Tests that the preview is opened for the requested element
+        /// </summary>
+        [Fact]
+        public async Task ShowPrintPreviewAsync_PassesElementId()
+        {
+            // Act
+            await JsInterop.ShowPrintPreviewAsync(jsRuntime, "results");
+
+            // Assert
+            jsRuntime.Single("printService.preview").Arguments.Should().Equal("results", null);
+        }
+    }
+}
\ No newline at end of file
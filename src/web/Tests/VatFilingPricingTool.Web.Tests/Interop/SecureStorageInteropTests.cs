@@ -0,0 +1,45 @@
+using System.Threading.Tasks; // version 6.0.0
+using FluentAssertions; // FluentAssertions version 6.7.0
+using Xunit; // xunit version 2.4.2
+using VatFilingPricingTool.Web.Helpers;
+using VatFilingPricingTool.Web.Tests.Mock;
+
+namespace VatFilingPricingTool.Web.Tests.Interop
+{
+    /// <summary>
+    /// Tests for the encrypted storage wrappers in JsInterop
+    /// </summary>
+    public class SecureStorageInteropTests
+    {
+        private readonly MockJSRuntime jsRuntime = new MockJSRuntime();
+
+        /// <summary>
+        /// Tests that whether encryption is enabled is read from secureStorage.isEnabled
+        /// </summary>
+        [Fact]
+        public async Task IsSecureStorageEnabledAsync_ReturnsSetting()
+        {
+            // Arrange
+            jsRuntime.Setup("secureStorage.isEnabled", true);
+
+            // Act
+            var enabled = await JsInterop.IsSecureStorageEnabledAsync(jsRuntime);
+
+            // Assert
+            enabled.Should().BeTrue();
+        }
+
+        /// <summary>
+        /// Tests that wiping calls secureStorage.wipe, which deletes the session key
+        /// </summary>
+        [Fact]
+        public async Task WipeSecureStorageAsync_CallsWipe()
+        {
+            // Act
+            await JsInterop.WipeSecureStorageAsync(jsRuntime);
+
+            // Assert
+            jsRuntime.Single("secureStorage.wipe").Arguments.Should().BeEmpty();
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,122 @@
+using System.Collections.Generic; // version 6.0.0
+using System.Threading.Tasks; // version 6.0.0
+using FluentAssertions; // FluentAssertions version 6.7.0
+using Microsoft.JSInterop; // Microsoft.AspNetCore.Components version 6.0.0
+using Xunit; // xunit version 2.4.2
+using VatFilingPricingTool.Web.Helpers;
+using VatFilingPricingTool.Web.Models;
+using VatFilingPricingTool.Web.Tests.Mock;
+
+namespace VatFilingPricingTool.Web.Tests.Interop
+{
+    /// <summary>
+    /// Tests for the shareable calculation link wrappers in JsInterop
+    /// </summary>
+    public class ShareLinkInteropTests
+    {
+        private readonly MockJSRuntime jsRuntime = new MockJSRuntime();
+
+        /// <summary>
+        /// Tests that creating a link passes the calculation input and the page path, and returns the link
+        /// </summary>
+        [Fact]
+        public async Task CreateShareLinkAsync_PassesModelAndPath_ReturnsLink()
+        {
+            // Arrange
+            var model = new CalculationInputModel { CountryCodes = new List<string> { "DE", "FR" }, TransactionVolume = 500 };
+            jsRuntime.Setup("shareLink.createLink", "https://app.test/calculator#calc=1z.abc");
+
+            // Act
+            var link = await JsInterop.CreateShareLinkAsync(jsRuntime, model);
+
+            // Assert
+            link.Should().Be("https://app.test/calculator#calc=1z.abc");
+            var invocation = jsRuntime.Single("shareLink.createLink");
+            invocation.Arguments[0].Should().BeSameAs(model);
+            invocation.ArgumentJson(1).GetProperty("path").GetString().Should().Be("calculator");
+        }
+
+        /// <summary>
+        /// Tests that creating a QR code passes the calculation input and the image size
+        /// </summary>
+        [Fact]
+        public async Task CreateShareLinkQrCodeAsync_PassesModelAndSize_ReturnsDataUrl()
+        {
+            // Arrange
+            var model = new CalculationInputModel { CountryCodes = new List<string> { "IT" } };
+            jsRuntime.Setup("shareLink.createQrCode", "data:image/png;base64,AAAA");
+
+            // Act
+            var dataUrl = await JsInterop.CreateShareLinkQrCodeAsync(jsRuntime, model, 128);
+
+            // Assert
+            dataUrl.Should().Be("data:image/png;base64,AAAA");
+            jsRuntime.Single("shareLink.createQrCode").ArgumentJson(1).GetProperty("size").GetInt32().Should().Be(128);
+        }
+
+        /// <summary>
+        /// Tests that setting the known codes passes the country and service codes, and null to accept any service
+        /// </summary>
+        [Fact]
+        public async Task SetShareLinkKnownCodesAsync_PassesCodes()
+        {
+            // Arrange
+            var countryCodes = new List<string> { "DE", "FR" };
+
+            // Act
+            await JsInterop.SetShareLinkKnownCodesAsync(jsRuntime, countryCodes);
+
+            // Assert
+            jsRuntime.Single("shareLink.setKnownCodes").Arguments.Should().Equal(countryCodes, null);
+        }
+
+        /// <summary>
+        /// Tests that parsing a link passes the link and returns the parsed calculation
+        /// </summary>
+        [Fact]
+        public async Task ParseShareLinkAsync_PassesLink_ReturnsResult()
+        {
+            // Arrange
+            var result = new SharedCalculationResult { Valid = false, Error = "version" };
+            jsRuntime.Setup("shareLink.parse", result);
+
+            // Act
+            var parsed = await JsInterop.ParseShareLinkAsync(jsRuntime, "#calc=2j.abc");
+
+            // Assert
+            parsed.Should().BeSameAs(result);
+            jsRuntime.Single("shareLink.parse").Arguments.Should().Equal("#calc=2j.abc");
+        }
+
+        /// <summary>
+        /// Tests that subscribing returns the subscription ID and unsubscribing passes that ID back
+        /// </summary>
+        [Fact]
+        public async Task SubscribeToSharedCalculationsAsync_ReturnsId_UsedToUnsubscribe()
+        {
+            // Arrange
+            using var dotNetRef = DotNetObjectReference.Create(new SharedCalculationListener());
+            jsRuntime.Setup("shareLink.subscribe", 6);
+
+            // Act
+            var subscriptionId = await JsInterop.SubscribeToSharedCalculationsAsync(jsRuntime, dotNetRef);
+            await JsInterop.UnsubscribeFromSharedCalculationsAsync(jsRuntime, subscriptionId);
+
+            // Assert
+            subscriptionId.Should().Be(6);
+            jsRuntime.Single("shareLink.subscribe").Arguments.Should().Equal(dotNetRef, "OnSharedCalculationOpened");
+            jsRuntime.Single("shareLink.unsubscribe").Arguments.Should().Equal(6);
+        }
+
+        /// <summary>
+        /// Component stand-in receiving shared calculations opened while the app is running
+        /// </summary>
+        private class SharedCalculationListener
+        {
+            [JSInvokable]
+            public void OnSharedCalculationOpened(SharedCalculationResult result)
+            {
+            }
+        }
+    }
+}
\ No newline at end of file
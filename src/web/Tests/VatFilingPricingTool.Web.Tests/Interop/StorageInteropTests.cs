@@ -0,0 +1,79 @@
+using System.Threading.Tasks; // version 6.0.0
+using FluentAssertions; // FluentAssertions version 6.7.0
+using Xunit; // xunit version 2.4.2
+using VatFilingPricingTool.Web.Helpers;
+using VatFilingPricingTool.Web.Models;
+using VatFilingPricingTool.Web.Tests.Mock;
+
+namespace VatFilingPricingTool.Web.Tests.Interop
+{
+    /// <summary>
+    /// Tests for the structured storage wrappers in JsInterop
+    /// </summary>
+    public class StorageInteropTests
+    {
+        private readonly MockJSRuntime jsRuntime = new MockJSRuntime();
+
+        /// <summary>
+        /// Tests that a value stored with the default lifetime sends no expiry options
+        /// </summary>
+        [Fact]
+        public async Task SetStorageItemAsync_WithoutExpiry_SendsNoOptions()
+        {
+            // Act
+            await JsInterop.SetStorageItemAsync(jsRuntime, "preferences", new { currency = "GBP" });
+
+            // Assert
+            var invocation = jsRuntime.Single("vatStorage.set");
+            invocation.Arguments[0].Should().Be("preferences");
+            invocation.Arguments[2].Should().BeNull();
+        }
+
+        /// <summary>
+        /// Tests that an explicit lifetime is passed as the expirationDays option
+        /// </summary>
+        [Fact]
+        public async Task SetStorageItemAsync_WithExpiry_SendsExpirationDays()
+        {
+            // Act
+            await JsInterop.SetStorageItemAsync(jsRuntime, "draft", "value", 0);
+
+            // Assert
+            jsRuntime.Single("vatStorage.set").ArgumentJson(2).GetProperty("expirationDays").GetInt32().Should().Be(0);
+        }
+
+        /// <summary>
+        /// Tests that a collection item is looked up by collection key and item ID
+        /// </summary>
+        [Fact]
+        public async Task GetStorageCollectionItemAsync_ReturnsItem()
+        {
+            // Arrange
+            var item = new CalculationResultModel { CalculationId = "calc-1" };
+            jsRuntime.Setup("vatStorage.getCollectionItem", item);
+
+            // Act
+            var result = await JsInterop.GetStorageCollectionItemAsync<CalculationResultModel>(jsRuntime, "calculation_history", "calc-1");
+
+            // Assert
+            result.Should().BeSameAs(item);
+            jsRuntime.Single("vatStorage.getCollectionItem").Arguments.Should().Equal("calculation_history", "calc-1");
+        }
+
+        /// <summary>
+        /// Tests that purging returns the number of expired values removed
+        /// </summary>
+        [Fact]
+        public async Task PurgeExpiredStorageAsync_ReturnsRemovedCount()
+        {
+            // Arrange
+            jsRuntime.Setup("vatStorage.purgeExpired", 3);
+
+            // Act
+            var removed = await JsInterop.PurgeExpiredStorageAsync(jsRuntime);
+
+            // Assert
+            removed.Should().Be(3);
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,50 @@
+using System.Threading.Tasks; // version 6.0.0
+using FluentAssertions; // FluentAssertions version 6.7.0
+using Microsoft.JSInterop; // Microsoft.AspNetCore.Components version 6.0.0
+using Xunit; // xunit version 2.4.2
+using VatFilingPricingTool.Web.Helpers;
+using VatFilingPricingTool.Web.Models;
+using VatFilingPricingTool.Web.Tests.Mock;
+
+namespace VatFilingPricingTool.Web.Tests.Interop
+{
+    /// <summary>
+    /// Tests for the cross-tab synchronisation wrappers in JsInterop
+    /// </summary>
+    public class TabSyncInteropTests
+    {
+        private readonly MockJSRuntime jsRuntime = new MockJSRuntime();
+
+        /// <summary>
+        /// Tests that subscribing returns the subscription ID and unsubscribing passes that ID back,
+        /// since Blazor does not pass the same reference object to JavaScript twice
+        /// </summary>
+        [Fact]
+        public async Task SubscribeToTabSyncAsync_ReturnsId_UsedToUnsubscribe()
+        {
+            // Arrange
+            using var dotNetRef = DotNetObjectReference.Create(new TabSyncListener());
+            jsRuntime.Setup("tabSync.subscribe", 4);
+
+            // Act
+            var subscriptionId = await JsInterop.SubscribeToTabSyncAsync(jsRuntime, dotNetRef);
+            await JsInterop.UnsubscribeFromTabSyncAsync(jsRuntime, subscriptionId);
+
+            // Assert
+            subscriptionId.Should().Be(4);
+            jsRuntime.Single("tabSync.subscribe").Arguments.Should().Equal(dotNetRef, "OnTabSyncMessage");
+            jsRuntime.Single("tabSync.unsubscribe").Arguments.Should().Equal(4);
+        }
+
+        /// <summary>
+        /// Component stand-in receiving messages from other tabs
+        /// </summary>
+        private class TabSyncListener
+        {
+            [JSInvokable]
+            public void OnTabSyncMessage(TabSyncMessage message)
+            {
+            }
+        }
+    }
+}
\ No newline at end of file
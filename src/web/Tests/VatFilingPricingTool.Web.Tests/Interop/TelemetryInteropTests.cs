@@ -0,0 +1,46 @@
+using System.Collections.Generic; // version 6.0.0
+using System.Threading.Tasks; // version 6.0.0
+using FluentAssertions; // FluentAssertions version 6.7.0
+using Xunit; // xunit version 2.4.2
+using VatFilingPricingTool.Web.Helpers;
+using VatFilingPricingTool.Web.Tests.Mock;
+
+namespace VatFilingPricingTool.Web.Tests.Interop
+{
+    /// <summary>
+    /// Tests for the client telemetry wrappers in JsInterop
+    /// </summary>
+    public class TelemetryInteropTests
+    {
+        private readonly MockJSRuntime jsRuntime = new MockJSRuntime();
+
+        /// <summary>
+        /// Tests that a custom metric is passed with its unit and dimensions
+        /// </summary>
+        [Fact]
+        public async Task TrackClientMetricAsync_PassesNameValueUnitAndProperties()
+        {
+            // Arrange
+            var properties = new Dictionary<string, string> { ["countries"] = "3" };
+
+            // Act
+            await JsInterop.TrackClientMetricAsync(jsRuntime, "calculation.render", 42.5, "ms", properties);
+
+            // Assert
+            jsRuntime.Single("telemetry.trackMetric").Arguments.Should().Equal("calculation.render", 42.5, "ms", properties);
+        }
+
+        /// <summary>
+        /// Tests that the unit defaults to milliseconds and dimensions are optional
+        /// </summary>
+        [Fact]
+        public async Task TrackClientMetricAsync_DefaultsToMillisecondsWithoutProperties()
+        {
+            // Act
+            await JsInterop.TrackClientMetricAsync(jsRuntime, "pdf.generate", 250);
+
+            // Assert
+            jsRuntime.Single("telemetry.trackMetric").Arguments.Should().Equal("pdf.generate", 250d, "ms", null);
+        }
+    }
+}
\ No newline at end of file
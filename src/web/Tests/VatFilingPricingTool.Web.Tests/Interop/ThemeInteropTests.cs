@@ -0,0 +1,96 @@
+using System.Threading.Tasks; // version 6.0.0
+using FluentAssertions; // FluentAssertions version 6.7.0
+using Microsoft.JSInterop; // Microsoft.AspNetCore.Components version 6.0.0
+using Xunit; // xunit version 2.4.2
+using VatFilingPricingTool.Web.Helpers;
+using VatFilingPricingTool.Web.Tests.Mock;
+
+namespace VatFilingPricingTool.Web.Tests.Interop
+{
+    /// <summary>
+    /// Tests for the theme manager wrappers in JsInterop
+    /// </summary>
+    public class ThemeInteropTests
+    {
+        private readonly MockJSRuntime jsRuntime = new MockJSRuntime();
+
+        /// <summary>
+        /// Tests that setting the theme passes the preference and returns the applied theme
+        /// </summary>
+        [Fact]
+        public async Task SetThemeAsync_SystemPreference_ReturnsAppliedTheme()
+        {
+            // Arrange
+            jsRuntime.Setup("themeManager.setTheme", "dark");
+
+            // Act
+            var theme = await JsInterop.SetThemeAsync(jsRuntime, "system");
+
+            // Assert
+            theme.Should().Be("dark");
+            jsRuntime.Single("themeManager.setTheme").Arguments.Should().Equal("system");
+        }
+
+        /// <summary>
+        /// Tests that the preference and the active theme are read from the theme manager
+        /// </summary>
+        [Fact]
+        public async Task GetThemePreferenceAsync_AndGetActiveThemeAsync_ReadThemeManager()
+        {
+            // Arrange
+            jsRuntime.Setup("themeManager.getPreference", "system");
+            jsRuntime.Setup("themeManager.getTheme", "light");
+
+            // Act
+            var preference = await JsInterop.GetThemePreferenceAsync(jsRuntime);
+            var theme = await JsInterop.GetActiveThemeAsync(jsRuntime);
+
+            // Assert
+            preference.Should().Be("system");
+            theme.Should().Be("light");
+        }
+
+        /// <summary>
+        /// Tests that the legacy dark mode toggle still goes through toggleDarkMode
+        /// </summary>
+        [Fact]
+        public async Task ToggleDarkModeAsync_PassesFlag()
+        {
+            // Act
+            await JsInterop.ToggleDarkModeAsync(jsRuntime, true);
+
+            // Assert
+            jsRuntime.Single("toggleDarkMode").Arguments.Should().Equal(true);
+        }
+
+        /// <summary>
+        /// Tests that subscribing returns the subscription ID and unsubscribing passes that ID back
+        /// </summary>
+        [Fact]
+        public async Task SubscribeToThemeChangesAsync_ReturnsId_UsedToUnsubscribe()
+        {
+            // Arrange
+            using var dotNetRef = DotNetObjectReference.Create(new ThemeListener());
+            jsRuntime.Setup("themeManager.subscribe", 4);
+
+            // Act
+            var subscriptionId = await JsInterop.SubscribeToThemeChangesAsync(jsRuntime, dotNetRef);
+            await JsInterop.UnsubscribeFromThemeChangesAsync(jsRuntime, subscriptionId);
+
+            // Assert
+            jsRuntime.Single("themeManager.subscribe").Arguments.Should().Equal(dotNetRef, "OnThemeChanged");
+            jsRuntime.Single("themeManager.unsubscribe").Arguments.Should().Equal(4);
+        }
+
+        /// <summary>
+        /// Component stand-in receiving theme notifications
+        /// </summary>
+        private class ThemeListener
+        {
+            [JSInvokable]
+            public void OnThemeChanged(string preference, string theme, bool isDark)
+            {
+            }
+        }
+    }
+}
\ No newline at end of file
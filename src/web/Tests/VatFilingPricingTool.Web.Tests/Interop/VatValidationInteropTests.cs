@@ -0,0 +1,59 @@
+using System.Threading.Tasks; // version 6.0.0
+using FluentAssertions; // FluentAssertions version 6.7.0
+using Xunit; // xunit version 2.4.2
+using VatFilingPricingTool.Web.Helpers;
+using VatFilingPricingTool.Web.Models;
+using VatFilingPricingTool.Web.Tests.Mock;
+
+namespace VatFilingPricingTool.Web.Tests.Interop
+{
+    /// <summary>
+    /// Tests for the VAT number validation wrapper in JsInterop
+    /// </summary>
+    public class VatValidationInteropTests
+    {
+        private readonly MockJSRuntime jsRuntime = new MockJSRuntime();
+
+        /// <summary>
+        /// Tests that validating a VAT number passes the number and expected country and returns the result
+        /// </summary>
+        [Fact]
+        public async Task ValidateVatNumberAsync_PassesNumberAndCountry_ReturnsResult()
+        {
+            // Arrange
+            jsRuntime.Setup("vatValidation.validateVatNumber", new VatNumberValidationResult
+            {
+                Valid = false,
+                CountryCode = "DE",
+                ExpectedCountryCode = "FR",
+                Number = "DE136695976",
+                Reason = "mismatch"
+            });
+
+            // Act
+            var result = await JsInterop.ValidateVatNumberAsync(jsRuntime, "DE 136 695 976", "FR");
+
+            // Assert
+            result.Valid.Should().BeFalse();
+            result.Reason.Should().Be("mismatch");
+            jsRuntime.Single("vatValidation.validateVatNumber").Arguments.Should().Equal("DE 136 695 976", "FR");
+        }
+
+        /// <summary>
+        /// Tests that without an expected country a null country is passed, so the number's prefix decides
+        /// </summary>
+        [Fact]
+        public async Task ValidateVatNumberAsync_WithoutCountry_PassesNull()
+        {
+            // Arrange
+            jsRuntime.Setup("vatValidation.validateVatNumber", new VatNumberValidationResult { Valid = true, CountryCode = "GR" });
+
+            // Act
+            var result = await JsInterop.ValidateVatNumberAsync(jsRuntime, "EL094259216");
+
+            // Assert
+            result.CountryCode.Should().Be("GR");
+            jsRuntime.Single("vatValidation.validateVatNumber").Arguments.Should().Equal("EL094259216", null);
+        }
+    }
+}
\ No newline at end of file
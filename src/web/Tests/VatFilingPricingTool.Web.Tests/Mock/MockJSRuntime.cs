@@ -0,0 +1,129 @@
+using System; // version 6.0.0
+using System.Collections.Generic; // version 6.0.0
+using System.Linq; // version 6.0.0
+using System.Text.Json; // version 6.0.0
+using System.Threading; // version 6.0.0
+using System.Threading.Tasks; // version 6.0.0
+using Microsoft.JSInterop; // version 6.0.0
+
+namespace VatFilingPricingTool.Web.Tests.Mock
+{
+    /// <summary>
+    /// A mock implementation of IJSRuntime for unit testing the JavaScript interop wrappers.
+    /// </summary>
+    public class MockJSRuntime : IJSRuntime
+    {
+        private readonly Dictionary<string, object> _results;
+
+        /// <summary>
+        /// Initializes a new instance of the MockJSRuntime class.
+        /// </summary>
+        public MockJSRuntime()
+        {
+            _results = new Dictionary<string, object>();
+            Invocations = new List<JSInvocation>();
+        }
+
+        /// <summary>
+        /// Gets every JavaScript call made through this runtime, in order.
+        /// </summary>
+        public List<JSInvocation> Invocations { get; }
+
+        /// <summary>
+        /// Configures the value returned when the specified JavaScript function is invoked.
+        /// </summary>
+        /// <typeparam name="TResult">The type of the returned value.</typeparam>
+        /// <param name="identifier">The JavaScript function identifier, e.g. "offlineQueue.subscribe".</param>
+        /// <param name="result">The value to return.</param>
+        /// <returns>The current instance for method chaining.</returns>
+        public MockJSRuntime Setup<TResult>(string identifier, TResult result)
+        {
+            _results[identifier] = result;
+            return this;
+        }
+
+        /// <summary>
+        /// Gets the single call made to the specified JavaScript function.
+        /// </summary>
+        /// <param name="identifier">The JavaScript function identifier.</param>
+        /// <returns>The invocation.</returns>
+        public JSInvocation Single(string identifier)
+        {
+            return Invocations.Single(invocation => invocation.Identifier == identifier);
+        }
+
+        /// <summary>
+        /// Records a JavaScript call and returns the configured value or the default for the type.
+        /// </summary>
+        /// <typeparam name="TValue">The JSON-serializable return type.</typeparam>
+        /// <param name="identifier">The JavaScript function identifier.</param>
+        /// <param name="args">The arguments passed to the function.</param>
+        /// <returns>A task that represents the asynchronous operation, containing the configured value.</returns>
+        public ValueTask<TValue> InvokeAsync<TValue>(string identifier, object[] args)
+        {
+            return InvokeAsync<TValue>(identifier, CancellationToken.None, args);
+        }
+
+        /// <summary>
+        /// Records a JavaScript call and returns the configured value or the default for the type.
+        /// </summary>
+        /// <typeparam name="TValue">The JSON-serializable return type.</typeparam>
+        /// <param name="identifier">The JavaScript function identifier.</param>
+        /// <param name="cancellationToken">A cancellation token for the call.</param>
+        /// <param name="args">The arguments passed to the function.</param>
+        /// <returns>A task that represents the asynchronous operation, containing the configured value.</returns>
+        public ValueTask<TValue> InvokeAsync<TValue>(string identifier, CancellationToken cancellationToken, object[] args)
+        {
+            Invocations.Add(new JSInvocation(identifier, args ?? Array.Empty<object>()));
+
+            if (_results.TryGetValue(identifier, out var result) && result is TValue value)
+            {
+                return new ValueTask<TValue>(value);
+            }
+
+            return new ValueTask<TValue>(default(TValue));
+        }
+    }
+
+    /// <summary>
+    /// A JavaScript call recorded by <see cref="MockJSRuntime"/>.
+    /// </summary>
+    public class JSInvocation
+    {
+        private static readonly JsonSerializerOptions SerializerOptions = new JsonSerializerOptions
+        {
+            PropertyNamingPolicy = JsonNamingPolicy.CamelCase
+        };
+
+        /// <summary>
+        /// Initializes a new instance of the JSInvocation class.
+        /// </summary>
+        /// <param name="identifier">The JavaScript function identifier.</param>
+        /// <param name="arguments">The arguments passed to the function.</param>
+        public JSInvocation(string identifier, object[] arguments)
+        {
+            Identifier = identifier;
+            Arguments = arguments;
+        }
+
+        /// <summary>
+        /// Gets the JavaScript function identifier.
+        /// </summary>
+        public string Identifier { get; }
+
+        /// <summary>
+        /// Gets the arguments passed to the function.
+        /// </summary>
+        public object[] Arguments { get; }
+
+        /// <summary>
+        /// Serializes an argument the way Blazor does before passing it to JavaScript.
+        /// </summary>
+        /// <param name="index">The index of the argument.</param>
+        /// <returns>The argument as a JSON element.</returns>
+        public JsonElement ArgumentJson(int index)
+        {
+            return JsonSerializer.SerializeToElement(Arguments[index], Arguments[index]?.GetType() ?? typeof(object), SerializerOptions);
+        }
+    }
+}
\ No newline at end of file
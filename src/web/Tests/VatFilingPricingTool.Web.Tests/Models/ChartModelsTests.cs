@@ -0,0 +1,84 @@
+using System.Text.Json; // version 6.0.0
+using FluentAssertions; // FluentAssertions version 6.7.0
+using Xunit; // xunit version 2.4.2
+using VatFilingPricingTool.Web.Models;
+
+namespace VatFilingPricingTool.Web.Tests.Models
+{
+    /// <summary>
+    /// Tests that the chart models read the payloads produced by the chart interop in interop.js
+    /// </summary>
+    public class ChartModelsTests
+    {
+        /// <summary>
+        /// Tests that the state reported by getChartState deserializes, including gaps in the data
+        /// </summary>
+        [Fact]
+        public void ChartStateModel_DeserializesChartState()
+        {
+            // Arrange
+            const string json = "{\"handle\":\"chart-1\",\"elementId\":\"pricingChart\",\"type\":\"bar\"," +
+                "\"labels\":[\"2024\",\"Q1 2024\",null]," +
+                "\"datasets\":[{\"index\":0,\"label\":\"Fees\",\"type\":\"bar\",\"data\":[10,12.5,null],\"hidden\":true}]}";
+
+            // Act
+            var state = JsonSerializer.Deserialize<ChartStateModel>(json);
+
+            // Assert
+            state.Labels.Should().Equal("2024", "Q1 2024", null);
+            state.Datasets.Should().HaveCount(1);
+            state.Datasets[0].Data.Should().Equal(10m, 12.5m, null);
+            state.Datasets[0].Hidden.Should().BeTrue();
+        }
+
+        /// <summary>
+        /// Tests that a chart event payload deserializes with its label and value
+        /// </summary>
+        [Fact]
+        public void ChartEventModel_DeserializesClickPayload()
+        {
+            // Arrange
+            const string json = "{\"handle\":\"chart-1\",\"datasetIndex\":0,\"index\":2,\"label\":\"DE\",\"datasetLabel\":\"Fees\",\"value\":99}";
+
+            // Act
+            var chartEvent = JsonSerializer.Deserialize<ChartEventModel>(json);
+
+            // Assert
+            chartEvent.Label.Should().Be("DE");
+            chartEvent.Value.Should().Be(99m);
+            chartEvent.Hidden.Should().BeNull();
+        }
+
+        /// <summary>
+        /// Tests that the exported image bytes are decoded from base64
+        /// </summary>
+        [Fact]
+        public void ChartImageModel_GetBytes_DecodesBase64()
+        {
+            // Arrange
+            var image = new ChartImageModel { Base64 = "iVBORw==", ContentType = "image/png" };
+
+            // Act
+            var bytes = image.GetBytes();
+
+            // Assert
+            bytes.Should().Equal(0x89, 0x50, 0x4E, 0x47);
+        }
+
+        /// <summary>
+        /// Tests that a chart value format serializes with the member names formatting.js reads and leaves unset members out
+        /// </summary>
+        [Fact]
+        public void ChartValueFormat_SerializesSetMembersOnly()
+        {
+            // Arrange
+            var valueFormat = new ChartValueFormat { Style = "currency", Currency = "GBP" };
+
+            // Act
+            var json = JsonSerializer.Serialize(valueFormat);
+
+            // Assert
+            json.Should().Be("{\"style\":\"currency\",\"currency\":\"GBP\"}");
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,46 @@
+using System.Text.Json; // version 6.0.0
+using FluentAssertions; // FluentAssertions version 6.7.0
+using Xunit; // xunit version 2.4.2
+using VatFilingPricingTool.Web.Models;
+
+namespace VatFilingPricingTool.Web.Tests.Models
+{
+    /// <summary>
+    /// Tests that the currency models read the rate table returned by currency.js
+    /// </summary>
+    public class CurrencyModelsTests
+    {
+        /// <summary>
+        /// Tests that a cached rate table deserializes with its rates and fetch time
+        /// </summary>
+        [Fact]
+        public void ExchangeRateTable_DeserializesRateTable()
+        {
+            // Arrange
+            const string json = "{\"base\":\"EUR\",\"asOf\":\"2026-10-16\",\"source\":\"Sample reference rates\"," +
+                "\"rates\":{\"EUR\":1,\"GBP\":0.8674,\"HUF\":398.65},\"fetchedAt\":1792137600000}";
+
+            // Act
+            var table = JsonSerializer.Deserialize<ExchangeRateTable>(json);
+
+            // Assert
+            table.Base.Should().Be("EUR");
+            table.AsOf.Should().Be("2026-10-16");
+            table.Rates.Should().Contain("GBP", 0.8674m).And.Contain("HUF", 398.65m);
+            table.FetchedAt.Should().Be(1792137600000L);
+        }
+
+        /// <summary>
+        /// Tests that a new table starts with no rates rather than null
+        /// </summary>
+        [Fact]
+        public void ExchangeRateTable_StartsEmpty()
+        {
+            // Act
+            var table = new ExchangeRateTable();
+
+            // Assert
+            table.Rates.Should().BeEmpty();
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,59 @@
+using System.Text.Json; // version 6.0.0
+using FluentAssertions; // FluentAssertions version 6.7.0
+using Xunit; // xunit version 2.4.2
+using VatFilingPricingTool.Web.Models;
+
+namespace VatFilingPricingTool.Web.Tests.Models
+{
+    /// <summary>
+    /// Tests that the share link models read the parse results returned by shareLink.js
+    /// </summary>
+    public class ShareLinkModelsTests
+    {
+        private static readonly JsonSerializerOptions WebOptions = new JsonSerializerOptions(JsonSerializerDefaults.Web);
+
+        /// <summary>
+        /// Tests that a parsed link deserializes with its input and the codes that were left out
+        /// </summary>
+        [Fact]
+        public void SharedCalculationResult_DeserializesParsedLink()
+        {
+            // Arrange
+            const string json = "{\"valid\":true,\"version\":1,\"input\":{\"countryCodes\":[\"DE\",\"FR\"],\"serviceType\":2," +
+                "\"transactionVolume\":1250,\"filingFrequency\":1,\"additionalServices\":[],\"currencyCode\":\"GBP\"}," +
+                "\"unknownCountryCodes\":[\"XX\"],\"unknownServices\":[\"retired-service\"],\"error\":null}";
+
+            // Act
+            var result = JsonSerializer.Deserialize<SharedCalculationResult>(json, WebOptions);
+
+            // Assert
+            result.Valid.Should().BeTrue();
+            result.Version.Should().Be(1);
+            result.Input.CountryCodes.Should().Equal("DE", "FR");
+            result.Input.TransactionVolume.Should().Be(1250);
+            result.Input.CurrencyCode.Should().Be("GBP");
+            result.UnknownCountryCodes.Should().Equal("XX");
+            result.UnknownServices.Should().Equal("retired-service");
+            result.Error.Should().BeNull();
+        }
+
+        /// <summary>
+        /// Tests that a link that could not be opened deserializes with its error and no input
+        /// </summary>
+        [Fact]
+        public void SharedCalculationResult_DeserializesFailure()
+        {
+            // Arrange
+            const string json = "{\"valid\":false,\"version\":null,\"input\":null,\"unknownCountryCodes\":[],\"unknownServices\":[],\"error\":\"corrupt\"}";
+
+            // Act
+            var result = JsonSerializer.Deserialize<SharedCalculationResult>(json, WebOptions);
+
+            // Assert
+            result.Valid.Should().BeFalse();
+            result.Version.Should().BeNull();
+            result.Input.Should().BeNull();
+            result.Error.Should().Be("corrupt");
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,34 @@
+using System.Text.Json; // version 6.0.0
+using FluentAssertions; // FluentAssertions version 6.7.0
+using Xunit; // xunit version 2.4.2
+using VatFilingPricingTool.Web.Models;
+
+namespace VatFilingPricingTool.Web.Tests.Models
+{
+    /// <summary>
+    /// Tests for the cross-tab synchronisation models
+    /// </summary>
+    public class SyncModelsTests
+    {
+        private static readonly JsonSerializerOptions WebOptions = new JsonSerializerOptions(JsonSerializerDefaults.Web);
+
+        /// <summary>
+        /// Tests that a message as tabSync.js passes it to subscribers deserializes into TabSyncMessage
+        /// </summary>
+        [Fact]
+        public void TabSyncMessage_DeserializesSubscriberPayload()
+        {
+            // Arrange
+            var json = "{\"type\":\"history\",\"action\":\"saved\",\"ids\":[\"calc-1\",\"calc-2\"]}";
+
+            // Act
+            var message = JsonSerializer.Deserialize<TabSyncMessage>(json, WebOptions);
+
+            // Assert
+            message.Type.Should().Be("history");
+            message.Action.Should().Be("saved");
+            message.Ids.Should().Equal("calc-1", "calc-2");
+            message.Authenticated.Should().BeNull();
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,150 @@
+using System;
+using System.Threading.Tasks;
+using Microsoft.Extensions.Logging;
+using Microsoft.JSInterop;
+using VatFilingPricingTool.Web.Helpers;
+using VatFilingPricingTool.Web.Models;
+using VatFilingPricingTool.Web.Services.Interfaces;
+
+namespace VatFilingPricingTool.Web.Authentication
+{
+    /// <summary>
+    /// Keeps this tab's authentication state in step with the browser: signs the user out here when they sign out
+    /// in another tab or the idle monitor times the session out, and picks up a sign-in made in another tab.
+    /// </summary>
+    public class BrowserSessionMonitor : IAsyncDisposable
+    {
+        private readonly TokenAuthenticationStateProvider authStateProvider;
+        private readonly IAuthService authService;
+        private readonly IJSRuntime jsRuntime;
+        private readonly ILogger<BrowserSessionMonitor> logger;
+        private DotNetObjectReference<BrowserSessionMonitor> dotNetRef;
+        private int? tabSyncSubscriptionId;
+        private int? idleSubscriptionId;
+
+        /// <summary>
+        /// Initializes a new instance of the BrowserSessionMonitor class with the required dependencies.
+        /// </summary>
+        /// <param name="authStateProvider">Provider whose authentication state is kept in step.</param>
+        /// <param name="authService">Service used to sign out when the session times out.</param>
+        /// <param name="jsRuntime">JavaScript runtime used to subscribe to the browser's session events.</param>
+        /// <param name="logger">Logger for diagnostic information.</param>
+        public BrowserSessionMonitor(
+            TokenAuthenticationStateProvider authStateProvider,
+            IAuthService authService,
+            IJSRuntime jsRuntime,
+            ILogger<BrowserSessionMonitor> logger)
+        {
+            this.authStateProvider = authStateProvider;
+            this.authService = authService;
+            this.jsRuntime = jsRuntime;
+            this.logger = logger;
+        }
+
+        /// <summary>
+        /// Subscribes to sign-ins and sign-outs made in other tabs and to the idle monitor's timeout.
+        /// </summary>
+        /// <returns>A task that represents the asynchronous operation.</returns>
+        public async Task StartAsync()
+        {
+            if (dotNetRef != null)
+            {
+                return;
+            }
+
+            dotNetRef = DotNetObjectReference.Create(this);
+            try
+            {
+                tabSyncSubscriptionId = await JsInterop.SubscribeToTabSyncAsync(jsRuntime, dotNetRef);
+            }
+            catch (Exception ex)
+            {
+                logger.LogWarning(ex, "Error subscribing to other tabs' sessions: {Message}", ex.Message);
+            }
+
+            try
+            {
+                idleSubscriptionId = await JsInterop.SubscribeToIdleMonitorAsync(jsRuntime, dotNetRef);
+            }
+            catch (Exception ex)
+            {
+                logger.LogWarning(ex, "Error subscribing to the idle monitor: {Message}", ex.Message);
+            }
+        }
+
+        /// <summary>
+        /// Applies a sign-in or sign-out made in another tab; other messages are left to the components that use them.
+        /// </summary>
+        /// <param name="message">The message from the other tab.</param>
+        /// <returns>A task that represents the asynchronous operation.</returns>
+        [JSInvokable]
+        public async Task OnTabSyncMessage(TabSyncMessage message)
+        {
+            if (message?.Type != "session" || !message.Authenticated.HasValue)
+            {
+                return;
+            }
+
+            var state = await authStateProvider.GetAuthenticationStateAsync();
+            var signedIn = state.User.Identity?.IsAuthenticated == true;
+
+            if (!message.Authenticated.Value && signedIn)
+            {
+                logger.LogInformation("Signed out in another tab");
+                await authStateProvider.MarkUserAsLoggedOut();
+            }
+            else if (message.Authenticated.Value && !signedIn)
+            {
+                logger.LogInformation("Signed in in another tab");
+                await authStateProvider.ReloadAuthenticationStateAsync();
+            }
+        }
+
+        /// <summary>
+        /// Signs out when the idle monitor times the session out; the idle monitor waits for this before leaving the page.
+        /// </summary>
+        /// <param name="state">'active', 'warning' or 'timeout'.</param>
+        /// <param name="remainingMs">Time left before sign-out, in milliseconds.</param>
+        /// <returns>A task that represents the asynchronous operation.</returns>
+        [JSInvokable]
+        public async Task OnIdleStateChanged(string state, int remainingMs)
+        {
+            if (state != "timeout")
+            {
+                return;
+            }
+
+            logger.LogInformation("Signing out after the idle session timeout");
+            await authService.LogoutAsync();
+        }
+
+        /// <summary>
+        /// Unsubscribes from the browser's session events.
+        /// </summary>
+        /// <returns>A task that represents the asynchronous operation.</returns>
+        public async ValueTask DisposeAsync()
+        {
+            try
+            {
+                if (tabSyncSubscriptionId.HasValue)
+                {
+                    await JsInterop.UnsubscribeFromTabSyncAsync(jsRuntime, tabSyncSubscriptionId.Value);
+                }
+
+                if (idleSubscriptionId.HasValue)
+                {
+                    await JsInterop.UnsubscribeFromIdleMonitorAsync(jsRuntime, idleSubscriptionId.Value);
+                }
+            }
+            catch (JSDisconnectedException)
+            {
+                // The page is being torn down, so there is nothing left to unsubscribe from
+            }
+
+            tabSyncSubscriptionId = null;
+            idleSubscriptionId = null;
+            dotNetRef?.Dispose();
+            dotNetRef = null;
+        }
+    }
+}
\ No newline at end of file
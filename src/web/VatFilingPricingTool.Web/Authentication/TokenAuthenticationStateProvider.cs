@@ -3,6 +3,7 @@ using System.Security.Claims;
 using System.Threading.Tasks;
 using Microsoft.AspNetCore.Components.Authorization;
 using Microsoft.Extensions.Logging;
+using Microsoft.JSInterop;
 using VatFilingPricingTool.Web.Helpers;
 using VatFilingPricingTool.Web.Models;
 using VatFilingPricingTool.Web.Clients;
@@ -17,6 +18,7 @@ namespace VatFilingPricingTool.Web.Authentication
     {
         private readonly IHttpClient httpClient;
         private readonly ILogger<TokenAuthenticationStateProvider> logger;
+        private readonly IJSRuntime jsRuntime;
 
         /// <summary>
         /// Initializes a new instance of the TokenAuthenticationStateProvider class with the required dependencies.
@@ -24,16 +26,56 @@ namespace VatFilingPricingTool.Web.Authentication
         /// <param name="localStorage">Helper for accessing local storage.</param>
         /// <param name="httpClient">Client for making HTTP requests.</param>
         /// <param name="logger">Logger for diagnostic information.</param>
+        /// <param name="jsRuntime">JavaScript runtime used to tell browser-side stores who is signed in.</param>
         public TokenAuthenticationStateProvider(
             LocalStorageHelper localStorage,
             IHttpClient httpClient,
-            ILogger<TokenAuthenticationStateProvider> logger) : base(localStorage)
+            ILogger<TokenAuthenticationStateProvider> logger,
+            IJSRuntime jsRuntime) : base(localStorage)
         {
             this.httpClient = httpClient;
             this.logger = logger;
+            this.jsRuntime = jsRuntime;
             
             // Initialize authentication state by loading token and user data
-            _ = InitializeAuthenticationStateAsync();
+            _ = InitializeAsync();
+        }
+
+        /// <summary>
+        /// Loads the stored authentication state and scopes the browser's stores to the stored user.
+        /// </summary>
+        /// <returns>A task that represents the asynchronous operation.</returns>
+        private async Task InitializeAsync()
+        {
+            await InitializeAuthenticationStateAsync();
+            await SetBrowserUserAsync(CurrentUser?.UserId);
+        }
+
+        /// <summary>
+        /// Tells the browser's calculation history and draft stores whose calculations and drafts to read and write.
+        /// A failure is logged rather than thrown so that it never blocks signing in.
+        /// </summary>
+        /// <param name="userId">The signed-in user's ID, or null when no one is signed in.</param>
+        /// <returns>A task that represents the asynchronous operation.</returns>
+        private async Task SetBrowserUserAsync(string userId)
+        {
+            try
+            {
+                await JsInterop.SetHistoryStoreUserAsync(jsRuntime, userId);
+            }
+            catch (Exception ex)
+            {
+                logger.LogWarning(ex, "Error setting the browser history user: {Message}", ex.Message);
+            }
+
+            try
+            {
+                await JsInterop.SetDraftUserAsync(jsRuntime, userId);
+            }
+            catch (Exception ex)
+            {
+                logger.LogWarning(ex, "Error setting the browser draft user: {Message}", ex.Message);
+            }
         }
 
         /// <summary>
@@ -54,6 +96,9 @@ namespace VatFilingPricingTool.Web.Authentication
             TokenExpiration = authResponse.ExpiresAt;
             IsTokenExpired = TokenExpiration <= DateTime.UtcNow;
             
+            // Read and write only this user's calculations in the browser
+            await SetBrowserUserAsync(authResponse.User?.UserId);
+            
             // Notify UI of authentication state change
             NotifyAuthenticationStateChanged();
         }
@@ -69,6 +114,26 @@ namespace VatFilingPricingTool.Web.Authentication
             // Clear auth data from local storage
             await localStorage.ClearAuthDataAsync();
             
+            // Remove the user's calculations from the browser so the next person cannot see them
+            try
+            {
+                await JsInterop.SignOutOfHistoryStoreAsync(jsRuntime);
+            }
+            catch (Exception ex)
+            {
+                logger.LogWarning(ex, "Error clearing the browser history on logout: {Message}", ex.Message);
+            }
+            
+            // Save the user's unsaved draft changes under their ID and stop offering their drafts
+            try
+            {
+                await JsInterop.SetDraftUserAsync(jsRuntime, null);
+            }
+            catch (Exception ex)
+            {
+                logger.LogWarning(ex, "Error clearing the browser draft user on logout: {Message}", ex.Message);
+            }
+            
             // Reset current state
             CurrentUser = null;
             AuthToken = null;
@@ -79,6 +144,15 @@ namespace VatFilingPricingTool.Web.Authentication
             NotifyAuthenticationStateChanged();
         }
 
+        /// <summary>
+        /// Reloads the authentication state from local storage, e.g. after the user signed in from another browser tab.
+        /// </summary>
+        /// <returns>A task that represents the asynchronous operation.</returns>
+        public async Task ReloadAuthenticationStateAsync()
+        {
+            await InitializeAsync();
+        }
+
         /// <summary>
         /// Attempts to refresh the authentication token if it is expired.
         /// </summary>
@@ -1,5 +1,8 @@
 using Microsoft.JSInterop; // Microsoft.JSInterop v6.0.0
+using System; // System v6.0.0
+using System.Collections.Generic; // System.Collections.Generic v6.0.0
 using System.Threading.Tasks; // System.Threading.Tasks v6.0.0
+using VatFilingPricingTool.Web.Models;
 
 namespace VatFilingPricingTool.Web.Helpers
 {
@@ -15,33 +18,60 @@ namespace VatFilingPricingTool.Web.Helpers
         /// <param name="elementId">The ID of the canvas element</param>
         /// <param name="chartData">The data for the chart</param>
         /// <param name="chartOptions">The configuration options for the chart</param>
-        /// <returns>A task representing the asynchronous operation, containing the chart instance</returns>
-        public static async ValueTask<object> InitializeChartAsync(IJSRuntime jsRuntime, string elementId, object chartData, object chartOptions)
+        /// <returns>A task representing the asynchronous operation, containing the handle used to refer to the chart in later calls, or null if the chart could not be created</returns>
+        public static async ValueTask<string> InitializeChartAsync(IJSRuntime jsRuntime, string elementId, object chartData, object chartOptions)
         {
-            return await jsRuntime.InvokeAsync<object>("initializeChart", elementId, chartData, chartOptions);
+            return await jsRuntime.InvokeAsync<string>("initializeChart", elementId, chartData, chartOptions);
         }
 
         /// <summary>
-        /// Updates an existing chart with new data
+        /// Initializes a Chart.js chart that forwards click, hover and legend-toggle events to a component
         /// </summary>
+        /// <typeparam name="T">The type of the component receiving chart events</typeparam>
         /// <param name="jsRuntime">The JavaScript runtime instance</param>
-        /// <param name="chartInstance">The chart instance to update</param>
-        /// <param name="newData">The new data for the chart</param>
-        /// <returns>A task representing the asynchronous operation</returns>
-        public static async ValueTask UpdateChartAsync(IJSRuntime jsRuntime, object chartInstance, object newData)
+        /// <param name="elementId">The ID of the canvas element</param>
+        /// <param name="chartData">The data for the chart</param>
+        /// <param name="chartOptions">The configuration options for the chart</param>
+        /// <param name="dotNetRef">Reference to the component; it must expose JSInvokable OnChartClick, OnChartHover and OnChartLegendToggle methods accepting a <see cref="ChartEventModel"/></param>
+        /// <param name="hoverDebounceMs">The delay used to debounce hover notifications</param>
+        /// <returns>A task representing the asynchronous operation, containing the handle used to refer to the chart in later calls, or null if the chart could not be created</returns>
+        public static async ValueTask<string> InitializeChartAsync<T>(IJSRuntime jsRuntime, string elementId, object chartData, object chartOptions, DotNetObjectReference<T> dotNetRef, int hoverDebounceMs = 150) where T : class
+        {
+            return await jsRuntime.InvokeAsync<string>("initializeChart", elementId, chartData, chartOptions, dotNetRef, new { hoverDebounceMs });
+        }
+
+        /// <summary>
+        /// Applies a partial update to an existing chart, animating the transition
+        /// </summary>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <param name="chartHandle">The handle returned by <see cref="InitializeChartAsync(IJSRuntime, string, object, object)"/></param>
+        /// <param name="update">The changes to apply to the chart</param>
+        /// <returns>A task representing the asynchronous operation, containing true if the chart was updated</returns>
+        public static async ValueTask<bool> UpdateChartAsync(IJSRuntime jsRuntime, string chartHandle, ChartUpdateModel update)
+        {
+            return await jsRuntime.InvokeAsync<bool>("updateChart", chartHandle, update);
+        }
+
+        /// <summary>
+        /// Gets the current labels, datasets and visibility of a chart
+        /// </summary>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <param name="chartHandle">The handle returned by <see cref="InitializeChartAsync(IJSRuntime, string, object, object)"/></param>
+        /// <returns>A task representing the asynchronous operation, containing the chart state or null if the chart was not found</returns>
+        public static async ValueTask<ChartStateModel> GetChartStateAsync(IJSRuntime jsRuntime, string chartHandle)
         {
-            await jsRuntime.InvokeVoidAsync("updateChart", chartInstance, newData);
+            return await jsRuntime.InvokeAsync<ChartStateModel>("getChartState", chartHandle);
         }
 
         /// <summary>
         /// Destroys a Chart.js instance and removes it from the global registry
         /// </summary>
         /// <param name="jsRuntime">The JavaScript runtime instance</param>
-        /// <param name="elementId">The ID of the canvas element</param>
+        /// <param name="chartHandle">The handle returned by <see cref="InitializeChartAsync(IJSRuntime, string, object, object)"/> (the canvas element ID is also accepted)</param>
         /// <returns>A task representing the asynchronous operation, containing true if chart was successfully destroyed</returns>
-        public static async ValueTask<bool> DestroyChartAsync(IJSRuntime jsRuntime, string elementId)
+        public static async ValueTask<bool> DestroyChartAsync(IJSRuntime jsRuntime, string chartHandle)
         {
-            return await jsRuntime.InvokeAsync<bool>("destroyChart", elementId);
+            return await jsRuntime.InvokeAsync<bool>("destroyChart", chartHandle);
         }
 
         /// <summary>
@@ -93,6 +123,30 @@ namespace VatFilingPricingTool.Web.Helpers
             await jsRuntime.InvokeVoidAsync("printElement", elementId);
         }
 
+        /// <summary>
+        /// Prints a specific element on the page with the given page setup
+        /// </summary>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <param name="elementId">The ID of the element to print</param>
+        /// <param name="options">The page setup options</param>
+        /// <returns>A task representing the asynchronous operation, containing true if the document was sent to print</returns>
+        public static async ValueTask<bool> PrintElementAsync(IJSRuntime jsRuntime, string elementId, PrintOptions options)
+        {
+            return await jsRuntime.InvokeAsync<bool>("printService.print", elementId, options);
+        }
+
+        /// <summary>
+        /// Shows the print preview for an element, where the user can change orientation and paper size before printing
+        /// </summary>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <param name="elementId">The ID of the element to print</param>
+        /// <param name="options">The initial page setup options, or null for the defaults</param>
+        /// <returns>A task representing the asynchronous operation, containing true if printed or false if the preview was closed</returns>
+        public static async ValueTask<bool> ShowPrintPreviewAsync(IJSRuntime jsRuntime, string elementId, PrintOptions options = null)
+        {
+            return await jsRuntime.InvokeAsync<bool>("printService.preview", elementId, options);
+        }
+
         /// <summary>
         /// Stores a value in the browser's local storage
         /// </summary>
@@ -159,5 +213,982 @@ namespace VatFilingPricingTool.Web.Helpers
         {
             return await jsRuntime.InvokeAsync<string>("formatCurrency", amount, currencyCode);
         }
+
+        /// <summary>
+        /// Queues a calculation request to be submitted when the browser is back online
+        /// </summary>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <param name="input">The calculation input to queue</param>
+        /// <returns>A task representing the asynchronous operation, containing the ID of the queued item</returns>
+        public static async ValueTask<int> EnqueueOfflineCalculationAsync(IJSRuntime jsRuntime, CalculationInputModel input)
+        {
+            return await jsRuntime.InvokeAsync<int>("offlineQueue.enqueue", input);
+        }
+
+        /// <summary>
+        /// Gets the number of queued calculations waiting to be submitted
+        /// </summary>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <returns>A task representing the asynchronous operation, containing the pending item count</returns>
+        public static async ValueTask<int> GetPendingOfflineCalculationCountAsync(IJSRuntime jsRuntime)
+        {
+            return await jsRuntime.InvokeAsync<int>("offlineQueue.getPendingCount");
+        }
+
+        /// <summary>
+        /// Submits all queued calculations to the API
+        /// </summary>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <returns>A task representing the asynchronous operation</returns>
+        public static async ValueTask ReplayOfflineQueueAsync(IJSRuntime jsRuntime)
+        {
+            await jsRuntime.InvokeVoidAsync("offlineQueue.replay");
+        }
+
+        /// <summary>
+        /// Registers a component to be notified when the number of queued calculations changes
+        /// </summary>
+        /// <typeparam name="T">The type of the component receiving notifications</typeparam>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <param name="dotNetRef">Reference to the component; it must expose a JSInvokable method accepting the pending count</param>
+        /// <param name="methodName">The name of the JSInvokable method to call</param>
+        /// <returns>A task representing the asynchronous operation, containing the subscription ID to pass to <see cref="UnsubscribeFromOfflineQueueAsync"/></returns>
+        public static async ValueTask<int> SubscribeToOfflineQueueAsync<T>(IJSRuntime jsRuntime, DotNetObjectReference<T> dotNetRef, string methodName = "OnOfflineQueueChanged") where T : class
+        {
+            return await jsRuntime.InvokeAsync<int>("offlineQueue.subscribe", dotNetRef, methodName);
+        }
+
+        /// <summary>
+        /// Stops notifying a component about offline queue changes
+        /// </summary>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <param name="subscriptionId">The ID returned by <see cref="SubscribeToOfflineQueueAsync"/></param>
+        /// <returns>A task representing the asynchronous operation</returns>
+        public static async ValueTask UnsubscribeFromOfflineQueueAsync(IJSRuntime jsRuntime, int subscriptionId)
+        {
+            await jsRuntime.InvokeVoidAsync("offlineQueue.unsubscribe", subscriptionId);
+        }
+
+        /// <summary>
+        /// Sets and persists the theme preference through the shared theme manager
+        /// </summary>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <param name="preference">"system" or the name of a registered theme (e.g., "light", "dark", "high-contrast")</param>
+        /// <returns>A task representing the asynchronous operation, containing the name of the theme that was applied</returns>
+        public static async ValueTask<string> SetThemeAsync(IJSRuntime jsRuntime, string preference)
+        {
+            return await jsRuntime.InvokeAsync<string>("themeManager.setTheme", preference);
+        }
+
+        /// <summary>
+        /// Gets the stored theme preference, which may be "system"
+        /// </summary>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <returns>A task representing the asynchronous operation, containing the theme preference</returns>
+        public static async ValueTask<string> GetThemePreferenceAsync(IJSRuntime jsRuntime)
+        {
+            return await jsRuntime.InvokeAsync<string>("themeManager.getPreference");
+        }
+
+        /// <summary>
+        /// Gets the name of the theme currently applied to the page
+        /// </summary>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <returns>A task representing the asynchronous operation, containing the active theme name</returns>
+        public static async ValueTask<string> GetActiveThemeAsync(IJSRuntime jsRuntime)
+        {
+            return await jsRuntime.InvokeAsync<string>("themeManager.getTheme");
+        }
+
+        /// <summary>
+        /// Registers a component to be notified when the theme changes
+        /// </summary>
+        /// <typeparam name="T">The type of the component receiving notifications</typeparam>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <param name="dotNetRef">Reference to the component; it must expose a JSInvokable method accepting (string preference, string theme, bool isDark)</param>
+        /// <param name="methodName">The name of the JSInvokable method to call</param>
+        /// <returns>A task representing the asynchronous operation, containing the subscription ID to pass to <see cref="UnsubscribeFromThemeChangesAsync"/></returns>
+        public static async ValueTask<int> SubscribeToThemeChangesAsync<T>(IJSRuntime jsRuntime, DotNetObjectReference<T> dotNetRef, string methodName = "OnThemeChanged") where T : class
+        {
+            return await jsRuntime.InvokeAsync<int>("themeManager.subscribe", dotNetRef, methodName);
+        }
+
+        /// <summary>
+        /// Stops notifying a component about theme changes
+        /// </summary>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <param name="subscriptionId">The ID returned by <see cref="SubscribeToThemeChangesAsync"/></param>
+        /// <returns>A task representing the asynchronous operation</returns>
+        public static async ValueTask UnsubscribeFromThemeChangesAsync(IJSRuntime jsRuntime, int subscriptionId)
+        {
+            await jsRuntime.InvokeVoidAsync("themeManager.unsubscribe", subscriptionId);
+        }
+
+        /// <summary>
+        /// Selects the chart palette and pattern setting; the choice is persisted with the theme preference
+        /// </summary>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <param name="palette">The palette name (e.g., "standard", "high-contrast", "okabe-ito")</param>
+        /// <param name="usePatterns">Whether datasets should also be filled with patterns</param>
+        /// <returns>A task representing the asynchronous operation</returns>
+        public static async ValueTask SetChartPaletteAsync(IJSRuntime jsRuntime, string palette, bool usePatterns)
+        {
+            await jsRuntime.InvokeVoidAsync("chartPalettes.setPalette", palette, usePatterns);
+        }
+
+        /// <summary>
+        /// Renders a chart as an image so it can be embedded in PDF and Excel exports
+        /// </summary>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <param name="chartHandle">The handle returned by <see cref="InitializeChartAsync(IJSRuntime, string, object, object)"/></param>
+        /// <param name="options">The export options, or null for a themed high-resolution PNG</param>
+        /// <returns>A task representing the asynchronous operation, containing the rendered image</returns>
+        public static async ValueTask<ChartImageModel> ExportChartImageAsync(IJSRuntime jsRuntime, string chartHandle, ChartImageExportOptions options = null)
+        {
+            return await jsRuntime.InvokeAsync<ChartImageModel>("chartExport.exportImage", chartHandle, options);
+        }
+
+        /// <summary>
+        /// Renders a chart as an image and downloads it in the browser
+        /// </summary>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <param name="chartHandle">The handle returned by <see cref="InitializeChartAsync(IJSRuntime, string, object, object)"/></param>
+        /// <param name="fileName">The file name without extension</param>
+        /// <param name="options">The export options, or null for a themed high-resolution PNG</param>
+        /// <returns>A task representing the asynchronous operation, containing true if the download was started</returns>
+        public static async ValueTask<bool> DownloadChartImageAsync(IJSRuntime jsRuntime, string chartHandle, string fileName, ChartImageExportOptions options = null)
+        {
+            return await jsRuntime.InvokeAsync<bool>("chartExport.downloadImage", chartHandle, fileName, options);
+        }
+
+        /// <summary>
+        /// Builds an Excel workbook for a calculation result in the browser and downloads it
+        /// </summary>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <param name="result">The calculation result, including country breakdowns, discounts and additional services</param>
+        /// <param name="fileName">The file name, or null for a name based on the calculation ID</param>
+        /// <returns>A task representing the asynchronous operation, containing true if the download was started</returns>
+        public static async ValueTask<bool> ExportCalculationToExcelAsync(IJSRuntime jsRuntime, CalculationResultModel result, string fileName = null)
+        {
+            return await jsRuntime.InvokeAsync<bool>("xlsxExport.exportCalculation", result, fileName);
+        }
+
+        /// <summary>
+        /// Builds an Excel workbook listing calculation history in the browser and downloads it
+        /// </summary>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <param name="calculations">The calculations to include</param>
+        /// <param name="fileName">The file name, or null for the default name</param>
+        /// <returns>A task representing the asynchronous operation, containing true if the download was started</returns>
+        public static async ValueTask<bool> ExportCalculationHistoryToExcelAsync(IJSRuntime jsRuntime, IEnumerable<CalculationResultModel> calculations, string fileName = null)
+        {
+            return await jsRuntime.InvokeAsync<bool>("xlsxExport.exportHistory", calculations, fileName);
+        }
+
+        /// <summary>
+        /// Builds an Excel workbook for a calculation result in the browser without downloading it
+        /// </summary>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <param name="result">The calculation result to export</param>
+        /// <returns>A task representing the asynchronous operation, containing the workbook encoded as base64</returns>
+        public static async ValueTask<string> BuildCalculationWorkbookAsync(IJSRuntime jsRuntime, CalculationResultModel result)
+        {
+            return await jsRuntime.InvokeAsync<string>("xlsxExport.buildCalculationWorkbook", result);
+        }
+
+        /// <summary>
+        /// Generates a branded pricing quote PDF for a calculation result in the browser
+        /// </summary>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <param name="result">The calculation result to quote</param>
+        /// <param name="options">The quote options, or null for the defaults</param>
+        /// <returns>A task representing the asynchronous operation, containing the PDF bytes</returns>
+        public static async ValueTask<byte[]> GenerateQuotePdfAsync(IJSRuntime jsRuntime, CalculationResultModel result, QuotePdfOptions options = null)
+        {
+            return await jsRuntime.InvokeAsync<byte[]>("pdfExport.generateQuote", result, options);
+        }
+
+        /// <summary>
+        /// Generates a branded pricing quote PDF for a calculation result and downloads it
+        /// </summary>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <param name="result">The calculation result to quote</param>
+        /// <param name="fileName">The file name, or null for a name based on the calculation ID</param>
+        /// <param name="options">The quote options, or null for the defaults</param>
+        /// <returns>A task representing the asynchronous operation, containing true if the download was started</returns>
+        public static async ValueTask<bool> DownloadQuotePdfAsync(IJSRuntime jsRuntime, CalculationResultModel result, string fileName = null, QuotePdfOptions options = null)
+        {
+            return await jsRuntime.InvokeAsync<bool>("pdfExport.downloadQuote", result, fileName, options);
+        }
+
+        /// <summary>
+        /// Stores a typed value in local storage as a JSON envelope with a timestamp and expiry
+        /// </summary>
+        /// <typeparam name="T">The type of the value</typeparam>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <param name="key">The key to store the value under</param>
+        /// <param name="value">The value to store</param>
+        /// <param name="expirationDays">The lifetime in days, 0 for no expiry, or null for LocalStorage.ExpirationDays</param>
+        /// <returns>A task representing the asynchronous operation, containing true if the value was stored</returns>
+        public static async ValueTask<bool> SetStorageItemAsync<T>(IJSRuntime jsRuntime, string key, T value, int? expirationDays = null)
+        {
+            object options = expirationDays.HasValue ? new { expirationDays = expirationDays.Value } : null;
+            return await jsRuntime.InvokeAsync<bool>("vatStorage.set", key, value, options);
+        }
+
+        /// <summary>
+        /// Retrieves a typed value from local storage
+        /// </summary>
+        /// <typeparam name="T">The type of the value</typeparam>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <param name="key">The key of the value to retrieve</param>
+        /// <returns>A task representing the asynchronous operation, containing the value or the default if absent or expired</returns>
+        public static async ValueTask<T> GetStorageItemAsync<T>(IJSRuntime jsRuntime, string key)
+        {
+            return await jsRuntime.InvokeAsync<T>("vatStorage.get", key);
+        }
+
+        /// <summary>
+        /// Retrieves an item from a stored collection such as calculation history and marks it as recently used
+        /// </summary>
+        /// <typeparam name="T">The type of the collection items</typeparam>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <param name="key">The key of the collection</param>
+        /// <param name="id">The calculation ID or id of the item</param>
+        /// <returns>A task representing the asynchronous operation, containing the item or the default if not found</returns>
+        public static async ValueTask<T> GetStorageCollectionItemAsync<T>(IJSRuntime jsRuntime, string key, string id)
+        {
+            return await jsRuntime.InvokeAsync<T>("vatStorage.getCollectionItem", key, id);
+        }
+
+        /// <summary>
+        /// Adds or replaces an item in a stored collection, evicting the least recently used items beyond LocalStorage.MaxStorageItems
+        /// </summary>
+        /// <typeparam name="T">The type of the collection items</typeparam>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <param name="key">The key of the collection</param>
+        /// <param name="item">The item, identified by its calculationId or id</param>
+        /// <returns>A task representing the asynchronous operation, containing true if the collection was stored</returns>
+        public static async ValueTask<bool> PutStorageCollectionItemAsync<T>(IJSRuntime jsRuntime, string key, T item)
+        {
+            return await jsRuntime.InvokeAsync<bool>("vatStorage.putCollectionItem", key, item);
+        }
+
+        /// <summary>
+        /// Removes an item from a stored collection
+        /// </summary>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <param name="key">The key of the collection</param>
+        /// <param name="id">The calculation ID or id of the item</param>
+        /// <returns>A task representing the asynchronous operation, containing true if the item was removed</returns>
+        public static async ValueTask<bool> RemoveStorageCollectionItemAsync(IJSRuntime jsRuntime, string key, string id)
+        {
+            return await jsRuntime.InvokeAsync<bool>("vatStorage.removeCollectionItem", key, id);
+        }
+
+        /// <summary>
+        /// Removes every expired value from local storage
+        /// </summary>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <returns>A task representing the asynchronous operation, containing the number of values removed</returns>
+        public static async ValueTask<int> PurgeExpiredStorageAsync(IJSRuntime jsRuntime)
+        {
+            return await jsRuntime.InvokeAsync<int>("vatStorage.purgeExpired");
+        }
+
+        /// <summary>
+        /// Saves a calculation result to the browser's calculation history store
+        /// </summary>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <param name="result">The calculation result to store</param>
+        /// <returns>A task representing the asynchronous operation</returns>
+        public static async ValueTask SaveToHistoryStoreAsync(IJSRuntime jsRuntime, CalculationResultModel result)
+        {
+            await jsRuntime.InvokeVoidAsync("historyStore.save", result);
+        }
+
+        /// <summary>
+        /// Saves several calculation results, such as a history page loaded from the API, to the browser's history store
+        /// </summary>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <param name="results">The calculation results to store</param>
+        /// <returns>A task representing the asynchronous operation, containing the number of results stored</returns>
+        public static async ValueTask<int> SaveManyToHistoryStoreAsync(IJSRuntime jsRuntime, IEnumerable<CalculationResultModel> results)
+        {
+            return await jsRuntime.InvokeAsync<int>("historyStore.saveMany", results);
+        }
+
+        /// <summary>
+        /// Queries the browser's calculation history store, which works offline
+        /// </summary>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <param name="filter">The filter, sort and paging options</param>
+        /// <returns>A task representing the asynchronous operation, containing the requested page of calculations</returns>
+        public static async ValueTask<CalculationHistoryModel> QueryHistoryStoreAsync(IJSRuntime jsRuntime, CalculationFilterModel filter)
+        {
+            return await jsRuntime.InvokeAsync<CalculationHistoryModel>("historyStore.query", filter);
+        }
+
+        /// <summary>
+        /// Gets a calculation result from the browser's history store
+        /// </summary>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <param name="calculationId">The calculation ID</param>
+        /// <returns>A task representing the asynchronous operation, containing the calculation or null if not stored</returns>
+        public static async ValueTask<CalculationResultModel> GetFromHistoryStoreAsync(IJSRuntime jsRuntime, string calculationId)
+        {
+            return await jsRuntime.InvokeAsync<CalculationResultModel>("historyStore.get", calculationId);
+        }
+
+        /// <summary>
+        /// Archives or restores a calculation in the browser's history store
+        /// </summary>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <param name="calculationId">The calculation ID</param>
+        /// <param name="isArchived">Whether the calculation is archived</param>
+        /// <returns>A task representing the asynchronous operation, containing true if the calculation was found</returns>
+        public static async ValueTask<bool> SetHistoryStoreArchivedAsync(IJSRuntime jsRuntime, string calculationId, bool isArchived)
+        {
+            return await jsRuntime.InvokeAsync<bool>("historyStore.setArchived", calculationId, isArchived);
+        }
+
+        /// <summary>
+        /// Removes a calculation from the browser's history store
+        /// </summary>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <param name="calculationId">The calculation ID</param>
+        /// <returns>A task representing the asynchronous operation</returns>
+        public static async ValueTask RemoveFromHistoryStoreAsync(IJSRuntime jsRuntime, string calculationId)
+        {
+            await jsRuntime.InvokeVoidAsync("historyStore.remove", calculationId);
+        }
+
+        /// <summary>
+        /// Sets whose calculations the browser's history store reads and writes
+        /// </summary>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <param name="userId">The signed-in user's ID, or null when no one is signed in</param>
+        /// <returns>A task representing the asynchronous operation</returns>
+        public static async ValueTask SetHistoryStoreUserAsync(IJSRuntime jsRuntime, string userId)
+        {
+            await jsRuntime.InvokeVoidAsync("historyStore.setUser", userId);
+        }
+
+        /// <summary>
+        /// Removes the signed-in user's calculations from the browser's history store when they sign out
+        /// </summary>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <returns>A task representing the asynchronous operation</returns>
+        public static async ValueTask SignOutOfHistoryStoreAsync(IJSRuntime jsRuntime)
+        {
+            await jsRuntime.InvokeVoidAsync("historyStore.signOut");
+        }
+
+        /// <summary>
+        /// Determines whether sensitive values are encrypted in browser storage (LocalStorage.EncryptSensitiveData)
+        /// </summary>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <returns>A task representing the asynchronous operation, containing true if encrypted storage is enabled</returns>
+        public static async ValueTask<bool> IsSecureStorageEnabledAsync(IJSRuntime jsRuntime)
+        {
+            return await jsRuntime.InvokeAsync<bool>("secureStorage.isEnabled");
+        }
+
+        /// <summary>
+        /// Removes every encrypted value from browser storage and forgets the session encryption key
+        /// </summary>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <returns>A task representing the asynchronous operation</returns>
+        public static async ValueTask WipeSecureStorageAsync(IJSRuntime jsRuntime)
+        {
+            await jsRuntime.InvokeVoidAsync("secureStorage.wipe");
+        }
+
+        /// <summary>
+        /// Registers a component to be notified of theme, sign-in and sign-out, and history changes made in other browser tabs
+        /// </summary>
+        /// <typeparam name="T">The type of the component receiving notifications</typeparam>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <param name="dotNetRef">Reference to the component; it must expose a JSInvokable method accepting a <see cref="TabSyncMessage"/></param>
+        /// <param name="methodName">The name of the JSInvokable method to call</param>
+        /// <returns>A task representing the asynchronous operation, containing the subscription ID to pass to <see cref="UnsubscribeFromTabSyncAsync"/></returns>
+        public static async ValueTask<int> SubscribeToTabSyncAsync<T>(IJSRuntime jsRuntime, DotNetObjectReference<T> dotNetRef, string methodName = "OnTabSyncMessage") where T : class
+        {
+            return await jsRuntime.InvokeAsync<int>("tabSync.subscribe", dotNetRef, methodName);
+        }
+
+        /// <summary>
+        /// Stops notifying a component about changes made in other browser tabs
+        /// </summary>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <param name="subscriptionId">The ID returned by <see cref="SubscribeToTabSyncAsync"/></param>
+        /// <returns>A task representing the asynchronous operation</returns>
+        public static async ValueTask UnsubscribeFromTabSyncAsync(IJSRuntime jsRuntime, int subscriptionId)
+        {
+            await jsRuntime.InvokeVoidAsync("tabSync.unsubscribe", subscriptionId);
+        }
+
+        /// <summary>
+        /// Starts the idle-session monitor; by default it uses UIConfiguration.SessionTimeoutMinutes and IdleWarningMinutes
+        /// </summary>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <param name="timeoutMinutes">Minutes of inactivity before the user is signed out, or null for the configured value</param>
+        /// <param name="warningMinutes">Minutes of inactivity before the warning is shown, or null for the configured value</param>
+        /// <returns>A task representing the asynchronous operation</returns>
+        public static async ValueTask StartIdleMonitorAsync(IJSRuntime jsRuntime, int? timeoutMinutes = null, int? warningMinutes = null)
+        {
+            await jsRuntime.InvokeVoidAsync("idleMonitor.start", new { timeoutMinutes, warningMinutes });
+        }
+
+        /// <summary>
+        /// Keeps the session alive in every open tab and dismisses the idle warning
+        /// </summary>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <returns>A task representing the asynchronous operation</returns>
+        public static async ValueTask ResetIdleTimerAsync(IJSRuntime jsRuntime)
+        {
+            await jsRuntime.InvokeVoidAsync("idleMonitor.reset");
+        }
+
+        /// <summary>
+        /// Registers a component to be notified of idle warnings and timeouts; on timeout it should clear the stored session
+        /// </summary>
+        /// <typeparam name="T">The type of the component receiving notifications</typeparam>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <param name="dotNetRef">Reference to the component; it must expose a JSInvokable method accepting (string state, int remainingMs), where state is "warning", "active" or "timeout"</param>
+        /// <param name="methodName">The name of the JSInvokable method to call</param>
+        /// <returns>A task representing the asynchronous operation, containing the subscription ID to pass to <see cref="UnsubscribeFromIdleMonitorAsync"/></returns>
+        public static async ValueTask<int> SubscribeToIdleMonitorAsync<T>(IJSRuntime jsRuntime, DotNetObjectReference<T> dotNetRef, string methodName = "OnIdleStateChanged") where T : class
+        {
+            return await jsRuntime.InvokeAsync<int>("idleMonitor.subscribe", dotNetRef, methodName);
+        }
+
+        /// <summary>
+        /// Stops notifying a component about idle state changes
+        /// </summary>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <param name="subscriptionId">The ID returned by <see cref="SubscribeToIdleMonitorAsync"/></param>
+        /// <returns>A task representing the asynchronous operation</returns>
+        public static async ValueTask UnsubscribeFromIdleMonitorAsync(IJSRuntime jsRuntime, int subscriptionId)
+        {
+            await jsRuntime.InvokeVoidAsync("idleMonitor.unsubscribe", subscriptionId);
+        }
+
+        /// <summary>
+        /// Reports an exception handled in .NET through the client error reporter, with the same breadcrumbs, scrubbing and batching as JavaScript errors
+        /// </summary>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <param name="exception">The exception that was handled</param>
+        /// <param name="source">Where the exception was handled, e.g. the component name</param>
+        /// <returns>A task representing the asynchronous operation</returns>
+        public static async ValueTask CaptureClientErrorAsync(IJSRuntime jsRuntime, Exception exception, string source)
+        {
+            await jsRuntime.InvokeVoidAsync("errorReporter.capture", new
+            {
+                name = exception.GetType().Name,
+                message = exception.Message,
+                stack = exception.StackTrace
+            }, source);
+        }
+
+        /// <summary>
+        /// Sends queued and buffered client error reports immediately
+        /// </summary>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <returns>A task representing the asynchronous operation</returns>
+        public static async ValueTask FlushClientErrorsAsync(IJSRuntime jsRuntime)
+        {
+            await jsRuntime.InvokeVoidAsync("errorReporter.flush");
+        }
+
+        /// <summary>
+        /// Records a custom client metric through the configured telemetry sink (ClientTelemetry settings)
+        /// </summary>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <param name="name">The metric name, e.g. "calculation.render"</param>
+        /// <param name="value">The metric value</param>
+        /// <param name="unit">The unit of the value, e.g. "ms"</param>
+        /// <param name="properties">Optional dimensions recorded with the metric</param>
+        /// <returns>A task representing the asynchronous operation</returns>
+        public static async ValueTask TrackClientMetricAsync(IJSRuntime jsRuntime, string name, double value, string unit = "ms", IDictionary<string, string> properties = null)
+        {
+            await jsRuntime.InvokeVoidAsync("telemetry.trackMetric", name, value, unit, properties);
+        }
+
+        /// <summary>
+        /// Sets and persists the locale used for number, currency and date formatting in the browser
+        /// </summary>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <param name="locale">A locale whose language is in UIConfiguration.SupportedLanguages (e.g., "de-DE"), or null for the default</param>
+        /// <returns>A task representing the asynchronous operation, containing the locale now in use</returns>
+        public static async ValueTask<string> SetFormattingLocaleAsync(IJSRuntime jsRuntime, string locale)
+        {
+            return await jsRuntime.InvokeAsync<string>("formatting.setLocale", locale);
+        }
+
+        /// <summary>
+        /// Gets the locale used for number, currency and date formatting in the browser
+        /// </summary>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <returns>A task representing the asynchronous operation, containing the locale</returns>
+        public static async ValueTask<string> GetFormattingLocaleAsync(IJSRuntime jsRuntime)
+        {
+            return await jsRuntime.InvokeAsync<string>("formatting.getLocale");
+        }
+
+        /// <summary>
+        /// Switches the language of browser-side messages, then re-translates the page and chart labels and legends
+        /// </summary>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <param name="language">A language in UIConfiguration.SupportedLanguages (e.g., "fr"), or null for the default</param>
+        /// <returns>A task representing the asynchronous operation, containing the language now in use</returns>
+        public static async ValueTask<string> SetLanguageAsync(IJSRuntime jsRuntime, string language)
+        {
+            return await jsRuntime.InvokeAsync<string>("i18n.setLanguage", language);
+        }
+
+        /// <summary>
+        /// Gets the language of browser-side messages
+        /// </summary>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <returns>A task representing the asynchronous operation, containing the language</returns>
+        public static async ValueTask<string> GetLanguageAsync(IJSRuntime jsRuntime)
+        {
+            return await jsRuntime.InvokeAsync<string>("i18n.getLanguage");
+        }
+
+        /// <summary>
+        /// Registers a component to be notified when the language of browser-side messages changes
+        /// </summary>
+        /// <typeparam name="T">The type of the component receiving notifications</typeparam>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <param name="dotNetRef">Reference to the component; it must expose a JSInvokable method accepting the language</param>
+        /// <param name="methodName">The name of the JSInvokable method to call</param>
+        /// <returns>A task representing the asynchronous operation, containing the subscription ID to pass to <see cref="UnsubscribeFromLanguageChangesAsync"/></returns>
+        public static async ValueTask<int> SubscribeToLanguageChangesAsync<T>(IJSRuntime jsRuntime, DotNetObjectReference<T> dotNetRef, string methodName = "OnLanguageChanged") where T : class
+        {
+            return await jsRuntime.InvokeAsync<int>("i18n.subscribe", dotNetRef, methodName);
+        }
+
+        /// <summary>
+        /// Stops notifying a component about language changes
+        /// </summary>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <param name="subscriptionId">The ID returned by <see cref="SubscribeToLanguageChangesAsync"/></param>
+        /// <returns>A task representing the asynchronous operation</returns>
+        public static async ValueTask UnsubscribeFromLanguageChangesAsync(IJSRuntime jsRuntime, int subscriptionId)
+        {
+            await jsRuntime.InvokeVoidAsync("i18n.unsubscribe", subscriptionId);
+        }
+
+        /// <summary>
+        /// Loads the exchange rate table from CurrencyConversion.RatesEndpoint, or the cached copy while it is fresh
+        /// </summary>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <param name="force">Whether to fetch the rates even if the cached copy is fresh</param>
+        /// <returns>A task representing the asynchronous operation, containing the rate table, or null if no rates are available</returns>
+        public static async ValueTask<ExchangeRateTable> LoadExchangeRatesAsync(IJSRuntime jsRuntime, bool force = false)
+        {
+            return await jsRuntime.InvokeAsync<ExchangeRateTable>("currency.loadRates", force);
+        }
+
+        /// <summary>
+        /// Converts a calculation result, including its country breakdowns and discounts, into another currency
+        /// </summary>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <param name="result">The calculation result to convert</param>
+        /// <param name="currencyCode">The ISO code of the target currency</param>
+        /// <returns>A task representing the asynchronous operation, containing the converted copy, or null if no rate is available</returns>
+        public static async ValueTask<CalculationResultModel> ConvertCalculationResultAsync(IJSRuntime jsRuntime, CalculationResultModel result, string currencyCode)
+        {
+            return await jsRuntime.InvokeAsync<CalculationResultModel>("currency.convertResult", result, currencyCode);
+        }
+
+        /// <summary>
+        /// Sets and persists the currency charts display amounts in
+        /// </summary>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <param name="currencyCode">The ISO code of the display currency, or null to show amounts in their own currency</param>
+        /// <returns>A task representing the asynchronous operation, containing the display currency now in use</returns>
+        public static async ValueTask<string> SetDisplayCurrencyAsync(IJSRuntime jsRuntime, string currencyCode)
+        {
+            return await jsRuntime.InvokeAsync<string>("currency.setDisplayCurrency", currencyCode);
+        }
+
+        /// <summary>
+        /// Gets the currency chosen for displaying amounts
+        /// </summary>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <returns>A task representing the asynchronous operation, containing the ISO currency code, or null if amounts are shown in their own currency</returns>
+        public static async ValueTask<string> GetDisplayCurrencyAsync(IJSRuntime jsRuntime)
+        {
+            return await jsRuntime.InvokeAsync<string>("currency.getDisplayCurrency");
+        }
+
+        /// <summary>
+        /// Describes the exchange rate between two currencies and the date of the rates, in the user's language
+        /// </summary>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <param name="fromCurrency">The ISO code of the source currency</param>
+        /// <param name="toCurrency">The ISO code of the target currency</param>
+        /// <returns>A task representing the asynchronous operation, containing the description, or an empty string if no rate is available</returns>
+        public static async ValueTask<string> GetExchangeRateNoteAsync(IJSRuntime jsRuntime, string fromCurrency, string toCurrency)
+        {
+            return await jsRuntime.InvokeAsync<string>("currency.getRateNote", fromCurrency, toCurrency);
+        }
+
+        /// <summary>
+        /// Registers a component to be notified when the display currency or the exchange rates change
+        /// </summary>
+        /// <typeparam name="T">The type of the component receiving notifications</typeparam>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <param name="dotNetRef">Reference to the component; it must expose a JSInvokable method accepting the display currency and the as-of date of the rates</param>
+        /// <param name="methodName">The name of the JSInvokable method to call</param>
+        /// <returns>A task representing the asynchronous operation, containing the subscription ID to pass to <see cref="UnsubscribeFromCurrencyChangesAsync"/></returns>
+        public static async ValueTask<int> SubscribeToCurrencyChangesAsync<T>(IJSRuntime jsRuntime, DotNetObjectReference<T> dotNetRef, string methodName = "OnDisplayCurrencyChanged") where T : class
+        {
+            return await jsRuntime.InvokeAsync<int>("currency.subscribe", dotNetRef, methodName);
+        }
+
+        /// <summary>
+        /// Stops notifying a component about display currency and exchange rate changes
+        /// </summary>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <param name="subscriptionId">The ID returned by <see cref="SubscribeToCurrencyChangesAsync"/></param>
+        /// <returns>A task representing the asynchronous operation</returns>
+        public static async ValueTask UnsubscribeFromCurrencyChangesAsync(IJSRuntime jsRuntime, int subscriptionId)
+        {
+            await jsRuntime.InvokeVoidAsync("currency.unsubscribe", subscriptionId);
+        }
+
+        /// <summary>
+        /// Shows a notification in the notification centre; it is queued while the maximum number of toasts is visible
+        /// </summary>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <param name="options">The notification to show</param>
+        /// <returns>A task representing the asynchronous operation, containing the notification ID</returns>
+        public static async ValueTask<string> ShowNotificationAsync(IJSRuntime jsRuntime, NotificationOptions options)
+        {
+            return await jsRuntime.InvokeAsync<string>("notifications.notify", options);
+        }
+
+        /// <summary>
+        /// Shows a notification whose action buttons call back into a component
+        /// </summary>
+        /// <typeparam name="T">The type of the component receiving action callbacks</typeparam>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <param name="options">The notification to show</param>
+        /// <param name="dotNetRef">Reference to the component; it must expose a JSInvokable method accepting (string notificationId, string actionId)</param>
+        /// <param name="methodName">The name of the JSInvokable method to call</param>
+        /// <returns>A task representing the asynchronous operation, containing the notification ID</returns>
+        public static async ValueTask<string> ShowNotificationAsync<T>(IJSRuntime jsRuntime, NotificationOptions options, DotNetObjectReference<T> dotNetRef, string methodName = "OnNotificationAction") where T : class
+        {
+            return await jsRuntime.InvokeAsync<string>("notifications.notify", new
+            {
+                message = options.Message,
+                title = options.Title,
+                type = options.Type,
+                durationMs = options.DurationMs,
+                actions = options.Actions,
+                dotNetRef,
+                methodName
+            });
+        }
+
+        /// <summary>
+        /// Dismisses a visible or queued notification
+        /// </summary>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <param name="notificationId">The ID returned when the notification was shown</param>
+        /// <returns>A task representing the asynchronous operation</returns>
+        public static async ValueTask DismissNotificationAsync(IJSRuntime jsRuntime, string notificationId)
+        {
+            await jsRuntime.InvokeVoidAsync("notifications.dismiss", notificationId);
+        }
+
+        /// <summary>
+        /// Gets the number of notifications this session that the user has not yet seen in the history panel
+        /// </summary>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <returns>A task representing the asynchronous operation, containing the unread count</returns>
+        public static async ValueTask<int> GetUnreadNotificationCountAsync(IJSRuntime jsRuntime)
+        {
+            return await jsRuntime.InvokeAsync<int>("notifications.getUnreadCount");
+        }
+
+        /// <summary>
+        /// Registers a component to be notified when the number of unread notifications changes
+        /// </summary>
+        /// <typeparam name="T">The type of the component receiving notifications</typeparam>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <param name="dotNetRef">Reference to the component; it must expose a JSInvokable method accepting (int unreadCount)</param>
+        /// <param name="methodName">The name of the JSInvokable method to call</param>
+        /// <returns>A task representing the asynchronous operation, containing the subscription ID to pass to <see cref="UnsubscribeFromNotificationsAsync"/></returns>
+        public static async ValueTask<int> SubscribeToNotificationsAsync<T>(IJSRuntime jsRuntime, DotNetObjectReference<T> dotNetRef, string methodName = "OnNotificationsChanged") where T : class
+        {
+            return await jsRuntime.InvokeAsync<int>("notifications.subscribe", dotNetRef, methodName);
+        }
+
+        /// <summary>
+        /// Stops notifying a component about unread notification changes
+        /// </summary>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <param name="subscriptionId">The ID returned by <see cref="SubscribeToNotificationsAsync"/></param>
+        /// <returns>A task representing the asynchronous operation</returns>
+        public static async ValueTask UnsubscribeFromNotificationsAsync(IJSRuntime jsRuntime, int subscriptionId)
+        {
+            await jsRuntime.InvokeVoidAsync("notifications.unsubscribe", subscriptionId);
+        }
+
+        /// <summary>
+        /// Shows a message in a modal dialog with an OK button
+        /// </summary>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <param name="message">The message to show</param>
+        /// <param name="title">An optional heading</param>
+        /// <returns>A task representing the asynchronous operation, completing once the dialog is closed</returns>
+        public static async ValueTask ShowAlertAsync(IJSRuntime jsRuntime, string message, string title = null)
+        {
+            await jsRuntime.InvokeVoidAsync("dialogs.alert", new DialogOptions { Message = message, Title = title });
+        }
+
+        /// <summary>
+        /// Asks the user to confirm an action in a modal dialog
+        /// </summary>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <param name="message">The question to ask (e.g., "Archive this calculation?")</param>
+        /// <param name="title">An optional heading; a generic one is used if null</param>
+        /// <param name="danger">Whether the action is destructive</param>
+        /// <returns>A task representing the asynchronous operation, containing true if the user confirmed</returns>
+        public static async ValueTask<bool> ShowConfirmAsync(IJSRuntime jsRuntime, string message, string title = null, bool danger = false)
+        {
+            return await ShowConfirmAsync(jsRuntime, new DialogOptions { Message = message, Title = title, Danger = danger });
+        }
+
+        /// <summary>
+        /// Asks the user to confirm an action in a modal dialog, with custom labels
+        /// </summary>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <param name="options">The dialog options</param>
+        /// <returns>A task representing the asynchronous operation, containing true if the user confirmed</returns>
+        public static async ValueTask<bool> ShowConfirmAsync(IJSRuntime jsRuntime, DialogOptions options)
+        {
+            return await jsRuntime.InvokeAsync<bool>("dialogs.confirm", options);
+        }
+
+        /// <summary>
+        /// Asks the user for a line of text in a modal dialog
+        /// </summary>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <param name="options">The dialog options, including the prompt's input settings</param>
+        /// <returns>A task representing the asynchronous operation, containing the entered text, or null if the user cancelled</returns>
+        public static async ValueTask<string> ShowPromptAsync(IJSRuntime jsRuntime, DialogOptions options)
+        {
+            return await jsRuntime.InvokeAsync<string>("dialogs.prompt", options);
+        }
+
+        /// <summary>
+        /// Shows a modal dialog with custom content and buttons
+        /// </summary>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <param name="options">The dialog options, including its markup and buttons</param>
+        /// <returns>A task representing the asynchronous operation, containing the button pressed and the form values</returns>
+        public static async ValueTask<DialogResult> ShowDialogAsync(IJSRuntime jsRuntime, DialogOptions options)
+        {
+            return await jsRuntime.InvokeAsync<DialogResult>("dialogs.open", options);
+        }
+
+        /// <summary>
+        /// Closes every open dialog as if the user had dismissed them
+        /// </summary>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <returns>A task representing the asynchronous operation</returns>
+        public static async ValueTask CloseAllDialogsAsync(IJSRuntime jsRuntime)
+        {
+            await jsRuntime.InvokeVoidAsync("dialogs.closeAll");
+        }
+
+        /// <summary>
+        /// Checks a VAT number against the format and check-digit rules of its country (EU member states, GB, CH and NO)
+        /// </summary>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <param name="vatNumber">The VAT number, with or without its country prefix</param>
+        /// <param name="countryCode">The country the number must belong to, or null to use the number's prefix</param>
+        /// <returns>A task representing the asynchronous operation, containing the validation result</returns>
+        public static async ValueTask<VatNumberValidationResult> ValidateVatNumberAsync(IJSRuntime jsRuntime, string vatNumber, string countryCode = null)
+        {
+            return await jsRuntime.InvokeAsync<VatNumberValidationResult>("vatValidation.validateVatNumber", vatNumber, countryCode);
+        }
+
+        /// <summary>
+        /// Sets whose drafts are read and written; call it once the signed-in user is known
+        /// </summary>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <param name="userId">The user's identifier, or null when signed out</param>
+        /// <returns>A task representing the asynchronous operation</returns>
+        public static async ValueTask SetDraftUserAsync(IJSRuntime jsRuntime, string userId)
+        {
+            await jsRuntime.InvokeVoidAsync("drafts.setUser", userId);
+        }
+
+        /// <summary>
+        /// Records the current calculator input; it is saved as a draft once changes pause
+        /// </summary>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <param name="model">The calculator input</param>
+        /// <param name="name">An optional name for the draft</param>
+        /// <param name="scope">The form the draft belongs to</param>
+        /// <returns>A task representing the asynchronous operation, containing the ID of the draft being written</returns>
+        public static async ValueTask<string> SaveCalculationDraftAsync(IJSRuntime jsRuntime, CalculationInputModel model, string name = null, string scope = "calculator")
+        {
+            return await jsRuntime.InvokeAsync<string>("drafts.update", scope, model, name);
+        }
+
+        /// <summary>
+        /// Gets the current user's unexpired calculation drafts
+        /// </summary>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <param name="scope">The form the drafts belong to</param>
+        /// <returns>A task representing the asynchronous operation, containing the drafts, most recently saved first</returns>
+        public static async ValueTask<List<CalculationDraft>> GetCalculationDraftsAsync(IJSRuntime jsRuntime, string scope = "calculator")
+        {
+            return await jsRuntime.InvokeAsync<List<CalculationDraft>>("drafts.list", scope);
+        }
+
+        /// <summary>
+        /// Offers to restore one of the user's calculation drafts in a dialog, where drafts can also be discarded
+        /// </summary>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <param name="scope">The form the drafts belong to</param>
+        /// <returns>A task representing the asynchronous operation, containing the restored draft, or null if none was restored</returns>
+        public static async ValueTask<CalculationDraft> OfferCalculationDraftRestoreAsync(IJSRuntime jsRuntime, string scope = "calculator")
+        {
+            return await jsRuntime.InvokeAsync<CalculationDraft>("drafts.offerRestore", scope);
+        }
+
+        /// <summary>
+        /// Continues editing a draft, so further saves of its form are written to it
+        /// </summary>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <param name="draftId">The draft ID</param>
+        /// <returns>A task representing the asynchronous operation, containing the draft, or null if it has expired</returns>
+        public static async ValueTask<CalculationDraft> ResumeCalculationDraftAsync(IJSRuntime jsRuntime, string draftId)
+        {
+            return await jsRuntime.InvokeAsync<CalculationDraft>("drafts.setActive", draftId);
+        }
+
+        /// <summary>
+        /// Deletes a draft
+        /// </summary>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <param name="draftId">The draft ID</param>
+        /// <returns>A task representing the asynchronous operation</returns>
+        public static async ValueTask DiscardDraftAsync(IJSRuntime jsRuntime, string draftId)
+        {
+            await jsRuntime.InvokeVoidAsync("drafts.discard", draftId);
+        }
+
+        /// <summary>
+        /// Deletes the draft of a form once it has been submitted
+        /// </summary>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <param name="scope">The form the draft belongs to</param>
+        /// <returns>A task representing the asynchronous operation</returns>
+        public static async ValueTask CompleteDraftAsync(IJSRuntime jsRuntime, string scope = "calculator")
+        {
+            await jsRuntime.InvokeVoidAsync("drafts.complete", scope);
+        }
+
+        /// <summary>
+        /// Sets the country and additional service codes shared links are validated against; codes not in these lists are left out when a link is opened
+        /// </summary>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <param name="countryCodes">The available country codes</param>
+        /// <param name="serviceCodes">The available additional service codes, or null to accept any</param>
+        /// <returns>A task representing the asynchronous operation</returns>
+        public static async ValueTask SetShareLinkKnownCodesAsync(IJSRuntime jsRuntime, IEnumerable<string> countryCodes, IEnumerable<string> serviceCodes = null)
+        {
+            await jsRuntime.InvokeVoidAsync("shareLink.setKnownCodes", countryCodes, serviceCodes);
+        }
+
+        /// <summary>
+        /// Creates a link that opens the calculator prefilled with a calculation input
+        /// </summary>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <param name="model">The calculation input to share</param>
+        /// <param name="path">The page the link opens, relative to the application base</param>
+        /// <returns>A task representing the asynchronous operation, containing the link, or an empty string if it could not be created</returns>
+        public static async ValueTask<string> CreateShareLinkAsync(IJSRuntime jsRuntime, CalculationInputModel model, string path = "calculator")
+        {
+            return await jsRuntime.InvokeAsync<string>("shareLink.createLink", model, new { path });
+        }
+
+        /// <summary>
+        /// Creates a link to a calculation input and copies it to the clipboard for pasting into Teams or an email
+        /// </summary>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <param name="model">The calculation input to share</param>
+        /// <returns>A task representing the asynchronous operation, containing the link, or an empty string if it could not be copied</returns>
+        public static async ValueTask<string> CopyShareLinkAsync(IJSRuntime jsRuntime, CalculationInputModel model)
+        {
+            return await jsRuntime.InvokeAsync<string>("shareLink.copyLink", model);
+        }
+
+        /// <summary>
+        /// Creates a QR code image of the link to a calculation input, for printed quotes
+        /// </summary>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <param name="model">The calculation input to share</param>
+        /// <param name="size">The approximate image width and height in pixels</param>
+        /// <returns>A task representing the asynchronous operation, containing a PNG data URL, or an empty string if it could not be created</returns>
+        public static async ValueTask<string> CreateShareLinkQrCodeAsync(IJSRuntime jsRuntime, CalculationInputModel model, int size = 256)
+        {
+            return await jsRuntime.InvokeAsync<string>("shareLink.createQrCode", model, new { size });
+        }
+
+        /// <summary>
+        /// Parses a shared calculation link, leaving out country and service codes that are not available
+        /// </summary>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <param name="link">The link or its fragment</param>
+        /// <returns>A task representing the asynchronous operation, containing the parsed calculation</returns>
+        public static async ValueTask<SharedCalculationResult> ParseShareLinkAsync(IJSRuntime jsRuntime, string link)
+        {
+            return await jsRuntime.InvokeAsync<SharedCalculationResult>("shareLink.parse", link);
+        }
+
+        /// <summary>
+        /// Reads the calculation the page was opened with from a shared link, telling the user if the link is invalid or incomplete
+        /// </summary>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <returns>A task representing the asynchronous operation, containing the parsed calculation, or null if the page was not opened from a shared link</returns>
+        public static async ValueTask<SharedCalculationResult> ReadSharedCalculationAsync(IJSRuntime jsRuntime)
+        {
+            return await jsRuntime.InvokeAsync<SharedCalculationResult>("shareLink.readFromLocation");
+        }
+
+        /// <summary>
+        /// Registers a component to be notified when a shared link is opened while the application is already running
+        /// </summary>
+        /// <typeparam name="T">The type of the component receiving notifications</typeparam>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <param name="dotNetRef">Reference to the component; it must expose a JSInvokable method accepting (SharedCalculationResult result)</param>
+        /// <param name="methodName">The name of the JSInvokable method to call</param>
+        /// <returns>A task representing the asynchronous operation, containing the subscription ID to pass to <see cref="UnsubscribeFromSharedCalculationsAsync"/></returns>
+        public static async ValueTask<int> SubscribeToSharedCalculationsAsync<T>(IJSRuntime jsRuntime, DotNetObjectReference<T> dotNetRef, string methodName = "OnSharedCalculationOpened") where T : class
+        {
+            return await jsRuntime.InvokeAsync<int>("shareLink.subscribe", dotNetRef, methodName);
+        }
+
+        /// <summary>
+        /// Stops notifying a component about opened shared links
+        /// </summary>
+        /// <param name="jsRuntime">The JavaScript runtime instance</param>
+        /// <param name="subscriptionId">The ID returned by <see cref="SubscribeToSharedCalculationsAsync"/></param>
+        /// <returns>A task representing the asynchronous operation</returns>
+        public static async ValueTask UnsubscribeFromSharedCalculationsAsync(IJSRuntime jsRuntime, int subscriptionId)
+        {
+            await jsRuntime.InvokeVoidAsync("shareLink.unsubscribe", subscriptionId);
+        }
     }
 }
\ No newline at end of file
@@ -0,0 +1,348 @@
+using System;  // System v6.0.0
+using System.Collections.Generic;  // System.Collections.Generic v6.0.0
+using System.Text.Json.Serialization;  // System.Text.Json v6.0.0
+
+namespace VatFilingPricingTool.Web.Models
+{
+    /// <summary>
+    /// Describes a partial update applied to a chart created through the chart interop.
+    /// Members left null are not sent and leave the corresponding part of the chart unchanged.
+    /// </summary>
+    public class ChartUpdateModel
+    {
+        /// <summary>
+        /// Replacement labels for the chart
+        /// </summary>
+        [JsonPropertyName("labels")]
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public List<string> Labels { get; set; }
+
+        /// <summary>
+        /// Replacement datasets; existing datasets are reused by index so values animate to their new positions
+        /// </summary>
+        [JsonPropertyName("datasets")]
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public List<object> Datasets { get; set; }
+
+        /// <summary>
+        /// Datasets to add after the existing ones
+        /// </summary>
+        [JsonPropertyName("appendDatasets")]
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public List<object> AppendDatasets { get; set; }
+
+        /// <summary>
+        /// Indexes of datasets to remove
+        /// </summary>
+        [JsonPropertyName("removeDatasets")]
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public List<int> RemoveDatasets { get; set; }
+
+        /// <summary>
+        /// Partial changes merged into existing datasets
+        /// </summary>
+        [JsonPropertyName("updateDatasets")]
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public List<ChartDatasetPatchModel> UpdateDatasets { get; set; }
+
+        /// <summary>
+        /// Chart options merged into the existing options
+        /// </summary>
+        [JsonPropertyName("options")]
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public object Options { get; set; }
+
+        /// <summary>
+        /// The Chart.js update mode (e.g., "none" to apply the update without animation)
+        /// </summary>
+        [JsonPropertyName("animationMode")]
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public string AnimationMode { get; set; }
+    }
+
+    /// <summary>
+    /// Represents changes to a single existing dataset of a chart
+    /// </summary>
+    public class ChartDatasetPatchModel
+    {
+        /// <summary>
+        /// The index of the dataset to update
+        /// </summary>
+        [JsonPropertyName("index")]
+        public int Index { get; set; }
+
+        /// <summary>
+        /// Replacement label for the dataset
+        /// </summary>
+        [JsonPropertyName("label")]
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public string Label { get; set; }
+
+        /// <summary>
+        /// Replacement data values for the dataset
+        /// </summary>
+        [JsonPropertyName("data")]
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public List<decimal> Data { get; set; }
+
+        /// <summary>
+        /// Whether the dataset is hidden
+        /// </summary>
+        [JsonPropertyName("hidden")]
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public bool? Hidden { get; set; }
+    }
+
+    /// <summary>
+    /// Represents the current state of a chart as reported by the chart interop
+    /// </summary>
+    public class ChartStateModel
+    {
+        /// <summary>
+        /// The handle identifying the chart
+        /// </summary>
+        [JsonPropertyName("handle")]
+        public string Handle { get; set; }
+
+        /// <summary>
+        /// The ID of the canvas element the chart is drawn on
+        /// </summary>
+        [JsonPropertyName("elementId")]
+        public string ElementId { get; set; }
+
+        /// <summary>
+        /// The chart type (e.g., bar, line, pie)
+        /// </summary>
+        [JsonPropertyName("type")]
+        public string Type { get; set; }
+
+        /// <summary>
+        /// The labels currently shown by the chart
+        /// </summary>
+        [JsonPropertyName("labels")]
+        public List<string> Labels { get; set; }
+
+        /// <summary>
+        /// The datasets currently shown by the chart
+        /// </summary>
+        [JsonPropertyName("datasets")]
+        public List<ChartDatasetStateModel> Datasets { get; set; }
+
+        /// <summary>
+        /// Default constructor for the ChartStateModel
+        /// </summary>
+        public ChartStateModel()
+        {
+            Labels = new List<string>();
+            Datasets = new List<ChartDatasetStateModel>();
+        }
+    }
+
+    /// <summary>
+    /// Represents the current state of a single chart dataset
+    /// </summary>
+    public class ChartDatasetStateModel
+    {
+        /// <summary>
+        /// The index of the dataset within the chart
+        /// </summary>
+        [JsonPropertyName("index")]
+        public int Index { get; set; }
+
+        /// <summary>
+        /// The dataset label
+        /// </summary>
+        [JsonPropertyName("label")]
+        public string Label { get; set; }
+
+        /// <summary>
+        /// The dataset type, which may differ from the chart type in mixed charts
+        /// </summary>
+        [JsonPropertyName("type")]
+        public string Type { get; set; }
+
+        /// <summary>
+        /// The data values of the dataset
+        /// </summary>
+        [JsonPropertyName("data")]
+        public List<decimal?> Data { get; set; }
+
+        /// <summary>
+        /// Whether the dataset is currently hidden (e.g., toggled off in the legend)
+        /// </summary>
+        [JsonPropertyName("hidden")]
+        public bool Hidden { get; set; }
+
+        /// <summary>
+        /// Default constructor for the ChartDatasetStateModel
+        /// </summary>
+        public ChartDatasetStateModel()
+        {
+            Data = new List<decimal?>();
+        }
+    }
+
+    /// <summary>
+    /// Describes a chart interaction (click, hover or legend toggle) forwarded from the chart interop
+    /// </summary>
+    public class ChartEventModel
+    {
+        /// <summary>
+        /// The handle of the chart that raised the event
+        /// </summary>
+        [JsonPropertyName("handle")]
+        public string Handle { get; set; }
+
+        /// <summary>
+        /// The index of the dataset involved, or null when the pointer left all elements
+        /// </summary>
+        [JsonPropertyName("datasetIndex")]
+        public int? DatasetIndex { get; set; }
+
+        /// <summary>
+        /// The index of the data point involved, or null for dataset-level events
+        /// </summary>
+        [JsonPropertyName("index")]
+        public int? Index { get; set; }
+
+        /// <summary>
+        /// The label of the data point (e.g., the country name in the pricing breakdown)
+        /// </summary>
+        [JsonPropertyName("label")]
+        public string Label { get; set; }
+
+        /// <summary>
+        /// The label of the dataset involved
+        /// </summary>
+        [JsonPropertyName("datasetLabel")]
+        public string DatasetLabel { get; set; }
+
+        /// <summary>
+        /// The value of the data point
+        /// </summary>
+        [JsonPropertyName("value")]
+        public decimal? Value { get; set; }
+
+        /// <summary>
+        /// For legend toggles, whether the dataset or data point is now hidden
+        /// </summary>
+        [JsonPropertyName("hidden")]
+        public bool? Hidden { get; set; }
+    }
+
+    /// <summary>
+    /// Options for exporting a chart as an image. Members left null use the exporter defaults.
+    /// </summary>
+    public class ChartImageExportOptions
+    {
+        /// <summary>
+        /// The image format: "png" (default), "jpeg" or "svg"
+        /// </summary>
+        [JsonPropertyName("format")]
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public string Format { get; set; }
+
+        /// <summary>
+        /// The pixel ratio used to render the chart (default 3 for print quality)
+        /// </summary>
+        [JsonPropertyName("scale")]
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public double? Scale { get; set; }
+
+        /// <summary>
+        /// The background: "theme" (default), "transparent" or a CSS color
+        /// </summary>
+        [JsonPropertyName("background")]
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public string Background { get; set; }
+
+        /// <summary>
+        /// The width of the rendering in CSS pixels; defaults to the on-screen width
+        /// </summary>
+        [JsonPropertyName("width")]
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public int? Width { get; set; }
+
+        /// <summary>
+        /// The height of the rendering in CSS pixels; defaults to the on-screen height
+        /// </summary>
+        [JsonPropertyName("height")]
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public int? Height { get; set; }
+    }
+
+    /// <summary>
+    /// Represents a chart rendered as an image by the chart export interop
+    /// </summary>
+    public class ChartImageModel
+    {
+        /// <summary>
+        /// The image content encoded as base64
+        /// </summary>
+        [JsonPropertyName("base64")]
+        public string Base64 { get; set; }
+
+        /// <summary>
+        /// The MIME type of the image
+        /// </summary>
+        [JsonPropertyName("contentType")]
+        public string ContentType { get; set; }
+
+        /// <summary>
+        /// The width of the image in pixels
+        /// </summary>
+        [JsonPropertyName("width")]
+        public int Width { get; set; }
+
+        /// <summary>
+        /// The height of the image in pixels
+        /// </summary>
+        [JsonPropertyName("height")]
+        public int Height { get; set; }
+
+        /// <summary>
+        /// Decodes the image content for embedding in PDF or Excel exports
+        /// </summary>
+        /// <returns>The image bytes</returns>
+        public byte[] GetBytes()
+        {
+            return string.IsNullOrEmpty(Base64) ? Array.Empty<byte>() : Convert.FromBase64String(Base64);
+        }
+    }
+
+    /// <summary>
+    /// How chart tooltips and value axes format values, passed as the "valueFormat" member of the chart options.
+    /// Members left null use the formatting defaults.
+    /// </summary>
+    public class ChartValueFormat
+    {
+        /// <summary>
+        /// The value style: "number" (default), "currency", "percent" (values are ratios) or "compact"
+        /// </summary>
+        [JsonPropertyName("style")]
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public string Style { get; set; }
+
+        /// <summary>
+        /// The ISO currency code used with the "currency" style; defaults to UIConfiguration.DefaultCurrency
+        /// </summary>
+        [JsonPropertyName("currency")]
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public string Currency { get; set; }
+
+        /// <summary>
+        /// The number of decimal places in tooltips; defaults to UIConfiguration.NumberFormat.DecimalPlaces
+        /// </summary>
+        [JsonPropertyName("decimals")]
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public int? Decimals { get; set; }
+
+        /// <summary>
+        /// Whether currency values follow the display currency chosen by the user; defaults to true.
+        /// Set to false to always show the chart in its own currency.
+        /// </summary>
+        [JsonPropertyName("convert")]
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public bool? Convert { get; set; }
+    }
+}
\ No newline at end of file
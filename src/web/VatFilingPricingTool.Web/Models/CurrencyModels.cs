@@ -0,0 +1,49 @@
+using System.Collections.Generic;  // System.Collections.Generic v6.0.0
+using System.Text.Json.Serialization;  // System.Text.Json v6.0.0
+
+namespace VatFilingPricingTool.Web.Models
+{
+    /// <summary>
+    /// Represents the exchange rate table used by the browser to convert amounts between currencies
+    /// </summary>
+    public class ExchangeRateTable
+    {
+        /// <summary>
+        /// The ISO code of the currency the rates are quoted against
+        /// </summary>
+        [JsonPropertyName("base")]
+        public string Base { get; set; }
+
+        /// <summary>
+        /// The date the rates were published, as given by the rates endpoint (e.g., "2026-10-16")
+        /// </summary>
+        [JsonPropertyName("asOf")]
+        public string AsOf { get; set; }
+
+        /// <summary>
+        /// A description of where the rates come from, if the endpoint provides one
+        /// </summary>
+        [JsonPropertyName("source")]
+        public string Source { get; set; }
+
+        /// <summary>
+        /// Units of each currency per unit of the base currency, keyed by ISO currency code
+        /// </summary>
+        [JsonPropertyName("rates")]
+        public Dictionary<string, decimal> Rates { get; set; }
+
+        /// <summary>
+        /// When the browser fetched the rates, in milliseconds since the Unix epoch
+        /// </summary>
+        [JsonPropertyName("fetchedAt")]
+        public long FetchedAt { get; set; }
+
+        /// <summary>
+        /// Default constructor for the ExchangeRateTable
+        /// </summary>
+        public ExchangeRateTable()
+        {
+            Rates = new Dictionary<string, decimal>();
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,175 @@
+using System.Collections.Generic;  // System.Collections.Generic v6.0.0
+using System.Text.Json.Serialization;  // System.Text.Json v6.0.0
+
+namespace VatFilingPricingTool.Web.Models
+{
+    /// <summary>
+    /// Represents the options of an alert, confirm, prompt or custom dialog shown by the browser's dialog service
+    /// </summary>
+    public class DialogOptions
+    {
+        /// <summary>
+        /// The dialog heading
+        /// </summary>
+        [JsonPropertyName("title")]
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public string Title { get; set; }
+
+        /// <summary>
+        /// The text shown in the dialog body
+        /// </summary>
+        [JsonPropertyName("message")]
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public string Message { get; set; }
+
+        /// <summary>
+        /// Markup for the body of a custom dialog; it must come from the application, never from user input.
+        /// Named form fields in it are returned in <see cref="DialogResult.Values"/>
+        /// </summary>
+        [JsonPropertyName("html")]
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public string Html { get; set; }
+
+        /// <summary>
+        /// The label of the OK button of alert and prompt dialogs
+        /// </summary>
+        [JsonPropertyName("okLabel")]
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public string OkLabel { get; set; }
+
+        /// <summary>
+        /// The label of the confirm button of confirm dialogs (e.g., "Archive")
+        /// </summary>
+        [JsonPropertyName("confirmLabel")]
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public string ConfirmLabel { get; set; }
+
+        /// <summary>
+        /// The label of the cancel button of confirm and prompt dialogs
+        /// </summary>
+        [JsonPropertyName("cancelLabel")]
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public string CancelLabel { get; set; }
+
+        /// <summary>
+        /// Whether a confirm dialog guards a destructive action; the confirm button is styled accordingly and focus starts on Cancel
+        /// </summary>
+        [JsonPropertyName("danger")]
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public bool? Danger { get; set; }
+
+        /// <summary>
+        /// The visible label of a prompt's input
+        /// </summary>
+        [JsonPropertyName("inputLabel")]
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public string InputLabel { get; set; }
+
+        /// <summary>
+        /// The initial value of a prompt's input
+        /// </summary>
+        [JsonPropertyName("defaultValue")]
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public string DefaultValue { get; set; }
+
+        /// <summary>
+        /// The placeholder of a prompt's input
+        /// </summary>
+        [JsonPropertyName("placeholder")]
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public string Placeholder { get; set; }
+
+        /// <summary>
+        /// The type of a prompt's input (e.g., "text", "email", "number")
+        /// </summary>
+        [JsonPropertyName("inputType")]
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public string InputType { get; set; }
+
+        /// <summary>
+        /// Whether a prompt refuses an empty value
+        /// </summary>
+        [JsonPropertyName("required")]
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public bool? Required { get; set; }
+
+        /// <summary>
+        /// The maximum length of a prompt's value
+        /// </summary>
+        [JsonPropertyName("maxLength")]
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public int? MaxLength { get; set; }
+
+        /// <summary>
+        /// The buttons of a custom dialog; by default it has a single Close button
+        /// </summary>
+        [JsonPropertyName("buttons")]
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public List<DialogButton> Buttons { get; set; }
+
+        /// <summary>
+        /// The dialog width: "sm", "md" or "lg"
+        /// </summary>
+        [JsonPropertyName("size")]
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public string Size { get; set; }
+
+        /// <summary>
+        /// Whether Escape, the close button and clicks on the backdrop dismiss the dialog; true unless set to false
+        /// </summary>
+        [JsonPropertyName("dismissible")]
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public bool? Dismissible { get; set; }
+    }
+
+    /// <summary>
+    /// Represents a button of a custom dialog
+    /// </summary>
+    public class DialogButton
+    {
+        /// <summary>
+        /// The identifier returned in <see cref="DialogResult.Action"/> when the button is pressed
+        /// </summary>
+        [JsonPropertyName("id")]
+        public string Id { get; set; }
+
+        /// <summary>
+        /// The button text
+        /// </summary>
+        [JsonPropertyName("label")]
+        public string Label { get; set; }
+
+        /// <summary>
+        /// The button style: "primary", "secondary", "danger", "outline-secondary", "outline-danger" or "link"
+        /// </summary>
+        [JsonPropertyName("variant")]
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public string Variant { get; set; }
+    }
+
+    /// <summary>
+    /// Represents how the user closed a custom dialog
+    /// </summary>
+    public class DialogResult
+    {
+        /// <summary>
+        /// The identifier of the button pressed, or null if the dialog was dismissed
+        /// </summary>
+        [JsonPropertyName("action")]
+        public string Action { get; set; }
+
+        /// <summary>
+        /// The values of the named form fields in the dialog body, keyed by name
+        /// </summary>
+        [JsonPropertyName("values")]
+        public Dictionary<string, string> Values { get; set; }
+
+        /// <summary>
+        /// Default constructor for the DialogResult
+        /// </summary>
+        public DialogResult()
+        {
+            Values = new Dictionary<string, string>();
+        }
+    }
+}
\ No newline at end of file
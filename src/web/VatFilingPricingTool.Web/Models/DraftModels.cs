@@ -0,0 +1,47 @@
+using System;  // System v6.0.0
+using System.Text.Json.Serialization;  // System.Text.Json v6.0.0
+
+namespace VatFilingPricingTool.Web.Models
+{
+    /// <summary>
+    /// Represents an autosaved, unfinished pricing calculation kept in the browser
+    /// </summary>
+    public class CalculationDraft
+    {
+        /// <summary>
+        /// The unique identifier of the draft
+        /// </summary>
+        [JsonPropertyName("id")]
+        public string Id { get; set; }
+
+        /// <summary>
+        /// The form the draft belongs to (e.g., "calculator")
+        /// </summary>
+        [JsonPropertyName("scope")]
+        public string Scope { get; set; }
+
+        /// <summary>
+        /// The draft name shown when offering to restore it
+        /// </summary>
+        [JsonPropertyName("name")]
+        public string Name { get; set; }
+
+        /// <summary>
+        /// The calculator input as it was last saved
+        /// </summary>
+        [JsonPropertyName("data")]
+        public CalculationInputModel Data { get; set; }
+
+        /// <summary>
+        /// When the draft was started
+        /// </summary>
+        [JsonPropertyName("createdAt")]
+        public DateTime CreatedAt { get; set; }
+
+        /// <summary>
+        /// When the draft was last saved; drafts expire LocalStorage.ExpirationDays after this
+        /// </summary>
+        [JsonPropertyName("updatedAt")]
+        public DateTime UpdatedAt { get; set; }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,77 @@
+using System.Collections.Generic;  // System.Collections.Generic v6.0.0
+using System.Text.Json.Serialization;  // System.Text.Json v6.0.0
+
+namespace VatFilingPricingTool.Web.Models
+{
+    /// <summary>
+    /// Represents a notification shown by the browser's notification centre
+    /// </summary>
+    public class NotificationOptions
+    {
+        /// <summary>
+        /// The text of the notification
+        /// </summary>
+        [JsonPropertyName("message")]
+        public string Message { get; set; }
+
+        /// <summary>
+        /// An optional heading shown above the message
+        /// </summary>
+        [JsonPropertyName("title")]
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public string Title { get; set; }
+
+        /// <summary>
+        /// The kind of notification: "info", "success", "warning" or "error"
+        /// </summary>
+        [JsonPropertyName("type")]
+        public string Type { get; set; }
+
+        /// <summary>
+        /// Milliseconds before the notification is dismissed; 0 keeps it until the user closes it, null uses the default
+        /// </summary>
+        [JsonPropertyName("durationMs")]
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public int? DurationMs { get; set; }
+
+        /// <summary>
+        /// Buttons shown on the notification, such as "Undo archive" or "View report"
+        /// </summary>
+        [JsonPropertyName("actions")]
+        public List<NotificationAction> Actions { get; set; }
+
+        /// <summary>
+        /// Default constructor for the NotificationOptions
+        /// </summary>
+        public NotificationOptions()
+        {
+            Type = "info";
+            Actions = new List<NotificationAction>();
+        }
+    }
+
+    /// <summary>
+    /// Represents an action button on a notification
+    /// </summary>
+    public class NotificationAction
+    {
+        /// <summary>
+        /// The identifier passed back to .NET when the action is chosen
+        /// </summary>
+        [JsonPropertyName("id")]
+        public string Id { get; set; }
+
+        /// <summary>
+        /// The button text
+        /// </summary>
+        [JsonPropertyName("label")]
+        public string Label { get; set; }
+
+        /// <summary>
+        /// Whether the notification stays open after the action is chosen; by default it is dismissed
+        /// </summary>
+        [JsonPropertyName("keepOpen")]
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public bool? KeepOpen { get; set; }
+    }
+}
\ No newline at end of file
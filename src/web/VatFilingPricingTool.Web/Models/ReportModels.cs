@@ -537,4 +537,119 @@ namespace VatFilingPricingTool.Web.Models
         [StringLength(1000)]
         public string Message { get; set; }
     }
+    /// <summary>
+    /// Options for generating a branded pricing quote PDF in the browser.
+    /// Members left null use the PDF exporter defaults.
+    /// </summary>
+    public class QuotePdfOptions
+    {
+        /// <summary>
+        /// The document title shown in the page header
+        /// </summary>
+        [JsonPropertyName("title")]
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public string Title { get; set; }
+
+        /// <summary>
+        /// The company name shown in the page header
+        /// </summary>
+        [JsonPropertyName("companyName")]
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public string CompanyName { get; set; }
+
+        /// <summary>
+        /// URL or data URL of the company logo drawn in the page header
+        /// </summary>
+        [JsonPropertyName("logoUrl")]
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public string LogoUrl { get; set; }
+
+        /// <summary>
+        /// Charts to embed as images after the cost table
+        /// </summary>
+        [JsonPropertyName("charts")]
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public List<QuotePdfChart> Charts { get; set; }
+
+        /// <summary>
+        /// Disclaimer text shown in the footer of every page
+        /// </summary>
+        [JsonPropertyName("footerText")]
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public string FooterText { get; set; }
+
+        /// <summary>
+        /// Shareable link to the calculation, printed with a QR code at the end of the quote
+        /// </summary>
+        [JsonPropertyName("shareUrl")]
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public string ShareUrl { get; set; }
+    }
+
+    /// <summary>
+    /// Identifies a chart to embed in a pricing quote PDF
+    /// </summary>
+    public class QuotePdfChart
+    {
+        /// <summary>
+        /// The chart handle returned when the chart was initialized
+        /// </summary>
+        [JsonPropertyName("handle")]
+        public string Handle { get; set; }
+
+        /// <summary>
+        /// Optional caption shown below the chart
+        /// </summary>
+        [JsonPropertyName("title")]
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public string Title { get; set; }
+    }
+    /// <summary>
+    /// Page setup options for printing an element through the print interop.
+    /// Members left null use the print defaults.
+    /// </summary>
+    public class PrintOptions
+    {
+        /// <summary>
+        /// The page orientation: "portrait" (default) or "landscape"
+        /// </summary>
+        [JsonPropertyName("orientation")]
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public string Orientation { get; set; }
+
+        /// <summary>
+        /// The paper size: "A4" (default), "A3", "A5", "Letter" or "Legal"
+        /// </summary>
+        [JsonPropertyName("paperSize")]
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public string PaperSize { get; set; }
+
+        /// <summary>
+        /// The page margins as a CSS length (e.g., "15mm")
+        /// </summary>
+        [JsonPropertyName("margins")]
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public string Margins { get; set; }
+
+        /// <summary>
+        /// The heading printed above the content
+        /// </summary>
+        [JsonPropertyName("title")]
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public string Title { get; set; }
+
+        /// <summary>
+        /// Whether to print the heading and print date
+        /// </summary>
+        [JsonPropertyName("showHeader")]
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public bool? ShowHeader { get; set; }
+
+        /// <summary>
+        /// Whether to show the print preview before printing
+        /// </summary>
+        [JsonPropertyName("preview")]
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public bool? Preview { get; set; }
+    }
 }
\ No newline at end of file
@@ -0,0 +1,56 @@
+using System.Collections.Generic;  // System.Collections.Generic v6.0.0
+using System.Text.Json.Serialization;  // System.Text.Json v6.0.0
+
+namespace VatFilingPricingTool.Web.Models
+{
+    /// <summary>
+    /// Represents a calculation input read back from a shareable link
+    /// </summary>
+    public class SharedCalculationResult
+    {
+        /// <summary>
+        /// Whether the link produced a usable calculation input
+        /// </summary>
+        [JsonPropertyName("valid")]
+        public bool Valid { get; set; }
+
+        /// <summary>
+        /// The link format version, or null if the link could not be decoded
+        /// </summary>
+        [JsonPropertyName("version")]
+        public int? Version { get; set; }
+
+        /// <summary>
+        /// The calculation input to prefill the calculator with, or null if the link is invalid
+        /// </summary>
+        [JsonPropertyName("input")]
+        public CalculationInputModel Input { get; set; }
+
+        /// <summary>
+        /// Country codes in the link that are not available and were left out of the input
+        /// </summary>
+        [JsonPropertyName("unknownCountryCodes")]
+        public List<string> UnknownCountryCodes { get; set; }
+
+        /// <summary>
+        /// Additional service codes in the link that are not available and were left out of the input
+        /// </summary>
+        [JsonPropertyName("unknownServices")]
+        public List<string> UnknownServices { get; set; }
+
+        /// <summary>
+        /// Why the link is invalid (missing, version, corrupt, unsupported, countries, serviceType, volume or frequency), or null
+        /// </summary>
+        [JsonPropertyName("error")]
+        public string Error { get; set; }
+
+        /// <summary>
+        /// Default constructor for the SharedCalculationResult
+        /// </summary>
+        public SharedCalculationResult()
+        {
+            UnknownCountryCodes = new List<string>();
+            UnknownServices = new List<string>();
+        }
+    }
+}
\ No newline at end of file
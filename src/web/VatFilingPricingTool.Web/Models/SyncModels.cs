@@ -0,0 +1,41 @@
+using System.Collections.Generic;  // System.Collections.Generic v6.0.0
+using System.Text.Json.Serialization;  // System.Text.Json v6.0.0
+
+namespace VatFilingPricingTool.Web.Models
+{
+    /// <summary>
+    /// Represents a change made in another browser tab, delivered by the cross-tab synchronisation layer
+    /// </summary>
+    public class TabSyncMessage
+    {
+        /// <summary>
+        /// The kind of change: "theme", "session" or "history"
+        /// </summary>
+        [JsonPropertyName("type")]
+        public string Type { get; set; }
+
+        /// <summary>
+        /// For session messages, whether the user is now signed in
+        /// </summary>
+        [JsonPropertyName("authenticated")]
+        public bool? Authenticated { get; set; }
+
+        /// <summary>
+        /// For history messages, what changed ("saved", "removed", "archived" or "cleared")
+        /// </summary>
+        [JsonPropertyName("action")]
+        public string Action { get; set; }
+
+        /// <summary>
+        /// For history messages, the affected calculation IDs
+        /// </summary>
+        [JsonPropertyName("ids")]
+        public List<string> Ids { get; set; }
+
+        /// <summary>
+        /// For theme messages, the name of the theme applied in the other tab
+        /// </summary>
+        [JsonPropertyName("theme")]
+        public string Theme { get; set; }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,40 @@
+using System.Text.Json.Serialization;  // System.Text.Json v6.0.0
+
+namespace VatFilingPricingTool.Web.Models
+{
+    /// <summary>
+    /// Represents the result of checking a VAT number's format and check digits in the browser
+    /// </summary>
+    public class VatNumberValidationResult
+    {
+        /// <summary>
+        /// Whether the VAT number is valid
+        /// </summary>
+        [JsonPropertyName("valid")]
+        public bool Valid { get; set; }
+
+        /// <summary>
+        /// The ISO code of the country the number belongs to, from its prefix or the expected country
+        /// </summary>
+        [JsonPropertyName("countryCode")]
+        public string CountryCode { get; set; }
+
+        /// <summary>
+        /// The ISO code of the country the number was expected to belong to, if one was given
+        /// </summary>
+        [JsonPropertyName("expectedCountryCode")]
+        public string ExpectedCountryCode { get; set; }
+
+        /// <summary>
+        /// The number without spaces or punctuation, with its VAT prefix (e.g., "EL" for Greece, "CHE" for Switzerland)
+        /// </summary>
+        [JsonPropertyName("number")]
+        public string Number { get; set; }
+
+        /// <summary>
+        /// Why the number is invalid: "empty", "unsupported", "country", "mismatch", "format" or "checksum"; null when valid
+        /// </summary>
+        [JsonPropertyName("reason")]
+        public string Reason { get; set; }
+    }
+}
\ No newline at end of file
@@ -62,8 +62,14 @@ namespace VatFilingPricingTool.Web
             // Configure services using ConfigureServices method
             ConfigureServices(builder);
 
-            // Build and run the WebAssemblyHost
-            await builder.Build().RunAsync();
+            // Build the WebAssemblyHost
+            var host = builder.Build();
+
+            // Keep this tab's sign-in in step with the other open tabs and the idle timeout
+            await host.Services.GetRequiredService<BrowserSessionMonitor>().StartAsync();
+
+            // Run the WebAssemblyHost
+            await host.RunAsync();
         }
 
         /// <summary>
@@ -102,6 +108,10 @@ namespace VatFilingPricingTool.Web
             builder.Services.AddSingleton<TokenAuthenticationStateProvider>();
             builder.Services.AddSingleton<AuthenticationStateProvider>(sp => sp.GetRequiredService<TokenAuthenticationStateProvider>());
 
+            // Register BrowserSessionMonitor as scoped, like the IAuthService it signs out through; the app has a single scope,
+            // so one subscriber follows the other tabs' sessions and the idle timeout
+            builder.Services.AddScoped<BrowserSessionMonitor>();
+
             // Register HttpClientFactory as a singleton
             builder.Services.AddSingleton<HttpClientFactory>();
 
@@ -54,6 +54,12 @@ class VatFilingApp {
             // Load application settings
             this.settings = await loadAppSettings();
             
+            // Send errors captured during startup now that the reporting settings are known
+            window.errorReporter.flush();
+            
+            // Load the messages for the user's language before anything is shown in it
+            await window.i18n.initialize();
+            
             // Set up event listeners
             this.setupEventListeners();
             
@@ -66,6 +72,9 @@ class VatFilingApp {
             // Register service worker
             this.registerServiceWorker();
             
+            // Start tracking user activity for the idle-session timeout
+            this.startIdleMonitor();
+            
             // Mark application as initialized
             this.initialized = true;
             window.appInitialized = true;
@@ -73,6 +82,7 @@ class VatFilingApp {
             console.log('VAT Filing Pricing Tool application initialized successfully');
         } catch (error) {
             console.error('Failed to initialize VAT Filing Pricing Tool application:', error);
+            window.errorReporter.capture(error, 'initialize');
         }
     }
 
@@ -91,10 +101,7 @@ class VatFilingApp {
         // Set up theme toggle if it exists
         const themeToggle = document.getElementById('theme-toggle');
         if (themeToggle) {
-            themeToggle.addEventListener('click', () => {
-                const newTheme = this.currentTheme === 'light' ? 'dark' : 'light';
-                this.applyTheme(newTheme);
-            });
+            themeToggle.addEventListener('click', () => window.themeManager.toggle());
         }
         
         // Set up scroll-to-top button if it exists
@@ -108,48 +115,25 @@ class VatFilingApp {
      * Configures the application theme based on user preferences
      */
     configureTheme() {
-        // Check for saved theme preference
-        let theme = getLocalStorageItem('vat-filing-theme');
-        
-        // If no saved preference, check system preference
-        if (!theme) {
-            const prefersDarkMode = window.matchMedia && 
-                window.matchMedia('(prefers-color-scheme: dark)').matches;
-            theme = prefersDarkMode ? 'dark' : 'light';
+        // The theme manager has already applied the stored preference; the configured default
+        // replaces its built-in one for users who have not picked a theme
+        const uiSettings = this.settings.UIConfiguration || {};
+        if (uiSettings.DefaultTheme) {
+            window.themeManager.setDefaultTheme(uiSettings.DefaultTheme);
         }
-        
-        // Apply theme
-        this.applyTheme(theme);
+        this.currentTheme = window.themeManager.getTheme();
+
+        window.addEventListener('vatfilingthemechanged', event => {
+            this.currentTheme = event.detail.theme;
+        });
     }
 
     /**
      * Applies the specified theme to the application
-     * @param {string} theme - The theme to apply ('light' or 'dark')
+     * @param {string} theme - The theme preference to apply ('light', 'dark', 'system' or a registered theme name)
      */
     applyTheme(theme) {
-        // Remove existing theme classes
-        document.body.classList.remove('light-theme', 'dark-theme');
-        
-        // Add new theme class
-        document.body.classList.add(`${theme}-theme`);
-        
-        // Update theme-color meta tag for browser UI
-        const metaThemeColor = document.querySelector('meta[name="theme-color"]');
-        if (metaThemeColor) {
-            metaThemeColor.setAttribute('content', 
-                theme === 'dark' ? '#202124' : '#ffffff');
-        }
-        
-        // Store theme preference
-        setLocalStorageItem('vat-filing-theme', theme);
-        
-        // Update charts if they exist
-        this.updateChartTheme(theme);
-        
-        // Update current theme
-        this.currentTheme = theme;
-        
-        console.log(`Theme set to: ${theme}`);
+        window.themeManager.setTheme(theme);
     }
 
     /**
@@ -162,16 +146,11 @@ class VatFilingApp {
         }
         
         // Set default colors based on current theme
-        const isDarkTheme = this.currentTheme === 'dark';
+        const themeColors = window.themeManager.getThemeDefinition().chart;
         
-        Chart.defaults.color = isDarkTheme ? '#e0e0e0' : '#666666';
+        Chart.defaults.color = themeColors.textColor;
         Chart.defaults.font.family = "'Segoe UI', 'Roboto', 'Helvetica Neue', Arial, sans-serif";
         
-        // Default chart colors for the application
-        const colors = isDarkTheme ? 
-            ['#4285F4', '#34A853', '#FBBC05', '#EA4335', '#8AB4F8', '#81C995', '#FDE293', '#F28B82'] : 
-            ['#1976D2', '#388E3C', '#FBC02D', '#D32F2F', '#0D47A1', '#1B5E20', '#F57F17', '#B71C1C'];
-        
         // Set global options
         Chart.defaults.set('plugins', {
             legend: {
@@ -183,47 +162,24 @@ class VatFilingApp {
                 }
             },
             tooltip: {
-                backgroundColor: isDarkTheme ? 'rgba(0, 0, 0, 0.8)' : 'rgba(255, 255, 255, 0.8)',
-                titleColor: isDarkTheme ? '#ffffff' : '#000000',
-                bodyColor: isDarkTheme ? '#e0e0e0' : '#666666',
+                backgroundColor: themeColors.tooltipBackground,
+                titleColor: themeColors.tooltipTitleColor,
+                bodyColor: themeColors.tooltipBodyColor,
                 borderWidth: 1,
-                borderColor: isDarkTheme ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)',
+                borderColor: themeColors.tooltipBorderColor,
                 cornerRadius: 6,
                 padding: 10,
                 usePointStyle: true
             }
         });
         
-        // Keep reference to colors for later use
-        this.chartColors = colors;
-        
-        console.log('Chart.js defaults configured');
-    }
-
-    /**
-     * Updates chart themes when the application theme changes
-     * @param {string} theme - The current theme ('light' or 'dark')
-     */
-    updateChartTheme(theme) {
-        const isDarkTheme = theme === 'dark';
-        
-        if (typeof Chart === 'undefined') {
-            return;
-        }
-        
-        // Update Chart.js default colors
-        Chart.defaults.color = isDarkTheme ? '#e0e0e0' : '#666666';
-        
-        // Update tooltip styles
-        Chart.defaults.set('plugins.tooltip', {
-            backgroundColor: isDarkTheme ? 'rgba(0, 0, 0, 0.8)' : 'rgba(255, 255, 255, 0.8)',
-            titleColor: isDarkTheme ? '#ffffff' : '#000000',
-            bodyColor: isDarkTheme ? '#e0e0e0' : '#666666',
-            borderColor: isDarkTheme ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)'
+        // Keep reference to the selected palette colors for later use
+        this.chartColors = window.chartPalettes.getColors();
+        window.addEventListener('vatfilingthemechanged', () => {
+            this.chartColors = window.chartPalettes.getColors();
         });
         
-        // Update each chart instance
-        this.updateChartInstances();
+        console.log('Chart.js defaults configured');
     }
 
     /**
@@ -235,16 +191,20 @@ class VatFilingApp {
             return;
         }
         
-        // Update each chart with new theme colors
-        for (const [id, chart] of Object.entries(window.chartInstances)) {
+        // Redraw each chart in place; window.updateChart expects a data patch, not the chart itself
+        Object.values(window.chartInstances).forEach(chart => {
             if (chart && typeof chart.update === 'function') {
-                // Call custom update function if it exists, otherwise just update the chart
-                if (typeof window.updateChart === 'function') {
-                    window.updateChart(id, chart);
-                } else {
-                    chart.update();
-                }
+                chart.update('none');
             }
+        });
+    }
+
+    /**
+     * Starts the idle monitor with the UIConfiguration session timeout settings
+     */
+    startIdleMonitor() {
+        if (window.idleMonitor) {
+            window.idleMonitor.start();
         }
     }
 
@@ -252,16 +212,44 @@ class VatFilingApp {
      * Registers a service worker for offline capabilities
      */
     registerServiceWorker() {
-        if ('serviceWorker' in navigator) {
-            window.addEventListener('load', () => {
-                navigator.serviceWorker.register('/service-worker.js')
-                    .then(registration => {
-                        console.log('Service Worker registered with scope:', registration.scope);
-                    })
-                    .catch(error => {
-                        console.error('Service Worker registration failed:', error);
+        if (!('serviceWorker' in navigator)) {
+            return;
+        }
+
+        // Respect an explicit opt-out of offline mode in the settings
+        if (this.settings.features && this.settings.features.offlineMode === false) {
+            return;
+        }
+
+        const register = () => {
+            navigator.serviceWorker.register('/service-worker.js')
+                .then(registration => {
+                    console.log('Service Worker registered with scope:', registration.scope);
+
+                    // Notify components when a new version has been installed
+                    registration.addEventListener('updatefound', () => {
+                        const installingWorker = registration.installing;
+                        if (!installingWorker) {
+                            return;
+                        }
+
+                        installingWorker.addEventListener('statechange', () => {
+                            if (installingWorker.state === 'installed' && navigator.serviceWorker.controller) {
+                                window.dispatchEvent(new CustomEvent('vatfilingupdateavailable'));
+                            }
+                        });
                     });
-            });
+                })
+                .catch(error => {
+                    console.error('Service Worker registration failed:', error);
+                });
+        };
+
+        // Initialization runs after settings are fetched, so the load event may have already fired
+        if (document.readyState === 'complete') {
+            register();
+        } else {
+            window.addEventListener('load', register);
         }
     }
 
@@ -353,37 +341,72 @@ function initializeApp() {
 }
 
 /**
- * Sets up client-side form validation
+ * Sets up client-side form validation for every form.needs-validation, including forms rendered later by Blazor.
+ * Fields are checked against their built-in constraints and data-validate rules (see vatValidation.js)
  */
 function setupFormValidation() {
-    // Find all forms that need validation
-    const forms = document.querySelectorAll('form.needs-validation');
-    
-    Array.from(forms).forEach(form => {
-        // Prevent submission if validation fails
-        form.addEventListener('submit', event => {
-            if (!form.checkValidity()) {
-                event.preventDefault();
-                event.stopPropagation();
+    /**
+     * Gets the validated form a field belongs to
+     * @param {EventTarget} target - The event target
+     * @returns {HTMLFormElement|null} The form, or null if the target is not a field of a form.needs-validation
+     */
+    const validatedForm = target => {
+        if (!target.matches || !target.matches('input, select, textarea') || !target.form) {
+            return null;
+        }
+        return target.form.classList.contains('needs-validation') ? target.form : null;
+    };
+
+    /**
+     * Validates a field and marks it valid or invalid
+     * @param {HTMLElement} input - The field
+     */
+    const markField = input => {
+        const valid = window.vatValidation.validateField(input);
+        input.classList.toggle('is-valid', valid);
+        input.classList.toggle('is-invalid', !valid);
+    };
+
+    // Prevent submission if validation fails; capturing runs this before Blazor's own submit handling
+    document.addEventListener('submit', event => {
+        const form = event.target;
+        if (!form.matches || !form.matches('form.needs-validation')) {
+            return;
+        }
+
+        if (!window.vatValidation.validateForm(form)) {
+            event.preventDefault();
+            event.stopPropagation();
+
+            const firstInvalid = form.querySelector(':invalid');
+            if (firstInvalid) {
+                firstInvalid.focus();
             }
-            
-            form.classList.add('was-validated');
-        }, false);
-        
-        // Real-time validation on input
-        const inputs = form.querySelectorAll('input, select, textarea');
-        Array.from(inputs).forEach(input => {
-            input.addEventListener('blur', () => {
-                if (input.checkValidity()) {
-                    input.classList.remove('is-invalid');
-                    input.classList.add('is-valid');
-                } else {
-                    input.classList.remove('is-valid');
-                    input.classList.add('is-invalid');
-                }
-            });
-        });
+        }
+
+        form.classList.add('was-validated');
+    }, true);
+
+    // Real-time validation when leaving a field
+    document.addEventListener('focusout', event => {
+        if (validatedForm(event.target)) {
+            markField(event.target);
+        }
     });
+
+    // Once a field shows a result, keep it current while the user corrects it
+    const revalidate = event => {
+        const input = event.target;
+        if (!validatedForm(input)) {
+            return;
+        }
+        if (input.classList.contains('is-valid') || input.classList.contains('is-invalid')) {
+            markField(input);
+        }
+        window.vatValidation.revalidateDependents(input);
+    };
+    document.addEventListener('input', revalidate);
+    document.addEventListener('change', revalidate);
 }
 
 /**
@@ -421,6 +444,7 @@ async function loadAppSettings() {
         return settings;
     } catch (error) {
         console.error('Error loading application settings:', error);
+        window.errorReporter.capture(error, 'loadAppSettings');
         // Return default settings on error
         return {
             theme: 'light',
@@ -491,43 +515,6 @@ function throttle(func, limit) {
     };
 }
 
-/**
- * Stores a value in the browser's local storage or uses window.setLocalStorageItem if available
- * @param {string} key - The storage key
- * @param {string} value - The value to store
- */
-function setLocalStorageItem(key, value) {
-    try {
-        // Use Blazor interop method if available
-        if (typeof window.setLocalStorageItem === 'function') {
-            window.setLocalStorageItem(key, value);
-        } else {
-            localStorage.setItem(key, value);
-        }
-    } catch (error) {
-        console.error('Error storing data in local storage:', error);
-    }
-}
-
-/**
- * Retrieves a value from the browser's local storage or uses window.getLocalStorageItem if available
- * @param {string} key - The storage key
- * @returns {string} - The stored value or null if not found
- */
-function getLocalStorageItem(key) {
-    try {
-        // Use Blazor interop method if available
-        if (typeof window.getLocalStorageItem === 'function') {
-            return window.getLocalStorageItem(key);
-        } else {
-            return localStorage.getItem(key);
-        }
-    } catch (error) {
-        console.error('Error retrieving data from local storage:', error);
-        return null;
-    }
-}
-
 // Initialize the application when the DOM is fully loaded
 document.addEventListener('DOMContentLoaded', initializeApp);
 
@@ -537,6 +524,4 @@ window.addEventListener('scroll', throttle(handleScrollBehavior, 100));
 
 // Export functions for external use
 window.vatFilingApp = window.vatFilingApp || {};
-window.scrollToTop = scrollToTop;
-window.setLocalStorageItem = setLocalStorageItem;
-window.getLocalStorageItem = getLocalStorageItem;
\ No newline at end of file
+window.scrollToTop = scrollToTop;
\ No newline at end of file
@@ -0,0 +1,221 @@
+/**
+ * chartExport.js - Image export for VatFilingPricingTool charts
+ * Renders charts registered in window.chartInstances as high-resolution PNG, JPEG or SVG
+ * images for download or for embedding in PDF and Excel exports
+ * Version: 1.0.0
+ */
+
+(function() {
+    const CONTENT_TYPES = {
+        png: 'image/png',
+        jpeg: 'image/jpeg',
+        svg: 'image/svg+xml'
+    };
+
+    const DEFAULT_OPTIONS = {
+        format: 'png',
+        scale: 3,
+        background: 'theme',
+        width: null,
+        height: null
+    };
+
+    /**
+     * Resolves a chart handle or canvas element ID to the registered Chart.js instance
+     * @param {string} handle - The chart handle returned by initializeChart (or the canvas element ID)
+     * @returns {object} The Chart.js instance
+     */
+    function getChart(handle) {
+        const resolvedHandle = resolveChartHandle(handle);
+        const chart = resolvedHandle ? window.chartInstances[resolvedHandle] : null;
+        if (!chart) {
+            throw new Error(`Chart instance for handle '${handle}' not found`);
+        }
+        return chart;
+    }
+
+    /**
+     * Resolves the background color requested for the export
+     * @param {string} background - 'transparent', 'theme' or a CSS color
+     * @param {string} format - The export format
+     * @returns {string|null} The fill color, or null for a transparent background
+     */
+    function resolveBackground(background, format) {
+        // JPEG has no alpha channel, so a transparent background falls back to the theme
+        if (background === 'transparent' && format !== 'jpeg') {
+            return null;
+        }
+        if (!background || background === 'theme' || background === 'transparent') {
+            const theme = window.themeManager.getThemeDefinition();
+            return theme ? theme.metaColor : '#ffffff';
+        }
+        return background;
+    }
+
+    /**
+     * Renders a copy of the chart onto an offscreen canvas at the requested pixel ratio
+     * @param {object} chart - The Chart.js instance to render
+     * @param {object} options - The export options
+     * @returns {{canvas: HTMLCanvasElement, width: number, height: number, exportChart: object}} The rendered
+     *          canvas, its CSS size and the temporary chart, which the caller must destroy
+     */
+    function renderOffscreen(chart, options) {
+        const width = options.width || chart.width;
+        const height = options.height || chart.height;
+        const background = resolveBackground(options.background, options.format);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+
+        // Copy the data so the export reflects hidden datasets without touching the live chart
+        const data = {
+            labels: (chart.data.labels || []).slice(),
+            datasets: chart.data.datasets.map((dataset, index) => Object.assign({}, dataset, {
+                data: Array.isArray(dataset.data) ? dataset.data.slice() : dataset.data,
+                hidden: !chart.isDatasetVisible(index)
+            }))
+        };
+
+        const exportOptions = Object.assign({}, chart.config.options, {
+            responsive: false,
+            maintainAspectRatio: false,
+            animation: false,
+            devicePixelRatio: options.scale,
+            events: []
+        });
+
+        const backgroundPlugin = {
+            id: 'exportBackground',
+            beforeDraw: exportChart => {
+                if (!background) {
+                    return;
+                }
+                const ctx = exportChart.ctx;
+                ctx.save();
+                ctx.globalCompositeOperation = 'destination-over';
+                ctx.fillStyle = background;
+                ctx.fillRect(0, 0, exportChart.width, exportChart.height);
+                ctx.restore();
+            }
+        };
+
+        const exportChart = new Chart(canvas.getContext('2d'), {
+            type: chart.config.type,
+            data,
+            options: exportOptions,
+            plugins: [backgroundPlugin]
+        });
+
+        // Animations are disabled, so the chart has been drawn synchronously by now
+        return { canvas: exportChart.canvas, width, height, exportChart };
+    }
+
+    /**
+     * Builds an SVG document embedding the high-resolution rendering at its CSS size
+     * @param {string} pngDataUrl - The PNG data URL
+     * @param {number} width - The CSS width
+     * @param {number} height - The CSS height
+     * @returns {string} The SVG markup
+     */
+    function buildSvg(pngDataUrl, width, height) {
+        return '<?xml version="1.0" encoding="UTF-8"?>' +
+            `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" ` +
+            `width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">` +
+            `<image width="${width}" height="${height}" xlink:href="${pngDataUrl}" href="${pngDataUrl}"/>` +
+            '</svg>';
+    }
+
+    /**
+     * Encodes a UTF-8 string as base64
+     * @param {string} text - The text to encode
+     * @returns {string} The base64 string
+     */
+    function utf8ToBase64(text) {
+        const bytes = new TextEncoder().encode(text);
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    window.chartExport = {
+        /**
+         * Renders a chart as an image and returns it as base64 so it can be embedded in other documents
+         * @param {string} handle - The chart handle returned by initializeChart (or the canvas element ID)
+         * @param {object} [options] - Export options:
+         *   format: 'png' (default), 'jpeg' or 'svg' (the SVG wraps the high-resolution rendering);
+         *   scale: pixel ratio of the rendering, default 3;
+         *   background: 'theme' (default), 'transparent' or a CSS color;
+         *   width / height: CSS size of the rendering, defaulting to the on-screen size
+         * @returns {{base64: string, contentType: string, width: number, height: number}} The encoded image
+         */
+        exportImage: function(handle, options) {
+            // Values left null by the .NET caller keep their defaults
+            const settings = Object.assign({}, DEFAULT_OPTIONS);
+            Object.keys(options || {}).forEach(key => {
+                if (options[key] !== null && options[key] !== undefined) {
+                    settings[key] = options[key];
+                }
+            });
+            if (!CONTENT_TYPES[settings.format]) {
+                throw new Error(`Unsupported chart export format '${settings.format}'`);
+            }
+
+            const chart = getChart(handle);
+            const rendered = renderOffscreen(chart, settings);
+
+            try {
+                let base64;
+                if (settings.format === 'svg') {
+                    const pngDataUrl = rendered.canvas.toDataURL(CONTENT_TYPES.png);
+                    base64 = utf8ToBase64(buildSvg(pngDataUrl, rendered.width, rendered.height));
+                } else {
+                    const dataUrl = rendered.canvas.toDataURL(CONTENT_TYPES[settings.format], 0.92);
+                    base64 = dataUrl.substring(dataUrl.indexOf(',') + 1);
+                }
+
+                return {
+                    base64,
+                    contentType: CONTENT_TYPES[settings.format],
+                    width: Math.round(rendered.width * settings.scale),
+                    height: Math.round(rendered.height * settings.scale)
+                };
+            } finally {
+                rendered.exportChart.destroy();
+            }
+        },
+
+        /**
+         * Renders a chart as an image data URL, for use in img elements or print snapshots
+         * @param {string} handle - The chart handle returned by initializeChart (or the canvas element ID)
+         * @param {object} [options] - Export options, as for exportImage
+         * @returns {string} The image data URL
+         */
+        toDataUrl: function(handle, options) {
+            const image = window.chartExport.exportImage(handle, options);
+            return `data:${image.contentType};base64,${image.base64}`;
+        },
+
+        /**
+         * Renders a chart as an image and downloads it through downloadFile
+         * @param {string} handle - The chart handle returned by initializeChart (or the canvas element ID)
+         * @param {string} fileName - The file name without extension
+         * @param {object} [options] - Export options, as for exportImage
+         * @returns {boolean} True if the download was started, false otherwise
+         */
+        downloadImage: function(handle, fileName, options) {
+            try {
+                const image = window.chartExport.exportImage(handle, options);
+                const extension = image.contentType === CONTENT_TYPES.svg ? 'svg' :
+                    image.contentType === CONTENT_TYPES.jpeg ? 'jpg' : 'png';
+                window.downloadFile(`${fileName || 'chart'}.${extension}`, image.base64, image.contentType);
+                return true;
+            } catch (error) {
+                console.error(`Error exporting chart: ${error}`);
+                return false;
+            }
+        }
+    };
+})();
@@ -0,0 +1,295 @@
+/**
+ * chartPalettes.js - Selectable, accessible color palettes for VatFilingPricingTool charts
+ * Provides standard, high-contrast and colour-blind-safe palettes plus optional pattern
+ * fills, and applies the user's choice to every chart created through initializeChart
+ * Version: 1.0.0
+ */
+
+(function() {
+    // Palettes keyed by name, each with variants for light and dark themes
+    const palettes = {
+        standard: {
+            label: 'Standard',
+            light: ['#1976D2', '#388E3C', '#FBC02D', '#D32F2F', '#0D47A1', '#1B5E20', '#F57F17', '#B71C1C'],
+            dark: ['#4285F4', '#34A853', '#FBBC05', '#EA4335', '#8AB4F8', '#81C995', '#FDE293', '#F28B82']
+        },
+        'high-contrast': {
+            label: 'High contrast',
+            light: ['#000000', '#0000CC', '#CC0000', '#006600', '#990099', '#B35900', '#006666', '#666600'],
+            dark: ['#FFFF00', '#00FFFF', '#FF66FF', '#FFFFFF', '#66FF66', '#FF9933', '#66B2FF', '#FF6666']
+        },
+        // Okabe & Ito (2008), distinguishable under the common forms of colour-vision deficiency
+        'okabe-ito': {
+            label: 'Colour-blind safe (Okabe-Ito)',
+            light: ['#E69F00', '#56B4E9', '#009E73', '#F0E442', '#0072B2', '#D55E00', '#CC79A7', '#000000'],
+            dark: ['#E69F00', '#56B4E9', '#009E73', '#F0E442', '#0072B2', '#D55E00', '#CC79A7', '#FFFFFF']
+        }
+    };
+
+    // Chart types that color each data point rather than each dataset
+    const PER_POINT_TYPES = ['pie', 'doughnut', 'polarArea'];
+
+    // Chart types drawn as lines, where the fill is a translucent version of the line color
+    const LINE_TYPES = ['line', 'radar'];
+
+    // Pattern shapes cycled through when pattern fills are enabled
+    const PATTERN_SHAPES = ['diagonal', 'dots', 'cross', 'horizontal', 'vertical', 'reverse-diagonal', 'grid', 'zigzag'];
+    const PATTERN_SIZE = 12;
+
+    const patternCache = new Map();
+
+    /**
+     * Resolves the palette that should be used for the active theme
+     * @returns {{name: string, colors: string[], patterns: boolean}} The resolved palette
+     */
+    function resolvePalette() {
+        const choice = window.themeManager.getChartPalette();
+        let name = palettes[choice.palette] ? choice.palette : 'standard';
+
+        // The high-contrast theme upgrades the standard palette automatically
+        if (name === 'standard' && window.themeManager.getTheme() === 'high-contrast') {
+            name = 'high-contrast';
+        }
+
+        const variant = window.themeManager.isDark() ? 'dark' : 'light';
+        return { name, colors: palettes[name][variant], patterns: choice.patterns };
+    }
+
+    /**
+     * Draws a pattern shape onto a tile
+     * @param {CanvasRenderingContext2D} ctx - The tile context
+     * @param {string} shape - The shape name
+     */
+    function drawPatternShape(ctx, shape) {
+        const size = PATTERN_SIZE;
+        const half = size / 2;
+
+        ctx.beginPath();
+        switch (shape) {
+            case 'diagonal':
+                ctx.moveTo(0, size);
+                ctx.lineTo(size, 0);
+                break;
+            case 'reverse-diagonal':
+                ctx.moveTo(0, 0);
+                ctx.lineTo(size, size);
+                break;
+            case 'cross':
+                ctx.moveTo(0, 0);
+                ctx.lineTo(size, size);
+                ctx.moveTo(0, size);
+                ctx.lineTo(size, 0);
+                break;
+            case 'horizontal':
+                ctx.moveTo(0, half);
+                ctx.lineTo(size, half);
+                break;
+            case 'vertical':
+                ctx.moveTo(half, 0);
+                ctx.lineTo(half, size);
+                break;
+            case 'grid':
+                ctx.moveTo(0, half);
+                ctx.lineTo(size, half);
+                ctx.moveTo(half, 0);
+                ctx.lineTo(half, size);
+                break;
+            case 'zigzag':
+                ctx.moveTo(0, half);
+                ctx.lineTo(size / 4, size / 4);
+                ctx.lineTo(half, half);
+                ctx.lineTo(size * 3 / 4, size / 4);
+                ctx.lineTo(size, half);
+                break;
+            case 'dots':
+            default:
+                ctx.arc(half, half, 2, 0, Math.PI * 2);
+                ctx.fill();
+                return;
+        }
+        ctx.stroke();
+    }
+
+    /**
+     * Creates (or reuses) a repeating pattern with a solid color background
+     * @param {string} color - The background color
+     * @param {number} index - The dataset or data point index, selecting the shape
+     * @returns {CanvasPattern|string} The pattern, or the color if patterns cannot be created
+     */
+    function createPattern(color, index) {
+        const shape = PATTERN_SHAPES[index % PATTERN_SHAPES.length];
+        const cacheKey = `${color}|${shape}`;
+        if (patternCache.has(cacheKey)) {
+            return patternCache.get(cacheKey);
+        }
+
+        const tile = document.createElement('canvas');
+        tile.width = PATTERN_SIZE;
+        tile.height = PATTERN_SIZE;
+        const ctx = tile.getContext('2d');
+        if (!ctx) {
+            return color;
+        }
+
+        ctx.fillStyle = color;
+        ctx.fillRect(0, 0, PATTERN_SIZE, PATTERN_SIZE);
+
+        // Contrast the shape against the background color
+        const shapeColor = isLightColor(color) ? 'rgba(0, 0, 0, 0.55)' : 'rgba(255, 255, 255, 0.7)';
+        ctx.strokeStyle = shapeColor;
+        ctx.fillStyle = shapeColor;
+        ctx.lineWidth = 2;
+        drawPatternShape(ctx, shape);
+
+        const pattern = ctx.createPattern(tile, 'repeat');
+        patternCache.set(cacheKey, pattern);
+        return pattern;
+    }
+
+    /**
+     * Determines whether a hex color is light enough to need a dark pattern overlay
+     * @param {string} color - The hex color (#rrggbb)
+     * @returns {boolean} True if the color is light
+     */
+    function isLightColor(color) {
+        const r = parseInt(color.substr(1, 2), 16);
+        const g = parseInt(color.substr(3, 2), 16);
+        const b = parseInt(color.substr(5, 2), 16);
+        return (r * 299 + g * 587 + b * 114) / 1000 > 150;
+    }
+
+    /**
+     * Gets the fill for a palette color, honoring the pattern setting
+     * @param {object} palette - The resolved palette
+     * @param {number} index - The color index
+     * @returns {string|CanvasPattern} The fill
+     */
+    function fillFor(palette, index) {
+        const color = palette.colors[index % palette.colors.length];
+        return palette.patterns ? createPattern(color, index) : color;
+    }
+
+    /**
+     * Applies palette colors to a single dataset
+     * @param {object} dataset - The Chart.js dataset
+     * @param {number} datasetIndex - The index of the dataset
+     * @param {number} datasetCount - The number of datasets in the chart
+     * @param {string} chartType - The chart type
+     * @param {object} palette - The resolved palette
+     */
+    function applyToDataset(dataset, datasetIndex, datasetCount, chartType, palette) {
+        const type = dataset.type || chartType;
+        const pointCount = Array.isArray(dataset.data) ? dataset.data.length : 0;
+
+        // Per-point colors for pie-style charts and single-series bar charts such as the country breakdown
+        if (PER_POINT_TYPES.includes(type) || (type === 'bar' && datasetCount === 1)) {
+            const indexes = Array.from({ length: pointCount }, (value, index) => index);
+            dataset.backgroundColor = indexes.map(index => fillFor(palette, index));
+            dataset.borderColor = indexes.map(index => palette.colors[index % palette.colors.length]);
+            return;
+        }
+
+        const color = palette.colors[datasetIndex % palette.colors.length];
+        if (LINE_TYPES.includes(type)) {
+            dataset.borderColor = color;
+            dataset.pointBackgroundColor = color;
+            dataset.backgroundColor = palette.patterns ? createPattern(color, datasetIndex) : `${color}33`;
+            return;
+        }
+
+        dataset.borderColor = color;
+        dataset.backgroundColor = fillFor(palette, datasetIndex);
+    }
+
+    window.chartPalettes = {
+        /**
+         * Gets the available palettes
+         * @returns {Array<{name: string, label: string}>} The palette names and display labels, translated
+         * where the message catalog has a palettes.<name> entry
+         */
+        getPalettes: function() {
+            return Object.keys(palettes).map(name => ({
+                name,
+                label: window.i18n.has(`palettes.${name}`) ? window.i18n.t(`palettes.${name}`) : palettes[name].label
+            }));
+        },
+
+        /**
+         * Gets the colors of the palette currently in use
+         * @returns {string[]} The palette colors for the active theme
+         */
+        getColors: function() {
+            return resolvePalette().colors.slice();
+        },
+
+        /**
+         * Registers an additional palette, or replaces an existing one
+         * @param {string} name - The palette name
+         * @param {string[]} lightColors - Hex colors used with light themes
+         * @param {string[]} [darkColors] - Hex colors used with dark themes; defaults to lightColors
+         * @param {string} [label] - The display label
+         */
+        registerPalette: function(name, lightColors, darkColors, label) {
+            palettes[name] = {
+                label: label || name,
+                light: lightColors.slice(),
+                dark: (darkColors || lightColors).slice()
+            };
+        },
+
+        /**
+         * Selects the palette and pattern setting, persisting them with the theme preference
+         * @param {string} name - The palette name
+         * @param {boolean} patterns - Whether datasets should also be filled with patterns
+         */
+        setPalette: function(name, patterns) {
+            if (!palettes[name]) {
+                console.warn(`Unknown chart palette '${name}', falling back to 'standard'`);
+                name = 'standard';
+            }
+            // The theme manager persists the choice and raises vatfilingthemechanged, which recolors charts
+            window.themeManager.setChartPalette(name, patterns);
+        },
+
+        /**
+         * Applies the active palette to chart data, skipping datasets whose colors were set explicitly
+         * @param {object} chartData - The Chart.js data object
+         * @param {string} chartType - The chart type
+         * @returns {object} The same data object
+         */
+        applyToChartData: function(chartData, chartType) {
+            if (!chartData || !Array.isArray(chartData.datasets)) {
+                return chartData;
+            }
+
+            const palette = resolvePalette();
+            chartData.datasets.forEach((dataset, index) => {
+                // Datasets that arrive with their own colors are left untouched
+                if (!dataset.paletteManaged && (dataset.backgroundColor || dataset.borderColor)) {
+                    return;
+                }
+
+                dataset.paletteManaged = true;
+                applyToDataset(dataset, index, chartData.datasets.length, chartType, palette);
+            });
+
+            return chartData;
+        },
+
+        /**
+         * Re-applies the active palette to every registered chart
+         */
+        refreshCharts: function() {
+            Object.values(window.chartInstances || {}).forEach(chart => {
+                if (!chart || !chart.data) {
+                    return;
+                }
+                window.chartPalettes.applyToChartData(chart.data, chart.config.type);
+                chart.update();
+            });
+        }
+    };
+
+    // Palette variants depend on the theme, so recolor whenever either changes
+    window.addEventListener('vatfilingthemechanged', () => window.chartPalettes.refreshCharts());
+})();
@@ -0,0 +1,488 @@
+/**
+ * currency.js - Currency conversion for VatFilingPricingTool quotes
+ * Loads an exchange rate table from CurrencyConversion.RatesEndpoint, which must be configured for
+ * conversion to be offered, caches it with its as-of date, converts calculation results between currencies and lets charts
+ * switch to a display currency chosen by the user, noting the rate and its date
+ * Version: 1.0.0
+ */
+
+(function() {
+    const DEFAULT_CACHE_HOURS = 12;
+
+    // Local storage keys for the cached rate table and the display currency chosen by the user
+    const RATES_STORAGE_KEY = 'vat-filing-exchange-rates';
+    const DISPLAY_CURRENCY_STORAGE_KEY = 'vat-filing-display-currency';
+
+    // Source values of converted chart datasets, and the data last written to them
+    const chartSources = new WeakMap();
+
+    // Chart options whose subtitle currently shows the rate note
+    const notedOptions = new WeakSet();
+
+    const minorUnitCache = new Map();
+    const subscribers = window.subscriptions.create('OnDisplayCurrencyChanged', 'currency');
+
+    let rates = null;
+    let loading = null;
+
+    /**
+     * Gets the CurrencyConversion section of the application settings
+     * @returns {object} The currency conversion settings
+     */
+    function getSettings() {
+        return (window.appSettings && window.appSettings.CurrencyConversion) || {};
+    }
+
+    /**
+     * Gets the currency amounts are in when none is given
+     * @returns {string} The ISO currency code
+     */
+    function defaultCurrency() {
+        const ui = (window.appSettings && window.appSettings.UIConfiguration) || {};
+        return ui.DefaultCurrency || 'EUR';
+    }
+
+    /**
+     * Normalizes a currency code
+     * @param {string} code - The currency code
+     * @returns {string|null} The upper-case code, or null if none was given
+     */
+    function normalizeCode(code) {
+        return code ? String(code).trim().toUpperCase() : null;
+    }
+
+    /**
+     * Validates a rate table as returned by the endpoint: { base, asOf (or date), rates: { CODE: units per base } },
+     * with sample: true on tables that are not real rates
+     * @param {object} data - The response body
+     * @returns {object|null} The normalized table, or null if it is unusable
+     */
+    function normalizeTable(data) {
+        if (!data || typeof data !== 'object' || !data.rates || typeof data.rates !== 'object') {
+            return null;
+        }
+
+        const base = normalizeCode(data.base) || defaultCurrency();
+        const table = { base, asOf: data.asOf || data.date || null, source: data.source || null, sample: data.sample === true, rates: {} };
+        Object.keys(data.rates).forEach(code => {
+            const rate = Number(data.rates[code]);
+            if (rate > 0 && Number.isFinite(rate)) {
+                table.rates[normalizeCode(code)] = rate;
+            }
+        });
+        table.rates[base] = 1;
+        return table;
+    }
+
+    /**
+     * Reads the cached rate table, however old
+     * @returns {object|null} The cached table with its fetchedAt time, or null
+     */
+    function readCache() {
+        const cached = window.vatStorage.get(RATES_STORAGE_KEY);
+        return cached && cached.rates ? cached : null;
+    }
+
+    /**
+     * Determines whether the rate table is older than CurrencyConversion.CacheHours
+     * @param {object|null} table - The rate table
+     * @returns {boolean} True if the table should be fetched again
+     */
+    function isStale(table) {
+        const hours = Number(getSettings().CacheHours);
+        const maxAgeMs = (hours > 0 ? hours : DEFAULT_CACHE_HOURS) * 3600000;
+        return !table || !(Date.now() - table.fetchedAt < maxAgeMs);
+    }
+
+    /**
+     * Parses the as-of date; plain dates are taken as local dates so they display as published
+     * @param {string} asOf - The as-of date
+     * @returns {Date|null} The date, or null if there is none
+     */
+    function parseAsOf(asOf) {
+        if (!asOf) {
+            return null;
+        }
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(asOf);
+        return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : new Date(asOf);
+    }
+
+    /**
+     * Gets the number of decimal places amounts in a currency are rounded to
+     * @param {string} code - The ISO currency code
+     * @returns {number} The number of decimal places
+     */
+    function minorUnits(code) {
+        if (!minorUnitCache.has(code)) {
+            let digits = 2;
+            try {
+                digits = new Intl.NumberFormat('en', { style: 'currency', currency: code }).resolvedOptions().maximumFractionDigits;
+            } catch (error) {
+                // Not an ISO currency code Intl knows; two decimals suit most currencies
+            }
+            minorUnitCache.set(code, digits);
+        }
+        return minorUnitCache.get(code);
+    }
+
+    /**
+     * Converts an amount and rounds it to the target currency's minor units
+     * @param {*} amount - The amount
+     * @param {number} rate - The conversion rate
+     * @param {string} to - The target currency code
+     * @returns {number} The converted amount
+     */
+    function convertAmount(amount, rate, to) {
+        const factor = Math.pow(10, minorUnits(to));
+        return Math.round((Number(amount) || 0) * rate * factor) / factor;
+    }
+
+    /**
+     * Converts a chart data point, which may be a number or an object with the value on the value axis
+     * @param {*} point - The data point
+     * @param {number} rate - The conversion rate
+     * @param {string} valueKey - The value axis property of object points ('x', 'y' or 'r')
+     * @returns {*} The converted data point
+     */
+    function convertPoint(point, rate, valueKey) {
+        if (typeof point === 'number') {
+            return point * rate;
+        }
+        if (point && typeof point === 'object' && typeof point[valueKey] === 'number') {
+            return Object.assign({}, point, { [valueKey]: point[valueKey] * rate });
+        }
+        return point;
+    }
+
+    /**
+     * Notifies listeners and .NET subscribers that the display currency or the rates changed
+     */
+    function notifyChanged() {
+        const currency = window.currency.getDisplayCurrency();
+        const asOf = rates ? rates.asOf : null;
+
+        window.dispatchEvent(new CustomEvent('vatfilingcurrencychanged', { detail: { currency, asOf } }));
+        subscribers.notify(currency, asOf);
+    }
+
+    window.currency = {
+        /**
+         * Determines whether currency conversion is enabled by CurrencyConversion.Enabled and has a RatesEndpoint
+         * @returns {boolean} True unless conversion has been switched off or has no rates to use
+         */
+        isEnabled: function() {
+            const settings = getSettings();
+            return settings.Enabled !== false && !!settings.RatesEndpoint;
+        },
+
+        /**
+         * Loads the rate table, using the cached copy while it is fresh; if the endpoint cannot be
+         * reached the cached copy is used however old it is
+         * @param {boolean} [force] - Whether to fetch even if the cached copy is fresh
+         * @returns {Promise<object|null>} Promise resolving to the rate table, or null if none is available
+         */
+        loadRates: function(force) {
+            if (!window.currency.isEnabled()) {
+                return Promise.resolve(null);
+            }
+            if (!rates) {
+                rates = readCache();
+            }
+            if (!force && !isStale(rates)) {
+                return Promise.resolve(rates);
+            }
+            if (loading) {
+                return loading;
+            }
+
+            const previousAsOf = rates ? rates.asOf : null;
+            loading = (async () => {
+                try {
+                    const response = await fetch(getSettings().RatesEndpoint, { credentials: 'same-origin' });
+                    if (!response.ok) {
+                        throw new Error(`${response.status} ${response.statusText}`);
+                    }
+                    const table = normalizeTable(await response.json());
+                    if (!table) {
+                        throw new Error('the response is not a rate table');
+                    }
+
+                    table.fetchedAt = Date.now();
+                    rates = table;
+                    window.vatStorage.set(RATES_STORAGE_KEY, table, { expirationDays: 0 });
+                } catch (error) {
+                    console.error(`Error loading exchange rates: ${error}`);
+                    window.errorReporter.capture(error, 'loadRates');
+                } finally {
+                    loading = null;
+                }
+
+                if (rates && rates.asOf !== previousAsOf) {
+                    window.currency.refreshCharts();
+                    notifyChanged();
+                }
+                return rates;
+            })();
+            return loading;
+        },
+
+        /**
+         * Gets the rate table currently in use
+         * @returns {object|null} { base, asOf, source, sample, rates, fetchedAt }, or null if no rates have loaded
+         */
+        getRates: function() {
+            return rates;
+        },
+
+        /**
+         * Gets the currencies users can choose to display amounts in: CurrencyConversion.DisplayCurrencies
+         * that the rate table covers
+         * @returns {string[]} The ISO currency codes
+         */
+        getDisplayCurrencies: function() {
+            const configured = getSettings().DisplayCurrencies;
+            const codes = Array.isArray(configured) && configured.length > 0
+                ? configured.map(normalizeCode)
+                : Object.keys((rates && rates.rates) || {});
+            return codes.filter(code => !rates || rates.rates[code] !== undefined);
+        },
+
+        /**
+         * Gets the rate converting one currency into another
+         * @param {string} from - The source currency code
+         * @param {string} to - The target currency code
+         * @returns {number|null} Units of the target currency per unit of the source, or null if unknown
+         */
+        getRate: function(from, to) {
+            const source = normalizeCode(from) || defaultCurrency();
+            const target = normalizeCode(to) || defaultCurrency();
+            if (source === target) {
+                return 1;
+            }
+            if (!rates && window.currency.isEnabled()) {
+                // Charts created before the rates load use the cached table
+                rates = readCache();
+            }
+            if (!rates || !rates.rates[source] || !rates.rates[target]) {
+                return null;
+            }
+            return rates.rates[target] / rates.rates[source];
+        },
+
+        /**
+         * Converts an amount between currencies, rounded to the target currency's minor units
+         * @param {number} amount - The amount
+         * @param {string} from - The source currency code
+         * @param {string} to - The target currency code
+         * @returns {number|null} The converted amount, or null if the rate is unknown
+         */
+        convert: function(amount, from, to) {
+            const rate = window.currency.getRate(from, to);
+            return rate === null ? null : convertAmount(amount, rate, normalizeCode(to) || defaultCurrency());
+        },
+
+        /**
+         * Converts a calculation result, including its country breakdowns and discounts, into another currency
+         * @param {object} result - A CalculationResultModel-shaped object
+         * @param {string} to - The target currency code
+         * @returns {object|null} A converted copy with formatted amounts updated, or null if the rate is unknown
+         */
+        convertResult: function(result, to) {
+            if (!result) {
+                return null;
+            }
+            const from = normalizeCode(result.currencyCode) || defaultCurrency();
+            const target = normalizeCode(to) || defaultCurrency();
+            const rate = window.currency.getRate(from, target);
+            if (rate === null) {
+                console.warn(`No exchange rate from ${from} to ${target}`);
+                return null;
+            }
+
+            const format = amount => window.formatting.formatCurrency(amount, target);
+            const converted = JSON.parse(JSON.stringify(result));
+            converted.currencyCode = target;
+            converted.totalCost = convertAmount(result.totalCost, rate, target);
+            converted.totalDiscounts = convertAmount(result.totalDiscounts, rate, target);
+            if (result.formattedTotalCost !== undefined) {
+                converted.formattedTotalCost = format(converted.totalCost);
+            }
+            if (result.formattedTotalDiscounts !== undefined) {
+                converted.formattedTotalDiscounts = format(converted.totalDiscounts);
+            }
+
+            Object.keys(converted.discounts || {}).forEach(name => {
+                converted.discounts[name] = convertAmount(result.discounts[name], rate, target);
+            });
+
+            (converted.countryBreakdowns || []).forEach(country => {
+                // Breakdowns normally share the result's currency, but are converted from their own
+                const countryRate = window.currency.getRate(country.currencyCode || from, target) || rate;
+                ['baseCost', 'additionalCost', 'totalCost'].forEach(key => {
+                    country[key] = convertAmount(country[key], countryRate, target);
+                    const formattedKey = `formatted${key.charAt(0).toUpperCase()}${key.slice(1)}`;
+                    if (country[formattedKey] !== undefined) {
+                        country[formattedKey] = format(country[key]);
+                    }
+                });
+                country.currencyCode = target;
+            });
+
+            return converted;
+        },
+
+        /**
+         * Gets the currency chosen for displaying amounts
+         * @returns {string|null} The ISO currency code, or null to show amounts in their own currency
+         */
+        getDisplayCurrency: function() {
+            try {
+                return localStorage.getItem(DISPLAY_CURRENCY_STORAGE_KEY);
+            } catch (error) {
+                return null;
+            }
+        },
+
+        /**
+         * Sets and persists the display currency, then converts every chart whose values are currency amounts
+         * @param {string|null} code - An ISO currency code, or null to show amounts in their own currency
+         * @returns {Promise<string|null>} Promise resolving to the display currency now in use
+         */
+        setDisplayCurrency: async function(code) {
+            const currency = normalizeCode(code);
+            await window.currency.loadRates();
+
+            try {
+                if (currency && rates && rates.rates[currency] === undefined) {
+                    console.warn(`No exchange rate for '${currency}'; amounts stay in their own currency`);
+                    localStorage.removeItem(DISPLAY_CURRENCY_STORAGE_KEY);
+                } else if (currency) {
+                    localStorage.setItem(DISPLAY_CURRENCY_STORAGE_KEY, currency);
+                } else {
+                    localStorage.removeItem(DISPLAY_CURRENCY_STORAGE_KEY);
+                }
+            } catch (error) {
+                console.error(`Error storing display currency: ${error}`);
+            }
+
+            window.currency.refreshCharts();
+            notifyChanged();
+            return window.currency.getDisplayCurrency();
+        },
+
+        /**
+         * Describes the rate used for a conversion, e.g. "1 EUR = 0.8674 GBP, rates as of 16/10/2026",
+         * or says that the rates are sample data when the table is marked as such
+         * @param {string} from - The source currency code
+         * @param {string} to - The target currency code
+         * @returns {string} The translated description, or an empty string if the rate is unknown
+         */
+        getRateNote: function(from, to) {
+            const rate = window.currency.getRate(from, to);
+            if (rate === null || !rates) {
+                return '';
+            }
+            const asOf = parseAsOf(rates.asOf);
+            return window.i18n.t(rates.sample ? 'currency.sampleRateNote' : 'currency.rateNote', {
+                from: normalizeCode(from) || defaultCurrency(),
+                to: normalizeCode(to) || defaultCurrency(),
+                rate: window.formatting.formatNumber(rate, 4),
+                date: asOf ? window.formatting.formatDate(asOf) : '-'
+            });
+        },
+
+        /**
+         * Converts a chart's values to the display currency when options.valueFormat has the 'currency'
+         * style, noting the rate in the chart subtitle; valueFormat.convert = false keeps the chart's own
+         * currency. Values passed in later updates are taken to be in the chart's own currency.
+         * @param {object} chartData - The Chart.js data object
+         * @param {string} chartType - The chart type
+         * @param {object} options - The Chart.js options, after formatting.applyToChartOptions
+         */
+        applyToChartData: function(chartData, chartType, options) {
+            const valueFormat = options && options.valueFormat;
+            if (!chartData || !valueFormat || valueFormat.style !== 'currency' || valueFormat.convert === false) {
+                return;
+            }
+
+            if (!valueFormat.sourceCurrency) {
+                valueFormat.sourceCurrency = normalizeCode(valueFormat.currency) || defaultCurrency();
+            }
+            const source = valueFormat.sourceCurrency;
+            const display = window.currency.isEnabled() ? window.currency.getDisplayCurrency() : null;
+            let target = display || source;
+            let rate = window.currency.getRate(source, target);
+            if (rate === null) {
+                target = source;
+                rate = 1;
+            }
+
+            const valueKey = chartType === 'radar' || chartType === 'polarArea' ? 'r' : (options.indexAxis === 'y' ? 'x' : 'y');
+            (chartData.datasets || []).forEach(dataset => {
+                let entry = chartSources.get(dataset);
+                // Data replaced since the last conversion is new source data
+                if (!entry || dataset.data !== entry.converted) {
+                    entry = { source: dataset.data };
+                    chartSources.set(dataset, entry);
+                }
+                if (Array.isArray(entry.source)) {
+                    dataset.data = rate === 1 ? entry.source : entry.source.map(point => convertPoint(point, rate, valueKey));
+                }
+                entry.converted = dataset.data;
+            });
+            valueFormat.currency = target;
+
+            options.plugins = options.plugins || {};
+            if (target !== source) {
+                options.plugins.subtitle = Object.assign({}, options.plugins.subtitle, {
+                    display: true,
+                    text: window.currency.getRateNote(source, target)
+                });
+                notedOptions.add(options);
+            } else if (notedOptions.has(options)) {
+                options.plugins.subtitle = Object.assign({}, options.plugins.subtitle, { display: false });
+                notedOptions.delete(options);
+            }
+        },
+
+        /**
+         * Re-applies the display currency to every registered chart
+         */
+        refreshCharts: function() {
+            Object.values(window.chartInstances || {}).forEach(chart => {
+                if (!chart || !chart.data || !chart.config) {
+                    return;
+                }
+                window.currency.applyToChartData(chart.data, chart.config.type, chart.config.options);
+                chart.update();
+            });
+        },
+
+        /**
+         * Registers a .NET object to be notified when the display currency or the rates change
+         * @param {object} dotNetRef - The DotNetObjectReference to notify
+         * @param {string} methodName - The JSInvokable method receiving (currency, asOf); currency is null
+         * when amounts are shown in their own currency
+         * @returns {number} The subscription ID to pass to unsubscribe
+         */
+        subscribe: function(dotNetRef, methodName) {
+            return subscribers.add(dotNetRef, methodName);
+        },
+
+        /**
+         * Removes a previously registered .NET subscriber
+         * @param {number} subscriptionId - The ID returned by subscribe
+         */
+        unsubscribe: function(subscriptionId) {
+            subscribers.remove(subscriptionId);
+        }
+    };
+
+    // Rates are loaded once the settings are known, and refreshed when the connection returns
+    window.addEventListener('vatfilingappready', () => window.currency.loadRates());
+    window.addEventListener('online', () => window.currency.loadRates());
+
+    // The rate note is translated, and its rate and date formatted, for the user's language and locale
+    window.addEventListener('vatfilinglanguagechanged', () => window.currency.refreshCharts());
+    window.addEventListener('vatfilinglocalechanged', () => window.currency.refreshCharts());
+})();
@@ -0,0 +1,508 @@
+/**
+ * dialogs.js - Modal dialog service for VatFilingPricingTool
+ * Provides promise-based alert, confirm, prompt and custom-content dialogs in place of the browser's
+ * blocking ones. Dialogs trap focus, close on Escape, restore focus when they close, follow the current
+ * theme and stack on top of each other for nested flows
+ * Version: 1.0.0
+ */
+
+(function() {
+    // Elements that can receive keyboard focus inside a dialog
+    const FOCUSABLE_SELECTOR = [
+        'a[href]', 'area[href]', 'button:not([disabled])', 'input:not([disabled]):not([type="hidden"])',
+        'select:not([disabled])', 'textarea:not([disabled])', 'iframe', '[contenteditable="true"]',
+        '[tabindex]:not([tabindex="-1"])'
+    ].join(',');
+
+    // Each stacked dialog sits above the previous one, starting above the idle warning
+    const BASE_Z_INDEX = 1100;
+
+    const SIZES = ['sm', 'md', 'lg'];
+    const BUTTON_VARIANTS = ['primary', 'secondary', 'danger', 'outline-secondary', 'outline-danger', 'link'];
+
+    // Open dialogs, bottom to top
+    const stack = [];
+
+    let sequence = 0;
+
+    /**
+     * Gets the dialog that currently has the user's attention
+     * @returns {object|null} The top dialog entry
+     */
+    function topDialog() {
+        return stack.length > 0 ? stack[stack.length - 1] : null;
+    }
+
+    /**
+     * Gets the elements inside a dialog that can receive focus, in tab order
+     * @param {HTMLElement} container - The dialog element
+     * @returns {HTMLElement[]} The focusable elements
+     */
+    function getFocusable(container) {
+        return Array.from(container.querySelectorAll(FOCUSABLE_SELECTOR))
+            .filter(element => !element.hidden && !element.closest('[hidden]') && !element.closest('[inert]'));
+    }
+
+    /**
+     * Keeps Tab and Shift+Tab within the top dialog and closes it on Escape
+     * @param {KeyboardEvent} event - The keydown event
+     */
+    function handleKeydown(event) {
+        const entry = topDialog();
+        if (!entry) {
+            return;
+        }
+
+        if (event.key === 'Escape') {
+            if (entry.options.dismissible !== false) {
+                event.preventDefault();
+                event.stopPropagation();
+                closeEntry(entry, entry.dismissValue);
+            }
+            return;
+        }
+
+        if (event.key !== 'Tab') {
+            return;
+        }
+
+        const focusable = getFocusable(entry.dialog);
+        if (focusable.length === 0) {
+            event.preventDefault();
+            entry.dialog.focus();
+            return;
+        }
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        if (event.shiftKey && (document.activeElement === first || !entry.dialog.contains(document.activeElement))) {
+            event.preventDefault();
+            last.focus();
+        } else if (!event.shiftKey && (document.activeElement === last || !entry.dialog.contains(document.activeElement))) {
+            event.preventDefault();
+            first.focus();
+        }
+    }
+
+    /**
+     * Pulls focus back into the top dialog when it moves elsewhere, e.g. by clicking the page behind it
+     * @param {FocusEvent} event - The focusin event
+     */
+    function handleFocusin(event) {
+        const entry = topDialog();
+        if (!entry) {
+            return;
+        }
+
+        if (entry.layer.contains(event.target)) {
+            entry.lastFocus = event.target;
+        } else if (!isOutsideModalFlow(event.target)) {
+            if (entry.lastFocus && entry.dialog.contains(entry.lastFocus)) {
+                entry.lastFocus.focus();
+            } else {
+                focusInitial(entry);
+            }
+        }
+    }
+
+    /**
+     * Whether an element lives outside the modal flow and may keep focus while a dialog is open
+     * (the notification stack, so toast actions such as "Undo" stay reachable)
+     * @param {Element} element - The focused element
+     * @returns {boolean} True if focus may stay on the element
+     */
+    function isOutsideModalFlow(element) {
+        return Boolean(element.closest && element.closest('.notification-stack'));
+    }
+
+    /**
+     * Moves focus to the element a dialog should start on
+     * @param {object} entry - The dialog entry
+     */
+    function focusInitial(entry) {
+        const target = entry.dialog.querySelector('[autofocus]')
+            || entry.dialog.querySelector('[data-dialog-initial-focus]')
+            || getFocusable(entry.dialog.querySelector('.vat-dialog-body'))[0]
+            || entry.dialog.querySelector('.vat-dialog-footer .btn-primary, .vat-dialog-footer .btn-danger')
+            || getFocusable(entry.dialog)[0]
+            || entry.dialog;
+        target.focus();
+    }
+
+    /**
+     * Collects the values of the named form fields in a dialog's body
+     * @param {HTMLElement} body - The dialog body
+     * @returns {object} Field values keyed by name; checkboxes give 'true' or 'false'
+     */
+    function collectValues(body) {
+        const values = {};
+        body.querySelectorAll('input[name], select[name], textarea[name]').forEach(field => {
+            if (field.type === 'checkbox') {
+                values[field.name] = String(field.checked);
+            } else if (field.type === 'radio') {
+                if (field.checked) {
+                    values[field.name] = field.value;
+                }
+            } else {
+                values[field.name] = field.value;
+            }
+        });
+        return values;
+    }
+
+    /**
+     * Builds a dialog, adds it to the stack and shows it
+     * @param {object} options - The dialog options (see dialogs.open)
+     * @param {object} behaviour - How the dialog resolves: { buttons, dismissValue, resolveButton(entry, button), finalize(entry, result) };
+     *   resolveButton returns the result for a button, or undefined to keep the dialog open
+     * @returns {Promise<*>} Promise resolving with the dialog's result once it closes
+     */
+    function openDialog(options, behaviour) {
+        return new Promise(resolve => {
+            const id = `vat-dialog-${++sequence}`;
+            const size = SIZES.includes(options.size) ? options.size : 'md';
+
+            const layer = document.createElement('div');
+            layer.className = 'vat-dialog-layer';
+            layer.style.zIndex = String(BASE_Z_INDEX + stack.length * 10);
+
+            const dialog = document.createElement('div');
+            dialog.className = `vat-dialog vat-dialog-${size}`;
+            dialog.id = id;
+            dialog.setAttribute('role', options.role === 'alertdialog' ? 'alertdialog' : 'dialog');
+            dialog.setAttribute('aria-modal', 'true');
+            dialog.setAttribute('tabindex', '-1');
+
+            const header = document.createElement('div');
+            header.className = 'vat-dialog-header';
+            if (options.title) {
+                const title = document.createElement('h2');
+                title.className = 'vat-dialog-title';
+                title.id = `${id}-title`;
+                title.textContent = options.title;
+                header.appendChild(title);
+                dialog.setAttribute('aria-labelledby', title.id);
+            }
+            if (options.dismissible !== false) {
+                const close = document.createElement('button');
+                close.type = 'button';
+                close.className = 'vat-dialog-close';
+                close.setAttribute('aria-label', window.i18n.t('dialogs.close'));
+                close.textContent = '×';
+                close.addEventListener('click', () => closeEntry(entry, behaviour.dismissValue));
+                header.appendChild(close);
+            }
+            dialog.appendChild(header);
+
+            const body = document.createElement('div');
+            body.className = 'vat-dialog-body';
+            if (options.message) {
+                const message = document.createElement('p');
+                message.className = 'vat-dialog-message';
+                message.id = `${id}-message`;
+                message.textContent = options.message;
+                body.appendChild(message);
+                dialog.setAttribute('aria-describedby', message.id);
+                if (!options.title) {
+                    dialog.setAttribute('aria-labelledby', message.id);
+                }
+            }
+            if (options.content instanceof Node) {
+                body.appendChild(options.content);
+            } else if (options.html) {
+                // Markup supplied by the application itself, never by users
+                const content = document.createElement('div');
+                content.className = 'vat-dialog-content';
+                content.innerHTML = options.html;
+                body.appendChild(content);
+            }
+            if (!options.title && !options.message) {
+                dialog.setAttribute('aria-label', options.ariaLabel || window.i18n.t('dialogs.dialog'));
+            }
+            dialog.appendChild(body);
+
+            const entry = { id, layer, dialog, body, options, resolve, dismissValue: behaviour.dismissValue, finalize: behaviour.finalize };
+
+            const footer = document.createElement('div');
+            footer.className = 'vat-dialog-footer';
+            behaviour.buttons.forEach(button => {
+                const element = document.createElement('button');
+                element.type = 'button';
+                element.className = `btn btn-${BUTTON_VARIANTS.includes(button.variant) ? button.variant : 'secondary'}`;
+                element.textContent = button.label;
+                element.dataset.dialogButton = button.id;
+                if (button.initialFocus) {
+                    element.setAttribute('data-dialog-initial-focus', '');
+                }
+                element.addEventListener('click', () => {
+                    const result = behaviour.resolveButton(entry, button);
+                    if (result !== undefined) {
+                        closeEntry(entry, result);
+                    }
+                });
+                footer.appendChild(element);
+            });
+            dialog.appendChild(footer);
+
+            // Enter in a single-line field presses the primary button, as in a form
+            body.addEventListener('keydown', event => {
+                if (event.key === 'Enter' && event.target.matches('input:not([type="checkbox"]):not([type="radio"])')) {
+                    const primary = behaviour.buttons.find(button => button.variant === 'primary' || button.variant === 'danger');
+                    if (primary) {
+                        event.preventDefault();
+                        footer.querySelector(`[data-dialog-button="${primary.id}"]`).click();
+                    }
+                }
+            });
+
+            layer.addEventListener('mousedown', event => {
+                if (event.target === layer && options.dismissible !== false && options.closeOnBackdrop !== false) {
+                    closeEntry(entry, behaviour.dismissValue);
+                }
+            });
+
+            layer.appendChild(dialog);
+
+            // The dialog below stays visible but can no longer be reached
+            const below = topDialog();
+            if (below) {
+                below.layer.setAttribute('inert', '');
+                below.layer.setAttribute('aria-hidden', 'true');
+            } else {
+                document.addEventListener('keydown', handleKeydown, true);
+                document.addEventListener('focusin', handleFocusin);
+                document.body.classList.add('vat-dialog-open');
+            }
+
+            entry.previousFocus = document.activeElement;
+            stack.push(entry);
+            document.body.appendChild(layer);
+            focusInitial(entry);
+
+            window.dispatchEvent(new CustomEvent('vatfilingdialogopened', { detail: { id, depth: stack.length } }));
+        });
+    }
+
+    /**
+     * Closes a dialog, resolves its promise and returns focus to where it was before the dialog opened
+     * @param {object} entry - The dialog entry
+     * @param {*} result - The value the dialog's promise resolves with
+     */
+    function closeEntry(entry, result) {
+        const index = stack.indexOf(entry);
+        if (index < 0) {
+            return;
+        }
+
+        // Closing a dialog also closes any opened from it
+        while (stack.length > index + 1) {
+            const nested = topDialog();
+            closeEntry(nested, nested.dismissValue);
+        }
+
+        stack.pop();
+        entry.layer.remove();
+
+        const below = topDialog();
+        if (below) {
+            below.layer.removeAttribute('inert');
+            below.layer.removeAttribute('aria-hidden');
+        } else {
+            document.removeEventListener('keydown', handleKeydown, true);
+            document.removeEventListener('focusin', handleFocusin);
+            document.body.classList.remove('vat-dialog-open');
+        }
+
+        const previousFocus = entry.previousFocus;
+        if (previousFocus && typeof previousFocus.focus === 'function' && document.contains(previousFocus)) {
+            previousFocus.focus();
+        } else if (below) {
+            focusInitial(below);
+        }
+
+        window.dispatchEvent(new CustomEvent('vatfilingdialogclosed', { detail: { id: entry.id, depth: stack.length } }));
+        entry.resolve(entry.finalize ? entry.finalize(entry, result) : result);
+    }
+
+    /**
+     * Normalises the options of the built-in dialogs, which also accept just a message
+     * @param {object|string} options - The options or the message
+     * @returns {object} The options
+     */
+    function normaliseOptions(options) {
+        if (typeof options === 'string') {
+            return { message: options };
+        }
+        return Object.assign({}, options || {});
+    }
+
+    window.dialogs = {
+        /**
+         * Shows a message with an OK button
+         * @param {object|string} options - The message, or { title, message, okLabel }
+         * @returns {Promise<void>} Promise that resolves once the dialog is closed
+         */
+        alert: function(options) {
+            const settings = normaliseOptions(options);
+            settings.role = 'alertdialog';
+            return openDialog(settings, {
+                buttons: [{ id: 'ok', label: settings.okLabel || window.i18n.t('dialogs.ok'), variant: 'primary' }],
+                dismissValue: undefined,
+                resolveButton: () => null,
+                finalize: () => undefined
+            });
+        },
+
+        /**
+         * Asks the user to confirm an action
+         * @param {object|string} options - The question, or { title, message, confirmLabel, cancelLabel, danger };
+         *   danger styles the confirm button as destructive and starts focus on Cancel
+         * @returns {Promise<boolean>} Promise resolving to true if the user confirmed
+         */
+        confirm: function(options) {
+            const settings = normaliseOptions(options);
+            settings.role = 'alertdialog';
+            if (!settings.title) {
+                settings.title = window.i18n.t('dialogs.confirmTitle');
+            }
+            return openDialog(settings, {
+                buttons: [
+                    { id: 'cancel', label: settings.cancelLabel || window.i18n.t('dialogs.cancel'), variant: 'outline-secondary', initialFocus: Boolean(settings.danger) },
+                    { id: 'confirm', label: settings.confirmLabel || window.i18n.t('dialogs.confirm'), variant: settings.danger ? 'danger' : 'primary', initialFocus: !settings.danger }
+                ],
+                dismissValue: false,
+                resolveButton: (entry, button) => button.id === 'confirm'
+            });
+        },
+
+        /**
+         * Asks the user for a line of text
+         * @param {object|string} options - The question, or { title, message, inputLabel, defaultValue, placeholder,
+         *   inputType, required, maxLength, okLabel, cancelLabel }
+         * @returns {Promise<string|null>} Promise resolving to the entered text, or null if the user cancelled
+         */
+        prompt: function(options) {
+            const settings = normaliseOptions(options);
+            const inputId = `vat-dialog-input-${sequence + 1}`;
+
+            const field = document.createElement('div');
+            field.className = 'vat-dialog-field';
+            const label = document.createElement('label');
+            label.className = 'form-label';
+            label.htmlFor = inputId;
+            label.textContent = settings.inputLabel || settings.title || settings.message || '';
+            label.hidden = !settings.inputLabel;
+            const input = document.createElement('input');
+            input.className = 'form-control';
+            input.id = inputId;
+            input.name = 'value';
+            input.type = ['text', 'email', 'number', 'password', 'search', 'tel', 'url'].includes(settings.inputType) ? settings.inputType : 'text';
+            input.value = settings.defaultValue === undefined || settings.defaultValue === null ? '' : String(settings.defaultValue);
+            input.autocomplete = 'off';
+            if (settings.placeholder) {
+                input.placeholder = settings.placeholder;
+            }
+            if (settings.maxLength > 0) {
+                input.maxLength = settings.maxLength;
+            }
+            if (!settings.inputLabel) {
+                // Without a visible label the input is named by the dialog's own text
+                input.setAttribute('aria-label', label.textContent || window.i18n.t('dialogs.dialog'));
+            }
+            input.setAttribute('autofocus', '');
+            const error = document.createElement('div');
+            error.className = 'vat-dialog-error';
+            error.id = `${inputId}-error`;
+            error.hidden = true;
+            field.appendChild(label);
+            field.appendChild(input);
+            field.appendChild(error);
+            input.addEventListener('input', () => {
+                error.hidden = true;
+                input.removeAttribute('aria-invalid');
+                input.removeAttribute('aria-describedby');
+            });
+            settings.content = field;
+
+            return openDialog(settings, {
+                buttons: [
+                    { id: 'cancel', label: settings.cancelLabel || window.i18n.t('dialogs.cancel'), variant: 'outline-secondary' },
+                    { id: 'ok', label: settings.okLabel || window.i18n.t('dialogs.ok'), variant: 'primary' }
+                ],
+                dismissValue: null,
+                resolveButton: (entry, button) => {
+                    if (button.id === 'cancel') {
+                        return null;
+                    }
+                    if (settings.required && input.value.trim() === '') {
+                        error.textContent = window.i18n.t('dialogs.required');
+                        error.hidden = false;
+                        input.setAttribute('aria-invalid', 'true');
+                        input.setAttribute('aria-describedby', error.id);
+                        input.focus();
+                        return undefined;
+                    }
+                    return input.value;
+                }
+            });
+        },
+
+        /**
+         * Shows a dialog with custom content and buttons
+         * @param {object} options - The dialog:
+         *   title, message: optional heading and text; html: trusted markup for the body, or content: a DOM node (JavaScript callers);
+         *   buttons: [{ id, label, variant }] where variant is 'primary', 'secondary', 'danger', 'outline-secondary',
+         *   'outline-danger' or 'link' (default: a single Close button);
+         *   size: 'sm', 'md' or 'lg'; dismissible: false to disable Escape, the close button and backdrop clicks;
+         *   closeOnBackdrop: false to keep the dialog open on backdrop clicks
+         * @returns {Promise<object>} Promise resolving to { action, values }: the ID of the button pressed (null if
+         *   dismissed) and the values of the named form fields in the body
+         */
+        open: function(options) {
+            const settings = Object.assign({}, options || {});
+            const buttons = Array.isArray(settings.buttons) && settings.buttons.length > 0
+                ? settings.buttons.map(button => Object.assign({}, button))
+                : [{ id: 'close', label: window.i18n.t('dialogs.close'), variant: 'primary' }];
+
+            return openDialog(settings, {
+                buttons,
+                dismissValue: null,
+                resolveButton: (entry, button) => button.id,
+                finalize: (entry, action) => ({ action, values: collectValues(entry.body) })
+            });
+        },
+
+        /**
+         * Closes the top dialog as if the user had dismissed it
+         * @returns {boolean} True if a dialog was closed
+         */
+        closeTop: function() {
+            const entry = topDialog();
+            if (!entry) {
+                return false;
+            }
+            closeEntry(entry, entry.dismissValue);
+            return true;
+        },
+
+        /**
+         * Closes every open dialog as if the user had dismissed them
+         */
+        closeAll: function() {
+            if (stack.length > 0) {
+                closeEntry(stack[0], stack[0].dismissValue);
+            }
+        },
+
+        /**
+         * Gets the number of open dialogs
+         * @returns {number} The number of stacked dialogs
+         */
+        getOpenCount: function() {
+            return stack.length;
+        }
+    };
+
+    // Nothing should stay open over the sign-in page once the session has ended
+    window.addEventListener('vatfilingsessiontimeout', () => window.dialogs.closeAll());
+})();
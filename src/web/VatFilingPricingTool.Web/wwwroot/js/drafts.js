@@ -0,0 +1,489 @@
+/**
+ * drafts.js - Autosave of in-progress forms for VatFilingPricingTool
+ * Keeps named drafts of the pricing calculator (or any tracked form) per user in local storage, saving
+ * changes after a pause in typing, flushing them when the tab is hidden or the session times out, and
+ * offering to restore them when the user returns. Drafts expire after LocalStorage.ExpirationDays
+ * Version: 1.0.0
+ */
+
+(function() {
+    // Drafts are stored per user under this prefix
+    const STORAGE_KEY_PREFIX = 'vat-filing-drafts';
+
+    const DEFAULT_SCOPE = 'calculator';
+    const DEFAULT_EXPIRATION_DAYS = 30;
+    const MS_PER_DAY = 86400000;
+
+    // Pause after the last change before a draft is written
+    const SAVE_DELAY_MS = 1000;
+
+    // Most drafts kept per user; the least recently updated are dropped first
+    const MAX_DRAFTS = 20;
+
+    let userId = null;
+
+    // Unsaved changes, keyed by scope: { draftId, name, data }
+    const pending = {};
+
+    // The draft each scope is currently editing, keyed by scope
+    const activeDrafts = {};
+
+    // Forms tracked with drafts.track, keyed by scope
+    const trackedForms = {};
+
+    let sequence = 0;
+
+    /**
+     * Gets how long drafts are kept, from LocalStorage.ExpirationDays
+     * @returns {number} The lifetime in days
+     */
+    function getExpirationDays() {
+        const settings = (window.appSettings && window.appSettings.LocalStorage) || {};
+        const days = Number(settings.ExpirationDays);
+        return days > 0 ? days : DEFAULT_EXPIRATION_DAYS;
+    }
+
+    /**
+     * Gets the storage key of the current user's drafts
+     * @returns {string} The storage key
+     */
+    function storageKey() {
+        return `${STORAGE_KEY_PREFIX}-${userId || 'anonymous'}`;
+    }
+
+    /**
+     * Reads the current user's drafts, leaving out expired ones
+     * @returns {object[]} The drafts, most recently updated first
+     */
+    function readDrafts() {
+        const cutoff = Date.now() - getExpirationDays() * MS_PER_DAY;
+        const drafts = window.vatStorage.get(storageKey(), []);
+        return (Array.isArray(drafts) ? drafts : [])
+            .filter(draft => draft && new Date(draft.updatedAt).getTime() >= cutoff)
+            .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+    }
+
+    /**
+     * Writes the current user's drafts, which then expire after LocalStorage.ExpirationDays without changes
+     * @param {object[]} drafts - The drafts
+     */
+    function writeDrafts(drafts) {
+        if (drafts.length === 0) {
+            window.vatStorage.remove(storageKey());
+            return;
+        }
+        window.vatStorage.set(storageKey(), drafts.slice(0, MAX_DRAFTS), { expirationDays: getExpirationDays() });
+    }
+
+    /**
+     * Builds a name for a new draft from the time it was started
+     * @returns {string} The name
+     */
+    function defaultName() {
+        return window.i18n.t('drafts.defaultName', { date: window.formatting.formatDate(new Date(), 'datetime') });
+    }
+
+    /**
+     * Writes a scope's unsaved changes to storage
+     * @param {string} scope - The scope
+     */
+    function persist(scope) {
+        const change = pending[scope];
+        if (!change) {
+            return;
+        }
+        delete pending[scope];
+
+        try {
+            const drafts = readDrafts();
+            const now = new Date().toISOString();
+            let draft = drafts.find(item => item.id === change.draftId);
+            if (draft) {
+                draft.data = change.data;
+                draft.updatedAt = now;
+                if (change.name) {
+                    draft.name = change.name;
+                }
+            } else {
+                draft = { id: change.draftId, scope, name: change.name || defaultName(), data: change.data, createdAt: now, updatedAt: now };
+                drafts.push(draft);
+            }
+            drafts.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+            writeDrafts(drafts);
+
+            window.dispatchEvent(new CustomEvent('vatfilingdraftsaved', { detail: { id: draft.id, scope, updatedAt: now } }));
+        } catch (error) {
+            console.error(`Error saving draft: ${error}`);
+            window.errorReporter.capture(error, 'draftSave');
+        }
+    }
+
+    // One debounced writer per scope, so editing one form never delays another's save
+    const debouncedPersist = {};
+
+    /**
+     * Schedules a scope's unsaved changes to be written once the user pauses
+     * @param {string} scope - The scope
+     */
+    function schedulePersist(scope) {
+        if (!debouncedPersist[scope]) {
+            debouncedPersist[scope] = debounce(() => persist(scope), SAVE_DELAY_MS);
+        }
+        debouncedPersist[scope]();
+    }
+
+    /**
+     * Reads the named fields of a form; fields that repeat (checkbox groups, multiple selects) give arrays
+     * @param {HTMLFormElement} form - The form
+     * @returns {object} The values keyed by field name
+     */
+    function readForm(form) {
+        const values = {};
+        const fields = Array.from(form.elements);
+
+        // Checkboxes sharing a name form a group; names are compared as-is, so any characters are allowed
+        const checkboxCounts = new Map();
+        fields.filter(field => field.type === 'checkbox' && field.name).forEach(field => {
+            checkboxCounts.set(field.name, (checkboxCounts.get(field.name) || 0) + 1);
+        });
+
+        fields.forEach(field => {
+            if (!field.name || field.disabled || ['button', 'submit', 'reset', 'file', 'password'].includes(field.type)) {
+                return;
+            }
+            const multiple = field.type === 'checkbox' ? checkboxCounts.get(field.name) > 1 : field.multiple;
+
+            if (field.type === 'checkbox' && !multiple) {
+                values[field.name] = field.checked;
+            } else if (field.type === 'checkbox') {
+                values[field.name] = values[field.name] || [];
+                if (field.checked) {
+                    values[field.name].push(field.value);
+                }
+            } else if (field.type === 'radio') {
+                if (field.checked) {
+                    values[field.name] = field.value;
+                }
+            } else if (multiple) {
+                values[field.name] = Array.from(field.selectedOptions).map(option => option.value);
+            } else {
+                values[field.name] = field.value;
+            }
+        });
+        return values;
+    }
+
+    /**
+     * Fills a form's named fields from draft data, raising input and change events so bindings pick the values up
+     * @param {HTMLFormElement} form - The form
+     * @param {object} data - The values keyed by field name
+     */
+    function fillForm(form, data) {
+        Array.from(form.elements).forEach(field => {
+            if (!field.name || !Object.prototype.hasOwnProperty.call(data, field.name)) {
+                return;
+            }
+            const value = data[field.name];
+
+            if (field.type === 'checkbox') {
+                field.checked = Array.isArray(value) ? value.includes(field.value) : Boolean(value);
+            } else if (field.type === 'radio') {
+                field.checked = field.value === String(value);
+            } else if (field.multiple) {
+                const selected = (Array.isArray(value) ? value : [value]).map(String);
+                Array.from(field.options).forEach(option => {
+                    option.selected = selected.includes(option.value);
+                });
+            } else {
+                field.value = value === null || value === undefined ? '' : value;
+            }
+
+            field.dispatchEvent(new Event('input', { bubbles: true }));
+            field.dispatchEvent(new Event('change', { bubbles: true }));
+        });
+    }
+
+    /**
+     * Builds the list of drafts shown in the restore dialog
+     * @param {object[]} drafts - The drafts
+     * @returns {HTMLElement} The list
+     */
+    function buildDraftList(drafts) {
+        const t = window.i18n.t;
+        const list = document.createElement('div');
+        list.className = 'draft-list';
+        list.setAttribute('role', 'radiogroup');
+        list.setAttribute('aria-label', t('drafts.listLabel'));
+
+        drafts.forEach((draft, index) => {
+            const option = document.createElement('label');
+            option.className = 'draft-option';
+
+            const radio = document.createElement('input');
+            radio.type = 'radio';
+            radio.name = 'draft';
+            radio.value = draft.id;
+            radio.checked = index === 0;
+            option.appendChild(radio);
+
+            const text = document.createElement('span');
+            text.className = 'draft-option-text';
+            const name = document.createElement('strong');
+            name.textContent = draft.name;
+            text.appendChild(name);
+
+            const details = document.createElement('span');
+            details.className = 'draft-option-details';
+            const countries = draft.data && Array.isArray(draft.data.countryCodes) ? draft.data.countryCodes : null;
+            details.textContent = [
+                t('drafts.savedAt', { time: window.formatting.formatRelativeTime(draft.updatedAt) }),
+                countries ? t('drafts.countries', { count: countries.length }) : null
+            ].filter(Boolean).join(' · ');
+            text.appendChild(details);
+
+            option.appendChild(text);
+            list.appendChild(option);
+        });
+
+        return list;
+    }
+
+    /**
+     * Returns a draft without the fields used internally
+     * @param {object} draft - The stored draft
+     * @returns {object} A copy of the draft
+     */
+    function publicDraft(draft) {
+        return draft ? JSON.parse(JSON.stringify(draft)) : null;
+    }
+
+    window.drafts = {
+        /**
+         * Sets whose drafts are read and written; call it once the user is known (drafts saved before then are the anonymous user's)
+         * @param {string|null} id - The user's identifier, or null when signed out
+         */
+        setUser: function(id) {
+            window.drafts.flush();
+            userId = id ? String(id) : null;
+            Object.keys(activeDrafts).forEach(scope => delete activeDrafts[scope]);
+        },
+
+        /**
+         * Records the current state of a form; it is saved once changes pause. The first change of a scope starts
+         * a new draft unless one was made active with setActive or restored
+         * @param {string} scope - What is being edited (default 'calculator')
+         * @param {object} data - The form state, e.g. a CalculationInputModel
+         * @param {string} [name] - A name for the draft, replacing the generated one
+         * @returns {string} The ID of the draft being written
+         */
+        update: function(scope, data, name) {
+            const key = scope || DEFAULT_SCOPE;
+            if (!activeDrafts[key]) {
+                activeDrafts[key] = `draft-${Date.now().toString(36)}-${++sequence}`;
+            }
+            pending[key] = { draftId: activeDrafts[key], name: name || (pending[key] && pending[key].name) || null, data: JSON.parse(JSON.stringify(data === undefined ? null : data)) };
+            schedulePersist(key);
+            return activeDrafts[key];
+        },
+
+        /**
+         * Writes every unsaved change immediately; used when the tab is hidden or the session ends
+         */
+        flush: function() {
+            Object.keys(pending).forEach(scope => persist(scope));
+        },
+
+        /**
+         * Gets the current user's drafts
+         * @param {string} [scope] - Only drafts of this scope; all drafts if omitted
+         * @returns {object[]} Drafts with id, scope, name, data, createdAt and updatedAt, most recent first
+         */
+        list: function(scope) {
+            window.drafts.flush();
+            return readDrafts().filter(draft => !scope || draft.scope === scope).map(publicDraft);
+        },
+
+        /**
+         * Gets a draft
+         * @param {string} id - The draft ID
+         * @returns {object|null} The draft, or null if it does not exist or has expired
+         */
+        get: function(id) {
+            window.drafts.flush();
+            return publicDraft(readDrafts().find(draft => draft.id === id));
+        },
+
+        /**
+         * Continues editing a draft, so further updates of its scope are written to it
+         * @param {string} id - The draft ID
+         * @returns {object|null} The draft, or null if it does not exist or has expired
+         */
+        setActive: function(id) {
+            const draft = window.drafts.get(id);
+            if (draft) {
+                activeDrafts[draft.scope] = draft.id;
+            }
+            return draft;
+        },
+
+        /**
+         * Renames a draft
+         * @param {string} id - The draft ID
+         * @param {string} name - The new name
+         * @returns {boolean} True if the draft was renamed
+         */
+        rename: function(id, name) {
+            window.drafts.flush();
+            const drafts = readDrafts();
+            const draft = drafts.find(item => item.id === id);
+            if (!draft || !name) {
+                return false;
+            }
+            draft.name = String(name);
+            writeDrafts(drafts);
+            return true;
+        },
+
+        /**
+         * Deletes a draft
+         * @param {string} id - The draft ID
+         * @returns {object|null} The deleted draft, or null if there was none
+         */
+        discard: function(id) {
+            Object.keys(pending).forEach(scope => {
+                if (pending[scope].draftId === id) {
+                    delete pending[scope];
+                }
+            });
+            Object.keys(activeDrafts).forEach(scope => {
+                if (activeDrafts[scope] === id) {
+                    delete activeDrafts[scope];
+                }
+            });
+
+            const drafts = readDrafts();
+            const index = drafts.findIndex(draft => draft.id === id);
+            if (index < 0) {
+                return null;
+            }
+            const removed = drafts.splice(index, 1)[0];
+            writeDrafts(drafts);
+            window.dispatchEvent(new CustomEvent('vatfilingdraftdiscarded', { detail: { id, scope: removed.scope } }));
+            return publicDraft(removed);
+        },
+
+        /**
+         * Ends the draft of a scope once its form has been submitted, deleting it
+         * @param {string} [scope] - The scope (default 'calculator')
+         */
+        complete: function(scope) {
+            const key = scope || DEFAULT_SCOPE;
+            const id = activeDrafts[key] || (pending[key] && pending[key].draftId);
+            if (id) {
+                window.drafts.discard(id);
+            }
+        },
+
+        /**
+         * Offers to restore one of the user's drafts of a scope in a dialog listing them, with options to discard
+         * a draft (with an undo notification) or carry on without one
+         * @param {string} [scope] - The scope (default 'calculator')
+         * @returns {Promise<object|null>} Promise resolving to the restored draft, now active, or null
+         */
+        offerRestore: async function(scope) {
+            const key = scope || DEFAULT_SCOPE;
+            const t = window.i18n.t;
+
+            for (;;) {
+                const drafts = window.drafts.list(key).filter(draft => draft.id !== activeDrafts[key]);
+                if (drafts.length === 0) {
+                    return null;
+                }
+
+                const result = await window.dialogs.open({
+                    title: t('drafts.restoreTitle'),
+                    message: t('drafts.restoreMessage', { count: drafts.length }),
+                    content: buildDraftList(drafts),
+                    buttons: [
+                        { id: 'later', label: t('drafts.notNow'), variant: 'link' },
+                        { id: 'discard', label: t('drafts.discard'), variant: 'outline-danger' },
+                        { id: 'restore', label: t('drafts.restore'), variant: 'primary' }
+                    ]
+                });
+
+                const selected = result.values.draft;
+                if (result.action === 'restore' && selected) {
+                    const draft = window.drafts.setActive(selected);
+                    if (draft && trackedForms[key]) {
+                        fillForm(trackedForms[key], draft.data || {});
+                    }
+                    return draft;
+                }
+                if (result.action !== 'discard' || !selected) {
+                    return null;
+                }
+
+                const removed = window.drafts.discard(selected);
+                if (removed) {
+                    window.notifications.notify({
+                        message: t('drafts.discarded', { name: removed.name }),
+                        type: 'info',
+                        actions: [{
+                            id: 'undo',
+                            label: t('drafts.undo'),
+                            callback: () => {
+                                const drafts = readDrafts();
+                                drafts.push(removed);
+                                drafts.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+                                writeDrafts(drafts);
+                            }
+                        }]
+                    });
+                }
+            }
+        },
+
+        /**
+         * Autosaves a plain HTML form: its named fields are saved as a draft of the scope whenever they change,
+         * and restoring a draft of the scope fills them back in
+         * @param {HTMLFormElement|string} form - The form or its ID
+         * @param {object} [options] - { scope: the draft scope (default 'calculator'), offerRestore: whether to offer
+         *   saved drafts straight away (default true) }
+         * @returns {Promise<object|null>} Promise resolving to the draft restored into the form, or null
+         */
+        track: async function(form, options) {
+            const element = typeof form === 'string' ? document.getElementById(form) : form;
+            if (!element) {
+                console.warn(`Form '${form}' not found for draft autosave`);
+                return null;
+            }
+            const settings = options || {};
+            const key = settings.scope || DEFAULT_SCOPE;
+
+            if (trackedForms[key] !== element) {
+                trackedForms[key] = element;
+                const record = () => window.drafts.update(key, readForm(element));
+                element.addEventListener('input', record);
+                element.addEventListener('change', record);
+                // A submitted form no longer needs its draft
+                element.addEventListener('submit', event => {
+                    if (!event.defaultPrevented) {
+                        window.drafts.complete(key);
+                    }
+                });
+            }
+
+            return settings.offerRestore === false ? null : window.drafts.offerRestore(key);
+        }
+    };
+
+    // Save what has been typed when the tab is closed or hidden, or when the session times out; the
+    // timeout event is raised synchronously before the session is cleared
+    window.addEventListener('vatfilingsessiontimeout', () => window.drafts.flush());
+    window.addEventListener('pagehide', () => window.drafts.flush());
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') {
+            window.drafts.flush();
+        }
+    });
+})();
@@ -0,0 +1,392 @@
+/**
+ * errorReporter.js - Client-side error capture and reporting for VatFilingPricingTool
+ * Captures uncaught errors, unhandled promise rejections and errors handled by the interop layer,
+ * attaches breadcrumbs (route, recent interop calls, theme), scrubs personal data, and posts
+ * deduplicated batches to ErrorHandling.ErrorReportingEndpoint with retry and offline buffering.
+ * Loaded ahead of the other scripts, after interopHooks.js, so errors during startup are captured.
+ * Version: 1.0.0
+ */
+
+(function() {
+    const DEFAULT_ENDPOINT = '/api/errors/report';
+
+    // Reports waiting for delivery while offline or after repeated failures survive reloads here
+    const BUFFER_STORAGE_KEY = 'vat-filing-error-buffer';
+    const MAX_BUFFERED_REPORTS = 50;
+
+    const MAX_BREADCRUMBS = 20;
+    const MAX_BATCH_SIZE = 10;
+    const FLUSH_DELAY_MS = 5000;
+
+    // The same error seen again within this window only increases the count of the first report
+    const DEDUPE_WINDOW_MS = 60000;
+
+    // Upper bound on reports per page load, so an error in a render loop cannot flood the endpoint
+    const MAX_REPORTS_PER_PAGE = 100;
+
+    const MAX_RETRIES = 4;
+    const RETRY_BASE_DELAY_MS = 2000;
+
+    const MAX_TEXT_LENGTH = 2000;
+
+    // Personal data and credentials that must never leave the browser
+    const SCRUB_PATTERNS = [
+        { pattern: /\beyJ[\w-]+\.[\w-]+\.[\w-]+/g, replacement: '[token]' },
+        { pattern: /\b(Bearer|Basic)\s+[\w\-.~+/]+=*/gi, replacement: '$1 [token]' },
+        { pattern: /[\w.+-]+@[\w-]+(\.[\w-]+)+/g, replacement: '[email]' },
+        { pattern: /\b[A-Z]{2}\d{2}(?:\s?[A-Z0-9]{4}){2,7}(?:\s?[A-Z0-9]{1,4})?\b/g, replacement: '[iban]' },
+        { pattern: /\b(?:\d[ -]?){12,18}\d\b/g, replacement: '[number]' },
+        { pattern: /([?&#](?:access_token|id_token|refresh_token|token|code|password|email|state)=)[^&#\s]*/gi, replacement: '$1[redacted]' }
+    ];
+
+    const breadcrumbs = [];
+    const pending = [];
+    const recentFingerprints = new Map();
+
+    let reportCount = 0;
+    let flushTimer = null;
+    let flushing = false;
+    let retryAttempt = 0;
+
+    /**
+     * Gets the ErrorHandling section of the application settings
+     * @returns {object} The error handling settings
+     */
+    function getSettings() {
+        return (window.appSettings && window.appSettings.ErrorHandling) || {};
+    }
+
+    /**
+     * Determines whether reports are sent; until settings have loaded reports are queued
+     * @returns {boolean} True if reporting is enabled
+     */
+    function isEnabled() {
+        return getSettings().EnableErrorReporting !== false;
+    }
+
+    /**
+     * Removes personal data and credentials from text
+     * @param {string} text - The text to scrub
+     * @returns {string} The scrubbed text, truncated to a reasonable length
+     */
+    function scrub(text) {
+        if (text === null || text === undefined) {
+            return text;
+        }
+        let result = String(text);
+        SCRUB_PATTERNS.forEach(rule => {
+            result = result.replace(rule.pattern, rule.replacement);
+        });
+        return result.length > MAX_TEXT_LENGTH ? `${result.slice(0, MAX_TEXT_LENGTH)}…` : result;
+    }
+
+    /**
+     * Gets the current route without its query string
+     * @returns {string} The route path
+     */
+    function currentRoute() {
+        return scrub(window.location.pathname + window.location.hash);
+    }
+
+    /**
+     * Builds a stable fingerprint for deduplication
+     * @param {object} report - The report
+     * @returns {string} The fingerprint
+     */
+    function fingerprint(report) {
+        const firstFrame = (report.stack || '').split('\n').find(line => /:\d+/.test(line)) || '';
+        return `${report.type}|${report.message}|${firstFrame.trim()}`;
+    }
+
+    /**
+     * Normalizes an error-like value into message, name and stack
+     * @param {*} error - The error, rejection reason or message
+     * @returns {{name: string, message: string, stack: string}} The normalized error
+     */
+    function normalizeError(error) {
+        if (error instanceof Error) {
+            return { name: error.name, message: error.message, stack: error.stack || '' };
+        }
+        if (error && typeof error === 'object') {
+            return { name: error.name || 'Error', message: error.message || JSON.stringify(error), stack: error.stack || '' };
+        }
+        return { name: 'Error', message: String(error), stack: '' };
+    }
+
+    /**
+     * Reads the offline buffer
+     * @returns {object[]} The buffered reports
+     */
+    function readBuffer() {
+        try {
+            return JSON.parse(localStorage.getItem(BUFFER_STORAGE_KEY)) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Writes the offline buffer, keeping the most recent reports
+     * @param {object[]} reports - The reports to keep
+     */
+    function writeBuffer(reports) {
+        try {
+            if (reports.length === 0) {
+                localStorage.removeItem(BUFFER_STORAGE_KEY);
+            } else {
+                localStorage.setItem(BUFFER_STORAGE_KEY, JSON.stringify(reports.slice(-MAX_BUFFERED_REPORTS)));
+            }
+        } catch (error) {
+            // Storage is full or unavailable; these reports are lost
+        }
+    }
+
+    /**
+     * Schedules a flush of the pending reports
+     * @param {number} delayMs - The delay before flushing
+     */
+    function scheduleFlush(delayMs) {
+        if (flushTimer) {
+            clearTimeout(flushTimer);
+        }
+        flushTimer = setTimeout(() => {
+            flushTimer = null;
+            flush();
+        }, delayMs);
+    }
+
+    /**
+     * Posts a batch of reports
+     * @param {object[]} reports - The reports
+     * @param {boolean} [keepalive] - Whether the request may outlive the page
+     * @returns {Promise<string>} Promise resolving to 'sent', 'retry' or 'drop'
+     */
+    async function post(reports, keepalive) {
+        try {
+            const response = await fetch(getSettings().ErrorReportingEndpoint || DEFAULT_ENDPOINT, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ reports }),
+                credentials: 'same-origin',
+                keepalive: !!keepalive
+            });
+
+            if (response.ok) {
+                return 'sent';
+            }
+            // Other client errors mean the endpoint rejects the payload; retrying will not help
+            return response.status === 429 || response.status >= 500 ? 'retry' : 'drop';
+        } catch (error) {
+            return 'retry';
+        }
+    }
+
+    /**
+     * Sends pending and buffered reports in batches; failures are retried with backoff and then
+     * kept in the offline buffer
+     * @returns {Promise<void>} Promise that resolves when the flush completes
+     */
+    async function flush() {
+        if (flushing || !window.appSettings || !window.appSettings.ErrorHandling) {
+            // Settings have not loaded yet; app.js calls flush() once they have
+            return;
+        }
+        if (!isEnabled()) {
+            pending.length = 0;
+            writeBuffer([]);
+            return;
+        }
+
+        flushing = true;
+        try {
+            const queue = readBuffer().concat(pending.splice(0));
+            writeBuffer([]);
+
+            while (queue.length > 0) {
+                if (navigator.onLine === false) {
+                    writeBuffer(queue);
+                    return;
+                }
+
+                const batch = queue.slice(0, MAX_BATCH_SIZE);
+                const outcome = await post(batch);
+                if (outcome === 'retry') {
+                    writeBuffer(queue);
+                    if (retryAttempt < MAX_RETRIES) {
+                        scheduleFlush(RETRY_BASE_DELAY_MS * Math.pow(2, retryAttempt++));
+                    }
+                    return;
+                }
+
+                retryAttempt = 0;
+                queue.splice(0, batch.length);
+            }
+        } finally {
+            flushing = false;
+        }
+    }
+
+    /**
+     * Queues a report, merging it into an identical recent report
+     * @param {object} report - The report
+     */
+    function enqueue(report) {
+        const key = fingerprint(report);
+        const now = Date.now();
+
+        const recent = recentFingerprints.get(key);
+        if (recent && now - recent.seenAt < DEDUPE_WINDOW_MS) {
+            recent.report.count++;
+            recent.report.lastSeen = new Date(now).toISOString();
+            return;
+        }
+
+        if (reportCount >= MAX_REPORTS_PER_PAGE) {
+            return;
+        }
+        reportCount++;
+
+        report.fingerprint = key;
+        recentFingerprints.set(key, { seenAt: now, report });
+        pending.push(report);
+
+        scheduleFlush(pending.length >= MAX_BATCH_SIZE ? 0 : FLUSH_DELAY_MS);
+    }
+
+    /**
+     * Builds a report and queues it
+     * @param {string} type - 'error', 'unhandledrejection' or 'handled'
+     * @param {*} error - The error or rejection reason
+     * @param {object} [context] - Additional context (source, filename, line, column)
+     */
+    function report(type, error, context) {
+        try {
+            const normalized = normalizeError(error);
+            const ctx = context || {};
+
+            if (getSettings().LogClientErrors === false) {
+                return;
+            }
+
+            enqueue({
+                type,
+                name: normalized.name,
+                message: scrub(normalized.message),
+                stack: scrub(normalized.stack),
+                source: ctx.source || null,
+                location: ctx.filename ? scrub(`${ctx.filename}:${ctx.line || 0}:${ctx.column || 0}`) : null,
+                route: currentRoute(),
+                theme: window.themeManager ? window.themeManager.getTheme() : null,
+                timestamp: new Date().toISOString(),
+                lastSeen: null,
+                count: 1,
+                userAgent: navigator.userAgent,
+                breadcrumbs: breadcrumbs.slice()
+            });
+        } catch (reportingError) {
+            // Never let reporting raise errors of its own
+        }
+    }
+
+    /**
+     * Records a navigation breadcrumb when the route changes
+     */
+    function recordNavigation() {
+        window.errorReporter.addBreadcrumb('navigation', currentRoute());
+    }
+
+    window.errorReporter = {
+        /**
+         * Reports an error that was caught and handled, e.g. in an interop catch block
+         * @param {*} error - The error
+         * @param {string} [source] - Where the error was handled, e.g. 'initializeChart'
+         */
+        capture: function(error, source) {
+            report('handled', error, { source });
+        },
+
+        /**
+         * Records a breadcrumb attached to subsequent reports
+         * @param {string} category - The category, e.g. 'navigation', 'interop' or 'theme'
+         * @param {string} message - A short description
+         */
+        addBreadcrumb: function(category, message) {
+            breadcrumbs.push({ category, message: scrub(message), timestamp: new Date().toISOString() });
+            if (breadcrumbs.length > MAX_BREADCRUMBS) {
+                breadcrumbs.shift();
+            }
+        },
+
+        /**
+         * Sends queued and buffered reports now
+         * @returns {Promise<void>} Promise that resolves when the flush completes
+         */
+        flush: function() {
+            return flush();
+        },
+
+        /**
+         * Gets the number of reports waiting to be sent, including the offline buffer
+         * @returns {number} The number of reports
+         */
+        getPendingCount: function() {
+            return pending.length + readBuffer().length;
+        }
+    };
+
+    window.addEventListener('error', event => {
+        // Resource loading errors have no error object and are not reported
+        if (!event.error && !event.message) {
+            return;
+        }
+        report('error', event.error || event.message, {
+            filename: event.filename,
+            line: event.lineno,
+            column: event.colno
+        });
+    });
+
+    window.addEventListener('unhandledrejection', event => {
+        report('unhandledrejection', event.reason);
+    });
+
+    // Blazor navigates with the History API, which raises no event of its own
+    ['pushState', 'replaceState'].forEach(method => {
+        const original = history[method];
+        history[method] = function() {
+            const result = original.apply(this, arguments);
+            recordNavigation();
+            return result;
+        };
+    });
+    window.addEventListener('popstate', recordNavigation);
+    window.addEventListener('hashchange', recordNavigation);
+
+    // Interop calls instrumented in interop.js become breadcrumbs
+    window.interopHooks.addListener({
+        onStart: name => window.errorReporter.addBreadcrumb('interop', name)
+    });
+
+    window.addEventListener('vatfilingthemechanged', event => {
+        window.errorReporter.addBreadcrumb('theme', event.detail.theme);
+    });
+
+    window.addEventListener('online', () => {
+        retryAttempt = 0;
+        flush();
+    });
+
+    // Send what is pending when the page is hidden, as it may not come back
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden' && pending.length > 0 && isEnabled() && window.appSettings && window.appSettings.ErrorHandling) {
+            const batch = pending.splice(0, MAX_BATCH_SIZE);
+            post(batch, true).then(outcome => {
+                if (outcome === 'retry') {
+                    writeBuffer(readBuffer().concat(batch));
+                }
+            });
+        }
+    });
+
+    recordNavigation();
+})();
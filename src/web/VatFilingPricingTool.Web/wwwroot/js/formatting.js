@@ -0,0 +1,416 @@
+/**
+ * formatting.js - Locale-aware formatting for VatFilingPricingTool
+ * Formats currency, numbers, percentages, compact numbers, dates and relative times for the user's
+ * locale, honouring the UIConfiguration settings (DefaultLanguage, SupportedLanguages, NumberFormat,
+ * DateFormat, TimeFormat). Intl formatter instances are cached per locale and options.
+ * Version: 1.0.0
+ */
+
+(function() {
+    // Local storage key holding the locale chosen by the user
+    const LOCALE_STORAGE_KEY = 'vat-filing-locale';
+
+    const DEFAULT_LANGUAGE = 'en';
+
+    // Date and time pattern tokens supported in UIConfiguration.DateFormat and TimeFormat
+    const PATTERN_TOKENS = /'[^']*'|yyyy|yy|MMMM|MMM|MM|M|dddd|ddd|dd|d|HH|H|hh|h|mm|m|ss|s|tt/g;
+
+    // Units tried in order by formatRelativeTime, with their length in seconds
+    const RELATIVE_UNITS = [
+        ['year', 31536000],
+        ['month', 2592000],
+        ['week', 604800],
+        ['day', 86400],
+        ['hour', 3600],
+        ['minute', 60],
+        ['second', 1]
+    ];
+
+    const formatterCache = new Map();
+
+    let currentLocale = null;
+
+    /**
+     * Gets the UIConfiguration section of the application settings
+     * @returns {object} The UI settings
+     */
+    function getSettings() {
+        return (window.appSettings && window.appSettings.UIConfiguration) || {};
+    }
+
+    /**
+     * Gets the NumberFormat overrides; unset values defer to the locale
+     * @returns {{decimalSeparator: string|null, thousandsSeparator: string|null, decimalPlaces: number|null}} The overrides
+     */
+    function getNumberOverrides() {
+        const numberFormat = getSettings().NumberFormat || {};
+        return {
+            decimalSeparator: numberFormat.DecimalSeparator || null,
+            thousandsSeparator: typeof numberFormat.ThousandsSeparator === 'string' ? numberFormat.ThousandsSeparator : null,
+            decimalPlaces: Number.isInteger(numberFormat.DecimalPlaces) ? numberFormat.DecimalPlaces : null
+        };
+    }
+
+    /**
+     * Determines whether a locale's language is one of UIConfiguration.SupportedLanguages
+     * @param {string} locale - The locale, e.g. 'de-AT'
+     * @returns {boolean} True if the language is supported
+     */
+    function isSupported(locale) {
+        const supported = getSettings().SupportedLanguages;
+        if (!locale || !Array.isArray(supported) || supported.length === 0) {
+            return !!locale;
+        }
+        const language = String(locale).split('-')[0].toLowerCase();
+        return supported.some(candidate => String(candidate).toLowerCase() === language);
+    }
+
+    /**
+     * Resolves the locale: the user's choice, else the first browser language that is supported,
+     * else UIConfiguration.DefaultLanguage
+     * @returns {string} The locale
+     */
+    function resolveLocale() {
+        try {
+            const stored = localStorage.getItem(LOCALE_STORAGE_KEY);
+            if (stored && isSupported(stored)) {
+                return stored;
+            }
+        } catch (error) {
+            // Storage unavailable; fall back to the browser languages
+        }
+
+        const browserLocales = navigator.languages && navigator.languages.length > 0
+            ? navigator.languages
+            : [navigator.language];
+        const match = browserLocales.find(locale => isSupported(locale));
+        return match || getSettings().DefaultLanguage || DEFAULT_LANGUAGE;
+    }
+
+    /**
+     * Gets a cached Intl formatter
+     * @param {string} type - 'NumberFormat', 'DateTimeFormat' or 'RelativeTimeFormat'
+     * @param {object} options - The formatter options
+     * @returns {object} The formatter
+     */
+    function getFormatter(type, options) {
+        const locale = window.formatting.getLocale();
+        const key = `${type}|${locale}|${JSON.stringify(options)}`;
+
+        let formatter = formatterCache.get(key);
+        if (!formatter) {
+            formatter = new Intl[type](locale, options);
+            formatterCache.set(key, formatter);
+        }
+        return formatter;
+    }
+
+    /**
+     * Formats a number with the configured separators in place of the locale's
+     * @param {number} value - The value
+     * @param {object} options - Intl.NumberFormat options
+     * @returns {string} The formatted value
+     */
+    function formatWithOverrides(value, options) {
+        const overrides = getNumberOverrides();
+        const formatter = getFormatter('NumberFormat', options);
+
+        if (overrides.decimalSeparator === null && overrides.thousandsSeparator === null) {
+            return formatter.format(value);
+        }
+
+        return formatter.formatToParts(value).map(part => {
+            if (part.type === 'decimal' && overrides.decimalSeparator !== null) {
+                return overrides.decimalSeparator;
+            }
+            if (part.type === 'group' && overrides.thousandsSeparator !== null) {
+                return overrides.thousandsSeparator;
+            }
+            return part.value;
+        }).join('');
+    }
+
+    /**
+     * Builds the fraction digit options, defaulting to NumberFormat.DecimalPlaces
+     * @param {number} [decimals] - Explicit number of decimal places
+     * @param {number} fallback - Decimal places used when neither is set
+     * @returns {object} Intl.NumberFormat fraction digit options
+     */
+    function fractionDigits(decimals, fallback) {
+        const configured = getNumberOverrides().decimalPlaces;
+        const digits = Number.isInteger(decimals) ? decimals : (configured !== null ? configured : fallback);
+        return { minimumFractionDigits: digits, maximumFractionDigits: digits };
+    }
+
+    /**
+     * Converts a date-like value to a Date
+     * @param {Date|string|number} value - The value
+     * @returns {Date|null} The date, or null if invalid
+     */
+    function toDate(value) {
+        const date = value instanceof Date ? value : new Date(value);
+        return isNaN(date.getTime()) ? null : date;
+    }
+
+    /**
+     * Formats a date with a .NET-style pattern such as 'yyyy-MM-dd' or 'HH:mm'
+     * @param {Date} date - The date
+     * @param {string} pattern - The pattern
+     * @returns {string} The formatted date
+     */
+    function formatPattern(date, pattern) {
+        const pad = (value, length) => String(value).padStart(length, '0');
+        const hours12 = date.getHours() % 12 || 12;
+
+        return pattern.replace(PATTERN_TOKENS, token => {
+            switch (token) {
+                case 'yyyy': return String(date.getFullYear());
+                case 'yy': return pad(date.getFullYear() % 100, 2);
+                case 'MMMM': return getFormatter('DateTimeFormat', { month: 'long' }).format(date);
+                case 'MMM': return getFormatter('DateTimeFormat', { month: 'short' }).format(date);
+                case 'MM': return pad(date.getMonth() + 1, 2);
+                case 'M': return String(date.getMonth() + 1);
+                case 'dddd': return getFormatter('DateTimeFormat', { weekday: 'long' }).format(date);
+                case 'ddd': return getFormatter('DateTimeFormat', { weekday: 'short' }).format(date);
+                case 'dd': return pad(date.getDate(), 2);
+                case 'd': return String(date.getDate());
+                case 'HH': return pad(date.getHours(), 2);
+                case 'H': return String(date.getHours());
+                case 'hh': return pad(hours12, 2);
+                case 'h': return String(hours12);
+                case 'mm': return pad(date.getMinutes(), 2);
+                case 'm': return String(date.getMinutes());
+                case 'ss': return pad(date.getSeconds(), 2);
+                case 's': return String(date.getSeconds());
+                case 'tt': return date.getHours() < 12 ? 'AM' : 'PM';
+                default: return token.slice(1, -1);
+            }
+        });
+    }
+
+    /**
+     * Formats a chart value according to a chart's valueFormat option
+     * @param {number} value - The value
+     * @param {object} valueFormat - { style: 'number'|'currency'|'percent'|'compact', currency, decimals }
+     * @returns {string} The formatted value
+     */
+    function formatChartValue(value, valueFormat) {
+        switch (valueFormat.style) {
+            case 'currency':
+                return window.formatting.formatCurrency(value, valueFormat.currency, valueFormat.decimals);
+            case 'percent':
+                return window.formatting.formatPercent(value, valueFormat.decimals);
+            case 'compact':
+                return window.formatting.formatCompact(value);
+            default:
+                return window.formatting.formatNumber(value, valueFormat.decimals);
+        }
+    }
+
+    window.formatting = {
+        /**
+         * Gets the locale used for formatting
+         * @returns {string} The locale, e.g. 'en' or 'de-DE'
+         */
+        getLocale: function() {
+            if (!currentLocale) {
+                currentLocale = resolveLocale();
+            }
+            return currentLocale;
+        },
+
+        /**
+         * Sets and persists the user's locale, then redraws charts so their labels follow
+         * @param {string|null} locale - A locale whose language is supported, or null to use the default
+         * @returns {string} The locale now in use
+         */
+        setLocale: function(locale) {
+            try {
+                if (locale && isSupported(locale)) {
+                    localStorage.setItem(LOCALE_STORAGE_KEY, locale);
+                } else {
+                    if (locale) {
+                        console.warn(`Locale '${locale}' is not in UIConfiguration.SupportedLanguages`);
+                    }
+                    localStorage.removeItem(LOCALE_STORAGE_KEY);
+                }
+            } catch (error) {
+                console.error(`Error storing locale: ${error}`);
+            }
+
+            currentLocale = null;
+            formatterCache.clear();
+            const resolved = window.formatting.getLocale();
+
+            document.documentElement.lang = resolved;
+            Object.values(window.chartInstances || {}).forEach(chart => {
+                if (chart && typeof chart.update === 'function') {
+                    chart.update('none');
+                }
+            });
+            window.dispatchEvent(new CustomEvent('vatfilinglocalechanged', { detail: { locale: resolved } }));
+
+            return resolved;
+        },
+
+        /**
+         * Formats an amount as currency
+         * @param {number} amount - The amount
+         * @param {string} [currencyCode] - The ISO currency code; defaults to UIConfiguration.DefaultCurrency
+         * @param {number} [decimals] - Decimal places; defaults to NumberFormat.DecimalPlaces
+         * @returns {string} The formatted amount
+         */
+        formatCurrency: function(amount, currencyCode, decimals) {
+            return formatWithOverrides(Number(amount) || 0, Object.assign({
+                style: 'currency',
+                currency: currencyCode || getSettings().DefaultCurrency || 'EUR'
+            }, fractionDigits(decimals, 2)));
+        },
+
+        /**
+         * Formats a number
+         * @param {number} value - The value
+         * @param {number} [decimals] - Decimal places; defaults to NumberFormat.DecimalPlaces
+         * @returns {string} The formatted number
+         */
+        formatNumber: function(value, decimals) {
+            return formatWithOverrides(Number(value) || 0, fractionDigits(decimals, 2));
+        },
+
+        /**
+         * Formats a ratio as a percentage (0.15 becomes 15%)
+         * @param {number} ratio - The ratio
+         * @param {number} [decimals] - Decimal places; defaults to 0
+         * @returns {string} The formatted percentage
+         */
+        formatPercent: function(ratio, decimals) {
+            const digits = Number.isInteger(decimals) ? decimals : 0;
+            return formatWithOverrides(Number(ratio) || 0, {
+                style: 'percent',
+                minimumFractionDigits: digits,
+                maximumFractionDigits: digits
+            });
+        },
+
+        /**
+         * Formats a number in compact notation (e.g. 12K or 1.2M in English)
+         * @param {number} value - The value
+         * @param {string} [currencyCode] - Formats as compact currency when given
+         * @returns {string} The formatted number
+         */
+        formatCompact: function(value, currencyCode) {
+            const options = { notation: 'compact', minimumFractionDigits: 0, maximumFractionDigits: 1 };
+            if (currencyCode) {
+                Object.assign(options, { style: 'currency', currency: currencyCode });
+            }
+            return formatWithOverrides(Number(value) || 0, options);
+        },
+
+        /**
+         * Formats a date or time
+         * @param {Date|string|number} value - The date
+         * @param {string} [style] - 'date' (UIConfiguration.DateFormat, the default), 'time' (TimeFormat),
+         * 'datetime' (both), or an Intl dateStyle ('short', 'medium', 'long' or 'full')
+         * @returns {string} The formatted date, or an empty string for invalid dates
+         */
+        formatDate: function(value, style) {
+            const date = toDate(value);
+            if (!date) {
+                return '';
+            }
+
+            const settings = getSettings();
+            switch (style || 'date') {
+                case 'date':
+                    return settings.DateFormat
+                        ? formatPattern(date, settings.DateFormat)
+                        : getFormatter('DateTimeFormat', { dateStyle: 'short' }).format(date);
+                case 'time':
+                    return settings.TimeFormat
+                        ? formatPattern(date, settings.TimeFormat)
+                        : getFormatter('DateTimeFormat', { timeStyle: 'short' }).format(date);
+                case 'datetime':
+                    return `${window.formatting.formatDate(date, 'date')} ${window.formatting.formatDate(date, 'time')}`;
+                default:
+                    return getFormatter('DateTimeFormat', { dateStyle: style }).format(date);
+            }
+        },
+
+        /**
+         * Formats a date relative to now, e.g. "3 days ago" or "in 2 hours"
+         * @param {Date|string|number} value - The date
+         * @param {Date|string|number} [now] - The reference time; defaults to the current time
+         * @returns {string} The relative time, or an empty string for invalid dates
+         */
+        formatRelativeTime: function(value, now) {
+            const date = toDate(value);
+            const reference = now === undefined ? new Date() : toDate(now);
+            if (!date || !reference) {
+                return '';
+            }
+
+            const seconds = (date.getTime() - reference.getTime()) / 1000;
+            const formatter = getFormatter('RelativeTimeFormat', { numeric: 'auto' });
+            const unit = RELATIVE_UNITS.find(candidate => Math.abs(seconds) >= candidate[1]) || RELATIVE_UNITS[RELATIVE_UNITS.length - 1];
+            return formatter.format(Math.round(seconds / unit[1]), unit[0]);
+        },
+
+        /**
+         * Installs tooltip and value-axis formatting on chart options, driven by options.valueFormat
+         * ({ style: 'number'|'currency'|'percent'|'compact', currency, decimals }); callbacks already
+         * present in the options are kept
+         * @param {object} options - The Chart.js options, modified in place
+         * @param {string} chartType - The chart type
+         */
+        applyToChartOptions: function(options, chartType) {
+            // Kept on the options so the display currency can be changed after the chart is created
+            const valueFormat = options.valueFormat = Object.assign({ style: 'number' }, options.valueFormat);
+            const horizontal = options.indexAxis === 'y';
+            const radial = chartType === 'radar' || chartType === 'polarArea';
+            const circular = chartType === 'pie' || chartType === 'doughnut' || chartType === 'polarArea';
+
+            options.plugins = options.plugins || {};
+            options.plugins.tooltip = options.plugins.tooltip || {};
+            options.plugins.tooltip.callbacks = options.plugins.tooltip.callbacks || {};
+            if (!options.plugins.tooltip.callbacks.label) {
+                options.plugins.tooltip.callbacks.label = function(context) {
+                    const parsed = context.parsed;
+                    let value = parsed;
+                    if (parsed !== null && typeof parsed === 'object') {
+                        value = radial ? parsed.r : (horizontal ? parsed.x : parsed.y);
+                    }
+                    const label = circular ? context.label : context.dataset.label;
+                    const formatted = formatChartValue(value, valueFormat);
+                    return label ? `${label}: ${formatted}` : formatted;
+                };
+            }
+
+            if (chartType === 'pie' || chartType === 'doughnut') {
+                return;
+            }
+
+            const axisId = radial ? 'r' : (horizontal ? 'x' : 'y');
+            options.scales = options.scales || {};
+            options.scales[axisId] = options.scales[axisId] || {};
+            options.scales[axisId].ticks = options.scales[axisId].ticks || {};
+            if (!options.scales[axisId].ticks.callback) {
+                // Axis labels use compact notation so large amounts stay readable
+                options.scales[axisId].ticks.callback = function(value) {
+                    if (valueFormat.style === 'percent') {
+                        return window.formatting.formatPercent(value, valueFormat.decimals);
+                    }
+                    return window.formatting.formatCompact(value, valueFormat.style === 'currency' ? valueFormat.currency : null);
+                };
+            }
+        }
+    };
+
+    document.documentElement.lang = window.formatting.getLocale();
+
+    // The supported languages and default are only known once settings have loaded
+    window.addEventListener('vatfilingappready', () => {
+        currentLocale = null;
+        formatterCache.clear();
+        document.documentElement.lang = window.formatting.getLocale();
+    });
+})();
@@ -0,0 +1,442 @@
+/**
+ * historyStore.js - IndexedDB-backed calculation history for VatFilingPricingTool
+ * Keeps each user's calculation results in the browser, indexed by date, country codes, service
+ * type and total cost, and answers CalculationFilterModel queries with paging so history pages
+ * load instantly and work offline. A user's results are removed when they sign out
+ * Version: 1.0.0
+ */
+
+(function() {
+    const DB_NAME = 'vat-filing-history';
+    const DB_VERSION = 2;
+    const STORE_NAME = 'calculations';
+
+    // Owner of results saved before a user is set
+    const ANONYMOUS_OWNER = 'anonymous';
+
+    // Fields derived from each result so they can be indexed; removed before results are returned
+    const DERIVED_FIELDS = ['ownerId', 'countryCodes', 'ownerCountryCodes', 'calculationTimestamp', 'archivedFlag', 'storedAt'];
+
+    // A date with no time of day, or midnight without a time zone, as a date picker sends it
+    const DATE_ONLY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:T00:00(?::00(?:\.0+)?)?)?$/;
+
+    // CalculationFilterModel.SortBy values mapped to record accessors
+    const SORT_FIELDS = {
+        calculationdate: record => record.calculationTimestamp,
+        totalcost: record => Number(record.totalCost) || 0,
+        servicetype: record => Number(record.serviceType) || 0,
+        transactionvolume: record => Number(record.transactionVolume) || 0,
+        filingfrequency: record => Number(record.filingFrequency) || 0,
+        countrycount: record => record.countryCodes.length
+    };
+
+    const DEFAULT_PAGE_SIZE = 10;
+    const MAX_PAGE_SIZE = 100;
+
+    let databasePromise = null;
+
+    // Whose results are read and written; set by the .NET authentication state provider
+    let ownerId = ANONYMOUS_OWNER;
+
+    /**
+     * Opens the history database, creating the object store and indexes on first use. Version 1
+     * kept every user's results together, so its store is dropped rather than guessing their owners
+     * @returns {Promise<IDBDatabase>} Promise resolving to the open database
+     */
+    function getDatabase() {
+        if (!databasePromise) {
+            databasePromise = window.indexedDbHelper.openDatabase(DB_NAME, DB_VERSION, database => {
+                if (database.objectStoreNames.contains(STORE_NAME)) {
+                    database.deleteObjectStore(STORE_NAME);
+                }
+                const store = database.createObjectStore(STORE_NAME, { keyPath: ['ownerId', 'calculationId'] });
+                store.createIndex('ownerId', 'ownerId', { unique: false });
+                store.createIndex('calculationDate', ['ownerId', 'calculationTimestamp'], { unique: false });
+                store.createIndex('countryCodes', 'ownerCountryCodes', { unique: false, multiEntry: true });
+                store.createIndex('serviceType', ['ownerId', 'serviceType'], { unique: false });
+                store.createIndex('totalCost', ['ownerId', 'totalCost'], { unique: false });
+                store.createIndex('isArchived', ['ownerId', 'archivedFlag'], { unique: false });
+            });
+        }
+        return databasePromise;
+    }
+
+    /**
+     * Gets the user a calculation result kept in local storage by earlier versions belongs to
+     * @param {object} item - The stored result, serialised by JavaScript (userId) or .NET (UserId)
+     * @returns {string|null} The user's identifier, or null if the result records none
+     */
+    function legacyOwner(item) {
+        const owner = item.userId !== undefined ? item.userId : item.UserId;
+        return owner === undefined || owner === null || owner === '' ? null : String(owner);
+    }
+
+    /**
+     * Moves the signed-in user's calculations from the history kept in local storage by earlier versions
+     * into their results. Those keys were shared by everyone using the browser, so only results recording
+     * this user as their owner are imported; other users' results stay for them to import, and results
+     * recording no owner are discarded rather than given to whoever signs in first
+     * @param {string} userId - The signed-in user's identifier
+     * @returns {Promise<void>} Promise that resolves when the import has finished
+     */
+    async function importLocalStorageHistory(userId) {
+        try {
+            const settings = (window.appSettings && window.appSettings.LocalStorage) || {};
+            const keys = [settings.CalculationHistoryKey || 'calculation_history', 'vat_filing_calculation_history'];
+            const results = [];
+            keys.forEach(key => {
+                const value = window.vatStorage.get(key);
+                const items = typeof value === 'string' ? JSON.parse(value) : value;
+                if (!Array.isArray(items)) {
+                    return;
+                }
+                const owned = items.filter(item => item && item.calculationId && legacyOwner(item));
+                results.push(...owned.filter(item => legacyOwner(item) === userId));
+                const others = owned.filter(item => legacyOwner(item) !== userId);
+                if (others.length > 0) {
+                    window.vatStorage.set(key, typeof value === 'string' ? JSON.stringify(others) : others);
+                } else {
+                    window.vatStorage.remove(key);
+                }
+            });
+
+            if (results.length > 0) {
+                await withStore('readwrite', store => {
+                    results.forEach(result => store.put(toRecord(result)));
+                    return null;
+                });
+                console.log(`Imported ${results.length} calculation(s) into the history store`);
+            }
+        } catch (error) {
+            console.error(`Error importing calculation history: ${error}`);
+        }
+    }
+
+    /**
+     * Runs a callback against the history object store inside a transaction
+     * @param {string} mode - The transaction mode ('readonly' or 'readwrite')
+     * @param {function(IDBObjectStore): IDBRequest} callback - Callback issuing the store request
+     * @returns {Promise<any>} Promise resolving to the request result once the transaction completes
+     */
+    async function withStore(mode, callback) {
+        const database = await getDatabase();
+        const transaction = database.transaction(STORE_NAME, mode);
+        const request = callback(transaction.objectStore(STORE_NAME));
+        const result = request ? window.indexedDbHelper.requestToPromise(request) : Promise.resolve();
+        await window.indexedDbHelper.transactionToPromise(transaction);
+        return result;
+    }
+
+    /**
+     * Converts a CalculationResultModel-shaped object into a stored record with indexable fields
+     * @param {object} result - The calculation result
+     * @returns {object} The record
+     */
+    function toRecord(result) {
+        if (!result || !result.calculationId) {
+            throw new Error('A calculation must have a calculationId to be stored in history');
+        }
+
+        const record = Object.assign({}, result);
+        record.ownerId = ownerId;
+        record.countryCodes = Array.from(new Set((result.countryBreakdowns || [])
+            .map(country => country.countryCode)
+            .filter(Boolean)
+            .map(code => code.toUpperCase())));
+        // Country codes are indexed together with the owner; a multi-entry index cannot be compound
+        record.ownerCountryCodes = record.countryCodes.map(code => ownerCountryKey(code));
+        record.calculationTimestamp = result.calculationDate ? new Date(result.calculationDate).getTime() : Date.now();
+        record.serviceType = Number(result.serviceType) || 0;
+        record.totalCost = Number(result.totalCost) || 0;
+        // Booleans are not valid IndexedDB keys, so the archived flag is indexed as 0 or 1
+        record.archivedFlag = result.isArchived ? 1 : 0;
+        record.storedAt = Date.now();
+        return record;
+    }
+
+    /**
+     * Converts a stored record back into a CalculationResultModel-shaped object
+     * @param {object} record - The stored record
+     * @returns {object} The calculation result
+     */
+    function fromRecord(record) {
+        const result = Object.assign({}, record);
+        DERIVED_FIELDS.forEach(field => delete result[field]);
+        return result;
+    }
+
+    /**
+     * Gets the key a country code is indexed under for the current owner
+     * @param {string} countryCode - The upper-case country code
+     * @returns {string} The index key
+     */
+    function ownerCountryKey(countryCode) {
+        return `${ownerId}|${countryCode}`;
+    }
+
+    /**
+     * Converts a filter date to a timestamp. A date without a time of day covers the whole day in the
+     * user's time zone, so an end date of 2024-03-31 includes calculations made that afternoon
+     * @param {string|null} value - The date from the filter
+     * @param {boolean} endOfDay - Whether a date-only value means the end of the day rather than its start
+     * @returns {number|null} The timestamp, or null if no date was given
+     */
+    function toFilterTime(value, endOfDay) {
+        if (!value) {
+            return null;
+        }
+        const dateOnly = DATE_ONLY_PATTERN.exec(String(value));
+        if (!dateOnly) {
+            return new Date(value).getTime();
+        }
+        const day = new Date(Number(dateOnly[1]), Number(dateOnly[2]) - 1, Number(dateOnly[3]) + (endOfDay ? 1 : 0));
+        return endOfDay ? day.getTime() - 1 : day.getTime();
+    }
+
+    /**
+     * Normalizes a CalculationFilterModel-shaped object, applying its defaults
+     * @param {object} [filter] - The filter
+     * @returns {object} The normalized filter
+     */
+    function normalizeFilter(filter) {
+        const source = filter || {};
+        const pageSize = Math.min(Math.max(Number(source.pageSize) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+        return {
+            pageNumber: Math.max(Number(source.pageNumber) || 1, 1),
+            pageSize,
+            startTime: toFilterTime(source.startDate, false),
+            endTime: toFilterTime(source.endDate, true),
+            countryCodes: (source.countryCodes || []).filter(Boolean).map(code => code.toUpperCase()),
+            serviceType: source.serviceType === null || source.serviceType === undefined ? null : Number(source.serviceType),
+            includeArchived: !!source.includeArchived,
+            sortBy: String(source.sortBy || 'CalculationDate').toLowerCase(),
+            sortDescending: source.sortDescending === undefined || source.sortDescending === null ? true : !!source.sortDescending
+        };
+    }
+
+    /**
+     * Reads the current owner's candidate records using the most selective index for the filter
+     * @param {IDBObjectStore} store - The object store
+     * @param {object} filter - The normalized filter
+     * @returns {IDBRequest} The request returning candidate records
+     */
+    function selectCandidates(store, filter) {
+        if (filter.startTime !== null || filter.endTime !== null) {
+            const range = IDBKeyRange.bound(
+                [ownerId, filter.startTime !== null ? filter.startTime : -Infinity],
+                [ownerId, filter.endTime !== null ? filter.endTime : Infinity]);
+            return store.index('calculationDate').getAll(range);
+        }
+        if (filter.countryCodes.length === 1) {
+            return store.index('countryCodes').getAll(ownerCountryKey(filter.countryCodes[0]));
+        }
+        if (filter.serviceType !== null) {
+            return store.index('serviceType').getAll([ownerId, filter.serviceType]);
+        }
+        if (!filter.includeArchived) {
+            return store.index('isArchived').getAll([ownerId, 0]);
+        }
+        return store.index('ownerId').getAll(ownerId);
+    }
+
+    /**
+     * Determines whether a record matches every criterion of the filter
+     * @param {object} record - The stored record
+     * @param {object} filter - The normalized filter
+     * @returns {boolean} True if the record matches
+     */
+    function matches(record, filter) {
+        if (record.ownerId !== ownerId) {
+            return false;
+        }
+        if (!filter.includeArchived && record.archivedFlag === 1) {
+            return false;
+        }
+        if (filter.startTime !== null && record.calculationTimestamp < filter.startTime) {
+            return false;
+        }
+        if (filter.endTime !== null && record.calculationTimestamp > filter.endTime) {
+            return false;
+        }
+        if (filter.serviceType !== null && record.serviceType !== filter.serviceType) {
+            return false;
+        }
+        // A calculation matches when it covers any of the requested countries
+        if (filter.countryCodes.length > 0 && !filter.countryCodes.some(code => record.countryCodes.includes(code))) {
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Notifies listeners that the stored history changed
+     * @param {string} action - What changed ('saved', 'removed', 'archived', 'cleared' or 'userChanged')
+     * @param {string[]} ids - The affected calculation IDs
+     */
+    function notifyChanged(action, ids) {
+        window.dispatchEvent(new CustomEvent('vatfilinghistorychanged', { detail: { action, ids } }));
+    }
+
+    window.historyStore = {
+        /**
+         * Determines whether the history store can be used in this browser
+         * @returns {boolean} True if IndexedDB is available
+         */
+        isSupported: function() {
+            return window.indexedDbHelper.isSupported();
+        },
+
+        /**
+         * Sets whose results are read and written; results saved before a user is set belong to no one
+         * and are only visible until then. The user's own calculations in the history kept in local storage
+         * by earlier versions are moved into their results
+         * @param {string|null} id - The user's identifier, or null when signed out
+         * @returns {Promise<void>} Promise that resolves once the user's results are available
+         */
+        setUser: async function(id) {
+            const next = id ? String(id) : ANONYMOUS_OWNER;
+            if (next === ownerId) {
+                return;
+            }
+            ownerId = next;
+            if (ownerId !== ANONYMOUS_OWNER) {
+                await importLocalStorageHistory(ownerId);
+            }
+            notifyChanged('userChanged', []);
+        },
+
+        /**
+         * Removes the current user's results and stops reading them; called when the user signs out
+         * so the next person using the browser cannot see them
+         * @returns {Promise<void>} Promise that resolves when the results have been removed
+         */
+        signOut: async function() {
+            await window.historyStore.clear();
+            await window.historyStore.setUser(null);
+        },
+
+        /**
+         * Saves a calculation result, replacing any stored copy with the same calculationId
+         * @param {object} result - A CalculationResultModel-shaped object
+         * @returns {Promise<void>} Promise that resolves when the result has been stored
+         */
+        save: async function(result) {
+            await withStore('readwrite', store => store.put(toRecord(result)));
+            notifyChanged('saved', [result.calculationId]);
+        },
+
+        /**
+         * Saves several calculation results in one transaction, such as a page loaded from the API
+         * @param {object[]} results - CalculationResultModel-shaped objects
+         * @returns {Promise<number>} Promise resolving to the number of results stored
+         */
+        saveMany: async function(results) {
+            const records = (results || []).filter(result => result && result.calculationId).map(toRecord);
+            if (records.length === 0) {
+                return 0;
+            }
+            await withStore('readwrite', store => {
+                records.forEach(record => store.put(record));
+                return null;
+            });
+            notifyChanged('saved', records.map(record => record.calculationId));
+            return records.length;
+        },
+
+        /**
+         * Gets a stored calculation result
+         * @param {string} calculationId - The calculation ID
+         * @returns {Promise<object|null>} Promise resolving to the result or null if not stored
+         */
+        get: async function(calculationId) {
+            const record = await withStore('readonly', store => store.get([ownerId, calculationId]));
+            return record ? fromRecord(record) : null;
+        },
+
+        /**
+         * Removes a stored calculation result
+         * @param {string} calculationId - The calculation ID
+         * @returns {Promise<void>} Promise that resolves when the result has been removed
+         */
+        remove: async function(calculationId) {
+            await withStore('readwrite', store => store.delete([ownerId, calculationId]));
+            notifyChanged('removed', [calculationId]);
+        },
+
+        /**
+         * Archives or restores a stored calculation result
+         * @param {string} calculationId - The calculation ID
+         * @param {boolean} isArchived - Whether the calculation is archived
+         * @returns {Promise<boolean>} Promise resolving to true if the calculation was found
+         */
+        setArchived: async function(calculationId, isArchived) {
+            const record = await withStore('readonly', store => store.get([ownerId, calculationId]));
+            if (!record) {
+                return false;
+            }
+            record.isArchived = !!isArchived;
+            await withStore('readwrite', store => store.put(toRecord(fromRecord(record))));
+            notifyChanged('archived', [calculationId]);
+            return true;
+        },
+
+        /**
+         * Queries stored results with the same filters as CalculationFilterModel
+         * @param {object} [filter] - { pageNumber, pageSize, startDate, endDate, countryCodes, serviceType,
+         *        includeArchived, sortBy ('CalculationDate', 'TotalCost', 'ServiceType', 'TransactionVolume',
+         *        'FilingFrequency' or 'CountryCount'), sortDescending }
+         * @returns {Promise<{items: object[], totalCount: number, pageNumber: number, pageSize: number, totalPages: number}>}
+         *          Promise resolving to a CalculationHistoryModel-shaped page
+         */
+        query: async function(filter) {
+            const normalized = normalizeFilter(filter);
+            const candidates = await withStore('readonly', store => selectCandidates(store, normalized));
+
+            const sortValue = SORT_FIELDS[normalized.sortBy] || SORT_FIELDS.calculationdate;
+            const direction = normalized.sortDescending ? -1 : 1;
+            const filtered = candidates
+                .filter(record => matches(record, normalized))
+                .sort((a, b) => {
+                    const difference = sortValue(a) - sortValue(b);
+                    // Newest first breaks ties so paging is stable
+                    return difference !== 0 ? difference * direction : b.calculationTimestamp - a.calculationTimestamp;
+                });
+
+            const start = (normalized.pageNumber - 1) * normalized.pageSize;
+            return {
+                items: filtered.slice(start, start + normalized.pageSize).map(fromRecord),
+                totalCount: filtered.length,
+                pageNumber: normalized.pageNumber,
+                pageSize: normalized.pageSize,
+                totalPages: Math.ceil(filtered.length / normalized.pageSize)
+            };
+        },
+
+        /**
+         * Counts the current user's stored results
+         * @returns {Promise<number>} Promise resolving to the number of stored results
+         */
+        count: function() {
+            return withStore('readonly', store => store.index('ownerId').count(ownerId));
+        },
+
+        /**
+         * Removes every result of the current user
+         * @returns {Promise<void>} Promise that resolves when the results have been removed
+         */
+        clear: async function() {
+            await withStore('readwrite', store => {
+                const request = store.index('ownerId').openKeyCursor(ownerId);
+                request.onsuccess = () => {
+                    const cursor = request.result;
+                    if (cursor) {
+                        store.delete(cursor.primaryKey);
+                        cursor.continue();
+                    }
+                };
+                return null;
+            });
+            notifyChanged('cleared', []);
+        }
+    };
+})();
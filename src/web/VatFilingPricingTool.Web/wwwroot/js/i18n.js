@@ -0,0 +1,463 @@
+/**
+ * i18n.js - Client-side internationalisation for VatFilingPricingTool
+ * Translates user-facing strings from JSON message catalogs (wwwroot/i18n/<language>.json), loaded
+ * on demand for the UIConfiguration.SupportedLanguages and falling back to DefaultLanguage. Messages
+ * use ICU-style syntax: {name} interpolation, and plural and select arguments.
+ * Version: 1.0.0
+ */
+
+(function() {
+    const CATALOG_PATH = 'i18n';
+
+    const DEFAULT_LANGUAGE = 'en';
+
+    // Catalogs keyed by language, set once loaded; loads in flight are shared through catalogPromises
+    const catalogs = {};
+    const catalogPromises = {};
+
+    // Parsed messages keyed by language and message key
+    const messageCache = new Map();
+
+    const subscribers = window.subscriptions.create('OnLanguageChanged', 'language');
+
+    let activeLanguage = null;
+    let switchingTo = null;
+    let switching = null;
+
+    /**
+     * Gets the UIConfiguration section of the application settings
+     * @returns {object} The UI settings
+     */
+    function getSettings() {
+        return (window.appSettings && window.appSettings.UIConfiguration) || {};
+    }
+
+    /**
+     * Gets the language messages fall back to
+     * @returns {string} The default language
+     */
+    function defaultLanguage() {
+        return String(getSettings().DefaultLanguage || DEFAULT_LANGUAGE).toLowerCase();
+    }
+
+    /**
+     * Reduces a locale to a supported language
+     * @param {string} locale - The locale, e.g. 'de-AT'
+     * @returns {string|null} The language, e.g. 'de', or null if it is not supported
+     */
+    function toSupportedLanguage(locale) {
+        if (!locale) {
+            return null;
+        }
+        const language = String(locale).split('-')[0].toLowerCase();
+        const supported = getSettings().SupportedLanguages;
+        if (Array.isArray(supported) && supported.length > 0 &&
+            !supported.some(candidate => String(candidate).toLowerCase() === language)) {
+            return null;
+        }
+        return language;
+    }
+
+    /**
+     * Gets the language of the formatting locale, or the default language if it is not supported
+     * @returns {string} The language
+     */
+    function resolveLanguage() {
+        return toSupportedLanguage(window.formatting.getLocale()) || defaultLanguage();
+    }
+
+    /**
+     * Loads a message catalog; a catalog that fails to load is treated as empty
+     * @param {string} language - The language
+     * @returns {Promise<object>} Promise resolving to the catalog
+     */
+    function loadCatalog(language) {
+        if (!catalogPromises[language]) {
+            catalogPromises[language] = fetch(`${CATALOG_PATH}/${language}.json`)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`${response.status} ${response.statusText}`);
+                    }
+                    return response.json();
+                })
+                .catch(error => {
+                    console.error(`Error loading '${language}' messages: ${error}`);
+                    // Allow a later attempt, e.g. once the connection is back
+                    delete catalogPromises[language];
+                    return {};
+                })
+                .then(catalog => {
+                    catalogs[language] = catalog;
+                    return catalog;
+                });
+        }
+        return catalogPromises[language];
+    }
+
+    /**
+     * Looks up a message in a catalog; keys are dotted paths into nested objects
+     * @param {string} language - The language
+     * @param {string} key - The message key, e.g. 'print.title'
+     * @returns {string|undefined} The message, or undefined if the catalog has none
+     */
+    function lookup(language, key) {
+        let node = catalogs[language];
+        const parts = key.split('.');
+        for (let i = 0; i < parts.length && node; i++) {
+            node = node[parts[i]];
+        }
+        return typeof node === 'string' ? node : undefined;
+    }
+
+    /**
+     * Parses message text up to the end of the message or of the enclosing plural or select option
+     * @param {string} message - The message
+     * @param {object} state - The parse position, { pos }
+     * @param {boolean} inPlural - Whether # stands for the plural value here
+     * @returns {Array} The message parts: strings, { arg }, or { hash: true }
+     */
+    function parseParts(message, state, inPlural) {
+        const parts = [];
+        let text = '';
+
+        while (state.pos < message.length) {
+            const char = message[state.pos];
+            if (char === '}') {
+                break;
+            }
+            if (char === '{' || (char === '#' && inPlural)) {
+                if (text) {
+                    parts.push(text);
+                    text = '';
+                }
+                parts.push(char === '#' ? { hash: true } : parseArgument(message, state));
+                if (char === '#') {
+                    state.pos++;
+                }
+                continue;
+            }
+            text += char;
+            state.pos++;
+        }
+
+        if (text) {
+            parts.push(text);
+        }
+        return parts;
+    }
+
+    /**
+     * Reads characters up to, but not including, any of the given characters
+     * @param {string} message - The message
+     * @param {object} state - The parse position, { pos }
+     * @param {string} stopChars - The characters that end the token
+     * @returns {string} The trimmed token
+     */
+    function readToken(message, state, stopChars) {
+        const start = state.pos;
+        while (state.pos < message.length && !stopChars.includes(message[state.pos])) {
+            state.pos++;
+        }
+        return message.slice(start, state.pos).trim();
+    }
+
+    /**
+     * Parses an argument starting at '{': {name}, {name, plural, ...} or {name, select, ...}
+     * @param {string} message - The message
+     * @param {object} state - The parse position, { pos }
+     * @returns {object} The argument, { arg, type, options }
+     */
+    function parseArgument(message, state) {
+        state.pos++;
+        const argument = { arg: readToken(message, state, ',}') };
+
+        if (message[state.pos] === ',') {
+            state.pos++;
+            argument.type = readToken(message, state, ',}');
+            if (argument.type !== 'plural' && argument.type !== 'select') {
+                throw new Error(`unsupported argument type '${argument.type}'`);
+            }
+            if (message[state.pos] !== ',') {
+                throw new Error(`missing options for '${argument.arg}'`);
+            }
+            state.pos++;
+
+            argument.options = {};
+            for (;;) {
+                const selector = readToken(message, state, '{}');
+                if (message[state.pos] !== '{') {
+                    if (selector) {
+                        throw new Error(`option '${selector}' has no message`);
+                    }
+                    break;
+                }
+                state.pos++;
+                argument.options[selector] = parseParts(message, state, argument.type === 'plural');
+                if (message[state.pos] !== '}') {
+                    throw new Error(`unterminated option '${selector}'`);
+                }
+                state.pos++;
+            }
+            if (argument.options.other === undefined) {
+                throw new Error(`'${argument.arg}' has no 'other' option`);
+            }
+        }
+
+        if (message[state.pos] !== '}') {
+            throw new Error(`unterminated argument '${argument.arg}'`);
+        }
+        state.pos++;
+        return argument;
+    }
+
+    /**
+     * Parses a message, caching the result
+     * @param {string} language - The language the message belongs to
+     * @param {string} key - The message key
+     * @param {string} message - The message
+     * @returns {Array} The message parts
+     */
+    function parseMessage(language, key, message) {
+        const cacheKey = `${language}|${key}`;
+        let parts = messageCache.get(cacheKey);
+        if (!parts) {
+            const state = { pos: 0 };
+            parts = parseParts(message, state, false);
+            if (state.pos < message.length) {
+                throw new Error(`unexpected '}' at position ${state.pos}`);
+            }
+            messageCache.set(cacheKey, parts);
+        }
+        return parts;
+    }
+
+    /**
+     * Renders parsed message parts with the given values
+     * @param {Array} parts - The message parts
+     * @param {object} params - The argument values
+     * @param {string} language - The language, for plural rules
+     * @param {number} [pluralValue] - The value # stands for
+     * @returns {string} The text
+     */
+    function render(parts, params, language, pluralValue) {
+        return parts.map(part => {
+            if (typeof part === 'string') {
+                return part;
+            }
+            if (part.hash) {
+                return window.formatting.formatNumber(pluralValue, 0);
+            }
+
+            const value = params[part.arg];
+            if (value === undefined || value === null) {
+                // Left in place so callers can substitute markup for it
+                return `{${part.arg}}`;
+            }
+
+            if (part.type === 'plural') {
+                const count = Number(value);
+                const option = part.options[`=${count}`] ||
+                    part.options[new Intl.PluralRules(language).select(count)] ||
+                    part.options.other;
+                return render(option, params, language, count);
+            }
+            if (part.type === 'select') {
+                return render(part.options[String(value)] || part.options.other, params, language, pluralValue);
+            }
+            return String(value);
+        }).join('');
+    }
+
+    /**
+     * Translates the elements under a root: data-i18n sets the text, and data-i18n-attr sets attributes
+     * from 'attribute:key' pairs separated by semicolons
+     * @param {Element|Document} root - The root to translate
+     */
+    function translateDom(root) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = window.i18n.t(element.getAttribute('data-i18n'));
+        });
+        root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+            element.getAttribute('data-i18n-attr').split(';').forEach(pair => {
+                const separator = pair.indexOf(':');
+                if (separator > 0) {
+                    element.setAttribute(pair.slice(0, separator).trim(), window.i18n.t(pair.slice(separator + 1).trim()));
+                }
+            });
+        });
+    }
+
+    /**
+     * Loads the catalogs for a language and, once loaded, makes it the active language
+     * @param {string} language - The language
+     * @returns {Promise<string>} Promise resolving to the active language
+     */
+    function switchTo(language) {
+        if (switchingTo === language && switching) {
+            return switching;
+        }
+        switchingTo = language;
+        switching = Promise.all([loadCatalog(language), loadCatalog(defaultLanguage())]).then(() => {
+            // A later switch has superseded this one
+            if (switchingTo !== language) {
+                return switching;
+            }
+
+            const changed = activeLanguage !== language;
+            activeLanguage = language;
+            translateDom(document);
+            window.i18n.refreshCharts();
+
+            if (changed) {
+                window.dispatchEvent(new CustomEvent('vatfilinglanguagechanged', { detail: { language } }));
+                subscribers.notify(language);
+            }
+            return language;
+        });
+        return switching;
+    }
+
+    window.i18n = {
+        /**
+         * Loads the messages for the user's language and translates the page; called once the
+         * application settings have loaded
+         * @returns {Promise<string>} Promise resolving to the language in use
+         */
+        initialize: function() {
+            return switchTo(resolveLanguage());
+        },
+
+        /**
+         * Gets the language messages are shown in
+         * @returns {string} The language, e.g. 'en'
+         */
+        getLanguage: function() {
+            return activeLanguage || resolveLanguage();
+        },
+
+        /**
+         * Switches the language, keeping the formatting locale's region when its language already matches,
+         * then re-translates the page and chart labels and legends
+         * @param {string|null} language - A supported language, or null to use the default
+         * @returns {Promise<string>} Promise resolving to the language now in use
+         */
+        setLanguage: async function(language) {
+            const requested = toSupportedLanguage(language);
+            if (language && !requested) {
+                console.warn(`Language '${language}' is not in UIConfiguration.SupportedLanguages`);
+            }
+
+            // The formatting locale raises vatfilinglocalechanged, which switches the messages
+            if (!requested || toSupportedLanguage(window.formatting.getLocale()) !== requested) {
+                window.formatting.setLocale(requested ? language : null);
+            }
+            return switchTo(resolveLanguage());
+        },
+
+        /**
+         * Translates a message, falling back to the default language and then to the key itself
+         * @param {string} key - The message key, e.g. 'print.title'
+         * @param {object} [params] - Argument values; arguments without a value are left in place
+         * @returns {string} The translated text
+         */
+        t: function(key, params) {
+            const language = window.i18n.getLanguage();
+            const fallback = defaultLanguage();
+
+            let messageLanguage = language;
+            let message = lookup(language, key);
+            if (message === undefined && fallback !== language) {
+                messageLanguage = fallback;
+                message = lookup(fallback, key);
+            }
+            if (message === undefined) {
+                return key;
+            }
+
+            try {
+                return render(parseMessage(messageLanguage, key, message), params || {}, messageLanguage);
+            } catch (error) {
+                console.error(`Error formatting message '${key}': ${error}`);
+                return message;
+            }
+        },
+
+        /**
+         * Determines whether a message exists in the active or default language
+         * @param {string} key - The message key
+         * @returns {boolean} True if the message exists
+         */
+        has: function(key) {
+            return lookup(window.i18n.getLanguage(), key) !== undefined || lookup(defaultLanguage(), key) !== undefined;
+        },
+
+        /**
+         * Translates elements marked with data-i18n and data-i18n-attr, e.g. after rendering new content
+         * @param {Element} [root] - The root element; defaults to the whole document
+         */
+        translate: function(root) {
+            translateDom(root || document);
+        },
+
+        /**
+         * Translates chart labels: chartData.labelKeys replaces the labels, and a dataset's labelKey its label
+         * @param {object} chartData - The Chart.js data object
+         * @returns {object} The same data object
+         */
+        applyToChartData: function(chartData) {
+            if (!chartData) {
+                return chartData;
+            }
+            if (Array.isArray(chartData.labelKeys)) {
+                chartData.labels = chartData.labelKeys.map(key => window.i18n.t(key));
+            }
+            (chartData.datasets || []).forEach(dataset => {
+                if (dataset.labelKey) {
+                    dataset.label = window.i18n.t(dataset.labelKey);
+                }
+            });
+            return chartData;
+        },
+
+        /**
+         * Re-translates the labels and legends of every registered chart
+         */
+        refreshCharts: function() {
+            Object.values(window.chartInstances || {}).forEach(chart => {
+                if (!chart || !chart.data) {
+                    return;
+                }
+                window.i18n.applyToChartData(chart.data);
+                chart.update('none');
+            });
+        },
+
+        /**
+         * Registers a .NET object to be notified when the language changes
+         * @param {object} dotNetRef - The DotNetObjectReference to notify
+         * @param {string} methodName - The JSInvokable method receiving the language
+         * @returns {number} The subscription ID to pass to unsubscribe
+         */
+        subscribe: function(dotNetRef, methodName) {
+            return subscribers.add(dotNetRef, methodName);
+        },
+
+        /**
+         * Removes a previously registered .NET subscriber
+         * @param {number} subscriptionId - The ID returned by subscribe
+         */
+        unsubscribe: function(subscriptionId) {
+            subscribers.remove(subscriptionId);
+        }
+    };
+
+    // formatting.js re-resolves the locale once the application is ready, which may change the language
+    window.addEventListener('vatfilingappready', () => switchTo(resolveLanguage()));
+
+    // The formatting locale can also be changed directly, e.g. through SetFormattingLocaleAsync
+    window.addEventListener('vatfilinglocalechanged', event => {
+        if (activeLanguage) {
+            switchTo(toSupportedLanguage(event.detail.locale) || defaultLanguage());
+        }
+    });
+})();
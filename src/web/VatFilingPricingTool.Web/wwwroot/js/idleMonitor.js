@@ -0,0 +1,486 @@
+/**
+ * idleMonitor.js - Idle-session detection for VatFilingPricingTool
+ * Tracks mouse, keyboard, touch and visibility activity across all open tabs, warns with a countdown at
+ * UIConfiguration.IdleWarningMinutes and signs the user out at UIConfiguration.SessionTimeoutMinutes
+ * Version: 1.0.0
+ */
+
+(function() {
+    // Local storage key holding the time of the last activity in any tab
+    const ACTIVITY_STORAGE_KEY = 'vat-filing-last-activity';
+
+    const ACTIVITY_EVENTS = ['mousemove', 'mousedown', 'keydown', 'touchstart', 'wheel', 'scroll'];
+
+    // Activity is recorded at most this often, which keeps storage writes cheap
+    const ACTIVITY_THROTTLE_MS = 5000;
+
+    const TICK_INTERVAL_MS = 1000;
+
+    // How long .NET subscribers get to clear the session before the redirect
+    const SUBSCRIBER_TIMEOUT_MS = 3000;
+
+    // Session keys cleared when LocalStorage.SensitiveKeys is not configured, matching LocalStorageHelper
+    const DEFAULT_SENSITIVE_KEYS = ['auth_token', 'refresh_token', 'token_expiration', 'user_data'];
+
+    // The app root is the route every host serves; signed out, it shows the login page
+    const DEFAULT_OPTIONS = {
+        timeoutMinutes: 30,
+        warningMinutes: 25,
+        logoutUrl: './'
+    };
+
+    const subscribers = window.subscriptions.create('OnIdleStateChanged', 'idle monitor');
+
+    let options = Object.assign({}, DEFAULT_OPTIONS);
+    let running = false;
+    let timedOut = false;
+    let tickTimer = null;
+    let lastActivity = Date.now();
+    let warningElement = null;
+    let previousFocus = null;
+
+    // Page elements made inert while the warning is shown, with the aria-hidden value each had before
+    let inertElements = [];
+
+    /**
+     * Resolves monitor options from the UIConfiguration settings and explicit overrides; null values are ignored
+     * @param {object} [overrides] - Options passed to start()
+     * @returns {object} The resolved options
+     */
+    function resolveOptions(overrides) {
+        const ui = (window.appSettings && window.appSettings.UIConfiguration) || {};
+        const resolved = Object.assign({}, DEFAULT_OPTIONS);
+
+        if (ui.SessionTimeoutMinutes > 0) {
+            resolved.timeoutMinutes = ui.SessionTimeoutMinutes;
+        }
+        if (ui.IdleWarningMinutes > 0) {
+            resolved.warningMinutes = ui.IdleWarningMinutes;
+        }
+
+        Object.keys(overrides || {}).forEach(key => {
+            if (overrides[key] !== null && overrides[key] !== undefined) {
+                resolved[key] = overrides[key];
+            }
+        });
+
+        // A warning at or after the timeout would never be seen
+        if (resolved.warningMinutes >= resolved.timeoutMinutes) {
+            resolved.warningMinutes = Math.max(resolved.timeoutMinutes - 1, 0);
+        }
+        return resolved;
+    }
+
+    /**
+     * Gets the time of the most recent activity in this or any other tab
+     * @returns {number} The timestamp in milliseconds
+     */
+    function getLastActivity() {
+        try {
+            const shared = Number(localStorage.getItem(ACTIVITY_STORAGE_KEY));
+            if (shared > lastActivity) {
+                lastActivity = shared;
+            }
+        } catch (error) {
+            // Storage may be unavailable; this tab's own activity still counts
+        }
+        return lastActivity;
+    }
+
+    /**
+     * Records activity now and shares it with the other tabs
+     */
+    function recordActivity() {
+        lastActivity = Date.now();
+        try {
+            localStorage.setItem(ACTIVITY_STORAGE_KEY, String(lastActivity));
+        } catch (error) {
+            console.error(`Error recording activity: ${error}`);
+        }
+    }
+
+    /**
+     * Determines whether there is a session to time out
+     * @returns {boolean} True if a user is signed in
+     */
+    function isSignedIn() {
+        return !window.tabSync || window.tabSync.isAuthenticated();
+    }
+
+    /**
+     * Formats a duration as m:ss
+     * @param {number} ms - The duration in milliseconds
+     * @returns {string} The formatted duration
+     */
+    function formatCountdown(ms) {
+        const totalSeconds = Math.max(Math.ceil(ms / 1000), 0);
+        const seconds = totalSeconds % 60;
+        return `${Math.floor(totalSeconds / 60)}:${seconds < 10 ? '0' : ''}${seconds}`;
+    }
+
+    /**
+     * Gets the buttons of the warning, in tab order
+     * @returns {HTMLElement[]} The focusable elements
+     */
+    function getFocusable() {
+        return Array.from(warningElement.querySelectorAll('button:not([disabled])'));
+    }
+
+    /**
+     * Whether an element lives outside the modal flow and may keep focus while the warning is shown
+     * (the notification stack, as with dialogs.js)
+     * @param {Element} element - The focused element
+     * @returns {boolean} True if focus may stay on the element
+     */
+    function isOutsideModalFlow(element) {
+        return Boolean(element.closest && element.closest('.notification-stack'));
+    }
+
+    /**
+     * Keeps Tab and Shift+Tab within the warning
+     * @param {KeyboardEvent} event - The keydown event
+     */
+    function handleWarningKeydown(event) {
+        if (!warningElement || event.key !== 'Tab') {
+            return;
+        }
+
+        const focusable = getFocusable();
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        if (event.shiftKey && (document.activeElement === first || !warningElement.contains(document.activeElement))) {
+            event.preventDefault();
+            last.focus();
+        } else if (!event.shiftKey && (document.activeElement === last || !warningElement.contains(document.activeElement))) {
+            event.preventDefault();
+            first.focus();
+        }
+    }
+
+    /**
+     * Pulls focus back into the warning when it moves elsewhere, e.g. by clicking the page behind it
+     * @param {FocusEvent} event - The focusin event
+     */
+    function handleWarningFocusin(event) {
+        if (warningElement && !warningElement.contains(event.target) && !isOutsideModalFlow(event.target)) {
+            warningElement.querySelector('[data-action="stay"]').focus();
+        }
+    }
+
+    /**
+     * Makes everything else on the page, including open dialogs, unreachable while the warning is shown
+     */
+    function makePageInert() {
+        inertElements = Array.from(document.body.children)
+            .filter(element => element !== warningElement && !element.hasAttribute('inert') &&
+                !isOutsideModalFlow(element) && element.tagName !== 'SCRIPT')
+            .map(element => ({ element, ariaHidden: element.getAttribute('aria-hidden') }));
+
+        inertElements.forEach(({ element }) => {
+            element.setAttribute('inert', '');
+            element.setAttribute('aria-hidden', 'true');
+        });
+        document.addEventListener('keydown', handleWarningKeydown, true);
+        document.addEventListener('focusin', handleWarningFocusin);
+    }
+
+    /**
+     * Makes the page reachable again once the warning is gone
+     */
+    function restorePage() {
+        inertElements.forEach(({ element, ariaHidden }) => {
+            element.removeAttribute('inert');
+            if (ariaHidden === null) {
+                element.removeAttribute('aria-hidden');
+            } else {
+                element.setAttribute('aria-hidden', ariaHidden);
+            }
+        });
+        inertElements = [];
+        document.removeEventListener('keydown', handleWarningKeydown, true);
+        document.removeEventListener('focusin', handleWarningFocusin);
+    }
+
+    /**
+     * Shows the warning dialog, or updates its countdown if already shown
+     * @param {number} remainingMs - Time left before sign-out
+     */
+    function showWarning(remainingMs) {
+        if (!warningElement) {
+            previousFocus = document.activeElement;
+
+            warningElement = document.createElement('div');
+            warningElement.className = 'idle-warning';
+            warningElement.innerHTML = `
+                <div class="idle-warning-dialog" role="alertdialog" aria-modal="true" aria-labelledby="idle-warning-title" aria-describedby="idle-warning-message">
+                    <h2 id="idle-warning-title" class="idle-warning-title"></h2>
+                    <p id="idle-warning-message"></p>
+                    <div class="idle-warning-actions">
+                        <button type="button" class="btn btn-outline-secondary" data-action="logout"></button>
+                        <button type="button" class="btn btn-primary" data-action="stay"></button>
+                    </div>
+                </div>`;
+
+            const t = window.i18n.t;
+            warningElement.querySelector('.idle-warning-title').textContent = t('idleWarning.title');
+            warningElement.querySelector('[data-action="logout"]').textContent = t('idleWarning.signOut');
+            warningElement.querySelector('[data-action="stay"]').textContent = t('idleWarning.stay');
+
+            // The countdown goes where the translated message has its {countdown} argument, or at the end
+            const message = warningElement.querySelector('#idle-warning-message');
+            const messageParts = t('idleWarning.message').split('{countdown}');
+            if (messageParts.length === 1) {
+                messageParts.push('');
+            }
+            messageParts.forEach((text, index) => {
+                if (index > 0) {
+                    const countdown = document.createElement('strong');
+                    countdown.className = 'idle-warning-countdown';
+                    message.appendChild(countdown);
+                }
+                message.appendChild(document.createTextNode(text));
+            });
+
+            warningElement.querySelector('[data-action="stay"]').addEventListener('click', () => window.idleMonitor.reset());
+            warningElement.querySelector('[data-action="logout"]').addEventListener('click', () => signOut('user'));
+
+            document.body.appendChild(warningElement);
+            makePageInert();
+            warningElement.querySelector('[data-action="stay"]').focus();
+
+            window.dispatchEvent(new CustomEvent('vatfilingidlewarning', { detail: { remainingMs } }));
+            notifySubscribers('warning', remainingMs);
+        }
+
+        warningElement.querySelector('.idle-warning-countdown').textContent = formatCountdown(remainingMs);
+    }
+
+    /**
+     * Removes the warning dialog and restores focus
+     */
+    function hideWarning() {
+        if (!warningElement) {
+            return;
+        }
+
+        restorePage();
+        warningElement.remove();
+        warningElement = null;
+
+        if (previousFocus && typeof previousFocus.focus === 'function' && document.contains(previousFocus)) {
+            previousFocus.focus();
+        }
+        previousFocus = null;
+    }
+
+    /**
+     * Notifies .NET subscribers of a monitor state change
+     * @param {string} state - 'warning', 'active' or 'timeout'
+     * @param {number} remainingMs - Time left before sign-out
+     * @returns {Promise<void>} Promise that resolves once every subscriber has handled the notification
+     */
+    function notifySubscribers(state, remainingMs) {
+        return subscribers.notify(state, Math.max(Math.round(remainingMs), 0));
+    }
+
+    /**
+     * Removes the token, refresh token, expiry and user data, in case no .NET subscriber cleared them
+     */
+    function removeSessionData() {
+        const settings = (window.appSettings && window.appSettings.LocalStorage) || {};
+        const sensitiveKeys = Array.isArray(settings.SensitiveKeys) ? settings.SensitiveKeys : DEFAULT_SENSITIVE_KEYS;
+        const names = [settings.TokenKey, settings.UserKey].concat(sensitiveKeys).filter(name => !!name);
+
+        const keys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (names.some(name => key === name || key.endsWith(`_${name}`))) {
+                keys.push(key);
+            }
+        }
+
+        // Goes through the interop helper so encrypted storage is wiped and other tabs are signed out
+        keys.forEach(key => window.removeLocalStorageItem(key));
+    }
+
+    /**
+     * Ends the session: lets listeners save their work, asks .NET to sign out, removes the session data
+     * and navigates to options.logoutUrl
+     * @param {string} reason - 'timeout' or 'user'
+     * @returns {Promise<void>} Promise that resolves once navigation has started
+     */
+    async function signOut(reason) {
+        if (timedOut) {
+            return;
+        }
+        timedOut = true;
+        window.idleMonitor.stop();
+
+        // Listeners such as draft autosave flush synchronously here, before the session is cleared
+        window.dispatchEvent(new CustomEvent('vatfilingsessiontimeout', { detail: { reason } }));
+
+        await Promise.race([
+            notifySubscribers('timeout', 0),
+            new Promise(resolve => setTimeout(resolve, SUBSCRIBER_TIMEOUT_MS))
+        ]);
+
+        try {
+            removeSessionData();
+        } catch (error) {
+            console.error(`Error clearing the session: ${error}`);
+        }
+
+        console.log(`Signing out (${reason === 'user' ? 'requested' : 'inactivity timeout'})`);
+        window.location.assign(new URL(options.logoutUrl, document.baseURI).href);
+    }
+
+    /**
+     * Checks the idle time and shows, updates or hides the warning, or signs out
+     */
+    function tick() {
+        if (!running) {
+            return;
+        }
+
+        if (!isSignedIn()) {
+            hideWarning();
+            return;
+        }
+
+        const idleMs = Date.now() - getLastActivity();
+        const timeoutMs = options.timeoutMinutes * 60000;
+        const warningMs = options.warningMinutes * 60000;
+
+        if (idleMs >= timeoutMs) {
+            signOut('timeout');
+        } else if (idleMs >= warningMs) {
+            showWarning(timeoutMs - idleMs);
+        } else if (warningElement) {
+            // Another tab chose to stay signed in
+            hideWarning();
+            notifySubscribers('active', timeoutMs - idleMs);
+        }
+    }
+
+    /**
+     * Handles user activity; once the warning is shown only the explicit "stay signed in" action counts
+     */
+    const handleActivity = throttle(() => {
+        if (running && !warningElement) {
+            recordActivity();
+        }
+    }, ACTIVITY_THROTTLE_MS);
+
+    /**
+     * Re-checks immediately when the tab becomes visible, since background timers are throttled,
+     * and counts returning to the tab as activity
+     */
+    function handleVisibilityChange() {
+        if (document.visibilityState !== 'visible') {
+            return;
+        }
+        tick();
+        if (running && !warningElement) {
+            recordActivity();
+        }
+    }
+
+    window.idleMonitor = {
+        /**
+         * Starts monitoring, using UIConfiguration.SessionTimeoutMinutes and IdleWarningMinutes by default
+         * @param {object} [overrides] - Options (timeoutMinutes, warningMinutes, logoutUrl)
+         */
+        start: function(overrides) {
+            options = resolveOptions(overrides);
+
+            if (running) {
+                return;
+            }
+            running = true;
+            timedOut = false;
+
+            ACTIVITY_EVENTS.forEach(name => document.addEventListener(name, handleActivity, { passive: true, capture: true }));
+            document.addEventListener('visibilitychange', handleVisibilityChange);
+
+            // Activity in another tab only counts if it happened within the timeout
+            const shared = Number(localStorage.getItem(ACTIVITY_STORAGE_KEY));
+            if (!(shared > Date.now() - options.timeoutMinutes * 60000)) {
+                recordActivity();
+            }
+
+            tickTimer = setInterval(tick, TICK_INTERVAL_MS);
+            console.log(`Idle monitor started (warning after ${options.warningMinutes} min, sign-out after ${options.timeoutMinutes} min)`);
+        },
+
+        /**
+         * Stops monitoring and removes the warning
+         */
+        stop: function() {
+            if (!running) {
+                return;
+            }
+            running = false;
+
+            ACTIVITY_EVENTS.forEach(name => document.removeEventListener(name, handleActivity, { capture: true }));
+            document.removeEventListener('visibilitychange', handleVisibilityChange);
+            clearInterval(tickTimer);
+            tickTimer = null;
+            hideWarning();
+        },
+
+        /**
+         * Keeps the session alive: records activity in every tab and dismisses the warning
+         */
+        reset: function() {
+            recordActivity();
+            if (warningElement) {
+                hideWarning();
+                notifySubscribers('active', options.timeoutMinutes * 60000);
+            }
+        },
+
+        /**
+         * Signs out immediately, as if the session had timed out
+         * @returns {Promise<void>} Promise that resolves once navigation has started
+         */
+        signOut: function() {
+            return signOut('user');
+        },
+
+        /**
+         * Gets the time left before the session times out
+         * @returns {number} The remaining time in milliseconds
+         */
+        getRemainingMs: function() {
+            return Math.max(options.timeoutMinutes * 60000 - (Date.now() - getLastActivity()), 0);
+        },
+
+        /**
+         * Determines whether the monitor is running
+         * @returns {boolean} True if idle time is being tracked
+         */
+        isRunning: function() {
+            return running;
+        },
+
+        /**
+         * Registers a .NET object to be notified of idle state changes; on 'timeout' it should clear the
+         * stored session, and sign-out waits briefly for it to do so
+         * @param {object} dotNetRef - The DotNetObjectReference to notify
+         * @param {string} methodName - JSInvokable method receiving (state, remainingMs) where state is
+         * 'warning', 'active' or 'timeout'
+         * @returns {number} The subscription ID to pass to unsubscribe
+         */
+        subscribe: function(dotNetRef, methodName) {
+            return subscribers.add(dotNetRef, methodName);
+        },
+
+        /**
+         * Removes a previously registered .NET subscriber
+         * @param {number} subscriptionId - The ID returned by subscribe
+         */
+        unsubscribe: function(subscriptionId) {
+            subscribers.remove(subscriptionId);
+        }
+    };
+})();
@@ -0,0 +1,68 @@
+/**
+ * indexedDb.js - Promise-based helpers around the IndexedDB API for VatFilingPricingTool
+ * Shared by the client-side stores that persist data in the browser
+ * Version: 1.0.0
+ */
+
+window.indexedDbHelper = {
+    /**
+     * Determines whether IndexedDB is available in the current browser
+     * @returns {boolean} True if IndexedDB can be used
+     */
+    isSupported: function() {
+        return typeof window.indexedDB !== 'undefined';
+    },
+
+    /**
+     * Opens (and creates or upgrades when needed) an IndexedDB database
+     * @param {string} name - The database name
+     * @param {number} version - The schema version
+     * @param {function(IDBDatabase, IDBTransaction, number): void} upgrade - Callback that creates
+     *        object stores and indexes, receiving the database, the upgrade transaction and the old version
+     * @returns {Promise<IDBDatabase>} Promise resolving to the open database
+     */
+    openDatabase: function(name, version, upgrade) {
+        return new Promise((resolve, reject) => {
+            if (!window.indexedDbHelper.isSupported()) {
+                reject(new Error('IndexedDB is not supported in this browser'));
+                return;
+            }
+
+            const request = window.indexedDB.open(name, version);
+
+            request.onupgradeneeded = event => {
+                if (typeof upgrade === 'function') {
+                    upgrade(request.result, request.transaction, event.oldVersion);
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error(`IndexedDB database '${name}' is blocked by another connection`));
+        });
+    },
+
+    /**
+     * Wraps an IDBRequest in a promise
+     * @param {IDBRequest} request - The request to wrap
+     * @returns {Promise<any>} Promise resolving to the request result
+     */
+    requestToPromise: function(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    /**
+     * Wraps an IDBTransaction in a promise that settles when the transaction completes
+     * @param {IDBTransaction} transaction - The transaction to wrap
+     * @returns {Promise<void>} Promise resolving when the transaction has been committed
+     */
+    transactionToPromise: function(transaction) {
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+        });
+    }
+};
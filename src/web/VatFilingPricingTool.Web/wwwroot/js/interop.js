@@ -8,17 +8,242 @@
 // Note: This import assumes Chart.js is included via a <script> tag in the HTML
 // or bundled separately, as ES6 imports may not work directly in this context
 
-// Global object to store Chart.js instances
+// Global object to store Chart.js instances, keyed by chart handle
 window.chartInstances = {};
 
+// Maps canvas element IDs to the handle of the chart currently drawn on them
+const chartHandlesByElement = {};
+
+// Sequence used to generate unique chart handles
+let chartHandleSequence = 0;
+
+/**
+ * Resolves a chart handle, or the ID of the canvas it was created on, to its handle
+ * @param {string} handleOrElementId - The chart handle or canvas element ID
+ * @returns {string|null} The chart handle or null if no chart is registered
+ */
+function resolveChartHandle(handleOrElementId) {
+    if (window.chartInstances[handleOrElementId]) {
+        return handleOrElementId;
+    }
+    return chartHandlesByElement[handleOrElementId] || null;
+}
+
+/**
+ * Determines whether a value is a plain object that options can be merged into
+ * @param {*} value - The value to check
+ * @returns {boolean} True if the value is a plain object
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+/**
+ * Recursively merges a patch into a target object; arrays and non-object values are replaced
+ * @param {object} target - The object to update
+ * @param {object} patch - The values to merge in
+ * @returns {object} The updated target
+ */
+function mergeChartOptions(target, patch) {
+    Object.keys(patch).forEach(key => {
+        const value = patch[key];
+        if (value === undefined) {
+            return;
+        }
+
+        if (isPlainObject(value) && target[key] !== null && typeof target[key] === 'object' && !Array.isArray(target[key])) {
+            mergeChartOptions(target[key], value);
+        } else {
+            target[key] = value;
+        }
+    });
+    return target;
+}
+
+/**
+ * Replaces a chart's datasets, reusing existing dataset objects by index so Chart.js
+ * animates from the old values instead of redrawing from scratch
+ * @param {object} chartData - The chart's data object
+ * @param {object[]} datasets - The new datasets
+ */
+function replaceDatasets(chartData, datasets) {
+    datasets.forEach((dataset, index) => {
+        const existing = chartData.datasets[index];
+        if (existing) {
+            Object.keys(existing).forEach(key => {
+                if (!(key in dataset) && key !== 'paletteManaged' && !key.endsWith('Color')) {
+                    delete existing[key];
+                }
+            });
+            Object.assign(existing, dataset);
+
+            // Explicit colors in the new dataset take precedence over the palette
+            if (dataset.backgroundColor || dataset.borderColor) {
+                delete existing.paletteManaged;
+            }
+        } else {
+            chartData.datasets.push(dataset);
+        }
+    });
+    chartData.datasets.splice(datasets.length);
+}
+
+/**
+ * Copies a value keeping only what can be serialized back to .NET (drops functions, canvas patterns, etc.)
+ * @param {*} value - The value to copy
+ * @returns {*} The serializable copy
+ */
+function toSerializable(value) {
+    if (Array.isArray(value)) {
+        return value.map(toSerializable);
+    }
+    if (isPlainObject(value)) {
+        const copy = {};
+        Object.keys(value).forEach(key => {
+            const item = value[key];
+            if (typeof item !== 'function' && (item === null || typeof item !== 'object' || Array.isArray(item) || isPlainObject(item))) {
+                copy[key] = toSerializable(item);
+            }
+        });
+        return copy;
+    }
+    return value;
+}
+
+/**
+ * Converts a chart label to the string .NET receives; multi-line labels are given as arrays
+ * @param {*} label - The Chart.js label
+ * @returns {string|null} The label text, or null if there is none
+ */
+function toChartLabel(label) {
+    if (label === undefined || label === null) {
+        return null;
+    }
+    return Array.isArray(label) ? label.join(' ') : String(label);
+}
+
+/**
+ * Converts a data point to the number .NET receives
+ * @param {object} chart - The Chart.js instance
+ * @param {*} value - A number, or point data such as { x, y } or { x, y, r }
+ * @returns {number|null} The value on the chart's value axis, or null if there is none
+ */
+function toChartValue(chart, value) {
+    // Point data such as { x, y } reports the value on the value axis
+    if (value !== null && typeof value === 'object') {
+        value = chart.options.indexAxis === 'y' ? value.x : (value.y !== undefined ? value.y : value.r);
+    }
+    return typeof value === 'number' && isFinite(value) ? value : null;
+}
+
+/**
+ * Builds the payload describing a chart element for .NET callbacks
+ * @param {string} handle - The chart handle
+ * @param {object} chart - The Chart.js instance
+ * @param {number} datasetIndex - The dataset index
+ * @param {number} index - The data point index
+ * @returns {object} Payload with the dataset index, data index, label, dataset label and value
+ */
+function buildChartEventPayload(handle, chart, datasetIndex, index) {
+    const dataset = chart.data.datasets[datasetIndex] || {};
+    const labels = chart.data.labels || [];
+    return {
+        handle,
+        datasetIndex,
+        index,
+        label: toChartLabel(labels[index]),
+        datasetLabel: dataset.label || null,
+        value: toChartValue(chart, Array.isArray(dataset.data) ? dataset.data[index] : null)
+    };
+}
+
+/**
+ * Adds click, hover and legend-toggle handlers to chart options that forward events to .NET
+ * @param {string} handle - The handle the chart will be registered under
+ * @param {string} chartType - The chart type
+ * @param {object} options - The chart options to extend
+ * @param {object} dotNetRef - The DotNetObjectReference receiving the events
+ * @param {object} callbackOptions - Optional method names and hoverDebounceMs overrides
+ */
+function attachChartCallbacks(handle, chartType, options, dotNetRef, callbackOptions) {
+    const settings = Object.assign({
+        clickMethod: 'OnChartClick',
+        hoverMethod: 'OnChartHover',
+        legendToggleMethod: 'OnChartLegendToggle',
+        hoverDebounceMs: 150
+    }, callbackOptions || {});
+
+    const notify = (methodName, payload) => {
+        // The chart may have been destroyed while a debounced call was pending
+        if (!methodName || !window.chartInstances[handle]) {
+            return;
+        }
+        dotNetRef.invokeMethodAsync(methodName, payload)
+            .catch(error => console.error(`Error invoking chart callback '${methodName}': ${error}`));
+    };
+
+    const userOnClick = options.onClick;
+    options.onClick = function(event, elements, chart) {
+        if (elements.length > 0) {
+            notify(settings.clickMethod, buildChartEventPayload(handle, chart, elements[0].datasetIndex, elements[0].index));
+        }
+        if (typeof userOnClick === 'function') {
+            userOnClick.apply(this, arguments);
+        }
+    };
+
+    // Only report hover when the hovered element changes, and debounce rapid pointer movement
+    let lastHoverKey = null;
+    const notifyHover = debounce(payload => notify(settings.hoverMethod, payload), settings.hoverDebounceMs);
+    const userOnHover = options.onHover;
+    options.onHover = function(event, elements, chart) {
+        const element = elements[0];
+        const hoverKey = element ? `${element.datasetIndex}:${element.index}` : null;
+        if (hoverKey !== lastHoverKey) {
+            lastHoverKey = hoverKey;
+            notifyHover(element
+                ? buildChartEventPayload(handle, chart, element.datasetIndex, element.index)
+                : { handle, datasetIndex: null, index: null, label: null, datasetLabel: null, value: null });
+        }
+        if (typeof userOnHover === 'function') {
+            userOnHover.apply(this, arguments);
+        }
+    };
+
+    // Wrap the legend handler for this chart type so the default show/hide behavior still applies
+    options.plugins = options.plugins || {};
+    options.plugins.legend = options.plugins.legend || {};
+    const typeOverrides = Chart.overrides && Chart.overrides[chartType];
+    const defaultLegendClick = options.plugins.legend.onClick ||
+        (typeOverrides && typeOverrides.plugins && typeOverrides.plugins.legend && typeOverrides.plugins.legend.onClick) ||
+        Chart.defaults.plugins.legend.onClick;
+
+    options.plugins.legend.onClick = function(event, legendItem, legend) {
+        defaultLegendClick.call(this, event, legendItem, legend);
+
+        const chart = legend.chart;
+        const perPoint = legendItem.datasetIndex === undefined;
+        const datasetIndex = perPoint ? 0 : legendItem.datasetIndex;
+        const index = perPoint ? legendItem.index : null;
+        const payload = perPoint
+            ? buildChartEventPayload(handle, chart, datasetIndex, index)
+            : { handle, datasetIndex, index: null, label: null, datasetLabel: legendItem.text, value: null };
+
+        payload.hidden = perPoint ? !chart.getDataVisibility(index) : !chart.isDatasetVisible(datasetIndex);
+        notify(settings.legendToggleMethod, payload);
+    };
+}
+
 /**
  * Initializes a Chart.js chart on a specified canvas element
  * @param {string} elementId - The ID of the canvas element
  * @param {object} chartData - The data to display in the chart
  * @param {object} chartOptions - The options for configuring the chart
- * @returns {object} Chart instance that can be referenced later
+ * @param {object} [dotNetRef] - Optional DotNetObjectReference notified of click, hover and legend-toggle events
+ * @param {object} [callbackOptions] - Optional overrides: clickMethod, hoverMethod, legendToggleMethod, hoverDebounceMs
+ * @returns {string|null} Handle identifying the chart in later interop calls, or null on failure
  */
-window.initializeChart = function(elementId, chartData, chartOptions) {
+window.initializeChart = function(elementId, chartData, chartOptions, dotNetRef, callbackOptions) {
     // Get the canvas element by ID
     const canvas = document.getElementById(elementId);
     if (!canvas) {
@@ -27,69 +252,195 @@ window.initializeChart = function(elementId, chartData, chartOptions) {
     }
 
     // Check if a chart instance already exists for this element and destroy it if found
-    if (window.chartInstances[elementId]) {
-        window.chartInstances[elementId].destroy();
-        delete window.chartInstances[elementId];
+    if (chartHandlesByElement[elementId]) {
+        window.destroyChart(chartHandlesByElement[elementId]);
     }
 
     // Create a new Chart instance with the provided data and options
     try {
+        const chartType = chartData.type || 'bar';
+        const options = chartOptions || {};
+        const handle = `chart-${++chartHandleSequence}`;
+
+        // Color datasets from the user's selected palette unless they specify their own colors
+        window.chartPalettes.applyToChartData(chartData, chartType);
+
+        // Translate labels given as message keys (labelKeys, dataset labelKey)
+        window.i18n.applyToChartData(chartData);
+
+        // Format tooltip and axis values like the rest of the page (options.valueFormat)
+        window.formatting.applyToChartOptions(options, chartType);
+
+        // Show currency amounts in the user's display currency (currency.setDisplayCurrency)
+        window.currency.applyToChartData(chartData, chartType, options);
+
+        // Forward interactions to Blazor when a callback reference is supplied
+        if (dotNetRef) {
+            attachChartCallbacks(handle, chartType, options, dotNetRef, callbackOptions);
+        }
+
         const ctx = canvas.getContext('2d');
         const chartInstance = new Chart(ctx, {
-            type: chartData.type || 'bar',
+            type: chartType,
             data: chartData,
-            options: chartOptions || {}
+            options
         });
 
-        // Store the chart instance in the global chartInstances object
-        window.chartInstances[elementId] = chartInstance;
+        // Register the chart under its handle
+        window.chartInstances[handle] = chartInstance;
+        chartHandlesByElement[elementId] = handle;
 
-        // Return the chart instance for reference
-        return chartInstance;
+        // Return the handle for later updates
+        return handle;
     } catch (error) {
         console.error(`Error initializing chart: ${error}`);
+        window.errorReporter.capture(error, 'initializeChart');
         return null;
     }
 };
 
 /**
- * Updates an existing chart with new data
- * @param {string} elementId - The ID of the canvas element
- * @param {object} newData - The new data to display in the chart
+ * Applies a partial update to an existing chart and animates the transition
+ * @param {string} handle - The chart handle returned by initializeChart (or the canvas element ID)
+ * @param {object} update - The changes to apply; null or missing members are left unchanged:
+ *   labels: replaces the labels; labelKeys: replaces them with translated message keys;
+ *   datasets: replaces the datasets, reusing existing ones by index;
+ *   appendDatasets: datasets added after the existing ones;
+ *   removeDatasets: indexes or labels of datasets to remove;
+ *   updateDatasets: [{ index, ...properties }] merged into existing datasets (e.g. new data);
+ *   options: merged into the chart options;
+ *   animationMode: Chart.js update mode (e.g. 'none' to skip the animation)
+ * @returns {boolean} True if the chart was updated, false otherwise
  */
-window.updateChart = function(elementId, newData) {
+window.updateChart = function(handle, update) {
     // Check if the chart instance exists
-    const chartInstance = window.chartInstances[elementId];
+    const resolvedHandle = resolveChartHandle(handle);
+    const chartInstance = resolvedHandle ? window.chartInstances[resolvedHandle] : null;
     if (!chartInstance) {
-        console.error(`Chart instance for element ID '${elementId}' not found`);
-        return;
+        console.error(`Chart instance for handle '${handle}' not found`);
+        return false;
     }
 
-    // Update the chart data with the new data
-    chartInstance.data = newData;
-    
-    // Call chart.update() to refresh the visualization
-    chartInstance.update();
+    if (!update) {
+        return false;
+    }
+
+    try {
+        const data = chartInstance.data;
+
+        if (Array.isArray(update.labels)) {
+            data.labels = update.labels;
+            delete data.labelKeys;
+        }
+
+        if (Array.isArray(update.labelKeys)) {
+            data.labelKeys = update.labelKeys;
+        }
+
+        if (Array.isArray(update.datasets)) {
+            replaceDatasets(data, update.datasets);
+        }
+
+        if (Array.isArray(update.removeDatasets)) {
+            const toRemove = update.removeDatasets;
+            data.datasets = data.datasets.filter((dataset, index) =>
+                !toRemove.includes(index) && !toRemove.includes(dataset.label));
+        }
+
+        if (Array.isArray(update.updateDatasets)) {
+            update.updateDatasets.forEach(patch => {
+                const dataset = data.datasets[patch.index];
+                if (!dataset) {
+                    console.warn(`Dataset ${patch.index} not found in chart '${handle}'`);
+                    return;
+                }
+                const properties = Object.assign({}, patch);
+                delete properties.index;
+                // An explicit label replaces a translated one
+                if (properties.label !== undefined && properties.labelKey === undefined) {
+                    delete dataset.labelKey;
+                }
+                Object.assign(dataset, properties);
+            });
+        }
+
+        if (Array.isArray(update.appendDatasets)) {
+            update.appendDatasets.forEach(dataset => data.datasets.push(dataset));
+        }
+
+        if (isPlainObject(update.options)) {
+            mergeChartOptions(chartInstance.options, update.options);
+        }
+
+        // Color any datasets that were added without explicit colors
+        window.chartPalettes.applyToChartData(data, chartInstance.config.type);
+        window.i18n.applyToChartData(data);
+        window.currency.applyToChartData(data, chartInstance.config.type, chartInstance.config.options);
+
+        // Call chart.update() to animate to the new state
+        chartInstance.update(update.animationMode || undefined);
+        return true;
+    } catch (error) {
+        console.error(`Error updating chart: ${error}`);
+        window.errorReporter.capture(error, 'updateChart');
+        return false;
+    }
+};
+
+/**
+ * Gets the current state of a chart so it can be inspected from .NET
+ * @param {string} handle - The chart handle returned by initializeChart (or the canvas element ID)
+ * @returns {object|null} The chart type, labels, datasets with visibility and user options, or null if not found;
+ * labels are strings and data values numbers on the value axis, matching ChartStateModel
+ */
+window.getChartState = function(handle) {
+    const resolvedHandle = resolveChartHandle(handle);
+    const chartInstance = resolvedHandle ? window.chartInstances[resolvedHandle] : null;
+    if (!chartInstance) {
+        console.warn(`Chart instance for handle '${handle}' not found`);
+        return null;
+    }
+
+    return {
+        handle: resolvedHandle,
+        elementId: chartInstance.canvas ? chartInstance.canvas.id : null,
+        type: chartInstance.config.type,
+        labels: (chartInstance.data.labels || []).map(toChartLabel),
+        datasets: chartInstance.data.datasets.map((dataset, index) => ({
+            index,
+            label: dataset.label || null,
+            type: dataset.type || chartInstance.config.type,
+            data: (dataset.data || []).map(value => toChartValue(chartInstance, value)),
+            hidden: !chartInstance.isDatasetVisible(index)
+        })),
+        options: toSerializable(chartInstance.config.options || {})
+    };
 };
 
 /**
  * Destroys a Chart.js instance and removes it from the global registry
- * @param {string} elementId - The ID of the canvas element
+ * @param {string} handle - The chart handle returned by initializeChart (or the canvas element ID)
  * @returns {boolean} True if chart was successfully destroyed, false otherwise
  */
-window.destroyChart = function(elementId) {
+window.destroyChart = function(handle) {
     // Get the chart instance from the chartInstances object
-    const chartInstance = window.chartInstances[elementId];
+    const resolvedHandle = resolveChartHandle(handle);
+    const chartInstance = resolvedHandle ? window.chartInstances[resolvedHandle] : null;
     if (!chartInstance) {
-        console.warn(`Chart instance for element ID '${elementId}' not found`);
+        console.warn(`Chart instance for handle '${handle}' not found`);
         return false;
     }
 
     // Call chart.destroy() to clean up resources
     chartInstance.destroy();
     
-    // Remove the chart from the chartInstances object
-    delete window.chartInstances[elementId];
+    // Remove the chart from the registry
+    delete window.chartInstances[resolvedHandle];
+    Object.keys(chartHandlesByElement).forEach(elementId => {
+        if (chartHandlesByElement[elementId] === resolvedHandle) {
+            delete chartHandlesByElement[elementId];
+        }
+    });
     
     // Return true to indicate success
     return true;
@@ -144,84 +495,24 @@ window.downloadFile = function(fileName, base64Content, contentType) {
         setTimeout(() => URL.revokeObjectURL(url), 100);
     } catch (error) {
         console.error(`Error downloading file: ${error}`);
+        window.errorReporter.capture(error, 'downloadFile');
     }
 };
 
 /**
- * Displays a toast notification message to the user
+ * Displays a toast notification message to the user through the notification centre
  * @param {string} message - The message to display
  * @param {string} type - The type of message (success, error, warning, info)
  * @param {number} durationMs - The duration to show the toast in milliseconds
+ * @returns {string} The notification ID, for dismissing it early
  */
 window.showToast = function(message, type, durationMs) {
     try {
-        // Create a toast element with the appropriate styling based on type
-        const toast = document.createElement('div');
-        toast.className = `vat-toast vat-toast-${type || 'info'}`;
-        toast.style.position = 'fixed';
-        toast.style.bottom = '20px';
-        toast.style.right = '20px';
-        toast.style.zIndex = '9999';
-        toast.style.padding = '12px 20px';
-        toast.style.borderRadius = '4px';
-        toast.style.boxShadow = '0 4px 8px rgba(0, 0, 0, 0.2)';
-        toast.style.opacity = '0';
-        toast.style.transition = 'opacity 0.3s ease-in-out';
-        
-        // Set colors based on type
-        switch (type) {
-            case 'success':
-                toast.style.backgroundColor = '#4caf50';
-                toast.style.color = 'white';
-                break;
-            case 'error':
-                toast.style.backgroundColor = '#f44336';
-                toast.style.color = 'white';
-                break;
-            case 'warning':
-                toast.style.backgroundColor = '#ff9800';
-                toast.style.color = 'white';
-                break;
-            case 'info':
-            default:
-                toast.style.backgroundColor = '#2196f3';
-                toast.style.color = 'white';
-                break;
-        }
-        
-        // Set the message text content
-        toast.textContent = message;
-        
-        // Append the toast to the document body
-        document.body.appendChild(toast);
-        
-        // Add a CSS class to trigger the show animation
-        setTimeout(() => toast.style.opacity = '1', 10);
-        
-        // Set a timeout to remove the toast after the specified duration
-        const duration = durationMs || 3000;
-        
-        // Fade out before removing
-        setTimeout(() => {
-            toast.style.opacity = '0';
-            setTimeout(() => {
-                if (toast.parentNode) {
-                    document.body.removeChild(toast);
-                }
-            }, 300);
-        }, duration);
-        
-        // Add a click handler to dismiss the toast early
-        toast.addEventListener('click', () => {
-            toast.style.opacity = '0';
-            setTimeout(() => {
-                if (toast.parentNode) {
-                    document.body.removeChild(toast);
-                }
-            }, 300);
-        });
+        return window.notifications.show(message, type, durationMs || 3000);
     } catch (error) {
         console.error(`Error showing toast: ${error}`);
+        window.errorReporter.capture(error, 'showToast');
+        return null;
     }
 };
 
@@ -246,121 +537,97 @@ window.scrollToElement = function(elementId, smooth) {
         }
     } catch (error) {
         console.error(`Error scrolling to element: ${error}`);
+        window.errorReporter.capture(error, 'scrollToElement');
     }
 };
 
 /**
- * Prints a specific element on the page
+ * Prints a specific element on the page through the in-page print pipeline (see print.js)
  * @param {string} elementId - The ID of the element to print
+ * @param {object} [options] - Print options (orientation, paperSize, margins, title, showHeader, preview)
+ * @returns {Promise<boolean>} Promise resolving to true if the document was sent to print
  */
-window.printElement = function(elementId) {
-    try {
-        // Get the element by ID
-        const element = document.getElementById(elementId);
-        
-        if (!element) {
-            console.warn(`Element with ID '${elementId}' not found for printing`);
-            return;
-        }
-        
-        // Create a new window for printing
-        const printWindow = window.open('', '_blank');
-        if (!printWindow) {
-            alert('Please allow popups for this website to enable printing.');
-            return;
-        }
-        
-        // Write the element's HTML content to the new window
-        printWindow.document.write(`
-            <!DOCTYPE html>
-            <html>
-            <head>
-                <title>Print - VAT Filing Pricing Tool</title>
-                <style>
-                    body { font-family: Arial, sans-serif; margin: 20px; }
-                    table { border-collapse: collapse; width: 100%; }
-                    th, td { border: 1px solid #ddd; padding: 8px; text-align: left; }
-                    th { background-color: #f2f2f2; }
-                    .print-header { text-align: center; margin-bottom: 20px; }
-                    @media print {
-                        .no-print { display: none; }
-                        body { margin: 0; }
-                    }
-                </style>
-            </head>
-            <body>
-                <div class="print-header">
-                    <h1>VAT Filing Pricing Tool</h1>
-                </div>
-                ${element.outerHTML}
-                <div class="no-print" style="text-align: center; margin-top: 20px;">
-                    <button onclick="window.print();window.close();">Print</button>
-                </div>
-            </body>
-            </html>
-        `);
-        
-        // Add necessary styling to the new window
-        printWindow.document.close();
-        
-        // Focus the print window
-        printWindow.focus();
-    } catch (error) {
-        console.error(`Error printing element: ${error}`);
-    }
+window.printElement = function(elementId, options) {
+    return window.printService.print(elementId, options);
 };
 
 /**
- * Stores a value in the browser's local storage
+ * Stores a value in the browser's local storage, expiring after LocalStorage.ExpirationDays (see storage.js).
+ * Sensitive keys are encrypted when LocalStorage.EncryptSensitiveData is enabled (see secureStorage.js)
  * @param {string} key - The key to store the value under
  * @param {string} value - The value to store
+ * @returns {Promise<boolean>|undefined} Promise that resolves once an encrypted value is stored
  */
 window.setLocalStorageItem = function(key, value) {
     try {
-        // Use localStorage.setItem(key, value) to store the value
-        localStorage.setItem(key, value);
+        if (window.tabSync) {
+            window.tabSync.recordStorageWrite(key, value !== null && value !== undefined);
+        }
+        if (window.secureStorage && window.secureStorage.handles(key)) {
+            return window.secureStorage.setItem(key, value);
+        }
+        window.vatStorage.setString(key, value);
     } catch (error) {
         console.error(`Error setting localStorage item: ${error}`);
+        window.errorReporter.capture(error, 'setLocalStorageItem');
     }
 };
 
 /**
- * Retrieves a value from the browser's local storage
+ * Retrieves a value from the browser's local storage, including values stored before expiry was introduced
  * @param {string} key - The key to retrieve the value for
- * @returns {string} The stored value or null if not found
+ * @returns {string|Promise<string>} The stored value or null if not found or expired; a promise for encrypted keys
  */
 window.getLocalStorageItem = function(key) {
     try {
-        // Use localStorage.getItem(key) to retrieve the value
-        return localStorage.getItem(key);
+        if (window.secureStorage && window.secureStorage.handles(key)) {
+            return window.secureStorage.getItem(key);
+        }
+        return window.vatStorage.getString(key);
     } catch (error) {
         console.error(`Error getting localStorage item: ${error}`);
+        window.errorReporter.capture(error, 'getLocalStorageItem');
         return null;
     }
 };
 
 /**
- * Removes an item from the browser's local storage
+ * Removes an item from the browser's local storage; removing the authentication token also wipes encrypted storage
+ * and signs out other open tabs (see tabSync.js)
  * @param {string} key - The key to remove
  */
 window.removeLocalStorageItem = function(key) {
     try {
-        // Use localStorage.removeItem(key) to remove the item
-        localStorage.removeItem(key);
+        if (window.secureStorage) {
+            window.secureStorage.removeItem(key);
+        } else {
+            localStorage.removeItem(key);
+        }
+        if (window.tabSync) {
+            window.tabSync.recordStorageWrite(key, false);
+        }
     } catch (error) {
         console.error(`Error removing localStorage item: ${error}`);
+        window.errorReporter.capture(error, 'removeLocalStorageItem');
     }
 };
 
 /**
- * Clears all items from the browser's local storage
+ * Clears all items from the browser's local storage and forgets the encrypted storage session key
  */
 window.clearLocalStorage = function() {
     try {
+        if (window.secureStorage) {
+            window.secureStorage.wipe();
+        }
         // Use localStorage.clear() to remove all items
         localStorage.clear();
+        if (window.tabSync) {
+            window.tabSync.recordStorageWrite(null, false);
+        }
     } catch (error) {
         console.error(`Error clearing localStorage: ${error}`);
+        window.errorReporter.capture(error, 'clearLocalStorage');
     }
 };
 
@@ -370,88 +637,26 @@ window.clearLocalStorage = function() {
  */
 window.toggleDarkMode = function(isDarkMode) {
     try {
-        // Remove existing theme classes from document.body
-        document.body.classList.remove('light-theme', 'dark-theme');
-        
-        // Add 'dark-theme' class if isDarkMode is true, otherwise add 'light-theme'
-        document.body.classList.add(isDarkMode ? 'dark-theme' : 'light-theme');
-        
-        // Update theme-color meta tag for browser UI
-        const metaThemeColor = document.querySelector('meta[name="theme-color"]');
-        if (metaThemeColor) {
-            metaThemeColor.setAttribute('content', isDarkMode ? '#1e1e1e' : '#ffffff');
-        }
-        
-        // Store theme preference in local storage
-        localStorage.setItem('darkMode', isDarkMode ? 'true' : 'false');
-        
-        // Update any chart instances to match the new theme
-        updateChartsForTheme(isDarkMode);
+        // Delegate to the shared theme manager so Blazor and the #theme-toggle button stay in sync
+        window.themeManager.setTheme(isDarkMode ? 'dark' : 'light');
     } catch (error) {
         console.error(`Error toggling dark mode: ${error}`);
+        window.errorReporter.capture(error, 'toggleDarkMode');
     }
 };
 
 /**
- * Updates all charts to match the current theme
- * @param {boolean} isDarkMode - Whether dark mode is enabled
- */
-function updateChartsForTheme(isDarkMode) {
-    // Define colors for light and dark themes
-    const textColor = isDarkMode ? '#ffffff' : '#333333';
-    const gridColor = isDarkMode ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)';
-    
-    // Update each chart instance
-    Object.values(window.chartInstances).forEach(chart => {
-        if (chart.options.scales) {
-            // Update x-axis
-            if (chart.options.scales.x) {
-                chart.options.scales.x.ticks = chart.options.scales.x.ticks || {};
-                chart.options.scales.x.ticks.color = textColor;
-                chart.options.scales.x.grid = chart.options.scales.x.grid || {};
-                chart.options.scales.x.grid.color = gridColor;
-            }
-            
-            // Update y-axis
-            if (chart.options.scales.y) {
-                chart.options.scales.y.ticks = chart.options.scales.y.ticks || {};
-                chart.options.scales.y.ticks.color = textColor;
-                chart.options.scales.y.grid = chart.options.scales.y.grid || {};
-                chart.options.scales.y.grid.color = gridColor;
-            }
-        }
-        
-        // Update legend
-        if (chart.options.plugins && chart.options.plugins.legend) {
-            chart.options.plugins.legend.labels = chart.options.plugins.legend.labels || {};
-            chart.options.plugins.legend.labels.color = textColor;
-        }
-        
-        // Update the chart
-        chart.update();
-    });
-}
-
-/**
- * Formats a number as a currency string with the specified currency code
+ * Formats a number as a currency string for the user's locale and the UIConfiguration number format (see formatting.js)
  * @param {number} amount - The amount to format
  * @param {string} currencyCode - The ISO currency code (e.g., 'USD', 'EUR', 'GBP')
  * @returns {string} Formatted currency string
  */
 window.formatCurrency = function(amount, currencyCode) {
     try {
-        // Use Intl.NumberFormat with the appropriate locale and currency options
-        const formatter = new Intl.NumberFormat(navigator.language, {
-            style: 'currency',
-            currency: currencyCode || 'EUR',
-            minimumFractionDigits: 2,
-            maximumFractionDigits: 2
-        });
-        
-        // Format the amount with the specified currency code
-        return formatter.format(amount);
+        return window.formatting.formatCurrency(amount, currencyCode);
     } catch (error) {
         console.error(`Error formatting currency: ${error}`);
+        window.errorReporter.capture(error, 'formatCurrency');
         return amount.toString();
     }
 };
@@ -476,11 +681,12 @@ window.formatCurrency = function(amount, currencyCode) {
         });
     });
     
-    // Initialize theme based on stored preference
-    const storedTheme = localStorage.getItem('darkMode');
-    if (storedTheme === 'true') {
-        window.toggleDarkMode(true);
-    }
+    // Instrument calls made from .NET for error report breadcrumbs and telemetry timings; formatCurrency
+    // and getLocalStorageItem run on every render and would crowd out everything else
+    window.interopHooks.instrument([
+        'initializeChart', 'updateChart', 'destroyChart', 'downloadFile', 'showToast', 'scrollToElement',
+        'printElement', 'setLocalStorageItem', 'removeLocalStorageItem', 'clearLocalStorage', 'toggleDarkMode'
+    ]);
     
     console.log('VAT Filing Pricing Tool interop.js initialized');
 })();
\ No newline at end of file
@@ -0,0 +1,88 @@
+/**
+ * interopHooks.js - Shared instrumentation of VatFilingPricingTool interop functions
+ * Wraps global interop functions called from .NET so other modules can observe each call: the
+ * error reporter records them as breadcrumbs and telemetry records their durations.
+ * Loaded before errorReporter.js and telemetry.js.
+ * Version: 1.0.0
+ */
+
+(function() {
+    const listeners = [];
+
+    /**
+     * Notifies listeners through the named callback, isolating listener failures from the call itself
+     * @param {string} callback - 'onStart' or 'onEnd'
+     * @param {Array} args - The callback arguments
+     */
+    function notify(callback, args) {
+        listeners.forEach(listener => {
+            if (typeof listener[callback] !== 'function') {
+                return;
+            }
+            try {
+                listener[callback].apply(listener, args);
+            } catch (error) {
+                console.error(`Error in interop hook listener: ${error}`);
+            }
+        });
+    }
+
+    window.interopHooks = {
+        /**
+         * Registers a listener for instrumented calls
+         * @param {object} listener - Object with optional onStart(name) and onEnd(name, durationMs, succeeded)
+         * callbacks; onEnd runs when a returned promise settles
+         */
+        addListener: function(listener) {
+            listeners.push(listener);
+        },
+
+        /**
+         * Removes a previously registered listener
+         * @param {object} listener - The listener to remove
+         */
+        removeListener: function(listener) {
+            const index = listeners.indexOf(listener);
+            if (index >= 0) {
+                listeners.splice(index, 1);
+            }
+        },
+
+        /**
+         * Instruments the named global functions; functions already instrumented are left as they are
+         * @param {string[]} names - Names of functions on window
+         */
+        instrument: function(names) {
+            names.forEach(name => {
+                const original = window[name];
+                if (typeof original !== 'function' || original.__vfsInstrumented) {
+                    return;
+                }
+
+                const instrumented = function() {
+                    const start = performance.now();
+                    const end = succeeded => notify('onEnd', [name, performance.now() - start, succeeded]);
+
+                    notify('onStart', [name]);
+
+                    let result;
+                    try {
+                        result = original.apply(this, arguments);
+                    } catch (error) {
+                        end(false);
+                        throw error;
+                    }
+
+                    if (result && typeof result.then === 'function') {
+                        result.then(() => end(true), () => end(false));
+                    } else {
+                        end(true);
+                    }
+                    return result;
+                };
+                instrumented.__vfsInstrumented = true;
+                window[name] = instrumented;
+            });
+        }
+    };
+})();
@@ -0,0 +1,584 @@
+/**
+ * notifications.js - Notification centre for VatFilingPricingTool
+ * Stacks toast notifications with a limit on how many are visible at once (the rest wait in a queue),
+ * supports action buttons with callbacks into JavaScript or Blazor, pauses while hovered or focused,
+ * announces notifications through aria-live regions and keeps a history of the session's notifications
+ * for the bell panel
+ * Version: 1.0.0
+ */
+
+(function() {
+    const TYPES = ['info', 'success', 'warning', 'error'];
+
+    const DEFAULT_DURATION_MS = 5000;
+    const DEFAULT_MAX_VISIBLE = 3;
+
+    // Session storage key holding the notification history, so it survives reloads within the session
+    const HISTORY_STORAGE_KEY = 'vat-filing-notifications';
+    const MAX_HISTORY = 50;
+
+    // Matches the exit transition in app.css
+    const EXIT_ANIMATION_MS = 300;
+
+    // The bell button the layout may provide; its panel and unread badge are managed here
+    const BELL_ELEMENT_ID = 'notification-bell';
+
+    const visible = [];
+    const queue = [];
+    const subscribers = window.subscriptions.create('OnNotificationsChanged', 'notification');
+
+    let sequence = 0;
+    let history = null;
+    let stackElement = null;
+    let politeRegion = null;
+    let assertiveRegion = null;
+    let panelElement = null;
+
+    /**
+     * Gets the maximum number of toasts shown at once, from UIConfiguration.MaxVisibleNotifications
+     * @returns {number} The limit
+     */
+    function getMaxVisible() {
+        const ui = (window.appSettings && window.appSettings.UIConfiguration) || {};
+        return ui.MaxVisibleNotifications > 0 ? ui.MaxVisibleNotifications : DEFAULT_MAX_VISIBLE;
+    }
+
+    /**
+     * Gets the notification history, most recent first
+     * @returns {object[]} The history entries
+     */
+    function getHistory() {
+        if (!history) {
+            try {
+                history = JSON.parse(sessionStorage.getItem(HISTORY_STORAGE_KEY)) || [];
+            } catch (error) {
+                history = [];
+            }
+        }
+        return history;
+    }
+
+    /**
+     * Persists the history and publishes the unread count
+     * @param {boolean} [keepPanel] - Leaves an open panel as it is rendered instead of redrawing it
+     */
+    function saveHistory(keepPanel) {
+        try {
+            sessionStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify(getHistory()));
+        } catch (error) {
+            console.error(`Error saving notification history: ${error}`);
+        }
+
+        const unreadCount = window.notifications.getUnreadCount();
+        updateBell(unreadCount);
+        if (panelElement && !keepPanel) {
+            renderPanel();
+        }
+
+        window.dispatchEvent(new CustomEvent('vatfilingnotificationschanged', { detail: { unreadCount } }));
+        subscribers.notify(unreadCount);
+    }
+
+    /**
+     * Creates the toast stack and the live regions used to announce notifications
+     */
+    function ensureStack() {
+        if (stackElement && document.body.contains(stackElement)) {
+            return;
+        }
+
+        stackElement = document.createElement('div');
+        stackElement.className = 'notification-stack';
+        stackElement.setAttribute('role', 'region');
+        stackElement.setAttribute('aria-label', window.i18n.t('notifications.region'));
+        document.body.appendChild(stackElement);
+
+        // Live regions must exist before their content changes for screen readers to announce it
+        politeRegion = document.createElement('div');
+        politeRegion.className = 'notification-live';
+        politeRegion.setAttribute('aria-live', 'polite');
+        assertiveRegion = document.createElement('div');
+        assertiveRegion.className = 'notification-live';
+        assertiveRegion.setAttribute('aria-live', 'assertive');
+        document.body.appendChild(politeRegion);
+        document.body.appendChild(assertiveRegion);
+    }
+
+    /**
+     * Announces a notification to screen readers; errors interrupt, everything else waits its turn
+     * @param {object} notification - The notification
+     */
+    function announce(notification) {
+        const region = notification.type === 'error' ? assertiveRegion : politeRegion;
+        const text = notification.title ? `${notification.title}. ${notification.message}` : notification.message;
+        region.textContent = '';
+        // A separate task, so repeating the same text is still announced
+        setTimeout(() => {
+            region.textContent = text;
+        }, 50);
+    }
+
+    /**
+     * Builds the toast element for a notification
+     * @param {object} entry - The visible entry, { notification, options }
+     * @returns {HTMLElement} The toast element
+     */
+    function buildToast(entry) {
+        const notification = entry.notification;
+        const toast = document.createElement('div');
+        toast.className = `notification-toast notification-${notification.type}`;
+        toast.dataset.notificationId = notification.id;
+
+        const body = document.createElement('div');
+        body.className = 'notification-body';
+        if (notification.title) {
+            const title = document.createElement('strong');
+            title.className = 'notification-title';
+            title.textContent = notification.title;
+            body.appendChild(title);
+        }
+        const message = document.createElement('div');
+        message.className = 'notification-message';
+        message.textContent = notification.message;
+        body.appendChild(message);
+
+        const actions = entry.options.actions || [];
+        if (actions.length > 0) {
+            const actionBar = document.createElement('div');
+            actionBar.className = 'notification-actions';
+            actions.forEach(action => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'btn btn-sm notification-action';
+                button.textContent = action.label;
+                button.addEventListener('click', () => runAction(entry, action));
+                actionBar.appendChild(button);
+            });
+            body.appendChild(actionBar);
+        }
+        toast.appendChild(body);
+
+        const close = document.createElement('button');
+        close.type = 'button';
+        close.className = 'notification-close';
+        close.setAttribute('aria-label', window.i18n.t('notifications.dismiss'));
+        close.textContent = '×';
+        close.addEventListener('click', () => window.notifications.dismiss(notification.id));
+        toast.appendChild(close);
+
+        // Reading or reaching for an action must not be cut short by the timer
+        toast.addEventListener('mouseenter', () => pause(entry));
+        toast.addEventListener('mouseleave', () => resume(entry));
+        toast.addEventListener('focusin', () => pause(entry));
+        toast.addEventListener('focusout', event => {
+            if (!toast.contains(event.relatedTarget)) {
+                resume(entry);
+            }
+        });
+
+        return toast;
+    }
+
+    /**
+     * Runs a notification action: its JavaScript callback, or the .NET method registered with the notification
+     * @param {object} entry - The visible entry
+     * @param {object} action - The action, { id, label, callback, keepOpen }
+     */
+    function runAction(entry, action) {
+        try {
+            if (typeof action.callback === 'function') {
+                action.callback(entry.notification.id, action.id);
+            } else if (entry.options.dotNetRef) {
+                entry.options.dotNetRef.invokeMethodAsync(entry.options.methodName || 'OnNotificationAction', entry.notification.id, action.id)
+                    .catch(error => console.error(`Error running notification action: ${error}`));
+            }
+        } catch (error) {
+            console.error(`Error running notification action: ${error}`);
+            window.errorReporter.capture(error, 'notificationAction');
+        }
+
+        if (!action.keepOpen) {
+            window.notifications.dismiss(entry.notification.id);
+        }
+    }
+
+    /**
+     * Starts or restarts the dismiss timer with the time remaining
+     * @param {object} entry - The visible entry
+     */
+    function startTimer(entry) {
+        if (entry.remaining <= 0 || entry.paused) {
+            return;
+        }
+        entry.startedAt = Date.now();
+        entry.timer = setTimeout(() => window.notifications.dismiss(entry.notification.id), entry.remaining);
+    }
+
+    /**
+     * Pauses the dismiss timer, keeping the time remaining
+     * @param {object} entry - The visible entry
+     */
+    function pause(entry) {
+        if (entry.paused) {
+            return;
+        }
+        entry.paused = true;
+        if (entry.timer) {
+            clearTimeout(entry.timer);
+            entry.timer = null;
+            entry.remaining = Math.max(entry.remaining - (Date.now() - entry.startedAt), 1000);
+        }
+    }
+
+    /**
+     * Resumes a paused dismiss timer
+     * @param {object} entry - The visible entry
+     */
+    function resume(entry) {
+        if (!entry.paused) {
+            return;
+        }
+        entry.paused = false;
+        startTimer(entry);
+    }
+
+    /**
+     * Shows queued notifications while there is room in the stack
+     */
+    function showQueued() {
+        while (queue.length > 0 && visible.length < getMaxVisible()) {
+            const entry = queue.shift();
+            ensureStack();
+
+            entry.element = buildToast(entry);
+            stackElement.appendChild(entry.element);
+            visible.push(entry);
+
+            // Starts the enter transition on the next frame
+            setTimeout(() => entry.element.classList.add('notification-visible'), 10);
+            announce(entry.notification);
+            startTimer(entry);
+        }
+    }
+
+    /**
+     * Updates the bell's unread badge and accessible name
+     * @param {number} unreadCount - The number of unread notifications
+     */
+    function updateBell(unreadCount) {
+        const bell = document.getElementById(BELL_ELEMENT_ID);
+        if (!bell) {
+            return;
+        }
+
+        let badge = bell.querySelector('.notification-badge');
+        if (!badge) {
+            badge = document.createElement('span');
+            badge.className = 'notification-badge';
+            badge.setAttribute('aria-hidden', 'true');
+            bell.appendChild(badge);
+        }
+        badge.textContent = unreadCount > 99 ? '99+' : String(unreadCount);
+        badge.hidden = unreadCount === 0;
+        bell.setAttribute('aria-label', window.i18n.t('notifications.bell', { count: unreadCount }));
+    }
+
+    /**
+     * Renders the history panel's list
+     */
+    function renderPanel() {
+        const list = panelElement.querySelector('.notification-history');
+        list.textContent = '';
+
+        const entries = getHistory();
+        panelElement.querySelector('.notification-empty').hidden = entries.length > 0;
+        panelElement.querySelectorAll('.notification-panel-actions button').forEach(button => {
+            button.disabled = entries.length === 0;
+        });
+
+        entries.forEach(notification => {
+            const item = document.createElement('li');
+            item.className = `notification-history-item notification-${notification.type}${notification.read ? '' : ' notification-unread'}`;
+
+            if (notification.title) {
+                const title = document.createElement('strong');
+                title.className = 'notification-title';
+                title.textContent = notification.title;
+                item.appendChild(title);
+            }
+            const message = document.createElement('div');
+            message.className = 'notification-message';
+            message.textContent = notification.message;
+            item.appendChild(message);
+
+            const time = document.createElement('time');
+            time.className = 'notification-time';
+            time.dateTime = notification.timestamp;
+            time.textContent = window.formatting.formatRelativeTime(notification.timestamp);
+            time.title = window.formatting.formatDate(notification.timestamp, 'datetime');
+            item.appendChild(time);
+
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Closes the panel when a click lands outside it and the bell
+     * @param {MouseEvent} event - The click event
+     */
+    function handleOutsideClick(event) {
+        const bell = document.getElementById(BELL_ELEMENT_ID);
+        if (panelElement && !panelElement.contains(event.target) && !(bell && bell.contains(event.target))) {
+            window.notifications.closePanel();
+        }
+    }
+
+    /**
+     * Closes the panel on Escape and returns focus to the bell
+     * @param {KeyboardEvent} event - The keydown event
+     */
+    function handlePanelKeydown(event) {
+        if (event.key === 'Escape') {
+            window.notifications.closePanel();
+            const bell = document.getElementById(BELL_ELEMENT_ID);
+            if (bell) {
+                bell.focus();
+            }
+        }
+    }
+
+    window.notifications = {
+        /**
+         * Shows a notification, queuing it while the maximum number of toasts is visible
+         * @param {object} options - The notification:
+         *   message: the text; title: optional heading; type: 'info', 'success', 'warning' or 'error';
+         *   durationMs: time before it is dismissed (0 keeps it until closed; default 5000);
+         *   actions: [{ id, label, callback, keepOpen }] buttons, where callback(notificationId, actionId)
+         *   is optional for .NET callers;
+         *   dotNetRef / methodName: the .NET object and JSInvokable method (default 'OnNotificationAction')
+         *   receiving (notificationId, actionId) for actions without a callback
+         * @returns {string} The notification ID
+         */
+        notify: function(options) {
+            const settings = options || {};
+            const notification = {
+                id: `n-${Date.now().toString(36)}-${++sequence}`,
+                type: TYPES.includes(settings.type) ? settings.type : 'info',
+                title: settings.title || null,
+                message: String(settings.message === undefined || settings.message === null ? '' : settings.message),
+                timestamp: new Date().toISOString(),
+                read: false
+            };
+
+            const duration = settings.durationMs === 0 ? 0 : (Number(settings.durationMs) || DEFAULT_DURATION_MS);
+            queue.push({ notification, options: settings, remaining: duration, timer: null, paused: false });
+
+            getHistory().unshift(notification);
+            history.splice(MAX_HISTORY);
+            saveHistory();
+
+            showQueued();
+            return notification.id;
+        },
+
+        /**
+         * Shows a notification with just a message, as showToast does
+         * @param {string} message - The message
+         * @param {string} [type] - 'info', 'success', 'warning' or 'error'
+         * @param {number} [durationMs] - Time before it is dismissed
+         * @returns {string} The notification ID
+         */
+        show: function(message, type, durationMs) {
+            return window.notifications.notify({ message, type, durationMs });
+        },
+
+        /**
+         * Dismisses a notification, whether visible or still queued; the next queued one takes its place
+         * @param {string} id - The notification ID
+         */
+        dismiss: function(id) {
+            const queuedIndex = queue.findIndex(entry => entry.notification.id === id);
+            if (queuedIndex >= 0) {
+                queue.splice(queuedIndex, 1);
+                return;
+            }
+
+            const index = visible.findIndex(entry => entry.notification.id === id);
+            if (index < 0) {
+                return;
+            }
+            const entry = visible.splice(index, 1)[0];
+            clearTimeout(entry.timer);
+
+            // Keep keyboard users in the stack rather than dropping focus to the page
+            const hadFocus = entry.element.contains(document.activeElement);
+            entry.element.classList.remove('notification-visible');
+            setTimeout(() => entry.element.remove(), EXIT_ANIMATION_MS);
+            if (hadFocus && visible.length > 0) {
+                visible[visible.length - 1].element.querySelector('.notification-close').focus();
+            }
+
+            showQueued();
+        },
+
+        /**
+         * Dismisses every visible and queued notification
+         */
+        dismissAll: function() {
+            queue.length = 0;
+            visible.slice().forEach(entry => window.notifications.dismiss(entry.notification.id));
+        },
+
+        /**
+         * Gets the notifications shown this session, most recent first
+         * @returns {object[]} Entries with id, type, title, message, timestamp and read
+         */
+        getHistory: function() {
+            return getHistory().map(notification => Object.assign({}, notification));
+        },
+
+        /**
+         * Gets the number of notifications in the history not yet seen in the panel
+         * @returns {number} The unread count
+         */
+        getUnreadCount: function() {
+            return getHistory().filter(notification => !notification.read).length;
+        },
+
+        /**
+         * Marks every notification in the history as read
+         */
+        markAllRead: function() {
+            getHistory().forEach(notification => {
+                notification.read = true;
+            });
+            saveHistory();
+        },
+
+        /**
+         * Removes every notification from the history
+         */
+        clearHistory: function() {
+            getHistory().length = 0;
+            saveHistory();
+        },
+
+        /**
+         * Opens the history panel below the bell; opening it marks the notifications as read
+         */
+        openPanel: function() {
+            const bell = document.getElementById(BELL_ELEMENT_ID);
+            if (panelElement) {
+                return;
+            }
+
+            const t = window.i18n.t;
+            panelElement = document.createElement('div');
+            panelElement.className = 'notification-panel';
+            panelElement.id = 'notification-panel';
+            panelElement.setAttribute('role', 'dialog');
+            panelElement.setAttribute('aria-labelledby', 'notification-panel-title');
+            panelElement.innerHTML = `
+                <div class="notification-panel-header">
+                    <h2 id="notification-panel-title" class="notification-panel-title"></h2>
+                    <div class="notification-panel-actions">
+                        <button type="button" class="btn btn-sm btn-link" data-panel-action="read"></button>
+                        <button type="button" class="btn btn-sm btn-link" data-panel-action="clear"></button>
+                    </div>
+                </div>
+                <p class="notification-empty"></p>
+                <ul class="notification-history"></ul>`;
+            panelElement.querySelector('.notification-panel-title').textContent = t('notifications.history');
+            panelElement.querySelector('.notification-empty').textContent = t('notifications.empty');
+            panelElement.querySelector('[data-panel-action="read"]').textContent = t('notifications.markAllRead');
+            panelElement.querySelector('[data-panel-action="clear"]').textContent = t('notifications.clear');
+            panelElement.querySelector('[data-panel-action="read"]').addEventListener('click', () => window.notifications.markAllRead());
+            panelElement.querySelector('[data-panel-action="clear"]').addEventListener('click', () => window.notifications.clearHistory());
+            panelElement.addEventListener('keydown', handlePanelKeydown);
+
+            if (bell) {
+                bell.setAttribute('aria-expanded', 'true');
+                bell.after(panelElement);
+            } else {
+                panelElement.classList.add('notification-panel-floating');
+                document.body.appendChild(panelElement);
+            }
+
+            renderPanel();
+            panelElement.setAttribute('tabindex', '-1');
+            panelElement.focus();
+            document.addEventListener('click', handleOutsideClick, true);
+
+            // The panel shows them with their unread marker; they count as read from now on
+            getHistory().forEach(notification => {
+                notification.read = true;
+            });
+            saveHistory(true);
+        },
+
+        /**
+         * Closes the history panel
+         */
+        closePanel: function() {
+            if (!panelElement) {
+                return;
+            }
+            panelElement.remove();
+            panelElement = null;
+            document.removeEventListener('click', handleOutsideClick, true);
+
+            const bell = document.getElementById(BELL_ELEMENT_ID);
+            if (bell) {
+                bell.setAttribute('aria-expanded', 'false');
+            }
+        },
+
+        /**
+         * Opens the history panel if it is closed, and closes it otherwise
+         */
+        togglePanel: function() {
+            if (panelElement) {
+                window.notifications.closePanel();
+            } else {
+                window.notifications.openPanel();
+            }
+        },
+
+        /**
+         * Registers a .NET object to be notified when the number of unread notifications changes
+         * @param {object} dotNetRef - The DotNetObjectReference to notify
+         * @param {string} methodName - The JSInvokable method receiving the unread count
+         * @returns {number} The subscription ID to pass to unsubscribe
+         */
+        subscribe: function(dotNetRef, methodName) {
+            return subscribers.add(dotNetRef, methodName);
+        },
+
+        /**
+         * Removes a previously registered .NET subscriber
+         * @param {number} subscriptionId - The ID returned by subscribe
+         */
+        unsubscribe: function(subscriptionId) {
+            subscribers.remove(subscriptionId);
+        }
+    };
+
+    // The bell is rendered by the layout; it opens the panel through a delegated handler so a re-rendered bell keeps working
+    document.addEventListener('click', event => {
+        if (event.target.closest && event.target.closest(`#${BELL_ELEMENT_ID}`)) {
+            window.notifications.togglePanel();
+        }
+    });
+
+    // Show the unread count from earlier in the session, in the user's language
+    window.addEventListener('vatfilingappready', () => updateBell(window.notifications.getUnreadCount()));
+    window.addEventListener('vatfilinglanguagechanged', () => {
+        updateBell(window.notifications.getUnreadCount());
+        if (stackElement) {
+            stackElement.setAttribute('aria-label', window.i18n.t('notifications.region'));
+        }
+        if (panelElement) {
+            window.notifications.closePanel();
+        }
+    });
+})();
@@ -0,0 +1,427 @@
+/**
+ * offlineQueue.js - Offline calculation queue for VatFilingPricingTool
+ * Persists pricing calculation requests made while disconnected in IndexedDB and
+ * submits them to the API once connectivity returns. Only one tab replays at a time, and items
+ * the API rejects permanently or that keep failing are set aside as failed.
+ * Version: 1.0.0
+ */
+
+(function() {
+    const DB_NAME = 'vat-filing-offline';
+    const DB_VERSION = 1;
+    const STORE_NAME = 'calculationQueue';
+
+    // Tag used to register a background sync with the service worker
+    const SYNC_TAG = 'vat-filing-calculation-queue';
+
+    // Relative to the document base URI, matching ApiEndpoints.Pricing.Calculate
+    const CALCULATE_ENDPOINT = 'api/v1/pricing/calculate';
+
+    // Status codes returned when the queued request no longer applies on the server
+    const CONFLICT_STATUS_CODES = [409, 412, 422];
+
+    // Client error codes that may succeed later, e.g. once the user has signed in again; any other
+    // 4xx response means the request itself is invalid and retrying it cannot help
+    const RETRYABLE_CLIENT_STATUS_CODES = [401, 408, 425, 429];
+
+    // Number of failed submissions after which an item is set aside instead of retried
+    const MAX_ATTEMPTS = 5;
+
+    // Web Lock held while replaying, so pages open in several tabs do not submit the same item twice
+    const REPLAY_LOCK_NAME = 'vat-filing-offline-replay';
+
+    // The key the .NET LocalStorageHelper stores the authentication token under
+    const AUTH_TOKEN_KEY = 'vat_filing_auth_token';
+
+    let databasePromise = null;
+    let replayPromise = null;
+    const subscribers = window.subscriptions.create('OnOfflineQueueChanged', 'offline queue');
+
+    /**
+     * Opens the offline queue database, creating the object store on first use
+     * @returns {Promise<IDBDatabase>} Promise resolving to the open database
+     */
+    function getDatabase() {
+        if (!databasePromise) {
+            databasePromise = window.indexedDbHelper.openDatabase(DB_NAME, DB_VERSION, database => {
+                if (!database.objectStoreNames.contains(STORE_NAME)) {
+                    const store = database.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+                    store.createIndex('status', 'status', { unique: false });
+                }
+            });
+        }
+        return databasePromise;
+    }
+
+    /**
+     * Runs a callback against the queue object store inside a transaction
+     * @param {string} mode - The transaction mode ('readonly' or 'readwrite')
+     * @param {function(IDBObjectStore): IDBRequest} callback - Callback issuing the store request
+     * @returns {Promise<any>} Promise resolving to the request result once the transaction completes
+     */
+    async function withStore(mode, callback) {
+        const database = await getDatabase();
+        const transaction = database.transaction(STORE_NAME, mode);
+        const result = window.indexedDbHelper.requestToPromise(callback(transaction.objectStore(STORE_NAME)));
+        await window.indexedDbHelper.transactionToPromise(transaction);
+        return result;
+    }
+
+    /**
+     * Normalizes a CalculationInputModel-shaped object into the payload sent to the API
+     * @param {object} input - The calculation input
+     * @returns {object} The normalized calculation input
+     */
+    function normalizeInput(input) {
+        if (!input || !Array.isArray(input.countryCodes) || input.countryCodes.length === 0) {
+            throw new Error('A queued calculation requires at least one country code');
+        }
+
+        return {
+            countryCodes: input.countryCodes.slice(),
+            serviceType: Number(input.serviceType) || 0,
+            transactionVolume: Number(input.transactionVolume) || 0,
+            filingFrequency: Number(input.filingFrequency) || 1,
+            additionalServices: Array.isArray(input.additionalServices) ? input.additionalServices.slice() : [],
+            currencyCode: input.currencyCode || 'EUR'
+        };
+    }
+
+    /**
+     * Gets the authentication token used for replayed requests, which is read asynchronously when encrypted
+     * @returns {Promise<string|null>} Promise resolving to the bearer token or null if the user is not signed in
+     */
+    async function getAuthToken() {
+        const storageSettings = (window.appSettings && window.appSettings.LocalStorage) || {};
+        const token = await window.getLocalStorageItem(AUTH_TOKEN_KEY);
+        return token || window.getLocalStorageItem(storageSettings.TokenKey || 'auth_token');
+    }
+
+    /**
+     * Builds a short description of a queued calculation for notifications
+     * @param {object} item - The queued item
+     * @returns {string} The description
+     */
+    function describe(item) {
+        return window.i18n.t('offlineQueue.description', {
+            count: item.input.countryCodes.length,
+            date: window.formatting.formatDate(item.createdAt, 'datetime')
+        });
+    }
+
+    /**
+     * Registers a background sync so the service worker can trigger a replay when connectivity returns
+     */
+    async function requestBackgroundSync() {
+        if (!('serviceWorker' in navigator) || typeof window.SyncManager === 'undefined') {
+            return;
+        }
+
+        try {
+            const registration = await navigator.serviceWorker.ready;
+            await registration.sync.register(SYNC_TAG);
+        } catch (error) {
+            console.warn(`Background sync registration failed: ${error}`);
+        }
+    }
+
+    /**
+     * Publishes the current number of pending items to the indicator, listeners and subscribers
+     */
+    async function notifyChanged() {
+        let pendingCount = 0;
+        try {
+            pendingCount = await window.offlineQueue.getPendingCount();
+        } catch (error) {
+            console.error(`Error reading offline queue: ${error}`);
+            return;
+        }
+
+        updateIndicator(pendingCount);
+
+        window.dispatchEvent(new CustomEvent('vatfilingqueuechanged', {
+            detail: { pendingCount }
+        }));
+
+        subscribers.notify(pendingCount);
+    }
+
+    /**
+     * Updates the pending-items indicator element if it exists on the page
+     * @param {number} pendingCount - The number of pending items
+     */
+    function updateIndicator(pendingCount) {
+        const indicator = document.getElementById('offline-queue-indicator');
+        if (!indicator) {
+            return;
+        }
+
+        indicator.textContent = pendingCount > 0 ? window.i18n.t('offlineQueue.indicator', { count: pendingCount }) : '';
+        indicator.hidden = pendingCount === 0;
+        indicator.setAttribute('title', pendingCount > 0
+            ? window.i18n.t('offlineQueue.indicatorTitle', { count: pendingCount })
+            : '');
+    }
+
+    /**
+     * Submits a single queued item to the API
+     * @param {object} item - The queued item
+     * @param {string|null} token - The bearer token
+     * @returns {Promise<string>} Promise resolving to 'submitted', 'conflict', 'failed', 'retry', or 'offline'
+     * when the API could not be reached
+     */
+    async function submitItem(item, token) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (token) {
+            headers.Authorization = `Bearer ${token}`;
+        }
+
+        let response;
+        try {
+            response = await fetch(new URL(CALCULATE_ENDPOINT, document.baseURI).toString(), {
+                method: 'POST',
+                headers,
+                body: JSON.stringify(item.input)
+            });
+        } catch (error) {
+            // Still offline or the API is unreachable; keep the item for the next attempt
+            return 'offline';
+        }
+
+        if (response.ok) {
+            const result = await response.json().catch(() => null);
+            await withStore('readwrite', store => store.delete(item.id));
+
+            window.showToast(window.i18n.t('offlineQueue.submitted', { details: describe(item) }), 'success', 4000);
+            window.dispatchEvent(new CustomEvent('vatfilingqueueditemsubmitted', {
+                detail: { id: item.id, input: item.input, result }
+            }));
+            return 'submitted';
+        }
+
+        if (CONFLICT_STATUS_CODES.includes(response.status)) {
+            item.status = 'conflict';
+            item.lastError = `${response.status} ${response.statusText}`;
+            await withStore('readwrite', store => store.put(item));
+
+            window.showToast(window.i18n.t('offlineQueue.conflict', { details: describe(item) }), 'warning', 6000);
+            window.dispatchEvent(new CustomEvent('vatfilingqueueditemconflict', {
+                detail: { id: item.id, input: item.input, status: response.status }
+            }));
+            return 'conflict';
+        }
+
+        item.attempts = (item.attempts || 0) + 1;
+        item.lastError = `${response.status} ${response.statusText}`;
+
+        const permanent = response.status >= 400 && response.status < 500 &&
+            !RETRYABLE_CLIENT_STATUS_CODES.includes(response.status);
+        if (!permanent && item.attempts < MAX_ATTEMPTS) {
+            await withStore('readwrite', store => store.put(item));
+            return 'retry';
+        }
+
+        item.status = 'failed';
+        await withStore('readwrite', store => store.put(item));
+
+        window.showToast(window.i18n.t('offlineQueue.failed', { details: describe(item) }), 'error', 6000);
+        window.dispatchEvent(new CustomEvent('vatfilingqueueditemfailed', {
+            detail: { id: item.id, input: item.input, status: response.status, attempts: item.attempts }
+        }));
+        return 'failed';
+    }
+
+    /**
+     * Submits pending items in the order they were queued. An item that fails is kept for the next
+     * replay without holding up the items behind it; replay only stops when the API is unreachable.
+     * @returns {Promise<{submitted: number, conflicts: number, failed: number, remaining: number}>} Replay summary
+     */
+    async function replayPending() {
+        const summary = { submitted: 0, conflicts: 0, failed: 0, remaining: 0 };
+        const pending = await window.offlineQueue.getPending();
+        const token = await getAuthToken();
+
+        for (let i = 0; i < pending.length; i++) {
+            const outcome = await submitItem(pending[i], token);
+            if (outcome === 'submitted') {
+                summary.submitted++;
+            } else if (outcome === 'conflict') {
+                summary.conflicts++;
+            } else if (outcome === 'failed') {
+                summary.failed++;
+            } else if (outcome === 'retry') {
+                summary.remaining++;
+            } else {
+                summary.remaining += pending.length - i;
+                break;
+            }
+        }
+
+        await notifyChanged();
+        return summary;
+    }
+
+    /**
+     * Replays the queue while holding the replay Web Lock; when another tab already holds it, that tab
+     * is submitting the same items and this one does nothing. Browsers without Web Locks replay directly.
+     * @returns {Promise<{submitted: number, conflicts: number, failed: number, remaining: number}>} Replay summary,
+     * with remaining set to -1 when another tab is replaying
+     */
+    function replayExclusively() {
+        if (!navigator.locks) {
+            return replayPending();
+        }
+
+        return navigator.locks.request(REPLAY_LOCK_NAME, { ifAvailable: true }, lock => lock
+            ? replayPending()
+            : { submitted: 0, conflicts: 0, failed: 0, remaining: -1 });
+    }
+
+    window.offlineQueue = {
+        /**
+         * Adds a calculation request to the offline queue
+         * @param {object} input - A CalculationInputModel-shaped object
+         * @returns {Promise<number>} Promise resolving to the ID of the queued item
+         */
+        enqueue: async function(input) {
+            const item = {
+                input: normalizeInput(input),
+                status: 'pending',
+                attempts: 0,
+                createdAt: new Date().toISOString()
+            };
+
+            const id = await withStore('readwrite', store => store.add(item));
+
+            await requestBackgroundSync();
+            await notifyChanged();
+
+            return id;
+        },
+
+        /**
+         * Gets all items still waiting to be submitted, oldest first
+         * @returns {Promise<object[]>} Promise resolving to the pending items
+         */
+        getPending: function() {
+            return withStore('readonly', store => store.index('status').getAll('pending'));
+        },
+
+        /**
+         * Gets the number of items still waiting to be submitted
+         * @returns {Promise<number>} Promise resolving to the pending item count
+         */
+        getPendingCount: function() {
+            return withStore('readonly', store => store.index('status').count('pending'));
+        },
+
+        /**
+         * Gets items the API rejected as conflicting so the user can review them
+         * @returns {Promise<object[]>} Promise resolving to the conflicting items
+         */
+        getConflicts: function() {
+            return withStore('readonly', store => store.index('status').getAll('conflict'));
+        },
+
+        /**
+         * Gets items set aside after the API rejected them permanently or they failed too often
+         * @returns {Promise<object[]>} Promise resolving to the failed items
+         */
+        getFailed: function() {
+            return withStore('readonly', store => store.index('status').getAll('failed'));
+        },
+
+        /**
+         * Removes an item from the queue
+         * @param {number} id - The ID of the queued item
+         * @returns {Promise<void>} Promise that resolves when the item has been removed
+         */
+        remove: async function(id) {
+            await withStore('readwrite', store => store.delete(id));
+            await notifyChanged();
+        },
+
+        /**
+         * Removes every item from the queue
+         * @returns {Promise<void>} Promise that resolves when the queue has been cleared
+         */
+        clear: async function() {
+            await withStore('readwrite', store => store.clear());
+            await notifyChanged();
+        },
+
+        /**
+         * Submits all pending items to the API; concurrent calls share the same replay, and only one
+         * tab replays at a time
+         * @returns {Promise<{submitted: number, conflicts: number, failed: number, remaining: number}>} Replay summary
+         */
+        replay: function() {
+            if (!navigator.onLine) {
+                return Promise.resolve({ submitted: 0, conflicts: 0, failed: 0, remaining: -1 });
+            }
+
+            if (!replayPromise) {
+                replayPromise = replayExclusively()
+                    .catch(error => {
+                        console.error(`Error replaying offline queue: ${error}`);
+                        return { submitted: 0, conflicts: 0, failed: 0, remaining: -1 };
+                    })
+                    .finally(() => {
+                        replayPromise = null;
+                    });
+            }
+            return replayPromise;
+        },
+
+        /**
+         * Registers a .NET object to be notified when the number of pending items changes
+         * @param {object} dotNetRef - The DotNetObjectReference to notify
+         * @param {string} methodName - The JSInvokable method receiving the pending count
+         * @returns {number} The subscription ID to pass to unsubscribe
+         */
+        subscribe: function(dotNetRef, methodName) {
+            const id = subscribers.add(dotNetRef, methodName);
+            notifyChanged();
+            return id;
+        },
+
+        /**
+         * Removes a previously registered .NET subscriber
+         * @param {number} subscriptionId - The ID returned by subscribe
+         */
+        unsubscribe: function(subscriptionId) {
+            subscribers.remove(subscriptionId);
+        }
+    };
+
+    // Initialization code that runs when the script is loaded
+    if (!window.indexedDbHelper.isSupported()) {
+        console.warn('IndexedDB is not supported; offline calculation queue disabled');
+        return;
+    }
+
+    // Replay as soon as the browser reports connectivity again
+    window.addEventListener('online', () => window.offlineQueue.replay());
+
+    // The service worker asks open pages to replay when a background sync fires
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.addEventListener('message', event => {
+            if (event.data && event.data.type === 'replay-offline-queue') {
+                window.offlineQueue.replay();
+            }
+        });
+    }
+
+    // Re-word the pending-items indicator in the new language
+    window.addEventListener('vatfilinglanguagechanged', () => {
+        window.offlineQueue.getPendingCount()
+            .then(updateIndicator)
+            .catch(error => console.error(`Error reading offline queue: ${error}`));
+    });
+
+    // Show the pending-items indicator and flush anything left from a previous session
+    window.addEventListener('vatfilingappready', () => {
+        notifyChanged();
+        window.offlineQueue.replay();
+    });
+})();
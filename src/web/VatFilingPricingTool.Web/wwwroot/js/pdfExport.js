@@ -0,0 +1,875 @@
+/**
+ * pdfExport.js - Client-side PDF generation for VatFilingPricingTool pricing quotes
+ * Builds branded, paginated PDF documents in the browser with headers, footers, page
+ * numbers, a company logo, the country cost table, embedded chart images and a QR code of the shareable link
+ * Version: 1.0.0
+ */
+
+(function() {
+    const PDF_CONTENT_TYPE = 'application/pdf';
+
+    // A4 portrait in points
+    const PAGE_WIDTH = 595.28;
+    const PAGE_HEIGHT = 841.89;
+    const MARGIN = 40;
+    const HEADER_HEIGHT = 56;
+    const FOOTER_HEIGHT = 36;
+    const CONTENT_TOP = MARGIN + HEADER_HEIGHT;
+    const CONTENT_BOTTOM = PAGE_HEIGHT - MARGIN - FOOTER_HEIGHT;
+    const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+
+    const BRAND_COLOR = '#0078d4';
+    const TEXT_COLOR = '#212529';
+    const MUTED_COLOR = '#6c757d';
+    const RULE_COLOR = '#dee2e6';
+    const STRIPE_COLOR = '#f5f7fa';
+
+    // Text options left null are translated when the quote is built
+    const DEFAULT_OPTIONS = {
+        title: null,
+        companyName: null,
+        logoUrl: null,
+        charts: [],
+        footerText: null,
+        // Shareable link to the calculation, printed with a QR code at the end of the quote
+        shareUrl: null
+    };
+
+    // The standard fonts every PDF reader provides, so nothing needs to be embedded
+    const FONTS = {
+        regular: { resource: 'F1', baseFont: 'Helvetica' },
+        bold: { resource: 'F2', baseFont: 'Helvetica-Bold' }
+    };
+
+    // Glyph widths (1/1000 em) for the printable ASCII range 32-126, from the standard font metrics
+    const GLYPH_WIDTHS = {
+        regular: [
+            278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+            556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+            1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+            667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+            333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+            556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+        ],
+        bold: [
+            278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+            556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+            975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+            667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+            333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+            611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+        ]
+    };
+
+    // Characters WinAnsiEncoding places in the 0x80-0x9F range
+    const WIN_ANSI_EXTRAS = {
+        '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85, '†': 0x86,
+        '‡': 0x87, 'ˆ': 0x88, '‰': 0x89, 'Š': 0x8A, '‹': 0x8B, 'Œ': 0x8C,
+        'Ž': 0x8E, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95,
+        '–': 0x96, '—': 0x97, '˜': 0x98, '™': 0x99, 'š': 0x9A, '›': 0x9B,
+        'œ': 0x9C, 'ž': 0x9E, 'Ÿ': 0x9F
+    };
+
+    /**
+     * Encodes text in WinAnsiEncoding as a binary string, replacing unsupported characters
+     * @param {*} text - The text to encode
+     * @returns {string} One character per byte
+     */
+    function encodeText(text) {
+        let encoded = '';
+        // Intl formatting uses narrow no-break and thin spaces, which WinAnsi lacks, as group separators
+        for (const char of String(text).replace(/[\u202F\u2009]/g, '\u00A0')) {
+            const code = char.charCodeAt(0);
+            if ((code >= 32 && code <= 126) || (code >= 0xA0 && code <= 0xFF)) {
+                encoded += char;
+            } else if (WIN_ANSI_EXTRAS[char] !== undefined) {
+                encoded += String.fromCharCode(WIN_ANSI_EXTRAS[char]);
+            } else if (code === 9) {
+                encoded += ' ';
+            } else {
+                encoded += '?';
+            }
+        }
+        return encoded;
+    }
+
+    /**
+     * Measures the width of text in points
+     * @param {string} text - The text to measure
+     * @param {string} font - 'regular' or 'bold'
+     * @param {number} size - The font size in points
+     * @returns {number} The width in points
+     */
+    function textWidth(text, font, size) {
+        const widths = GLYPH_WIDTHS[font] || GLYPH_WIDTHS.regular;
+        const encoded = encodeText(text);
+        let total = 0;
+        for (let i = 0; i < encoded.length; i++) {
+            const code = encoded.charCodeAt(i);
+            total += code >= 32 && code <= 126 ? widths[code - 32] : code === 0xA0 ? 278 : 556;
+        }
+        return total * size / 1000;
+    }
+
+    /**
+     * Splits text into lines that fit within a width, breaking on spaces
+     * @param {string} text - The text to wrap
+     * @param {string} font - 'regular' or 'bold'
+     * @param {number} size - The font size in points
+     * @param {number} maxWidth - The available width in points
+     * @returns {string[]} The wrapped lines
+     */
+    function wrapText(text, font, size, maxWidth) {
+        const lines = [];
+        String(text || '').split(/\r?\n/).forEach(paragraph => {
+            let line = '';
+            paragraph.split(' ').forEach(word => {
+                const candidate = line ? `${line} ${word}` : word;
+                if (line && textWidth(candidate, font, size) > maxWidth) {
+                    lines.push(line);
+                    line = word;
+                } else {
+                    line = candidate;
+                }
+            });
+            lines.push(line);
+        });
+        return lines;
+    }
+
+    /**
+     * Shortens text with an ellipsis so it fits within a width
+     * @param {string} text - The text to fit
+     * @param {string} font - 'regular' or 'bold'
+     * @param {number} size - The font size in points
+     * @param {number} maxWidth - The available width in points
+     * @returns {string} The text, truncated if necessary
+     */
+    function fitText(text, font, size, maxWidth) {
+        let value = String(text || '');
+        if (textWidth(value, font, size) <= maxWidth) {
+            return value;
+        }
+        while (value.length > 0 && textWidth(`${value}…`, font, size) > maxWidth) {
+            value = value.slice(0, -1);
+        }
+        return `${value}…`;
+    }
+
+    /**
+     * Converts a hex color to PDF RGB operands
+     * @param {string} color - The hex color (#rrggbb)
+     * @returns {string} The space-separated components between 0 and 1
+     */
+    function rgb(color) {
+        return [1, 3, 5].map(offset => (parseInt(color.substr(offset, 2), 16) / 255).toFixed(3)).join(' ');
+    }
+
+    /**
+     * Formats a number for a content stream
+     * @param {number} value - The number
+     * @returns {string} The number with at most two decimals
+     */
+    function num(value) {
+        return String(Math.round(value * 100) / 100);
+    }
+
+    /**
+     * Reads the dimensions of a baseline or progressive JPEG from its start-of-frame marker
+     * @param {string} data - The JPEG as a binary string
+     * @returns {{width: number, height: number, components: number}} The image information
+     */
+    function readJpegInfo(data) {
+        let offset = 2;
+        while (offset < data.length) {
+            if (data.charCodeAt(offset) !== 0xFF) {
+                offset++;
+                continue;
+            }
+            const marker = data.charCodeAt(offset + 1);
+            const length = (data.charCodeAt(offset + 2) << 8) | data.charCodeAt(offset + 3);
+            // SOF0-SOF15, excluding DHT (C4), JPG (C8) and DAC (CC)
+            if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+                return {
+                    height: (data.charCodeAt(offset + 5) << 8) | data.charCodeAt(offset + 6),
+                    width: (data.charCodeAt(offset + 7) << 8) | data.charCodeAt(offset + 8),
+                    components: data.charCodeAt(offset + 9)
+                };
+            }
+            offset += 2 + length;
+        }
+        throw new Error('Invalid JPEG image: no frame header found');
+    }
+
+    /**
+     * Loads an image (PNG, SVG, JPEG or data URL) and re-encodes it as JPEG on a white background
+     * @param {string} url - The image URL
+     * @returns {Promise<string>} Promise resolving to the JPEG as a binary string
+     */
+    function loadImageAsJpeg(url) {
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.crossOrigin = 'anonymous';
+            image.onload = () => {
+                try {
+                    const canvas = document.createElement('canvas');
+                    canvas.width = image.naturalWidth || image.width;
+                    canvas.height = image.naturalHeight || image.height;
+                    const ctx = canvas.getContext('2d');
+                    ctx.fillStyle = '#ffffff';
+                    ctx.fillRect(0, 0, canvas.width, canvas.height);
+                    ctx.drawImage(image, 0, 0);
+                    const dataUrl = canvas.toDataURL('image/jpeg', 0.92);
+                    resolve(atob(dataUrl.substring(dataUrl.indexOf(',') + 1)));
+                } catch (error) {
+                    reject(error);
+                }
+            };
+            image.onerror = () => reject(new Error(`Failed to load image '${url}'`));
+            image.src = url;
+        });
+    }
+
+    /**
+     * Minimal PDF 1.4 writer supporting text in the standard Helvetica fonts, lines,
+     * filled rectangles and JPEG images. Coordinates are in points from the top-left corner.
+     */
+    class PdfDocument {
+        constructor() {
+            this.pages = [];
+            this.images = [];
+        }
+
+        /**
+         * Starts a new page
+         * @returns {object} The page, whose operators are appended by the drawing methods
+         */
+        addPage() {
+            const page = { operations: [] };
+            this.pages.push(page);
+            this.currentPage = page;
+            return page;
+        }
+
+        /**
+         * Draws a single line of text
+         * @param {string} text - The text
+         * @param {number} x - The x position of the anchor
+         * @param {number} y - The y position of the baseline
+         * @param {object} [style] - { font: 'regular'|'bold', size, color, align: 'left'|'right'|'center' }
+         */
+        text(text, x, y, style) {
+            const font = (style && style.font) || 'regular';
+            const size = (style && style.size) || 10;
+            const align = (style && style.align) || 'left';
+            const width = textWidth(text, font, size);
+            const left = align === 'right' ? x - width : align === 'center' ? x - width / 2 : x;
+            const escaped = encodeText(text).replace(/([\\()])/g, '\\$1');
+
+            this.currentPage.operations.push(
+                `BT /${FONTS[font].resource} ${num(size)} Tf ${rgb((style && style.color) || TEXT_COLOR)} rg ` +
+                `${num(left)} ${num(PAGE_HEIGHT - y)} Td (${escaped}) Tj ET`);
+        }
+
+        /**
+         * Draws a straight line
+         * @param {number} x1 - Start x
+         * @param {number} y1 - Start y
+         * @param {number} x2 - End x
+         * @param {number} y2 - End y
+         * @param {string} [color] - The hex stroke color
+         * @param {number} [width] - The line width in points
+         */
+        line(x1, y1, x2, y2, color, width) {
+            this.currentPage.operations.push(
+                `${rgb(color || RULE_COLOR)} RG ${num(width || 0.5)} w ` +
+                `${num(x1)} ${num(PAGE_HEIGHT - y1)} m ${num(x2)} ${num(PAGE_HEIGHT - y2)} l S`);
+        }
+
+        /**
+         * Draws a filled rectangle
+         * @param {number} x - Left edge
+         * @param {number} y - Top edge
+         * @param {number} width - Width
+         * @param {number} height - Height
+         * @param {string} color - The hex fill color
+         */
+        rect(x, y, width, height, color) {
+            this.currentPage.operations.push(
+                `${rgb(color)} rg ${num(x)} ${num(PAGE_HEIGHT - y - height)} ${num(width)} ${num(height)} re f`);
+        }
+
+        /**
+         * Registers a JPEG image so it can be drawn on any page
+         * @param {string} data - The JPEG as a binary string
+         * @returns {object} The registered image with its pixel dimensions
+         */
+        addJpeg(data) {
+            const info = readJpegInfo(data);
+            const image = Object.assign({ data, name: `Im${this.images.length + 1}` }, info);
+            this.images.push(image);
+            return image;
+        }
+
+        /**
+         * Draws a registered image
+         * @param {object} image - The image returned by addJpeg
+         * @param {number} x - Left edge
+         * @param {number} y - Top edge
+         * @param {number} width - Drawn width
+         * @param {number} height - Drawn height
+         */
+        image(image, x, y, width, height) {
+            this.currentPage.operations.push(
+                `q ${num(width)} 0 0 ${num(height)} ${num(x)} ${num(PAGE_HEIGHT - y - height)} cm /${image.name} Do Q`);
+        }
+
+        /**
+         * Serializes the document
+         * @param {object} [info] - Document information ({ title, author })
+         * @returns {Uint8Array} The PDF bytes
+         */
+        toBytes(info) {
+            const objects = [];
+            const addObject = body => {
+                objects.push(body);
+                return objects.length;
+            };
+            const reserve = () => addObject(null);
+
+            const catalogId = reserve();
+            const pagesId = reserve();
+            const fontIds = {};
+            Object.keys(FONTS).forEach(key => {
+                fontIds[key] = addObject(
+                    `<< /Type /Font /Subtype /Type1 /BaseFont /${FONTS[key].baseFont} /Encoding /WinAnsiEncoding >>`);
+            });
+            const imageIds = this.images.map(image => addObject(
+                `<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} ` +
+                `/ColorSpace /${image.components === 1 ? 'DeviceGray' : image.components === 4 ? 'DeviceCMYK' : 'DeviceRGB'} ` +
+                `/BitsPerComponent 8 /Filter /DCTDecode /Length ${image.data.length} >>\nstream\n${image.data}\nendstream`));
+
+            const fontResources = Object.keys(FONTS).map(key => `/${FONTS[key].resource} ${fontIds[key]} 0 R`).join(' ');
+            const imageResources = this.images.map((image, index) => `/${image.name} ${imageIds[index]} 0 R`).join(' ');
+            const resources = `<< /Font << ${fontResources} >>${imageResources ? ` /XObject << ${imageResources} >>` : ''} >>`;
+
+            const pageIds = this.pages.map(page => {
+                const content = page.operations.join('\n');
+                const contentId = addObject(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+                return addObject(
+                    `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+                    `/Resources ${resources} /Contents ${contentId} 0 R >>`);
+            });
+
+            objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+            objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+            const pdfString = value => `(${encodeText(value).replace(/([\\()])/g, '\\$1')})`;
+            const now = new Date();
+            const pad = value => String(value).padStart(2, '0');
+            const creationDate = `D:${now.getUTCFullYear()}${pad(now.getUTCMonth() + 1)}${pad(now.getUTCDate())}` +
+                `${pad(now.getUTCHours())}${pad(now.getUTCMinutes())}${pad(now.getUTCSeconds())}Z`;
+            const infoId = addObject(
+                `<< /Title ${pdfString((info && info.title) || '')} /Author ${pdfString((info && info.author) || '')} ` +
+                `/Producer (VatFilingPricingTool) /CreationDate (${creationDate}) >>`);
+
+            // The binary comment marks the file as containing 8-bit data
+            let output = '%PDF-1.4\n%âãÏÓ\n';
+            const offsets = objects.map((body, index) => {
+                const offset = output.length;
+                output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+                return offset;
+            });
+
+            const xrefOffset = output.length;
+            output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+            output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+            output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\n`;
+            output += `startxref\n${xrefOffset}\n%%EOF`;
+
+            const bytes = new Uint8Array(output.length);
+            for (let i = 0; i < output.length; i++) {
+                bytes[i] = output.charCodeAt(i) & 0xFF;
+            }
+            return bytes;
+        }
+    }
+
+    /**
+     * Lays out a pricing quote across pages, starting a new page when content would overflow
+     */
+    class QuoteLayout {
+        /**
+         * @param {PdfDocument} pdf - The document to draw into
+         * @param {object} options - The resolved quote options
+         * @param {object|null} logo - The registered logo image
+         */
+        constructor(pdf, options, logo) {
+            this.pdf = pdf;
+            this.options = options;
+            this.logo = logo;
+            this.newPage();
+        }
+
+        /**
+         * Starts a new page and draws the running header
+         */
+        newPage() {
+            this.pdf.addPage();
+            this.y = CONTENT_TOP;
+
+            const headerBottom = MARGIN + HEADER_HEIGHT - 16;
+            let textLeft = MARGIN;
+            if (this.logo) {
+                const logoHeight = 32;
+                const logoWidth = Math.min(120, logoHeight * this.logo.width / this.logo.height);
+                this.pdf.image(this.logo, MARGIN, headerBottom - logoHeight - 4, logoWidth, logoWidth * this.logo.height / this.logo.width);
+                textLeft = MARGIN + logoWidth + 10;
+            }
+            this.pdf.text(this.options.companyName, textLeft, headerBottom - 20, { font: 'bold', size: 13, color: BRAND_COLOR });
+            this.pdf.text(this.options.title, textLeft, headerBottom - 6, { size: 9, color: MUTED_COLOR });
+            if (this.options.reference) {
+                this.pdf.text(this.options.reference, PAGE_WIDTH - MARGIN, headerBottom - 6, { size: 9, color: MUTED_COLOR, align: 'right' });
+            }
+            this.pdf.line(MARGIN, headerBottom, PAGE_WIDTH - MARGIN, headerBottom, BRAND_COLOR, 1.5);
+        }
+
+        /**
+         * Ensures there is room for content of the given height, starting a new page if not
+         * @param {number} height - The height required
+         * @returns {boolean} True if a new page was started
+         */
+        ensureSpace(height) {
+            if (this.y + height > CONTENT_BOTTOM && this.y > CONTENT_TOP) {
+                this.newPage();
+                return true;
+            }
+            return false;
+        }
+
+        /**
+         * Draws a section heading
+         * @param {string} text - The heading text
+         */
+        heading(text) {
+            this.ensureSpace(40);
+            this.y += 18;
+            this.pdf.text(text, MARGIN, this.y, { font: 'bold', size: 12, color: BRAND_COLOR });
+            this.y += 10;
+        }
+
+        /**
+         * Draws wrapped paragraph text
+         * @param {string} text - The text
+         * @param {object} [style] - Text style overrides
+         */
+        paragraph(text, style) {
+            const size = (style && style.size) || 10;
+            wrapText(text, 'regular', size, CONTENT_WIDTH).forEach(line => {
+                this.ensureSpace(size + 4);
+                this.y += size + 4;
+                this.pdf.text(line, MARGIN, this.y, Object.assign({ size }, style));
+            });
+        }
+
+        /**
+         * Draws label/value pairs in two columns
+         * @param {Array<Array<string>>} pairs - The [label, value] pairs
+         */
+        keyValues(pairs) {
+            pairs.forEach(([label, value]) => {
+                const lines = wrapText(value, 'regular', 10, CONTENT_WIDTH - 150);
+                // Keep short values together; long ones continue on the next page line by line
+                this.ensureSpace(Math.min(lines.length, 3) * 14 + 2);
+                lines.forEach((line, index) => {
+                    this.ensureSpace(14);
+                    this.y += 14;
+                    if (index === 0) {
+                        this.pdf.text(label, MARGIN, this.y, { font: 'bold', size: 10 });
+                    }
+                    this.pdf.text(line, MARGIN + 150, this.y, { size: 10 });
+                });
+            });
+        }
+
+        /**
+         * Draws a table that continues across pages, repeating the header row on each page
+         * @param {Array<{header: string, width: number, align: string}>} columns - Column definitions; widths are fractions of the content width
+         * @param {Array<Array<string>>} rows - The body rows
+         * @param {Array<Array<string>>} [footerRows] - Rows drawn in bold after the body, such as totals
+         */
+        table(columns, rows, footerRows) {
+            const rowHeight = 18;
+            const widths = columns.map(column => column.width * CONTENT_WIDTH);
+
+            const drawRow = (cells, style, fill) => {
+                if (fill) {
+                    this.pdf.rect(MARGIN, this.y, CONTENT_WIDTH, rowHeight, fill);
+                }
+                let x = MARGIN;
+                cells.forEach((cell, index) => {
+                    const width = widths[index];
+                    const text = fitText(cell, style.font, style.size, width - 8);
+                    const anchor = columns[index].align === 'right' ? x + width - 4 : x + 4;
+                    this.pdf.text(text, anchor, this.y + 12.5, Object.assign({ align: columns[index].align || 'left' }, style));
+                    x += width;
+                });
+                this.y += rowHeight;
+            };
+
+            const drawHeader = () => {
+                drawRow(columns.map(column => column.header), { font: 'bold', size: 9, color: '#ffffff' }, BRAND_COLOR);
+            };
+
+            this.ensureSpace(rowHeight * 2);
+            this.y += 6;
+            drawHeader();
+
+            rows.forEach((row, index) => {
+                if (this.ensureSpace(rowHeight)) {
+                    drawHeader();
+                }
+                drawRow(row, { font: 'regular', size: 9 }, index % 2 === 1 ? STRIPE_COLOR : null);
+            });
+
+            (footerRows || []).forEach((row, index) => {
+                if (this.ensureSpace(rowHeight)) {
+                    drawHeader();
+                }
+                if (index === 0) {
+                    this.pdf.line(MARGIN, this.y, PAGE_WIDTH - MARGIN, this.y, TEXT_COLOR, 0.75);
+                }
+                drawRow(row, { font: 'bold', size: 9 });
+            });
+        }
+
+        /**
+         * Draws an image scaled to the content width, keeping its aspect ratio
+         * @param {object} image - The registered image
+         * @param {number} displayWidth - The natural display width in points
+         * @param {number} displayHeight - The natural display height in points
+         * @param {string} [caption] - Caption drawn below the image
+         */
+        figure(image, displayWidth, displayHeight, caption) {
+            const maxHeight = CONTENT_BOTTOM - CONTENT_TOP - 30;
+            let width = Math.min(CONTENT_WIDTH, displayWidth);
+            let height = width * displayHeight / displayWidth;
+            if (height > maxHeight) {
+                height = maxHeight;
+                width = height * displayWidth / displayHeight;
+            }
+
+            this.ensureSpace(height + 30);
+            this.y += 10;
+            this.pdf.image(image, MARGIN + (CONTENT_WIDTH - width) / 2, this.y, width, height);
+            this.y += height;
+            if (caption) {
+                this.y += 14;
+                this.pdf.text(caption, PAGE_WIDTH / 2, this.y, { size: 9, color: MUTED_COLOR, align: 'center' });
+            }
+        }
+
+        /**
+         * Draws a QR code as vector modules beside a hint and the link it encodes
+         * @param {object} symbol - The symbol returned by qrCode.encode
+         * @param {string} hint - Text explaining what the code opens
+         * @param {string} url - The encoded link
+         */
+        qrCode(symbol, hint, url) {
+            const codeWidth = 96;
+            const module = codeWidth / symbol.size;
+            const textLeft = MARGIN + codeWidth + 16;
+            const maxWidth = CONTENT_WIDTH - codeWidth - 16;
+
+            this.ensureSpace(codeWidth + 20);
+            this.y += 10;
+            const top = this.y;
+
+            // Horizontal runs of dark modules are merged into one rectangle to keep the page content small
+            symbol.modules.forEach((row, y) => {
+                for (let x = 0; x < symbol.size; x++) {
+                    if (row[x]) {
+                        const start = x;
+                        while (x + 1 < symbol.size && row[x + 1]) {
+                            x++;
+                        }
+                        this.pdf.rect(MARGIN + start * module, top + y * module, (x - start + 1) * module, module, TEXT_COLOR);
+                    }
+                }
+            });
+
+            let textY = top;
+            wrapText(hint, 'regular', 10, maxWidth).forEach(line => {
+                textY += 14;
+                this.pdf.text(line, textLeft, textY, { size: 10 });
+            });
+            textY += 4;
+            // Links have no spaces to wrap at, so they are broken wherever a line is full
+            let line = '';
+            const lines = [];
+            Array.from(url).forEach(character => {
+                if (line && textWidth(line + character, 'regular', 8) > maxWidth) {
+                    lines.push(line);
+                    line = '';
+                }
+                line += character;
+            });
+            lines.push(line);
+            lines.forEach(urlLine => {
+                textY += 11;
+                this.pdf.text(urlLine, textLeft, textY, { size: 8, color: BRAND_COLOR });
+            });
+            this.y = Math.max(top + codeWidth, textY);
+        }
+
+        /**
+         * Draws the footer with page numbers on every page once the page count is known
+         */
+        drawFooters() {
+            const generated = window.i18n.t('quote.generated', { date: window.formatting.formatDate(new Date(), 'datetime') });
+            const footerTop = PAGE_HEIGHT - MARGIN - FOOTER_HEIGHT + 8;
+            const footerLines = wrapText(this.options.footerText, 'regular', 7.5, CONTENT_WIDTH * 0.7);
+
+            this.pdf.pages.forEach((page, index) => {
+                this.pdf.currentPage = page;
+                this.pdf.line(MARGIN, footerTop, PAGE_WIDTH - MARGIN, footerTop, RULE_COLOR, 0.75);
+                footerLines.slice(0, 2).forEach((line, lineIndex) => {
+                    this.pdf.text(line, MARGIN, footerTop + 12 + lineIndex * 9, { size: 7.5, color: MUTED_COLOR });
+                });
+                this.pdf.text(window.i18n.t('quote.pageNumber', { page: index + 1, pages: this.pdf.pages.length }), PAGE_WIDTH - MARGIN, footerTop + 12,
+                    { size: 8, color: MUTED_COLOR, align: 'right' });
+                this.pdf.text(generated, PAGE_WIDTH - MARGIN, footerTop + 21, { size: 7.5, color: MUTED_COLOR, align: 'right' });
+            });
+        }
+    }
+
+    /**
+     * Formats a monetary amount for the quote
+     * @param {number} amount - The amount
+     * @param {string} currencyCode - The ISO currency code
+     * @returns {string} The formatted amount
+     */
+    function formatAmount(amount, currencyCode) {
+        return window.formatCurrency(Number(amount) || 0, currencyCode || 'EUR');
+    }
+
+    /**
+     * Renders the requested charts as JPEG images, skipping any that are not available
+     * @param {Array<string|{handle: string, title: string}>} charts - Chart handles, optionally with captions
+     * @returns {Array<{data: string, width: number, height: number, title: string}>} The rendered charts
+     */
+    function renderCharts(charts) {
+        return (charts || []).map(entry => {
+            const handle = typeof entry === 'string' ? entry : entry.handle;
+            try {
+                // Quotes are printed on white paper regardless of the on-screen theme
+                const image = window.chartExport.exportImage(handle, { format: 'jpeg', background: '#ffffff', scale: 2 });
+                return {
+                    data: atob(image.base64),
+                    width: image.width / 2,
+                    height: image.height / 2,
+                    title: typeof entry === 'string' ? null : entry.title
+                };
+            } catch (error) {
+                console.error(`Error rendering chart '${handle}' for PDF: ${error}`);
+                return null;
+            }
+        }).filter(chart => chart !== null);
+    }
+
+    /**
+     * Builds the quote document for a calculation result
+     * @param {object} result - A CalculationResultModel-shaped object
+     * @param {object} options - The resolved quote options
+     * @returns {Promise<Uint8Array>} Promise resolving to the PDF bytes
+     */
+    async function buildQuote(result, options) {
+        const t = window.i18n.t;
+        const pdf = new PdfDocument();
+        const currency = result.currencyCode || 'EUR';
+
+        let logo = null;
+        if (options.logoUrl) {
+            try {
+                logo = pdf.addJpeg(await loadImageAsJpeg(options.logoUrl));
+            } catch (error) {
+                console.error(`Error loading quote logo: ${error}`);
+            }
+        }
+
+        // Charts are rendered before layout so a missing chart never leaves a gap
+        const charts = renderCharts(options.charts);
+
+        options.reference = result.calculationId ? t('quote.reference', { id: result.calculationId }) : '';
+        const layout = new QuoteLayout(pdf, options, logo);
+
+        const calculationDate = result.calculationDate ? new Date(result.calculationDate) : new Date();
+        layout.heading(t('quote.summary'));
+        layout.keyValues([
+            [t('quote.quoteDate'), window.formatting.formatDate(calculationDate)],
+            [t('quote.serviceType'), result.serviceTypeName || String(result.serviceType || '')],
+            [t('quote.filingFrequency'), result.filingFrequencyName || String(result.filingFrequency || '')],
+            [t('quote.transactionsPerPeriod'), String(result.transactionVolume || 0)],
+            [t('quote.countries'), `${(result.countryBreakdowns || []).length} (${(result.countryBreakdowns || []).map(country => country.countryCode).join(', ')})`],
+            [t('quote.totalCost'), formatAmount(result.totalCost, currency)]
+        ]);
+
+        const countries = result.countryBreakdowns || [];
+        const sumOf = key => countries.reduce((total, country) => total + (Number(country[key]) || 0), 0);
+        layout.heading(t('quote.breakdown'));
+        const footerRows = [[
+            t('quote.subtotal'), '', formatAmount(sumOf('baseCost'), currency),
+            formatAmount(sumOf('additionalCost'), currency), formatAmount(sumOf('totalCost'), currency)
+        ]];
+        Object.entries(result.discounts || {}).forEach(([name, amount]) => {
+            footerRows.push([name, '', '', '', formatAmount(-Math.abs(Number(amount) || 0), currency)]);
+        });
+        footerRows.push([t('quote.total'), '', '', '', formatAmount(result.totalCost, currency)]);
+        layout.table(
+            [
+                { header: t('quote.country'), width: 0.34 },
+                { header: t('quote.code'), width: 0.09 },
+                { header: t('quote.baseCost'), width: 0.19, align: 'right' },
+                { header: t('quote.additionalCost'), width: 0.19, align: 'right' },
+                { header: t('quote.totalCost'), width: 0.19, align: 'right' }
+            ],
+            countries.map(country => [
+                country.countryName || country.countryCode,
+                country.countryCode,
+                formatAmount(country.baseCost, currency),
+                formatAmount(country.additionalCost, currency),
+                formatAmount(country.totalCost, currency)
+            ]),
+            footerRows);
+
+        if ((result.additionalServices || []).length > 0) {
+            layout.heading(t('quote.additionalServices'));
+            result.additionalServices.forEach(service => layout.paragraph(`• ${service}`));
+        }
+
+        if (charts.length > 0) {
+            layout.heading(t('quote.charts'));
+            charts.forEach(chart => layout.figure(pdf.addJpeg(chart.data), chart.width, chart.height, chart.title));
+        }
+
+        if (options.shareUrl) {
+            try {
+                // Quartile error correction keeps the code readable when the paper is creased or smudged
+                const symbol = window.qrCode.encode(options.shareUrl, { errorCorrection: 'Q' });
+                layout.heading(t('quote.shareLink'));
+                layout.qrCode(symbol, t('quote.shareLinkHint'), options.shareUrl);
+            } catch (error) {
+                console.error(`Error drawing share link QR code for PDF: ${error}`);
+            }
+        }
+
+        layout.drawFooters();
+        return pdf.toBytes({ title: options.title, author: options.companyName });
+    }
+
+    /**
+     * Determines whether PDF export is enabled by FeatureManagement.ExportToPdf
+     * @returns {boolean} True unless the feature has been switched off
+     */
+    function isEnabled() {
+        const features = (window.appSettings && window.appSettings.FeatureManagement) || {};
+        if (features.ExportToPdf === false) {
+            console.warn('PDF export is disabled by FeatureManagement.ExportToPdf');
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Merges caller options over the defaults, ignoring values left null by .NET callers
+     * @param {object} [options] - The caller options
+     * @returns {object} The resolved options
+     */
+    function resolveOptions(options) {
+        const settings = Object.assign({}, DEFAULT_OPTIONS);
+        Object.keys(options || {}).forEach(key => {
+            if (options[key] !== null && options[key] !== undefined) {
+                settings[key] = options[key];
+            }
+        });
+        if (settings.title === null) {
+            settings.title = window.i18n.t('quote.title');
+        }
+        if (settings.companyName === null) {
+            settings.companyName = window.i18n.t('app.title');
+        }
+        if (settings.footerText === null) {
+            settings.footerText = window.i18n.t('quote.disclaimer');
+        }
+        return settings;
+    }
+
+    /**
+     * Encodes bytes as base64
+     * @param {Uint8Array} bytes - The bytes to encode
+     * @returns {string} The base64 string
+     */
+    function bytesToBase64(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    window.pdfExport = {
+        /**
+         * Determines whether PDF export is enabled in the application settings
+         * @returns {boolean} True if PDF export is enabled
+         */
+        isEnabled: isEnabled,
+
+        /**
+         * Creates an empty PDF document for custom layouts
+         * @returns {PdfDocument} The document
+         */
+        createDocument: function() {
+            return new PdfDocument();
+        },
+
+        /**
+         * Builds a branded pricing quote for a calculation result
+         * @param {object} result - A CalculationResultModel-shaped object
+         * @param {object} [options] - Quote options:
+         *   title / companyName: header text;
+         *   logoUrl: URL or data URL of the company logo (any format the browser can draw);
+         *   charts: chart handles, or { handle, title } objects, to embed as images;
+         *   footerText: disclaimer shown in the footer of every page
+         * @returns {Promise<Uint8Array>} Promise resolving to the PDF bytes (byte[] in .NET)
+         */
+        generateQuote: async function(result, options) {
+            if (!isEnabled()) {
+                throw new Error('PDF export is disabled');
+            }
+            return buildQuote(result || {}, resolveOptions(options));
+        },
+
+        /**
+         * Builds a pricing quote and downloads it through downloadFile
+         * @param {object} result - A CalculationResultModel-shaped object
+         * @param {string} [fileName] - The file name
+         * @param {object} [options] - Quote options, as for generateQuote
+         * @returns {Promise<boolean>} Promise resolving to true if the download was started
+         */
+        downloadQuote: async function(result, fileName, options) {
+            if (!isEnabled()) {
+                return false;
+            }
+
+            try {
+                const bytes = await buildQuote(result || {}, resolveOptions(options));
+                const name = fileName || `vat-pricing-quote-${(result && result.calculationId) || 'export'}`;
+                window.downloadFile(/\.pdf$/i.test(name) ? name : `${name}.pdf`, bytesToBase64(bytes), PDF_CONTENT_TYPE);
+                return true;
+            } catch (error) {
+                console.error(`Error generating PDF quote: ${error}`);
+                return false;
+            }
+        }
+    };
+})();
@@ -0,0 +1,424 @@
+/**
+ * print.js - In-page print pipeline for VatFilingPricingTool
+ * Prints elements through a hidden iframe that carries over the application stylesheets
+ * and theme, snapshots canvas charts to images and applies page size, orientation and
+ * margins, with an optional print-preview step
+ * Version: 1.0.0
+ */
+
+(function() {
+    // Paper sizes in millimetres (portrait)
+    const PAPER_SIZES = {
+        A3: { width: 297, height: 420 },
+        A4: { width: 210, height: 297 },
+        A5: { width: 148, height: 210 },
+        Letter: { width: 215.9, height: 279.4 },
+        Legal: { width: 215.9, height: 355.6 }
+    };
+
+    const DEFAULT_OPTIONS = {
+        orientation: 'portrait',
+        paperSize: 'A4',
+        margins: '15mm',
+        title: null,
+        showHeader: true,
+        preview: false
+    };
+
+    // Maximum time to wait for copied stylesheets before printing anyway
+    const STYLESHEET_TIMEOUT_MS = 3000;
+
+    // CSS pixels per millimetre
+    const PX_PER_MM = 96 / 25.4;
+
+    let activePreview = null;
+
+    /**
+     * Merges caller options over the defaults, ignoring values left null by .NET callers
+     * @param {object} [options] - The caller options
+     * @returns {object} The resolved options
+     */
+    function resolveOptions(options) {
+        const settings = Object.assign({}, DEFAULT_OPTIONS);
+        Object.keys(options || {}).forEach(key => {
+            if (options[key] !== null && options[key] !== undefined) {
+                settings[key] = options[key];
+            }
+        });
+        if (!PAPER_SIZES[settings.paperSize]) {
+            console.warn(`Unknown paper size '${settings.paperSize}', falling back to 'A4'`);
+            settings.paperSize = 'A4';
+        }
+        settings.orientation = settings.orientation === 'landscape' ? 'landscape' : 'portrait';
+
+        // Resolved here rather than in DEFAULT_OPTIONS so the title follows the current language
+        if (settings.title === null) {
+            settings.title = window.i18n.t('app.title');
+        }
+        return settings;
+    }
+
+    /**
+     * Converts the margins option to a CSS margin value
+     * @param {string|object} margins - A CSS length, or { top, right, bottom, left }
+     * @returns {string} The CSS margin shorthand
+     */
+    function marginCss(margins) {
+        if (margins && typeof margins === 'object') {
+            return ['top', 'right', 'bottom', 'left'].map(side => margins[side] || '0').join(' ');
+        }
+        return margins || DEFAULT_OPTIONS.margins;
+    }
+
+    /**
+     * Gets the page size in millimetres for the selected paper and orientation
+     * @param {object} settings - The resolved options
+     * @returns {{width: number, height: number}} The page size
+     */
+    function pageSize(settings) {
+        const paper = PAPER_SIZES[settings.paperSize];
+        return settings.orientation === 'landscape'
+            ? { width: paper.height, height: paper.width }
+            : { width: paper.width, height: paper.height };
+    }
+
+    /**
+     * Renders a canvas as an image, using the chart exporter for registered charts
+     * @param {HTMLCanvasElement} canvas - The canvas to snapshot
+     * @returns {string|null} The image data URL, or null if the canvas cannot be read
+     */
+    function snapshotCanvas(canvas) {
+        try {
+            const handle = canvas.id ? resolveChartHandle(canvas.id) : null;
+            if (handle && window.chartExport) {
+                // Render at print resolution; the page background shows through
+                return window.chartExport.toDataUrl(handle, { format: 'png', scale: 2, background: 'transparent' });
+            }
+            return canvas.toDataURL('image/png');
+        } catch (error) {
+            console.error(`Error capturing canvas for printing: ${error}`);
+            return null;
+        }
+    }
+
+    /**
+     * Clones an element for printing, replacing canvases with images and preserving form state
+     * @param {HTMLElement} element - The element to print
+     * @returns {HTMLElement} The prepared clone
+     */
+    function cloneForPrint(element) {
+        const clone = element.cloneNode(true);
+
+        const canvases = element.querySelectorAll('canvas');
+        const clonedCanvases = clone.querySelectorAll('canvas');
+        canvases.forEach((canvas, index) => {
+            const dataUrl = snapshotCanvas(canvas);
+            if (!dataUrl) {
+                return;
+            }
+            const image = document.createElement('img');
+            image.src = dataUrl;
+            image.alt = canvas.getAttribute('aria-label') || '';
+            image.className = canvas.className;
+            image.style.width = `${canvas.clientWidth || canvas.width}px`;
+            image.style.maxWidth = '100%';
+            image.style.height = 'auto';
+            clonedCanvases[index].replaceWith(image);
+        });
+
+        // Current form values live in properties, which cloneNode does not copy to attributes
+        const fields = element.querySelectorAll('input, select, textarea');
+        const clonedFields = clone.querySelectorAll('input, select, textarea');
+        fields.forEach((field, index) => {
+            const target = clonedFields[index];
+            if (field.type === 'checkbox' || field.type === 'radio') {
+                target.toggleAttribute('checked', field.checked);
+            } else if (field.tagName === 'SELECT') {
+                Array.from(target.options).forEach((option, optionIndex) => {
+                    option.toggleAttribute('selected', field.options[optionIndex].selected);
+                });
+            } else if (field.tagName === 'TEXTAREA') {
+                target.textContent = field.value;
+            } else {
+                target.setAttribute('value', field.value);
+            }
+        });
+
+        clone.querySelectorAll('.no-print').forEach(node => node.remove());
+        return clone;
+    }
+
+    /**
+     * Builds the markup for the print document
+     * @param {HTMLElement} element - The element to print
+     * @param {object} settings - The resolved options
+     * @returns {string} The HTML document
+     */
+    function buildPrintDocument(element, settings) {
+        const size = pageSize(settings);
+        const margin = marginCss(settings.margins);
+
+        // Carry over every application stylesheet, including Bootstrap, app.css and scoped component styles
+        const styles = Array.from(document.querySelectorAll('link[rel="stylesheet"], style'))
+            .map(node => node.tagName === 'LINK'
+                ? `<link rel="stylesheet" href="${node.href}">`
+                : `<style>${node.textContent}</style>`)
+            .join('\n');
+
+        const header = settings.showHeader
+            ? `<header class="print-header"><h1>${escapeHtml(settings.title)}</h1>` +
+              `<p class="print-date">${escapeHtml(window.formatting.formatDate(new Date(), 'datetime'))}</p></header>`
+            : '';
+
+        return '<!DOCTYPE html>' +
+            `<html lang="${document.documentElement.lang || 'en'}" style="color-scheme: ${document.documentElement.style.colorScheme || 'light'}">` +
+            '<head><meta charset="utf-8">' +
+            `<base href="${document.baseURI}">` +
+            `<title>${escapeHtml(settings.title)}</title>` +
+            styles +
+            '<style>' +
+            `@page { size: ${settings.paperSize} ${settings.orientation}; margin: ${margin}; }` +
+            'html, body { -webkit-print-color-adjust: exact; print-color-adjust: exact; }' +
+            `@media screen { body { box-sizing: border-box; width: ${size.width}mm; min-height: ${size.height}mm; padding: ${margin}; margin: 0; } }` +
+            '@media print { body { margin: 0; } }' +
+            '.print-header { border-bottom: 2px solid currentColor; margin-bottom: 1rem; padding-bottom: 0.5rem; }' +
+            '.print-header h1 { font-size: 1.5rem; margin: 0; }' +
+            '.print-date { font-size: 0.8rem; margin: 0; opacity: 0.7; }' +
+            'table, tr, img { break-inside: avoid; }' +
+            '</style></head>' +
+            `<body class="${document.body.className} print-document">${header}${cloneForPrint(element).outerHTML}</body>` +
+            '</html>';
+    }
+
+    /**
+     * Escapes text for inclusion in HTML
+     * @param {*} value - The value to escape
+     * @returns {string} The escaped text
+     */
+    function escapeHtml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Loads the print document into an iframe and waits for its stylesheets and images
+     * @param {HTMLIFrameElement} frame - The iframe
+     * @param {string} html - The print document
+     * @returns {Promise<void>} Promise resolving once the document is ready to print
+     */
+    function loadFrame(frame, html) {
+        return new Promise(resolve => {
+            frame.onload = () => {
+                const doc = frame.contentDocument;
+                const pending = Array.from(doc.querySelectorAll('link[rel="stylesheet"], img'))
+                    .filter(node => node.tagName === 'LINK' ? !node.sheet : !node.complete)
+                    .map(node => new Promise(done => {
+                        node.addEventListener('load', done, { once: true });
+                        node.addEventListener('error', done, { once: true });
+                    }));
+
+                const timeout = new Promise(done => setTimeout(done, STYLESHEET_TIMEOUT_MS));
+                Promise.race([Promise.all(pending), timeout]).then(() => resolve());
+            };
+            frame.srcdoc = html;
+        });
+    }
+
+    /**
+     * Prints the document loaded in an iframe
+     * @param {HTMLIFrameElement} frame - The iframe
+     * @returns {Promise<void>} Promise resolving once the print dialog has closed
+     */
+    function printFrame(frame) {
+        return new Promise(resolve => {
+            const frameWindow = frame.contentWindow;
+            let finished = false;
+            const finish = () => {
+                if (!finished) {
+                    finished = true;
+                    resolve();
+                }
+            };
+
+            frameWindow.addEventListener('afterprint', finish, { once: true });
+            frameWindow.focus();
+            frameWindow.print();
+
+            // Browsers without afterprint block in print() until the dialog closes
+            setTimeout(finish, 500);
+        });
+    }
+
+    /**
+     * Creates an off-screen iframe for printing without opening a popup
+     * @returns {HTMLIFrameElement} The iframe, already attached to the document
+     */
+    function createHiddenFrame() {
+        const frame = document.createElement('iframe');
+        frame.setAttribute('aria-hidden', 'true');
+        frame.setAttribute('tabindex', '-1');
+        frame.style.cssText = 'position: fixed; right: 0; bottom: 0; width: 0; height: 0; border: 0;';
+        document.body.appendChild(frame);
+        return frame;
+    }
+
+    /**
+     * Shows the print preview overlay
+     * @param {HTMLElement} element - The element to print
+     * @param {object} settings - The resolved options
+     * @returns {Promise<boolean>} Promise resolving to true if printed, false if the preview was closed
+     */
+    function showPreview(element, settings) {
+        if (activePreview) {
+            activePreview.close(false);
+        }
+
+        return new Promise(resolve => {
+            const previouslyFocused = document.activeElement;
+            const overlay = document.createElement('div');
+            overlay.className = 'print-preview';
+            overlay.setAttribute('role', 'dialog');
+            overlay.setAttribute('aria-modal', 'true');
+            const t = window.i18n.t;
+            overlay.setAttribute('aria-label', t('print.preview'));
+            overlay.innerHTML =
+                '<div class="print-preview-toolbar">' +
+                `<label>${escapeHtml(t('print.orientation'))} <select class="form-select form-select-sm" data-print-option="orientation">` +
+                `<option value="portrait">${escapeHtml(t('print.portrait'))}</option><option value="landscape">${escapeHtml(t('print.landscape'))}</option></select></label>` +
+                `<label>${escapeHtml(t('print.paper'))} <select class="form-select form-select-sm" data-print-option="paperSize">` +
+                Object.keys(PAPER_SIZES).map(name => `<option value="${name}">${name}</option>`).join('') +
+                '</select></label>' +
+                '<span class="print-preview-spacer"></span>' +
+                `<button type="button" class="btn btn-primary btn-sm" data-print-action="print">${escapeHtml(t('print.print'))}</button>` +
+                `<button type="button" class="btn btn-secondary btn-sm" data-print-action="close">${escapeHtml(t('print.close'))}</button>` +
+                '</div>' +
+                `<div class="print-preview-stage"><iframe class="print-preview-page" title="${escapeHtml(t('print.preview'))}"></iframe></div>`;
+
+            const frame = overlay.querySelector('iframe');
+            overlay.querySelector('[data-print-option="orientation"]').value = settings.orientation;
+            overlay.querySelector('[data-print-option="paperSize"]').value = settings.paperSize;
+
+            const render = () => {
+                const size = pageSize(settings);
+                frame.style.width = `${Math.round(size.width * PX_PER_MM)}px`;
+                frame.style.height = `${Math.round(size.height * PX_PER_MM)}px`;
+                return loadFrame(frame, buildPrintDocument(element, settings));
+            };
+
+            const close = result => {
+                document.removeEventListener('keydown', handleKeydown, true);
+                overlay.remove();
+                activePreview = null;
+                if (previouslyFocused && typeof previouslyFocused.focus === 'function') {
+                    previouslyFocused.focus();
+                }
+                resolve(result);
+            };
+
+            const handleKeydown = event => {
+                if (event.key === 'Escape') {
+                    event.preventDefault();
+                    close(false);
+                }
+            };
+
+            overlay.addEventListener('change', event => {
+                const option = event.target.getAttribute('data-print-option');
+                if (option) {
+                    settings[option] = event.target.value;
+                    render();
+                }
+            });
+
+            overlay.addEventListener('click', event => {
+                const action = event.target.getAttribute('data-print-action');
+                if (action === 'close') {
+                    close(false);
+                } else if (action === 'print') {
+                    // The preview frame already holds the print document, so print it directly
+                    printFrame(frame).then(() => close(true));
+                }
+            });
+
+            document.addEventListener('keydown', handleKeydown, true);
+            document.body.appendChild(overlay);
+            activePreview = { close };
+            render().then(() => {
+                const printButton = overlay.querySelector('[data-print-action="print"]');
+                if (printButton) {
+                    printButton.focus();
+                }
+            });
+        });
+    }
+
+    window.printService = {
+        /**
+         * Gets the supported paper sizes
+         * @returns {string[]} The paper size names
+         */
+        getPaperSizes: function() {
+            return Object.keys(PAPER_SIZES);
+        },
+
+        /**
+         * Prints an element with the application styles, theme and chart images
+         * @param {string} elementId - The ID of the element to print
+         * @param {object} [options] - Print options:
+         *   orientation: 'portrait' (default) or 'landscape';
+         *   paperSize: 'A4' (default), 'A3', 'A5', 'Letter' or 'Legal';
+         *   margins: a CSS length such as '15mm' (default) or { top, right, bottom, left };
+         *   title: heading printed above the content; showHeader: whether to print it;
+         *   preview: show the print preview before printing
+         * @returns {Promise<boolean>} Promise resolving to true if the document was sent to print
+         */
+        print: async function(elementId, options) {
+            try {
+                const element = document.getElementById(elementId);
+                if (!element) {
+                    console.warn(`Element with ID '${elementId}' not found for printing`);
+                    return false;
+                }
+
+                const settings = resolveOptions(options);
+                if (settings.preview) {
+                    return await showPreview(element, settings);
+                }
+
+                const frame = createHiddenFrame();
+                try {
+                    await loadFrame(frame, buildPrintDocument(element, settings));
+                    await printFrame(frame);
+                    return true;
+                } finally {
+                    frame.remove();
+                }
+            } catch (error) {
+                console.error(`Error printing element: ${error}`);
+                return false;
+            }
+        },
+
+        /**
+         * Shows the print preview for an element, letting the user adjust page setup before printing
+         * @param {string} elementId - The ID of the element to print
+         * @param {object} [options] - Print options, as for print
+         * @returns {Promise<boolean>} Promise resolving to true if printed, false if the preview was closed
+         */
+        preview: function(elementId, options) {
+            return window.printService.print(elementId, Object.assign({}, options, { preview: true }));
+        },
+
+        /**
+         * Closes the print preview if it is open
+         */
+        closePreview: function() {
+            if (activePreview) {
+                activePreview.close(false);
+            }
+        }
+    };
+})();
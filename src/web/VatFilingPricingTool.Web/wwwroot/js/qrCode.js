@@ -0,0 +1,674 @@
+/**
+ * qrCode.js - QR code generation for VatFilingPricingTool
+ * Encodes text as a QR code symbol (ISO/IEC 18004, byte mode, versions 1-40) and renders
+ * it as SVG markup or a PNG data URL, so links can be printed on quotes and scanned from paper
+ * Version: 1.0.0
+ */
+
+(function() {
+    const MIN_VERSION = 1;
+    const MAX_VERSION = 40;
+
+    // Error correction levels, in increasing order of strength; formatBits are the two bits
+    // the standard assigns to each level in the format information
+    const ERROR_CORRECTION = {
+        L: { ordinal: 0, formatBits: 1 },
+        M: { ordinal: 1, formatBits: 0 },
+        Q: { ordinal: 2, formatBits: 3 },
+        H: { ordinal: 3, formatBits: 2 }
+    };
+
+    const DEFAULT_OPTIONS = {
+        errorCorrection: 'M',
+        // Use a stronger level whenever it fits in the same version
+        boostErrorCorrection: true,
+        // Quiet zone in modules; the standard requires at least 4
+        border: 4,
+        size: 256,
+        dark: '#000000',
+        light: '#ffffff'
+    };
+
+    // Error correction codewords per block, indexed by level ordinal then version (index 0 unused)
+    const ECC_CODEWORDS_PER_BLOCK = [
+        [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+        [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+        [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+        [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+    ];
+
+    // Number of error correction blocks, indexed by level ordinal then version (index 0 unused)
+    const NUM_ERROR_CORRECTION_BLOCKS = [
+        [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+        [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+        [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+        [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+    ];
+
+    // Mask conditions; a module is inverted where the condition holds
+    const MASK_PATTERNS = [
+        (x, y) => (x + y) % 2 === 0,
+        (x, y) => y % 2 === 0,
+        (x, y) => x % 3 === 0,
+        (x, y) => (x + y) % 3 === 0,
+        (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+        (x, y) => x * y % 2 + x * y % 3 === 0,
+        (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+        (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0
+    ];
+
+    // Penalty weights used to choose the mask, from the standard
+    const PENALTY_RUN = 3;
+    const PENALTY_BLOCK = 3;
+    const PENALTY_FINDER_LIKE = 40;
+    const PENALTY_BALANCE = 10;
+
+    /**
+     * Reads a bit from an integer
+     * @param {number} value - The integer
+     * @param {number} index - The bit index, 0 being the least significant
+     * @returns {boolean} True if the bit is set
+     */
+    function getBit(value, index) {
+        return ((value >>> index) & 1) !== 0;
+    }
+
+    /**
+     * Counts the data modules of a version, excluding function patterns and format/version information
+     * @param {number} version - The QR version
+     * @returns {number} The number of modules available for codewords and remainder bits
+     */
+    function getNumRawDataModules(version) {
+        let result = (16 * version + 128) * version + 64;
+        if (version >= 2) {
+            const numAlign = Math.floor(version / 7) + 2;
+            result -= (25 * numAlign - 10) * numAlign - 55;
+            if (version >= 7) {
+                result -= 36;
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Counts the data codewords a version holds at an error correction level
+     * @param {number} version - The QR version
+     * @param {object} level - The error correction level
+     * @returns {number} The number of 8-bit data codewords
+     */
+    function getNumDataCodewords(version, level) {
+        return Math.floor(getNumRawDataModules(version) / 8) -
+            ECC_CODEWORDS_PER_BLOCK[level.ordinal][version] * NUM_ERROR_CORRECTION_BLOCKS[level.ordinal][version];
+    }
+
+    /**
+     * Gets the width of the byte mode character count field
+     * @param {number} version - The QR version
+     * @returns {number} The field width in bits
+     */
+    function getCharCountBits(version) {
+        return version <= 9 ? 8 : 16;
+    }
+
+    /**
+     * Gets the centre coordinates of the alignment patterns, shared by both axes
+     * @param {number} version - The QR version
+     * @returns {Array<number>} The ascending coordinates
+     */
+    function getAlignmentPatternPositions(version) {
+        if (version === 1) {
+            return [];
+        }
+        const size = version * 4 + 17;
+        const numAlign = Math.floor(version / 7) + 2;
+        const step = Math.floor((version * 8 + numAlign * 3 + 5) / (numAlign * 4 - 4)) * 2;
+        const positions = [6];
+        for (let position = size - 7; positions.length < numAlign; position -= step) {
+            positions.splice(1, 0, position);
+        }
+        return positions;
+    }
+
+    /**
+     * Multiplies two elements of GF(2^8) modulo the QR polynomial x^8 + x^4 + x^3 + x^2 + 1
+     * @param {number} x - The first element
+     * @param {number} y - The second element
+     * @returns {number} The product
+     */
+    function gfMultiply(x, y) {
+        let z = 0;
+        for (let i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11D);
+            z ^= ((y >>> i) & 1) * x;
+        }
+        return z;
+    }
+
+    /**
+     * Builds the Reed-Solomon generator polynomial of a degree
+     * @param {number} degree - The number of error correction codewords
+     * @returns {Array<number>} The coefficients, highest power first, without the leading 1
+     */
+    function reedSolomonDivisor(degree) {
+        const result = new Array(degree).fill(0);
+        result[degree - 1] = 1;
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < degree; j++) {
+                result[j] = gfMultiply(result[j], root);
+                if (j + 1 < degree) {
+                    result[j] ^= result[j + 1];
+                }
+            }
+            root = gfMultiply(root, 0x02);
+        }
+        return result;
+    }
+
+    /**
+     * Computes the Reed-Solomon error correction codewords for a block
+     * @param {Array<number>} data - The data codewords
+     * @param {Array<number>} divisor - The generator polynomial
+     * @returns {Array<number>} The error correction codewords
+     */
+    function reedSolomonRemainder(data, divisor) {
+        const result = new Array(divisor.length).fill(0);
+        data.forEach(byte => {
+            const factor = byte ^ result.shift();
+            result.push(0);
+            divisor.forEach((coefficient, index) => {
+                result[index] ^= gfMultiply(coefficient, factor);
+            });
+        });
+        return result;
+    }
+
+    /**
+     * Splits data codewords into blocks, appends error correction and interleaves the result
+     * @param {Array<number>} data - The data codewords
+     * @param {number} version - The QR version
+     * @param {object} level - The error correction level
+     * @returns {Array<number>} The final codeword sequence
+     */
+    function addErrorCorrectionAndInterleave(data, version, level) {
+        const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[level.ordinal][version];
+        const blockEccLength = ECC_CODEWORDS_PER_BLOCK[level.ordinal][version];
+        const rawCodewords = Math.floor(getNumRawDataModules(version) / 8);
+        const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+        const shortBlockLength = Math.floor(rawCodewords / numBlocks);
+        const divisor = reedSolomonDivisor(blockEccLength);
+
+        const blocks = [];
+        for (let i = 0, offset = 0; i < numBlocks; i++) {
+            const length = shortBlockLength - blockEccLength + (i < numShortBlocks ? 0 : 1);
+            const block = data.slice(offset, offset + length);
+            offset += length;
+            const ecc = reedSolomonRemainder(block, divisor);
+            // Pad short blocks so every block has the same length while interleaving
+            if (i < numShortBlocks) {
+                block.push(0);
+            }
+            blocks.push(block.concat(ecc));
+        }
+
+        const result = [];
+        for (let i = 0; i < blocks[0].length; i++) {
+            blocks.forEach((block, j) => {
+                if (i !== shortBlockLength - blockEccLength || j >= numShortBlocks) {
+                    result.push(block[i]);
+                }
+            });
+        }
+        return result;
+    }
+
+    /**
+     * A QR code symbol under construction: the module grid and which modules belong to function patterns
+     */
+    class QrSymbol {
+        /**
+         * @param {number} version - The QR version
+         * @param {object} level - The error correction level
+         */
+        constructor(version, level) {
+            this.version = version;
+            this.level = level;
+            this.size = version * 4 + 17;
+            this.modules = [];
+            this.isFunction = [];
+            for (let y = 0; y < this.size; y++) {
+                this.modules.push(new Array(this.size).fill(false));
+                this.isFunction.push(new Array(this.size).fill(false));
+            }
+        }
+
+        /**
+         * Sets a module that is part of a function pattern
+         * @param {number} x - The column
+         * @param {number} y - The row
+         * @param {boolean} dark - True for a dark module
+         */
+        setFunctionModule(x, y, dark) {
+            this.modules[y][x] = dark;
+            this.isFunction[y][x] = true;
+        }
+
+        /**
+         * Draws the finder, timing and alignment patterns and reserves the format and version areas
+         */
+        drawFunctionPatterns() {
+            for (let i = 0; i < this.size; i++) {
+                this.setFunctionModule(6, i, i % 2 === 0);
+                this.setFunctionModule(i, 6, i % 2 === 0);
+            }
+
+            this.drawFinderPattern(3, 3);
+            this.drawFinderPattern(this.size - 4, 3);
+            this.drawFinderPattern(3, this.size - 4);
+
+            const positions = getAlignmentPatternPositions(this.version);
+            const last = positions.length - 1;
+            positions.forEach((y, i) => {
+                positions.forEach((x, j) => {
+                    // The three corners are occupied by finder patterns
+                    if (!((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0))) {
+                        this.drawAlignmentPattern(x, y);
+                    }
+                });
+            });
+
+            // Reserved now and overwritten once the mask is chosen
+            this.drawFormatBits(0);
+            this.drawVersion();
+        }
+
+        /**
+         * Draws a finder pattern with its separator
+         * @param {number} x - The centre column
+         * @param {number} y - The centre row
+         */
+        drawFinderPattern(x, y) {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                    const xx = x + dx;
+                    const yy = y + dy;
+                    if (xx >= 0 && xx < this.size && yy >= 0 && yy < this.size) {
+                        this.setFunctionModule(xx, yy, distance !== 2 && distance !== 4);
+                    }
+                }
+            }
+        }
+
+        /**
+         * Draws an alignment pattern
+         * @param {number} x - The centre column
+         * @param {number} y - The centre row
+         */
+        drawAlignmentPattern(x, y) {
+            for (let dy = -2; dy <= 2; dy++) {
+                for (let dx = -2; dx <= 2; dx++) {
+                    this.setFunctionModule(x + dx, y + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                }
+            }
+        }
+
+        /**
+         * Draws both copies of the format information for a mask
+         * @param {number} mask - The mask index
+         */
+        drawFormatBits(mask) {
+            const data = this.level.formatBits << 3 | mask;
+            let remainder = data;
+            for (let i = 0; i < 10; i++) {
+                remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+            }
+            const bits = (data << 10 | remainder) ^ 0x5412;
+
+            // Around the top left finder
+            for (let i = 0; i <= 5; i++) {
+                this.setFunctionModule(8, i, getBit(bits, i));
+            }
+            this.setFunctionModule(8, 7, getBit(bits, 6));
+            this.setFunctionModule(8, 8, getBit(bits, 7));
+            this.setFunctionModule(7, 8, getBit(bits, 8));
+            for (let i = 9; i < 15; i++) {
+                this.setFunctionModule(14 - i, 8, getBit(bits, i));
+            }
+
+            // Split between the top right and bottom left finders
+            for (let i = 0; i < 8; i++) {
+                this.setFunctionModule(this.size - 1 - i, 8, getBit(bits, i));
+            }
+            for (let i = 8; i < 15; i++) {
+                this.setFunctionModule(8, this.size - 15 + i, getBit(bits, i));
+            }
+            this.setFunctionModule(8, this.size - 8, true);
+        }
+
+        /**
+         * Draws both copies of the version information, present from version 7
+         */
+        drawVersion() {
+            if (this.version < 7) {
+                return;
+            }
+            let remainder = this.version;
+            for (let i = 0; i < 12; i++) {
+                remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+            }
+            const bits = this.version << 12 | remainder;
+            for (let i = 0; i < 18; i++) {
+                const dark = getBit(bits, i);
+                const a = this.size - 11 + i % 3;
+                const b = Math.floor(i / 3);
+                this.setFunctionModule(a, b, dark);
+                this.setFunctionModule(b, a, dark);
+            }
+        }
+
+        /**
+         * Places the codewords in the zigzag order of the standard, skipping function modules
+         * @param {Array<number>} codewords - The interleaved codewords
+         */
+        drawCodewords(codewords) {
+            let bit = 0;
+            for (let right = this.size - 1; right >= 1; right -= 2) {
+                // The vertical timing pattern column is skipped entirely
+                if (right === 6) {
+                    right = 5;
+                }
+                const upward = ((right + 1) & 2) === 0;
+                for (let vertical = 0; vertical < this.size; vertical++) {
+                    const y = upward ? this.size - 1 - vertical : vertical;
+                    for (let j = 0; j < 2; j++) {
+                        const x = right - j;
+                        if (!this.isFunction[y][x] && bit < codewords.length * 8) {
+                            this.modules[y][x] = getBit(codewords[bit >>> 3], 7 - (bit & 7));
+                            bit++;
+                        }
+                        // Remainder bits stay light, as initialised
+                    }
+                }
+            }
+        }
+
+        /**
+         * Inverts the data modules selected by a mask; applying the same mask twice undoes it
+         * @param {number} mask - The mask index
+         */
+        applyMask(mask) {
+            const condition = MASK_PATTERNS[mask];
+            for (let y = 0; y < this.size; y++) {
+                for (let x = 0; x < this.size; x++) {
+                    if (!this.isFunction[y][x] && condition(x, y)) {
+                        this.modules[y][x] = !this.modules[y][x];
+                    }
+                }
+            }
+        }
+
+        /**
+         * Scores the symbol with the standard's mask penalty rules; lower is better
+         * @returns {number} The penalty score
+         */
+        getPenaltyScore() {
+            const size = this.size;
+            const modules = this.modules;
+            const lines = [];
+            for (let i = 0; i < size; i++) {
+                lines.push(modules[i]);
+                lines.push(modules.map(row => row[i]));
+            }
+
+            let penalty = 0;
+            lines.forEach(line => {
+                // Runs of five or more modules of the same colour
+                let runLength = 1;
+                for (let i = 1; i <= size; i++) {
+                    if (i < size && line[i] === line[i - 1]) {
+                        runLength++;
+                    } else {
+                        if (runLength >= 5) {
+                            penalty += PENALTY_RUN + runLength - 5;
+                        }
+                        runLength = 1;
+                    }
+                }
+
+                // Patterns resembling a finder: 1:1:3:1:1 dark/light with four light modules on either side
+                const text = line.map(dark => (dark ? '1' : '0')).join('');
+                const padded = `0000${text}0000`;
+                ['00001011101', '10111010000'].forEach(pattern => {
+                    for (let index = padded.indexOf(pattern); index !== -1; index = padded.indexOf(pattern, index + 1)) {
+                        penalty += PENALTY_FINDER_LIKE;
+                    }
+                });
+            });
+
+            // 2x2 blocks of the same colour
+            let dark = 0;
+            for (let y = 0; y < size; y++) {
+                for (let x = 0; x < size; x++) {
+                    if (modules[y][x]) {
+                        dark++;
+                    }
+                    if (x < size - 1 && y < size - 1) {
+                        const colour = modules[y][x];
+                        if (colour === modules[y][x + 1] && colour === modules[y + 1][x] && colour === modules[y + 1][x + 1]) {
+                            penalty += PENALTY_BLOCK;
+                        }
+                    }
+                }
+            }
+
+            // Deviation of the dark proportion from 50%, in steps of 5%
+            const total = size * size;
+            const deviation = Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1;
+            penalty += Math.max(deviation, 0) * PENALTY_BALANCE;
+            return penalty;
+        }
+    }
+
+    /**
+     * Encodes text as UTF-8 bytes
+     * @param {string} text - The text
+     * @returns {Array<number>} The bytes
+     */
+    function utf8Bytes(text) {
+        return Array.from(new TextEncoder().encode(String(text)));
+    }
+
+    /**
+     * Merges caller options over the defaults, ignoring values left null by .NET callers
+     * @param {object} [options] - The caller options
+     * @returns {object} The resolved options
+     */
+    function resolveOptions(options) {
+        const settings = Object.assign({}, DEFAULT_OPTIONS);
+        Object.keys(options || {}).forEach(key => {
+            if (options[key] !== null && options[key] !== undefined) {
+                settings[key] = options[key];
+            }
+        });
+        return settings;
+    }
+
+    /**
+     * Encodes text as a QR code in byte mode, using the smallest version that fits
+     * @param {string} text - The text to encode
+     * @param {object} settings - The resolved options
+     * @returns {{version: number, errorCorrection: string, mask: number, size: number, modules: Array<Array<boolean>>}} The symbol
+     */
+    function encodeText(text, settings) {
+        const levelName = String(settings.errorCorrection || 'M').toUpperCase();
+        let level = ERROR_CORRECTION[levelName];
+        if (!level) {
+            throw new Error(`Unknown QR error correction level '${settings.errorCorrection}'`);
+        }
+
+        const bytes = utf8Bytes(text);
+        let version = MIN_VERSION;
+        let dataBits = 0;
+        for (; ; version++) {
+            dataBits = 4 + getCharCountBits(version) + bytes.length * 8;
+            if (dataBits <= getNumDataCodewords(version, level) * 8) {
+                break;
+            }
+            if (version >= MAX_VERSION) {
+                throw new Error(`Text of ${bytes.length} bytes is too long for a QR code`);
+            }
+        }
+
+        let levelKey = levelName;
+        if (settings.boostErrorCorrection) {
+            Object.keys(ERROR_CORRECTION).forEach(key => {
+                const candidate = ERROR_CORRECTION[key];
+                if (candidate.ordinal > level.ordinal && dataBits <= getNumDataCodewords(version, candidate) * 8) {
+                    level = candidate;
+                    levelKey = key;
+                }
+            });
+        }
+
+        // Mode indicator, character count and data, then terminator and padding to capacity
+        const capacityBits = getNumDataCodewords(version, level) * 8;
+        const bits = [];
+        const appendBits = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) {
+                bits.push((value >>> i) & 1);
+            }
+        };
+        appendBits(0x4, 4);
+        appendBits(bytes.length, getCharCountBits(version));
+        bytes.forEach(byte => appendBits(byte, 8));
+        appendBits(0, Math.min(4, capacityBits - bits.length));
+        appendBits(0, (8 - bits.length % 8) % 8);
+        for (let pad = 0xEC; bits.length < capacityBits; pad ^= 0xEC ^ 0x11) {
+            appendBits(pad, 8);
+        }
+
+        const data = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            data.push(bits.slice(i, i + 8).reduce((byte, bit) => byte << 1 | bit, 0));
+        }
+
+        const symbol = new QrSymbol(version, level);
+        symbol.drawFunctionPatterns();
+        symbol.drawCodewords(addErrorCorrectionAndInterleave(data, version, level));
+
+        let bestMask = 0;
+        let bestPenalty = Infinity;
+        for (let mask = 0; mask < MASK_PATTERNS.length; mask++) {
+            symbol.applyMask(mask);
+            symbol.drawFormatBits(mask);
+            const penalty = symbol.getPenaltyScore();
+            if (penalty < bestPenalty) {
+                bestMask = mask;
+                bestPenalty = penalty;
+            }
+            symbol.applyMask(mask);
+        }
+        symbol.applyMask(bestMask);
+        symbol.drawFormatBits(bestMask);
+
+        return {
+            version: version,
+            errorCorrection: levelKey,
+            mask: bestMask,
+            size: symbol.size,
+            modules: symbol.modules
+        };
+    }
+
+    /**
+     * Builds SVG markup for an encoded symbol, drawing dark modules as a single path
+     * @param {object} symbol - The encoded symbol
+     * @param {object} settings - The resolved options
+     * @returns {string} The SVG markup
+     */
+    function buildSvg(symbol, settings) {
+        const border = Math.max(0, Math.floor(settings.border));
+        const dimension = symbol.size + border * 2;
+        const parts = [];
+        symbol.modules.forEach((row, y) => {
+            row.forEach((dark, x) => {
+                if (dark) {
+                    parts.push(`M${x + border},${y + border}h1v1h-1z`);
+                }
+            });
+        });
+        return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${dimension} ${dimension}" ` +
+            `width="${settings.size}" height="${settings.size}" shape-rendering="crispEdges" role="img">` +
+            `<rect width="100%" height="100%" fill="${settings.light}"/>` +
+            `<path d="${parts.join('')}" fill="${settings.dark}"/></svg>`;
+    }
+
+    window.qrCode = {
+        /**
+         * Encodes text as a QR code symbol
+         * @param {string} text - The text to encode, typically a URL
+         * @param {object} [options] - Options ({ errorCorrection: 'L'|'M'|'Q'|'H', boostErrorCorrection })
+         * @returns {{version: number, errorCorrection: string, mask: number, size: number, modules: Array<Array<boolean>>}} The symbol; modules are indexed [row][column], true for dark
+         */
+        encode: function(text, options) {
+            return encodeText(text, resolveOptions(options));
+        },
+
+        /**
+         * Renders text as a QR code in SVG markup
+         * @param {string} text - The text to encode
+         * @param {object} [options] - Encoding options plus { border, size, dark, light }
+         * @returns {string} The SVG markup, or an empty string on failure
+         */
+        toSvg: function(text, options) {
+            try {
+                const settings = resolveOptions(options);
+                return buildSvg(encodeText(text, settings), settings);
+            } catch (error) {
+                console.error(`Error generating QR code: ${error}`);
+                window.errorReporter.capture(error, 'qrCodeSvg');
+                return '';
+            }
+        },
+
+        /**
+         * Renders text as a QR code image
+         * @param {string} text - The text to encode
+         * @param {object} [options] - Encoding options plus { border, size, dark, light, format: 'png'|'svg' }
+         * @returns {string} A data URL for the image, or an empty string on failure
+         */
+        toDataUrl: function(text, options) {
+            try {
+                const settings = resolveOptions(options);
+                const symbol = encodeText(text, settings);
+                if (settings.format === 'svg') {
+                    return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(buildSvg(symbol, settings))}`;
+                }
+
+                // Whole pixels per module keep the edges sharp for scanners
+                const dimension = symbol.size + Math.max(0, Math.floor(settings.border)) * 2;
+                const scale = Math.max(1, Math.floor(settings.size / dimension));
+                const offset = (dimension - symbol.size) / 2 * scale;
+                const canvas = document.createElement('canvas');
+                canvas.width = canvas.height = dimension * scale;
+                const context = canvas.getContext('2d');
+                context.fillStyle = settings.light;
+                context.fillRect(0, 0, canvas.width, canvas.height);
+                context.fillStyle = settings.dark;
+                symbol.modules.forEach((row, y) => {
+                    row.forEach((dark, x) => {
+                        if (dark) {
+                            context.fillRect(offset + x * scale, offset + y * scale, scale, scale);
+                        }
+                    });
+                });
+                return canvas.toDataURL('image/png');
+            } catch (error) {
+                console.error(`Error generating QR code image: ${error}`);
+                window.errorReporter.capture(error, 'qrCodeImage');
+                return '';
+            }
+        }
+    };
+})();
@@ -0,0 +1,485 @@
+/**
+ * secureStorage.js - Opt-in encryption of sensitive values in VatFilingPricingTool browser storage
+ * Encrypts the authentication token, user data and other configured keys with AES-GCM using
+ * a non-extractable per-session key kept in IndexedDB, so no script can read the key material, and
+ * wipes them on logout or when the session expires. Enabled by LocalStorage.EncryptSensitiveData.
+ * Version: 1.0.0
+ */
+
+(function() {
+    // The session key is stored as a CryptoKey object, which IndexedDB can hold without exposing its bytes
+    const DB_NAME = 'vat-filing-secure-storage';
+    const DB_VERSION = 1;
+    const STORE_NAME = 'keys';
+    const SESSION_KEY_ID = 'session';
+
+    // Earlier versions kept the raw key in sessionStorage; it is removed on load
+    const LEGACY_SESSION_KEY_NAME = 'vat-filing-session-key';
+
+    // Tells other tabs that this tab signed out, so they forget the key they hold in memory
+    const CHANNEL_NAME = 'vat-filing-secure-storage';
+
+    // The session expires after this long without encrypted reads or writes (UIConfiguration.SessionTimeoutMinutes)
+    const DEFAULT_SESSION_TIMEOUT_MINUTES = 30;
+
+    // Marker identifying encrypted payloads inside storage envelopes
+    const PAYLOAD_MARKER = '__enc';
+    const PAYLOAD_VERSION = 1;
+
+    const IV_LENGTH = 12;
+
+    let sessionKey = null;
+    let readyPromise = null;
+    let channel = null;
+    let databasePromise = null;
+
+    // Writes still being encrypted, so a read straight after a write sees the new value
+    const pendingWrites = new Map();
+
+    /**
+     * Gets the LocalStorage section of the application settings
+     * @returns {object} The storage settings
+     */
+    function getSettings() {
+        return (window.appSettings && window.appSettings.LocalStorage) || {};
+    }
+
+    /**
+     * Gets how long the session key lasts without being used, from UIConfiguration.SessionTimeoutMinutes
+     * @returns {number} The lifetime in milliseconds
+     */
+    function getSessionTimeoutMs() {
+        const ui = (window.appSettings && window.appSettings.UIConfiguration) || {};
+        const minutes = Number(ui.SessionTimeoutMinutes);
+        return (minutes > 0 ? minutes : DEFAULT_SESSION_TIMEOUT_MINUTES) * 60000;
+    }
+
+    /**
+     * Determines whether a key matches a configured name exactly or as a prefixed variant
+     * (vat_filing_auth_token matches auth_token)
+     * @param {string} key - The storage key
+     * @param {string} name - The configured name
+     * @returns {boolean} True if the key matches
+     */
+    function keyMatches(key, name) {
+        return !!name && (key === name || key.endsWith(`_${name}`));
+    }
+
+    /**
+     * Determines whether a key holds the authentication token, whose removal means logout. The .NET
+     * LocalStorageHelper always uses vat_filing_auth_token, so auth_token matches alongside LocalStorage.TokenKey
+     * @param {string} key - The storage key
+     * @returns {boolean} True if the key holds the token
+     */
+    function isTokenKey(key) {
+        return keyMatches(key, getSettings().TokenKey) || keyMatches(key, 'auth_token');
+    }
+
+    /**
+     * Encodes bytes as base64
+     * @param {ArrayBuffer|Uint8Array} buffer - The bytes
+     * @returns {string} The base64 string
+     */
+    function toBase64(buffer) {
+        const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+        let binary = '';
+        for (let i = 0; i < bytes.length; i++) {
+            binary += String.fromCharCode(bytes[i]);
+        }
+        return btoa(binary);
+    }
+
+    /**
+     * Decodes base64 to bytes
+     * @param {string} base64 - The base64 string
+     * @returns {Uint8Array} The bytes
+     */
+    function fromBase64(base64) {
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    /**
+     * Determines whether a stored value is an encrypted payload
+     * @param {*} value - The value read from vatStorage
+     * @returns {boolean} True if the value is encrypted
+     */
+    function isPayload(value) {
+        return !!value && typeof value === 'object' && value[PAYLOAD_MARKER] === PAYLOAD_VERSION;
+    }
+
+    /**
+     * Opens the database holding the session key
+     * @returns {Promise<IDBDatabase>} Promise resolving to the open database
+     */
+    function getDatabase() {
+        if (!databasePromise) {
+            databasePromise = window.indexedDbHelper.openDatabase(DB_NAME, DB_VERSION, database => {
+                if (!database.objectStoreNames.contains(STORE_NAME)) {
+                    database.createObjectStore(STORE_NAME, { keyPath: 'id' });
+                }
+            });
+        }
+        return databasePromise;
+    }
+
+    /**
+     * Reads the stored session key record
+     * @returns {Promise<{id: string, key: CryptoKey, expiresAt: number}|undefined>} Promise resolving to the record
+     */
+    async function readKeyRecord() {
+        const database = await getDatabase();
+        const transaction = database.transaction(STORE_NAME, 'readonly');
+        return window.indexedDbHelper.requestToPromise(transaction.objectStore(STORE_NAME).get(SESSION_KEY_ID));
+    }
+
+    /**
+     * Gets the stored session key if its session has not expired
+     * @returns {Promise<CryptoKey|null>} Promise resolving to the key, or null if there is no live session
+     */
+    async function loadStoredKey() {
+        try {
+            const record = await readKeyRecord();
+            return record && record.expiresAt > Date.now() ? record.key : null;
+        } catch (error) {
+            console.error(`Error loading the secure storage session key: ${error}`);
+            return null;
+        }
+    }
+
+    /**
+     * Stores a new session key unless another tab stored a live one first, in which case that key is kept;
+     * the read and the write share one transaction so two tabs can never both win
+     * @param {CryptoKey} candidate - The newly generated key
+     * @returns {Promise<CryptoKey>} Promise resolving to the key every tab now uses
+     */
+    async function storeKey(candidate) {
+        const database = await getDatabase();
+        const transaction = database.transaction(STORE_NAME, 'readwrite');
+        const store = transaction.objectStore(STORE_NAME);
+        let adopted = candidate;
+        const request = store.get(SESSION_KEY_ID);
+        request.onsuccess = () => {
+            const existing = request.result;
+            if (existing && existing.expiresAt > Date.now()) {
+                adopted = existing.key;
+            } else {
+                store.put({ id: SESSION_KEY_ID, key: candidate, expiresAt: Date.now() + getSessionTimeoutMs() });
+            }
+        };
+        await window.indexedDbHelper.transactionToPromise(transaction);
+        return adopted;
+    }
+
+    /**
+     * Extends the session, which expires after UIConfiguration.SessionTimeoutMinutes without encrypted reads or writes
+     */
+    async function touchKey() {
+        try {
+            const database = await getDatabase();
+            const transaction = database.transaction(STORE_NAME, 'readwrite');
+            const store = transaction.objectStore(STORE_NAME);
+            const request = store.get(SESSION_KEY_ID);
+            request.onsuccess = () => {
+                if (request.result) {
+                    store.put(Object.assign(request.result, { expiresAt: Date.now() + getSessionTimeoutMs() }));
+                }
+            };
+            await window.indexedDbHelper.transactionToPromise(transaction);
+        } catch (error) {
+            console.error(`Error extending the secure storage session: ${error}`);
+        }
+    }
+
+    /**
+     * Deletes the stored session key
+     * @returns {Promise<void>} Promise that resolves when the key has been deleted
+     */
+    async function deleteKey() {
+        const database = await getDatabase();
+        const transaction = database.transaction(STORE_NAME, 'readwrite');
+        transaction.objectStore(STORE_NAME).delete(SESSION_KEY_ID);
+        await window.indexedDbHelper.transactionToPromise(transaction);
+    }
+
+    /**
+     * Gets the session key, generating a non-extractable one for a new session
+     * @returns {Promise<CryptoKey>} Promise resolving to the session key
+     */
+    async function ensureKey() {
+        await ready();
+        if (!sessionKey) {
+            const generated = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+            sessionKey = await storeKey(generated);
+        } else {
+            touchKey();
+        }
+        return sessionKey;
+    }
+
+    /**
+     * Loads the session key shared by every tab; when it has expired or is missing the session is over
+     * and any values it encrypted are wiped
+     * @returns {Promise<void>} Promise that resolves once the key state is known
+     */
+    function ready() {
+        if (!readyPromise) {
+            readyPromise = (async () => {
+                try {
+                    sessionStorage.removeItem(LEGACY_SESSION_KEY_NAME);
+                    if (!window.indexedDbHelper.isSupported()) {
+                        removeEncryptedValues();
+                        return;
+                    }
+
+                    const record = await readKeyRecord();
+                    if (record && record.expiresAt > Date.now()) {
+                        sessionKey = record.key;
+                        return;
+                    }
+
+                    if (record) {
+                        await deleteKey();
+                    }
+                    if (hasEncryptedValues()) {
+                        console.log('Encrypted storage belongs to an expired session; wiping it');
+                        removeEncryptedValues();
+                    }
+                } catch (error) {
+                    console.error(`Error loading the secure storage session key: ${error}`);
+                }
+            })();
+        }
+        return readyPromise;
+    }
+
+    /**
+     * Lists the keys whose stored value is encrypted
+     * @returns {string[]} The keys
+     */
+    function encryptedKeys() {
+        const keys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            const raw = localStorage.getItem(key);
+            if (raw && raw.indexOf(`"${PAYLOAD_MARKER}"`) >= 0 && isPayload(window.vatStorage.get(key))) {
+                keys.push(key);
+            }
+        }
+        return keys;
+    }
+
+    /**
+     * Determines whether any encrypted value is stored
+     * @returns {boolean} True if encrypted values exist
+     */
+    function hasEncryptedValues() {
+        return encryptedKeys().length > 0;
+    }
+
+    /**
+     * Removes every encrypted value from local storage
+     */
+    function removeEncryptedValues() {
+        encryptedKeys().forEach(key => window.vatStorage.remove(key));
+    }
+
+    /**
+     * Encrypts a value and stores it
+     * @param {string} key - The storage key, also bound to the ciphertext as additional data
+     * @param {string} value - The value to encrypt
+     * @returns {Promise<boolean>} Promise resolving to true if the value was stored
+     */
+    async function encryptAndStore(key, value) {
+        const cryptoKey = await ensureKey();
+        const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+        const ciphertext = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(key) },
+            cryptoKey,
+            new TextEncoder().encode(value));
+
+        return window.vatStorage.set(key, { [PAYLOAD_MARKER]: PAYLOAD_VERSION, iv: toBase64(iv), data: toBase64(ciphertext) });
+    }
+
+    /**
+     * Decrypts a stored payload
+     * @param {string} key - The storage key the payload was stored under
+     * @param {object} payload - The encrypted payload
+     * @returns {Promise<string|null>} Promise resolving to the value, or null if it cannot be decrypted
+     */
+    async function decrypt(key, payload) {
+        await ready();
+        let plaintext = sessionKey ? await decryptWith(sessionKey, key, payload) : null;
+        if (plaintext === null) {
+            // Another tab may have signed out and in again since this tab read the session key
+            const stored = await loadStoredKey();
+            if (stored) {
+                sessionKey = stored;
+                plaintext = await decryptWith(stored, key, payload);
+            }
+        }
+
+        if (plaintext === null) {
+            // Encrypted with a key from an earlier session, or tampered with
+            console.warn(`Discarding '${key}': it could not be decrypted with the current session key`);
+            window.vatStorage.remove(key);
+            return null;
+        }
+        touchKey();
+        return plaintext;
+    }
+
+    /**
+     * Decrypts a stored payload with the given key
+     * @param {CryptoKey} cryptoKey - The key to try
+     * @param {string} key - The storage key the payload was stored under
+     * @param {object} payload - The encrypted payload
+     * @returns {Promise<string|null>} Promise resolving to the value, or null if the key does not fit
+     */
+    async function decryptWith(cryptoKey, key, payload) {
+        try {
+            const plaintext = await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: fromBase64(payload.iv), additionalData: new TextEncoder().encode(key) },
+                cryptoKey,
+                fromBase64(payload.data));
+            return new TextDecoder().decode(plaintext);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    window.secureStorage = {
+        /**
+         * Determines whether encrypted storage is enabled by LocalStorage.EncryptSensitiveData
+         * @returns {boolean} True if sensitive values are encrypted
+         */
+        isEnabled: function() {
+            return getSettings().EncryptSensitiveData === true &&
+                !!(window.crypto && window.crypto.subtle) &&
+                !!window.indexedDbHelper && window.indexedDbHelper.isSupported();
+        },
+
+        /**
+         * Determines whether a key holds sensitive data: LocalStorage.TokenKey, LocalStorage.UserKey
+         * or a name listed in LocalStorage.SensitiveKeys, including prefixed variants
+         * @param {string} key - The storage key
+         * @returns {boolean} True if the key is sensitive
+         */
+        isSensitiveKey: function(key) {
+            const settings = getSettings();
+            const names = [settings.TokenKey || 'auth_token', settings.UserKey || 'user_data']
+                .concat(settings.SensitiveKeys || []);
+            return names.some(name => keyMatches(key, name));
+        },
+
+        /**
+         * Determines whether reads and writes of a key go through encrypted storage, which is the case for
+         * sensitive keys while enabled and for any key that still holds an encrypted value
+         * @param {string} key - The storage key
+         * @returns {boolean} True if the key is handled by secure storage
+         */
+        handles: function(key) {
+            if (!window.secureStorage.isSensitiveKey(key)) {
+                return false;
+            }
+            return window.secureStorage.isEnabled() || pendingWrites.has(key) || isPayload(window.vatStorage.get(key));
+        },
+
+        /**
+         * Encrypts and stores a value
+         * @param {string} key - The storage key
+         * @param {string} value - The value; null removes the key
+         * @returns {Promise<boolean>} Promise resolving to true if the value was stored
+         */
+        setItem: function(key, value) {
+            if (value === null || value === undefined) {
+                window.secureStorage.removeItem(key);
+                return Promise.resolve(true);
+            }
+
+            const write = encryptAndStore(key, String(value))
+                .catch(error => {
+                    console.error(`Error encrypting '${key}': ${error}`);
+                    return false;
+                })
+                .finally(() => {
+                    if (pendingWrites.get(key) === write) {
+                        pendingWrites.delete(key);
+                    }
+                });
+            pendingWrites.set(key, write);
+            return write;
+        },
+
+        /**
+         * Reads and decrypts a value; plain values stored before encryption was enabled are returned
+         * and re-stored encrypted
+         * @param {string} key - The storage key
+         * @returns {Promise<string|null>} Promise resolving to the value, or null if absent or unreadable
+         */
+        getItem: async function(key) {
+            if (pendingWrites.has(key)) {
+                await pendingWrites.get(key);
+            }
+
+            const value = window.vatStorage.get(key);
+            if (isPayload(value)) {
+                return decrypt(key, value);
+            }
+
+            if (value !== null && window.secureStorage.isEnabled()) {
+                const plain = typeof value === 'string' ? value : JSON.stringify(value);
+                await window.secureStorage.setItem(key, plain);
+                return plain;
+            }
+            return value === null || typeof value === 'string' ? value : JSON.stringify(value);
+        },
+
+        /**
+         * Removes a value; removing the authentication token signs the user out, so every encrypted
+         * value and the session key are wiped as well
+         * @param {string} key - The storage key
+         */
+        removeItem: function(key) {
+            pendingWrites.delete(key);
+            window.vatStorage.remove(key);
+            if (isTokenKey(key)) {
+                window.secureStorage.wipe();
+            }
+        },
+
+        /**
+         * Removes every encrypted value and deletes the session key; called on logout and session expiry
+         * @returns {Promise<void>} Promise that resolves when the session key has been deleted
+         */
+        wipe: async function() {
+            try {
+                pendingWrites.clear();
+                removeEncryptedValues();
+                sessionKey = null;
+                if (channel) {
+                    channel.postMessage({ type: 'wiped' });
+                }
+                await deleteKey();
+            } catch (error) {
+                console.error(`Error wiping secure storage: ${error}`);
+            }
+        }
+    };
+
+    if (typeof BroadcastChannel !== 'undefined') {
+        channel = new BroadcastChannel(CHANNEL_NAME);
+        channel.addEventListener('message', event => {
+            if (event.data && event.data.type === 'wiped') {
+                // Another tab signed out; the encrypted values are gone, so forget the key here too
+                sessionKey = null;
+            }
+        });
+    }
+
+    ready();
+})();
@@ -0,0 +1,548 @@
+/**
+ * shareLink.js - Shareable deep links for VatFilingPricingTool calculations
+ * Serialises a calculation input into a compact, versioned URL fragment that can be pasted into
+ * Teams or email, parses it back when the link is opened to prefill the calculator, and renders
+ * the link as a QR code for printed quotes
+ * Version: 1.0.0
+ */
+
+(function() {
+    // Fragment parameter holding the encoded input, as in #calc=1z.<payload>
+    const FRAGMENT_PARAM = 'calc';
+
+    // Current payload format; links carry it so older links keep working when the format changes
+    const FORMAT_VERSION = 1;
+
+    // Payload encodings: deflate-compressed JSON, or plain JSON where that is shorter
+    const ENCODING_COMPRESSED = 'z';
+    const ENCODING_PLAIN = 'j';
+
+    const DEFAULT_PATH = 'calculator';
+
+    // Longest fragment value accepted, and the most decompressed bytes read from it
+    const MAX_PAYLOAD_LENGTH = 4000;
+    const MAX_DECODED_BYTES = 16384;
+
+    // Values of the ServiceType and FilingFrequency enums
+    const SERVICE_TYPES = [1, 2, 3];
+    const FILING_FREQUENCIES = [1, 2, 3];
+
+    // Bounds from ValidationConstants.MinTransactionVolume and MaxTransactionVolume
+    const MIN_TRANSACTION_VOLUME = 1;
+    const MAX_TRANSACTION_VOLUME = 100000;
+
+    const COUNTRY_CODE_PATTERN = /^[A-Z]{2}$/;
+    const CURRENCY_CODE_PATTERN = /^[A-Z]{3}$/;
+    const SERVICE_CODE_PATTERN = /^[A-Za-z0-9_.-]{1,50}$/;
+
+    // Codes the application knows about, set once reference data has loaded
+    let knownCodes = { countryCodes: null, serviceCodes: null };
+
+    const subscribers = window.subscriptions.create('OnSharedCalculationOpened', 'shared calculation');
+
+    /**
+     * Encodes bytes as unpadded base64url
+     * @param {Uint8Array} bytes - The bytes
+     * @returns {string} The base64url text
+     */
+    function toBase64Url(bytes) {
+        let binary = '';
+        bytes.forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    /**
+     * Decodes unpadded base64url
+     * @param {string} text - The base64url text
+     * @returns {Uint8Array} The bytes
+     */
+    function fromBase64Url(text) {
+        if (!/^[A-Za-z0-9_-]*$/.test(text)) {
+            throw new Error('Invalid base64url payload');
+        }
+        const base64 = text.replace(/-/g, '+').replace(/_/g, '/') + '==='.slice((text.length + 3) % 4);
+        return Uint8Array.from(atob(base64), character => character.charCodeAt(0));
+    }
+
+    /**
+     * Determines whether the browser can compress and decompress streams in the deflate-raw format, which
+     * some browsers with compression streams do not support
+     * @returns {boolean} True if CompressionStream and DecompressionStream accept 'deflate-raw'
+     */
+    function supportsCompression() {
+        if (typeof CompressionStream !== 'function' || typeof DecompressionStream !== 'function') {
+            return false;
+        }
+        try {
+            new CompressionStream('deflate-raw');
+            new DecompressionStream('deflate-raw');
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Deflates bytes
+     * @param {Uint8Array} bytes - The bytes
+     * @returns {Promise<Uint8Array>} Promise resolving to the compressed bytes
+     */
+    async function compress(bytes) {
+        const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    /**
+     * Inflates bytes, stopping once the output exceeds MAX_DECODED_BYTES
+     * @param {Uint8Array} bytes - The compressed bytes
+     * @returns {Promise<Uint8Array>} Promise resolving to the decompressed bytes
+     */
+    async function decompress(bytes) {
+        const reader = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw')).getReader();
+        const chunks = [];
+        let length = 0;
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) {
+                break;
+            }
+            length += value.length;
+            if (length > MAX_DECODED_BYTES) {
+                reader.cancel().catch(() => {});
+                throw new Error('Decompressed payload is too large');
+            }
+            chunks.push(value);
+        }
+        const result = new Uint8Array(length);
+        chunks.reduce((offset, chunk) => {
+            result.set(chunk, offset);
+            return offset + chunk.length;
+        }, 0);
+        return result;
+    }
+
+    /**
+     * Reads a property of a calculation input in either .NET (PascalCase) or JavaScript (camelCase) form
+     * @param {object} input - The calculation input
+     * @param {string} name - The camelCase property name
+     * @returns {*} The value
+     */
+    function readProperty(input, name) {
+        const pascal = name.charAt(0).toUpperCase() + name.slice(1);
+        return input[name] !== undefined ? input[name] : input[pascal];
+    }
+
+    /**
+     * Packs a calculation input into the compact version 1 array:
+     * [country codes concatenated, service type, transaction volume, filing frequency, additional services, currency]
+     * @param {object} input - A CalculationInputModel-shaped object
+     * @returns {Array} The packed input
+     */
+    function pack(input) {
+        const countries = (readProperty(input, 'countryCodes') || [])
+            .map(code => String(code).trim().toUpperCase())
+            .filter(code => COUNTRY_CODE_PATTERN.test(code));
+        const packed = [
+            countries.join(''),
+            Number(readProperty(input, 'serviceType')) || 0,
+            Number(readProperty(input, 'transactionVolume')) || 0,
+            Number(readProperty(input, 'filingFrequency')) || 0,
+            (readProperty(input, 'additionalServices') || []).map(String)
+        ];
+        const currencyCode = readProperty(input, 'currencyCode');
+        if (currencyCode) {
+            packed.push(String(currencyCode).toUpperCase());
+        }
+        return packed;
+    }
+
+    /**
+     * Encodes a calculation input as the fragment parameter value, compressing it when that makes it shorter
+     * @param {object} input - A CalculationInputModel-shaped object
+     * @returns {Promise<string>} Promise resolving to the value, such as '1z.<payload>'
+     */
+    async function encodeInput(input) {
+        const json = new TextEncoder().encode(JSON.stringify(pack(input || {})));
+        let encoding = ENCODING_PLAIN;
+        let payload = toBase64Url(json);
+        if (supportsCompression()) {
+            const compressed = toBase64Url(await compress(json));
+            if (compressed.length < payload.length) {
+                encoding = ENCODING_COMPRESSED;
+                payload = compressed;
+            }
+        }
+        return `${FORMAT_VERSION}${encoding}.${payload}`;
+    }
+
+    /**
+     * Extracts the fragment parameter value from a link, a fragment or the bare value
+     * @param {string} text - The link, '#calc=...', 'calc=...' or the value itself
+     * @returns {string|null} The value, or null if the text carries none
+     */
+    function extractValue(text) {
+        const source = String(text || '').trim();
+        const hashIndex = source.indexOf('#');
+        const fragment = hashIndex >= 0 ? source.slice(hashIndex + 1) : source;
+        if (/^\d+[a-z]\./.test(fragment)) {
+            return fragment;
+        }
+        return new URLSearchParams(fragment).get(FRAGMENT_PARAM);
+    }
+
+    /**
+     * Builds a failed parse result
+     * @param {string} error - The error code: missing, version, corrupt, unsupported, countries, serviceType, volume or frequency
+     * @returns {object} The result
+     */
+    function failure(error) {
+        return { valid: false, version: null, input: null, unknownCountryCodes: [], unknownServices: [], error };
+    }
+
+    /**
+     * Validates an unpacked version 1 input, dropping codes the application does not know
+     * @param {Array} packed - The packed input
+     * @param {object} codes - Known codes ({ countryCodes, serviceCodes }); null lists accept any well-formed code
+     * @returns {object} The parse result
+     */
+    function unpack(packed, codes) {
+        if (!Array.isArray(packed) || typeof packed[0] !== 'string' || packed[0].length % 2 !== 0) {
+            return failure('corrupt');
+        }
+
+        const knownCountries = codes.countryCodes ? new Set(codes.countryCodes.map(code => String(code).toUpperCase())) : null;
+        const countryCodes = [];
+        const unknownCountryCodes = [];
+        for (let i = 0; i < packed[0].length; i += 2) {
+            const code = packed[0].slice(i, i + 2).toUpperCase();
+            if (!COUNTRY_CODE_PATTERN.test(code) || (knownCountries && !knownCountries.has(code))) {
+                unknownCountryCodes.push(code);
+            } else if (!countryCodes.includes(code)) {
+                countryCodes.push(code);
+            }
+        }
+
+        const knownServices = codes.serviceCodes ? new Set(codes.serviceCodes.map(String)) : null;
+        const additionalServices = [];
+        const unknownServices = [];
+        (Array.isArray(packed[4]) ? packed[4] : []).forEach(service => {
+            const code = String(service);
+            if (!SERVICE_CODE_PATTERN.test(code) || (knownServices && !knownServices.has(code))) {
+                unknownServices.push(code);
+            } else if (!additionalServices.includes(code)) {
+                additionalServices.push(code);
+            }
+        });
+
+        const serviceType = packed[1];
+        const transactionVolume = packed[2];
+        const filingFrequency = packed[3];
+        const currencyCode = typeof packed[5] === 'string' && CURRENCY_CODE_PATTERN.test(packed[5]) ? packed[5] : null;
+
+        let error = null;
+        if (countryCodes.length === 0) {
+            error = 'countries';
+        } else if (!SERVICE_TYPES.includes(serviceType)) {
+            error = 'serviceType';
+        } else if (!Number.isInteger(transactionVolume) || transactionVolume < MIN_TRANSACTION_VOLUME || transactionVolume > MAX_TRANSACTION_VOLUME) {
+            error = 'volume';
+        } else if (!FILING_FREQUENCIES.includes(filingFrequency)) {
+            error = 'frequency';
+        }
+
+        return {
+            valid: error === null,
+            version: FORMAT_VERSION,
+            input: error === null ? { countryCodes, serviceType, transactionVolume, filingFrequency, additionalServices, currencyCode } : null,
+            unknownCountryCodes,
+            unknownServices,
+            error
+        };
+    }
+
+    /**
+     * Decodes and validates a shared calculation
+     * @param {string} text - A link, fragment or fragment parameter value
+     * @param {object} [options] - Known codes ({ countryCodes, serviceCodes }) overriding those set with setKnownCodes
+     * @returns {Promise<object>} Promise resolving to the parse result
+     */
+    async function parseLink(text, options) {
+        const value = extractValue(text);
+        if (!value) {
+            return failure('missing');
+        }
+
+        const match = /^(\d+)([a-z])\.(.*)$/.exec(value);
+        if (!match || value.length > MAX_PAYLOAD_LENGTH) {
+            return failure('corrupt');
+        }
+        if (Number(match[1]) !== FORMAT_VERSION) {
+            return failure('version');
+        }
+        if (match[2] !== ENCODING_PLAIN && match[2] !== ENCODING_COMPRESSED) {
+            return failure('corrupt');
+        }
+        if (match[2] === ENCODING_COMPRESSED && !supportsCompression()) {
+            return failure('unsupported');
+        }
+
+        let packed;
+        try {
+            let bytes = fromBase64Url(match[3]);
+            if (match[2] === ENCODING_COMPRESSED) {
+                bytes = await decompress(bytes);
+            } else if (bytes.length > MAX_DECODED_BYTES) {
+                return failure('corrupt');
+            }
+            packed = JSON.parse(new TextDecoder('utf-8', { fatal: true }).decode(bytes));
+        } catch (error) {
+            console.warn(`Shared calculation link could not be decoded: ${error}`);
+            return failure('corrupt');
+        }
+
+        const settings = options || {};
+        return unpack(packed, {
+            countryCodes: settings.countryCodes || knownCodes.countryCodes,
+            serviceCodes: settings.serviceCodes || knownCodes.serviceCodes
+        });
+    }
+
+    /**
+     * Builds the absolute link to a page with the encoded input in its fragment
+     * @param {object} input - A CalculationInputModel-shaped object
+     * @param {object} [options] - Options ({ path }), the path being relative to the app base (default 'calculator')
+     * @returns {Promise<string>} Promise resolving to the link
+     */
+    async function buildLink(input, options) {
+        const settings = options || {};
+        const url = new URL(settings.path || DEFAULT_PATH, document.baseURI);
+        url.hash = `${FRAGMENT_PARAM}=${await encodeInput(input)}`;
+        return url.toString();
+    }
+
+    /**
+     * Copies text to the clipboard, falling back to a hidden text area where the Clipboard API is unavailable
+     * @param {string} text - The text
+     * @returns {Promise<void>} Promise resolving once copied
+     */
+    async function copyText(text) {
+        if (navigator.clipboard && window.isSecureContext) {
+            await navigator.clipboard.writeText(text);
+            return;
+        }
+        const textArea = document.createElement('textarea');
+        textArea.value = text;
+        textArea.setAttribute('readonly', '');
+        textArea.style.position = 'fixed';
+        textArea.style.opacity = '0';
+        document.body.appendChild(textArea);
+        textArea.select();
+        try {
+            if (!document.execCommand('copy')) {
+                throw new Error('Copy command was rejected');
+            }
+        } finally {
+            textArea.remove();
+        }
+    }
+
+    /**
+     * Tells the user about a shared calculation that could not be opened or lost some of its codes
+     * @param {object} result - The parse result
+     */
+    function announceResult(result) {
+        const t = window.i18n.t;
+        if (!result.valid) {
+            window.notifications.show(t(`shareLink.errors.${result.error}`), 'error');
+            return;
+        }
+        const dropped = result.unknownCountryCodes.concat(result.unknownServices);
+        if (dropped.length > 0) {
+            window.notifications.notify({
+                type: 'warning',
+                title: t('shareLink.partialTitle'),
+                message: t('shareLink.partial', { count: dropped.length, codes: dropped.join(', ') })
+            });
+        }
+    }
+
+    /**
+     * Reads a shared calculation from the current location's fragment
+     * @param {object} [options] - Options ({ notify, clear, countryCodes, serviceCodes })
+     * @returns {Promise<object|null>} Promise resolving to the parse result, or null if the location carries none
+     */
+    async function readLocation(options) {
+        const settings = options || {};
+        if (!extractValue(window.location.hash)) {
+            return null;
+        }
+
+        const result = await parseLink(window.location.hash, settings);
+        if (settings.notify !== false) {
+            announceResult(result);
+        }
+        // Once read, the input belongs to the calculator; reloading should not apply it again
+        if (settings.clear !== false) {
+            window.shareLink.clearFromLocation();
+        }
+        return result;
+    }
+
+    /**
+     * Passes a shared calculation opened in the running app, such as a link pasted into the address bar
+     */
+    async function handleHashChange() {
+        if (subscribers.count() === 0 || !extractValue(window.location.hash)) {
+            return;
+        }
+        try {
+            const result = await readLocation();
+            window.dispatchEvent(new CustomEvent('vatfilingsharedcalculation', { detail: result }));
+            subscribers.notify(result);
+        } catch (error) {
+            console.error(`Error reading shared calculation: ${error}`);
+            window.errorReporter.capture(error, 'shareLinkRead');
+        }
+    }
+
+    window.shareLink = {
+        /**
+         * Sets the country and additional service codes links are validated against; unknown codes are
+         * dropped from parsed input and reported. Until set, any well-formed code is accepted
+         * @param {Array<string>} countryCodes - The known country codes
+         * @param {Array<string>} [serviceCodes] - The known additional service codes
+         */
+        setKnownCodes: function(countryCodes, serviceCodes) {
+            knownCodes = {
+                countryCodes: Array.isArray(countryCodes) ? countryCodes : null,
+                serviceCodes: Array.isArray(serviceCodes) ? serviceCodes : null
+            };
+        },
+
+        /**
+         * Encodes a calculation input as a fragment parameter value
+         * @param {object} input - A CalculationInputModel-shaped object
+         * @returns {Promise<string>} Promise resolving to the value, such as '1z.<payload>'
+         */
+        encode: function(input) {
+            return encodeInput(input);
+        },
+
+        /**
+         * Creates a shareable link that opens the calculator prefilled with an input
+         * @param {object} input - A CalculationInputModel-shaped object
+         * @param {object} [options] - Options ({ path }), the path being relative to the app base (default 'calculator')
+         * @returns {Promise<string>} Promise resolving to the link, or an empty string on failure
+         */
+        createLink: async function(input, options) {
+            try {
+                return await buildLink(input, options);
+            } catch (error) {
+                console.error(`Error creating share link: ${error}`);
+                window.errorReporter.capture(error, 'shareLinkCreate');
+                return '';
+            }
+        },
+
+        /**
+         * Parses a shared calculation link. Unknown country and service codes are dropped and listed in
+         * unknownCountryCodes and unknownServices; error is set when no usable input remains
+         * @param {string} link - A link, fragment or fragment parameter value
+         * @param {object} [options] - Known codes ({ countryCodes, serviceCodes }) overriding those set with setKnownCodes
+         * @returns {Promise<{valid: boolean, version: number, input: object, unknownCountryCodes: Array<string>, unknownServices: Array<string>, error: string}>} Promise resolving to the result
+         */
+        parse: function(link, options) {
+            return parseLink(link, options);
+        },
+
+        /**
+         * Reads a shared calculation from the page's fragment, telling the user if it is invalid or incomplete,
+         * and removes the fragment so a reload does not apply it again
+         * @param {object} [options] - Options ({ notify: true, clear: true, countryCodes, serviceCodes })
+         * @returns {Promise<object|null>} Promise resolving to the parse result, or null if the page was not opened from a link
+         */
+        readFromLocation: async function(options) {
+            try {
+                return await readLocation(options);
+            } catch (error) {
+                console.error(`Error reading shared calculation: ${error}`);
+                window.errorReporter.capture(error, 'shareLinkRead');
+                return null;
+            }
+        },
+
+        /**
+         * Removes the shared calculation from the address bar without adding a history entry
+         */
+        clearFromLocation: function() {
+            const params = new URLSearchParams(window.location.hash.slice(1));
+            if (!params.has(FRAGMENT_PARAM)) {
+                return;
+            }
+            params.delete(FRAGMENT_PARAM);
+            const fragment = params.toString();
+            const url = window.location.pathname + window.location.search + (fragment ? `#${fragment}` : '');
+            history.replaceState(history.state, '', url);
+        },
+
+        /**
+         * Creates a shareable link and copies it to the clipboard, confirming with a notification
+         * @param {object} input - A CalculationInputModel-shaped object
+         * @param {object} [options] - Options ({ path, notify: true })
+         * @returns {Promise<string>} Promise resolving to the link, or an empty string on failure
+         */
+        copyLink: async function(input, options) {
+            const settings = options || {};
+            try {
+                const link = await buildLink(input, settings);
+                await copyText(link);
+                if (settings.notify !== false) {
+                    window.notifications.show(window.i18n.t('shareLink.copied'), 'success');
+                }
+                return link;
+            } catch (error) {
+                console.error(`Error copying share link: ${error}`);
+                window.notifications.show(window.i18n.t('shareLink.copyFailed'), 'error');
+                return '';
+            }
+        },
+
+        /**
+         * Creates a QR code image of the shareable link, for printed quotes
+         * @param {object} input - A CalculationInputModel-shaped object
+         * @param {object} [options] - Link options ({ path }) plus qrCode.toDataUrl options ({ size, format, errorCorrection })
+         * @returns {Promise<string>} Promise resolving to the image data URL, or an empty string on failure
+         */
+        createQrCode: async function(input, options) {
+            try {
+                return window.qrCode.toDataUrl(await buildLink(input, options), options);
+            } catch (error) {
+                console.error(`Error creating share link QR code: ${error}`);
+                window.errorReporter.capture(error, 'shareLinkQrCode');
+                return '';
+            }
+        },
+
+        /**
+         * Registers a .NET subscriber for shared calculations opened while the app is running
+         * @param {object} dotNetRef - The DotNetObjectReference to invoke
+         * @param {string} [methodName] - The JSInvokable method receiving the parse result (default 'OnSharedCalculationOpened')
+         * @returns {number} The subscription ID to pass to unsubscribe
+         */
+        subscribe: function(dotNetRef, methodName) {
+            return subscribers.add(dotNetRef, methodName);
+        },
+
+        /**
+         * Removes a previously registered .NET subscriber
+         * @param {number} subscriptionId - The ID returned by subscribe
+         */
+        unsubscribe: function(subscriptionId) {
+            subscribers.remove(subscriptionId);
+        }
+    };
+
+    window.addEventListener('hashchange', handleHashChange);
+})();
@@ -0,0 +1,567 @@
+/**
+ * storage.js - Structured local storage for VatFilingPricingTool
+ * Stores values as JSON envelopes with timestamps and per-key expiry, caps calculation
+ * history at LocalStorage.MaxStorageItems with least-recently-used eviction and recovers
+ * from quota-exceeded errors by purging expired and least recently used data
+ * Version: 1.0.0
+ */
+
+(function() {
+    // Marker identifying values written by this module; anything else is a legacy raw value
+    const ENVELOPE_MARKER = '__vfs';
+    const ENVELOPE_VERSION = 1;
+
+    const DEFAULT_EXPIRATION_DAYS = 30;
+    const DEFAULT_MAX_ITEMS = 50;
+    const MS_PER_DAY = 86400000;
+
+    // Access times are only rewritten when older than this, so reads do not cause constant writes
+    const ACCESS_WRITE_INTERVAL_MS = 60000;
+
+    // Most unrelated values evicted for a single write, so an oversized value cannot wipe storage
+    const MAX_QUOTA_EVICTIONS = 10;
+
+    // Keys the quota recovery never evicts: the user would be signed out or lose their theme
+    const PROTECTED_KEYS = ['vat-filing-theme'];
+
+    // The auth keys the .NET LocalStorageHelper writes, used when LocalStorage.SensitiveKeys is not set
+    const DEFAULT_SENSITIVE_KEYS = ['auth_token', 'refresh_token', 'token_expiration', 'user_data'];
+
+    /**
+     * Gets the LocalStorage section of the application settings
+     * @returns {object} The storage settings
+     */
+    function getSettings() {
+        return (window.appSettings && window.appSettings.LocalStorage) || {};
+    }
+
+    /**
+     * Gets the default lifetime of stored values
+     * @returns {number} The lifetime in days
+     */
+    function getExpirationDays() {
+        const days = Number(getSettings().ExpirationDays);
+        return days > 0 ? days : DEFAULT_EXPIRATION_DAYS;
+    }
+
+    /**
+     * Gets the maximum number of entries kept in a collection
+     * @returns {number} The item limit
+     */
+    function getMaxItems() {
+        const max = Number(getSettings().MaxStorageItems);
+        return max > 0 ? max : DEFAULT_MAX_ITEMS;
+    }
+
+    /**
+     * Determines whether a key matches a configured name exactly or as a prefixed variant
+     * (vat_filing_auth_token matches auth_token)
+     * @param {string} key - The storage key
+     * @param {string} name - The configured name
+     * @returns {boolean} True if the key matches
+     */
+    function keyMatches(key, name) {
+        return !!name && (key === name || key.endsWith(`_${name}`));
+    }
+
+    /**
+     * Determines whether a key holds calculation history, which is kept as an LRU-capped collection.
+     * Matches LocalStorage.CalculationHistoryKey and prefixed variants such as vat_filing_calculation_history.
+     * @param {string} key - The storage key
+     * @returns {boolean} True if the key holds calculation history
+     */
+    function isHistoryKey(key) {
+        return keyMatches(key, getSettings().CalculationHistoryKey || 'calculation_history');
+    }
+
+    /**
+     * Determines whether a key must survive quota recovery: LocalStorage.TokenKey, LocalStorage.UserKey
+     * and every name in LocalStorage.SensitiveKeys, including the vat_filing_ prefixed keys the .NET
+     * LocalStorageHelper writes. Evicting the refresh token or its expiry would silently break token refresh
+     * @param {string} key - The storage key
+     * @returns {boolean} True if the key is protected
+     */
+    function isProtectedKey(key) {
+        const settings = getSettings();
+        const sensitiveKeys = Array.isArray(settings.SensitiveKeys) ? settings.SensitiveKeys : DEFAULT_SENSITIVE_KEYS;
+        return PROTECTED_KEYS.includes(key) ||
+            [settings.TokenKey, settings.UserKey].concat(sensitiveKeys).some(name => keyMatches(key, name));
+    }
+
+    /**
+     * Parses a raw stored string into an envelope
+     * @param {string|null} raw - The raw value from localStorage
+     * @returns {object|null} The envelope, a legacy envelope wrapping a raw value, or null if absent
+     */
+    function parseEnvelope(raw) {
+        if (raw === null || raw === undefined) {
+            return null;
+        }
+        if (raw.charAt(0) === '{') {
+            try {
+                const parsed = JSON.parse(raw);
+                if (parsed && parsed[ENVELOPE_MARKER] === ENVELOPE_VERSION) {
+                    return parsed;
+                }
+            } catch (error) {
+                // Not JSON; treated as a legacy raw value below
+            }
+        }
+        return { legacy: true, v: raw, t: null, e: null, a: null };
+    }
+
+    /**
+     * Gets an item identifier used for LRU tracking in collections
+     * @param {object} item - The collection item
+     * @returns {string|null} The identifier
+     */
+    function itemId(item) {
+        if (!item || typeof item !== 'object') {
+            return null;
+        }
+        const id = item.calculationId || item.id;
+        return id === undefined || id === null ? null : String(id);
+    }
+
+    /**
+     * Applies the LRU cap to a collection, dropping the least recently used items
+     * @param {object[]} items - The collection items
+     * @param {object} accessed - Map of item identifier to last access time
+     * @param {number} max - The maximum number of items
+     * @returns {object[]} The retained items, in their original order
+     */
+    function applyLruCap(items, accessed, max) {
+        if (items.length <= max) {
+            return items;
+        }
+
+        const ranked = items
+            .map((item, index) => ({ index, time: accessed[itemId(item)] || 0 }))
+            // Most recently used first; earlier items win ties, as history lists are newest-first
+            .sort((a, b) => b.time - a.time || a.index - b.index);
+        const keep = new Set(ranked.slice(0, max).map(entry => entry.index));
+
+        const retained = items.filter((item, index) => keep.has(index));
+        const evicted = items.length - retained.length;
+        console.log(`Evicted ${evicted} least recently used item(s) from calculation history`);
+        return retained;
+    }
+
+    /**
+     * Builds the envelope for a value, carrying LRU data over for collections
+     * @param {string} key - The storage key
+     * @param {*} value - The value to store
+     * @param {object} [options] - { expirationDays, expiresAt }
+     * @param {object|null} previous - The envelope currently stored under the key
+     * @returns {object} The new envelope
+     */
+    function buildEnvelope(key, value, options, previous) {
+        const now = Date.now();
+        let expiresAt = null;
+        if (options && options.expiresAt) {
+            expiresAt = new Date(options.expiresAt).getTime();
+        } else {
+            const days = options && options.expirationDays !== null && options.expirationDays !== undefined
+                ? Number(options.expirationDays)
+                : getExpirationDays();
+            // Zero or a negative number of days stores the value without expiry
+            expiresAt = days > 0 ? now + days * MS_PER_DAY : null;
+        }
+
+        const envelope = { [ENVELOPE_MARKER]: ENVELOPE_VERSION, v: value, t: now, e: expiresAt, a: now };
+
+        // History arrives either as an array or as a JSON string of an array (LocalStorageHelper)
+        if (isHistoryKey(key)) {
+            let items = value;
+            const isString = typeof value === 'string';
+            if (isString) {
+                try {
+                    items = JSON.parse(value);
+                } catch (error) {
+                    items = null;
+                }
+            }
+
+            if (Array.isArray(items)) {
+                const accessed = Object.assign({}, previous && previous.u);
+                items.forEach(item => {
+                    const id = itemId(item);
+                    if (id && !accessed[id]) {
+                        accessed[id] = now;
+                    }
+                });
+
+                const retained = applyLruCap(items, accessed, getMaxItems());
+                const retainedIds = new Set(retained.map(itemId));
+                Object.keys(accessed).forEach(id => {
+                    if (!retainedIds.has(id)) {
+                        delete accessed[id];
+                    }
+                });
+
+                envelope.v = isString ? JSON.stringify(retained) : retained;
+                envelope.u = accessed;
+            }
+        }
+
+        return envelope;
+    }
+
+    /**
+     * Determines whether an error is the browser's storage quota error
+     * @param {Error} error - The error thrown by localStorage.setItem
+     * @returns {boolean} True if the quota was exceeded
+     */
+    function isQuotaError(error) {
+        return !!error && (error.name === 'QuotaExceededError' ||
+            error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+            error.code === 22 || error.code === 1014);
+    }
+
+    /**
+     * Frees space for a write by removing expired items, then trimming history, then evicting
+     * the least recently used unprotected items one at a time (up to MAX_QUOTA_EVICTIONS)
+     * @param {string} key - The key being written, which is never evicted
+     * @param {number} attempt - The recovery attempt, starting at 0
+     * @returns {boolean} True if anything was freed
+     */
+    function freeSpace(key, attempt) {
+        if (attempt === 0) {
+            return window.vatStorage.purgeExpired() > 0;
+        }
+
+        if (attempt === 1) {
+            let trimmed = false;
+            storageKeys().filter(candidate => candidate !== key && isHistoryKey(candidate)).forEach(candidate => {
+                const envelope = parseEnvelope(localStorage.getItem(candidate));
+                const items = envelope && (typeof envelope.v === 'string' ? safeParse(envelope.v) : envelope.v);
+                if (!Array.isArray(items) || items.length < 2) {
+                    return;
+                }
+                const accessed = envelope.u || {};
+                const retained = applyLruCap(items, accessed, Math.floor(items.length / 2));
+                envelope.v = typeof envelope.v === 'string' ? JSON.stringify(retained) : retained;
+                localStorage.setItem(candidate, JSON.stringify(envelope));
+                trimmed = true;
+            });
+            return trimmed;
+        }
+
+        if (attempt - 2 >= MAX_QUOTA_EVICTIONS) {
+            return false;
+        }
+
+        const candidates = storageKeys()
+            .filter(candidate => candidate !== key && !isProtectedKey(candidate))
+            .map(candidate => {
+                const envelope = parseEnvelope(localStorage.getItem(candidate));
+                return { key: candidate, accessed: (envelope && (envelope.a || envelope.t)) || 0 };
+            })
+            .sort((a, b) => a.accessed - b.accessed);
+
+        if (candidates.length === 0) {
+            return false;
+        }
+        console.warn(`Storage quota exceeded; evicting '${candidates[0].key}'`);
+        localStorage.removeItem(candidates[0].key);
+        return true;
+    }
+
+    /**
+     * Parses JSON, returning null instead of throwing
+     * @param {string} text - The JSON text
+     * @returns {*} The parsed value or null
+     */
+    function safeParse(text) {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Lists all keys in local storage
+     * @returns {string[]} The keys
+     */
+    function storageKeys() {
+        const keys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            keys.push(localStorage.key(i));
+        }
+        return keys;
+    }
+
+    /**
+     * Writes an envelope, recovering from quota errors
+     * @param {string} key - The storage key
+     * @param {object} envelope - The envelope to write
+     * @returns {boolean} True if the value was stored
+     */
+    function writeEnvelope(key, envelope) {
+        const serialized = JSON.stringify(envelope);
+        for (let attempt = 0; ; attempt++) {
+            try {
+                localStorage.setItem(key, serialized);
+                return true;
+            } catch (error) {
+                if (!isQuotaError(error)) {
+                    console.error(`Error storing '${key}' in local storage: ${error}`);
+                    return false;
+                }
+                if (!freeSpace(key, attempt) && attempt >= 2) {
+                    console.error(`Storage quota exceeded; '${key}' could not be stored`);
+                    return false;
+                }
+            }
+        }
+    }
+
+    /**
+     * Reads a live (unexpired) envelope, removing it if it has expired
+     * @param {string} key - The storage key
+     * @returns {object|null} The envelope or null if absent or expired
+     */
+    function readEnvelope(key) {
+        const envelope = parseEnvelope(localStorage.getItem(key));
+        if (envelope && envelope.e && envelope.e <= Date.now()) {
+            localStorage.removeItem(key);
+            return null;
+        }
+        return envelope;
+    }
+
+    /**
+     * Records that an envelope was read, for LRU eviction under quota pressure
+     * @param {string} key - The storage key
+     * @param {object} envelope - The envelope that was read
+     */
+    function touch(key, envelope) {
+        const now = Date.now();
+        if (envelope.legacy || now - (envelope.a || 0) < ACCESS_WRITE_INTERVAL_MS) {
+            return;
+        }
+        envelope.a = now;
+        try {
+            localStorage.setItem(key, JSON.stringify(envelope));
+        } catch (error) {
+            // Access times are best effort
+        }
+    }
+
+    window.vatStorage = {
+        /**
+         * Stores a value as a JSON envelope with a timestamp and expiry
+         * @param {string} key - The storage key
+         * @param {*} value - Any JSON-serializable value
+         * @param {object} [options] - { expirationDays: lifetime in days (0 for no expiry, default
+         *        LocalStorage.ExpirationDays), expiresAt: absolute expiry date }
+         * @returns {boolean} True if the value was stored
+         */
+        set: function(key, value, options) {
+            try {
+                const previous = isHistoryKey(key) ? readEnvelope(key) : null;
+                return writeEnvelope(key, buildEnvelope(key, value === undefined ? null : value, options, previous));
+            } catch (error) {
+                console.error(`Error storing '${key}' in local storage: ${error}`);
+                return false;
+            }
+        },
+
+        /**
+         * Retrieves a value, returning the default if it is absent or has expired
+         * @param {string} key - The storage key
+         * @param {*} [defaultValue] - The value returned when nothing is stored (default null)
+         * @returns {*} The stored value
+         */
+        get: function(key, defaultValue) {
+            const fallback = defaultValue === undefined ? null : defaultValue;
+            try {
+                const envelope = readEnvelope(key);
+                if (!envelope) {
+                    return fallback;
+                }
+                touch(key, envelope);
+                return envelope.v === undefined ? fallback : envelope.v;
+            } catch (error) {
+                console.error(`Error reading '${key}' from local storage: ${error}`);
+                return fallback;
+            }
+        },
+
+        /**
+         * Stores a string value; the string form used by setLocalStorageItem
+         * @param {string} key - The storage key
+         * @param {string} value - The value to store
+         * @param {object} [options] - Expiry options, as for set
+         * @returns {boolean} True if the value was stored
+         */
+        setString: function(key, value, options) {
+            return window.vatStorage.set(key, value === null || value === undefined ? null : String(value), options);
+        },
+
+        /**
+         * Retrieves a value as a string, serializing non-string values as JSON
+         * @param {string} key - The storage key
+         * @returns {string|null} The stored value or null if absent or expired
+         */
+        getString: function(key) {
+            const value = window.vatStorage.get(key);
+            if (value === null || typeof value === 'string') {
+                return value;
+            }
+            return JSON.stringify(value);
+        },
+
+        /**
+         * Determines whether a live value is stored under a key
+         * @param {string} key - The storage key
+         * @returns {boolean} True if a value is stored and has not expired
+         */
+        has: function(key) {
+            try {
+                return readEnvelope(key) !== null;
+            } catch (error) {
+                return false;
+            }
+        },
+
+        /**
+         * Removes a value
+         * @param {string} key - The storage key
+         */
+        remove: function(key) {
+            try {
+                localStorage.removeItem(key);
+            } catch (error) {
+                console.error(`Error removing '${key}' from local storage: ${error}`);
+            }
+        },
+
+        /**
+         * Gets metadata for a stored value
+         * @param {string} key - The storage key
+         * @returns {{storedAt: string, expiresAt: string, lastAccessed: string, size: number, legacy: boolean}|null}
+         *          The metadata, with ISO dates, or null if absent or expired
+         */
+        getInfo: function(key) {
+            const envelope = readEnvelope(key);
+            if (!envelope) {
+                return null;
+            }
+            const iso = time => (time ? new Date(time).toISOString() : null);
+            return {
+                storedAt: iso(envelope.t),
+                expiresAt: iso(envelope.e),
+                lastAccessed: iso(envelope.a),
+                size: (localStorage.getItem(key) || '').length,
+                legacy: !!envelope.legacy
+            };
+        },
+
+        /**
+         * Gets an item from a collection (such as calculation history) and marks it as recently used
+         * @param {string} key - The storage key of the collection
+         * @param {string} id - The item identifier (calculationId or id)
+         * @returns {object|null} The item or null if not found
+         */
+        getCollectionItem: function(key, id) {
+            const envelope = readEnvelope(key);
+            if (!envelope) {
+                return null;
+            }
+            const isString = typeof envelope.v === 'string';
+            const items = isString ? safeParse(envelope.v) : envelope.v;
+            const item = Array.isArray(items) ? items.find(candidate => itemId(candidate) === String(id)) : null;
+            if (item && !envelope.legacy) {
+                envelope.u = Object.assign({}, envelope.u, { [String(id)]: Date.now() });
+                envelope.a = Date.now();
+                writeEnvelope(key, envelope);
+            }
+            return item || null;
+        },
+
+        /**
+         * Adds or replaces an item in a collection, evicting the least recently used items beyond the limit
+         * @param {string} key - The storage key of the collection
+         * @param {object} item - The item, identified by calculationId or id
+         * @returns {boolean} True if the collection was stored
+         */
+        putCollectionItem: function(key, item) {
+            const id = itemId(item);
+            const envelope = readEnvelope(key);
+            const isString = envelope ? typeof envelope.v === 'string' : false;
+            const current = envelope ? (isString ? safeParse(envelope.v) : envelope.v) : [];
+            const items = (Array.isArray(current) ? current : []).filter(candidate => id === null || itemId(candidate) !== id);
+            items.unshift(item);
+
+            const previous = envelope && !envelope.legacy ? Object.assign({}, envelope) : null;
+            if (previous && id !== null) {
+                previous.u = Object.assign({}, previous.u, { [id]: Date.now() });
+            }
+            return writeEnvelope(key, buildEnvelope(key, isString ? JSON.stringify(items) : items,
+                envelope && envelope.e ? { expiresAt: envelope.e } : null, previous));
+        },
+
+        /**
+         * Removes an item from a collection
+         * @param {string} key - The storage key of the collection
+         * @param {string} id - The item identifier
+         * @returns {boolean} True if the item was found and removed
+         */
+        removeCollectionItem: function(key, id) {
+            const envelope = readEnvelope(key);
+            if (!envelope) {
+                return false;
+            }
+            const isString = typeof envelope.v === 'string';
+            const items = isString ? safeParse(envelope.v) : envelope.v;
+            if (!Array.isArray(items)) {
+                return false;
+            }
+            const remaining = items.filter(candidate => itemId(candidate) !== String(id));
+            if (remaining.length === items.length) {
+                return false;
+            }
+            if (envelope.u) {
+                delete envelope.u[String(id)];
+            }
+            envelope.v = isString ? JSON.stringify(remaining) : remaining;
+            return writeEnvelope(key, envelope.legacy ? buildEnvelope(key, envelope.v, null, null) : envelope);
+        },
+
+        /**
+         * Removes every expired value
+         * @returns {number} The number of values removed
+         */
+        purgeExpired: function() {
+            let removed = 0;
+            try {
+                const now = Date.now();
+                storageKeys().forEach(key => {
+                    const envelope = parseEnvelope(localStorage.getItem(key));
+                    if (envelope && envelope.e && envelope.e <= now) {
+                        localStorage.removeItem(key);
+                        removed++;
+                    }
+                });
+            } catch (error) {
+                console.error(`Error purging expired local storage items: ${error}`);
+            }
+            return removed;
+        },
+
+        /**
+         * Gets the approximate local storage usage
+         * @returns {{keys: number, bytes: number}} The number of keys and their size in bytes (UTF-16)
+         */
+        getUsage: function() {
+            const keys = storageKeys();
+            const bytes = keys.reduce((total, key) => total + (key.length + (localStorage.getItem(key) || '').length) * 2, 0);
+            return { keys: keys.length, bytes };
+        }
+    };
+
+    // Drop anything that expired since the last visit
+    window.vatStorage.purgeExpired();
+})();
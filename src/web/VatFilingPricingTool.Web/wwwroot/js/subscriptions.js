@@ -0,0 +1,82 @@
+/**
+ * subscriptions.js - Registries of .NET subscribers for VatFilingPricingTool
+ * Blazor passes a DotNetObjectReference to JavaScript as a new object on every interop call, so a
+ * subscriber cannot be found again by comparing references. Each registration is given an ID
+ * instead, which .NET keeps and passes back to unsubscribe.
+ * Version: 1.0.0
+ */
+
+(function() {
+    // Shared by every registry, so an ID passed to the wrong module's unsubscribe removes nothing
+    let nextId = 1;
+
+    /**
+     * Determines whether an invocation failed because the .NET object has been disposed
+     * @param {Error|string} error - The invocation error
+     * @returns {boolean} True if the subscriber can never be notified again
+     */
+    function isDisposedError(error) {
+        return /no tracked object|already disposed/i.test(String(error && error.message ? error.message : error));
+    }
+
+    window.subscriptions = {
+        /**
+         * Creates a registry of .NET subscribers
+         * @param {string} defaultMethodName - The JSInvokable method notified when a subscriber names none
+         * @param {string} description - Describes the subscribers in error messages, e.g. 'offline queue'
+         * @returns {object} The registry with add, remove, notify and count
+         */
+        create: function(defaultMethodName, description) {
+            const subscribers = new Map();
+
+            return {
+                /**
+                 * Registers a .NET object
+                 * @param {object} dotNetRef - The DotNetObjectReference to notify
+                 * @param {string} [methodName] - The JSInvokable method to invoke
+                 * @returns {number} The subscription ID to pass to remove
+                 */
+                add: function(dotNetRef, methodName) {
+                    const id = nextId++;
+                    subscribers.set(id, { dotNetRef, methodName: methodName || defaultMethodName });
+                    return id;
+                },
+
+                /**
+                 * Removes a registration
+                 * @param {number} id - The subscription ID returned by add
+                 * @returns {boolean} True if a subscriber was removed
+                 */
+                remove: function(id) {
+                    return subscribers.delete(Number(id));
+                },
+
+                /**
+                 * Invokes every registered subscriber with the given arguments; subscribers whose .NET
+                 * object has been disposed without unsubscribing are removed
+                 * @param {...*} args - The arguments passed to the JSInvokable method
+                 * @returns {Promise<void>} Promise that resolves once every subscriber has handled the call
+                 */
+                notify: function(...args) {
+                    return Promise.all(Array.from(subscribers.entries()).map(([id, subscriber]) =>
+                        subscriber.dotNetRef.invokeMethodAsync(subscriber.methodName, ...args)
+                            .catch(error => {
+                                if (isDisposedError(error)) {
+                                    subscribers.delete(id);
+                                    return;
+                                }
+                                console.error(`Error notifying ${description} subscriber: ${error}`);
+                            }))).then(() => undefined);
+                },
+
+                /**
+                 * Gets the number of registered subscribers
+                 * @returns {number} The subscriber count
+                 */
+                count: function() {
+                    return subscribers.size;
+                }
+            };
+        }
+    };
+})();
@@ -0,0 +1,222 @@
+/**
+ * tabSync.js - Cross-tab synchronisation for VatFilingPricingTool
+ * Propagates theme changes, sign-in and sign-out, and calculation history updates between open tabs
+ * over a BroadcastChannel, falling back to storage events where BroadcastChannel is unavailable.
+ * Remote messages are raised as window events and passed to .NET subscribers.
+ * Version: 1.0.0
+ */
+
+(function() {
+    const CHANNEL_NAME = 'vat-filing-sync';
+
+    // Local storage key used to carry messages through storage events when BroadcastChannel is unavailable
+    const FALLBACK_STORAGE_KEY = 'vat-filing-sync';
+
+    // Identifies this tab so it ignores its own messages
+    const tabId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+    const subscribers = window.subscriptions.create('OnTabSyncMessage', 'tab sync');
+
+    let channel = null;
+    let authenticated = false;
+
+    // Set while a remote change is being applied, so it is not broadcast back
+    let applyingRemote = false;
+
+    /**
+     * Determines whether a key holds the authentication token (LocalStorage.TokenKey, or the
+     * vat_filing_auth_token key used by the .NET LocalStorageHelper)
+     * @param {string} key - The storage key
+     * @returns {boolean} True if the key holds the token
+     */
+    function isTokenKey(key) {
+        const settings = (window.appSettings && window.appSettings.LocalStorage) || {};
+        return [settings.TokenKey, 'auth_token'].some(name => !!name && (key === name || key.endsWith(`_${name}`)));
+    }
+
+    /**
+     * Determines whether a token is currently stored
+     * @returns {boolean} True if the user appears to be signed in
+     */
+    function hasStoredToken() {
+        try {
+            for (let i = 0; i < localStorage.length; i++) {
+                if (isTokenKey(localStorage.key(i))) {
+                    return true;
+                }
+            }
+        } catch (error) {
+            console.error(`Error reading session state: ${error}`);
+        }
+        return false;
+    }
+
+    /**
+     * Sends a message to the other tabs
+     * @param {object} message - The message; must include a type
+     */
+    function send(message) {
+        const envelope = Object.assign({}, message, { source: tabId, sentAt: Date.now() });
+
+        try {
+            if (channel) {
+                channel.postMessage(envelope);
+            } else {
+                // Writing and immediately removing the key raises a storage event in every other tab
+                localStorage.setItem(FALLBACK_STORAGE_KEY, JSON.stringify(envelope));
+                localStorage.removeItem(FALLBACK_STORAGE_KEY);
+            }
+        } catch (error) {
+            console.error(`Error sending tab sync message: ${error}`);
+        }
+    }
+
+    /**
+     * Applies a message received from another tab and notifies listeners and subscribers
+     * @param {object} message - The received message
+     */
+    function receive(message) {
+        if (!message || !message.type || message.source === tabId) {
+            return;
+        }
+
+        applyingRemote = true;
+        try {
+            switch (message.type) {
+                case 'theme':
+                    // The sending tab has already stored the preference
+                    window.themeManager.reloadPreference();
+                    break;
+                case 'session':
+                    authenticated = !!message.authenticated;
+                    window.dispatchEvent(new CustomEvent('vatfilingsessionchanged', {
+                        detail: { authenticated, remote: true }
+                    }));
+                    break;
+                case 'history':
+                    window.dispatchEvent(new CustomEvent('vatfilinghistorychanged', {
+                        detail: { action: message.action, ids: message.ids || [], remote: true }
+                    }));
+                    break;
+            }
+
+            window.dispatchEvent(new CustomEvent('vatfilingtabmessage', { detail: message }));
+        } catch (error) {
+            console.error(`Error applying tab sync message '${message.type}': ${error}`);
+        } finally {
+            applyingRemote = false;
+        }
+
+        notifySubscribers(message);
+    }
+
+    /**
+     * Passes a remote message to the registered .NET subscribers
+     * @param {object} message - The received message
+     */
+    function notifySubscribers(message) {
+        subscribers.notify({
+            type: message.type,
+            authenticated: message.authenticated,
+            action: message.action,
+            ids: message.ids,
+            theme: message.theme
+        });
+    }
+
+    window.tabSync = {
+        /**
+         * Determines whether messages travel over BroadcastChannel rather than the storage event fallback
+         * @returns {boolean} True if BroadcastChannel is used
+         */
+        usesBroadcastChannel: function() {
+            return !!channel;
+        },
+
+        /**
+         * Sends a custom message to the other tabs, where it is raised as a vatfilingtabmessage event
+         * @param {string} type - The message type
+         * @param {object} [data] - Additional message properties
+         */
+        publish: function(type, data) {
+            send(Object.assign({}, data, { type }));
+        },
+
+        /**
+         * Records a write to local storage made through the interop helpers, announcing sign-in when a
+         * token is first stored and sign-out when it is removed
+         * @param {string|null} key - The key written, or null when storage was cleared
+         * @param {boolean} hasValue - Whether the key now holds a value
+         */
+        recordStorageWrite: function(key, hasValue) {
+            if (key !== null && !isTokenKey(key)) {
+                return;
+            }
+
+            const nowAuthenticated = key === null ? false : !!hasValue;
+            if (nowAuthenticated !== authenticated) {
+                authenticated = nowAuthenticated;
+                send({ type: 'session', authenticated });
+            }
+        },
+
+        /**
+         * Determines whether a token is stored, as last seen by this tab
+         * @returns {boolean} True if the user appears to be signed in
+         */
+        isAuthenticated: function() {
+            return authenticated;
+        },
+
+        /**
+         * Registers a .NET object to be notified of changes made in other tabs
+         * @param {object} dotNetRef - The DotNetObjectReference to notify
+         * @param {string} methodName - JSInvokable method receiving a message with type ('theme', 'session'
+         * or 'history'), authenticated, action, ids and theme
+         * @returns {number} The subscription ID to pass to unsubscribe
+         */
+        subscribe: function(dotNetRef, methodName) {
+            return subscribers.add(dotNetRef, methodName);
+        },
+
+        /**
+         * Removes a previously registered .NET subscriber
+         * @param {number} subscriptionId - The ID returned by subscribe
+         */
+        unsubscribe: function(subscriptionId) {
+            subscribers.remove(subscriptionId);
+        }
+    };
+
+    if (typeof BroadcastChannel !== 'undefined') {
+        channel = new BroadcastChannel(CHANNEL_NAME);
+        channel.addEventListener('message', event => receive(event.data));
+    } else {
+        window.addEventListener('storage', event => {
+            if (event.key !== FALLBACK_STORAGE_KEY || !event.newValue) {
+                return;
+            }
+            try {
+                receive(JSON.parse(event.newValue));
+            } catch (error) {
+                console.error(`Error reading tab sync message: ${error}`);
+            }
+        });
+    }
+
+    // Forward changes made in this tab
+    window.addEventListener('vatfilingthemechanged', event => {
+        if (!applyingRemote) {
+            send({ type: 'theme', theme: event.detail.theme, preference: event.detail.preference });
+        }
+    });
+
+    window.addEventListener('vatfilinghistorychanged', event => {
+        const detail = event.detail || {};
+        if (!applyingRemote && !detail.remote) {
+            send({ type: 'history', action: detail.action, ids: detail.ids || [] });
+        }
+    });
+
+    authenticated = hasStoredToken();
+})();
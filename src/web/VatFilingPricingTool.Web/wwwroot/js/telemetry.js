@@ -0,0 +1,480 @@
+/**
+ * telemetry.js - Client-side performance telemetry for VatFilingPricingTool
+ * Records Core Web Vitals (LCP, CLS, INP), Blazor boot time, time to the vatfilingappready event and
+ * the duration of instrumented interop calls, and sends them in batches through a pluggable sink
+ * (console, HTTP or Application Insights). Configured by the ClientTelemetry settings section.
+ * Version: 1.0.0
+ */
+
+(function() {
+    // Sampling is decided once per browser session so all metrics of a sampled session are kept
+    const SAMPLING_STORAGE_KEY = 'vat-filing-telemetry-sampled';
+
+    const DEFAULT_SETTINGS = {
+        Enabled: true,
+        SampleRate: 1,
+        Sink: 'console',
+        Endpoint: '/api/telemetry',
+        BatchSize: 20,
+        FlushIntervalSeconds: 15
+    };
+
+    // Metrics kept while settings are unavailable; the oldest are dropped beyond this
+    const MAX_PENDING = 500;
+
+    // Application Insights ingestion endpoint used when the connection string names none
+    const DEFAULT_INGESTION_ENDPOINT = 'https://dc.services.visualstudio.com';
+
+    // Interactions shorter than this are not considered for INP
+    const INP_DURATION_THRESHOLD_MS = 40;
+
+    const sinkFactories = {};
+    const pending = [];
+    const interactionDurations = new Map();
+
+    let sink = null;
+    let sinkName = null;
+    let flushTimer = null;
+    let retrying = false;
+    let sampled = null;
+    let vitalsReported = false;
+
+    let lcpValue = null;
+    let clsValue = 0;
+    let clsSessionValue = 0;
+    let clsSessionEntries = [];
+
+    /**
+     * Gets the ClientTelemetry settings merged over the defaults; null values are ignored
+     * @returns {object|null} The settings, or null until application settings have loaded
+     */
+    function getSettings() {
+        if (!window.appSettings || !window.appSettings.ClientTelemetry) {
+            return null;
+        }
+
+        const configured = window.appSettings.ClientTelemetry;
+        const resolved = Object.assign({}, DEFAULT_SETTINGS);
+        Object.keys(configured).forEach(key => {
+            if (configured[key] !== null && configured[key] !== undefined) {
+                resolved[key] = configured[key];
+            }
+        });
+        return resolved;
+    }
+
+    /**
+     * Determines whether this session is sampled, deciding on first use
+     * @param {object} settings - The telemetry settings
+     * @returns {boolean} True if metrics from this session are sent
+     */
+    function isSampled(settings) {
+        if (sampled === null) {
+            try {
+                const stored = sessionStorage.getItem(SAMPLING_STORAGE_KEY);
+                sampled = stored !== null ? stored === 'true' : Math.random() < Number(settings.SampleRate);
+                sessionStorage.setItem(SAMPLING_STORAGE_KEY, String(sampled));
+            } catch (error) {
+                sampled = Math.random() < Number(settings.SampleRate);
+            }
+        }
+        return sampled;
+    }
+
+    /**
+     * Gets the sink configured in ClientTelemetry.Sink, creating it on first use
+     * @param {object} settings - The telemetry settings
+     * @returns {object|null} The sink, or null if the name is not registered or the sink is not configured
+     */
+    function getSink(settings) {
+        const name = String(settings.Sink || 'console').toLowerCase();
+        if (sinkName !== name) {
+            const factory = sinkFactories[name];
+            if (!factory) {
+                console.warn(`Unknown telemetry sink '${settings.Sink}'`);
+                return null;
+            }
+            sink = factory(settings);
+            sinkName = name;
+        }
+        return sink;
+    }
+
+    /**
+     * Returns items that could not be sent to the front of the queue and retries them after
+     * ClientTelemetry.FlushIntervalSeconds; the oldest are dropped beyond MAX_PENDING
+     * @param {object[]} items - The items, oldest first
+     * @param {object} settings - The telemetry settings
+     */
+    function requeue(items, settings) {
+        pending.unshift(...items);
+        if (pending.length > MAX_PENDING) {
+            pending.splice(0, pending.length - MAX_PENDING);
+        }
+        retrying = true;
+        if (!flushTimer) {
+            flushTimer = setTimeout(() => {
+                flushTimer = null;
+                retrying = false;
+                flush();
+            }, settings.FlushIntervalSeconds * 1000);
+        }
+    }
+
+    /**
+     * Sends pending items through the configured sink; a batch the sink rejects is kept for a later flush
+     * @param {boolean} [unloading] - Whether the page is being hidden, so requests must outlive it
+     * @returns {Promise<void>} Promise that resolves once the items have been handed to the sink
+     */
+    async function flush(unloading) {
+        const settings = getSettings();
+        if (!settings || pending.length === 0) {
+            // Items collected before settings load are kept until they have
+            return;
+        }
+        if (!settings.Enabled || !isSampled(settings)) {
+            pending.length = 0;
+            return;
+        }
+
+        const activeSink = getSink(settings);
+        if (!activeSink) {
+            pending.length = 0;
+            return;
+        }
+
+        while (pending.length > 0) {
+            const batch = pending.splice(0, Math.max(Number(settings.BatchSize) || 1, 1));
+            try {
+                await activeSink.send(batch, { unloading: !!unloading });
+            } catch (error) {
+                console.error(`Error sending telemetry: ${error}`);
+                requeue(batch.concat(pending.splice(0)), settings);
+                return;
+            }
+        }
+        retrying = false;
+    }
+
+    /**
+     * Schedules a flush after ClientTelemetry.FlushIntervalSeconds, or immediately once a batch is full
+     * unless a rejected batch is waiting to be retried
+     */
+    function scheduleFlush() {
+        const settings = getSettings() || DEFAULT_SETTINGS;
+        if (pending.length >= settings.BatchSize && !retrying) {
+            flush();
+            return;
+        }
+        if (!flushTimer) {
+            flushTimer = setTimeout(() => {
+                flushTimer = null;
+                flush();
+            }, settings.FlushIntervalSeconds * 1000);
+        }
+    }
+
+    /**
+     * Queues a metric
+     * @param {string} name - The metric name, e.g. 'webvitals.lcp'
+     * @param {number} value - The value
+     * @param {string} unit - 'ms' or 'score'
+     * @param {object} [properties] - Additional dimensions
+     */
+    function record(name, value, unit, properties) {
+        if (typeof value !== 'number' || !isFinite(value)) {
+            return;
+        }
+
+        const settings = getSettings();
+        if (settings && (!settings.Enabled || !isSampled(settings))) {
+            return;
+        }
+
+        pending.push({
+            name,
+            value: Math.round(value * 1000) / 1000,
+            unit,
+            timestamp: new Date().toISOString(),
+            route: window.location.pathname,
+            properties: properties || {}
+        });
+        if (pending.length > MAX_PENDING) {
+            pending.shift();
+        }
+        scheduleFlush();
+    }
+
+    /**
+     * Observes a performance entry type if the browser supports it
+     * @param {string} type - The entry type
+     * @param {Function} callback - Receives each entry
+     * @param {object} [options] - Additional observer options
+     */
+    function observe(type, callback, options) {
+        try {
+            if (typeof PerformanceObserver === 'undefined' ||
+                !(PerformanceObserver.supportedEntryTypes || []).includes(type)) {
+                return;
+            }
+            const observer = new PerformanceObserver(list => list.getEntries().forEach(callback));
+            observer.observe(Object.assign({ type, buffered: true }, options));
+        } catch (error) {
+            console.warn(`Performance entry type '${type}' cannot be observed: ${error}`);
+        }
+    }
+
+    /**
+     * Tracks layout shifts, keeping the largest session window as CLS
+     * @param {object} entry - The layout-shift entry
+     */
+    function handleLayoutShift(entry) {
+        if (entry.hadRecentInput) {
+            return;
+        }
+
+        // A session window closes after a 1 s gap or once it spans 5 s
+        const first = clsSessionEntries[0];
+        const last = clsSessionEntries[clsSessionEntries.length - 1];
+        if (last && entry.startTime - last.startTime < 1000 && entry.startTime - first.startTime < 5000) {
+            clsSessionValue += entry.value;
+            clsSessionEntries.push(entry);
+        } else {
+            clsSessionValue = entry.value;
+            clsSessionEntries = [entry];
+        }
+        clsValue = Math.max(clsValue, clsSessionValue);
+    }
+
+    /**
+     * Tracks the longest event duration of each interaction for INP
+     * @param {object} entry - The event entry
+     */
+    function handleEvent(entry) {
+        if (!entry.interactionId) {
+            return;
+        }
+        const previous = interactionDurations.get(entry.interactionId) || 0;
+        interactionDurations.set(entry.interactionId, Math.max(previous, entry.duration));
+    }
+
+    /**
+     * Estimates INP: the slowest interaction, ignoring one outlier per 50 interactions
+     * @returns {number|null} The INP estimate in milliseconds, or null without interactions
+     */
+    function computeInp() {
+        if (interactionDurations.size === 0) {
+            return null;
+        }
+        const durations = Array.from(interactionDurations.values()).sort((a, b) => b - a);
+        return durations[Math.min(Math.floor(durations.length / 50), durations.length - 1)];
+    }
+
+    /**
+     * Records the Web Vitals once, when the page is first hidden, since LCP, CLS and INP are only final then
+     */
+    function reportVitals() {
+        if (vitalsReported) {
+            return;
+        }
+        vitalsReported = true;
+
+        if (lcpValue !== null) {
+            record('webvitals.lcp', lcpValue, 'ms');
+        }
+        record('webvitals.cls', clsValue, 'score');
+
+        const inp = computeInp();
+        if (inp !== null) {
+            record('webvitals.inp', inp, 'ms', { interactions: interactionDurations.size });
+        }
+    }
+
+    /**
+     * Records the Blazor boot time when the loading placeholder in #app is replaced by the first render
+     */
+    function watchBlazorBoot() {
+        const app = document.getElementById('app');
+        if (!app || !app.querySelector('.loading-container') || typeof MutationObserver === 'undefined') {
+            return;
+        }
+
+        const observer = new MutationObserver(() => {
+            if (!app.querySelector('.loading-container')) {
+                observer.disconnect();
+                record('blazor.boot', performance.now(), 'ms');
+            }
+        });
+        observer.observe(app, { childList: true, subtree: true });
+    }
+
+    /**
+     * Rejects a response that is not 2xx, so the batch is kept and retried
+     * @param {Response} response - The response
+     * @returns {Response} The response
+     */
+    function ensureSuccess(response) {
+        if (!response.ok) {
+            throw new Error(`${response.status} ${response.statusText}`);
+        }
+        return response;
+    }
+
+    /**
+     * Builds the sink posting items as JSON to ClientTelemetry.Endpoint
+     * @param {object} settings - The telemetry settings
+     * @returns {object} The sink
+     */
+    function createHttpSink(settings) {
+        return {
+            send: function(items, context) {
+                return fetch(settings.Endpoint, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ items }),
+                    credentials: 'same-origin',
+                    keepalive: context.unloading
+                }).then(ensureSuccess);
+            }
+        };
+    }
+
+    /**
+     * Parses an Application Insights connection string
+     * @param {string} connectionString - e.g. 'InstrumentationKey=...;IngestionEndpoint=https://...'
+     * @returns {object} The connection string parts keyed by name
+     */
+    function parseConnectionString(connectionString) {
+        const parts = {};
+        String(connectionString || '').split(';').forEach(part => {
+            const index = part.indexOf('=');
+            if (index > 0) {
+                parts[part.slice(0, index).trim()] = part.slice(index + 1).trim();
+            }
+        });
+        return parts;
+    }
+
+    /**
+     * Builds the sink sending Application Insights metric envelopes to the ingestion endpoint from
+     * ApplicationInsights.ConnectionString. Nothing is sent while Logging.EnableApplicationInsights is false
+     * or no connection string with an instrumentation key is set.
+     * @returns {object|null} The sink, or null if Application Insights is not configured
+     */
+    function createAppInsightsSink() {
+        const logging = window.appSettings.Logging || {};
+        const appInsights = window.appSettings.ApplicationInsights || {};
+        const connection = parseConnectionString(appInsights.ConnectionString || logging.ApplicationInsightsConnectionString);
+        if (logging.EnableApplicationInsights === false || !connection.InstrumentationKey) {
+            console.warn('Application Insights is not configured; client telemetry is not sent');
+            return null;
+        }
+
+        const instrumentationKey = connection.InstrumentationKey;
+        const endpoint = `${(connection.IngestionEndpoint || DEFAULT_INGESTION_ENDPOINT).replace(/\/$/, '')}/v2/track`;
+        const envelopeName = `Microsoft.ApplicationInsights.${instrumentationKey.replace(/-/g, '')}.Metric`;
+
+        return {
+            send: function(items, context) {
+                const envelopes = items.map(item => ({
+                    name: envelopeName,
+                    time: item.timestamp,
+                    iKey: instrumentationKey,
+                    tags: {
+                        'ai.operation.name': item.route,
+                        'ai.device.type': 'Browser',
+                        'ai.cloud.role': 'VatFilingPricingTool.Web'
+                    },
+                    data: {
+                        baseType: 'MetricData',
+                        baseData: {
+                            ver: 2,
+                            metrics: [{ name: item.name, value: item.value, count: 1 }],
+                            properties: Object.assign({ unit: item.unit }, item.properties)
+                        }
+                    }
+                }));
+
+                return fetch(endpoint, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(envelopes),
+                    keepalive: context.unloading
+                }).then(ensureSuccess);
+            }
+        };
+    }
+
+    sinkFactories.console = () => ({
+        send: function(items) {
+            items.forEach(item => console.log(`[telemetry] ${item.name}: ${item.value} ${item.unit}`, item.properties));
+            return Promise.resolve();
+        }
+    });
+    sinkFactories.http = createHttpSink;
+    sinkFactories.appinsights = createAppInsightsSink;
+
+    window.telemetry = {
+        /**
+         * Records a custom metric
+         * @param {string} name - The metric name
+         * @param {number} value - The value
+         * @param {string} [unit] - The unit; defaults to 'ms'
+         * @param {object} [properties] - Additional dimensions
+         */
+        trackMetric: function(name, value, unit, properties) {
+            record(name, value, unit || 'ms', properties);
+        },
+
+        /**
+         * Registers a sink that can be selected with ClientTelemetry.Sink
+         * @param {string} name - The sink name
+         * @param {Function} factory - Receives the telemetry settings and returns an object with
+         * send(items, context) returning a promise that rejects when the items were not accepted, or null
+         * if the sink cannot be used
+         */
+        registerSink: function(name, factory) {
+            sinkFactories[String(name).toLowerCase()] = factory;
+            if (sinkName === String(name).toLowerCase()) {
+                sinkName = null;
+            }
+        },
+
+        /**
+         * Sends pending metrics now
+         * @returns {Promise<void>} Promise that resolves once the metrics have been handed to the sink
+         */
+        flush: function() {
+            return flush(false);
+        },
+
+        /**
+         * Gets the number of metrics waiting to be sent
+         * @returns {number} The number of metrics
+         */
+        getPendingCount: function() {
+            return pending.length;
+        }
+    };
+
+    observe('largest-contentful-paint', entry => {
+        lcpValue = entry.renderTime || entry.loadTime || entry.startTime;
+    });
+    observe('layout-shift', handleLayoutShift);
+    observe('event', handleEvent, { durationThreshold: INP_DURATION_THRESHOLD_MS });
+
+    window.interopHooks.addListener({
+        onEnd: (name, durationMs, succeeded) => record(`interop.${name}`, durationMs, 'ms', { succeeded })
+    });
+
+    window.addEventListener('vatfilingappready', () => record('app.ready', performance.now(), 'ms'), { once: true });
+
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') {
+            reportVitals();
+            flush(true);
+        }
+    });
+
+    watchBlazorBoot();
+})();
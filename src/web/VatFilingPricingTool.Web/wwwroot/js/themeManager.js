@@ -0,0 +1,402 @@
+/**
+ * themeManager.js - Single source of truth for the VatFilingPricingTool theme
+ * Applies the selected theme to the page, the browser UI and all Chart.js instances,
+ * persists one preference (theme plus chart palette) and follows the operating system
+ * when set to 'system'. Until the user picks a theme, UIConfiguration.DefaultTheme applies.
+ * Version: 1.0.0
+ */
+
+(function() {
+    // Local storage key holding the user's theme preference as JSON ({ theme, palette, patterns })
+    const STORAGE_KEY = 'vat-filing-theme';
+
+    // Key written by earlier versions of interop.js, migrated on first load
+    const LEGACY_STORAGE_KEY = 'darkMode';
+
+    // Preference that resolves to light or dark based on prefers-color-scheme
+    const SYSTEM_PREFERENCE = 'system';
+
+    // Registered themes keyed by name
+    const themes = {
+        light: {
+            isDark: false,
+            metaColor: '#ffffff',
+            chart: {
+                textColor: '#666666',
+                gridColor: 'rgba(0, 0, 0, 0.1)',
+                tooltipBackground: 'rgba(255, 255, 255, 0.8)',
+                tooltipTitleColor: '#000000',
+                tooltipBodyColor: '#666666',
+                tooltipBorderColor: 'rgba(0, 0, 0, 0.1)'
+            }
+        },
+        dark: {
+            isDark: true,
+            metaColor: '#202124',
+            chart: {
+                textColor: '#e0e0e0',
+                gridColor: 'rgba(255, 255, 255, 0.1)',
+                tooltipBackground: 'rgba(0, 0, 0, 0.8)',
+                tooltipTitleColor: '#ffffff',
+                tooltipBodyColor: '#e0e0e0',
+                tooltipBorderColor: 'rgba(255, 255, 255, 0.1)'
+            }
+        },
+        'high-contrast': {
+            isDark: true,
+            metaColor: '#000000',
+            chart: {
+                textColor: '#ffffff',
+                gridColor: 'rgba(255, 255, 255, 0.6)',
+                tooltipBackground: '#000000',
+                tooltipTitleColor: '#ffffff',
+                tooltipBodyColor: '#ffffff',
+                tooltipBorderColor: '#ffffff'
+            }
+        }
+    };
+
+    const darkSchemeQuery = window.matchMedia ? window.matchMedia('(prefers-color-scheme: dark)') : null;
+    const subscribers = window.subscriptions.create('OnThemeChanged', 'theme');
+
+    // Theme shown until the user picks one; replaced by UIConfiguration.DefaultTheme once the settings load
+    let defaultPreference = 'light';
+
+    // The user's own choice, or null while the configured default applies
+    let preference = null;
+    let palette = 'standard';
+    let usePatterns = false;
+    let activeTheme = null;
+
+    /**
+     * Reads the stored preference, migrating plain-string values and the legacy darkMode flag
+     * @returns {{theme: string|null, palette: string, patterns: boolean}} The stored preference; theme is
+     * null when the user has not picked one
+     */
+    function readPreference() {
+        const defaults = { theme: null, palette: 'standard', patterns: false };
+
+        try {
+            const stored = localStorage.getItem(STORAGE_KEY);
+            if (stored) {
+                // Earlier versions stored the theme name as a plain string
+                return stored.charAt(0) === '{'
+                    ? Object.assign(defaults, JSON.parse(stored))
+                    : Object.assign(defaults, { theme: stored });
+            }
+
+            const legacy = localStorage.getItem(LEGACY_STORAGE_KEY);
+            if (legacy !== null) {
+                const migrated = Object.assign(defaults, { theme: legacy === 'true' ? 'dark' : 'light' });
+                localStorage.setItem(STORAGE_KEY, JSON.stringify(migrated));
+                localStorage.removeItem(LEGACY_STORAGE_KEY);
+                return migrated;
+            }
+        } catch (error) {
+            console.error(`Error reading theme preference: ${error}`);
+        }
+
+        return defaults;
+    }
+
+    /**
+     * Persists the current theme preference together with the chart palette choice
+     */
+    function writePreference() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify({
+                theme: preference,
+                palette,
+                patterns: usePatterns
+            }));
+        } catch (error) {
+            console.error(`Error storing theme preference: ${error}`);
+        }
+    }
+
+    /**
+     * Gets the preference in effect: the user's choice, or the configured default
+     * @returns {string} 'system' or a theme name
+     */
+    function currentPreference() {
+        return preference || defaultPreference;
+    }
+
+    /**
+     * Determines whether a value names a registered theme or 'system'
+     * @param {string} value - The value to check
+     * @returns {boolean} True if the value can be used as a preference
+     */
+    function isKnownPreference(value) {
+        return value === SYSTEM_PREFERENCE || !!themes[value];
+    }
+
+    /**
+     * Resolves a preference to the name of a registered theme
+     * @param {string} value - The preference ('system' or a theme name)
+     * @returns {string} The theme name to apply
+     */
+    function resolveTheme(value) {
+        if (value === SYSTEM_PREFERENCE) {
+            return darkSchemeQuery && darkSchemeQuery.matches ? 'dark' : 'light';
+        }
+        return themes[value] ? value : 'light';
+    }
+
+    /**
+     * Applies chart colors for the theme to Chart.js defaults and every existing chart
+     * @param {object} theme - The theme definition
+     */
+    function applyChartTheme(theme) {
+        if (typeof Chart === 'undefined') {
+            return;
+        }
+
+        const colors = theme.chart;
+
+        Chart.defaults.color = colors.textColor;
+        Chart.defaults.borderColor = colors.gridColor;
+        Chart.defaults.set('plugins.tooltip', {
+            backgroundColor: colors.tooltipBackground,
+            titleColor: colors.tooltipTitleColor,
+            bodyColor: colors.tooltipBodyColor,
+            borderColor: colors.tooltipBorderColor
+        });
+
+        Object.values(window.chartInstances || {}).forEach(chart => {
+            if (!chart || !chart.options) {
+                return;
+            }
+
+            // Update every configured axis, not just x and y
+            Object.values(chart.options.scales || {}).forEach(scale => {
+                scale.ticks = scale.ticks || {};
+                scale.ticks.color = colors.textColor;
+                scale.grid = scale.grid || {};
+                scale.grid.color = colors.gridColor;
+            });
+
+            chart.options.plugins = chart.options.plugins || {};
+            chart.options.plugins.legend = chart.options.plugins.legend || {};
+            chart.options.plugins.legend.labels = chart.options.plugins.legend.labels || {};
+            chart.options.plugins.legend.labels.color = colors.textColor;
+
+            chart.update();
+        });
+    }
+
+    /**
+     * Applies a theme to the document, browser UI and charts, then notifies listeners
+     * @param {string} themeName - The name of the theme to apply
+     */
+    function applyTheme(themeName) {
+        const theme = themes[themeName];
+
+        // Remove existing theme classes
+        Object.keys(themes).forEach(name => document.body.classList.remove(`${name}-theme`));
+
+        // Add new theme class
+        document.body.classList.add(`${themeName}-theme`);
+        document.documentElement.style.colorScheme = theme.isDark ? 'dark' : 'light';
+
+        // Update theme-color meta tag for browser UI
+        const metaThemeColor = document.querySelector('meta[name="theme-color"]');
+        if (metaThemeColor) {
+            metaThemeColor.setAttribute('content', theme.metaColor);
+        }
+
+        applyChartTheme(theme);
+
+        activeTheme = themeName;
+
+        const detail = { preference: currentPreference(), theme: themeName, isDark: theme.isDark, palette, patterns: usePatterns };
+        window.dispatchEvent(new CustomEvent('vatfilingthemechanged', { detail }));
+
+        subscribers.notify(currentPreference(), themeName, theme.isDark);
+    }
+
+    window.themeManager = {
+        /**
+         * Sets and persists the theme preference
+         * @param {string} value - 'system' or the name of a registered theme
+         * @returns {string} The name of the theme that was applied
+         */
+        setTheme: function(value) {
+            if (!isKnownPreference(value)) {
+                console.warn(`Unknown theme '${value}', falling back to 'light'`);
+                value = 'light';
+            }
+
+            preference = value;
+            writePreference();
+            applyTheme(resolveTheme(value));
+
+            console.log(`Theme set to: ${activeTheme} (preference: ${preference})`);
+            return activeTheme;
+        },
+
+        /**
+         * Sets the theme shown while the user has not picked one, normally UIConfiguration.DefaultTheme
+         * @param {string} value - 'system' or the name of a registered theme
+         * @returns {string} The name of the theme currently applied
+         */
+        setDefaultTheme: function(value) {
+            if (!isKnownPreference(value)) {
+                console.warn(`Unknown default theme '${value}', keeping '${defaultPreference}'`);
+                return activeTheme;
+            }
+
+            defaultPreference = value;
+            if (preference === null) {
+                applyTheme(resolveTheme(defaultPreference));
+            }
+            return activeTheme;
+        },
+
+        /**
+         * Switches between the light and dark themes based on the theme currently shown
+         * @returns {string} The name of the theme that was applied
+         */
+        toggle: function() {
+            return window.themeManager.setTheme(window.themeManager.isDark() ? 'light' : 'dark');
+        },
+
+        /**
+         * Re-reads the stored preference and applies it if it differs from the current one,
+         * e.g. after another tab changed the theme
+         * @returns {boolean} True if a different preference was applied
+         */
+        reloadPreference: function() {
+            const stored = readPreference();
+            if (stored.theme === preference && stored.palette === palette && !!stored.patterns === usePatterns) {
+                return false;
+            }
+
+            preference = stored.theme;
+            palette = stored.palette;
+            usePatterns = !!stored.patterns;
+            applyTheme(resolveTheme(currentPreference()));
+            return true;
+        },
+
+        /**
+         * Gets the preference in effect, which may be 'system'; the configured default until the user picks one
+         * @returns {string} The current preference
+         */
+        getPreference: function() {
+            return currentPreference();
+        },
+
+        /**
+         * Sets and persists the chart palette used alongside the theme
+         * @param {string} paletteName - The name of a palette registered with chartPalettes
+         * @param {boolean} patterns - Whether datasets should also be filled with patterns
+         */
+        setChartPalette: function(paletteName, patterns) {
+            palette = paletteName || 'standard';
+            usePatterns = !!patterns;
+            writePreference();
+            applyTheme(activeTheme);
+        },
+
+        /**
+         * Gets the stored chart palette choice
+         * @returns {{palette: string, patterns: boolean}} The palette name and pattern setting
+         */
+        getChartPalette: function() {
+            return { palette, patterns: usePatterns };
+        },
+
+        /**
+         * Gets the name of the theme currently applied to the page
+         * @returns {string} The active theme name
+         */
+        getTheme: function() {
+            return activeTheme;
+        },
+
+        /**
+         * Determines whether the active theme uses a dark background
+         * @returns {boolean} True if the active theme is dark
+         */
+        isDark: function() {
+            return !!(themes[activeTheme] && themes[activeTheme].isDark);
+        },
+
+        /**
+         * Gets the definition of a registered theme
+         * @param {string} [themeName] - The theme name; defaults to the active theme
+         * @returns {object|null} The theme definition or null if not registered
+         */
+        getThemeDefinition: function(themeName) {
+            return themes[themeName || activeTheme] || null;
+        },
+
+        /**
+         * Gets the names of all registered themes
+         * @returns {string[]} The theme names
+         */
+        getThemes: function() {
+            return Object.keys(themes);
+        },
+
+        /**
+         * Registers an additional named theme, or replaces an existing one
+         * @param {string} name - The theme name, also used for the '<name>-theme' body class
+         * @param {object} definition - Object with isDark, metaColor and chart color settings
+         */
+        registerTheme: function(name, definition) {
+            const base = definition && definition.isDark ? themes.dark : themes.light;
+            themes[name] = {
+                isDark: !!(definition && definition.isDark),
+                metaColor: (definition && definition.metaColor) || base.metaColor,
+                chart: Object.assign({}, base.chart, definition && definition.chart)
+            };
+
+            // Re-apply if the active theme definition was replaced
+            if (activeTheme === name) {
+                applyTheme(name);
+            }
+        },
+
+        /**
+         * Registers a .NET object to be notified when the theme changes
+         * @param {object} dotNetRef - The DotNetObjectReference to notify
+         * @param {string} methodName - JSInvokable method receiving (preference, theme, isDark)
+         * @returns {number} The subscription ID to pass to unsubscribe
+         */
+        subscribe: function(dotNetRef, methodName) {
+            return subscribers.add(dotNetRef, methodName);
+        },
+
+        /**
+         * Removes a previously registered .NET subscriber
+         * @param {number} subscriptionId - The ID returned by subscribe
+         */
+        unsubscribe: function(subscriptionId) {
+            subscribers.remove(subscriptionId);
+        }
+    };
+
+    // Follow live operating system changes while the preference is 'system'
+    if (darkSchemeQuery) {
+        const handleSchemeChange = () => {
+            if (currentPreference() === SYSTEM_PREFERENCE) {
+                applyTheme(resolveTheme(SYSTEM_PREFERENCE));
+            }
+        };
+
+        if (typeof darkSchemeQuery.addEventListener === 'function') {
+            darkSchemeQuery.addEventListener('change', handleSchemeChange);
+        } else if (typeof darkSchemeQuery.addListener === 'function') {
+            darkSchemeQuery.addListener(handleSchemeChange);
+        }
+    }
+
+    // Apply the stored preference as soon as the script loads to avoid a flash of the wrong theme
+    const stored = readPreference();
+    preference = stored.theme;
+    palette = stored.palette;
+    usePatterns = !!stored.patterns;
+    applyTheme(resolveTheme(currentPreference()));
+})();
@@ -0,0 +1,785 @@
+/**
+ * vatValidation.js - Client-side validation for VatFilingPricingTool forms
+ * Checks VAT identification numbers against the format and check-digit rules of every EU member state,
+ * the United Kingdom, Switzerland and Norway, and runs declarative data-validate rules alongside the
+ * browser's own constraint validation, showing localised inline messages
+ * Version: 1.0.0
+ */
+
+(function() {
+    // Letters used for the Irish check character
+    const IE_ALPHABET = 'WABCDEFGHIJKLMNOPQRSTUV';
+
+    // Characters of the French check key in numbers issued since 1994 (no I or O)
+    const FR_ALPHABET = '0123456789ABCDEFGHJKLMNPQRSTUVWXYZ';
+
+    // Letters of the Spanish DNI/NIE check character
+    const ES_DNI_LETTERS = 'TRWAGMYFPDXBNJZSQVHLCKE';
+
+    // VAT number prefixes that differ from the ISO country code
+    const PREFIX_COUNTRIES = { EL: 'GR', XI: 'GB', CHE: 'CH' };
+
+    /**
+     * Converts a string of digits to an array of numbers
+     * @param {string} digits - The digits
+     * @returns {number[]} The digit values
+     */
+    function toDigits(digits) {
+        return digits.split('').map(Number);
+    }
+
+    /**
+     * Computes the weighted sum of digits
+     * @param {string} digits - The digits
+     * @param {number[]} weights - The weight of each digit
+     * @returns {number} The weighted sum
+     */
+    function weightedSum(digits, weights) {
+        return toDigits(digits).reduce((sum, digit, index) => sum + digit * weights[index], 0);
+    }
+
+    /**
+     * Checks digits with the Luhn algorithm
+     * @param {string} digits - The digits, including the check digit
+     * @returns {boolean} True if the check digit is correct
+     */
+    function luhnValid(digits) {
+        let sum = 0;
+        toDigits(digits).reverse().forEach((digit, index) => {
+            const value = index % 2 === 1 ? digit * 2 : digit;
+            sum += value > 9 ? value - 9 : value;
+        });
+        return sum % 10 === 0;
+    }
+
+    /**
+     * Checks digits with ISO 7064 MOD 11,10 (Germany, Croatia)
+     * @param {string} digits - The digits, including the check digit
+     * @returns {boolean} True if the check digit is correct
+     */
+    function mod11x10Valid(digits) {
+        let check = 5;
+        toDigits(digits).forEach(digit => {
+            check = (((check || 10) * 2) % 11 + digit) % 10;
+        });
+        return check === 1;
+    }
+
+    /**
+     * Computes a large number modulo 97 from its decimal string, digit by digit
+     * @param {string} digits - The digits
+     * @returns {number} The remainder
+     */
+    function mod97(digits) {
+        return digits.split('').reduce((remainder, digit) => (remainder * 10 + Number(digit)) % 97, 0);
+    }
+
+    /**
+     * Checks that digits encode a calendar date, as in the personal codes some countries use as VAT numbers
+     * @param {number} year - The full year
+     * @param {number} month - The month, 1 to 12
+     * @param {number} day - The day of the month
+     * @returns {boolean} True if the date exists
+     */
+    function isDate(year, month, day) {
+        const date = new Date(Date.UTC(year, month - 1, day));
+        return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+    }
+
+    /**
+     * Bulgarian check digit of a 9-digit legal entity number
+     * @param {string} digits - The 9 digits
+     * @returns {boolean} True if the check digit is correct
+     */
+    function bgLegalValid(digits) {
+        let check = weightedSum(digits.slice(0, 8), [1, 2, 3, 4, 5, 6, 7, 8]) % 11;
+        if (check === 10) {
+            check = weightedSum(digits.slice(0, 8), [3, 4, 5, 6, 7, 8, 9, 10]) % 11;
+        }
+        return check % 10 === Number(digits[8]);
+    }
+
+    /**
+     * Bulgarian check digit of a 10-digit number: a personal number (EGN), a foreigner's number (PNF) or other
+     * @param {string} digits - The 10 digits
+     * @returns {boolean} True if the number is valid as any of the three
+     */
+    function bgTenDigitValid(digits) {
+        const last = Number(digits[9]);
+
+        let month = Number(digits.slice(2, 4));
+        let year = 1900 + Number(digits.slice(0, 2));
+        if (month > 40) {
+            month -= 40;
+            year += 100;
+        } else if (month > 20) {
+            month -= 20;
+            year -= 100;
+        }
+        if (isDate(year, month, Number(digits.slice(4, 6)))
+            && weightedSum(digits.slice(0, 9), [2, 4, 8, 5, 10, 9, 7, 3, 6]) % 11 % 10 === last) {
+            return true;
+        }
+
+        if (weightedSum(digits.slice(0, 9), [21, 19, 17, 13, 11, 9, 7, 3, 1]) % 10 === last) {
+            return true;
+        }
+
+        const check = 11 - weightedSum(digits.slice(0, 9), [4, 3, 2, 7, 6, 5, 4, 3, 2]) % 11;
+        return check !== 10 && check % 11 === last;
+    }
+
+    /**
+     * Cypriot check letter
+     * @param {string} number - 8 digits and the check letter
+     * @returns {boolean} True if the check letter is correct
+     */
+    function cyValid(number) {
+        const translation = [1, 0, 5, 7, 9, 13, 15, 17, 19, 21];
+        let sum = 0;
+        toDigits(number.slice(0, 8)).forEach((digit, index) => {
+            sum += index % 2 === 0 ? translation[digit] : digit;
+        });
+        return String.fromCharCode(65 + sum % 26) === number[8];
+    }
+
+    /**
+     * Czech VAT number: a company number (8 digits), an individual's special number (9 digits starting with 6)
+     * or a birth number (9 or 10 digits)
+     * @param {string} digits - The digits
+     * @returns {boolean} True if the number is valid
+     */
+    function czValid(digits) {
+        if (digits.length === 8) {
+            if (digits[0] === '9') {
+                return false;
+            }
+            const check = (11 - weightedSum(digits.slice(0, 7), [8, 7, 6, 5, 4, 3, 2]) % 11) % 11;
+            return (check || 1) % 10 === Number(digits[7]);
+        }
+
+        if (digits.length === 9 && digits[0] === '6') {
+            const check = weightedSum(digits.slice(1, 8), [8, 7, 6, 5, 4, 3, 2]) % 11;
+            return (8 - (10 - check) % 11) % 10 === Number(digits[8]);
+        }
+
+        // Birth number: YYMMDD with 50 added to the month for women (and 20 for numbers issued since 2004)
+        let month = Number(digits.slice(2, 4));
+        if (month > 70) {
+            month -= 70;
+        } else if (month > 50) {
+            month -= 50;
+        } else if (month > 20) {
+            month -= 20;
+        }
+        let year = 1900 + Number(digits.slice(0, 2));
+        if (digits.length === 10 && year < 1954) {
+            year += 100;
+        }
+        if (!isDate(year, month, Number(digits.slice(4, 6)))) {
+            return false;
+        }
+        if (digits.length === 9) {
+            // Nine-digit birth numbers were issued before 1954 and have no check digit
+            return year < 1954;
+        }
+
+        const remainder = Number(digits.slice(0, 9)) % 11;
+        // Before 1985 a remainder of 10 was written as 0
+        return remainder % 10 === Number(digits[9]);
+    }
+
+    /**
+     * French VAT number: a two-character key followed by the SIREN company number
+     * @param {string} number - The key and the 9-digit SIREN
+     * @returns {boolean} True if the key matches the SIREN
+     */
+    function frValid(number) {
+        const siren = number.slice(2);
+        // SIREN numbers are Luhn-checked; numbers starting 000 are issued in Monaco and are not
+        if (siren.slice(0, 3) !== '000' && !luhnValid(siren)) {
+            return false;
+        }
+
+        if (/^\d{2}$/.test(number.slice(0, 2))) {
+            return Number(number.slice(0, 2)) === mod97(`${siren}12`);
+        }
+
+        const first = FR_ALPHABET.indexOf(number[0]);
+        const second = FR_ALPHABET.indexOf(number[1]);
+        if (first < 0 || second < 0) {
+            return false;
+        }
+        const check = /\d/.test(number[0]) ? first * 24 + second - 10 : first * 34 + second - 100;
+        return (Number(siren) + 1 + Math.floor(check / 11)) % 11 === check % 11;
+    }
+
+    /**
+     * Greek check digit
+     * @param {string} digits - The 9 digits
+     * @returns {boolean} True if the check digit is correct
+     */
+    function grValid(digits) {
+        let checksum = 0;
+        toDigits(digits.slice(0, 8)).forEach(digit => {
+            checksum = checksum * 2 + digit;
+        });
+        return checksum * 2 % 11 % 10 === Number(digits[8]);
+    }
+
+    /**
+     * Irish VAT number, in the current format (7 digits and one or two letters) or the old one
+     * (digit, letter or symbol, 5 digits and a letter)
+     * @param {string} number - The number
+     * @returns {boolean} True if the check letter is correct
+     */
+    function ieValid(number) {
+        const checkLetter = (digits, extra) => IE_ALPHABET[(weightedSum(digits.padStart(7, '0'), [8, 7, 6, 5, 4, 3, 2])
+            + 9 * (extra ? IE_ALPHABET.indexOf(extra) : 0)) % 23];
+
+        if (/^\d{7}[A-W][A-IW]?$/.test(number)) {
+            return checkLetter(number.slice(0, 7), number[8]) === number[7];
+        }
+        if (/^\d[A-Z+*]\d{5}[A-W]$/.test(number)) {
+            return checkLetter(number.slice(2, 7) + number[0]) === number[7];
+        }
+        return false;
+    }
+
+    /**
+     * Italian VAT number (partita IVA): company number, provincial office code and Luhn check digit
+     * @param {string} digits - The 11 digits
+     * @returns {boolean} True if the number is valid
+     */
+    function itValid(digits) {
+        const office = Number(digits.slice(7, 10));
+        if (/^0{7}/.test(digits) || !((office >= 1 && office <= 100) || [120, 121, 888, 999].includes(office))) {
+            return false;
+        }
+        return luhnValid(digits);
+    }
+
+    /**
+     * Latvian VAT number: a company number (first digit above 3) or a personal code
+     * @param {string} digits - The 11 digits
+     * @returns {boolean} True if the number is valid
+     */
+    function lvValid(digits) {
+        if (Number(digits[0]) > 3) {
+            return weightedSum(digits, [9, 1, 4, 8, 3, 10, 2, 5, 7, 6, 1]) % 11 === 3;
+        }
+        // Personal codes issued since 2017 start with 32 and carry no date or check digit
+        if (digits.slice(0, 2) === '32') {
+            return true;
+        }
+        const year = 1800 + Number(digits[6]) * 100 + Number(digits.slice(4, 6));
+        if (!isDate(year, Number(digits.slice(2, 4)), Number(digits.slice(0, 2)))) {
+            return false;
+        }
+        return (1 + weightedSum(digits.slice(0, 10), [10, 5, 8, 4, 2, 1, 6, 3, 7, 9])) % 11 % 10 === Number(digits[10]);
+    }
+
+    /**
+     * Lithuanian check digit
+     * @param {string} digits - The 9 or 12 digits
+     * @returns {boolean} True if the check digit is correct
+     */
+    function ltValid(digits) {
+        if (digits[digits.length - 2] !== '1') {
+            return false;
+        }
+        const body = digits.slice(0, -1);
+        let check = toDigits(body).reduce((sum, digit, index) => sum + (1 + index % 9) * digit, 0) % 11;
+        if (check === 10) {
+            check = toDigits(body).reduce((sum, digit, index) => sum + (1 + (index + 2) % 9) * digit, 0) % 11;
+        }
+        return check % 10 === Number(digits[digits.length - 1]);
+    }
+
+    /**
+     * Dutch VAT number: 9 digits, B and a 2-digit branch number, checked with the eleven-test
+     * or, for sole proprietors' numbers issued since 2020, ISO 7064 MOD 97-10
+     * @param {string} number - The number without the NL prefix
+     * @returns {boolean} True if the number is valid
+     */
+    function nlValid(number) {
+        const digits = number.slice(0, 9);
+        if ((weightedSum(digits.slice(0, 8), [9, 8, 7, 6, 5, 4, 3, 2]) - Number(digits[8])) % 11 === 0) {
+            return true;
+        }
+        const numeric = `NL${number}`.replace(/[A-Z]/g, letter => String(letter.charCodeAt(0) - 55));
+        return mod97(numeric) === 1;
+    }
+
+    /**
+     * Romanian VAT number: a company code (CUI, 2 to 10 digits) or a personal code (CNP, 13 digits)
+     * @param {string} digits - The digits
+     * @returns {boolean} True if the check digit is correct
+     */
+    function roValid(digits) {
+        if (digits.length === 13) {
+            const check = weightedSum(digits.slice(0, 12), [2, 7, 9, 1, 4, 6, 3, 5, 8, 2, 7, 9]) % 11;
+            return (check === 10 ? 1 : check) === Number(digits[12]);
+        }
+        const body = digits.slice(0, -1).padStart(9, '0');
+        return 10 * weightedSum(body, [7, 5, 3, 2, 1, 7, 5, 3, 2]) % 11 % 10 === Number(digits[digits.length - 1]);
+    }
+
+    /**
+     * Spanish VAT number: a company code (CIF), a citizen's DNI or a foreigner's NIE
+     * @param {string} number - The 9 characters
+     * @returns {boolean} True if the check character is correct
+     */
+    function esValid(number) {
+        if (/^[0-9]{8}[A-Z]$/.test(number)) {
+            return ES_DNI_LETTERS[Number(number.slice(0, 8)) % 23] === number[8];
+        }
+        if (/^[XYZ][0-9]{7}[A-Z]$/.test(number)) {
+            const digits = 'XYZ'.indexOf(number[0]) + number.slice(1, 8);
+            return ES_DNI_LETTERS[Number(digits) % 23] === number[8];
+        }
+        if (/^[KLM][0-9]{7}[A-Z]$/.test(number)) {
+            return ES_DNI_LETTERS[Number(number.slice(1, 8)) % 23] === number[8];
+        }
+        if (/^[ABCDEFGHJNPQRSUVW][0-9]{7}[0-9A-J]$/.test(number)) {
+            let sum = 0;
+            toDigits(number.slice(1, 8)).forEach((digit, index) => {
+                const value = index % 2 === 0 ? digit * 2 : digit;
+                sum += value > 9 ? value - 9 : value;
+            });
+            const check = (10 - sum % 10) % 10;
+            return number[8] === String(check) || number[8] === 'JABCDEFGHI'[check];
+        }
+        return false;
+    }
+
+    /**
+     * UK VAT number: 9 digits (12 for branch traders) checked with MOD 97 or MOD 9755, or a government
+     * department (GD) or health authority (HA) number
+     * @param {string} number - The number without the GB or XI prefix
+     * @returns {boolean} True if the number is valid
+     */
+    function gbValid(number) {
+        if (/^GD\d{3}$/.test(number)) {
+            return Number(number.slice(2)) < 500;
+        }
+        if (/^HA\d{3}$/.test(number)) {
+            return Number(number.slice(2)) >= 500;
+        }
+        const remainder = weightedSum(number.slice(0, 9), [8, 7, 6, 5, 4, 3, 2, 10, 1]) % 97;
+        // Numbers issued since 2010 use MOD 9755, which leaves a remainder of 42 or 55
+        return Number(number.slice(0, 3)) >= 100 ? [0, 42, 55].includes(remainder) : remainder === 0;
+    }
+
+    /**
+     * Swiss enterprise identification number (UID)
+     * @param {string} digits - The 9 digits
+     * @returns {boolean} True if the check digit is correct
+     */
+    function chValid(digits) {
+        const check = 11 - weightedSum(digits.slice(0, 8), [5, 4, 3, 2, 7, 6, 5, 4]) % 11;
+        return check !== 10 && check % 11 === Number(digits[8]);
+    }
+
+    // Format, check and example of each country's VAT number, without the country prefix
+    const COUNTRY_RULES = {
+        AT: { pattern: /^U\d{8}$/, example: 'ATU13585627',
+            check: n => (6 - toDigits(n.slice(1, 8)).reduce((sum, digit, index) => {
+                const value = digit * (index % 2 + 1);
+                return sum + Math.floor(value / 10) + value % 10;
+            }, 0) % 10 + 10) % 10 === Number(n[8]) },
+        BE: { pattern: /^[01]\d{9}$/, example: 'BE0403019261',
+            check: n => (Number(n.slice(0, 8)) + Number(n.slice(8))) % 97 === 0 },
+        BG: { pattern: /^\d{9,10}$/, example: 'BG175074752',
+            check: n => (n.length === 9 ? bgLegalValid(n) : bgTenDigitValid(n)) },
+        CY: { pattern: /^[013459]\d{7}[A-Z]$/, example: 'CY10259033P', check: n => n.slice(0, 2) !== '12' && cyValid(n) },
+        CZ: { pattern: /^\d{8,10}$/, example: 'CZ25123891', check: czValid },
+        DE: { pattern: /^[1-9]\d{8}$/, example: 'DE136695976', check: mod11x10Valid },
+        DK: { pattern: /^[1-9]\d{7}$/, example: 'DK13585628', check: n => weightedSum(n, [2, 7, 6, 5, 4, 3, 2, 1]) % 11 === 0 },
+        EE: { pattern: /^10\d{7}$/, example: 'EE100931558',
+            check: n => (10 - weightedSum(n.slice(0, 8), [3, 7, 1, 3, 7, 1, 3, 7]) % 10) % 10 === Number(n[8]) },
+        ES: { pattern: /^[0-9A-Z]\d{7}[0-9A-Z]$/, example: 'ESA13585625', check: esValid },
+        FI: { pattern: /^\d{8}$/, example: 'FI20774740',
+            check: n => {
+                const remainder = weightedSum(n.slice(0, 7), [7, 9, 10, 5, 8, 4, 2]) % 11;
+                return remainder !== 1 && (remainder === 0 ? 0 : 11 - remainder) === Number(n[7]);
+            } },
+        FR: { pattern: /^[0-9A-HJ-NP-Z]{2}\d{9}$/, example: 'FR40303265045', check: frValid },
+        GR: { pattern: /^\d{9}$/, example: 'EL094259216', check: grValid },
+        HR: { pattern: /^\d{11}$/, example: 'HR33392005961', check: mod11x10Valid },
+        HU: { pattern: /^\d{8}$/, example: 'HU12892312', check: n => weightedSum(n, [9, 7, 3, 1, 9, 7, 3, 1]) % 10 === 0 },
+        IE: { pattern: /^\d[0-9A-Z+*]\d{5}[A-W][A-IW]?$/, example: 'IE6433435F', check: ieValid },
+        IT: { pattern: /^\d{11}$/, example: 'IT00743110157', check: itValid },
+        LT: { pattern: /^(\d{9}|\d{12})$/, example: 'LT119511515', check: ltValid },
+        LU: { pattern: /^\d{8}$/, example: 'LU15027442', check: n => Number(n.slice(0, 6)) % 89 === Number(n.slice(6)) },
+        LV: { pattern: /^\d{11}$/, example: 'LV40003521600', check: lvValid },
+        MT: { pattern: /^[1-9]\d{7}$/, example: 'MT11679112', check: n => weightedSum(n, [3, 4, 6, 7, 8, 9, 10, 1]) % 37 === 0 },
+        NL: { pattern: /^\d{9}B\d{2}$/, example: 'NL004495445B01', check: nlValid },
+        PL: { pattern: /^\d{10}$/, example: 'PL8567346215', check: n => weightedSum(n, [6, 5, 7, 2, 3, 4, 5, 6, 7, -1]) % 11 === 0 },
+        PT: { pattern: /^[1-9]\d{8}$/, example: 'PT501964843',
+            check: n => (11 - weightedSum(n.slice(0, 8), [9, 8, 7, 6, 5, 4, 3, 2]) % 11) % 11 % 10 === Number(n[8]) },
+        RO: { pattern: /^([1-9]\d{1,9}|\d{13})$/, example: 'RO18547290', check: roValid },
+        SE: { pattern: /^\d{10}01$/, example: 'SE123456789701', check: n => luhnValid(n.slice(0, 10)) },
+        SI: { pattern: /^[1-9]\d{7}$/, example: 'SI50223054',
+            check: n => {
+                const check = 11 - weightedSum(n.slice(0, 7), [8, 7, 6, 5, 4, 3, 2]) % 11;
+                return (check === 10 ? 0 : check) === Number(n[7]);
+            } },
+        SK: { pattern: /^[1-9]\d[2346789]\d{7}$/, example: 'SK2022749619', check: n => Number(n) % 11 === 0 },
+        GB: { pattern: /^(\d{9}|\d{12}|GD\d{3}|HA\d{3})$/, example: 'GB980780684', check: gbValid },
+        CH: { pattern: /^\d{9}$/, example: 'CHE-107.787.577 MWST', check: chValid },
+        NO: { pattern: /^\d{9}$/, example: 'NO995525828MVA', check: n => weightedSum(n, [3, 2, 7, 6, 5, 4, 3, 2, 1]) % 11 === 0 }
+    };
+
+    // Declarative rules available through data-validate; each returns true if the value passes
+    const rules = {
+        required: value => value.trim() !== '',
+        minLength: (value, param) => value === '' || value.length >= Number(param),
+        maxLength: (value, param) => value.length <= Number(param),
+        min: (value, param) => value === '' || Number(value) >= Number(param),
+        max: (value, param) => value === '' || Number(value) <= Number(param),
+        pattern: (value, param) => value === '' || new RegExp(`^(?:${param})$`).test(value),
+        email: value => value === '' || /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+        matches: (value, param, field) => {
+            const other = (field.form || document).querySelector(param);
+            return !other || value === other.value;
+        },
+        vat: (value, param, field) => {
+            if (value.trim() === '') {
+                return true;
+            }
+            const result = window.vatValidation.validateVatNumber(value, getExpectedCountry(field, param));
+            // Numbers from countries without known rules are left to the server
+            return result.valid || result.reason === 'unsupported' || { key: `validation.vat.${result.reason}`, params: vatMessageParams(result) };
+        }
+    };
+
+    /**
+     * Gets the country a VAT field must belong to: the rule's parameter, data-validate-country, or the value
+     * of the field named by data-validate-country-field
+     * @param {HTMLElement} field - The VAT field
+     * @param {string} [param] - The rule parameter (e.g. 'DE' from 'vat:DE')
+     * @returns {string|null} The country code, or null to accept any supported country
+     */
+    function getExpectedCountry(field, param) {
+        if (param) {
+            return param;
+        }
+        if (field.dataset.validateCountry) {
+            return field.dataset.validateCountry;
+        }
+        const countryField = findCountryField(field);
+        return countryField && countryField.value ? countryField.value : null;
+    }
+
+    /**
+     * Finds the field a VAT field takes its country from
+     * @param {HTMLElement} field - The VAT field
+     * @returns {HTMLElement|null} The country field
+     */
+    function findCountryField(field) {
+        const name = field.dataset.validateCountryField;
+        if (!name) {
+            return null;
+        }
+        const scope = field.form || document;
+        return scope.querySelector(`[name="${name}"]`) || document.getElementById(name);
+    }
+
+    /**
+     * Gets a country's name in the current language
+     * @param {string} countryCode - The ISO country code
+     * @returns {string} The name, or the code if the browser cannot name it
+     */
+    function countryName(countryCode) {
+        try {
+            return new Intl.DisplayNames([window.i18n.getLanguage()], { type: 'region' }).of(countryCode) || countryCode;
+        } catch (error) {
+            return countryCode;
+        }
+    }
+
+    /**
+     * Builds the message arguments for a failed VAT number check
+     * @param {object} result - The validation result
+     * @returns {object} The message arguments
+     */
+    function vatMessageParams(result) {
+        return {
+            country: result.countryCode ? countryName(result.countryCode) : '',
+            expected: result.expectedCountryCode ? countryName(result.expectedCountryCode) : '',
+            example: result.countryCode && COUNTRY_RULES[result.countryCode] ? COUNTRY_RULES[result.countryCode].example : 'DE136695976'
+        };
+    }
+
+    /**
+     * Parses a data-validate attribute: space-separated rules, each a name with an optional ':parameter'
+     * (parameters cannot contain spaces; write \s in patterns)
+     * @param {string} attribute - The attribute value (e.g. 'required vat:DE minLength:4')
+     * @returns {object[]} The rules, as { name, param }
+     */
+    function parseRules(attribute) {
+        return (attribute || '').split(/\s+/).filter(Boolean).map(rule => {
+            const separator = rule.indexOf(':');
+            return separator < 0
+                ? { name: rule, param: null }
+                : { name: rule.slice(0, separator), param: rule.slice(separator + 1) };
+        });
+    }
+
+    /**
+     * Gets the message for a failed built-in constraint (required, type, length, range, pattern)
+     * @param {HTMLElement} field - The field
+     * @returns {string|null} The localised message, or null if the built-in constraints pass
+     */
+    function nativeMessage(field) {
+        const validity = field.validity;
+        const t = window.i18n.t;
+        if (validity.valid) {
+            return null;
+        }
+        if (validity.valueMissing) {
+            return t('validation.required');
+        }
+        if (validity.typeMismatch) {
+            return field.type === 'email' ? t('validation.email') : t('validation.format');
+        }
+        if (validity.tooShort) {
+            return t('validation.minLength', { min: field.minLength });
+        }
+        if (validity.tooLong) {
+            return t('validation.maxLength', { max: field.maxLength });
+        }
+        if (validity.rangeUnderflow) {
+            return t('validation.min', { min: window.formatting.formatNumber(Number(field.min)) });
+        }
+        if (validity.rangeOverflow) {
+            return t('validation.max', { max: window.formatting.formatNumber(Number(field.max)) });
+        }
+        if (validity.patternMismatch) {
+            return field.title || t('validation.format');
+        }
+        return field.validationMessage || t('validation.format');
+    }
+
+    /**
+     * Gets or creates the inline message element of a field and links it to the field
+     * @param {HTMLElement} field - The field
+     * @returns {HTMLElement} The message element
+     */
+    function getFeedbackElement(field) {
+        let feedback = field.nextElementSibling;
+        if (!feedback || !feedback.classList.contains('invalid-feedback')) {
+            feedback = document.createElement('div');
+            feedback.className = 'invalid-feedback';
+            field.after(feedback);
+        }
+        if (!feedback.id) {
+            feedback.id = `${field.id || field.name || 'field'}-feedback-${Math.random().toString(36).slice(2, 8)}`;
+        }
+        const describedBy = (field.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean);
+        if (!describedBy.includes(feedback.id)) {
+            describedBy.push(feedback.id);
+            field.setAttribute('aria-describedby', describedBy.join(' '));
+        }
+        return feedback;
+    }
+
+    window.vatValidation = {
+        /**
+         * Removes the spaces, dots, dashes and suffixes people type into VAT numbers and upper-cases the rest
+         * @param {string} value - The VAT number as typed
+         * @returns {string} The compact VAT number, still with its country prefix if it had one
+         */
+        normalize: function(value) {
+            return String(value === undefined || value === null ? '' : value)
+                .toUpperCase()
+                .replace(/[\s.\-/,]/g, '')
+                .replace(/(MWST|TVA|IVA|TPV|MVA)$/, '');
+        },
+
+        /**
+         * Checks a VAT number's format and check digits
+         * @param {string} value - The VAT number, with or without its country prefix (EL for Greece, XI for Northern Ireland,
+         *   CHE for Switzerland)
+         * @param {string} [countryCode] - The country the number must belong to; without one the number's prefix decides
+         * @returns {object} { valid, countryCode, number, reason } where number is the compact number with its prefix and
+         *   reason, when invalid, is 'empty', 'unsupported' (no rules for the given country), 'country' (no prefix and
+         *   no country given), 'mismatch', 'format' or 'checksum'
+         */
+        validateVatNumber: function(value, countryCode) {
+            const compact = window.vatValidation.normalize(value);
+            let expected = countryCode ? String(countryCode).toUpperCase() : null;
+            if (expected && PREFIX_COUNTRIES[expected]) {
+                expected = PREFIX_COUNTRIES[expected];
+            }
+            const result = { valid: false, countryCode: expected, expectedCountryCode: expected, number: compact, reason: null };
+
+            if (compact === '') {
+                result.reason = 'empty';
+                return result;
+            }
+            if (expected && !COUNTRY_RULES[expected]) {
+                result.reason = 'unsupported';
+                return result;
+            }
+
+            // Take the prefix off: three letters for Switzerland, otherwise two, which may differ from the ISO code
+            let country = null;
+            let number = compact;
+            const prefix = /^CHE/.test(compact) ? 'CHE' : compact.slice(0, 2);
+            if (/^[A-Z]{2,3}$/.test(prefix) && (COUNTRY_RULES[prefix] || PREFIX_COUNTRIES[prefix])) {
+                country = PREFIX_COUNTRIES[prefix] || prefix;
+                number = compact.slice(prefix.length);
+            }
+
+            if (country && expected && country !== expected) {
+                result.countryCode = country;
+                result.reason = 'mismatch';
+                return result;
+            }
+            country = country || expected;
+            if (!country) {
+                result.reason = 'country';
+                return result;
+            }
+
+            const rule = COUNTRY_RULES[country];
+            const displayPrefix = country === 'GR' ? 'EL' : (country === 'CH' ? 'CHE' : (prefix === 'XI' ? 'XI' : country));
+            result.countryCode = country;
+            result.number = displayPrefix + number;
+
+            if (!rule.pattern.test(number)) {
+                result.reason = 'format';
+                return result;
+            }
+            if (!rule.check(number)) {
+                result.reason = 'checksum';
+                return result;
+            }
+
+            result.valid = true;
+            return result;
+        },
+
+        /**
+         * Gets the countries whose VAT numbers can be checked
+         * @returns {string[]} ISO country codes
+         */
+        getSupportedCountries: function() {
+            return Object.keys(COUNTRY_RULES);
+        },
+
+        /**
+         * Adds a rule usable in data-validate attributes
+         * @param {string} name - The rule name
+         * @param {Function} test - Function(value, param, field) returning true if the value passes, false to show
+         *   the field's data-validate-message (or a generic message), or a message to show
+         */
+        addRule: function(name, test) {
+            rules[name] = test;
+        },
+
+        /**
+         * Validates a field against its built-in constraints and data-validate rules and shows or clears its inline message.
+         * A rule's message can be replaced with data-validate-message-{rule}, or all of them with data-validate-message
+         * @param {HTMLElement} field - The input, select or textarea
+         * @returns {boolean} True if the field is valid
+         */
+        validateField: function(field) {
+            if (!field || typeof field.setCustomValidity !== 'function' || field.disabled) {
+                return true;
+            }
+
+            field.setCustomValidity('');
+            let message = nativeMessage(field);
+
+            if (!message) {
+                const value = field.type === 'checkbox' ? (field.checked ? field.value : '') : String(field.value || '');
+                for (const rule of parseRules(field.dataset.validate)) {
+                    const test = rules[rule.name];
+                    if (!test) {
+                        console.warn(`Unknown validation rule '${rule.name}'`);
+                        continue;
+                    }
+
+                    let outcome;
+                    try {
+                        outcome = test(value, rule.param, field);
+                    } catch (error) {
+                        console.error(`Error running validation rule '${rule.name}': ${error}`);
+                        continue;
+                    }
+                    if (outcome === true) {
+                        continue;
+                    }
+
+                    const override = field.getAttribute(`data-validate-message-${rule.name.toLowerCase()}`) || field.dataset.validateMessage;
+                    if (override) {
+                        message = override;
+                    } else if (outcome && typeof outcome === 'object') {
+                        message = window.i18n.t(outcome.key, outcome.params);
+                    } else if (typeof outcome === 'string') {
+                        message = outcome;
+                    } else {
+                        const key = `validation.${rule.name}`;
+                        message = window.i18n.has(key)
+                            ? window.i18n.t(key, { min: rule.param, max: rule.param })
+                            : window.i18n.t('validation.format');
+                    }
+                    break;
+                }
+                if (message) {
+                    field.setCustomValidity(message);
+                }
+            }
+
+            if (message) {
+                getFeedbackElement(field).textContent = message;
+                field.setAttribute('aria-invalid', 'true');
+            } else {
+                const feedback = field.nextElementSibling;
+                if (feedback && feedback.classList.contains('invalid-feedback')) {
+                    feedback.textContent = '';
+                }
+                field.removeAttribute('aria-invalid');
+            }
+            return !message;
+        },
+
+        /**
+         * Validates every field of a form
+         * @param {HTMLFormElement} form - The form
+         * @returns {boolean} True if every field is valid
+         */
+        validateForm: function(form) {
+            let valid = true;
+            Array.from(form.querySelectorAll('input, select, textarea')).forEach(field => {
+                if (!window.vatValidation.validateField(field)) {
+                    valid = false;
+                }
+            });
+            return valid;
+        },
+
+        /**
+         * Re-validates the VAT fields that take their country from a field, once they have been validated
+         * @param {HTMLElement} countryField - The field whose value changed
+         */
+        revalidateDependents: function(countryField) {
+            const scope = countryField.form || document;
+            scope.querySelectorAll('[data-validate-country-field]').forEach(field => {
+                if (findCountryField(field) === countryField && (field.classList.contains('is-valid') || field.classList.contains('is-invalid'))) {
+                    const valid = window.vatValidation.validateField(field);
+                    field.classList.toggle('is-valid', valid);
+                    field.classList.toggle('is-invalid', !valid);
+                }
+            });
+        }
+    };
+
+    // Messages are shown in the user's language, so switching language rewrites the ones on screen
+    window.addEventListener('vatfilinglanguagechanged', () => {
+        document.querySelectorAll('form.needs-validation [aria-invalid="true"]').forEach(field => window.vatValidation.validateField(field));
+    });
+})();
@@ -0,0 +1,697 @@
+/**
+ * xlsxExport.js - Client-side Excel (XLSX) export for VatFilingPricingTool
+ * Builds Office Open XML workbooks in the browser from calculation results and history,
+ * with typed numeric and currency cells and formulas for totals, then downloads them
+ * Version: 1.0.0
+ */
+
+(function() {
+    const XLSX_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+    // Days between the Excel epoch (1899-12-30) and the Unix epoch
+    const EXCEL_EPOCH_OFFSET_DAYS = 25569;
+    const MS_PER_DAY = 86400000;
+
+    // Built-in Excel number formats
+    const NUMFMT_GENERAL = 0;
+    const NUMFMT_INTEGER = 3;
+    const NUMFMT_PERCENT = 10;
+
+    let crcTable = null;
+
+    /**
+     * Computes the CRC-32 checksum required by the ZIP container
+     * @param {Uint8Array} bytes - The data to checksum
+     * @returns {number} The unsigned CRC-32 value
+     */
+    function crc32(bytes) {
+        if (!crcTable) {
+            crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * Packages files into an uncompressed (stored) ZIP archive, which is all XLSX requires
+     * @param {Array<{name: string, content: string}>} files - The files to package
+     * @returns {Uint8Array} The ZIP archive bytes
+     */
+    function createZip(files) {
+        const encoder = new TextEncoder();
+        const now = new Date();
+        const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+        const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        files.forEach(file => {
+            const nameBytes = encoder.encode(file.name);
+            const data = encoder.encode(file.content);
+            const crc = crc32(data);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034B50, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, 0x0800, true);
+            local.setUint16(8, 0, true);
+            local.setUint16(10, dosTime, true);
+            local.setUint16(12, dosDate, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, nameBytes.length, true);
+            local.setUint16(28, 0, true);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014B50, true);
+            central.setUint16(4, 20, true);
+            central.setUint16(6, 20, true);
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, dosTime, true);
+            central.setUint16(14, dosDate, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, data.length, true);
+            central.setUint32(24, data.length, true);
+            central.setUint16(28, nameBytes.length, true);
+            central.setUint32(42, offset, true);
+
+            localParts.push(new Uint8Array(local.buffer), nameBytes, data);
+            centralParts.push(new Uint8Array(central.buffer), nameBytes);
+            offset += 30 + nameBytes.length + data.length;
+        });
+
+        const centralSize = centralParts.reduce((size, part) => size + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+        const result = new Uint8Array(parts.reduce((size, part) => size + part.length, 0));
+        let position = 0;
+        parts.forEach(part => {
+            result.set(part, position);
+            position += part.length;
+        });
+        return result;
+    }
+
+    /**
+     * Escapes text for inclusion in XML, removing characters XML cannot represent
+     * @param {*} value - The value to escape
+     * @returns {string} The escaped text
+     */
+    function escapeXml(value) {
+        return String(value)
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Converts a zero-based column index to its letter reference (0 -> A, 26 -> AA)
+     * @param {number} index - The column index
+     * @returns {string} The column letters
+     */
+    function columnLetter(index) {
+        let letters = '';
+        let n = index + 1;
+        while (n > 0) {
+            const remainder = (n - 1) % 26;
+            letters = String.fromCharCode(65 + remainder) + letters;
+            n = Math.floor((n - 1) / 26);
+        }
+        return letters;
+    }
+
+    /**
+     * Makes a sheet name valid for Excel (max 31 characters, no []:*?/\)
+     * @param {string} name - The requested name
+     * @returns {string} The sanitized name
+     */
+    function sanitizeSheetName(name) {
+        return String(name || 'Sheet').replace(/[\[\]:*?\/\\]/g, ' ').substring(0, 31);
+    }
+
+    /**
+     * Quotes a sheet name for use in formulas
+     * @param {string} name - The sheet name
+     * @returns {string} The quoted name
+     */
+    function sheetReference(name) {
+        return `'${sanitizeSheetName(name).replace(/'/g, "''")}'`;
+    }
+
+    /**
+     * Collects the number formats, fonts, fills and cell formats used by a workbook
+     */
+    class StyleRegistry {
+        constructor() {
+            this.numFmts = [];
+            this.cellXfs = [{ numFmtId: NUMFMT_GENERAL, fontId: 0, fillId: 0 }];
+            this.xfIndexes = { '': 0 };
+        }
+
+        /**
+         * Gets the ID of a custom number format, registering it if needed
+         * @param {string} formatCode - The Excel format code
+         * @returns {number} The number format ID
+         */
+        numFmtId(formatCode) {
+            let entry = this.numFmts.find(numFmt => numFmt.code === formatCode);
+            if (!entry) {
+                entry = { id: 164 + this.numFmts.length, code: formatCode };
+                this.numFmts.push(entry);
+            }
+            return entry.id;
+        }
+
+        /**
+         * Resolves a style token such as 'header', 'currency:EUR' or 'currencyTotal:GBP' to a cell format index
+         * @param {string} token - The style token
+         * @returns {number} The cellXfs index
+         */
+        resolve(token) {
+            if (!token) {
+                return 0;
+            }
+            if (this.xfIndexes[token] !== undefined) {
+                return this.xfIndexes[token];
+            }
+
+            const [name, argument] = token.split(':');
+            let xf;
+            switch (name) {
+                case 'header':
+                    xf = { numFmtId: NUMFMT_GENERAL, fontId: 1, fillId: 2 };
+                    break;
+                case 'bold':
+                    xf = { numFmtId: NUMFMT_GENERAL, fontId: 1, fillId: 0 };
+                    break;
+                case 'integer':
+                    xf = { numFmtId: NUMFMT_INTEGER, fontId: 0, fillId: 0 };
+                    break;
+                case 'percent':
+                    xf = { numFmtId: NUMFMT_PERCENT, fontId: 0, fillId: 0 };
+                    break;
+                case 'date':
+                    xf = { numFmtId: this.numFmtId('yyyy-mm-dd hh:mm'), fontId: 0, fillId: 0 };
+                    break;
+                case 'currency':
+                case 'currencyTotal':
+                    xf = {
+                        numFmtId: this.numFmtId(`#,##0.00 "${(argument || 'EUR').replace(/"/g, '')}"`),
+                        fontId: name === 'currencyTotal' ? 1 : 0,
+                        fillId: 0
+                    };
+                    break;
+                default:
+                    return 0;
+            }
+
+            this.cellXfs.push(xf);
+            this.xfIndexes[token] = this.cellXfs.length - 1;
+            return this.xfIndexes[token];
+        }
+
+        /**
+         * Builds the styles part
+         * @returns {string} The xl/styles.xml content
+         */
+        toXml() {
+            const numFmts = this.numFmts.length === 0 ? '' :
+                `<numFmts count="${this.numFmts.length}">` +
+                this.numFmts.map(numFmt => `<numFmt numFmtId="${numFmt.id}" formatCode="${escapeXml(numFmt.code)}"/>`).join('') +
+                '</numFmts>';
+
+            return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+                numFmts +
+                '<fonts count="2">' +
+                '<font><sz val="11"/><name val="Calibri"/><family val="2"/></font>' +
+                '<font><b/><sz val="11"/><name val="Calibri"/><family val="2"/></font>' +
+                '</fonts>' +
+                '<fills count="3">' +
+                '<fill><patternFill patternType="none"/></fill>' +
+                '<fill><patternFill patternType="gray125"/></fill>' +
+                '<fill><patternFill patternType="solid"><fgColor rgb="FFD9E1F2"/><bgColor indexed="64"/></patternFill></fill>' +
+                '</fills>' +
+                '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+                '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+                `<cellXfs count="${this.cellXfs.length}">` +
+                this.cellXfs.map(xf =>
+                    `<xf numFmtId="${xf.numFmtId}" fontId="${xf.fontId}" fillId="${xf.fillId}" borderId="0" xfId="0"` +
+                    `${xf.numFmtId ? ' applyNumberFormat="1"' : ''}${xf.fontId ? ' applyFont="1"' : ''}${xf.fillId ? ' applyFill="1"' : ''}/>`
+                ).join('') +
+                '</cellXfs>' +
+                '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+                '</styleSheet>';
+        }
+    }
+
+    /**
+     * Builds the XML for a single cell
+     * @param {*} cell - A primitive value or { value, type, style, formula }
+     * @param {string} reference - The cell reference (e.g. B3)
+     * @param {StyleRegistry} styles - The workbook style registry
+     * @returns {string} The cell XML, or an empty string for empty cells
+     */
+    function cellXml(cell, reference, styles) {
+        if (cell === null || cell === undefined || cell === '') {
+            return '';
+        }
+
+        const spec = typeof cell === 'object' && !(cell instanceof Date) ? cell : { value: cell };
+        let value = spec.value;
+        let type = spec.type;
+        let style = spec.style;
+
+        if (value instanceof Date || type === 'date') {
+            const date = value instanceof Date ? value : new Date(value);
+            value = date.getTime() / MS_PER_DAY + EXCEL_EPOCH_OFFSET_DAYS - date.getTimezoneOffset() / 1440;
+            type = 'n';
+            style = style || 'date';
+        } else if (!type) {
+            type = typeof value === 'number' ? 'n' : typeof value === 'boolean' ? 'b' : 's';
+        }
+
+        const styleAttribute = styles.resolve(style) ? ` s="${styles.resolve(style)}"` : '';
+
+        if (spec.formula) {
+            const cached = value === null || value === undefined ? '' :
+                type === 's' ? '' : `<v>${type === 'b' ? (value ? 1 : 0) : Number(value)}</v>`;
+            const typeAttribute = type === 's' ? ' t="str"' : type === 'b' ? ' t="b"' : '';
+            return `<c r="${reference}"${styleAttribute}${typeAttribute}><f>${escapeXml(spec.formula)}</f>${cached}</c>`;
+        }
+
+        if (value === null || value === undefined) {
+            return styleAttribute ? `<c r="${reference}"${styleAttribute}/>` : '';
+        }
+
+        if (type === 'n') {
+            const number = Number(value);
+            return Number.isFinite(number) ? `<c r="${reference}"${styleAttribute}><v>${number}</v></c>` : '';
+        }
+        if (type === 'b') {
+            return `<c r="${reference}"${styleAttribute} t="b"><v>${value ? 1 : 0}</v></c>`;
+        }
+        return `<c r="${reference}"${styleAttribute} t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+    }
+
+    /**
+     * Builds a worksheet part
+     * @param {object} sheet - The sheet definition ({ name, columns: [{ header, width }], rows })
+     * @param {StyleRegistry} styles - The workbook style registry
+     * @returns {string} The worksheet XML
+     */
+    function sheetXml(sheet, styles) {
+        const columns = sheet.columns || [];
+        const rows = [];
+
+        if (columns.some(column => column.header)) {
+            rows.push(columns.map(column => ({ value: column.header || '', style: 'header' })));
+        }
+        rows.push(...(sheet.rows || []));
+
+        const hasHeader = columns.some(column => column.header);
+        const sheetView = hasHeader
+            ? '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+            : '<sheetViews><sheetView workbookViewId="0"/></sheetViews>';
+
+        const cols = columns.length === 0 ? '' : '<cols>' + columns.map((column, index) =>
+            `<col min="${index + 1}" max="${index + 1}" width="${column.width || 14}" customWidth="1"/>`).join('') + '</cols>';
+
+        const rowsXml = rows.map((row, rowIndex) => {
+            const cells = row.map((cell, columnIndex) =>
+                cellXml(cell, `${columnLetter(columnIndex)}${rowIndex + 1}`, styles)).join('');
+            return `<row r="${rowIndex + 1}">${cells}</row>`;
+        }).join('');
+
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+            'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+            sheetView + cols + `<sheetData>${rowsXml}</sheetData>` +
+            '</worksheet>';
+    }
+
+    /**
+     * Builds an XLSX workbook from sheet definitions
+     * @param {object[]} sheets - Sheet definitions; cells are primitives or { value, type, style, formula }
+     * @returns {Uint8Array} The workbook bytes
+     */
+    function buildWorkbook(sheets) {
+        const styles = new StyleRegistry();
+        const sheetParts = sheets.map((sheet, index) => ({
+            name: sanitizeSheetName(sheet.name),
+            path: `worksheets/sheet${index + 1}.xml`,
+            xml: sheetXml(sheet, styles)
+        }));
+
+        const contentTypes = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+            '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+            '<Default Extension="xml" ContentType="application/xml"/>' +
+            '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+            '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+            sheetParts.map(part =>
+                `<Override PartName="/xl/${part.path}" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('') +
+            '<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>' +
+            '</Types>';
+
+        const rootRels = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+            '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+            '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>' +
+            '</Relationships>';
+
+        const workbook = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+            'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+            '<sheets>' +
+            sheetParts.map((part, index) =>
+                `<sheet name="${escapeXml(part.name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`).join('') +
+            '</sheets>' +
+            // Ask Excel to recalculate formulas on open; cached values are provided for other viewers
+            '<calcPr calcId="191029" fullCalcOnLoad="1"/>' +
+            '</workbook>';
+
+        const workbookRels = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+            sheetParts.map((part, index) =>
+                `<Relationship Id="rId${index + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="${part.path}"/>`).join('') +
+            `<Relationship Id="rId${sheetParts.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+            '</Relationships>';
+
+        const created = new Date().toISOString().replace(/\.\d{3}Z$/, 'Z');
+        const core = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" ' +
+            'xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" ' +
+            'xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">' +
+            '<dc:creator>VAT Filing Pricing Tool</dc:creator>' +
+            `<dcterms:created xsi:type="dcterms:W3CDTF">${created}</dcterms:created>` +
+            '</cp:coreProperties>';
+
+        return createZip([
+            { name: '[Content_Types].xml', content: contentTypes },
+            { name: '_rels/.rels', content: rootRels },
+            { name: 'docProps/core.xml', content: core },
+            { name: 'xl/workbook.xml', content: workbook },
+            { name: 'xl/_rels/workbook.xml.rels', content: workbookRels },
+            { name: 'xl/styles.xml', content: styles.toXml() },
+            ...sheetParts.map(part => ({ name: `xl/${part.path}`, content: part.xml }))
+        ]);
+    }
+
+    /**
+     * Sums numeric values, ignoring anything that is not a finite number
+     * @param {Array<*>} values - The values to sum
+     * @returns {number} The sum
+     */
+    function sum(values) {
+        return values.reduce((total, value) => total + (Number.isFinite(Number(value)) ? Number(value) : 0), 0);
+    }
+
+    /**
+     * Builds the sheets describing a single calculation result
+     * @param {object} result - A CalculationResultModel-shaped object
+     * @returns {object[]} The sheet definitions
+     */
+    function buildCalculationSheets(result) {
+        const t = window.i18n.t;
+        const currency = result.currencyCode || 'EUR';
+        const countries = result.countryBreakdowns || [];
+        const discounts = Object.entries(result.discounts || {});
+        const services = result.additionalServices || [];
+
+        // Country breakdown with a totals row computed by formulas
+        const countryFirstRow = 2;
+        const countryLastRow = countryFirstRow + countries.length - 1;
+        const countryTotalRow = countryLastRow + 1;
+        const countryRows = countries.map(country => [
+            country.countryCode,
+            country.countryName,
+            { value: Number(country.baseCost) || 0, style: `currency:${currency}` },
+            { value: Number(country.additionalCost) || 0, style: `currency:${currency}` },
+            { value: Number(country.totalCost) || 0, style: `currency:${currency}` },
+            (country.appliedRules || []).join('; ')
+        ]);
+        const countrySumFormula = column => countries.length > 0
+            ? `SUM(${column}${countryFirstRow}:${column}${countryLastRow})`
+            : '0';
+        countryRows.push([
+            { value: t('quote.total'), style: 'bold' },
+            '',
+            { formula: countrySumFormula('C'), value: sum(countries.map(c => c.baseCost)), style: `currencyTotal:${currency}` },
+            { formula: countrySumFormula('D'), value: sum(countries.map(c => c.additionalCost)), style: `currencyTotal:${currency}` },
+            { formula: countrySumFormula('E'), value: sum(countries.map(c => c.totalCost)), style: `currencyTotal:${currency}` },
+            ''
+        ]);
+
+        // Discounts with a totals row
+        const discountTotalRow = discounts.length + 2;
+        const discountRows = discounts.map(([name, amount]) => [
+            name,
+            { value: Number(amount) || 0, style: `currency:${currency}` }
+        ]);
+        discountRows.push([
+            { value: t('quote.total'), style: 'bold' },
+            {
+                formula: discounts.length > 0 ? `SUM(B2:B${discountTotalRow - 1})` : '0',
+                value: sum(discounts.map(([, amount]) => amount)),
+                style: `currencyTotal:${currency}`
+            }
+        ]);
+
+        const countrySheet = t('sheets.countryBreakdown');
+        const discountSheet = t('sheets.discounts');
+
+        const summaryRows = [
+            [t('quote.calculationId'), result.calculationId || ''],
+            [t('quote.calculationDate'), result.calculationDate ? { value: new Date(result.calculationDate), type: 'date' } : ''],
+            [t('quote.serviceType'), result.serviceTypeName || result.serviceType],
+            [t('quote.filingFrequency'), result.filingFrequencyName || result.filingFrequency],
+            [t('quote.transactionVolume'), { value: Number(result.transactionVolume) || 0, style: 'integer' }],
+            [t('quote.currency'), currency],
+            [t('quote.countries'), { formula: `COUNTA(${sheetReference(countrySheet)}!A${countryFirstRow}:A${Math.max(countryLastRow, countryFirstRow)})`, value: countries.length, style: 'integer' }],
+            [t('quote.additionalServices'), { value: services.length, style: 'integer' }],
+            [t('quote.countryCosts'), { formula: `${sheetReference(countrySheet)}!E${countryTotalRow}`, value: sum(countries.map(c => c.totalCost)), style: `currency:${currency}` }],
+            [t('quote.totalDiscounts'), { formula: `${sheetReference(discountSheet)}!B${discountTotalRow}`, value: sum(discounts.map(([, amount]) => amount)), style: `currency:${currency}` }],
+            [{ value: t('quote.totalCost'), style: 'bold' }, { value: Number(result.totalCost) || 0, style: `currencyTotal:${currency}` }]
+        ];
+
+        return [
+            {
+                name: t('sheets.summary'),
+                columns: [{ header: t('quote.item'), width: 24 }, { header: t('quote.value'), width: 30 }],
+                rows: summaryRows
+            },
+            {
+                name: countrySheet,
+                columns: [
+                    { header: t('quote.countryCode'), width: 14 },
+                    { header: t('quote.country'), width: 24 },
+                    { header: t('quote.baseCost'), width: 16 },
+                    { header: t('quote.additionalCost'), width: 16 },
+                    { header: t('quote.totalCost'), width: 16 },
+                    { header: t('quote.appliedRules'), width: 50 }
+                ],
+                rows: countryRows
+            },
+            {
+                name: discountSheet,
+                columns: [{ header: t('quote.discount'), width: 30 }, { header: t('quote.amount'), width: 16 }],
+                rows: discountRows
+            },
+            {
+                name: t('sheets.additionalServices'),
+                columns: [{ header: t('quote.service'), width: 40 }],
+                rows: services.map(service => [service])
+            }
+        ];
+    }
+
+    /**
+     * Builds the sheets listing calculation history, with per-currency totals on a summary sheet
+     * @param {object[]} items - CalculationResultModel-shaped objects
+     * @returns {object[]} The sheet definitions
+     */
+    function buildHistorySheets(items) {
+        const t = window.i18n.t;
+        const historySheet = sheetReference(t('sheets.history'));
+        const lastRow = items.length + 1;
+        const historyRows = items.map(item => [
+            item.calculationDate ? { value: new Date(item.calculationDate), type: 'date' } : '',
+            item.calculationId || '',
+            item.serviceTypeName || item.serviceType,
+            item.filingFrequencyName || item.filingFrequency,
+            { value: Number(item.transactionVolume) || 0, style: 'integer' },
+            (item.countryBreakdowns || []).map(country => country.countryCode).join(', '),
+            { value: Number(item.totalDiscounts) || 0, style: `currency:${item.currencyCode || 'EUR'}` },
+            { value: Number(item.totalCost) || 0, style: `currency:${item.currencyCode || 'EUR'}` },
+            item.currencyCode || 'EUR',
+            !!item.isArchived
+        ]);
+
+        // Costs in different currencies cannot be added together, so total them per currency
+        const currencies = Array.from(new Set(items.map(item => item.currencyCode || 'EUR')));
+        const summaryRows = [
+            [t('quote.calculations'), { formula: `COUNTA(${historySheet}!B2:B${Math.max(lastRow, 2)})`, value: items.length, style: 'integer' }],
+            ...currencies.map(currency => [
+                t('quote.totalCostIn', { currency }),
+                {
+                    formula: `SUMIF(${historySheet}!I2:I${Math.max(lastRow, 2)},"${currency}",${historySheet}!H2:H${Math.max(lastRow, 2)})`,
+                    value: sum(items.filter(item => (item.currencyCode || 'EUR') === currency).map(item => item.totalCost)),
+                    style: `currencyTotal:${currency}`
+                }
+            ])
+        ];
+
+        return [
+            {
+                name: t('sheets.summary'),
+                columns: [{ header: t('quote.item'), width: 24 }, { header: t('quote.value'), width: 20 }],
+                rows: summaryRows
+            },
+            {
+                name: t('sheets.history'),
+                columns: [
+                    { header: t('quote.date'), width: 18 },
+                    { header: t('quote.calculationId'), width: 38 },
+                    { header: t('quote.serviceType'), width: 20 },
+                    { header: t('quote.filingFrequency'), width: 16 },
+                    { header: t('quote.transactions'), width: 14 },
+                    { header: t('quote.countries'), width: 30 },
+                    { header: t('quote.discounts'), width: 16 },
+                    { header: t('quote.totalCost'), width: 16 },
+                    { header: t('quote.currency'), width: 10 },
+                    { header: t('quote.archived'), width: 10 }
+                ],
+                rows: historyRows
+            }
+        ];
+    }
+
+    /**
+     * Encodes bytes as base64
+     * @param {Uint8Array} bytes - The bytes to encode
+     * @returns {string} The base64 string
+     */
+    function bytesToBase64(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    /**
+     * Ensures the file name ends with .xlsx
+     * @param {string} fileName - The requested file name
+     * @param {string} fallback - The name used when none is given
+     * @returns {string} The file name
+     */
+    function xlsxFileName(fileName, fallback) {
+        const name = fileName || fallback;
+        return /\.xlsx$/i.test(name) ? name : `${name}.xlsx`;
+    }
+
+    /**
+     * Determines whether Excel export is enabled by FeatureManagement.ExportToExcel
+     * @returns {boolean} True unless the feature has been switched off
+     */
+    function isEnabled() {
+        const features = (window.appSettings && window.appSettings.FeatureManagement) || {};
+        if (features.ExportToExcel === false) {
+            console.warn('Excel export is disabled by FeatureManagement.ExportToExcel');
+            return false;
+        }
+        return true;
+    }
+
+    window.xlsxExport = {
+        /**
+         * Determines whether Excel export is enabled in the application settings
+         * @returns {boolean} True if Excel export is enabled
+         */
+        isEnabled: isEnabled,
+
+
+        /**
+         * Builds an XLSX workbook from sheet definitions
+         * @param {object[]} sheets - Sheet definitions ({ name, columns: [{ header, width }], rows }); cells are
+         *        primitives or { value, type, style, formula } with styles such as 'currency:EUR', 'integer' or 'date'
+         * @returns {Uint8Array} The workbook bytes
+         */
+        buildWorkbook: buildWorkbook,
+
+        /**
+         * Builds a workbook for a calculation result and returns it as base64 for embedding or upload
+         * @param {object} result - A CalculationResultModel-shaped object
+         * @returns {string} The workbook encoded as base64
+         */
+        buildCalculationWorkbook: function(result) {
+            return bytesToBase64(buildWorkbook(buildCalculationSheets(result)));
+        },
+
+        /**
+         * Exports a calculation result, with country breakdown, discounts and additional services, as XLSX
+         * @param {object} result - A CalculationResultModel-shaped object
+         * @param {string} [fileName] - The file name
+         * @returns {boolean} True if the download was started, false otherwise
+         */
+        exportCalculation: function(result, fileName) {
+            if (!isEnabled()) {
+                return false;
+            }
+
+            try {
+                const base64 = window.xlsxExport.buildCalculationWorkbook(result);
+                window.downloadFile(xlsxFileName(fileName, `vat-calculation-${result.calculationId || 'export'}`), base64, XLSX_CONTENT_TYPE);
+                return true;
+            } catch (error) {
+                console.error(`Error exporting calculation to Excel: ${error}`);
+                return false;
+            }
+        },
+
+        /**
+         * Exports calculation history as XLSX
+         * @param {object[]} items - CalculationResultModel-shaped objects
+         * @param {string} [fileName] - The file name
+         * @returns {boolean} True if the download was started, false otherwise
+         */
+        exportHistory: function(items, fileName) {
+            if (!isEnabled()) {
+                return false;
+            }
+
+            try {
+                const base64 = bytesToBase64(buildWorkbook(buildHistorySheets(items || [])));
+                window.downloadFile(xlsxFileName(fileName, 'vat-calculation-history'), base64, XLSX_CONTENT_TYPE);
+                return true;
+            } catch (error) {
+                console.error(`Error exporting calculation history to Excel: ${error}`);
+                return false;
+            }
+        }
+    };
+})();
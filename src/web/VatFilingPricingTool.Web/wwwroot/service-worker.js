@@ -0,0 +1,408 @@
+/**
+ * service-worker.js - Offline support for VatFilingPricingTool
+ * Precaches the application shell and the Blazor framework bundle, serves application assets from
+ * the cache while refreshing them in the background, keys framework files by the content hash in
+ * blazor.boot.json and keeps the last-known reference data available while offline
+ * Version: 1.0.0
+ */
+
+// Version of the cache layout, not of the application: releases are picked up without changing it,
+// because application assets are revalidated on every use and framework files are keyed by content hash
+const CACHE_VERSION = 'v2';
+
+// Cache holding the application shell, revalidated in the background whenever an asset is served
+const STATIC_CACHE = `vat-filing-static-${CACHE_VERSION}`;
+
+// Cache holding Blazor framework files under their blazor.boot.json content hash, so a new build
+// never receives a file from an older one
+const FRAMEWORK_CACHE = `vat-filing-framework-${CACHE_VERSION}`;
+
+// Cache holding the last successful responses for country and service reference data
+const REFERENCE_CACHE = `vat-filing-reference-${CACHE_VERSION}`;
+
+// Background sync tag registered by js/offlineQueue.js
+const OFFLINE_QUEUE_SYNC_TAG = 'vat-filing-calculation-queue';
+
+// The build manifest listing every framework file with its content hash
+const BOOT_MANIFEST_PATH = '_framework/blazor.boot.json';
+
+// Chart.js is loaded from a CDN, so it is precached as a cross-origin request; install does not
+// depend on it, since the CDN may be blocked or unreachable while the app itself is served fine
+const CHART_JS_URL = 'https://cdn.jsdelivr.net/npm/chart.js@3.7.0/dist/chart.min.js';
+
+// Application shell assets precached during installation
+const APP_SHELL_ASSETS = [
+    './',
+    'index.html',
+    'appsettings.json',
+    'css/app.css',
+    'css/bootstrap/bootstrap.min.css',
+    'css/open-iconic/font/css/open-iconic-bootstrap.min.css',
+    'js/interopHooks.js',
+    'js/subscriptions.js',
+    'js/errorReporter.js',
+    'js/telemetry.js',
+    'js/themeManager.js',
+    'js/chartPalettes.js',
+    'js/storage.js',
+    'js/indexedDb.js',
+    'js/secureStorage.js',
+    'js/formatting.js',
+    'js/i18n.js',
+    'js/currency.js',
+    'js/notifications.js',
+    'js/dialogs.js',
+    'js/vatValidation.js',
+    'js/app.js',
+    'js/interop.js',
+    'js/chartExport.js',
+    'js/xlsxExport.js',
+    'js/qrCode.js',
+    'js/pdfExport.js',
+    'js/print.js',
+    'js/offlineQueue.js',
+    'js/historyStore.js',
+    'js/tabSync.js',
+    'js/idleMonitor.js',
+    'js/drafts.js',
+    'js/shareLink.js',
+    '_framework/blazor.webassembly.js',
+    '_framework/blazor.boot.json'
+];
+
+// Paths whose responses are kept for offline use of the pricing calculator; the exchange rate
+// file is static but republished as rates change, so it is fetched network-first like the API data
+const REFERENCE_DATA_PATHS = [
+    '/api/v1/countries',
+    '/api/v1/pricing/service-types',
+    '/api/v1/pricing/filing-frequencies',
+    '/api/v1/pricing/additional-services',
+    '/data/exchange-rates.json'
+];
+
+// Content hashes of the framework files, keyed by URL path, from the newest blazor.boot.json seen
+let frameworkHashes = null;
+
+/**
+ * Reads the content hash of every assembly and runtime file listed in a blazor.boot.json
+ * @param {object} bootConfig - The parsed blazor.boot.json
+ * @returns {object} The hashes keyed by URL path, e.g. { '/_framework/App.dll': 'sha256-...' }
+ */
+function readFrameworkHashes(bootConfig) {
+    const resources = (bootConfig && bootConfig.resources) || {};
+    const hashes = {};
+    [resources.assembly, resources.runtime].forEach(group => {
+        Object.keys(group || {}).forEach(fileName => {
+            hashes[new URL(`_framework/${fileName}`, self.registration.scope).pathname] = group[fileName];
+        });
+    });
+    return hashes;
+}
+
+/**
+ * Gets the framework file hashes, reading the cached blazor.boot.json after the worker has restarted
+ * @returns {Promise<object>} Promise resolving to the hashes keyed by URL path
+ */
+async function getFrameworkHashes() {
+    if (!frameworkHashes) {
+        const cached = await caches.match(new URL(BOOT_MANIFEST_PATH, self.registration.scope).href, { cacheName: STATIC_CACHE });
+        frameworkHashes = cached ? readFrameworkHashes(await cached.json()) : {};
+    }
+    return frameworkHashes;
+}
+
+/**
+ * Builds the cache key of a framework file for one content hash
+ * @param {string} pathname - The file's URL path
+ * @param {string} hash - The file's content hash from blazor.boot.json
+ * @returns {string} The cache key
+ */
+function frameworkCacheKey(pathname, hash) {
+    return new URL(`${pathname}?hash=${encodeURIComponent(hash)}`, self.location.origin).href;
+}
+
+/**
+ * Removes framework files that the current blazor.boot.json no longer lists with the same hash
+ * @param {object} hashes - The current hashes keyed by URL path
+ * @returns {Promise<void>} Promise that resolves once outdated files have been removed
+ */
+async function pruneFrameworkCache(hashes) {
+    const current = new Set(Object.keys(hashes).map(pathname => frameworkCacheKey(pathname, hashes[pathname])));
+    const cache = await caches.open(FRAMEWORK_CACHE);
+    const requests = await cache.keys();
+    await Promise.all(requests
+        .filter(request => !current.has(request.url))
+        .map(request => cache.delete(request)));
+}
+
+/**
+ * Fetches the given URLs bypassing the HTTP cache and stores them in the specified cache
+ * @param {Cache} cache - The cache to populate
+ * @param {Array<string|Request>} requests - The URLs or requests to precache
+ * @returns {Promise<void>} Promise that resolves when every request has been cached
+ */
+async function precache(cache, requests) {
+    await Promise.all(requests.map(async request => {
+        const cacheRequest = typeof request === 'string' ? new Request(request, { cache: 'reload' }) : request;
+        const response = await fetch(cacheRequest);
+        if (!response.ok && response.type !== 'opaque') {
+            throw new Error(`Failed to precache ${cacheRequest.url}: ${response.status}`);
+        }
+        await cache.put(cacheRequest, response);
+    }));
+}
+
+/**
+ * Precaches every framework file blazor.boot.json lists under its content hash
+ * @param {object} hashes - The hashes keyed by URL path
+ * @returns {Promise<void>} Promise that resolves when every file has been cached
+ */
+async function precacheFramework(hashes) {
+    const cache = await caches.open(FRAMEWORK_CACHE);
+    await Promise.all(Object.keys(hashes).map(async pathname => {
+        const key = frameworkCacheKey(pathname, hashes[pathname]);
+        if (await cache.match(key)) {
+            return;
+        }
+        const response = await fetch(new Request(pathname, { cache: 'reload' }));
+        if (!response.ok) {
+            throw new Error(`Failed to precache ${pathname}: ${response.status}`);
+        }
+        await cache.put(key, response);
+    }));
+}
+
+/**
+ * Determines whether a request targets one of the cached reference data endpoints
+ * @param {URL} url - The request URL
+ * @returns {boolean} True if the response should be kept for offline use
+ */
+function isReferenceDataRequest(url) {
+    return REFERENCE_DATA_PATHS.some(path => url.pathname === path || url.pathname.startsWith(`${path}/`));
+}
+
+/**
+ * Serves a request from the cache, falling back to the network and caching the result; only used for
+ * URLs whose content never changes, such as the versioned Chart.js CDN URL
+ * @param {Request} request - The request to serve
+ * @returns {Promise<Response>} Promise resolving to the response
+ */
+async function cacheFirst(request) {
+    const cached = await caches.match(request);
+    if (cached) {
+        return cached;
+    }
+
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') {
+        const cache = await caches.open(STATIC_CACHE);
+        await cache.put(request, response.clone());
+    }
+
+    return response;
+}
+
+/**
+ * Serves an application asset from the cache and refreshes the cached copy from the network, so a
+ * deployment reaches every user on their next load; uncached assets wait for the network
+ * @param {FetchEvent} event - The fetch event, kept alive until the refresh completes
+ * @returns {Promise<Response>} Promise resolving to the cached or network response
+ */
+async function staleWhileRevalidate(event) {
+    const request = event.request;
+    const cache = await caches.open(STATIC_CACHE);
+    const cached = await cache.match(request);
+
+    const refresh = fetch(request).then(async response => {
+        if (response.ok) {
+            await cache.put(request, response.clone());
+        }
+        return response;
+    });
+
+    if (cached) {
+        event.waitUntil(refresh.catch(error => console.warn(`Refreshing ${request.url} failed: ${error}`)));
+        return cached;
+    }
+    return refresh;
+}
+
+/**
+ * Serves blazor.boot.json from the network, falling back to the cached copy while offline, and
+ * updates the framework hashes so files from an older build are no longer served
+ * @param {FetchEvent} event - The fetch event
+ * @returns {Promise<Response>} Promise resolving to the manifest response
+ */
+async function serveBootManifest(event) {
+    const cache = await caches.open(STATIC_CACHE);
+    const key = new URL(BOOT_MANIFEST_PATH, self.registration.scope).href;
+
+    let response;
+    try {
+        response = await fetch(event.request, { cache: 'no-cache' });
+    } catch (error) {
+        const cached = await cache.match(key);
+        if (cached) {
+            return cached;
+        }
+        throw error;
+    }
+
+    if (response.ok) {
+        await cache.put(key, response.clone());
+        frameworkHashes = readFrameworkHashes(await response.clone().json());
+        event.waitUntil(pruneFrameworkCache(frameworkHashes));
+    }
+    return response;
+}
+
+/**
+ * Serves a framework file under its current content hash, fetching and caching it on first use
+ * @param {FetchEvent} event - The fetch event
+ * @param {URL} url - The request URL
+ * @returns {Promise<Response>} Promise resolving to the file response
+ */
+async function serveFrameworkFile(event, url) {
+    const hashes = await getFrameworkHashes();
+    const hash = hashes[url.pathname];
+    // Files blazor.boot.json does not list, such as blazor.webassembly.js, are application assets
+    if (!hash) {
+        return staleWhileRevalidate(event);
+    }
+
+    const cache = await caches.open(FRAMEWORK_CACHE);
+    const key = frameworkCacheKey(url.pathname, hash);
+    const cached = await cache.match(key);
+    if (cached) {
+        return cached;
+    }
+
+    const response = await fetch(event.request);
+    if (response.ok) {
+        await cache.put(key, response.clone());
+    }
+    return response;
+}
+
+/**
+ * Serves a request from the network, keeping a copy of the response so the last-known
+ * value can be returned while offline
+ * @param {Request} request - The request to serve
+ * @returns {Promise<Response>} Promise resolving to the network or cached response
+ */
+async function networkFirst(request) {
+    const cache = await caches.open(REFERENCE_CACHE);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request);
+        if (cached) {
+            return cached;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Serves navigation requests from the network, falling back to the cached index.html so
+ * client-side routes still load while offline
+ * @param {Request} request - The navigation request
+ * @returns {Promise<Response>} Promise resolving to the page response
+ */
+async function navigationFallback(request) {
+    try {
+        return await fetch(request);
+    } catch (error) {
+        const cached = await caches.match('index.html');
+        if (cached) {
+            return cached;
+        }
+        throw error;
+    }
+}
+
+self.addEventListener('install', event => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(STATIC_CACHE);
+        await precache(cache, APP_SHELL_ASSETS);
+
+        // The shell includes blazor.boot.json, which lists the framework files of this build
+        frameworkHashes = null;
+        await precacheFramework(await getFrameworkHashes());
+
+        try {
+            await precache(cache, [new Request(CHART_JS_URL, { mode: 'cors', cache: 'reload' })]);
+        } catch (error) {
+            console.warn(`Chart.js could not be precached and will be cached on first use: ${error}`);
+        }
+
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil((async () => {
+        // Remove caches left behind by previous versions
+        const cacheNames = await caches.keys();
+        await Promise.all(cacheNames
+            .filter(name => name.startsWith('vat-filing-') && ![STATIC_CACHE, FRAMEWORK_CACHE, REFERENCE_CACHE].includes(name))
+            .map(name => caches.delete(name)));
+
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET') {
+        return;
+    }
+
+    const url = new URL(request.url);
+
+    if (request.mode === 'navigate') {
+        event.respondWith(navigationFallback(request));
+        return;
+    }
+
+    if (isReferenceDataRequest(url)) {
+        event.respondWith(networkFirst(request));
+        return;
+    }
+
+    if (request.url === CHART_JS_URL) {
+        event.respondWith(cacheFirst(request));
+        return;
+    }
+
+    // Other API calls and cross-origin requests always go to the network
+    if (url.origin !== self.location.origin || url.pathname.startsWith('/api/')) {
+        return;
+    }
+
+    const frameworkPath = new URL('_framework/', self.registration.scope).pathname;
+    if (url.pathname === new URL(BOOT_MANIFEST_PATH, self.registration.scope).pathname) {
+        event.respondWith(serveBootManifest(event));
+    } else if (url.pathname.startsWith(frameworkPath)) {
+        event.respondWith(serveFrameworkFile(event, url));
+    } else {
+        event.respondWith(staleWhileRevalidate(event));
+    }
+});
+
+self.addEventListener('sync', event => {
+    if (event.tag !== OFFLINE_QUEUE_SYNC_TAG) {
+        return;
+    }
+
+    // Queued requests need the page's authentication token, so open pages perform the replay
+    event.waitUntil((async () => {
+        const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+        clients.forEach(client => client.postMessage({ type: 'replay-offline-queue' }));
+    })());
+});